@@ -17,9 +17,12 @@ import ProductDetailPage from '@/pages/products/ProductDetailPage'
 import CreateProductPage from '@/pages/products/CreateProductPage'
 import OrdersPage from '@/pages/orders/OrdersPage'
 import OrderDetailPage from '@/pages/orders/OrderDetailPage'
+import ReturnsPage from '@/pages/orders/ReturnsPage'
 import InventoryPage from '@/pages/inventory/InventoryPage'
 import MarketplacesPage from '@/pages/marketplaces/MarketplacesPage'
+import MarketplaceOAuthCallbackPage from '@/pages/marketplaces/MarketplaceOAuthCallbackPage'
 import AnalyticsPage from '@/pages/analytics/AnalyticsPage'
+import ReconciliationPage from '@/pages/reports/ReconciliationPage'
 import SettingsPage from '@/pages/settings/SettingsPage'
 
 // Loading component
@@ -86,6 +89,12 @@ function App() {
         <Navigate to="/login" replace />
       } />
 
+      <Route path="/returns" element={
+        isAuthenticated ? 
+        <DashboardLayout><ReturnsPage /></DashboardLayout> : 
+        <Navigate to="/login" replace />
+      } />
+
       <Route path="/inventory" element={
         isAuthenticated ? 
         <DashboardLayout><InventoryPage /></DashboardLayout> : 
@@ -98,12 +107,24 @@ function App() {
         <Navigate to="/login" replace />
       } />
 
+      <Route path="/marketplaces/oauth/callback" element={
+        isAuthenticated ? 
+        <DashboardLayout><MarketplaceOAuthCallbackPage /></DashboardLayout> : 
+        <Navigate to="/login" replace />
+      } />
+
       <Route path="/analytics" element={
         isAuthenticated ? 
         <DashboardLayout><AnalyticsPage /></DashboardLayout> : 
         <Navigate to="/login" replace />
       } />
 
+      <Route path="/reconciliation" element={
+        isAuthenticated ? 
+        <DashboardLayout><ReconciliationPage /></DashboardLayout> : 
+        <Navigate to="/login" replace />
+      } />
+
       <Route path="/settings" element={
         isAuthenticated ? 
         <DashboardLayout><SettingsPage /></DashboardLayout> : 
@@ -4,9 +4,11 @@ import {
   HomeIcon, 
   ShoppingBagIcon, 
   ClipboardDocumentListIcon,
+  ArrowUturnLeftIcon,
   CubeIcon,
   BuildingStorefrontIcon,
   ChartBarIcon,
+  BanknotesIcon,
   Cog6ToothIcon,
   Bars3Icon,
   XMarkIcon,
@@ -26,9 +28,11 @@ const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
   { name: 'Produk', href: '/products', icon: ShoppingBagIcon },
   { name: 'Pesanan', href: '/orders', icon: ClipboardDocumentListIcon },
+  { name: 'Retur', href: '/returns', icon: ArrowUturnLeftIcon },
   { name: 'Inventori', href: '/inventory', icon: CubeIcon },
   { name: 'Marketplace', href: '/marketplaces', icon: BuildingStorefrontIcon },
   { name: 'Analytics', href: '/analytics', icon: ChartBarIcon },
+  { name: 'Rekonsiliasi', href: '/reconciliation', icon: BanknotesIcon },
   { name: 'Pengaturan', href: '/settings', icon: Cog6ToothIcon },
 ]
 
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { categoriesApi, marketplacesApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+interface MarketplaceAttribute {
+  id: string
+  name: string
+  type: 'text' | 'number' | 'select' | 'multi_select'
+  required: boolean
+  allowCustom: boolean
+  options: Array<{ id: string, name: string }>
+}
+
+type AttributeMap = Record<string, { key: string, values?: Record<string, string> }>
+
+interface AttributeMappingPanelProps {
+  accountId: string
+  categoryId: string
+  marketplaceId: string
+  marketplaceCategoryId: string
+  attributeMap?: AttributeMap | null
+  onSaved: () => void
+}
+
+const AttributeMappingPanel: React.FC<AttributeMappingPanelProps> = ({
+  accountId,
+  categoryId,
+  marketplaceId,
+  marketplaceCategoryId,
+  attributeMap,
+  onSaved
+}) => {
+  const [keys, setKeys] = useState<Record<string, string>>({})
+
+  useEffect(() => {
+    const initial: Record<string, string> = {}
+    Object.entries(attributeMap || {}).forEach(([attributeId, rule]) => {
+      initial[attributeId] = rule.key
+    })
+    setKeys(initial)
+  }, [attributeMap])
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['marketplace-attributes', accountId, marketplaceCategoryId],
+    queryFn: () => marketplacesApi.getCategoryAttributes(accountId, marketplaceCategoryId)
+  })
+  const attributes: MarketplaceAttribute[] = data?.data?.attributes || []
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      // Empty keys fall back to matching by attribute name; value mappings set through the API are kept
+      const nextMap: AttributeMap = {}
+      Object.entries(keys).forEach(([attributeId, key]) => {
+        if (key.trim()) {
+          nextMap[attributeId] = { ...attributeMap?.[attributeId], key: key.trim() }
+        }
+      })
+      return categoriesApi.saveAttributeMap(categoryId, marketplaceId, nextMap)
+    },
+    onSuccess: () => {
+      toast.success('Pemetaan atribut disimpan')
+      onSaved()
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal menyimpan pemetaan atribut')
+    }
+  })
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-20">
+        <LoadingSpinner size="sm" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-3 border border-gray-200 rounded-lg p-3 bg-gray-50">
+      {attributes.length === 0 ? (
+        <p className="py-2 text-center text-sm text-gray-500">Kategori ini tidak memiliki atribut</p>
+      ) : (
+        <>
+          <p className="mb-2 text-xs text-gray-500">
+            Isi nama atribut produk bila berbeda dari nama atribut marketplace. Kosongkan untuk pencocokan otomatis.
+          </p>
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {attributes.map((attribute) => (
+              <div key={attribute.id} className="grid grid-cols-2 gap-3 items-center">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 truncate">
+                    {attribute.name}
+                    {attribute.required && <span className="text-red-500 ml-1">*</span>}
+                  </p>
+                  {attribute.options.length > 0 && (
+                    <p className="text-xs text-gray-500 truncate" title={attribute.options.map(option => option.name).join(', ')}>
+                      {attribute.options.slice(0, 4).map(option => option.name).join(', ')}
+                      {attribute.options.length > 4 && ', ...'}
+                    </p>
+                  )}
+                </div>
+                <input
+                  type="text"
+                  value={keys[attribute.id] || ''}
+                  onChange={(e) => setKeys({ ...keys, [attribute.id]: e.target.value })}
+                  className="input w-full"
+                  placeholder={attribute.name}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end pt-3">
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={saveMutation.isLoading}
+              className="btn btn-primary btn-sm"
+            >
+              {saveMutation.isLoading ? <LoadingSpinner size="sm" /> : 'Simpan Atribut'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AttributeMappingPanel
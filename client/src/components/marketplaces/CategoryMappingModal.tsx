@@ -0,0 +1,325 @@
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { ArrowPathIcon, MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { categoriesApi, marketplacesApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import AttributeMappingPanel from '@/components/marketplaces/AttributeMappingPanel'
+
+interface MarketplaceAccount {
+  id: string
+  storeName: string
+  marketplace: {
+    id: string
+    name: string
+    code: string
+  }
+}
+
+interface MarketplaceCategory {
+  id: string
+  name: string
+  parentId: string | null
+  isLeaf: boolean
+  path: string[]
+}
+
+interface CategoryMapping {
+  marketplaceId: string
+  marketplaceCategoryId: string
+  marketplaceCategoryPath?: string
+  attributeMap?: Record<string, { key: string, values?: Record<string, string> }> | null
+}
+
+interface Category {
+  id: string
+  name: string
+  parentId?: string | null
+  marketplaceMappings: CategoryMapping[]
+  _count?: {
+    products: number
+  }
+}
+
+interface CategoryMappingModalProps {
+  account: MarketplaceAccount
+  onClose: () => void
+}
+
+interface CategoryPickerProps {
+  account: MarketplaceAccount
+  onSelect: (category: MarketplaceCategory) => void
+  isSaving: boolean
+}
+
+const CategoryPicker: React.FC<CategoryPickerProps> = ({ account, onSelect, isSaving }) => {
+  const [search, setSearch] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+
+  // Wait for the user to stop typing before searching the tree
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [search])
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['marketplace-categories', account.id, debouncedSearch],
+    queryFn: () => marketplacesApi.getCategories(account.id, {
+      search: debouncedSearch || undefined,
+      leafOnly: true,
+      limit: 50
+    }),
+    keepPreviousData: true
+  })
+
+  const results: MarketplaceCategory[] = data?.data?.categories || []
+  const total: number = data?.data?.total || 0
+
+  return (
+    <div className="mt-3 border border-gray-200 rounded-lg p-3 bg-gray-50">
+      <div className="relative">
+        <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input w-full pl-9"
+          placeholder={`Cari kategori ${account.marketplace.name}...`}
+          autoFocus
+        />
+      </div>
+
+      <div className="mt-2 max-h-56 overflow-y-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-20">
+            <LoadingSpinner size="sm" />
+          </div>
+        ) : results.length === 0 ? (
+          <p className="py-4 text-center text-sm text-gray-500">Kategori tidak ditemukan</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {results.map((category) => (
+              <li key={category.id}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(category)}
+                  disabled={isSaving}
+                  className="w-full px-2 py-2 text-left text-sm hover:bg-white rounded"
+                >
+                  <span className="font-medium text-gray-900">{category.name}</span>
+                  <span className="block text-xs text-gray-500">{category.path.join(' › ')}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {total > results.length && (
+        <p className="mt-2 text-xs text-gray-500">
+          Menampilkan {results.length} dari {total} kategori. Perjelas pencarian untuk hasil lain.
+        </p>
+      )}
+    </div>
+  )
+}
+
+const CategoryMappingModal: React.FC<CategoryMappingModalProps> = ({ account, onClose }) => {
+  const [editingCategoryId, setEditingCategoryId] = useState<string | null>(null)
+  const [attributesCategoryId, setAttributesCategoryId] = useState<string | null>(null)
+
+  const queryClient = useQueryClient()
+  const marketplaceId = account.marketplace.id
+
+  const { data: categoriesData, isLoading: categoriesLoading } = useQuery({
+    queryKey: ['categories'],
+    queryFn: categoriesApi.getAll
+  })
+  const categories: Category[] = categoriesData?.data?.categories || []
+
+  const refreshMutation = useMutation({
+    mutationFn: () => marketplacesApi.getCategories(account.id, { refresh: true, limit: 1 }),
+    onSuccess: (response) => {
+      toast.success(`${response.data.total} kategori ${account.marketplace.name} dimuat ulang`)
+      queryClient.invalidateQueries(['marketplace-categories', account.id])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memuat kategori marketplace')
+    }
+  })
+
+  const saveMutation = useMutation({
+    mutationFn: ({ categoryId, marketplaceCategoryId }: { categoryId: string, marketplaceCategoryId: string }) =>
+      categoriesApi.saveMapping(categoryId, { marketplaceAccountId: account.id, marketplaceCategoryId }),
+    onSuccess: (response) => {
+      toast.success('Pemetaan kategori disimpan')
+      if (response.data.warning) {
+        toast(response.data.warning)
+      }
+      setEditingCategoryId(null)
+      queryClient.invalidateQueries(['categories'])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Gagal menyimpan pemetaan kategori')
+    }
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (categoryId: string) => categoriesApi.deleteMapping(categoryId, marketplaceId),
+    onSuccess: () => {
+      toast.success('Pemetaan kategori dihapus')
+      queryClient.invalidateQueries(['categories'])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal menghapus pemetaan kategori')
+    }
+  })
+
+  const mappedCount = categories.filter(category =>
+    category.marketplaceMappings.some(mapping => mapping.marketplaceId === marketplaceId)
+  ).length
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  Pemetaan Kategori {account.marketplace.name}
+                </h3>
+                <p className="text-sm text-gray-500">
+                  {mappedCount} dari {categories.length} kategori sudah dipetakan
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => refreshMutation.mutate()}
+                  disabled={refreshMutation.isLoading}
+                  className="btn btn-outline btn-sm"
+                  title="Ambil ulang pohon kategori dari marketplace"
+                >
+                  <ArrowPathIcon className={`h-4 w-4 ${refreshMutation.isLoading ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={onClose}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              </div>
+            </div>
+
+            <p className="mb-4 text-sm text-gray-500">
+              Di marketplace yang mewajibkan kategori, produk baru hanya dapat dipublikasikan jika kategorinya
+              (atau kategori induknya) sudah dipetakan dan atribut wajib kategori marketplace terisi.
+            </p>
+
+            {categoriesLoading ? (
+              <div className="flex items-center justify-center h-32">
+                <LoadingSpinner size="md" text="Memuat kategori..." />
+              </div>
+            ) : categories.length === 0 ? (
+              <p className="py-8 text-center text-sm text-gray-500">Belum ada kategori produk</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 max-h-[60vh] overflow-y-auto">
+                {categories.map((category) => {
+                  const mapping = category.marketplaceMappings.find(item => item.marketplaceId === marketplaceId)
+                  const isEditing = editingCategoryId === category.id
+                  const isEditingAttributes = attributesCategoryId === category.id && !!mapping
+
+                  return (
+                    <li key={category.id} className="py-3">
+                      <div className="flex items-start justify-between">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900">
+                            {category.name}
+                            {category._count && (
+                              <span className="ml-2 text-xs font-normal text-gray-500">
+                                {category._count.products} produk
+                              </span>
+                            )}
+                          </p>
+                          {mapping ? (
+                            <p className="text-xs text-gray-600 truncate">
+                              → {mapping.marketplaceCategoryPath || mapping.marketplaceCategoryId}
+                            </p>
+                          ) : (
+                            <span className="inline-flex items-center px-2 py-0.5 mt-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Belum dipetakan
+                            </span>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-2 ml-4">
+                          {mapping && !isEditing && (
+                            <button
+                              onClick={() => setAttributesCategoryId(isEditingAttributes ? null : category.id)}
+                              className="text-sm text-gray-500 hover:text-gray-700"
+                            >
+                              {isEditingAttributes ? 'Tutup Atribut' : 'Atribut'}
+                            </button>
+                          )}
+                          <button
+                            onClick={() => {
+                              setEditingCategoryId(isEditing ? null : category.id)
+                              setAttributesCategoryId(null)
+                            }}
+                            className="btn btn-outline btn-sm"
+                          >
+                            {isEditing ? 'Batal' : mapping ? 'Ubah' : 'Pilih'}
+                          </button>
+                          {mapping && !isEditing && (
+                            <button
+                              onClick={() => deleteMutation.mutate(category.id)}
+                              disabled={deleteMutation.isLoading}
+                              className="text-sm text-red-600 hover:text-red-500"
+                            >
+                              Hapus
+                            </button>
+                          )}
+                        </div>
+                      </div>
+
+                      {isEditing && (
+                        <CategoryPicker
+                          account={account}
+                          isSaving={saveMutation.isLoading}
+                          onSelect={(marketplaceCategory) => saveMutation.mutate({
+                            categoryId: category.id,
+                            marketplaceCategoryId: marketplaceCategory.id
+                          })}
+                        />
+                      )}
+
+                      {isEditingAttributes && mapping && (
+                        <AttributeMappingPanel
+                          accountId={account.id}
+                          categoryId={category.id}
+                          marketplaceId={marketplaceId}
+                          marketplaceCategoryId={mapping.marketplaceCategoryId}
+                          attributeMap={mapping.attributeMap}
+                          onSaved={() => queryClient.invalidateQueries(['categories'])}
+                        />
+                      )}
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryMappingModal
@@ -0,0 +1,230 @@
+import React, { useState } from 'react'
+import { useMutation, useQuery } from '@tanstack/react-query'
+import { useForm } from 'react-hook-form'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { marketplacesApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+interface CredentialField {
+  key: string
+  label: string
+  type: 'text' | 'password' | 'number' | 'url' | 'select'
+  required?: boolean
+  description?: string
+  options?: Array<string | { value: string, label: string }>
+}
+
+interface Marketplace {
+  id: string
+  name: string
+  code: string
+  plugin?: {
+    description?: string
+    credentialSchema: CredentialField[]
+  } | null
+}
+
+interface ConnectMarketplaceModalProps {
+  marketplace: Marketplace | null
+  onClose: () => void
+  onSuccess: () => void
+}
+
+// Built-in integrations take an API key pair; plugins declare their own fields
+const DEFAULT_FIELDS: CredentialField[] = [
+  { key: 'apiKey', label: 'API Key', type: 'text', required: true },
+  { key: 'apiSecret', label: 'API Secret', type: 'password', required: true }
+]
+
+const ConnectMarketplaceModal: React.FC<ConnectMarketplaceModalProps> = ({
+  marketplace,
+  onClose,
+  onSuccess
+}) => {
+  // Opened without a marketplace: let the user pick one first
+  const [selected, setSelected] = useState<Marketplace | null>(marketplace)
+
+  const { data: marketplacesData, isLoading: marketplacesLoading } = useQuery({
+    queryKey: ['available-marketplaces'],
+    queryFn: marketplacesApi.getAvailable,
+    enabled: !marketplace
+  })
+  const availableMarketplaces: Marketplace[] = marketplacesData?.data?.marketplaces || []
+
+  const plugin = selected?.plugin
+  const fields = plugin ? plugin.credentialSchema : DEFAULT_FIELDS
+
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors }
+  } = useForm<Record<string, string>>()
+
+  const connectMutation = useMutation({
+    mutationFn: marketplacesApi.connectAccount,
+    onSuccess: () => {
+      toast.success(`${selected?.name} berhasil ditambahkan`)
+      onSuccess()
+    },
+    onError: (error: any) => {
+      // Field-level errors from the credential schema check
+      const details = error.response?.data?.details || []
+      details.forEach((detail: any) => {
+        const key = String(detail.param || detail.path || '').replace(/^credentials\./, '')
+        setError(key, { message: detail.msg })
+      })
+      toast.error(error.response?.data?.message || 'Gagal menghubungkan marketplace')
+    }
+  })
+
+  const handleFormSubmit = ({ storeName, ...values }: Record<string, string>) => {
+    if (!selected) return
+
+    connectMutation.mutate(plugin
+      ? { marketplaceId: selected.id, storeName, credentials: values }
+      : { marketplaceId: selected.id, storeName, ...values }
+    )
+  }
+
+  const renderField = (field: CredentialField) => {
+    const rules = { required: field.required ? `${field.label} harus diisi` : false }
+    const className = `input w-full ${errors[field.key] ? 'input-error' : ''}`
+
+    if (field.type === 'select') {
+      return (
+        <select {...register(field.key, rules)} className={className}>
+          <option value="">Pilih {field.label}</option>
+          {field.options?.map((option) => {
+            const value = typeof option === 'string' ? option : option.value
+            const label = typeof option === 'string' ? option : option.label
+            return <option key={value} value={value}>{label}</option>
+          })}
+        </select>
+      )
+    }
+
+    return (
+      <input
+        {...register(field.key, rules)}
+        type={field.type === 'number' ? 'number' : field.type === 'password' ? 'password' : field.type === 'url' ? 'url' : 'text'}
+        step={field.type === 'number' ? 'any' : undefined}
+        className={className}
+      />
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {selected ? `Hubungkan ${selected.name}` : 'Pilih Marketplace'}
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {!selected ? (
+              marketplacesLoading ? (
+                <div className="flex items-center justify-center h-32">
+                  <LoadingSpinner size="md" text="Memuat marketplace..." />
+                </div>
+              ) : (
+                <div className="grid grid-cols-2 gap-3">
+                  {availableMarketplaces.map((item) => (
+                    <button
+                      key={item.id}
+                      onClick={() => setSelected(item)}
+                      className="p-3 rounded-lg border border-gray-300 hover:border-primary-500 text-sm font-medium text-gray-900"
+                    >
+                      {item.name}
+                    </button>
+                  ))}
+                </div>
+              )
+            ) : (
+              <>
+                {plugin?.description && (
+                  <p className="mb-4 text-sm text-gray-500">{plugin.description}</p>
+                )}
+
+                <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Nama Toko
+                    </label>
+                    <input
+                      {...register('storeName', { required: 'Nama toko harus diisi' })}
+                      type="text"
+                      className={`input w-full ${errors.storeName ? 'input-error' : ''}`}
+                      placeholder="Masukkan nama toko"
+                    />
+                    {errors.storeName && (
+                      <p className="mt-1 text-sm text-red-600">{errors.storeName.message}</p>
+                    )}
+                  </div>
+
+                  {fields.map((field) => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {field.label}
+                        {field.required && <span className="text-red-500 ml-1">*</span>}
+                      </label>
+                      {renderField(field)}
+                      {errors[field.key] ? (
+                        <p className="mt-1 text-sm text-red-600">{errors[field.key]?.message}</p>
+                      ) : field.description && (
+                        <p className="mt-1 text-xs text-gray-500">{field.description}</p>
+                      )}
+                    </div>
+                  ))}
+
+                  {/* Actions */}
+                  <div className="flex justify-end space-x-3 pt-4">
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      className="btn btn-outline btn-md"
+                      disabled={connectMutation.isLoading}
+                    >
+                      Batal
+                    </button>
+                    <button
+                      type="submit"
+                      className="btn btn-primary btn-md"
+                      disabled={connectMutation.isLoading}
+                    >
+                      {connectMutation.isLoading ? (
+                        <LoadingSpinner size="sm" />
+                      ) : (
+                        'Hubungkan'
+                      )}
+                    </button>
+                  </div>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConnectMarketplaceModal
@@ -6,7 +6,9 @@ import {
   ArrowPathIcon,
   CloudArrowUpIcon,
   EyeIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  TagIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline'
 
 import { cn } from '@/utils/cn'
@@ -25,6 +27,11 @@ interface MarketplaceAccount {
     marketplaceProducts: number
   }
   connectionStatus?: 'ACTIVE' | 'ERROR' | 'PENDING'
+  circuitBreaker?: {
+    state: 'CLOSED' | 'OPEN' | 'HALF_OPEN'
+    failures: number
+    retryAt?: string | null
+  }
 }
 
 interface MarketplaceCardProps {
@@ -32,8 +39,12 @@ interface MarketplaceCardProps {
   onTestConnection: () => void
   onSyncProducts: () => void
   onViewDetails: () => void
+  onAuthorize?: () => void
+  onMapCategories?: () => void
+  onImportProducts?: () => void
   isTestingConnection?: boolean
   isSyncingProducts?: boolean
+  isAuthorizing?: boolean
 }
 
 const MarketplaceCard: React.FC<MarketplaceCardProps> = ({
@@ -41,8 +52,12 @@ const MarketplaceCard: React.FC<MarketplaceCardProps> = ({
   onTestConnection,
   onSyncProducts,
   onViewDetails,
+  onAuthorize,
+  onMapCategories,
+  onImportProducts,
   isTestingConnection = false,
-  isSyncingProducts = false
+  isSyncingProducts = false,
+  isAuthorizing = false
 }) => {
   const getStatusIcon = () => {
     if (!account.isConnected) {
@@ -194,6 +209,26 @@ const MarketplaceCard: React.FC<MarketplaceCardProps> = ({
           <EyeIcon className="h-4 w-4 mr-1" />
           Lihat Detail
         </button>
+
+        {onMapCategories && (
+          <button
+            onClick={onMapCategories}
+            className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
+          >
+            <TagIcon className="h-4 w-4 mr-1" />
+            Kategori
+          </button>
+        )}
+
+        {onImportProducts && account.isConnected && (
+          <button
+            onClick={onImportProducts}
+            className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            Impor
+          </button>
+        )}
         
         <button
           className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
@@ -212,6 +247,30 @@ const MarketplaceCard: React.FC<MarketplaceCardProps> = ({
               Koneksi terputus. Periksa kredensial API.
             </span>
           </div>
+          {onAuthorize && (
+            <button
+              onClick={onAuthorize}
+              disabled={isAuthorizing}
+              className="mt-2 w-full btn btn-outline btn-sm"
+            >
+              {isAuthorizing && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Hubungkan Ulang
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Circuit breaker warning */}
+      {account.isConnected && account.circuitBreaker && account.circuitBreaker.state !== 'CLOSED' && (
+        <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="flex items-center">
+            <ExclamationTriangleIcon className="h-4 w-4 text-yellow-500 mr-2" />
+            <span className="text-sm text-yellow-800">
+              {account.circuitBreaker.state === 'OPEN'
+                ? `API marketplace sedang bermasalah. Sinkronisasi ditunda${account.circuitBreaker.retryAt ? ` hingga ${new Date(account.circuitBreaker.retryAt).toLocaleTimeString('id-ID')}` : ''}.`
+                : 'Menguji koneksi ke marketplace...'}
+            </span>
+          </div>
         </div>
       )}
 
@@ -0,0 +1,436 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { ArrowDownTrayIcon, CheckCircleIcon, MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { marketplacesApi, productsApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+interface MarketplaceAccount {
+  id: string
+  storeName: string
+  marketplace: {
+    name: string
+    code: string
+  }
+}
+
+interface ListingVariant {
+  id: string
+  sku: string | null
+  variantName: string
+}
+
+interface ProductMatch {
+  productId: string
+  variantId?: string | null
+  sku: string
+  name: string
+  method: 'listing' | 'sku' | 'name'
+  score: number
+}
+
+interface ImportProposal {
+  listing: {
+    id: string
+    sku: string | null
+    name: string
+    price: number
+    stock: number
+    images: string[]
+    variants: ListingVariant[]
+  }
+  status: 'linked' | 'matched' | 'suggested' | 'new'
+  match: ProductMatch | null
+  candidates: ProductMatch[]
+}
+
+interface ImportResultItem {
+  marketplaceProductId: string
+  action: 'created' | 'linked' | 'skipped' | 'failed'
+  error?: string
+}
+
+interface ImportResult {
+  created: number
+  linked: number
+  skipped: number
+  failed: number
+  results: ImportResultItem[]
+}
+
+interface Decision {
+  action: 'create' | 'link' | 'skip'
+  productId?: string
+  variantId?: string | null
+  productName?: string
+}
+
+interface ProductImportModalProps {
+  account: MarketplaceAccount
+  onClose: () => void
+}
+
+const statusLabels: Record<ImportProposal['status'], { label: string, className: string }> = {
+  linked: { label: 'Sudah terhubung', className: 'bg-gray-100 text-gray-700' },
+  matched: { label: 'Cocok SKU', className: 'bg-green-100 text-green-800' },
+  suggested: { label: 'Nama mirip', className: 'bg-yellow-100 text-yellow-800' },
+  new: { label: 'Produk baru', className: 'bg-blue-100 text-blue-800' }
+}
+
+// SKU matches are linked and unmatched listings created; name suggestions wait for the user
+const defaultDecision = (proposal: ImportProposal): Decision => {
+  if (proposal.status === 'matched' && proposal.match) {
+    return {
+      action: 'link',
+      productId: proposal.match.productId,
+      variantId: proposal.match.variantId,
+      productName: proposal.match.name
+    }
+  }
+  if (proposal.status === 'new') {
+    return { action: 'create' }
+  }
+  return { action: 'skip' }
+}
+
+interface ProductSearchProps {
+  onSelect: (product: { id: string, name: string, sku: string }) => void
+}
+
+const ProductSearch: React.FC<ProductSearchProps> = ({ onSelect }) => {
+  const [search, setSearch] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [search])
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['products', 'import-search', debouncedSearch],
+    queryFn: () => productsApi.getAll({ search: debouncedSearch, limit: 10 }),
+    enabled: debouncedSearch.length >= 2
+  })
+
+  const products: Array<{ id: string, name: string, sku: string }> = data?.data?.products || []
+
+  return (
+    <div className="mt-2 border border-gray-200 rounded-lg p-2 bg-gray-50">
+      <div className="relative">
+        <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input w-full pl-9"
+          placeholder="Cari nama atau SKU produk..."
+          autoFocus
+        />
+      </div>
+
+      {debouncedSearch.length >= 2 && (
+        <div className="mt-2 max-h-40 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-12">
+              <LoadingSpinner size="sm" />
+            </div>
+          ) : products.length === 0 ? (
+            <p className="py-2 text-center text-xs text-gray-500">Produk tidak ditemukan</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {products.map((product) => (
+                <li key={product.id}>
+                  <button
+                    type="button"
+                    onClick={() => onSelect(product)}
+                    className="w-full px-2 py-1.5 text-left text-sm hover:bg-white rounded"
+                  >
+                    <span className="font-medium text-gray-900">{product.name}</span>
+                    <span className="ml-2 text-xs text-gray-500">{product.sku}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const ProductImportModal: React.FC<ProductImportModalProps> = ({ account, onClose }) => {
+  const [importId, setImportId] = useState<string | null>(null)
+  const [decisions, setDecisions] = useState<Record<string, Decision>>({})
+  const [filter, setFilter] = useState<ImportProposal['status'] | 'all'>('all')
+  const [searchingListingId, setSearchingListingId] = useState<string | null>(null)
+  const [result, setResult] = useState<ImportResult | null>(null)
+
+  const queryClient = useQueryClient()
+
+  const startMutation = useMutation({
+    mutationFn: () => marketplacesApi.startImport(account.id),
+    onSuccess: (response) => {
+      setImportId(response.data.importId)
+      setDecisions({})
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memulai impor produk')
+    }
+  })
+
+  const { data: importData } = useQuery({
+    queryKey: ['product-import', account.id, importId],
+    queryFn: () => marketplacesApi.getImport(account.id, importId as string),
+    enabled: !!importId,
+    // Poll while the job is still reading listings
+    refetchInterval: (data) => (['PENDING', 'IN_PROGRESS'].includes(data?.data?.import?.status) ? 2000 : false)
+  })
+
+  const productImport = importData?.data?.import
+  const proposals: ImportProposal[] = useMemo(() => productImport?.listings || [], [productImport])
+  const isScanning = !!importId && (!productImport || ['PENDING', 'IN_PROGRESS'].includes(productImport.status))
+
+  useEffect(() => {
+    if (productImport?.status === 'SUCCESS') {
+      setDecisions(Object.fromEntries(proposals.map(proposal => [proposal.listing.id, defaultDecision(proposal)])))
+    }
+  }, [productImport?.status, proposals])
+
+  const applyMutation = useMutation({
+    mutationFn: () => marketplacesApi.applyImport(
+      account.id,
+      importId as string,
+      proposals
+        .filter(proposal => proposal.status !== 'linked')
+        .map(proposal => {
+          const { action, productId, variantId } = decisions[proposal.listing.id] || { action: 'skip' }
+          return { marketplaceProductId: proposal.listing.id, action, productId, variantId }
+        })
+    ),
+    onSuccess: (response) => {
+      setResult(response.data)
+      toast.success(`${response.data.created} produk dibuat, ${response.data.linked} produk dihubungkan`)
+      queryClient.invalidateQueries(['products'])
+      queryClient.invalidateQueries(['marketplace-accounts'])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal menerapkan impor produk')
+    }
+  })
+
+  const setDecision = (listingId: string, decision: Decision) => {
+    setDecisions(current => ({ ...current, [listingId]: decision }))
+  }
+
+  const countByStatus = (status: ImportProposal['status'] | 'all') =>
+    status === 'all' ? proposals.length : proposals.filter(proposal => proposal.status === status).length
+
+  const visibleProposals = filter === 'all' ? proposals : proposals.filter(proposal => proposal.status === filter)
+  const pendingCount = proposals.filter(proposal => proposal.status !== 'linked' && decisions[proposal.listing.id]?.action !== 'skip').length
+  const failedResults = result?.results.filter(item => item.action === 'failed') || []
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  Impor Produk {account.marketplace.name}
+                </h3>
+                <p className="text-sm text-gray-500">{account.storeName}</p>
+              </div>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {result ? (
+              <div>
+                <div className="flex items-center p-3 rounded-lg border border-green-200 bg-green-50">
+                  <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+                  <span className="text-sm text-green-800">
+                    {result.created} produk dibuat, {result.linked} dihubungkan, {result.skipped} dilewati
+                  </span>
+                </div>
+
+                {failedResults.length > 0 && (
+                  <div className="mt-3">
+                    <p className="text-sm font-medium text-red-700">{failedResults.length} produk gagal diimpor</p>
+                    <ul className="mt-1 space-y-1 max-h-48 overflow-y-auto">
+                      {failedResults.map((item) => (
+                        <li key={item.marketplaceProductId} className="text-xs text-red-700">
+                          <span className="font-medium">
+                            {proposals.find(proposal => proposal.listing.id === item.marketplaceProductId)?.listing.name || item.marketplaceProductId}:
+                          </span> {item.error}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            ) : !importId ? (
+              <div className="py-6 text-center">
+                <ArrowDownTrayIcon className="mx-auto h-10 w-10 text-gray-400" />
+                <p className="mt-3 text-sm text-gray-600">
+                  Semua produk di toko {account.marketplace.name} akan dibaca dan dicocokkan dengan katalog Anda
+                  berdasarkan SKU, atau nama yang mirip bila SKU tidak cocok.
+                </p>
+                <p className="mt-1 text-sm text-gray-500">
+                  Tidak ada yang diubah sebelum Anda meninjau dan menerapkan hasilnya.
+                </p>
+                <button
+                  onClick={() => startMutation.mutate()}
+                  disabled={startMutation.isLoading}
+                  className="btn btn-primary btn-md mt-4"
+                >
+                  {startMutation.isLoading ? 'Memulai...' : 'Baca Produk Marketplace'}
+                </button>
+              </div>
+            ) : isScanning ? (
+              <div className="flex items-center justify-center h-40">
+                <LoadingSpinner size="md" text="Membaca produk marketplace..." />
+              </div>
+            ) : productImport?.status === 'FAILED' ? (
+              <div className="py-6 text-center">
+                <p className="text-sm text-red-600">Gagal membaca produk: {productImport.errorMessage}</p>
+                <button
+                  onClick={() => startMutation.mutate()}
+                  disabled={startMutation.isLoading}
+                  className="btn btn-outline btn-sm mt-3"
+                >
+                  Coba Lagi
+                </button>
+              </div>
+            ) : proposals.length === 0 ? (
+              <p className="py-8 text-center text-sm text-gray-500">Tidak ada produk di toko ini</p>
+            ) : (
+              <div>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {(['all', 'matched', 'suggested', 'new', 'linked'] as const).map((status) => (
+                    <button
+                      key={status}
+                      onClick={() => setFilter(status)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${filter === status ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                      {status === 'all' ? 'Semua' : statusLabels[status].label} ({countByStatus(status)})
+                    </button>
+                  ))}
+                </div>
+
+                <ul className="divide-y divide-gray-200 max-h-[55vh] overflow-y-auto">
+                  {visibleProposals.map((proposal) => {
+                    const { listing } = proposal
+                    const decision = decisions[listing.id] || defaultDecision(proposal)
+                    const linkOptions = [proposal.match, ...proposal.candidates]
+                      .filter((match): match is ProductMatch => !!match)
+                      .filter((match, index, matches) => matches.findIndex(item => item.productId === match.productId) === index)
+
+                    return (
+                      <li key={listing.id} className="py-3">
+                        <div className="flex items-start justify-between">
+                          <div className="min-w-0 mr-4">
+                            <p className="text-sm font-medium text-gray-900 truncate">{listing.name}</p>
+                            <p className="text-xs text-gray-500">
+                              {listing.sku || 'Tanpa SKU'} · Rp {Number(listing.price || 0).toLocaleString('id-ID')} · Stok {listing.stock ?? 0}
+                              {listing.variants.length > 0 && ` · ${listing.variants.length} varian`}
+                            </p>
+                            <span className={`inline-flex items-center px-2 py-0.5 mt-1 rounded-full text-xs font-medium ${statusLabels[proposal.status].className}`}>
+                              {statusLabels[proposal.status].label}
+                              {proposal.status === 'suggested' && proposal.match && ` ${Math.round(proposal.match.score * 100)}%`}
+                            </span>
+                          </div>
+
+                          {proposal.status === 'linked' ? (
+                            <p className="text-xs text-gray-600 text-right">→ {proposal.match?.name}</p>
+                          ) : (
+                            <select
+                              value={decision.action === 'link' ? `link:${decision.productId}` : decision.action}
+                              onChange={(e) => {
+                                const value = e.target.value
+                                if (value === 'search') {
+                                  setSearchingListingId(listing.id)
+                                  return
+                                }
+                                setSearchingListingId(null)
+                                if (value.startsWith('link:')) {
+                                  const match = linkOptions.find(item => item.productId === value.slice('link:'.length))
+                                  setDecision(listing.id, {
+                                    action: 'link',
+                                    productId: match?.productId || decision.productId,
+                                    variantId: match?.variantId,
+                                    productName: match?.name || decision.productName
+                                  })
+                                } else {
+                                  setDecision(listing.id, { action: value as Decision['action'] })
+                                }
+                              }}
+                              className="input w-64 text-sm"
+                            >
+                              <option value="create">Buat produk baru</option>
+                              {linkOptions.map((match) => (
+                                <option key={match.productId} value={`link:${match.productId}`}>
+                                  Hubungkan: {match.name}
+                                </option>
+                              ))}
+                              {decision.action === 'link' && !linkOptions.some(match => match.productId === decision.productId) && (
+                                <option value={`link:${decision.productId}`}>Hubungkan: {decision.productName}</option>
+                              )}
+                              <option value="search">Hubungkan ke produk lain...</option>
+                              <option value="skip">Lewati</option>
+                            </select>
+                          )}
+                        </div>
+
+                        {searchingListingId === listing.id && (
+                          <ProductSearch
+                            onSelect={(product) => {
+                              setDecision(listing.id, { action: 'link', productId: product.id, variantId: null, productName: product.name })
+                              setSearchingListingId(null)
+                            }}
+                          />
+                        )}
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                onClick={onClose}
+                className="btn btn-outline btn-md"
+              >
+                {result ? 'Tutup' : 'Batal'}
+              </button>
+              {!result && productImport?.status === 'SUCCESS' && proposals.length > 0 && (
+                <button
+                  onClick={() => applyMutation.mutate()}
+                  disabled={applyMutation.isLoading || pendingCount === 0}
+                  className="btn btn-primary btn-md"
+                >
+                  {applyMutation.isLoading ? 'Menerapkan...' : `Terapkan (${pendingCount})`}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProductImportModal
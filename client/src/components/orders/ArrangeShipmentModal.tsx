@@ -0,0 +1,254 @@
+import React, { useState } from 'react'
+import {
+  XMarkIcon,
+  TruckIcon,
+  BuildingStorefrontIcon,
+  PrinterIcon,
+  CheckCircleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline'
+import { useMutation } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { ordersApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+interface ArrangeShipmentModalProps {
+  orderIds: string[]
+  onClose: () => void
+  onSuccess: () => void
+}
+
+interface ShipmentResult {
+  orderId: string
+  orderNumber?: string
+  success: boolean
+  action?: 'arranged' | 'skipped'
+  trackingNumber?: string
+  carrier?: string
+  error?: string
+}
+
+const methodOptions = [
+  {
+    value: 'pickup' as const,
+    label: 'Pickup',
+    description: 'Kurir menjemput paket di alamat toko pada jadwal terdekat',
+    icon: TruckIcon
+  },
+  {
+    value: 'dropoff' as const,
+    label: 'Drop-off',
+    description: 'Paket diantar sendiri ke cabang kurir',
+    icon: BuildingStorefrontIcon
+  }
+]
+
+const downloadPdf = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+const ArrangeShipmentModal: React.FC<ArrangeShipmentModalProps> = ({
+  orderIds,
+  onClose,
+  onSuccess
+}) => {
+  const [method, setMethod] = useState<'pickup' | 'dropoff'>('pickup')
+  const [results, setResults] = useState<ShipmentResult[] | null>(null)
+  const [labelFailures, setLabelFailures] = useState<string[]>([])
+
+  const labelsMutation = useMutation({
+    mutationFn: (ids: string[]) => ordersApi.getShippingLabels(ids),
+    onSuccess: (response) => {
+      const failed = (response.headers['x-failed-orders'] || '').split(',').filter(Boolean)
+      setLabelFailures(failed)
+      downloadPdf(response.data, `label-pengiriman-${new Date().toISOString().split('T')[0]}.pdf`)
+      toast.success('Label pengiriman berhasil diunduh')
+    },
+    onError: async (error: any) => {
+      // Error bodies arrive as blobs because labels are requested as binary
+      const body = error.response?.data instanceof Blob
+        ? JSON.parse(await error.response.data.text())
+        : error.response?.data
+      setLabelFailures((body?.failed || []).map((item: any) => item.orderId))
+      toast.error(body?.message || 'Gagal mengunduh label pengiriman')
+    }
+  })
+
+  const arrangeMutation = useMutation({
+    mutationFn: () => ordersApi.arrangeShipments(orderIds, method),
+    onSuccess: (response) => {
+      const { results: arranged, successCount, failureCount } = response.data
+      setResults(arranged)
+      onSuccess()
+
+      if (failureCount > 0) {
+        toast.error(`${failureCount} pesanan gagal diatur pengirimannya`)
+      }
+      if (successCount > 0) {
+        labelsMutation.mutate(arranged.filter((result: ShipmentResult) => result.success).map((result: ShipmentResult) => result.orderId))
+      }
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal mengatur pengiriman')
+    }
+  })
+
+  const arrangedIds = (results || []).filter(result => result.success).map(result => result.orderId)
+  const isLoading = arrangeMutation.isLoading || labelsMutation.isLoading
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                Atur Pengiriman & Cetak Label
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {!results ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Pilih cara penyerahan paket untuk {orderIds.length} pesanan. Nomor resi disimpan di pesanan dan
+                  label semua pesanan digabung menjadi satu PDF.
+                </p>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {methodOptions.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => setMethod(option.value)}
+                      className={cn(
+                        'p-4 border rounded-lg text-left transition-colors',
+                        method === option.value
+                          ? 'border-primary-500 bg-primary-50'
+                          : 'border-gray-200 hover:border-gray-300'
+                      )}
+                    >
+                      <div className="flex items-center">
+                        <option.icon className="h-5 w-5 mr-2 text-gray-600" />
+                        <span className="text-sm font-medium text-gray-900">{option.label}</span>
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">{option.description}</p>
+                    </button>
+                  ))}
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="btn btn-outline btn-md"
+                    disabled={isLoading}
+                  >
+                    Batal
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => arrangeMutation.mutate()}
+                    className="btn btn-primary btn-md"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      'Atur Pengiriman'
+                    )}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div className="max-h-80 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {results.map(result => (
+                    <div key={result.orderId} className="flex items-start justify-between px-4 py-3">
+                      <div className="flex items-start">
+                        {result.success ? (
+                          <CheckCircleIcon className="h-5 w-5 mr-2 text-green-500 flex-shrink-0" />
+                        ) : (
+                          <XCircleIcon className="h-5 w-5 mr-2 text-red-500 flex-shrink-0" />
+                        )}
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {result.orderNumber || result.orderId}
+                          </p>
+                          {result.success ? (
+                            <p className="text-xs text-gray-500">
+                              {result.trackingNumber
+                                ? `${result.carrier ? `${result.carrier} · ` : ''}Resi ${result.trackingNumber}`
+                                : 'Menunggu nomor resi dari marketplace'}
+                              {result.action === 'skipped' && ' (sudah diatur sebelumnya)'}
+                            </p>
+                          ) : (
+                            <p className="text-xs text-red-600">{result.error}</p>
+                          )}
+                        </div>
+                      </div>
+                      {labelFailures.includes(result.orderId) && (
+                        <span className="text-xs text-yellow-700">Label belum tersedia</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="btn btn-outline btn-md"
+                  >
+                    Tutup
+                  </button>
+                  {arrangedIds.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => labelsMutation.mutate(arrangedIds)}
+                      className="btn btn-primary btn-md"
+                      disabled={isLoading}
+                    >
+                      {labelsMutation.isLoading ? (
+                        <LoadingSpinner size="sm" />
+                      ) : (
+                        <>
+                          <PrinterIcon className="h-4 w-4 mr-2" />
+                          Cetak Ulang Label
+                        </>
+                      )}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ArrangeShipmentModal
@@ -6,7 +6,9 @@ import {
   UserIcon,
   DocumentArrowDownIcon,
   TrashIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  PrinterIcon,
+  ClipboardDocumentListIcon
 } from '@heroicons/react/24/outline'
 import { useMutation, useQueryClient } from '@tanstack/react-query'
 import toast from 'react-hot-toast'
@@ -19,12 +21,16 @@ interface OrderBulkActionsProps {
   selectedOrders: string[]
   onClearSelection: () => void
   onRefresh: () => void
+  onArrangeShipment: () => void
+  onCreatePickingWave: () => void
 }
 
 const OrderBulkActions: React.FC<OrderBulkActionsProps> = ({
   selectedOrders,
   onClearSelection,
-  onRefresh
+  onRefresh,
+  onArrangeShipment,
+  onCreatePickingWave
 }) => {
   const [showStatusMenu, setShowStatusMenu] = useState(false)
   const [showTagMenu, setShowTagMenu] = useState(false)
@@ -207,6 +213,26 @@ const OrderBulkActions: React.FC<OrderBulkActionsProps> = ({
               )}
             </div>
 
+            {/* Arrange shipment */}
+            <button
+              onClick={onArrangeShipment}
+              disabled={isLoading}
+              className="btn btn-outline btn-sm"
+            >
+              <PrinterIcon className="h-4 w-4 mr-2" />
+              Atur Pengiriman & Cetak Label
+            </button>
+
+            {/* Picking wave */}
+            <button
+              onClick={onCreatePickingWave}
+              disabled={isLoading}
+              className="btn btn-outline btn-sm"
+            >
+              <ClipboardDocumentListIcon className="h-4 w-4 mr-2" />
+              Pick List & Slip
+            </button>
+
             {/* Assign */}
             <button
               onClick={() => setShowAssignMenu(!showAssignMenu)}
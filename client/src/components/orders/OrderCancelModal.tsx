@@ -0,0 +1,137 @@
+import React, { useState } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { ordersApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+interface CancelReason {
+  code: string
+  label: string
+}
+
+interface OrderCancelModalProps {
+  order: {
+    id: string
+    orderNumber: string
+    marketplaceAccount: {
+      marketplace: {
+        name: string
+      }
+    }
+  }
+  onClose: () => void
+  onSuccess: () => void
+}
+
+const OrderCancelModal: React.FC<OrderCancelModalProps> = ({ order, onClose, onSuccess }) => {
+  const [reasonCode, setReasonCode] = useState('')
+
+  const { data: reasonsData, isLoading: reasonsLoading, error } = useQuery({
+    queryKey: ['order-cancel-reasons', order.id],
+    queryFn: () => ordersApi.getCancelReasons(order.id)
+  })
+
+  const reasons: CancelReason[] = reasonsData?.data?.reasons || []
+
+  const cancelMutation = useMutation({
+    mutationFn: () => ordersApi.cancel(order.id, reasonCode),
+    onSuccess: (response) => {
+      const { restocked } = response.data
+      toast.success(`Pesanan dibatalkan, ${restocked} item dikembalikan ke stok`)
+      onSuccess()
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal membatalkan pesanan')
+    }
+  })
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                Batalkan Pesanan {order.orderNumber}
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <p className="mb-4 text-sm text-gray-500">
+              Pesanan dibatalkan di {order.marketplaceAccount.marketplace.name} dengan alasan yang dipilih,
+              lalu semua item dikembalikan ke stok.
+            </p>
+
+            {reasonsLoading ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner text="Memuat alasan pembatalan..." />
+              </div>
+            ) : error ? (
+              <p className="text-sm text-red-600">
+                {(error as any).response?.data?.message || 'Gagal memuat alasan pembatalan'}
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {reasons.map((reason) => (
+                  <label
+                    key={reason.code}
+                    className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer"
+                  >
+                    <input
+                      type="radio"
+                      name="reasonCode"
+                      value={reason.code}
+                      checked={reasonCode === reason.code}
+                      onChange={() => setReasonCode(reason.code)}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                    />
+                    <span className="text-sm text-gray-900">{reason.label}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-outline btn-md"
+                disabled={cancelMutation.isLoading}
+              >
+                Kembali
+              </button>
+              <button
+                type="button"
+                onClick={() => cancelMutation.mutate()}
+                className="btn btn-error btn-md"
+                disabled={!reasonCode || cancelMutation.isLoading}
+              >
+                {cancelMutation.isLoading ? (
+                  <LoadingSpinner size="sm" />
+                ) : (
+                  'Ya, Batalkan'
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrderCancelModal
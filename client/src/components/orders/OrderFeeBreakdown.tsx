@@ -0,0 +1,113 @@
+import React from 'react'
+import { ArrowPathIcon } from '@heroicons/react/24/outline'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { ordersApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+interface OrderFee {
+  id: string
+  type: string
+  amount: number | string
+  description?: string | null
+}
+
+interface OrderFeeBreakdownProps {
+  order: {
+    id: string
+    feesTotal?: number | string | null
+    netProceeds?: number | string | null
+    feeSource?: 'ESTIMATED' | 'MARKETPLACE' | null
+    feesUpdatedAt?: string | null
+    orderFees?: OrderFee[]
+  }
+}
+
+const FEE_LABELS: Record<string, string> = {
+  COMMISSION: 'Komisi',
+  PAYMENT: 'Biaya pembayaran',
+  SHIPPING_PROGRAM: 'Program gratis ongkir',
+  VOUCHER_SUBSIDY: 'Subsidi voucher',
+  SERVICE: 'Biaya layanan',
+  OTHER: 'Biaya lain'
+}
+
+const formatAmount = (amount: number | string) => `Rp ${Number(amount).toLocaleString('id-ID')}`
+
+const OrderFeeBreakdown: React.FC<OrderFeeBreakdownProps> = ({ order }) => {
+  const queryClient = useQueryClient()
+  const fees = order.orderFees || []
+
+  const refreshMutation = useMutation({
+    mutationFn: () => ordersApi.refreshFees(order.id),
+    onSuccess: (response) => {
+      toast.success(response.data.source === 'MARKETPLACE'
+        ? 'Potongan diambil dari marketplace'
+        : 'Potongan dihitung ulang dari aturan biaya')
+      queryClient.invalidateQueries(['order-detail', order.id])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memperbarui potongan marketplace')
+    }
+  })
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-900">
+          Potongan Marketplace
+          {order.feeSource && (
+            <span className={cn(
+              'ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium',
+              order.feeSource === 'MARKETPLACE' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+            )}>
+              {order.feeSource === 'MARKETPLACE' ? 'Dari marketplace' : 'Estimasi'}
+            </span>
+          )}
+        </span>
+        <button
+          onClick={() => refreshMutation.mutate()}
+          disabled={refreshMutation.isLoading}
+          className="btn btn-outline btn-sm"
+        >
+          {refreshMutation.isLoading ? (
+            <LoadingSpinner size="sm" />
+          ) : (
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+          )}
+          Perbarui
+        </button>
+      </div>
+
+      {fees.length === 0 ? (
+        <p className="text-sm text-gray-500">Belum ada potongan tercatat.</p>
+      ) : (
+        fees.map((fee) => (
+          <div key={fee.id} className="flex justify-between text-sm">
+            <span className="text-gray-500">{fee.description || FEE_LABELS[fee.type] || fee.type}</span>
+            <span className={Number(fee.amount) < 0 ? 'text-green-600' : 'text-gray-900'}>
+              {Number(fee.amount) < 0 ? '+' : '-'} {formatAmount(Math.abs(Number(fee.amount)))}
+            </span>
+          </div>
+        ))
+      )}
+
+      {order.netProceeds != null && (
+        <div className="flex justify-between text-base font-medium border-t border-gray-200 pt-2">
+          <span className="text-gray-900">Pendapatan Bersih:</span>
+          <span className="text-gray-900">{formatAmount(order.netProceeds)}</span>
+        </div>
+      )}
+
+      {order.feesUpdatedAt && (
+        <p className="text-xs text-gray-400">
+          Terakhir diperbarui {new Date(order.feesUpdatedAt).toLocaleString('id-ID')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default OrderFeeBreakdown
@@ -19,6 +19,8 @@ interface OrderFiltersProps {
   filters: {
     status: string
     marketplaceAccountId: string
+    shipmentStuck: string
+    statusConflict: string
     startDate: string
     endDate: string
     sortBy: string
@@ -43,6 +45,8 @@ const OrderFilters: React.FC<OrderFiltersProps> = ({ filters, onFilterChange })
     onFilterChange({
       status: '',
       marketplaceAccountId: '',
+      shipmentStuck: '',
+      statusConflict: '',
       startDate: '',
       endDate: '',
       sortBy: 'orderDate',
@@ -51,7 +55,7 @@ const OrderFilters: React.FC<OrderFiltersProps> = ({ filters, onFilterChange })
   }
 
   const hasActiveFilters = filters.status || filters.marketplaceAccountId || 
-    filters.startDate || filters.endDate
+    filters.shipmentStuck || filters.statusConflict || filters.startDate || filters.endDate
 
   return (
     <div className="space-y-4">
@@ -203,6 +207,20 @@ const OrderFilters: React.FC<OrderFiltersProps> = ({ filters, onFilterChange })
           >
             Perlu Diproses
           </button>
+          <button
+            type="button"
+            onClick={() => handleFilterChange('shipmentStuck', 'true')}
+            className="btn btn-outline btn-sm"
+          >
+            Pengiriman Tertahan
+          </button>
+          <button
+            type="button"
+            onClick={() => handleFilterChange('statusConflict', 'true')}
+            className="btn btn-outline btn-sm"
+          >
+            Status Bentrok
+          </button>
         </div>
       </div>
 
@@ -236,6 +254,32 @@ const OrderFilters: React.FC<OrderFiltersProps> = ({ filters, onFilterChange })
               </span>
             )}
 
+            {filters.shipmentStuck && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-primary-100 text-primary-800">
+                Pengiriman tertahan
+                <button
+                  type="button"
+                  onClick={() => handleFilterChange('shipmentStuck', '')}
+                  className="ml-2 text-primary-600 hover:text-primary-800"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </span>
+            )}
+
+            {filters.statusConflict && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-primary-100 text-primary-800">
+                Status bentrok
+                <button
+                  type="button"
+                  onClick={() => handleFilterChange('statusConflict', '')}
+                  className="ml-2 text-primary-600 hover:text-primary-800"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </span>
+            )}
+
             {filters.startDate && (
               <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-primary-100 text-primary-800">
                 Dari: {new Date(filters.startDate).toLocaleDateString('id-ID')}
@@ -0,0 +1,288 @@
+import React, { useState } from 'react'
+import { CubeIcon, TruckIcon } from '@heroicons/react/24/outline'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { ordersApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+interface OrderItem {
+  id: string
+  productName: string
+  variantName?: string | null
+  sku: string
+  quantity: number
+  cancelledQuantity?: number
+}
+
+interface Shipment {
+  id: string
+  status: 'PENDING' | 'SHIPPED' | 'DELIVERED' | 'CANCELLED'
+  trackingNumber?: string | null
+  shippingCarrier?: string | null
+  shippedAt?: string | null
+  deliveredAt?: string | null
+  createdAt: string
+  items: { orderItemId: string; quantity: number }[]
+}
+
+interface OrderShipmentsProps {
+  order: {
+    id: string
+    status: string
+    orderItems: OrderItem[]
+    shipments?: Shipment[]
+  }
+}
+
+type SelectedItems = { orderItemId: string; quantity: number }[]
+
+const statusConfig: Record<Shipment['status'], { label: string; color: string }> = {
+  PENDING: { label: 'Disiapkan', color: 'bg-yellow-100 text-yellow-800' },
+  SHIPPED: { label: 'Dikirim', color: 'bg-blue-100 text-blue-800' },
+  DELIVERED: { label: 'Diterima', color: 'bg-green-100 text-green-800' },
+  CANCELLED: { label: 'Dibatalkan', color: 'bg-gray-100 text-gray-800' }
+}
+
+const nextActions: Record<Shipment['status'], { status: Shipment['status']; label: string }[]> = {
+  PENDING: [
+    { status: 'SHIPPED', label: 'Tandai Dikirim' },
+    { status: 'CANCELLED', label: 'Batalkan' }
+  ],
+  SHIPPED: [{ status: 'DELIVERED', label: 'Tandai Diterima' }],
+  DELIVERED: [],
+  CANCELLED: []
+}
+
+const CLOSED_STATUSES = ['DELIVERED', 'CANCELLED', 'REFUNDED']
+
+/**
+ * Units of each item not cancelled and not in a shipment that is not cancelled
+ */
+const getUnassigned = (order: OrderShipmentsProps['order']) => {
+  const unassigned = new Map(
+    order.orderItems.map(item => [item.id, item.quantity - (item.cancelledQuantity || 0)])
+  )
+
+  for (const shipment of order.shipments || []) {
+    if (shipment.status === 'CANCELLED') continue
+    for (const item of shipment.items) {
+      unassigned.set(item.orderItemId, (unassigned.get(item.orderItemId) || 0) - item.quantity)
+    }
+  }
+
+  return unassigned
+}
+
+const OrderShipments: React.FC<OrderShipmentsProps> = ({ order }) => {
+  const queryClient = useQueryClient()
+  const [quantities, setQuantities] = useState<Record<string, number>>({})
+  const [trackingNumber, setTrackingNumber] = useState('')
+  const [carrier, setCarrier] = useState('')
+  const [cancelReason, setCancelReason] = useState('')
+
+  const shipments = order.shipments || []
+  const unassigned = getUnassigned(order)
+  const itemsById = new Map(order.orderItems.map(item => [item.id, item]))
+  const isClosed = CLOSED_STATUSES.includes(order.status)
+  const hasUnassigned = [...unassigned.values()].some(quantity => quantity > 0)
+
+  const selectedItems: SelectedItems = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([orderItemId, quantity]) => ({ orderItemId, quantity }))
+
+  const onDone = (message: string) => {
+    toast.success(message)
+    setQuantities({})
+    setTrackingNumber('')
+    setCarrier('')
+    setCancelReason('')
+    queryClient.invalidateQueries(['order-detail', order.id])
+  }
+
+  const onError = (fallback: string) => (error: any) => {
+    toast.error(error.response?.data?.message || fallback)
+  }
+
+  const createMutation = useMutation({
+    mutationFn: (status: 'PENDING' | 'SHIPPED') =>
+      ordersApi.createShipment(order.id, {
+        items: selectedItems,
+        trackingNumber: trackingNumber || undefined,
+        carrier: carrier || undefined,
+        status
+      }),
+    onSuccess: () => onDone('Pengiriman dibuat'),
+    onError: onError('Gagal membuat pengiriman')
+  })
+
+  const updateMutation = useMutation({
+    mutationFn: ({ shipmentId, status }: { shipmentId: string; status: string }) =>
+      ordersApi.updateShipment(order.id, shipmentId, { status }),
+    onSuccess: () => onDone('Status pengiriman diperbarui'),
+    onError: onError('Gagal memperbarui pengiriman')
+  })
+
+  const cancelItemsMutation = useMutation({
+    mutationFn: () => ordersApi.cancelItems(order.id, selectedItems, cancelReason || undefined),
+    onSuccess: (response) =>
+      onDone(`Item dibatalkan, ${response.data.restocked} produk dikembalikan ke stok`),
+    onError: onError('Gagal membatalkan item')
+  })
+
+  const isBusy = createMutation.isLoading || cancelItemsMutation.isLoading
+
+  return (
+    <div className="bg-white rounded-lg shadow-soft p-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Pengiriman</h2>
+
+      {shipments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">Belum ada pengiriman untuk pesanan ini</p>
+      ) : (
+        <ul className="space-y-3 mb-6">
+          {shipments.map((shipment, index) => {
+            const config = statusConfig[shipment.status]
+
+            return (
+              <li key={shipment.id} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <TruckIcon className="h-5 w-5 text-gray-400 mr-2" />
+                    <span className="text-sm font-medium text-gray-900">Paket {index + 1}</span>
+                    <span className={cn('ml-2 px-2 py-0.5 rounded-full text-xs font-medium', config.color)}>
+                      {config.label}
+                    </span>
+                  </div>
+                  <div className="flex space-x-2">
+                    {nextActions[shipment.status].map(action => (
+                      <button
+                        key={action.status}
+                        onClick={() => updateMutation.mutate({ shipmentId: shipment.id, status: action.status })}
+                        disabled={updateMutation.isLoading}
+                        className="btn btn-outline btn-sm"
+                      >
+                        {action.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {shipment.trackingNumber && (
+                  <p className="mt-1 text-sm text-gray-500">
+                    {shipment.shippingCarrier && `${shipment.shippingCarrier} · `}Resi {shipment.trackingNumber}
+                  </p>
+                )}
+
+                <ul className="mt-2 text-sm text-gray-700">
+                  {shipment.items.map(item => (
+                    <li key={item.orderItemId}>
+                      {item.quantity} x {itemsById.get(item.orderItemId)?.productName || item.orderItemId}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {!isClosed && hasUnassigned && (
+        <div className="pt-4 border-t border-gray-200">
+          <h3 className="text-sm font-medium text-gray-900 mb-1">Item yang belum dikirim</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            Pilih jumlah per item untuk pengiriman terpisah atau pembatalan sebagian. Tanpa pilihan, pengiriman
+            berisi semua item yang tersisa.
+          </p>
+
+          <div className="space-y-2">
+            {order.orderItems.map(item => {
+              const left = unassigned.get(item.id) || 0
+              if (left <= 0) return null
+
+              return (
+                <div key={item.id} className="flex items-center justify-between text-sm">
+                  <div className="flex items-center min-w-0">
+                    <CubeIcon className="h-4 w-4 text-gray-400 mr-2 flex-shrink-0" />
+                    <span className="truncate">
+                      {item.productName}
+                      {item.variantName && ` (${item.variantName})`}
+                    </span>
+                    <span className="ml-2 text-gray-500">tersisa {left}</span>
+                  </div>
+                  <input
+                    type="number"
+                    min={0}
+                    max={left}
+                    value={quantities[item.id] || 0}
+                    onChange={(event) => setQuantities({
+                      ...quantities,
+                      [item.id]: Math.min(left, Math.max(0, Number(event.target.value) || 0))
+                    })}
+                    className="input w-20 text-right"
+                    aria-label={`Jumlah ${item.productName}`}
+                  />
+                </div>
+              )
+            })}
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              value={trackingNumber}
+              onChange={(event) => setTrackingNumber(event.target.value)}
+              placeholder="Nomor resi (opsional)"
+              className="input"
+            />
+            <input
+              type="text"
+              value={carrier}
+              onChange={(event) => setCarrier(event.target.value)}
+              placeholder="Kurir (opsional)"
+              className="input"
+            />
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              onClick={() => createMutation.mutate('PENDING')}
+              disabled={isBusy}
+              className="btn btn-outline btn-sm"
+            >
+              {createMutation.isLoading && <LoadingSpinner size="sm" />}
+              Buat Pengiriman
+            </button>
+            <button
+              onClick={() => createMutation.mutate('SHIPPED')}
+              disabled={isBusy}
+              className="btn btn-primary btn-sm"
+            >
+              Kirim Sekarang
+            </button>
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={cancelReason}
+              onChange={(event) => setCancelReason(event.target.value)}
+              placeholder="Alasan pembatalan item (opsional)"
+              className="input flex-1"
+            />
+            <button
+              onClick={() => cancelItemsMutation.mutate()}
+              disabled={isBusy || selectedItems.length === 0}
+              className="btn btn-outline btn-sm text-red-600"
+            >
+              {cancelItemsMutation.isLoading && <LoadingSpinner size="sm" />}
+              Batalkan Item Terpilih
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OrderShipments
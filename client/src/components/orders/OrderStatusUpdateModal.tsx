@@ -20,6 +20,7 @@ interface OrderStatusUpdateModalProps {
     id: string
     orderNumber: string
     status: string
+    nextStatuses?: string[]
     marketplaceAccount: {
       marketplace: {
         name: string
@@ -113,6 +114,12 @@ const OrderStatusUpdateModal: React.FC<OrderStatusUpdateModalProps> = ({
 
   const currentReasonTemplates = reasonTemplates[watchedStatus as keyof typeof reasonTemplates] || []
 
+  // Only the statuses the order can still move to
+  const { nextStatuses } = order
+  const availableOptions = nextStatuses
+    ? statusOptions.filter(option => nextStatuses.includes(option.value))
+    : statusOptions
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
@@ -160,8 +167,13 @@ const OrderStatusUpdateModal: React.FC<OrderStatusUpdateModalProps> = ({
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Status Baru
                 </label>
+                {availableOptions.length === 0 && (
+                  <p className="text-sm text-gray-500">
+                    Status pesanan ini tidak dapat diubah lagi.
+                  </p>
+                )}
                 <div className="space-y-2">
-                  {statusOptions.map((option) => (
+                  {availableOptions.map((option) => (
                     <label
                       key={option.value}
                       className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer"
@@ -0,0 +1,355 @@
+import React, { useState } from 'react'
+import {
+  XMarkIcon,
+  ClipboardDocumentListIcon,
+  DocumentArrowDownIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { useMutation, useQuery } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { marketplacesApi, pickingWavesApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+interface PickingWaveModalProps {
+  orderIds: string[]
+  onClose: () => void
+  onSuccess: () => void
+}
+
+interface PickingWave {
+  id: string
+  orderCount: number
+  createdAt: string
+}
+
+type DocumentType = 'pick-list' | 'packing-slips'
+type DocumentFormat = 'pdf' | 'csv'
+
+const documents: { type: DocumentType; label: string; description: string }[] = [
+  {
+    type: 'pick-list',
+    label: 'Daftar Ambil Barang',
+    description: 'Semua unit dijumlahkan per lokasi rak dan SKU, urut sesuai rute pengambilan'
+  },
+  {
+    type: 'packing-slips',
+    label: 'Slip Pengepakan',
+    description: 'Satu slip per pesanan berisi penerima, kurir, batas kirim dan isi paket'
+  }
+]
+
+const downloadFile = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+const PickingWaveModal: React.FC<PickingWaveModalProps> = ({
+  orderIds,
+  onClose,
+  onSuccess
+}) => {
+  const [onlySelected, setOnlySelected] = useState(orderIds.length > 0)
+  const [accountIds, setAccountIds] = useState<string[]>([])
+  const [carriers, setCarriers] = useState<string[]>([])
+  const [shipByBefore, setShipByBefore] = useState('')
+  const [wave, setWave] = useState<PickingWave | null>(null)
+
+  const { data: accountsData } = useQuery({
+    queryKey: ['marketplace-accounts'],
+    queryFn: marketplacesApi.getAccounts
+  })
+
+  const { data: carriersData } = useQuery({
+    queryKey: ['picking-carriers'],
+    queryFn: pickingWavesApi.getCarriers
+  })
+
+  const { data: wavesData, refetch: refetchWaves } = useQuery({
+    queryKey: ['picking-waves'],
+    queryFn: () => pickingWavesApi.getAll({ limit: 5 })
+  })
+
+  const accounts = accountsData?.data?.accounts || []
+  const availableCarriers: string[] = carriersData?.data?.carriers || []
+  const recentWaves: PickingWave[] = wavesData?.data?.waves || []
+
+  const toggle = (values: string[], value: string) => (
+    values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+  )
+
+  const createMutation = useMutation({
+    mutationFn: () => pickingWavesApi.create({
+      ...(onlySelected && { orderIds }),
+      marketplaceAccountIds: accountIds,
+      carriers,
+      ...(shipByBefore && { shipByBefore: new Date(shipByBefore).toISOString() })
+    }),
+    onSuccess: (response) => {
+      setWave(response.data.wave)
+      toast.success(`Gelombang picking dibuat dengan ${response.data.wave.orderCount} pesanan`)
+      refetchWaves()
+      onSuccess()
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal membuat gelombang picking')
+    }
+  })
+
+  const downloadMutation = useMutation({
+    mutationFn: ({ waveId, type, format }: { waveId: string; type: DocumentType; format: DocumentFormat }) =>
+      pickingWavesApi.download(waveId, type, format),
+    onSuccess: (response, { waveId, type, format }) => {
+      downloadFile(response.data, `${type}-${waveId.slice(-6)}.${format}`)
+    },
+    onError: () => {
+      toast.error('Gagal mengunduh dokumen')
+    }
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (waveId: string) => pickingWavesApi.delete(waveId),
+    onSuccess: (response) => {
+      setWave(null)
+      toast.success(`Gelombang dihapus, ${response.data.releasedOrders} pesanan dapat diambil lagi`)
+      refetchWaves()
+      onSuccess()
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal menghapus gelombang picking')
+    }
+  })
+
+  const handleDelete = (waveId: string) => {
+    if (confirm('Hapus gelombang ini? Pesanannya dapat dimasukkan ke gelombang lain.')) {
+      deleteMutation.mutate(waveId)
+    }
+  }
+
+  const renderDownloads = (waveId: string) => (
+    <div className="space-y-3">
+      {documents.map(item => (
+        <div key={item.type} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+          <div className="pr-4">
+            <p className="text-sm font-medium text-gray-900">{item.label}</p>
+            <p className="text-xs text-gray-500">{item.description}</p>
+          </div>
+          <div className="flex space-x-2 flex-shrink-0">
+            {(['pdf', 'csv'] as DocumentFormat[]).map(format => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => downloadMutation.mutate({ waveId, type: item.type, format })}
+                disabled={downloadMutation.isLoading}
+                className="btn btn-outline btn-sm"
+              >
+                <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                Gelombang Picking
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {!wave ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Pesanan yang menunggu dikemas dan belum masuk gelombang lain dikumpulkan, batas kirim terdekat
+                  lebih dulu.
+                </p>
+
+                {orderIds.length > 0 && (
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={onlySelected}
+                      onChange={(e) => setOnlySelected(e.target.checked)}
+                      className="h-4 w-4 mr-2 rounded border-gray-300"
+                    />
+                    Hanya {orderIds.length} pesanan yang dipilih
+                  </label>
+                )}
+
+                <div>
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Marketplace</p>
+                  <div className="flex flex-wrap gap-2">
+                    {accounts.map((account: any) => (
+                      <button
+                        key={account.id}
+                        type="button"
+                        onClick={() => setAccountIds(toggle(accountIds, account.id))}
+                        className={cn(
+                          'px-3 py-1 rounded-full border text-xs',
+                          accountIds.includes(account.id)
+                            ? 'border-primary-500 bg-primary-50 text-primary-700'
+                            : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                        )}
+                      >
+                        {account.marketplace.name} - {account.storeName}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">Tanpa pilihan, semua marketplace diikutkan</p>
+                </div>
+
+                <div>
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Kurir</p>
+                  {availableCarriers.length > 0 ? (
+                    <div className="flex flex-wrap gap-2">
+                      {availableCarriers.map(carrier => (
+                        <button
+                          key={carrier}
+                          type="button"
+                          onClick={() => setCarriers(toggle(carriers, carrier))}
+                          className={cn(
+                            'px-3 py-1 rounded-full border text-xs',
+                            carriers.includes(carrier)
+                              ? 'border-primary-500 bg-primary-50 text-primary-700'
+                              : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                          )}
+                        >
+                          {carrier}
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-500">Belum ada kurir pada pesanan yang menunggu</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Batas kirim sebelum
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={shipByBefore}
+                    onChange={(e) => setShipByBefore(e.target.value)}
+                    className="input text-sm w-full"
+                  />
+                </div>
+
+                {recentWaves.length > 0 && (
+                  <div>
+                    <p className="block text-sm font-medium text-gray-700 mb-2">Gelombang terakhir</p>
+                    <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                      {recentWaves.map(recent => (
+                        <button
+                          key={recent.id}
+                          type="button"
+                          onClick={() => setWave(recent)}
+                          className="flex w-full items-center justify-between px-4 py-2 text-sm hover:bg-gray-50"
+                        >
+                          <span className="text-gray-900">
+                            {new Date(recent.createdAt).toLocaleString('id-ID')}
+                          </span>
+                          <span className="text-gray-500">{recent.orderCount} pesanan</span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="btn btn-outline btn-md"
+                    disabled={createMutation.isLoading}
+                  >
+                    Batal
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => createMutation.mutate()}
+                    className="btn btn-primary btn-md"
+                    disabled={createMutation.isLoading}
+                  >
+                    {createMutation.isLoading ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      <>
+                        <ClipboardDocumentListIcon className="h-4 w-4 mr-2" />
+                        Buat Gelombang
+                      </>
+                    )}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Gelombang {new Date(wave.createdAt).toLocaleString('id-ID')} berisi {wave.orderCount} pesanan.
+                </p>
+
+                {renderDownloads(wave.id)}
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(wave.id)}
+                    className="btn btn-outline btn-md mr-auto text-red-600"
+                    disabled={deleteMutation.isLoading}
+                  >
+                    <TrashIcon className="h-4 w-4 mr-2" />
+                    Hapus Gelombang
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setWave(null)}
+                    className="btn btn-outline btn-md"
+                  >
+                    Kembali
+                  </button>
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="btn btn-primary btn-md"
+                  >
+                    Selesai
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PickingWaveModal
@@ -0,0 +1,222 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { returnsApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+export interface ReturnRequest {
+  id: string
+  orderId: string
+  marketplaceRequestId: string
+  type: 'CANCELLATION' | 'RETURN'
+  status: string
+  reason?: string | null
+  refundAmount?: number | string | null
+  requiresReturn: boolean
+  items: { sku: string; quantity: number }[]
+  requestedAt: string
+  restockedAt?: string | null
+  order?: {
+    id: string
+    orderNumber: string
+    marketplaceAccount?: {
+      storeName?: string
+      marketplace?: { name: string }
+    }
+  }
+}
+
+interface ReturnRequestListProps {
+  requests: ReturnRequest[]
+  showOrder?: boolean
+}
+
+type Action = 'accept' | 'reject' | 'dispute' | 'receive'
+
+const statusConfig: Record<string, { label: string; color: string }> = {
+  REQUESTED: { label: 'Menunggu Respon', color: 'bg-yellow-100 text-yellow-800' },
+  ACCEPTED: { label: 'Disetujui', color: 'bg-blue-100 text-blue-800' },
+  REJECTED: { label: 'Ditolak', color: 'bg-gray-100 text-gray-800' },
+  DISPUTED: { label: 'Disengketakan', color: 'bg-orange-100 text-orange-800' },
+  RECEIVED: { label: 'Barang Diterima', color: 'bg-indigo-100 text-indigo-800' },
+  REFUNDED: { label: 'Dana Dikembalikan', color: 'bg-green-100 text-green-800' },
+  CLOSED: { label: 'Selesai', color: 'bg-gray-100 text-gray-800' }
+}
+
+const typeLabels = {
+  CANCELLATION: 'Pembatalan',
+  RETURN: 'Retur'
+}
+
+const successMessages: Record<Action, string> = {
+  accept: 'Permintaan disetujui',
+  reject: 'Permintaan ditolak',
+  dispute: 'Sengketa diajukan',
+  receive: 'Barang retur diterima dan dikembalikan ke stok'
+}
+
+const ReturnRequestList: React.FC<ReturnRequestListProps> = ({ requests, showOrder = false }) => {
+  const queryClient = useQueryClient()
+  const [disputing, setDisputing] = useState<string | null>(null)
+  const [disputeReason, setDisputeReason] = useState('')
+
+  const actionMutation = useMutation({
+    mutationFn: ({ request, action }: { request: ReturnRequest; action: Action }) =>
+      action === 'receive'
+        ? returnsApi.markReceived(request.id)
+        : returnsApi.respond(request.id, action, action === 'dispute' ? disputeReason : undefined),
+    onSuccess: (_, { request, action }) => {
+      toast.success(successMessages[action])
+      setDisputing(null)
+      setDisputeReason('')
+      queryClient.invalidateQueries(['order-detail', request.orderId])
+      queryClient.invalidateQueries(['return-requests'])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memproses permintaan')
+    }
+  })
+
+  const runAction = (request: ReturnRequest, action: Action) =>
+    actionMutation.mutate({ request, action })
+
+  const isRunning = (request: ReturnRequest) =>
+    actionMutation.isLoading && actionMutation.variables?.request.id === request.id
+
+  if (requests.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Tidak ada permintaan pembatalan atau retur.
+      </p>
+    )
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {requests.map((request) => {
+        const status = statusConfig[request.status] || { label: request.status, color: 'bg-gray-100 text-gray-800' }
+        const canDispute = request.type === 'RETURN' && ['REQUESTED', 'ACCEPTED', 'RECEIVED'].includes(request.status)
+
+        return (
+          <li key={request.id} className="py-4 first:pt-0 last:pb-0">
+            <div className="flex items-start justify-between space-x-4">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    {typeLabels[request.type]} {request.marketplaceRequestId}
+                  </span>
+                  <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', status.color)}>
+                    {status.label}
+                  </span>
+                </div>
+
+                {showOrder && request.order && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    <Link to={`/orders/${request.order.id}`} className="text-primary-600 hover:text-primary-700">
+                      {request.order.orderNumber}
+                    </Link>
+                    {request.order.marketplaceAccount?.marketplace && (
+                      <span> · {request.order.marketplaceAccount.marketplace.name}</span>
+                    )}
+                  </p>
+                )}
+
+                {request.reason && (
+                  <p className="text-sm text-gray-500 mt-1">Alasan: {request.reason}</p>
+                )}
+                {request.type === 'RETURN' && request.items.length > 0 && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    {request.items.map(item => `${item.quantity}x ${item.sku}`).join(', ')}
+                    {!request.requiresReturn && ' (tanpa pengembalian barang)'}
+                  </p>
+                )}
+                {request.refundAmount != null && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    Refund: Rp {Number(request.refundAmount).toLocaleString('id-ID')}
+                  </p>
+                )}
+                <p className="text-xs text-gray-400 mt-1">
+                  Diajukan {new Date(request.requestedAt).toLocaleString('id-ID')}
+                  {request.restockedAt && ' · stok dikembalikan'}
+                </p>
+              </div>
+
+              <div className="flex flex-shrink-0 items-center space-x-2">
+                {isRunning(request) && <LoadingSpinner size="sm" />}
+                {request.status === 'REQUESTED' && (
+                  <>
+                    <button
+                      onClick={() => runAction(request, 'accept')}
+                      disabled={actionMutation.isLoading}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Setujui
+                    </button>
+                    <button
+                      onClick={() => runAction(request, 'reject')}
+                      disabled={actionMutation.isLoading}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Tolak
+                    </button>
+                  </>
+                )}
+                {request.type === 'RETURN' && request.status === 'ACCEPTED' && request.requiresReturn && (
+                  <button
+                    onClick={() => runAction(request, 'receive')}
+                    disabled={actionMutation.isLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Barang Diterima
+                  </button>
+                )}
+                {canDispute && disputing !== request.id && (
+                  <button
+                    onClick={() => setDisputing(request.id)}
+                    disabled={actionMutation.isLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Sengketakan
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {disputing === request.id && (
+              <div className="mt-3 space-y-2">
+                <textarea
+                  value={disputeReason}
+                  onChange={(e) => setDisputeReason(e.target.value)}
+                  rows={2}
+                  maxLength={500}
+                  className="input w-full"
+                  placeholder="Jelaskan alasan sengketa..."
+                />
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={() => setDisputing(null)}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Batal
+                  </button>
+                  <button
+                    onClick={() => runAction(request, 'dispute')}
+                    disabled={!disputeReason.trim() || actionMutation.isLoading}
+                    className="btn btn-error btn-sm"
+                  >
+                    Ajukan Sengketa
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default ReturnRequestList
@@ -0,0 +1,148 @@
+import React from 'react'
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  MapPinIcon,
+  TruckIcon
+} from '@heroicons/react/24/outline'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+
+import { ordersApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import { cn } from '@/utils/cn'
+
+interface TrackingEvent {
+  id: string
+  status?: string | null
+  description: string
+  location?: string | null
+  occurredAt: string
+}
+
+interface TrackingTimelineProps {
+  order: {
+    id: string
+    status: string
+    trackingNumber?: string | null
+    shippingCarrier?: string | null
+    shipmentStuck?: boolean
+    lastCheckpointAt?: string | null
+    trackingCheckedAt?: string | null
+    trackingEvents?: TrackingEvent[]
+  }
+}
+
+const TrackingTimeline: React.FC<TrackingTimelineProps> = ({ order }) => {
+  const queryClient = useQueryClient()
+  const events = order.trackingEvents || []
+
+  const refreshMutation = useMutation({
+    mutationFn: () => ordersApi.refreshTracking(order.id),
+    onSuccess: () => {
+      toast.success('Pelacakan pengiriman diperbarui')
+      queryClient.invalidateQueries(['order-detail', order.id])
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memperbarui pelacakan')
+    }
+  })
+
+  return (
+    <div className="bg-white rounded-lg shadow-soft p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Pelacakan Pengiriman</h2>
+          {order.trackingNumber && (
+            <p className="text-sm text-gray-500">
+              {order.shippingCarrier && `${order.shippingCarrier} · `}Resi {order.trackingNumber}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => refreshMutation.mutate()}
+          disabled={refreshMutation.isLoading}
+          className="btn btn-outline btn-sm"
+        >
+          {refreshMutation.isLoading ? (
+            <LoadingSpinner size="sm" />
+          ) : (
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+          )}
+          Perbarui
+        </button>
+      </div>
+
+      {order.shipmentStuck && ['PROCESSING', 'SHIPPED'].includes(order.status) && (
+        <div className="mb-4 flex items-start p-3 rounded-md bg-yellow-50 text-sm text-yellow-800">
+          <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          <span>
+            Pengiriman tertahan: tidak ada pembaruan dari kurir sejak{' '}
+            {order.lastCheckpointAt
+              ? new Date(order.lastCheckpointAt).toLocaleString('id-ID')
+              : 'pengiriman diatur'}.
+          </span>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Belum ada riwayat pelacakan dari kurir.
+        </p>
+      ) : (
+        <div className="flow-root">
+          <ul className="-mb-8">
+            {events.map((event, index) => (
+              <li key={event.id}>
+                <div className="relative pb-8">
+                  {index !== events.length - 1 && (
+                    <span
+                      className="absolute top-4 left-4 -ml-px h-full w-0.5 bg-gray-200"
+                      aria-hidden="true"
+                    />
+                  )}
+                  <div className="relative flex space-x-3">
+                    <div>
+                      <span className={cn(
+                        'h-8 w-8 rounded-full flex items-center justify-center ring-8 ring-white',
+                        index === 0 ? 'bg-blue-500' : 'bg-gray-400'
+                      )}>
+                        <TruckIcon className="h-5 w-5 text-white" />
+                      </span>
+                    </div>
+                    <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
+                      <div>
+                        <p className={cn('text-sm', index === 0 ? 'font-medium text-gray-900' : 'text-gray-500')}>
+                          {event.description}
+                        </p>
+                        {event.location && (
+                          <p className="flex items-center text-xs text-gray-400 mt-1">
+                            <MapPinIcon className="h-3 w-3 mr-1" />
+                            {event.location}
+                          </p>
+                        )}
+                      </div>
+                      <div className="text-right text-sm whitespace-nowrap text-gray-500">
+                        <time dateTime={event.occurredAt}>
+                          {new Date(event.occurredAt).toLocaleString('id-ID')}
+                        </time>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {order.trackingCheckedAt && (
+        <p className="mt-4 text-xs text-gray-400">
+          Terakhir diperiksa {new Date(order.trackingCheckedAt).toLocaleString('id-ID')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default TrackingTimeline
@@ -0,0 +1,126 @@
+import React from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { CheckCircleIcon, ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+import { productsApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+interface ValidationError {
+  param: string
+  msg: string
+}
+
+interface MarketplaceValidation {
+  marketplaceAccountId: string
+  storeName: string
+  marketplace: string
+  marketplaceCategoryId: string | null
+  valid: boolean
+  errors: ValidationError[]
+}
+
+interface MarketplaceValidationModalProps {
+  product: {
+    id: string
+    name: string
+  }
+  onClose: () => void
+}
+
+// "attributes.bahan" -> "Atribut bahan"
+const formatField = (param: string) => {
+  if (param === 'categoryId') return 'Kategori'
+  if (param.startsWith('attributes.')) return `Atribut ${param.slice('attributes.'.length)}`
+  return param
+}
+
+const MarketplaceValidationModal: React.FC<MarketplaceValidationModalProps> = ({ product, onClose }) => {
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ['product-validation', product.id],
+    queryFn: () => productsApi.validate(product.id)
+  })
+
+  const marketplaces: MarketplaceValidation[] = data?.data?.marketplaces || []
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Kelayakan Marketplace</h3>
+                <p className="text-sm text-gray-500 truncate">{product.name}</p>
+              </div>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center h-32">
+                <LoadingSpinner size="md" text="Memeriksa persyaratan marketplace..." />
+              </div>
+            ) : isError ? (
+              <p className="py-8 text-center text-sm text-red-600">Gagal memeriksa produk</p>
+            ) : marketplaces.length === 0 ? (
+              <p className="py-8 text-center text-sm text-gray-500">Belum ada marketplace terhubung</p>
+            ) : (
+              <ul className="space-y-3">
+                {marketplaces.map((result) => (
+                  <li
+                    key={result.marketplaceAccountId}
+                    className={`p-3 rounded-lg border ${result.valid ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}
+                  >
+                    <div className="flex items-center">
+                      {result.valid ? (
+                        <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+                      ) : (
+                        <ExclamationTriangleIcon className="h-5 w-5 text-red-500 mr-2" />
+                      )}
+                      <span className="text-sm font-medium text-gray-900">
+                        {result.marketplace} · {result.storeName}
+                      </span>
+                    </div>
+                    {result.valid ? (
+                      <p className="mt-1 text-xs text-green-700">Siap dipublikasikan</p>
+                    ) : (
+                      <ul className="mt-2 space-y-1">
+                        {result.errors.map((error, index) => (
+                          <li key={index} className="text-xs text-red-700">
+                            <span className="font-medium">{formatField(error.param)}:</span> {error.msg}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex justify-end pt-4">
+              <button
+                onClick={onClose}
+                className="btn btn-outline btn-md"
+              >
+                Tutup
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MarketplaceValidationModal
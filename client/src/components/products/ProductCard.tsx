@@ -5,7 +5,8 @@ import {
   PencilIcon, 
   TrashIcon,
   ExclamationTriangleIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline'
 
 import { cn } from '@/utils/cn'
@@ -38,9 +39,10 @@ interface Product {
 
 interface ProductCardProps {
   product: Product
+  onValidate?: () => void
 }
 
-const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
+const ProductCard: React.FC<ProductCardProps> = ({ product, onValidate }) => {
   const isLowStock = product.inventory && 
     product.inventory.stockQuantity <= product.inventory.minStockLevel
 
@@ -181,6 +183,16 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
           </Link>
           
           <div className="flex items-center space-x-2">
+            {onValidate && (
+              <button
+                type="button"
+                onClick={onValidate}
+                className="p-1 text-gray-400 hover:text-gray-600"
+                title="Cek kelayakan marketplace"
+              >
+                <ShieldCheckIcon className="h-4 w-4" />
+              </button>
+            )}
             <Link
               to={`/products/${product.id}`}
               className="p-1 text-gray-400 hover:text-gray-600"
@@ -73,6 +73,14 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
         toast.info(`Stok ${data.productName} diperbarui: ${data.newStock}`)
       })
 
+      newSocket.on('marketplace-circuit-update', (data) => {
+        if (data.state === 'OPEN') {
+          toast.error(`${data.marketplace} (${data.storeName}) tidak dapat dihubungi, sinkronisasi ditunda`)
+        } else if (data.state === 'CLOSED') {
+          toast.success(`${data.marketplace} (${data.storeName}) kembali normal`)
+        }
+      })
+
       setSocket(newSocket)
 
       // Cleanup on unmount
@@ -6,13 +6,20 @@ import { vi } from 'vitest'
 import '@testing-library/jest-dom'
 
 import OrderDetailPage from '../orders/OrderDetailPage'
-import { ordersApi } from '@/services/api'
+import { ordersApi, returnsApi } from '@/services/api'
 
 // Mock the API
 vi.mock('@/services/api', () => ({
   ordersApi: {
     getById: vi.fn(),
-    updateStatus: vi.fn()
+    updateStatus: vi.fn(),
+    getCancelReasons: vi.fn(),
+    cancel: vi.fn(),
+    refreshFees: vi.fn()
+  },
+  returnsApi: {
+    respond: vi.fn(),
+    markReceived: vi.fn()
   }
 }))
 
@@ -179,6 +186,45 @@ describe('OrderDetailPage', () => {
     expect(screen.getByText('Rp 150.000')).toBeInTheDocument()
   })
 
+  it('renders marketplace fees and net proceeds', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: {
+        order: {
+          ...mockOrder,
+          feesTotal: 9500,
+          netProceeds: 125500,
+          feeSource: 'MARKETPLACE',
+          orderFees: [
+            { id: 'fee-1', type: 'COMMISSION', amount: 10000, description: 'Biaya administrasi' },
+            { id: 'fee-2', type: 'VOUCHER_SUBSIDY', amount: -500, description: null }
+          ]
+        }
+      }
+    })
+    vi.mocked(ordersApi.refreshFees).mockResolvedValue({
+      data: { source: 'MARKETPLACE' }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Potongan Marketplace')).toBeInTheDocument()
+    })
+
+    expect(screen.getByText('Dari marketplace')).toBeInTheDocument()
+    expect(screen.getByText('Biaya administrasi')).toBeInTheDocument()
+    expect(screen.getByText('- Rp 10.000')).toBeInTheDocument()
+    expect(screen.getByText('Subsidi voucher')).toBeInTheDocument()
+    expect(screen.getByText('+ Rp 500')).toBeInTheDocument()
+    expect(screen.getByText('Rp 125.500')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Perbarui'))
+
+    await waitFor(() => {
+      expect(ordersApi.refreshFees).toHaveBeenCalledWith('test-order-id')
+    })
+  })
+
   it('renders status timeline correctly', async () => {
     vi.mocked(ordersApi.getById).mockResolvedValue({
       data: { order: mockOrder }
@@ -194,6 +240,153 @@ describe('OrderDetailPage', () => {
     expect(screen.getByText('oleh SYSTEM')).toBeInTheDocument()
   })
 
+  it('renders shipment tracking with a stuck warning', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: {
+        order: {
+          ...mockOrder,
+          status: 'SHIPPED',
+          trackingNumber: 'JNE123',
+          shippingCarrier: 'JNE',
+          shipmentStuck: true,
+          lastCheckpointAt: '2024-01-16T08:00:00Z',
+          trackingEvents: [
+            {
+              id: 'event-1',
+              description: 'Paket diterima kurir',
+              location: 'Jakarta Barat',
+              occurredAt: '2024-01-16T08:00:00Z'
+            }
+          ]
+        }
+      }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Pelacakan Pengiriman')).toBeInTheDocument()
+    })
+
+    expect(screen.getByText(/Resi JNE123/)).toBeInTheDocument()
+    expect(screen.getByText('Paket diterima kurir')).toBeInTheDocument()
+    expect(screen.getByText('Jakarta Barat')).toBeInTheDocument()
+    expect(screen.getByText(/Pengiriman tertahan/)).toBeInTheDocument()
+  })
+
+  it('does not warn about a stuck shipment once the order is delivered', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: {
+        order: {
+          ...mockOrder,
+          status: 'DELIVERED',
+          trackingNumber: 'JNE123',
+          shippingCarrier: 'JNE',
+          shipmentStuck: true,
+          trackingEvents: []
+        }
+      }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Pelacakan Pengiriman')).toBeInTheDocument()
+    })
+
+    expect(screen.queryByText(/Pengiriman tertahan/)).not.toBeInTheDocument()
+  })
+
+  it('cancels the order with a marketplace reason', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: { order: mockOrder }
+    })
+    vi.mocked(ordersApi.getCancelReasons).mockResolvedValue({
+      data: { reasons: [{ code: 'OUT_OF_STOCK', label: 'Stok habis' }] }
+    })
+    vi.mocked(ordersApi.cancel).mockResolvedValue({
+      data: { status: 'CANCELLED', cancelReason: 'Stok habis', restocked: 1 }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Batalkan Pesanan')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('Batalkan Pesanan'))
+
+    await waitFor(() => {
+      expect(screen.getByText('Stok habis')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByLabelText('Stok habis'))
+    fireEvent.click(screen.getByText('Ya, Batalkan'))
+
+    await waitFor(() => {
+      expect(ordersApi.cancel).toHaveBeenCalledWith('test-order-id', 'OUT_OF_STOCK')
+    })
+  })
+
+  it('hides cancellation once the order has shipped', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: { order: { ...mockOrder, status: 'SHIPPED' } }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Pesanan TEST-ORDER-001')).toBeInTheDocument()
+    })
+
+    expect(screen.queryByText('Batalkan Pesanan')).not.toBeInTheDocument()
+  })
+
+  it('renders return requests and answers them', async () => {
+    vi.mocked(ordersApi.getById).mockResolvedValue({
+      data: {
+        order: {
+          ...mockOrder,
+          status: 'DELIVERED',
+          returnRequests: [
+            {
+              id: 'request-1',
+              orderId: 'test-order-id',
+              marketplaceRequestId: 'RR-001',
+              type: 'RETURN',
+              status: 'REQUESTED',
+              reason: 'Barang rusak',
+              refundAmount: 75000,
+              requiresReturn: true,
+              items: [{ sku: 'TEST-SKU-001', quantity: 1 }],
+              requestedAt: '2024-01-20T10:00:00Z'
+            }
+          ]
+        }
+      }
+    })
+    vi.mocked(returnsApi.respond).mockResolvedValue({
+      data: { message: 'Request answered successfully' }
+    })
+
+    render(<OrderDetailPage />, { wrapper: createWrapper() })
+
+    await waitFor(() => {
+      expect(screen.getByText('Pembatalan & Retur')).toBeInTheDocument()
+    })
+
+    expect(screen.getByText('Retur RR-001')).toBeInTheDocument()
+    expect(screen.getByText('Alasan: Barang rusak')).toBeInTheDocument()
+    expect(screen.getByText('1x TEST-SKU-001')).toBeInTheDocument()
+    expect(screen.getByText('Refund: Rp 75.000')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Setujui'))
+
+    await waitFor(() => {
+      expect(returnsApi.respond).toHaveBeenCalledWith('request-1', 'accept', undefined)
+    })
+  })
+
   it('renders tags when present', async () => {
     vi.mocked(ordersApi.getById).mockResolvedValue({
       data: { order: mockOrder }
@@ -0,0 +1,65 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useQueryClient } from '@tanstack/react-query'
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { marketplacesApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+
+const MarketplaceOAuthCallbackPage: React.FC = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const [error, setError] = useState<string | null>(null)
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    // The authorization code can only be exchanged once
+    if (submitted.current) return
+    submitted.current = true
+
+    const { state, code, ...params } = Object.fromEntries(searchParams.entries())
+
+    if (!state || !code) {
+      setError('Otorisasi dibatalkan atau tautan tidak valid')
+      return
+    }
+
+    marketplacesApi.completeAuthorization({ state, code, params })
+      .then(() => {
+        toast.success('Marketplace berhasil dihubungkan')
+        queryClient.invalidateQueries(['marketplace-accounts'])
+        navigate('/marketplaces', { replace: true })
+      })
+      .catch((err: any) => {
+        setError(err.response?.data?.message || 'Gagal menyelesaikan otorisasi')
+      })
+  }, [searchParams, navigate, queryClient])
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-soft p-6 text-center">
+        <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">
+          Otorisasi gagal
+        </h3>
+        <p className="mt-1 text-sm text-gray-500">{error}</p>
+        <button
+          onClick={() => navigate('/marketplaces', { replace: true })}
+          className="mt-4 btn btn-primary btn-md"
+        >
+          Kembali ke Marketplace
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center justify-center h-64">
+      <LoadingSpinner size="lg" text="Menyelesaikan otorisasi marketplace..." />
+    </div>
+  )
+}
+
+export default MarketplaceOAuthCallbackPage
@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { 
   PlusIcon, 
@@ -13,10 +13,13 @@ import {
 import toast from 'react-hot-toast'
 
 import { marketplacesApi, stockSyncApi } from '@/services/api'
+import { useSocket } from '@/contexts/SocketContext'
 import LoadingSpinner from '@/components/ui/LoadingSpinner'
 import MarketplaceCard from '@/components/marketplaces/MarketplaceCard'
 import ConnectMarketplaceModal from '@/components/marketplaces/ConnectMarketplaceModal'
 import SyncRulesModal from '@/components/marketplaces/SyncRulesModal'
+import CategoryMappingModal from '@/components/marketplaces/CategoryMappingModal'
+import ProductImportModal from '@/components/marketplaces/ProductImportModal'
 import SyncStatsCard from '@/components/marketplaces/SyncStatsCard'
 import { cn } from '@/utils/cn'
 
@@ -24,8 +27,21 @@ const MarketplacesPage: React.FC = () => {
   const [showConnectModal, setShowConnectModal] = useState(false)
   const [showSyncRulesModal, setShowSyncRulesModal] = useState(false)
   const [selectedMarketplace, setSelectedMarketplace] = useState<any>(null)
+  const [categoryMappingAccount, setCategoryMappingAccount] = useState<any>(null)
+  const [importAccount, setImportAccount] = useState<any>(null)
 
   const queryClient = useQueryClient()
+  const { on, off } = useSocket()
+
+  // Refresh circuit breaker badges when an account becomes unavailable or recovers
+  useEffect(() => {
+    const handleCircuitUpdate = () => {
+      queryClient.invalidateQueries(['marketplace-accounts'])
+    }
+
+    on('marketplace-circuit-update', handleCircuitUpdate)
+    return () => off('marketplace-circuit-update', handleCircuitUpdate)
+  }, [on, off, queryClient])
 
   // Fetch marketplace accounts
   const { data: accountsData, isLoading: accountsLoading } = useQuery({
@@ -81,6 +97,17 @@ const MarketplacesPage: React.FC = () => {
     }
   })
 
+  // Reconnect mutation - sends the seller to the marketplace authorization page
+  const authorizeMutation = useMutation({
+    mutationFn: (accountId: string) => marketplacesApi.authorize(accountId),
+    onSuccess: (response) => {
+      window.location.href = response.data.authorizationUrl
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal memulai otorisasi')
+    }
+  })
+
   const accounts = accountsData?.data?.accounts || []
   const availableMarketplaces = marketplacesData?.data?.marketplaces || []
   const syncRules = syncRulesData?.data?.rules || []
@@ -98,6 +125,10 @@ const MarketplacesPage: React.FC = () => {
     testConnectionMutation.mutate(accountId)
   }
 
+  const handleAuthorize = (accountId: string) => {
+    authorizeMutation.mutate(accountId)
+  }
+
   const handleSyncProducts = (accountId: string) => {
     // For now, sync all products - in real app, let user select
     syncProductsMutation.mutate({ accountId, productIds: [] })
@@ -212,6 +243,8 @@ const MarketplacesPage: React.FC = () => {
                 onTestConnection={() => handleTestConnection(account.id)}
                 onSyncProducts={() => handleSyncProducts(account.id)}
                 onViewDetails={() => {/* Navigate to account details */}}
+                onMapCategories={() => setCategoryMappingAccount(account)}
+                onImportProducts={() => setImportAccount(account)}
                 isTestingConnection={testConnectionMutation.isLoading}
                 isSyncingProducts={syncProductsMutation.isLoading}
               />
@@ -220,6 +253,30 @@ const MarketplacesPage: React.FC = () => {
         )}
       </div>
 
+      {/* Disconnected Marketplaces */}
+      {disconnectedAccounts.length > 0 && (
+        <div className="bg-white rounded-lg shadow-soft p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-6">
+            Marketplace Terputus ({disconnectedAccounts.length})
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {disconnectedAccounts.map((account) => (
+              <MarketplaceCard
+                key={account.id}
+                account={account}
+                onTestConnection={() => handleTestConnection(account.id)}
+                onSyncProducts={() => handleSyncProducts(account.id)}
+                onViewDetails={() => {/* Navigate to account details */}}
+                onAuthorize={() => handleAuthorize(account.id)}
+                isTestingConnection={testConnectionMutation.isLoading}
+                isAuthorizing={authorizeMutation.isLoading}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Available Marketplaces */}
       <div className="bg-white rounded-lg shadow-soft p-6">
         <h2 className="text-lg font-medium text-gray-900 mb-6">
@@ -263,7 +320,7 @@ const MarketplacesPage: React.FC = () => {
                       {marketplace.name}
                     </h3>
                     <p className="mt-1 text-xs text-gray-500">
-                      {marketplace.description}
+                      {marketplace.description || marketplace.plugin?.description}
                     </p>
                     
                     {isConnected ? (
@@ -362,6 +419,20 @@ const MarketplacesPage: React.FC = () => {
         />
       )}
 
+      {categoryMappingAccount && (
+        <CategoryMappingModal
+          account={categoryMappingAccount}
+          onClose={() => setCategoryMappingAccount(null)}
+        />
+      )}
+
+      {importAccount && (
+        <ProductImportModal
+          account={importAccount}
+          onClose={() => setImportAccount(null)}
+        />
+      )}
+
       {showSyncRulesModal && (
         <SyncRulesModal
           onClose={() => setShowSyncRulesModal(false)}
@@ -11,7 +11,9 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   PrinterIcon,
-  DocumentDuplicateIcon
+  DocumentDuplicateIcon,
+  NoSymbolIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline'
 import toast from 'react-hot-toast'
 
@@ -21,8 +23,22 @@ import OrderStatusBadge from '@/components/orders/OrderStatusBadge'
 import OrderStatusUpdateModal from '@/components/orders/OrderStatusUpdateModal'
 import OrderAssignModal from '@/components/orders/OrderAssignModal'
 import OrderTagModal from '@/components/orders/OrderTagModal'
+import TrackingTimeline from '@/components/orders/TrackingTimeline'
+import OrderCancelModal from '@/components/orders/OrderCancelModal'
+import ReturnRequestList from '@/components/orders/ReturnRequestList'
+import OrderFeeBreakdown from '@/components/orders/OrderFeeBreakdown'
+import OrderShipments from '@/components/orders/OrderShipments'
 import { cn } from '@/utils/cn'
 
+const CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING']
+
+const STATUS_SOURCES: Record<string, string> = {
+  MARKETPLACE: 'Marketplace',
+  USER: 'Pengguna',
+  AUTOMATION: 'Otomatisasi',
+  SYSTEM: 'Sistem'
+}
+
 const OrderDetailPage: React.FC = () => {
   const { id } = useParams<{ id: string }>()
   const navigate = useNavigate()
@@ -31,6 +47,7 @@ const OrderDetailPage: React.FC = () => {
   const [showStatusModal, setShowStatusModal] = useState(false)
   const [showAssignModal, setShowAssignModal] = useState(false)
   const [showTagModal, setShowTagModal] = useState(false)
+  const [showCancelModal, setShowCancelModal] = useState(false)
 
   // Fetch order details
   const { data: orderData, isLoading, error } = useQuery({
@@ -108,6 +125,15 @@ const OrderDetailPage: React.FC = () => {
         </div>
 
         <div className="flex items-center space-x-3">
+          {CANCELLABLE_STATUSES.includes(order.status) && (
+            <button
+              onClick={() => setShowCancelModal(true)}
+              className="btn btn-outline btn-sm"
+            >
+              <NoSymbolIcon className="h-4 w-4 mr-2" />
+              Batalkan Pesanan
+            </button>
+          )}
           <button
             onClick={() => setShowTagModal(true)}
             className="btn btn-outline btn-sm"
@@ -142,6 +168,14 @@ const OrderDetailPage: React.FC = () => {
               <OrderStatusBadge status={order.status} size="lg" />
             </div>
 
+            {order.statusConflict && (
+              <div className="mb-4 flex items-start p-3 rounded-lg bg-red-50 text-sm text-red-700">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                Marketplace melaporkan status yang tidak dapat diterapkan pada pesanan ini.
+                Periksa pesanan di marketplace lalu perbarui statusnya.
+              </div>
+            )}
+
             {/* Status Timeline */}
             <div className="flow-root">
               <ul className="-mb-8">
@@ -177,7 +211,7 @@ const OrderDetailPage: React.FC = () => {
                         <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
                           <div>
                             <p className="text-sm text-gray-500">
-                              Status diubah ke{' '}
+                              {history.rejected ? 'Status ditolak:' : 'Status diubah ke'}{' '}
                               <span className="font-medium text-gray-900">
                                 <OrderStatusBadge status={history.status} size="sm" />
                               </span>
@@ -190,8 +224,13 @@ const OrderDetailPage: React.FC = () => {
                                 Alasan: {history.reason}
                               </p>
                             )}
+                            {history.marketplaceStatus && (
+                              <p className="text-xs text-gray-400 mt-1">
+                                Status marketplace: {history.marketplaceStatus}
+                              </p>
+                            )}
                             <p className="text-xs text-gray-400 mt-1">
-                              oleh {history.changedBy}
+                              oleh {history.changedBy || STATUS_SOURCES[history.source] || history.source}
                             </p>
                           </div>
                           <div className="text-right text-sm whitespace-nowrap text-gray-500">
@@ -208,6 +247,22 @@ const OrderDetailPage: React.FC = () => {
             </div>
           </div>
 
+          {/* Shipment Tracking */}
+          {(order.trackingNumber || order.shipmentArrangedAt) && (
+            <TrackingTimeline order={order} />
+          )}
+
+          {/* Split Shipments */}
+          <OrderShipments order={order} />
+
+          {/* Cancellation & Return Requests */}
+          {order.returnRequests?.length > 0 && (
+            <div className="bg-white rounded-lg shadow-soft p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">Pembatalan & Retur</h2>
+              <ReturnRequestList requests={order.returnRequests} />
+            </div>
+          )}
+
           {/* Order Items */}
           <div className="bg-white rounded-lg shadow-soft p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Item Pesanan</h2>
@@ -250,6 +305,11 @@ const OrderDetailPage: React.FC = () => {
                     <p className="text-sm text-gray-500">
                       Total: Rp {item.totalPrice?.toLocaleString('id-ID')}
                     </p>
+                    {item.cancelledQuantity > 0 && (
+                      <p className="text-sm text-red-600">
+                        {item.cancelledQuantity} dibatalkan
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
@@ -277,6 +337,8 @@ const OrderDetailPage: React.FC = () => {
                   </span>
                 </div>
               </div>
+
+              <OrderFeeBreakdown order={order} />
             </div>
           </div>
         </div>
@@ -302,6 +364,15 @@ const OrderDetailPage: React.FC = () => {
                 </dd>
               </div>
               
+              {order.cancelReason && (
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Alasan Pembatalan</dt>
+                  <dd className="text-sm text-gray-900 mt-1">
+                    {order.cancelReason}
+                  </dd>
+                </div>
+              )}
+
               {order.assignedUser && (
                 <div>
                   <dt className="text-sm font-medium text-gray-500">Ditugaskan ke</dt>
@@ -371,6 +442,15 @@ const OrderDetailPage: React.FC = () => {
                 <p>{order.shippingAddress.country}</p>
               )}
             </div>
+
+            {order.trackingNumber && (
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <dt className="text-sm font-medium text-gray-500">Nomor Resi</dt>
+                <dd className="text-sm text-gray-900 mt-1">
+                  {order.shippingCarrier && `${order.shippingCarrier} · `}{order.trackingNumber}
+                </dd>
+              </div>
+            )}
           </div>
 
           {/* Tags */}
@@ -420,6 +500,18 @@ const OrderDetailPage: React.FC = () => {
         />
       )}
 
+      {showCancelModal && (
+        <OrderCancelModal
+          order={order}
+          onClose={() => setShowCancelModal(false)}
+          onSuccess={() => {
+            queryClient.invalidateQueries(['order-detail', id])
+            queryClient.invalidateQueries(['orders'])
+            setShowCancelModal(false)
+          }}
+        />
+      )}
+
       {showAssignModal && (
         <OrderAssignModal
           order={order}
@@ -14,6 +14,9 @@ import LoadingSpinner from '@/components/ui/LoadingSpinner'
 import Pagination from '@/components/ui/Pagination'
 import OrderStatusBadge from '@/components/orders/OrderStatusBadge'
 import OrderFilters from '@/components/orders/OrderFilters'
+import OrderBulkActions from '@/components/orders/OrderBulkActions'
+import ArrangeShipmentModal from '@/components/orders/ArrangeShipmentModal'
+import PickingWaveModal from '@/components/orders/PickingWaveModal'
 import { cn } from '@/utils/cn'
 
 const OrdersPage: React.FC = () => {
@@ -22,12 +25,17 @@ const OrdersPage: React.FC = () => {
   const [filters, setFilters] = useState({
     status: '',
     marketplaceAccountId: '',
+    shipmentStuck: '',
+    statusConflict: '',
     startDate: '',
     endDate: '',
     sortBy: 'orderDate',
     sortOrder: 'desc'
   })
   const [showFilters, setShowFilters] = useState(false)
+  const [selectedOrders, setSelectedOrders] = useState<string[]>([])
+  const [showShipmentModal, setShowShipmentModal] = useState(false)
+  const [showPickingModal, setShowPickingModal] = useState(false)
 
   const { data: ordersData, isLoading, error, refetch } = useQuery({
     queryKey: ['orders', page, search, filters],
@@ -53,6 +61,23 @@ const OrdersPage: React.FC = () => {
   const orders = ordersData?.data?.orders || []
   const pagination = ordersData?.data?.pagination
 
+  const toggleOrder = (orderId: string) => {
+    setSelectedOrders(prev => (
+      prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]
+    ))
+  }
+
+  const allSelected = orders.length > 0 && orders.every((order) => selectedOrders.includes(order.id))
+
+  const toggleAll = () => {
+    const pageIds = orders.map((order) => order.id)
+    setSelectedOrders(prev => (
+      allSelected
+        ? prev.filter(id => !pageIds.includes(id))
+        : [...prev, ...pageIds.filter((id) => !prev.includes(id))]
+    ))
+  }
+
   return (
     <div className="space-y-6">
       {/* Page header */}
@@ -171,7 +196,15 @@ const OrdersPage: React.FC = () => {
             {/* Table header */}
             <div className="bg-gray-50 px-6 py-3 border-b border-gray-200">
               <div className="grid grid-cols-12 gap-4 text-xs font-medium text-gray-500 uppercase tracking-wider">
-                <div className="col-span-3">Pesanan</div>
+                <div className="col-span-3 flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    className="h-4 w-4 mr-3 text-primary-600 border-gray-300 rounded"
+                  />
+                  Pesanan
+                </div>
                 <div className="col-span-2">Marketplace</div>
                 <div className="col-span-2">Status</div>
                 <div className="col-span-2">Total</div>
@@ -186,7 +219,13 @@ const OrdersPage: React.FC = () => {
                 <div key={order.id} className="px-6 py-4 hover:bg-gray-50">
                   <div className="grid grid-cols-12 gap-4 items-center">
                     {/* Order info */}
-                    <div className="col-span-3">
+                    <div className="col-span-3 flex items-start">
+                      <input
+                        type="checkbox"
+                        checked={selectedOrders.includes(order.id)}
+                        onChange={() => toggleOrder(order.id)}
+                        className="h-4 w-4 mr-3 mt-0.5 text-primary-600 border-gray-300 rounded"
+                      />
                       <div className="flex flex-col">
                         <p className="text-sm font-medium text-gray-900">
                           {order.orderNumber}
@@ -212,6 +251,23 @@ const OrdersPage: React.FC = () => {
                     {/* Status */}
                     <div className="col-span-2">
                       <OrderStatusBadge status={order.status} />
+                      {order.trackingNumber && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Resi {order.trackingNumber}
+                        </p>
+                      )}
+                      {order.shipmentStuck && ['PROCESSING', 'SHIPPED'].includes(order.status) && (
+                        <p className="flex items-center text-xs text-yellow-700 mt-1">
+                          <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                          Pengiriman tertahan
+                        </p>
+                      )}
+                      {order.statusConflict && (
+                        <p className="flex items-center text-xs text-red-700 mt-1">
+                          <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                          Status bentrok
+                        </p>
+                      )}
                     </div>
 
                     {/* Total */}
@@ -274,6 +330,30 @@ const OrdersPage: React.FC = () => {
           </div>
         )}
       </div>
+
+      <OrderBulkActions
+        selectedOrders={selectedOrders}
+        onClearSelection={() => setSelectedOrders([])}
+        onRefresh={() => refetch()}
+        onArrangeShipment={() => setShowShipmentModal(true)}
+        onCreatePickingWave={() => setShowPickingModal(true)}
+      />
+
+      {showShipmentModal && (
+        <ArrangeShipmentModal
+          orderIds={selectedOrders}
+          onClose={() => setShowShipmentModal(false)}
+          onSuccess={() => refetch()}
+        />
+      )}
+
+      {showPickingModal && (
+        <PickingWaveModal
+          orderIds={selectedOrders}
+          onClose={() => setShowPickingModal(false)}
+          onSuccess={() => refetch()}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,134 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { ArrowPathIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { returnsApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import Pagination from '@/components/ui/Pagination'
+import ReturnRequestList from '@/components/orders/ReturnRequestList'
+
+const ReturnsPage: React.FC = () => {
+  const [page, setPage] = useState(1)
+  const [filters, setFilters] = useState({
+    type: '',
+    status: 'REQUESTED'
+  })
+
+  const { data: requestsData, isLoading, error, refetch } = useQuery({
+    queryKey: ['return-requests', page, filters],
+    queryFn: () => returnsApi.getAll({
+      page,
+      limit: 20,
+      ...filters
+    }),
+    keepPreviousData: true
+  })
+
+  const syncMutation = useMutation({
+    mutationFn: () => returnsApi.sync(),
+    onSuccess: (response) => {
+      toast.success(`${response.data.created} permintaan baru dari marketplace`)
+      refetch()
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Gagal mengambil permintaan dari marketplace')
+    }
+  })
+
+  const handleFilterChange = (newFilters: Partial<typeof filters>) => {
+    setFilters(prev => ({ ...prev, ...newFilters }))
+    setPage(1)
+  }
+
+  const requests = requestsData?.data?.requests || []
+  const pagination = requestsData?.data?.pagination
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Retur & Pembatalan</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Tanggapi permintaan pembatalan dan retur pembeli dari semua marketplace
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0">
+          <button
+            onClick={() => syncMutation.mutate()}
+            disabled={syncMutation.isLoading}
+            className="btn btn-outline btn-md"
+          >
+            {syncMutation.isLoading ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <ArrowPathIcon className="h-5 w-5 mr-2" />
+            )}
+            Ambil dari Marketplace
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-soft p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center space-y-3 sm:space-y-0 sm:space-x-3">
+          <select
+            value={filters.type}
+            onChange={(e) => handleFilterChange({ type: e.target.value })}
+            className="input text-sm"
+          >
+            <option value="">Semua Jenis</option>
+            <option value="CANCELLATION">Pembatalan</option>
+            <option value="RETURN">Retur</option>
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => handleFilterChange({ status: e.target.value })}
+            className="input text-sm"
+          >
+            <option value="">Semua Status</option>
+            <option value="REQUESTED">Menunggu Respon</option>
+            <option value="ACCEPTED">Disetujui</option>
+            <option value="DISPUTED">Disengketakan</option>
+            <option value="RECEIVED">Barang Diterima</option>
+            <option value="REFUNDED">Dana Dikembalikan</option>
+            <option value="REJECTED">Ditolak</option>
+            <option value="CLOSED">Selesai</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Requests */}
+      <div className="bg-white rounded-lg shadow-soft">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" text="Memuat permintaan..." />
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <p className="text-sm text-red-600">Gagal memuat permintaan pembatalan dan retur</p>
+          </div>
+        ) : (
+          <>
+            <div className="p-6">
+              <ReturnRequestList requests={requests} showOrder />
+            </div>
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="px-6 py-4 border-t border-gray-200">
+                <Pagination
+                  currentPage={pagination.page}
+                  totalPages={pagination.totalPages}
+                  onPageChange={setPage}
+                />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReturnsPage
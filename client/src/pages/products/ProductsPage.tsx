@@ -16,6 +16,7 @@ import LoadingSpinner from '@/components/ui/LoadingSpinner'
 import Pagination from '@/components/ui/Pagination'
 import ProductCard from '@/components/products/ProductCard'
 import ProductFilters from '@/components/products/ProductFilters'
+import MarketplaceValidationModal from '@/components/products/MarketplaceValidationModal'
 import { cn } from '@/utils/cn'
 
 const ProductsPage: React.FC = () => {
@@ -29,6 +30,7 @@ const ProductsPage: React.FC = () => {
   })
   const [viewMode, setViewMode] = useState<'grid' | 'list'>('grid')
   const [showFilters, setShowFilters] = useState(false)
+  const [validatingProduct, setValidatingProduct] = useState<any>(null)
 
   const { data: productsData, isLoading, error } = useQuery({
     queryKey: ['products', page, search, filters],
@@ -201,7 +203,11 @@ const ProductsPage: React.FC = () => {
             {viewMode === 'grid' ? (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
                 {products.map((product) => (
-                  <ProductCard key={product.id} product={product} />
+                  <ProductCard
+                    key={product.id}
+                    product={product}
+                    onValidate={() => setValidatingProduct(product)}
+                  />
                 ))}
               </div>
             ) : (
@@ -288,6 +294,13 @@ const ProductsPage: React.FC = () => {
           </div>
         )}
       </div>
+
+      {validatingProduct && (
+        <MarketplaceValidationModal
+          product={validatingProduct}
+          onClose={() => setValidatingProduct(null)}
+        />
+      )}
     </div>
   )
 }
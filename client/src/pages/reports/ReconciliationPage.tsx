@@ -0,0 +1,343 @@
+import React, { useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import {
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  BanknotesIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  QuestionMarkCircleIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+
+import { marketplacesApi, reconciliationApi } from '@/services/api'
+import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import ReportCard from '@/components/reports/ReportCard'
+import { cn } from '@/utils/cn'
+
+const PAYOUT_STATUS: Record<string, { label: string, className: string }> = {
+  UNPAID: { label: 'Belum Dibayar', className: 'bg-red-100 text-red-800' },
+  SHORT_PAID: { label: 'Kurang Bayar', className: 'bg-yellow-100 text-yellow-800' },
+  OVERPAID: { label: 'Lebih Bayar', className: 'bg-blue-100 text-blue-800' }
+}
+
+const formatAmount = (amount: number) => `Rp ${Number(amount).toLocaleString('id-ID')}`
+
+const toDateInput = (date: Date) => date.toISOString().split('T')[0]
+
+const ReconciliationPage: React.FC = () => {
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const now = new Date()
+  const [filters, setFilters] = useState({
+    marketplaceAccountId: '',
+    startDate: toDateInput(new Date(now.getFullYear(), now.getMonth(), 1)),
+    endDate: toDateInput(now)
+  })
+
+  const { data: accountsData } = useQuery({
+    queryKey: ['marketplace-accounts'],
+    queryFn: marketplacesApi.getAccounts
+  })
+
+  const { data: reportData, isLoading, error, refetch } = useQuery({
+    queryKey: ['reconciliation-report', filters],
+    queryFn: () => reconciliationApi.getReport({
+      ...(filters.marketplaceAccountId && { marketplaceAccountId: filters.marketplaceAccountId }),
+      startDate: filters.startDate,
+      endDate: filters.endDate
+    }),
+    keepPreviousData: true
+  })
+
+  const onImported = (response: any) => {
+    toast.success(response.data.message)
+    refetch()
+  }
+
+  const onImportError = (error: any) => {
+    toast.error(error.response?.data?.message || 'Gagal mengimpor data pembayaran')
+  }
+
+  const importMutation = useMutation({
+    mutationFn: () => reconciliationApi.importSettlements(filters),
+    onSuccess: onImported,
+    onError: onImportError
+  })
+
+  const uploadMutation = useMutation({
+    mutationFn: (file: File) => reconciliationApi.uploadSettlements(filters.marketplaceAccountId, file),
+    onSuccess: onImported,
+    onError: onImportError
+  })
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    if (file) {
+      uploadMutation.mutate(file)
+    }
+    e.target.value = ''
+  }
+
+  const accounts = accountsData?.data?.accounts || []
+  const report = reportData?.data
+  const summary = report?.summary
+  const accountNames = new Map<string, string>(
+    (report?.accounts || []).map((account: any) => [account.id, `${account.marketplace.name} - ${account.storeName}`])
+  )
+  const canImport = Boolean(filters.marketplaceAccountId)
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Rekonsiliasi Pembayaran</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Cocokkan pencairan dana marketplace dengan pesanan dan temukan yang belum atau kurang dibayar
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 flex space-x-3">
+          <button
+            onClick={() => importMutation.mutate()}
+            disabled={!canImport || importMutation.isLoading}
+            title={canImport ? undefined : 'Pilih akun marketplace terlebih dahulu'}
+            className="btn btn-outline btn-md"
+          >
+            {importMutation.isLoading ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <ArrowPathIcon className="h-5 w-5 mr-2" />
+            )}
+            Ambil dari Marketplace
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!canImport || uploadMutation.isLoading}
+            title={canImport ? undefined : 'Pilih akun marketplace terlebih dahulu'}
+            className="btn btn-primary btn-md"
+          >
+            {uploadMutation.isLoading ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            )}
+            Unggah Laporan
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-soft p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center space-y-3 sm:space-y-0 sm:space-x-3">
+          <select
+            value={filters.marketplaceAccountId}
+            onChange={(e) => setFilters(prev => ({ ...prev, marketplaceAccountId: e.target.value }))}
+            className="input text-sm"
+          >
+            <option value="">Semua Akun</option>
+            {accounts.map((account: any) => (
+              <option key={account.id} value={account.id}>
+                {account.marketplace.name} - {account.storeName}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))}
+            className="input text-sm"
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))}
+            className="input text-sm"
+          />
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" text="Memuat rekonsiliasi..." />
+        </div>
+      ) : error || !summary ? (
+        <div className="text-center py-12">
+          <p className="text-sm text-red-600">Gagal memuat laporan rekonsiliasi</p>
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+            <ReportCard
+              title="Seharusnya Diterima"
+              value={formatAmount(summary.expected)}
+              icon={BanknotesIcon}
+              color="blue"
+              subtitle={`${summary.orders} pesanan`}
+            />
+            <ReportCard
+              title="Sudah Dicairkan"
+              value={formatAmount(summary.paid)}
+              icon={CheckCircleIcon}
+              color="green"
+              subtitle={`${summary.PAID} pesanan sesuai, ${summary.AWAITING} menunggu`}
+            />
+            <ReportCard
+              title="Bermasalah"
+              value={summary.UNPAID + summary.SHORT_PAID + summary.OVERPAID}
+              icon={ExclamationTriangleIcon}
+              color="red"
+              subtitle={`${summary.UNPAID} belum dibayar, ${summary.SHORT_PAID} kurang bayar`}
+            />
+            <ReportCard
+              title="Pencairan Tak Dikenal"
+              value={formatAmount(summary.unknownAmount)}
+              icon={QuestionMarkCircleIcon}
+              color="yellow"
+              subtitle={`${summary.unknownPayouts} baris tanpa pesanan`}
+            />
+          </div>
+
+          {/* Per account */}
+          <div className="bg-white rounded-lg shadow-soft overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Akun</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Pesanan</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Seharusnya</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Dicairkan</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Selisih</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Bermasalah</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {report.accounts.map((account: any) => (
+                  <tr key={account.id}>
+                    <td className="px-6 py-3 text-gray-900">{account.marketplace.name} - {account.storeName}</td>
+                    <td className="px-6 py-3 text-right text-gray-900">{account.orders}</td>
+                    <td className="px-6 py-3 text-right text-gray-900">{formatAmount(account.expected)}</td>
+                    <td className="px-6 py-3 text-right text-gray-900">{formatAmount(account.paid)}</td>
+                    <td className={cn('px-6 py-3 text-right', account.difference < 0 ? 'text-red-600' : 'text-gray-900')}>
+                      {formatAmount(account.difference)}
+                    </td>
+                    <td className="px-6 py-3 text-right text-gray-900">
+                      {account.UNPAID + account.SHORT_PAID + account.OVERPAID}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Flagged orders */}
+          <div className="bg-white rounded-lg shadow-soft">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Pesanan Bermasalah</h2>
+            </div>
+            {report.orders.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500">Semua pesanan pada periode ini sudah dibayar sesuai.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">Pesanan</th>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">Akun</th>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">Status</th>
+                      <th className="px-6 py-3 text-right font-medium text-gray-500">Seharusnya</th>
+                      <th className="px-6 py-3 text-right font-medium text-gray-500">Dicairkan</th>
+                      <th className="px-6 py-3 text-right font-medium text-gray-500">Selisih</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.orders.map((order: any) => (
+                      <tr key={order.id}>
+                        <td className="px-6 py-3">
+                          <Link to={`/orders/${order.id}`} className="text-primary-600 hover:text-primary-700">
+                            {order.orderNumber}
+                          </Link>
+                          <p className="text-xs text-gray-500">
+                            {new Date(order.orderDate).toLocaleDateString('id-ID')}
+                          </p>
+                        </td>
+                        <td className="px-6 py-3 text-gray-900">{accountNames.get(order.marketplaceAccountId)}</td>
+                        <td className="px-6 py-3">
+                          <span className={cn(
+                            'inline-flex items-center px-2 py-0.5 rounded text-xs font-medium',
+                            PAYOUT_STATUS[order.payoutStatus]?.className
+                          )}>
+                            {PAYOUT_STATUS[order.payoutStatus]?.label || order.payoutStatus}
+                          </span>
+                        </td>
+                        <td className="px-6 py-3 text-right text-gray-900">
+                          {formatAmount(order.expected)}
+                          {order.expectedSource === 'ESTIMATED' && (
+                            <p className="text-xs text-gray-500">Estimasi</p>
+                          )}
+                        </td>
+                        <td className="px-6 py-3 text-right text-gray-900">{formatAmount(order.paid)}</td>
+                        <td className={cn('px-6 py-3 text-right', order.difference < 0 ? 'text-red-600' : 'text-blue-600')}>
+                          {formatAmount(order.difference)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Unknown payouts */}
+          {report.unknownPayouts.length > 0 && (
+            <div className="bg-white rounded-lg shadow-soft">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Pencairan Tanpa Pesanan</h2>
+                <p className="mt-1 text-sm text-gray-500">
+                  Nomor pesanan ini tidak ditemukan; sinkronkan pesanan akun tersebut atau periksa laporan marketplace
+                </p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">No. Pesanan Marketplace</th>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">Akun</th>
+                      <th className="px-6 py-3 text-left font-medium text-gray-500">Tanggal Cair</th>
+                      <th className="px-6 py-3 text-right font-medium text-gray-500">Jumlah</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.unknownPayouts.map((line: any) => (
+                      <tr key={line.id}>
+                        <td className="px-6 py-3 text-gray-900">
+                          {line.marketplaceOrderId}
+                          {line.reference && <p className="text-xs text-gray-500">{line.reference}</p>}
+                        </td>
+                        <td className="px-6 py-3 text-gray-900">{accountNames.get(line.marketplaceAccountId)}</td>
+                        <td className="px-6 py-3 text-gray-900">
+                          {line.settledAt ? new Date(line.settledAt).toLocaleDateString('id-ID') : '-'}
+                        </td>
+                        <td className="px-6 py-3 text-right text-gray-900">{formatAmount(line.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReconciliationPage
@@ -386,6 +386,9 @@ const ReportsPage: React.FC = () => {
                             <p className="text-xs text-gray-500">
                               Rp {marketplace.revenue?.toLocaleString('id-ID')}
                             </p>
+                            <p className="text-xs text-gray-500">
+                              Bersih Rp {marketplace.netProceeds?.toLocaleString('id-ID')} · Margin {marketplace.margin}%
+                            </p>
                           </div>
                         </div>
                       ))}
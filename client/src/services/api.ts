@@ -108,6 +108,9 @@ export const productsApi = {
   
   bulkSync: (data: any): Promise<AxiosResponse<any>> =>
     api.post('/products/bulk-sync', data),
+
+  validate: (id: string, marketplaceAccountIds?: string[]): Promise<AxiosResponse<any>> =>
+    api.post(`/products/${id}/validate`, { marketplaceAccountIds }),
 }
 
 // Orders API
@@ -130,6 +133,33 @@ export const ordersApi = {
   removeTag: (id: string, tagId: string): Promise<AxiosResponse<any>> =>
     api.delete(`/orders/${id}/tags/${tagId}`),
 
+  arrangeShipments: (orderIds: string[], method: 'pickup' | 'dropoff'): Promise<AxiosResponse<any>> =>
+    api.post('/orders/shipments/arrange', { orderIds, method }),
+
+  getShippingLabels: (orderIds: string[]): Promise<AxiosResponse<Blob>> =>
+    api.post('/orders/shipments/labels', { orderIds }, { responseType: 'blob' }),
+
+  refreshTracking: (id: string): Promise<AxiosResponse<any>> =>
+    api.post(`/orders/${id}/tracking/refresh`),
+
+  refreshFees: (id: string): Promise<AxiosResponse<any>> =>
+    api.post(`/orders/${id}/fees/refresh`),
+
+  getCancelReasons: (id: string): Promise<AxiosResponse<any>> =>
+    api.get(`/orders/${id}/cancel-reasons`),
+
+  cancel: (id: string, reasonCode: string): Promise<AxiosResponse<any>> =>
+    api.post(`/orders/${id}/cancel`, { reasonCode }),
+
+  createShipment: (id: string, data: { items?: { orderItemId: string; quantity: number }[]; trackingNumber?: string; carrier?: string; status?: 'PENDING' | 'SHIPPED' }): Promise<AxiosResponse<any>> =>
+    api.post(`/orders/${id}/shipments`, data),
+
+  updateShipment: (id: string, shipmentId: string, data: { status?: string; trackingNumber?: string; carrier?: string }): Promise<AxiosResponse<any>> =>
+    api.patch(`/orders/${id}/shipments/${shipmentId}`, data),
+
+  cancelItems: (id: string, items: { orderItemId: string; quantity: number }[], reason?: string): Promise<AxiosResponse<any>> =>
+    api.post(`/orders/${id}/cancel-items`, { items, reason }),
+
   sync: (marketplaceAccountId: string, options?: any): Promise<AxiosResponse<any>> =>
     api.post(`/order-management/sync`, { marketplaceAccountId, ...options }),
 
@@ -137,6 +167,21 @@ export const ordersApi = {
     api.get('/order-management/stats', { params: { timeRange } }),
 }
 
+// Returns API
+export const returnsApi = {
+  getAll: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/returns', { params }),
+
+  sync: (): Promise<AxiosResponse<any>> =>
+    api.post('/returns/sync'),
+
+  respond: (id: string, action: 'accept' | 'reject' | 'dispute', reason?: string): Promise<AxiosResponse<any>> =>
+    api.post(`/returns/${id}/respond`, { action, reason }),
+
+  markReceived: (id: string): Promise<AxiosResponse<any>> =>
+    api.post(`/returns/${id}/receive`),
+}
+
 // Inventory API
 export const inventoryApi = {
   getAll: (params?: any): Promise<AxiosResponse<any>> =>
@@ -159,6 +204,12 @@ export const marketplacesApi = {
   
   getUserAccounts: (): Promise<AxiosResponse<any>> =>
     api.get('/marketplaces/accounts'),
+
+  getAvailable: (): Promise<AxiosResponse<any>> =>
+    api.get('/marketplaces'),
+
+  getAccounts: (): Promise<AxiosResponse<any>> =>
+    api.get('/marketplaces/accounts'),
   
   connectAccount: (data: any): Promise<AxiosResponse<any>> =>
     api.post('/marketplaces/connect', data),
@@ -168,6 +219,45 @@ export const marketplacesApi = {
   
   testConnection: (id: string): Promise<AxiosResponse<any>> =>
     api.post(`/marketplaces/accounts/${id}/test`),
+
+  authorize: (id: string, redirectUri?: string): Promise<AxiosResponse<any>> =>
+    api.post(`/marketplaces/accounts/${id}/authorize`, { redirectUri }),
+
+  completeAuthorization: (data: { state: string, code: string, params?: Record<string, string> }): Promise<AxiosResponse<any>> =>
+    api.post('/marketplaces/oauth/callback', data),
+
+  getCategories: (accountId: string, params?: { search?: string, parentId?: string, leafOnly?: boolean, refresh?: boolean, limit?: number }): Promise<AxiosResponse<any>> =>
+    api.get(`/marketplaces/accounts/${accountId}/categories`, { params }),
+
+  getCategoryAttributes: (accountId: string, categoryId: string): Promise<AxiosResponse<any>> =>
+    api.get(`/marketplaces/accounts/${accountId}/categories/${categoryId}/attributes`),
+
+  startImport: (accountId: string): Promise<AxiosResponse<any>> =>
+    api.post(`/marketplaces/accounts/${accountId}/imports`),
+
+  getImport: (accountId: string, importId: string): Promise<AxiosResponse<any>> =>
+    api.get(`/marketplaces/accounts/${accountId}/imports/${importId}`),
+
+  applyImport: (accountId: string, importId: string, decisions: Array<{ marketplaceProductId: string, action: 'create' | 'link' | 'skip', productId?: string, variantId?: string | null }>): Promise<AxiosResponse<any>> =>
+    api.post(`/marketplaces/accounts/${accountId}/imports/${importId}/apply`, { decisions }),
+}
+
+// Categories API
+export const categoriesApi = {
+  getAll: (): Promise<AxiosResponse<any>> =>
+    api.get('/categories'),
+
+  getMappings: (marketplaceId?: string): Promise<AxiosResponse<any>> =>
+    api.get('/categories/mappings', { params: { marketplaceId } }),
+
+  saveMapping: (categoryId: string, data: { marketplaceAccountId: string, marketplaceCategoryId: string }): Promise<AxiosResponse<any>> =>
+    api.put(`/categories/${categoryId}/mappings`, data),
+
+  deleteMapping: (categoryId: string, marketplaceId: string): Promise<AxiosResponse<any>> =>
+    api.delete(`/categories/${categoryId}/mappings/${marketplaceId}`),
+
+  saveAttributeMap: (categoryId: string, marketplaceId: string, attributeMap: Record<string, { key: string, values?: Record<string, string> }>): Promise<AxiosResponse<any>> =>
+    api.put(`/categories/${categoryId}/mappings/${marketplaceId}/attributes`, { attributeMap }),
 }
 
 // Analytics API
@@ -209,6 +299,90 @@ export const stockSyncApi = {
     api.get('/stock-sync/stats', { params: { timeRange } })
 }
 
+// Price Rules API
+export const priceRulesApi = {
+  getAll: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/price-rules', { params }),
+
+  create: (rule: any): Promise<AxiosResponse<any>> =>
+    api.post('/price-rules', rule),
+
+  update: (id: string, rule: any): Promise<AxiosResponse<any>> =>
+    api.put(`/price-rules/${id}`, rule),
+
+  delete: (id: string): Promise<AxiosResponse<any>> =>
+    api.delete(`/price-rules/${id}`),
+
+  preview: (productId: string): Promise<AxiosResponse<any>> =>
+    api.get(`/price-rules/preview/${productId}`),
+
+  sync: (data: { productIds?: string[], marketplaceAccountIds?: string[] }): Promise<AxiosResponse<any>> =>
+    api.post('/price-rules/sync', data),
+
+  getLogs: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/price-rules/logs', { params })
+}
+
+// Marketplace Fees API
+export const feesApi = {
+  getRules: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/fees', { params }),
+
+  createRule: (rule: any): Promise<AxiosResponse<any>> =>
+    api.post('/fees', rule),
+
+  updateRule: (id: string, rule: any): Promise<AxiosResponse<any>> =>
+    api.put(`/fees/${id}`, rule),
+
+  deleteRule: (id: string): Promise<AxiosResponse<any>> =>
+    api.delete(`/fees/${id}`),
+
+  importFees: (): Promise<AxiosResponse<any>> =>
+    api.post('/fees/import')
+}
+
+// Payout Reconciliation API
+export const reconciliationApi = {
+  getReport: (params?: { marketplaceAccountId?: string, startDate?: string, endDate?: string }): Promise<AxiosResponse<any>> =>
+    api.get('/reconciliation/report', { params }),
+
+  getImports: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/reconciliation/imports', { params }),
+
+  importSettlements: (data: { marketplaceAccountId: string, startDate?: string, endDate?: string }): Promise<AxiosResponse<any>> =>
+    api.post('/reconciliation/import', data),
+
+  uploadSettlements: (marketplaceAccountId: string, file: File, columns?: Record<string, string>): Promise<AxiosResponse<any>> => {
+    const formData = new FormData()
+    formData.append('file', file)
+    formData.append('marketplaceAccountId', marketplaceAccountId)
+    if (columns) {
+      formData.append('columns', JSON.stringify(columns))
+    }
+    return api.post('/reconciliation/upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    })
+  }
+}
+
+// Picking Waves API
+export const pickingWavesApi = {
+  getAll: (params?: any): Promise<AxiosResponse<any>> =>
+    api.get('/picking-waves', { params }),
+
+  getCarriers: (): Promise<AxiosResponse<any>> =>
+    api.get('/picking-waves/carriers'),
+
+  create: (data: { orderIds?: string[], marketplaceAccountIds?: string[], shipByBefore?: string, carriers?: string[] }): Promise<AxiosResponse<any>> =>
+    api.post('/picking-waves', data),
+
+  download: (id: string, document: 'pick-list' | 'packing-slips', format: 'pdf' | 'csv'): Promise<AxiosResponse<Blob>> =>
+    api.get(`/picking-waves/${id}/${document}`, { params: { format }, responseType: 'blob' }),
+
+  delete: (id: string): Promise<AxiosResponse<any>> =>
+    api.delete(`/picking-waves/${id}`),
+}
+
 // Reports API
 export const reportsApi = {
   getDashboard: (timeRange?: string): Promise<AxiosResponse<any>> =>
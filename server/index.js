@@ -8,7 +8,14 @@ require('dotenv').config();
 
 const logger = require('./src/utils/logger');
 const { connectRedis } = require('./src/utils/redis');
+const { setIO } = require('./src/utils/socket');
 const { initializeQueues } = require('./src/jobs/queueManager');
+const tokenRefreshService = require('./src/services/tokenRefreshService');
+const trackingService = require('./src/services/trackingService');
+const returnService = require('./src/services/returnService');
+const feeService = require('./src/services/feeService');
+const registerSandbox = require('./src/integrations/registerSandbox');
+const { loadPlugins } = require('./src/integrations/pluginLoader');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -19,6 +26,13 @@ const inventoryRoutes = require('./src/routes/inventory');
 const marketplaceRoutes = require('./src/routes/marketplaces');
 const analyticsRoutes = require('./src/routes/analytics');
 const syncRoutes = require('./src/routes/sync');
+const webhookRoutes = require('./src/routes/webhooks');
+const categoryRoutes = require('./src/routes/categories');
+const returnRoutes = require('./src/routes/returns');
+const priceRuleRoutes = require('./src/routes/priceRules');
+const feeRoutes = require('./src/routes/fees');
+const reconciliationRoutes = require('./src/routes/reconciliation');
+const pickingWaveRoutes = require('./src/routes/pickingWaves');
 
 const app = express();
 const server = createServer(app);
@@ -42,12 +56,22 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Marketplace pushes arrive in bursts from a few platform IPs
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks')
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Webhook signatures are computed over the exact bytes received
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -75,6 +99,13 @@ app.use('/api/inventory', inventoryRoutes);
 app.use('/api/marketplaces', marketplaceRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/price-rules', priceRuleRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/picking-waves', pickingWaveRoutes);
 
 // API documentation
 if (process.env.NODE_ENV !== 'production') {
@@ -119,6 +150,7 @@ io.on('connection', (socket) => {
 
 // Make io available to other modules
 app.set('io', io);
+setIO(io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -147,6 +179,26 @@ async function startServer() {
     // Initialize job queues
     await initializeQueues();
     logger.info('Job queues initialized');
+
+    // Keep marketplace OAuth tokens fresh
+    await tokenRefreshService.initialize();
+
+    // Poll courier checkpoints of shipped orders
+    await trackingService.initialize();
+
+    // Pull buyer cancellation and return requests
+    await returnService.initialize();
+
+    // Replace estimated order fees with marketplace payouts
+    await feeService.initialize();
+
+    // Offline marketplace simulator for development and demos
+    if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_SANDBOX === 'true') {
+      await registerSandbox();
+    }
+
+    // Integrations from MARKETPLACE_PLUGIN_DIR and MARKETPLACE_PLUGINS
+    await loadPlugins();
     
     // Start server
     server.listen(PORT, () => {
@@ -1,6 +1,23 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rateLimiter');
+const circuitBreaker = require('../utils/circuitBreaker');
+const lock = require('../utils/lock');
+
+// Refresh access tokens this long before they actually expire
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Tier name for variants that have no option attributes, e.g. a plain "S/M/L" list
+const DEFAULT_VARIANT_TIER = 'Variasi';
+
+// Quota for integrations that don't declare their own API families
+const DEFAULT_RATE_LIMITS = {
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+// Throttled requests are replayed this many times before the error surfaces
+const MAX_RATE_LIMIT_RETRIES = 3;
 
 /**
  * Base class for marketplace integrations
@@ -14,6 +31,31 @@ class BaseMarketplace {
     this.credentials = config.credentials;
     this.baseURL = config.baseURL;
     this.timeout = config.timeout || 30000;
+
+    // OAuth token state; onTokenRefresh persists rotated tokens,
+    // onTokenRefreshFailed lets the owner react when the grant is gone,
+    // loadCredentials reads the stored tokens another worker may have rotated
+    this.accessToken = config.accessToken;
+    this.refreshToken = config.refreshToken;
+    this.accessTokenExpiresAt = config.accessTokenExpiresAt ? new Date(config.accessTokenExpiresAt) : null;
+    this.onTokenRefresh = config.onTokenRefresh;
+    this.onTokenRefreshFailed = config.onTokenRefreshFailed;
+    this.loadCredentials = config.loadCredentials;
+    this.tokenRefreshPromise = null;
+
+    // Token-bucket quotas per API family, shared by all workers using this account
+    this.accountId = config.accountId;
+    this.rateLimits = config.rateLimits || DEFAULT_RATE_LIMITS;
+
+    // Circuit breaker per account; onCircuitStateChange is told about every transition
+    this.circuitBreakerOptions = { ...circuitBreaker.DEFAULT_OPTIONS, ...config.circuitBreaker };
+    this.onCircuitStateChange = config.onCircuitStateChange;
+
+    // How images are resized and compressed before upload; null sends product images through untouched
+    this.imageProfile = config.imageProfile || null;
+
+    // Cursor tokens for APIs that paginate with opaque tokens, keyed by query then page
+    this.pageTokens = {};
     
     // Create axios instance
     this.client = axios.create({
@@ -35,7 +77,19 @@ class BaseMarketplace {
   setupInterceptors() {
     // Request interceptor
     this.client.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        await this.checkCircuit(config);
+        await this.ensureAccessToken();
+        await this.acquireRateLimit(config);
+
+        // Keep the caller's params and body so a replay can be signed from scratch
+        if (config.originalParams === undefined) {
+          config.originalParams = config.params || null;
+        }
+        if (config.originalData === undefined) {
+          config.originalData = config.data;
+        }
+
         // Add authentication headers
         config.headers = {
           ...config.headers,
@@ -58,14 +112,36 @@ class BaseMarketplace {
 
     // Response interceptor
     this.client.interceptors.response.use(
-      (response) => {
+      async (response) => {
+        // Some marketplaces report throttling in a 200 body
+        if (this.shouldRetryRateLimited(response)) {
+          return await this.retryAfterRateLimit(response);
+        }
+
+        await this.recordCircuitResult(response.config, null);
+
         logger.debug(`${this.constructor.name} API Response:`, {
           status: response.status,
           url: response.config.url
         });
         return response;
       },
-      (error) => {
+      async (error) => {
+        // Short-circuited calls never reached the marketplace
+        if (circuitBreaker.isCircuitOpenError(error)) {
+          return Promise.reject(error);
+        }
+
+        if (this.shouldRetryRateLimited(error.response)) {
+          return await this.retryAfterRateLimit(error.response);
+        }
+
+        if (this.shouldRetryWithFreshToken(error)) {
+          return await this.retryWithFreshToken(error);
+        }
+
+        await this.recordCircuitResult(error.config, error);
+
         logger.error(`${this.constructor.name} Response Error:`, {
           status: error.response?.status,
           message: error.response?.data?.message || error.message,
@@ -84,6 +160,187 @@ class BaseMarketplace {
     throw new Error('getAuthHeaders method must be implemented by marketplace class');
   }
 
+  /**
+   * Whether this integration can obtain a new access token by itself
+   * Integrations with other grants (e.g. client credentials) override this
+   */
+  canRefreshToken() {
+    return Boolean(this.refreshToken);
+  }
+
+  /**
+   * Request a new access token from the marketplace
+   * Must not go through this.client, whose interceptors depend on the token
+   * @returns {Object} { accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt }
+   */
+  async requestTokenRefresh() {
+    throw new Error(`${this.constructor.name} does not support token refresh`);
+  }
+
+  /**
+   * Whether the access token is missing or expires within the given margin
+   */
+  isAccessTokenExpiring(margin = TOKEN_REFRESH_MARGIN) {
+    if (!this.accessToken) {
+      return true;
+    }
+
+    return Boolean(this.accessTokenExpiresAt) &&
+      this.accessTokenExpiresAt.getTime() - margin <= Date.now();
+  }
+
+  /**
+   * Refresh the access token before a request if it is about to expire
+   */
+  async ensureAccessToken() {
+    if (!this.canRefreshToken() || !this.isAccessTokenExpiring()) {
+      return;
+    }
+
+    await this.refreshAccessToken();
+  }
+
+  /**
+   * Refresh the access token, sharing one refresh between concurrent callers
+   */
+  async refreshAccessToken() {
+    if (!this.tokenRefreshPromise) {
+      this.tokenRefreshPromise = this.refreshUnderLock().finally(() => {
+        this.tokenRefreshPromise = null;
+      });
+    }
+
+    return await this.tokenRefreshPromise;
+  }
+
+  /**
+   * Refresh while holding the account's lock, so workers with their own instances take turns
+   * Refresh tokens of e.g. Shopee and Lazada are single-use: a worker that waited for the lock
+   * picks up the tokens the holder stored instead of spending the old refresh token again
+   */
+  async refreshUnderLock() {
+    if (!this.accountId) {
+      return await this.performTokenRefresh();
+    }
+
+    const staleAccessToken = this.accessToken;
+
+    return await lock.withLock(`token-refresh:${this.accountId}`, async () => {
+      const stored = this.loadCredentials ? await this.loadCredentials() : null;
+
+      if (stored?.accessToken) {
+        this.applyTokens(stored);
+
+        if (stored.accessToken !== staleAccessToken && !this.isAccessTokenExpiring()) {
+          logger.info(`${this.constructor.name} access token was already refreshed`);
+          return stored;
+        }
+      }
+
+      return await this.performTokenRefresh();
+    });
+  }
+
+  /**
+   * Use new tokens for the following requests
+   */
+  applyTokens(tokens) {
+    this.accessToken = tokens.accessToken;
+    this.refreshToken = tokens.refreshToken || this.refreshToken;
+    this.accessTokenExpiresAt = tokens.accessTokenExpiresAt ? new Date(tokens.accessTokenExpiresAt) : null;
+  }
+
+  /**
+   * Run one token refresh and apply the new tokens
+   */
+  async performTokenRefresh() {
+    let tokens;
+
+    try {
+      tokens = await this.requestTokenRefresh();
+    } catch (error) {
+      logger.error(`${this.constructor.name} token refresh failed:`, {
+        status: error.response?.status,
+        message: error.response?.data?.message || error.message
+      });
+
+      // Network failures and 5xx may succeed next time; anything else means the grant was rejected
+      const isTransient = Boolean(error.request && !error.response) || error.response?.status >= 500;
+
+      if (this.onTokenRefreshFailed && !isTransient) {
+        await this.onTokenRefreshFailed(error);
+      }
+
+      throw error;
+    }
+
+    this.applyTokens(tokens);
+
+    logger.info(`${this.constructor.name} access token refreshed`);
+
+    if (this.onTokenRefresh) {
+      await this.onTokenRefresh(tokens);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Whether an API error means the access token was rejected
+   */
+  isAuthError(error) {
+    return error.response?.status === 401;
+  }
+
+  shouldRetryWithFreshToken(error) {
+    return Boolean(error.config) &&
+      !error.config.authRetried &&
+      this.canRefreshToken() &&
+      this.isAuthError(error);
+  }
+
+  /**
+   * Refresh the token and replay a request that failed on auth, once
+   */
+  async retryWithFreshToken(error) {
+    try {
+      await this.refreshAccessToken();
+    } catch (refreshError) {
+      return Promise.reject(this.handleError(error));
+    }
+
+    logger.info(`${this.constructor.name} retrying ${error.config.url} with a fresh token`);
+
+    return await this.client.request({
+      ...error.config,
+      params: error.config.originalParams || undefined,
+      data: error.config.originalData,
+      authRetried: true
+    });
+  }
+
+  /**
+   * Build the marketplace's authorization-code consent URL
+   * Implemented by marketplaces that support the OAuth connect flow
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    throw new Error(`${this.constructor.name} does not support the authorization code flow`);
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code - Code from the marketplace redirect
+   * @param {Object} params - Other redirect query params (e.g. shop_id) and redirectUri
+   * @returns {Object} Credential fields to store on the account
+   */
+  async exchangeAuthorizationCode(code, params = {}) {
+    throw new Error(`${this.constructor.name} does not support the authorization code flow`);
+  }
+
+  supportsAuthorizationCode() {
+    return this.getAuthorizationUrl !== BaseMarketplace.prototype.getAuthorizationUrl;
+  }
+
   /**
    * Handle API errors and normalize them
    */
@@ -156,6 +413,169 @@ class BaseMarketplace {
     throw new Error('normalizeOrder method must be implemented by marketplace class');
   }
 
+  /**
+   * Normalize one category from getCategories() to { id, name, parentId, isLeaf }
+   * Covers the common field names; integrations with other payloads override it
+   */
+  normalizeCategory(marketplaceCategory) {
+    const parentId = marketplaceCategory.parent_id ?? marketplaceCategory.parent;
+    const isLeaf = marketplaceCategory.leaf ?? marketplaceCategory.is_leaf;
+
+    return {
+      id: String(marketplaceCategory.id ?? marketplaceCategory.category_id),
+      name: marketplaceCategory.name ?? marketplaceCategory.title,
+      parentId: parentId && String(parentId) !== '0' ? String(parentId) : null,
+      isLeaf: isLeaf === undefined ? undefined : Boolean(isLeaf)
+    };
+  }
+
+  /**
+   * Nested child categories, for marketplaces that return a tree
+   */
+  getCategoryChildren(marketplaceCategory) {
+    return marketplaceCategory.children || marketplaceCategory.child || [];
+  }
+
+  /**
+   * Flatten getCategories() output into a list of normalized categories with their path
+   */
+  flattenCategories(marketplaceCategories) {
+    const flat = [];
+
+    const visit = (marketplaceCategory, parentId) => {
+      const children = this.getCategoryChildren(marketplaceCategory);
+      const category = this.normalizeCategory(marketplaceCategory);
+
+      flat.push({
+        ...category,
+        parentId: category.parentId || parentId,
+        isLeaf: category.isLeaf ?? children.length === 0
+      });
+
+      children.forEach(child => visit(child, category.id));
+    };
+
+    marketplaceCategories.forEach(category => visit(category, null));
+
+    // Paths come from parent IDs so flat lists and trees end up the same
+    const byId = new Map(flat.map(category => [category.id, category]));
+    const parentIds = new Set(flat.map(category => category.parentId));
+
+    for (const category of flat) {
+      const path = [category.name];
+      const seen = new Set([category.id]);
+      let parent = byId.get(category.parentId);
+
+      while (parent && !seen.has(parent.id)) {
+        path.unshift(parent.name);
+        seen.add(parent.id);
+        parent = byId.get(parent.parentId);
+      }
+
+      category.path = path;
+      if (parentIds.has(category.id)) {
+        category.isLeaf = false;
+      }
+    }
+
+    return flat;
+  }
+
+  /**
+   * Normalize one attribute from getAttributes() to
+   * { id, name, aliases, type, required, allowCustom, options: [{ id, name }] }
+   * type is one of text, number, select or multi_select; aliases are other names to match product attributes by
+   */
+  normalizeAttribute(marketplaceAttribute) {
+    const rawType = String(marketplaceAttribute.type ?? marketplaceAttribute.input_type ?? 'text').toLowerCase();
+    const rawOptions = marketplaceAttribute.options || marketplaceAttribute.values || [];
+
+    let type = 'text';
+    if (['enum', 'select', 'single_select', 'dropdown'].includes(rawType)) {
+      type = 'select';
+    } else if (['multi_enum', 'multi_select', 'multiselect'].includes(rawType)) {
+      type = 'multi_select';
+    } else if (['number', 'numeric', 'int', 'float'].includes(rawType)) {
+      type = 'number';
+    }
+
+    return {
+      id: String(marketplaceAttribute.id ?? marketplaceAttribute.attribute_id),
+      name: marketplaceAttribute.name ?? marketplaceAttribute.label,
+      aliases: [],
+      type,
+      required: Boolean(marketplaceAttribute.required ?? marketplaceAttribute.is_mandatory),
+      allowCustom: Boolean(marketplaceAttribute.allow_custom),
+      options: rawOptions.map(option => (
+        typeof option === 'object'
+          ? { id: String(option.id ?? option.value_id ?? option.name), name: option.name ?? option.value }
+          : { id: String(option), name: String(option) }
+      ))
+    };
+  }
+
+  /**
+   * Format mapped attribute values for formatProductForMarketplace()
+   * @param {Array} mappedAttributes - [{ attribute, values: [{ id, name }] }]; id is null for free text
+   */
+  formatAttributes(mappedAttributes) {
+    const attributes = {};
+
+    for (const { attribute, values } of mappedAttributes) {
+      attributes[attribute.id] = attribute.type === 'multi_select'
+        ? values.map(value => value.id ?? value.name)
+        : values[0].id ?? values[0].name;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Stock for a product or one of its variants from our inventory rows
+   */
+  getInventoryQuantity(product, variantId = null) {
+    const inventory = product.inventory?.find(inv => (inv.variantId || null) === variantId);
+    return inventory ? inventory.availableQuantity : (variantId ? 0 : product.stock || 0);
+  }
+
+  /**
+   * Lay our variants out as option tiers, e.g. Warna [Merah, Biru] x Ukuran [S, M]
+   * Tier names come from variant attributes; variants without attributes form one tier of their names.
+   * @param {Array} variants - Our ProductVariant rows
+   * @returns {Object} { tiers: [{ name, values }], combinations: [{ variant, options, tierIndex }] }
+   */
+  getVariantTiers(variants = []) {
+    const names = [];
+    for (const variant of variants) {
+      for (const name of Object.keys(variant.attributes || {})) {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      }
+    }
+
+    const tiers = (names.length > 0 ? names : [DEFAULT_VARIANT_TIER]).map(name => ({ name, values: [] }));
+
+    const combinations = variants.map(variant => {
+      const options = {};
+      const tierIndex = tiers.map(tier => {
+        const value = names.length > 0
+          ? String(variant.attributes?.[tier.name] ?? 'Default')
+          : variant.variantName;
+
+        options[tier.name] = value;
+        if (!tier.values.includes(value)) {
+          tier.values.push(value);
+        }
+        return tier.values.indexOf(value);
+      });
+
+      return { variant, options, tierIndex };
+    });
+
+    return { tiers, combinations };
+  }
+
   /**
    * Convert our product format to marketplace format
    */
@@ -210,11 +630,20 @@ class BaseMarketplace {
 
   /**
    * Update product stock in marketplace
+   * variantId is the marketplace's own variant ID, as in getProductVariants()
    */
   async updateStock(productId, stock, variantId = null) {
     throw new Error('updateStock method must be implemented by marketplace class');
   }
 
+  /**
+   * Variants of a marketplace product as [{ id, sku, variantName, price, stock, attributes }]
+   */
+  async getProductVariants(productId) {
+    const product = await this.getProduct(productId);
+    return product.variants || [];
+  }
+
   /**
    * Get orders from marketplace
    */
@@ -243,6 +672,14 @@ class BaseMarketplace {
     throw new Error('getCategories method must be implemented by marketplace class');
   }
 
+  /**
+   * Whether new listings must be published under a marketplace category
+   * Stores where categories are optional override this, so products without a mapping still sync
+   */
+  requiresCategory() {
+    return true;
+  }
+
   /**
    * Upload product images to marketplace
    */
@@ -250,6 +687,13 @@ class BaseMarketplace {
     throw new Error('uploadImages method must be implemented by marketplace class');
   }
 
+  /**
+   * Value formatProductForMarketplace expects in product.images for an uploaded image
+   */
+  getImageReference(uploadedImage) {
+    return uploadedImage.url;
+  }
+
   /**
    * Get shipping methods available in marketplace
    */
@@ -257,6 +701,131 @@ class BaseMarketplace {
     throw new Error('getShippingMethods method must be implemented by marketplace class');
   }
 
+  /**
+   * Ways an order can be handed to the carrier
+   * @returns {Object} { pickup: { addresses: [{ id, address, timeSlots: [{ id, date }] }] } | null,
+   *   dropoff: { branches: [{ id, name, address }] } | null }; null when the method is not offered
+   */
+  async getShippingParameters(orderId) {
+    throw new Error('getShippingParameters method must be implemented by marketplace class');
+  }
+
+  /**
+   * Arrange shipment of an order, by carrier pickup or seller drop-off
+   * @param {Object} options - { method: 'pickup' | 'dropoff', addressId, pickupTimeId, branchId }
+   * @returns {Object} { trackingNumber, carrier }; trackingNumber is null while the marketplace assigns it
+   */
+  async arrangeShipment(orderId, options) {
+    throw new Error('arrangeShipment method must be implemented by marketplace class');
+  }
+
+  /**
+   * Tracking number (AWB) of an arranged shipment
+   * @returns {Object} { trackingNumber, carrier }
+   */
+  async getTrackingNumber(orderId) {
+    throw new Error('getTrackingNumber method must be implemented by marketplace class');
+  }
+
+  /**
+   * Shipping label of an arranged shipment
+   * @returns {Buffer} Label as a PDF document
+   */
+  async getShippingLabel(orderId) {
+    throw new Error('getShippingLabel method must be implemented by marketplace class');
+  }
+
+  /**
+   * Shipping labels of many arranged shipments, one order at a time unless the marketplace prints in bulk
+   * @returns {Object} { documents: [Buffer], failed: { [orderId]: message } }
+   */
+  async getShippingLabels(orderIds) {
+    const documents = [];
+    const failed = {};
+
+    for (const orderId of orderIds) {
+      try {
+        documents.push(await this.getShippingLabel(orderId));
+      } catch (error) {
+        failed[orderId] = error.message;
+      }
+    }
+
+    return { documents, failed };
+  }
+
+  /**
+   * Courier checkpoints of a shipment
+   * @returns {Object} { trackingNumber, carrier, events: [{ status, description, location, occurredAt }] }
+   */
+  async getTrackingInfo(orderId) {
+    throw new Error('getTrackingInfo method must be implemented by marketplace class');
+  }
+
+  /**
+   * Reasons a seller may give for cancelling an order
+   * @returns {Array} [{ code, label }]; code is what cancelOrder expects
+   */
+  async getCancelReasons(orderId) {
+    throw new Error('getCancelReasons method must be implemented by marketplace class');
+  }
+
+  /**
+   * Cancel an order on behalf of the seller
+   * @param {string} reasonCode - One of the codes from getCancelReasons
+   */
+  async cancelOrder(orderId, reasonCode) {
+    throw new Error('cancelOrder method must be implemented by marketplace class');
+  }
+
+  /**
+   * Buyer cancellation requests and return/refund requests
+   * @param {Object} params - { since: Date } to only get requests updated after it
+   * @returns {Array} [{ id, orderId, type: CANCELLATION|RETURN, status, reason, refundAmount,
+   *   requiresReturn, items: [{ sku, quantity }], requestedAt, marketplaceData }]; status is one of our
+   *   ReturnStatus values, marketplaceData holds whatever respondToReturnRequest needs later
+   */
+  async getReturnRequests(params = {}) {
+    throw new Error('getReturnRequests method must be implemented by marketplace class');
+  }
+
+  /**
+   * Accept, reject or dispute a buyer cancellation or return request
+   * @param {Object} request - { id, orderId, type, requiresReturn, marketplaceData } as returned by getReturnRequests
+   * @param {string} action - accept | reject | dispute
+   * @param {Object} options - { reason }
+   */
+  async respondToReturnRequest(request, action, options = {}) {
+    throw new Error('respondToReturnRequest method must be implemented by marketplace class');
+  }
+
+  /**
+   * Fees the marketplace deducted from an order and what it pays out for it, from its escrow/finance API
+   * @returns {Object} { fees: [{ type, amount, description }], netProceeds }; type is one of our OrderFeeType
+   *   values, amount is what the seller pays (negative for subsidies the marketplace adds) and netProceeds
+   *   is the payout, null while the marketplace has not settled the order
+   */
+  async getOrderFinance(orderId) {
+    throw new Error('getOrderFinance method must be implemented by marketplace class');
+  }
+
+  /**
+   * Payouts the marketplace released to the seller's balance in a period, from its settlement API
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Array} [{ marketplaceOrderId, amount, settledAt, reference }]; an order may be paid out in several
+   *   lines (deductions as negative amounts) and reference identifies a line within the marketplace's report
+   */
+  async getSettlements(params = {}) {
+    throw new Error('getSettlements method must be implemented by marketplace class');
+  }
+
+  /**
+   * Whether this marketplace class implements an optional method of the contract
+   */
+  supports(method) {
+    return typeof this[method] === 'function' && this[method] !== BaseMarketplace.prototype[method];
+  }
+
   /**
    * Get marketplace-specific attributes/specifications
    */
@@ -286,6 +855,33 @@ class BaseMarketplace {
     }
   }
 
+  /**
+   * Resolve the cursor token for a page of a cursor-paginated endpoint
+   * Lets page-number callers (paginateAll, sync jobs) work against cursor APIs;
+   * earlier pages are fetched through fetchPage when their token is not known yet
+   */
+  async getPageToken(cacheKey, page, fetchPage) {
+    if (page <= 1) {
+      return undefined;
+    }
+
+    const tokens = this.pageTokens[cacheKey] || {};
+
+    if (tokens[page] === undefined) {
+      await fetchPage(page - 1);
+    }
+
+    return this.pageTokens[cacheKey]?.[page];
+  }
+
+  /**
+   * Remember the cursor token that leads to the page after the given one
+   */
+  storePageToken(cacheKey, page, nextPageToken) {
+    this.pageTokens[cacheKey] = this.pageTokens[cacheKey] || {};
+    this.pageTokens[cacheKey][page + 1] = nextPageToken || null;
+  }
+
   /**
    * Retry failed requests with exponential backoff
    */
@@ -318,11 +914,156 @@ class BaseMarketplace {
   }
 
   /**
-   * Rate limit requests to avoid hitting API limits
+   * Short-circuit the request while the account's circuit is open
+   */
+  async checkCircuit(config) {
+    if (!this.accountId) {
+      return;
+    }
+
+    const { allowed, current, transition } = await circuitBreaker.allowRequest(this.accountId, this.circuitBreakerOptions);
+    config.circuitState = current;
+
+    if (transition) {
+      await this.notifyCircuitStateChange(transition);
+    }
+
+    if (!allowed) {
+      const error = new Error(`${this.constructor.name} is unavailable, retrying after ${new Date(current.retryAt).toISOString()}`);
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAt = current.retryAt;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a failed call means the marketplace itself is unhealthy
+   * Network errors, timeouts and 5xx count; 4xx are our own mistakes
+   */
+  isCircuitFailure(error) {
+    if (!error.response) {
+      return Boolean(error.request);
+    }
+    return error.response.status >= 500;
+  }
+
+  /**
+   * Feed the outcome of a call into the account's breaker
    */
-  async rateLimit(requestsPerSecond = 5) {
-    const delay = 1000 / requestsPerSecond;
-    await new Promise(resolve => setTimeout(resolve, delay));
+  async recordCircuitResult(config, error) {
+    if (!this.accountId || !config) {
+      return;
+    }
+
+    const transition = error && this.isCircuitFailure(error)
+      ? await circuitBreaker.recordFailure(this.accountId, config.circuitState, this.circuitBreakerOptions)
+      : await circuitBreaker.recordSuccess(this.accountId, config.circuitState);
+
+    if (transition) {
+      await this.notifyCircuitStateChange(transition);
+    }
+  }
+
+  async notifyCircuitStateChange(transition) {
+    const level = transition.to === circuitBreaker.STATES.OPEN ? 'warn' : 'info';
+    logger[level](`${this.constructor.name} circuit for account ${this.accountId} ${transition.from} -> ${transition.to}`);
+
+    if (this.onCircuitStateChange) {
+      try {
+        await this.onCircuitStateChange(transition);
+      } catch (error) {
+        logger.error('Circuit state change handler failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Breaker state of this account
+   */
+  async getCircuitState() {
+    return await circuitBreaker.getState(this.accountId);
+  }
+
+  /**
+   * API family a request counts against; families with a pattern match on the URL
+   */
+  getApiFamily(config) {
+    const url = config.url || '';
+    const family = Object.keys(this.rateLimits).find(name => {
+      const pattern = this.rateLimits[name].pattern;
+      return pattern && pattern.test(url);
+    });
+
+    return family || 'default';
+  }
+
+  /**
+   * Redis key of the token bucket for a request
+   */
+  getRateLimitKey(config) {
+    const account = this.accountId || 'unbound';
+    return `ratelimit:${this.constructor.name}:${account}:${this.getApiFamily(config)}`;
+  }
+
+  /**
+   * Wait for a token from the account's bucket for this API family
+   */
+  async acquireRateLimit(config) {
+    const family = this.getApiFamily(config);
+    const quota = this.rateLimits[family] || this.rateLimits.default || DEFAULT_RATE_LIMITS.default;
+
+    await rateLimiter.acquire(this.getRateLimitKey(config), quota);
+  }
+
+  /**
+   * Whether a response means the marketplace throttled us
+   */
+  isRateLimited(response) {
+    return response?.status === 429;
+  }
+
+  shouldRetryRateLimited(response) {
+    return Boolean(response?.config) &&
+      (response.config.rateLimitRetries || 0) < MAX_RATE_LIMIT_RETRIES &&
+      this.isRateLimited(response);
+  }
+
+  /**
+   * How long the marketplace asked us to back off, in ms
+   */
+  getRetryAfter(response) {
+    const retryAfter = response.headers?.['retry-after'];
+    if (!retryAfter) {
+      return null;
+    }
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    // HTTP-date form
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Block the bucket for every worker, then replay the throttled request
+   */
+  async retryAfterRateLimit(response) {
+    const attempt = (response.config.rateLimitRetries || 0) + 1;
+    const delay = this.getRetryAfter(response) ?? 1000 * Math.pow(2, attempt - 1);
+
+    logger.warn(`${this.constructor.name} rate limited on ${response.config.url}, retrying in ${delay}ms (attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES})`);
+
+    await rateLimiter.block(this.getRateLimitKey(response.config), delay);
+
+    return await this.client.request({
+      ...response.config,
+      params: response.config.originalParams || undefined,
+      data: response.config.originalData,
+      rateLimitRetries: attempt
+    });
   }
 }
 
@@ -0,0 +1,459 @@
+const BaseMarketplace = require('./BaseMarketplace');
+const crypto = require('crypto');
+
+// Blibli accepts square photos of at most 2 MB
+const IMAGE_PROFILE = { size: 1000, maxBytes: 2 * 1024 * 1024 };
+
+// Blibli order item status -> our OrderStatus enum
+const ORDER_STATUS_MAP = {
+  'FP': 'CONFIRMED',
+  'PF': 'PROCESSING',
+  'PU': 'PROCESSING',
+  'CX': 'SHIPPED',
+  'D': 'DELIVERED',
+  'X': 'CANCELLED'
+};
+
+/**
+ * Blibli marketplace integration
+ * Documentation: https://seller-api.blibli.com/
+ */
+class BlibliIntegration extends BaseMarketplace {
+  constructor(config) {
+    super({
+      ...config,
+      baseURL: config.baseURL || 'https://api.blibli.com/v2/proxy',
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
+    });
+
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.sellerApiKey = config.sellerApiKey;
+    this.businessPartnerCode = config.businessPartnerCode;
+    this.storeCode = config.storeCode;
+    this.channelId = config.channelId || 'MarketplaceIntegration';
+  }
+
+  /**
+   * Get authentication headers for Blibli API
+   */
+  getAuthHeaders(config) {
+    const timestamp = Date.now().toString();
+    const method = (config.method || 'get').toUpperCase();
+    const path = config.url.replace(this.baseURL, '');
+    const body = config.data ? JSON.stringify(config.data) : '';
+    const bodyHash = body ? crypto.createHash('md5').update(body).digest('hex') : '';
+
+    // Every Blibli request carries the seller identity as query params
+    config.params = {
+      requestId: `${this.channelId}-${crypto.randomUUID()}`,
+      businessPartnerCode: this.businessPartnerCode,
+      storeCode: this.storeCode,
+      channelId: this.channelId,
+      ...config.params
+    };
+
+    // Generate signature
+    const baseString = `${method}\n${bodyHash}\napplication/json\n${timestamp}\n${path}`;
+    const signature = crypto
+      .createHmac('sha256', this.sellerApiKey)
+      .update(baseString)
+      .digest('base64');
+
+    const basicAuth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    return {
+      'Authorization': `Basic ${basicAuth}`,
+      'Content-Type': 'application/json',
+      'Api-Seller-Key': this.sellerApiKey,
+      'Signature': signature,
+      'Signature-Time': timestamp
+    };
+  }
+
+  /**
+   * Throw if Blibli reports an unsuccessful response
+   */
+  assertSuccess(response, fallbackMessage) {
+    if (response.data.success === false) {
+      throw new Error(response.data.errorMessage || fallbackMessage);
+    }
+  }
+
+  /**
+   * Get seller profile information
+   */
+  async getProfile() {
+    const response = await this.client.get('/mta/api/businesspartner/v1/profile');
+    this.assertSuccess(response, 'Failed to get seller profile');
+    return response.data.value;
+  }
+
+  /**
+   * Get products from Blibli
+   */
+  async getProducts(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      archived = false
+    } = params;
+
+    // Blibli pages are zero-based
+    const queryParams = {
+      page: page - 1,
+      size: limit,
+      archived
+    };
+
+    if (search) {
+      queryParams.productName = search;
+    }
+
+    const response = await this.client.get('/mta/api/businesspartner/v2/product/getProductList', {
+      params: queryParams
+    });
+    this.assertSuccess(response, 'Failed to get products');
+
+    const products = response.data.content || [];
+
+    return {
+      data: products.map(product => this.normalizeProduct(product)),
+      hasMore: products.length === limit,
+      total: response.data.pageMetaData?.totalRecords || 0
+    };
+  }
+
+  /**
+   * Get single product by ID (Blibli gdnSku)
+   */
+  async getProduct(productId) {
+    const response = await this.client.get('/mta/api/businesspartner/v1/product/detailProduct', {
+      params: {
+        gdnSku: productId
+      }
+    });
+    this.assertSuccess(response, 'Failed to get product');
+
+    if (!response.data.value) {
+      throw new Error('Product not found');
+    }
+
+    return this.normalizeProduct(response.data.value);
+  }
+
+  /**
+   * Create product in Blibli
+   */
+  async createProduct(product) {
+    const blibliProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.post('/mta/api/businesspartner/v1/product/createProduct', blibliProduct);
+    this.assertSuccess(response, 'Failed to create product');
+
+    return {
+      marketplaceProductId: response.data.value?.gdnSku || response.data.value?.productSku,
+      data: response.data.value
+    };
+  }
+
+  /**
+   * Update product in Blibli
+   */
+  async updateProduct(productId, product) {
+    const blibliProduct = this.formatProductForMarketplace(product);
+    blibliProduct.gdnSku = productId;
+
+    const response = await this.client.post('/mta/api/businesspartner/v1/product/updateDetailProduct', blibliProduct);
+    this.assertSuccess(response, 'Failed to update product');
+
+    return response.data.value;
+  }
+
+  /**
+   * Delete product from Blibli
+   * Blibli does not hard-delete listings, so the product is archived instead
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.post('/mta/api/businesspartner/v1/product/archiveProduct', {
+      gdnSku: productId,
+      archived: true
+    });
+    this.assertSuccess(response, 'Failed to delete product');
+
+    return response.data.value;
+  }
+
+  /**
+   * Update product stock in Blibli
+   * Each Blibli item SKU carries its own stock, so variantId takes precedence
+   */
+  async updateStock(productId, stock, variantId = null) {
+    const response = await this.client.post('/mta/api/businesspartner/v1/product/updateStock', {
+      gdnSku: variantId || productId,
+      availableStock: stock
+    });
+    this.assertSuccess(response, 'Failed to update stock');
+
+    return response.data.value;
+  }
+
+  /**
+   * Get orders from Blibli
+   */
+  async getOrders(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'FP', // FP = For Processing
+      dateFrom,
+      dateTo
+    } = params;
+
+    const queryParams = {
+      page: page - 1,
+      size: limit,
+      status
+    };
+
+    if (dateFrom) {
+      queryParams.filterStartDate = new Date(dateFrom).toISOString();
+    }
+
+    if (dateTo) {
+      queryParams.filterEndDate = new Date(dateTo).toISOString();
+    }
+
+    const response = await this.client.get('/mta/api/businesspartner/v1/order/orderList', {
+      params: queryParams
+    });
+    this.assertSuccess(response, 'Failed to get orders');
+
+    const orders = response.data.content || [];
+
+    return {
+      data: orders.map(order => this.normalizeOrder(order)),
+      hasMore: orders.length === limit,
+      total: response.data.pageMetaData?.totalRecords || 0
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get('/mta/api/businesspartner/v1/order/orderDetail', {
+      params: {
+        orderNo: orderId
+      }
+    });
+    this.assertSuccess(response, 'Failed to get order');
+
+    if (!response.data.value) {
+      throw new Error('Order not found');
+    }
+
+    return this.normalizeOrder(response.data.value);
+  }
+
+  /**
+   * Update order status in Blibli
+   * Shipping a regular order needs the courier's airway bill number in options.trackingNumber
+   */
+  async updateOrderStatus(orderId, status, options = {}) {
+    let endpoint;
+    let payload = { orderNo: orderId };
+
+    switch (status) {
+      case 'CONFIRMED':
+      case 'PROCESSING':
+        endpoint = '/mta/api/businesspartner/v1/order/createPackage';
+        break;
+      case 'SHIPPED':
+        if (!options.trackingNumber) {
+          throw new Error('Tracking number is required to ship a Blibli order');
+        }
+        endpoint = '/mta/api/businesspartner/v1/order/fulfillRegular';
+        payload.awbNo = options.trackingNumber;
+        break;
+      case 'CANCELLED':
+        endpoint = '/mta/api/businesspartner/v1/order/cancel';
+        payload.cancellationReason = 'OUT_OF_STOCK';
+        break;
+      default:
+        throw new Error(`Unsupported status: ${status}`);
+    }
+
+    const response = await this.client.post(endpoint, payload);
+    this.assertSuccess(response, 'Failed to update order status');
+
+    return response.data.value;
+  }
+
+  /**
+   * Get categories from Blibli
+   */
+  async getCategories() {
+    const response = await this.client.get('/mta/api/businesspartner/v1/product/getCategory');
+    this.assertSuccess(response, 'Failed to get categories');
+    return response.data.content || [];
+  }
+
+  /**
+   * Upload images to Blibli
+   */
+  async uploadImages(images) {
+    const uploadedImages = [];
+
+    for (const image of images) {
+      const response = await this.client.post('/mta/api/businesspartner/v1/product/uploadImage', {
+        image: image.base64 || image.url
+      });
+
+      if (response.data.value?.imagePath) {
+        uploadedImages.push({
+          url: response.data.value.imagePath,
+          id: response.data.value.imageId
+        });
+      }
+    }
+
+    return uploadedImages;
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    const response = await this.client.get('/mta/api/businesspartner/v1/logistics/getLogisticsProduct');
+    this.assertSuccess(response, 'Failed to get shipping methods');
+    return response.data.content || [];
+  }
+
+  /**
+   * Get attributes for category
+   */
+  async getAttributes(categoryId) {
+    const response = await this.client.get('/mta/api/businesspartner/v1/product/getCategoryAttributes', {
+      params: {
+        categoryCode: categoryId
+      }
+    });
+    this.assertSuccess(response, 'Failed to get attributes');
+    return response.data.value?.attributes || [];
+  }
+
+  /**
+   * Normalize Blibli product to our format
+   */
+  normalizeProduct(blibliProduct) {
+    return {
+      marketplaceProductId: blibliProduct.gdnSku || blibliProduct.productSku,
+      name: blibliProduct.productName,
+      description: blibliProduct.description,
+      price: blibliProduct.prices?.[0]?.salePrice || blibliProduct.prices?.[0]?.price || 0,
+      stock: blibliProduct.stockAvailableLv2 || blibliProduct.availableStock || 0,
+      sku: blibliProduct.merchantSku,
+      status: blibliProduct.buyable ? 'ACTIVE' : 'INACTIVE',
+      images: blibliProduct.images?.map(img => img.locationPath) || [],
+      variants: blibliProduct.productItems || [],
+      categoryId: blibliProduct.categoryCode,
+      weight: blibliProduct.weight,
+      dimensions: {
+        length: blibliProduct.length || 0,
+        width: blibliProduct.width || 0,
+        height: blibliProduct.height || 0
+      },
+      attributes: blibliProduct.attributes || [],
+      createdAt: blibliProduct.createdDate ? new Date(blibliProduct.createdDate).toISOString() : null,
+      updatedAt: blibliProduct.updatedDate ? new Date(blibliProduct.updatedDate).toISOString() : null
+    };
+  }
+
+  /**
+   * Map Blibli order status to our OrderStatus enum
+   * Statuses without a mapping return null so the order keeps its status
+   */
+  mapOrderStatus(blibliStatus) {
+    return ORDER_STATUS_MAP[blibliStatus] ?? null;
+  }
+
+  /**
+   * Normalize Blibli order to our format
+   */
+  normalizeOrder(blibliOrder) {
+    const items = blibliOrder.orderItems || [blibliOrder];
+
+    return {
+      marketplaceOrderId: blibliOrder.orderNo,
+      status: this.mapOrderStatus(blibliOrder.orderStatus),
+      marketplaceStatus: blibliOrder.orderStatus,
+      totalAmount: blibliOrder.totalOrderAmount || blibliOrder.finalPrice || 0,
+      shippingCost: blibliOrder.shippingCost || 0,
+      orderDate: new Date(blibliOrder.orderDate).toISOString(),
+      customerInfo: {
+        name: blibliOrder.customerFullName,
+        phone: blibliOrder.recipientPhone || null,
+        email: blibliOrder.customerEmail || null
+      },
+      shippingAddress: {
+        name: blibliOrder.recipientName,
+        phone: blibliOrder.recipientPhone,
+        address: blibliOrder.shippingStreetAddress,
+        city: blibliOrder.shippingCity,
+        province: blibliOrder.shippingProvince,
+        postal_code: blibliOrder.shippingZipCode
+      },
+      items: items.map(item => ({
+        productId: item.gdnSku,
+        variantId: item.gdnItemSku || null,
+        sku: item.merchantSku,
+        name: item.productName,
+        quantity: item.qty,
+        price: item.productPrice,
+        totalPrice: item.productPrice * item.qty
+      }))
+    };
+  }
+
+  /**
+   * Normalize Blibli category to our format
+   */
+  normalizeCategory(blibliCategory) {
+    return {
+      id: String(blibliCategory.categoryCode),
+      name: blibliCategory.categoryName,
+      parentId: blibliCategory.parentCategoryCode || null
+    };
+  }
+
+  /**
+   * Format our product to Blibli format
+   */
+  formatProductForMarketplace(product) {
+    return {
+      productName: product.name,
+      description: product.description || '',
+      merchantSku: product.sku,
+      categoryCode: product.categoryId,
+      brand: product.brand || 'No Brand',
+      weight: product.weight || 0,
+      length: product.dimensions?.length || 0,
+      width: product.dimensions?.width || 0,
+      height: product.dimensions?.height || 0,
+      prices: [
+        {
+          price: product.price,
+          salePrice: product.price
+        }
+      ],
+      availableStock: product.stock || 0,
+      images: product.images?.map(url => ({ locationPath: url })) || [],
+      attributes: product.attributes || [],
+      productItems: product.variants || []
+    };
+  }
+}
+
+module.exports = BlibliIntegration;
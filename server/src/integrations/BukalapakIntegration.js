@@ -0,0 +1,460 @@
+const axios = require('axios');
+const BaseMarketplace = require('./BaseMarketplace');
+
+// Bukalapak transaction state -> our OrderStatus enum
+const ORDER_STATUS_MAP = {
+  'pending': 'PENDING',
+  'addressed': 'PENDING',
+  'payment_chosen': 'PENDING',
+  'confirm_payment': 'PENDING',
+  'paid': 'CONFIRMED',
+  'accepted': 'PROCESSING',
+  'delivered': 'SHIPPED',
+  'received': 'DELIVERED',
+  'remitted': 'DELIVERED',
+  'rejected': 'CANCELLED',
+  'cancelled': 'CANCELLED',
+  'expired': 'CANCELLED',
+  'refunded': 'REFUNDED'
+};
+
+// Bukalapak shows square photos and accepts up to 5 MB
+const IMAGE_PROFILE = { size: 1000, maxBytes: 5 * 1024 * 1024 };
+
+/**
+ * Bukalapak marketplace integration
+ * Documentation: https://developer.bukalapak.com/
+ */
+class BukalapakIntegration extends BaseMarketplace {
+  constructor(config) {
+    super({
+      ...config,
+      baseURL: config.baseURL || 'https://api.bukalapak.com',
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
+    });
+
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.accessToken = config.accessToken;
+    this.authURL = config.authURL || 'https://accounts.bukalapak.com';
+  }
+
+  /**
+   * Get authentication headers for Bukalapak API
+   */
+  getAuthHeaders(_config) {
+    return {
+      'Authorization': `Bearer ${this.accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the seller authorization URL for the connect flow
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const query = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'public user store',
+      state
+    });
+    return `${this.authURL}/oauth/authorize?${query.toString()}`;
+  }
+
+  /**
+   * Exchange the seller's authorization code for tokens
+   */
+  async exchangeAuthorizationCode(code, params = {}) {
+    return await this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: params.redirectUri
+    });
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   */
+  async requestTokenRefresh() {
+    return await this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken
+    });
+  }
+
+  /**
+   * Call the OAuth token endpoint and map the response to our credential fields
+   */
+  async requestToken(grant) {
+    const body = new URLSearchParams({
+      ...grant,
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    });
+
+    const response = await axios.post(`${this.authURL}/oauth/token`, body.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: this.timeout
+    });
+
+    return {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token,
+      accessTokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Get seller profile information
+   */
+  async getProfile() {
+    const response = await this.client.get('/me');
+    return response.data.data;
+  }
+
+  /**
+   * Get products from Bukalapak
+   */
+  async getProducts(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      status
+    } = params;
+
+    const queryParams = {
+      offset: (page - 1) * limit,
+      limit
+    };
+
+    if (search) {
+      queryParams.keywords = search;
+    }
+
+    if (status) {
+      queryParams.states = status;
+    }
+
+    const response = await this.client.get('/stores/me/products', {
+      params: queryParams
+    });
+
+    const products = response.data.data || [];
+    const total = response.data.meta?.total || 0;
+
+    return {
+      data: products.map(product => this.normalizeProduct(product)),
+      hasMore: queryParams.offset + products.length < total,
+      total
+    };
+  }
+
+  /**
+   * Get single product by ID
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/products/${productId}`);
+
+    if (!response.data.data) {
+      throw new Error('Product not found');
+    }
+
+    return this.normalizeProduct(response.data.data);
+  }
+
+  /**
+   * Create product in Bukalapak
+   */
+  async createProduct(product) {
+    const bukalapakProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.post('/products', bukalapakProduct);
+
+    return {
+      marketplaceProductId: response.data.data?.id?.toString(),
+      data: response.data.data
+    };
+  }
+
+  /**
+   * Update product in Bukalapak
+   */
+  async updateProduct(productId, product) {
+    const bukalapakProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.patch(`/products/${productId}`, bukalapakProduct);
+
+    return response.data.data;
+  }
+
+  /**
+   * Delete product from Bukalapak
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.delete(`/products/${productId}`);
+    return response.data.data;
+  }
+
+  /**
+   * Update product stock in Bukalapak
+   * Stock is kept per SKU; products without variants have a single default SKU
+   */
+  async updateStock(productId, stock, variantId = null) {
+    let skuId = variantId;
+
+    if (!skuId) {
+      const response = await this.client.get(`/products/${productId}`);
+      skuId = response.data.data?.sku_id;
+    }
+
+    if (!skuId) {
+      throw new Error('Product SKU not found');
+    }
+
+    const response = await this.client.patch(`/products/${productId}/skus/${skuId}`, {
+      stock
+    });
+
+    return response.data.data;
+  }
+
+  /**
+   * Get orders (transactions) from Bukalapak
+   */
+  async getOrders(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      dateFrom,
+      dateTo
+    } = params;
+
+    const queryParams = {
+      context: 'seller',
+      offset: (page - 1) * limit,
+      limit
+    };
+
+    if (status) {
+      queryParams.states = status;
+    }
+
+    if (dateFrom) {
+      queryParams.start_time = new Date(dateFrom).toISOString();
+    }
+
+    if (dateTo) {
+      queryParams.end_time = new Date(dateTo).toISOString();
+    }
+
+    const response = await this.client.get('/transactions', {
+      params: queryParams
+    });
+
+    const orders = response.data.data || [];
+    const total = response.data.meta?.total || 0;
+
+    return {
+      data: orders.map(order => this.normalizeOrder(order)),
+      hasMore: queryParams.offset + orders.length < total,
+      total
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get(`/transactions/${orderId}`);
+
+    if (!response.data.data) {
+      throw new Error('Order not found');
+    }
+
+    return this.normalizeOrder(response.data.data);
+  }
+
+  /**
+   * Update order status in Bukalapak
+   */
+  async updateOrderStatus(orderId, status, options = {}) {
+    let payload;
+
+    switch (status) {
+      case 'CONFIRMED':
+      case 'PROCESSING':
+        payload = { state: 'accepted' };
+        break;
+      case 'SHIPPED':
+        payload = {
+          state: 'delivered',
+          state_options: {
+            carrier: options.trackingCompany,
+            tracking_number: options.trackingNumber
+          }
+        };
+        break;
+      case 'CANCELLED':
+        payload = {
+          state: 'rejected',
+          state_options: {
+            reason: options.reason || 'Stok barang habis'
+          }
+        };
+        break;
+      default:
+        throw new Error(`Unsupported status: ${status}`);
+    }
+
+    const response = await this.client.put(`/transactions/${orderId}/status`, payload);
+    return response.data.data;
+  }
+
+  /**
+   * Get categories from Bukalapak
+   */
+  async getCategories() {
+    const response = await this.client.get('/categories');
+    return response.data.data || [];
+  }
+
+  /**
+   * Upload images to Bukalapak
+   */
+  async uploadImages(images) {
+    const uploadedImages = [];
+
+    for (const image of images) {
+      const response = await this.client.post('/images', {
+        url: image.url,
+        data: image.base64
+      });
+
+      if (response.data.data?.id) {
+        uploadedImages.push({
+          url: response.data.data.url,
+          id: response.data.data.id
+        });
+      }
+    }
+
+    return uploadedImages;
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    const response = await this.client.get('/info/carriers');
+    return response.data.data || [];
+  }
+
+  /**
+   * Get attributes for category
+   */
+  async getAttributes(categoryId) {
+    const response = await this.client.get(`/categories/${categoryId}/attributes`);
+    return response.data.data || [];
+  }
+
+  /**
+   * Map Bukalapak transaction state to our OrderStatus enum
+   */
+  mapOrderStatus(bukalapakState) {
+    return ORDER_STATUS_MAP[bukalapakState] ?? null;
+  }
+
+  /**
+   * Normalize Bukalapak product to our format
+   */
+  normalizeProduct(bukalapakProduct) {
+    return {
+      marketplaceProductId: bukalapakProduct.id?.toString(),
+      name: bukalapakProduct.name,
+      description: bukalapakProduct.description,
+      price: bukalapakProduct.price || 0,
+      stock: bukalapakProduct.stock || 0,
+      sku: bukalapakProduct.sku_name,
+      status: bukalapakProduct.active ? 'ACTIVE' : 'INACTIVE',
+      images: bukalapakProduct.images?.large_urls || [],
+      variants: (bukalapakProduct.skus || []).map(sku => ({
+        id: sku.id?.toString(),
+        sku: sku.sku_name,
+        variantName: sku.variant_name,
+        price: sku.price || 0,
+        stock: sku.stock || 0
+      })),
+      categoryId: bukalapakProduct.category?.id?.toString(),
+      weight: bukalapakProduct.weight || 0,
+      dimensions: {},
+      attributes: bukalapakProduct.specs || {},
+      createdAt: bukalapakProduct.created_at,
+      updatedAt: bukalapakProduct.updated_at
+    };
+  }
+
+  /**
+   * Normalize Bukalapak transaction to our format
+   */
+  normalizeOrder(bukalapakOrder) {
+    const buyer = bukalapakOrder.buyer || {};
+    const consignee = bukalapakOrder.delivery?.consignee || {};
+
+    return {
+      marketplaceOrderId: bukalapakOrder.id?.toString(),
+      status: this.mapOrderStatus(bukalapakOrder.state),
+      marketplaceStatus: bukalapakOrder.state,
+      totalAmount: bukalapakOrder.amount?.total || 0,
+      shippingCost: bukalapakOrder.amount?.details?.delivery || 0,
+      orderDate: bukalapakOrder.created_at,
+      customerInfo: {
+        name: buyer.name,
+        phone: buyer.phone || consignee.phone,
+        email: buyer.email || null
+      },
+      shippingAddress: {
+        name: consignee.name,
+        phone: consignee.phone,
+        address: consignee.address,
+        city: consignee.city,
+        province: consignee.province,
+        postal_code: consignee.post_code
+      },
+      items: bukalapakOrder.items?.map(item => ({
+        productId: item.product?.id?.toString(),
+        variantId: item.stuff?.id?.toString() || null,
+        sku: item.stuff?.sku_name || item.product?.sku_name,
+        name: item.product?.name,
+        quantity: item.quantity,
+        price: item.price,
+        totalPrice: item.price * item.quantity
+      })) || []
+    };
+  }
+
+  /**
+   * Format our product to Bukalapak format
+   */
+  formatProductForMarketplace(product) {
+    return {
+      name: product.name,
+      description: product.description || '',
+      category_id: product.categoryId,
+      sku_name: product.sku,
+      price: product.price,
+      stock: product.stock || 0,
+      weight: product.weight || 0,
+      condition: 'new',
+      images: product.images || [],
+      specs: product.attributes || {}
+    };
+  }
+}
+
+module.exports = BukalapakIntegration;
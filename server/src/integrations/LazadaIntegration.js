@@ -1,6 +1,69 @@
+const axios = require('axios');
 const BaseMarketplace = require('./BaseMarketplace');
 const crypto = require('crypto');
 
+// Request quotas per API family, enforced per seller across all workers
+const RATE_LIMITS = {
+  image: { pattern: /^\/image\//, capacity: 5, refillPerSecond: 2 },
+  product: { pattern: /^\/products?\//, capacity: 10, refillPerSecond: 5 },
+  order: { pattern: /^\/orders?\//, capacity: 10, refillPerSecond: 5 },
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+// Lazada wants square photos of at least 330px and at most 3 MB
+const IMAGE_PROFILE = { size: 1000, maxBytes: 3 * 1024 * 1024 };
+
+// Reason used when an order is cancelled without picking one: out of stock
+const DEFAULT_CANCEL_REASON = '15';
+
+// Lazada order status -> our OrderStatus enum
+// Failed deliveries and parcels on their way back wait for the status that settles them
+const ORDER_STATUS_MAP = {
+  'unpaid': 'PENDING',
+  'pending': 'PENDING',
+  'packed': 'PROCESSING',
+  'ready_to_ship': 'PROCESSING',
+  'ready_to_ship_pending': 'PROCESSING',
+  'shipped': 'SHIPPED',
+  'delivered': 'DELIVERED',
+  'confirmed': 'DELIVERED',
+  'canceled': 'CANCELLED',
+  'returned': 'REFUNDED'
+};
+
+// Lazada reverse order line status -> our ReturnStatus enum
+const RETURN_STATUS_MAP = {
+  'REQUEST_INITIATE': 'REQUESTED',
+  'REQUEST_REJECT': 'REJECTED',
+  'REQUEST_CANCEL': 'CLOSED',
+  'CANCEL_SUCCESS': 'ACCEPTED',
+  'SELLER_AGREE_RETURN': 'ACCEPTED',
+  'BUYER_RETURN_ITEM': 'ACCEPTED',
+  'SELLER_REJECT_RETURN': 'REJECTED',
+  'RETURN_DISPUTE': 'DISPUTED',
+  'RETURN_DELIVERED': 'RECEIVED',
+  'REFUND_PENDING': 'RECEIVED',
+  'REFUND_SUCCESS': 'REFUNDED'
+};
+
+// Lazada fee names -> our OrderFeeType; fees matching none of these count as OTHER
+const FEE_TYPES = [
+  { pattern: /commission/i, type: 'COMMISSION' },
+  { pattern: /payment fee/i, type: 'PAYMENT' },
+  { pattern: /free shipping|shipping max|lazflash/i, type: 'SHIPPING_PROGRAM' },
+  { pattern: /voucher|subsidy/i, type: 'VOUCHER_SUBSIDY' },
+  { pattern: /service fee|handling fee/i, type: 'SERVICE' }
+];
+
+// Transactions that are the buyer's payment passing through rather than a fee
+const PROCEEDS_FEES = /item price credit|shipping fee \(paid by customer\)/i;
+
+// How far back order transactions are searched; Lazada needs a date range
+const FINANCE_WINDOW_DAYS = 90;
+
+// Page size of the transaction details endpoint
+const TRANSACTION_PAGE_SIZE = 500;
+
 /**
  * Lazada marketplace integration
  * Documentation: https://open.lazada.com/doc/
@@ -9,12 +72,15 @@ class LazadaIntegration extends BaseMarketplace {
   constructor(config) {
     super({
       ...config,
-      baseURL: config.baseURL || 'https://api.lazada.com/rest'
+      baseURL: config.baseURL || 'https://api.lazada.com/rest',
+      rateLimits: config.rateLimits || RATE_LIMITS,
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
     });
     
     this.appKey = config.appKey;
     this.appSecret = config.appSecret;
     this.accessToken = config.accessToken;
+    this.authURL = config.authURL || 'https://auth.lazada.com';
   }
 
   /**
@@ -33,27 +99,105 @@ class LazadaIntegration extends BaseMarketplace {
       ...config.params
     };
 
-    // Generate signature
+    // Add signature to params
+    params.sign = this.signParams(path, params);
+
+    // Update config params
+    config.params = params;
+
+    return {
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Sign API parameters: HMAC-SHA256 of path + sorted key/value pairs, uppercase hex
+   */
+  signParams(path, params) {
     const sortedParams = Object.keys(params)
       .sort()
       .map(key => `${key}${params[key]}`)
       .join('');
     
-    const signature = crypto
+    return crypto
       .createHmac('sha256', this.appSecret)
       .update(`${path}${sortedParams}`)
       .digest('hex')
       .toUpperCase();
+  }
 
-    // Add signature to params
-    params.sign = signature;
+  /**
+   * Build the seller authorization URL for the connect flow
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const query = new URLSearchParams({
+      response_type: 'code',
+      force_auth: 'true',
+      redirect_uri: redirectUri,
+      client_id: this.appKey,
+      state
+    });
+    return `${this.authURL}/oauth/authorize?${query.toString()}`;
+  }
 
-    // Update config params
-    config.params = params;
+  /**
+   * Exchange the seller's authorization code for tokens
+   */
+  async exchangeAuthorizationCode(code) {
+    return await this.requestToken('/auth/token/create', { code });
+  }
 
-    return {
-      'Content-Type': 'application/json'
+  /**
+   * Exchange the refresh token for a new access token
+   */
+  async requestTokenRefresh() {
+    return await this.requestToken('/auth/token/refresh', {
+      refresh_token: this.refreshToken
+    });
+  }
+
+  /**
+   * Call a token endpoint on the auth host and map the response to our credential fields
+   */
+  async requestToken(path, extraParams) {
+    const params = {
+      app_key: this.appKey,
+      timestamp: Date.now().toString(),
+      sign_method: 'sha256',
+      ...extraParams
     };
+    params.sign = this.signParams(path, params);
+
+    const response = await axios.post(`${this.authURL}/rest${path}`, null, {
+      params,
+      timeout: this.timeout
+    });
+
+    const tokenData = response.data;
+    if (tokenData.code !== '0' || !tokenData.access_token) {
+      throw new Error(tokenData.message || 'Failed to get access token');
+    }
+
+    const tokens = {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      accessTokenExpiresAt: new Date(Date.now() + tokenData.expires_in * 1000).toISOString(),
+      refreshTokenExpiresAt: new Date(Date.now() + tokenData.refresh_expires_in * 1000).toISOString()
+    };
+
+    const sellerId = tokenData.country_user_info?.[0]?.seller_id;
+    if (sellerId) {
+      tokens.sellerId = sellerId.toString();
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Lazada reports throttling as a 200 response with an ApiCallLimit code
+   */
+  isRateLimited(response) {
+    return super.isRateLimited(response) || response?.data?.code === 'ApiCallLimit';
   }
 
   /**
@@ -203,7 +347,7 @@ class LazadaIntegration extends BaseMarketplace {
       const productDetail = await this.getProduct(productId);
       if (productDetail.variants && productDetail.variants.length > 0) {
         stockData.Request.skus.push({
-          sku_id: productDetail.variants[0].id,
+          sku_id: parseInt(productDetail.variants[0].id),
           quantity: stock
         });
       }
@@ -283,7 +427,7 @@ class LazadaIntegration extends BaseMarketplace {
   /**
    * Update order status in Lazada
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, status, options = {}) {
     let endpoint;
     let payload = { order_item_id: orderId };
 
@@ -295,10 +439,7 @@ class LazadaIntegration extends BaseMarketplace {
         payload.shipping_provider = 'Standard Delivery';
         break;
       case 'CANCELLED':
-        endpoint = '/order/cancel';
-        payload.reason_detail = 'Out of stock';
-        payload.reason_id = 15; // Out of stock reason ID
-        break;
+        return this.cancelOrder(orderId, options.reasonCode || DEFAULT_CANCEL_REASON);
       default:
         throw new Error(`Unsupported status: ${status}`);
     }
@@ -352,6 +493,319 @@ class LazadaIntegration extends BaseMarketplace {
     return response.data.data || [];
   }
 
+  /**
+   * Lazada picks up from the seller's warehouse address and has no slot booking,
+   * so both methods are offered without choices
+   */
+  async getShippingParameters(_orderId) {
+    return {
+      pickup: { addresses: [] },
+      dropoff: { branches: [] }
+    };
+  }
+
+  /**
+   * Get the items of an order; Lazada ships and labels per order item
+   */
+  async getOrderItems(orderId) {
+    const response = await this.client.get('/order/items/get', {
+      params: { order_id: orderId }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to get order items');
+    }
+
+    return response.data.data || [];
+  }
+
+  /**
+   * Pack an order with the default shipment provider and mark it ready to ship
+   */
+  async arrangeShipment(orderId, options) {
+    const items = await this.getOrderItems(orderId);
+    const orderItemIds = JSON.stringify(items.map(item => item.order_item_id));
+    const deliveryType = options.method === 'pickup' ? 'pickup' : 'dropship';
+
+    const providers = await this.getShippingMethods();
+    const providerList = providers.shipment_providers || providers;
+    const provider = providerList.find(item => item.is_default) || providerList[0];
+
+    if (!provider) {
+      throw new Error('No Lazada shipment provider is available');
+    }
+
+    const packResponse = await this.client.post('/order/pack', {
+      Request: {
+        delivery_type: deliveryType,
+        shipping_provider: provider.name,
+        order_item_ids: orderItemIds
+      }
+    });
+
+    if (packResponse.data.code !== '0') {
+      throw new Error(packResponse.data.message || 'Failed to pack order');
+    }
+
+    const packed = packResponse.data.data?.order_items?.[0] || {};
+    const trackingNumber = packed.tracking_number || null;
+    const carrier = packed.shipment_provider || provider.name;
+
+    const rtsResponse = await this.client.post('/order/rts', {
+      Request: {
+        delivery_type: deliveryType,
+        order_item_ids: orderItemIds,
+        shipment_provider: carrier,
+        tracking_number: trackingNumber
+      }
+    });
+
+    if (rtsResponse.data.code !== '0') {
+      throw new Error(rtsResponse.data.message || 'Failed to mark order ready to ship');
+    }
+
+    return { trackingNumber, carrier };
+  }
+
+  /**
+   * Get the tracking number of an arranged shipment
+   */
+  async getTrackingNumber(orderId) {
+    const [item] = await this.getOrderItems(orderId);
+
+    return {
+      trackingNumber: item?.tracking_code || null,
+      carrier: item?.shipment_provider || null
+    };
+  }
+
+  /**
+   * Get courier checkpoints of an order's packages
+   */
+  async getTrackingInfo(orderId) {
+    const response = await this.client.get('/logistic/order/trace', {
+      params: { order_id: orderId }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to get tracking info');
+    }
+
+    const packages = (response.data.result?.module || []).flatMap(module => module.package_detail_info_list || []);
+    const [firstPackage] = packages;
+
+    return {
+      trackingNumber: firstPackage?.tracking_number || null,
+      carrier: firstPackage?.logistic_provider || null,
+      events: packages.flatMap(pkg => (pkg.logistic_detail_info_list || []).map(checkpoint => ({
+        status: checkpoint.detail_type,
+        description: checkpoint.description || checkpoint.title,
+        location: null,
+        occurredAt: new Date(Number(checkpoint.event_time))
+      })))
+    };
+  }
+
+  /**
+   * Get the fees Lazada deducts from an order and what it pays out, from the order's account transactions
+   * Transactions are only booked once the order is delivered, so until then there is no payout.
+   */
+  async getOrderFinance(orderId) {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - FINANCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const response = await this.client.get('/finance/transaction/details/get', {
+      params: {
+        trade_order_id: orderId,
+        start_time: startTime.toISOString().slice(0, 10),
+        end_time: endTime.toISOString().slice(0, 10)
+      }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to get order transactions');
+    }
+
+    const transactions = response.data.data || [];
+    const amountOf = (transaction) => parseFloat(String(transaction.amount).replace(/,/g, '')) || 0;
+
+    return {
+      fees: transactions
+        .filter(transaction => !PROCEEDS_FEES.test(transaction.fee_name))
+        .map(transaction => ({
+          type: FEE_TYPES.find(fee => fee.pattern.test(transaction.fee_name))?.type || 'OTHER',
+          // Lazada books deductions as negative amounts
+          amount: -amountOf(transaction),
+          description: transaction.fee_name
+        }))
+        .filter(fee => fee.amount),
+      netProceeds: transactions.length > 0
+        ? transactions.reduce((sum, transaction) => sum + amountOf(transaction), 0)
+        : null
+    };
+  }
+
+  /**
+   * Get transactions paid out to the seller's balance in a period, one line per transaction
+   * Fees are booked as negative transactions of the same order.
+   */
+  async getSettlements(params = {}) {
+    const endTime = new Date(params.endDate || Date.now());
+    const startTime = new Date(params.startDate || endTime.getTime() - FINANCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const settlements = [];
+    let offset = 0;
+    let transactions;
+
+    do {
+      const response = await this.client.get('/finance/transaction/details/get', {
+        params: {
+          start_time: startTime.toISOString().slice(0, 10),
+          end_time: endTime.toISOString().slice(0, 10),
+          offset,
+          limit: TRANSACTION_PAGE_SIZE
+        }
+      });
+
+      if (response.data.code !== '0') {
+        throw new Error(response.data.message || 'Failed to get transactions');
+      }
+
+      transactions = response.data.data || [];
+      settlements.push(...transactions
+        .filter(transaction => transaction.order_no && /^paid$/i.test(transaction.paid_status))
+        .map(transaction => ({
+          marketplaceOrderId: String(transaction.order_no),
+          amount: parseFloat(String(transaction.amount).replace(/,/g, '')) || 0,
+          settledAt: new Date(transaction.transaction_date),
+          reference: transaction.transaction_number
+        })));
+
+      offset += TRANSACTION_PAGE_SIZE;
+    } while (transactions.length === TRANSACTION_PAGE_SIZE);
+
+    return settlements;
+  }
+
+  /**
+   * Get the reasons a seller may cancel an order for; Lazada offers them per order
+   */
+  async getCancelReasons(orderId) {
+    const items = await this.getOrderItems(orderId);
+
+    const response = await this.client.get('/order/reverse/cancel/validate', {
+      params: {
+        order_id: orderId,
+        order_item_id_list: JSON.stringify(items.map(item => item.order_item_id))
+      }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to get cancel reasons');
+    }
+
+    return (response.data.data?.reason_options || []).map(option => ({
+      code: String(option.reason_id),
+      label: option.reason_name
+    }));
+  }
+
+  /**
+   * Cancel all items of an order on behalf of the seller
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const items = await this.getOrderItems(orderId);
+
+    const response = await this.client.post('/order/reverse/cancel/create', {
+      Request: {
+        order_id: orderId,
+        reason_id: Number(reasonCode),
+        order_item_id_list: JSON.stringify(items.map(item => item.order_item_id))
+      }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to cancel order');
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Get buyer cancellation requests and return/refund requests (reverse orders)
+   */
+  async getReturnRequests(params = {}) {
+    const requests = [];
+    let pageNo = 1;
+    let total = Infinity;
+
+    while (requests.length < total) {
+      const response = await this.client.get('/reverse/getreverseordersforseller', {
+        params: {
+          page_no: pageNo,
+          page_size: 100,
+          ...(params.since && { update_time_start: new Date(params.since).getTime() })
+        }
+      });
+
+      if (response.data.code !== '0') {
+        throw new Error(response.data.message || 'Failed to get reverse orders');
+      }
+
+      const items = response.data.data?.items || [];
+      requests.push(...items.map(item => this.normalizeReturn(item)));
+      total = items.length > 0 ? response.data.data.total || 0 : 0;
+      pageNo++;
+    }
+
+    return requests;
+  }
+
+  /**
+   * Accept or reject a reverse order; disputes are raised from Seller Center
+   */
+  async respondToReturnRequest(request, action, options = {}) {
+    if (action === 'dispute') {
+      const error = new Error('Lazada disputes must be raised from Seller Center');
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    const response = await this.client.post('/order/reverse/return/update', {
+      Request: {
+        reverse_order_id: request.id,
+        reverse_order_item_ids: JSON.stringify(request.marketplaceData?.lineIds || []),
+        action: action === 'accept' ? 'agreeReturn' : 'refuseReturn',
+        comment: options.reason || ''
+      }
+    });
+
+    if (response.data.code !== '0') {
+      throw new Error(response.data.message || 'Failed to respond to request');
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Download the air waybill of an order
+   */
+  async getShippingLabel(orderId) {
+    const items = await this.getOrderItems(orderId);
+
+    const response = await this.client.get('/order/document/awb/pdf/get', {
+      params: {
+        order_item_ids: JSON.stringify(items.map(item => item.order_item_id))
+      }
+    });
+
+    const file = response.data.data?.document?.file;
+    if (response.data.code !== '0' || !file) {
+      throw new Error(response.data.message || 'Failed to get shipping label');
+    }
+
+    return Buffer.from(file, 'base64');
+  }
+
   /**
    * Get attributes for category
    */
@@ -364,6 +818,43 @@ class LazadaIntegration extends BaseMarketplace {
     return response.data.data || [];
   }
 
+  /**
+   * Normalize Lazada category attribute to our format
+   * Lazada identifies attributes and option values by name
+   */
+  normalizeAttribute(lazadaAttribute) {
+    const INPUT_TYPES = {
+      singleSelect: 'select',
+      enumInput: 'select',
+      multiSelect: 'multi_select',
+      multiEnumInput: 'multi_select',
+      numeric: 'number'
+    };
+
+    return {
+      id: lazadaAttribute.name,
+      name: lazadaAttribute.label || lazadaAttribute.name,
+      aliases: [],
+      type: INPUT_TYPES[lazadaAttribute.input_type] || 'text',
+      required: Number(lazadaAttribute.is_mandatory) === 1,
+      allowCustom: ['enumInput', 'multiEnumInput'].includes(lazadaAttribute.input_type),
+      options: (lazadaAttribute.options || []).map(option => ({ id: option.name, name: option.name }))
+    };
+  }
+
+  /**
+   * Format mapped attribute values as Lazada product attributes
+   */
+  formatAttributes(mappedAttributes) {
+    const attributes = {};
+
+    for (const { attribute, values } of mappedAttributes) {
+      attributes[attribute.id] = values.map(value => value.name).join(',');
+    }
+
+    return attributes;
+  }
+
   /**
    * Normalize Lazada product to our format
    */
@@ -377,7 +868,7 @@ class LazadaIntegration extends BaseMarketplace {
       sku: lazadaProduct.skus?.[0]?.SellerSku,
       status: lazadaProduct.status,
       images: lazadaProduct.images?.map(img => img.url) || [],
-      variants: lazadaProduct.skus || [],
+      variants: (lazadaProduct.skus || []).map(lazadaSku => this.normalizeVariant(lazadaSku)),
       categoryId: lazadaProduct.primary_category,
       weight: lazadaProduct.attributes?.package_weight,
       dimensions: {
@@ -391,13 +882,38 @@ class LazadaIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Normalize a Lazada SKU to our variant format; saleProp holds its variation values
+   */
+  normalizeVariant(lazadaSku) {
+    const attributes = { ...lazadaSku.saleProp };
+
+    return {
+      id: lazadaSku.SkuId?.toString(),
+      sku: lazadaSku.SellerSku,
+      variantName: Object.values(attributes).join(' / ') || lazadaSku.SellerSku,
+      price: lazadaSku.price || 0,
+      stock: lazadaSku.quantity || 0,
+      attributes
+    };
+  }
+
+  /**
+   * Map Lazada order status to our OrderStatus enum
+   * Statuses without a mapping return null so the order keeps its status
+   */
+  mapOrderStatus(lazadaStatus) {
+    return ORDER_STATUS_MAP[lazadaStatus] ?? null;
+  }
+
   /**
    * Normalize Lazada order to our format
    */
   normalizeOrder(lazadaOrder) {
     return {
       marketplaceOrderId: lazadaOrder.order_number,
-      status: lazadaOrder.statuses?.[0],
+      status: this.mapOrderStatus(lazadaOrder.statuses?.[0]),
+      marketplaceStatus: lazadaOrder.statuses?.[0],
       totalAmount: parseFloat(lazadaOrder.price) || 0,
       shippingCost: parseFloat(lazadaOrder.shipping_fee) || 0,
       orderDate: lazadaOrder.created_at,
@@ -427,11 +943,44 @@ class LazadaIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Normalize Lazada reverse order to our format
+   * Lazada has one line per returned unit; lines of the same SKU are counted together.
+   */
+  normalizeReturn(lazadaReverseOrder) {
+    const lines = lazadaReverseOrder.reverse_order_lines || [];
+    const quantities = new Map();
+
+    for (const line of lines) {
+      quantities.set(line.seller_sku_id, (quantities.get(line.seller_sku_id) || 0) + 1);
+    }
+
+    return {
+      id: String(lazadaReverseOrder.reverse_order_id),
+      orderId: String(lazadaReverseOrder.trade_order_id),
+      type: lazadaReverseOrder.request_type === 'CANCEL' ? 'CANCELLATION' : 'RETURN',
+      status: RETURN_STATUS_MAP[lines[0]?.reverse_status] || 'REQUESTED',
+      reason: lines[0]?.reason_text || null,
+      refundAmount: lines.reduce((sum, line) => sum + Number(line.refund_amount || 0), 0),
+      requiresReturn: lazadaReverseOrder.request_type === 'RETURN',
+      items: [...quantities].map(([sku, quantity]) => ({ sku, quantity })),
+      requestedAt: new Date(Number(lines[0]?.return_order_line_gmt_create || Date.now())),
+      marketplaceData: { lineIds: lines.map(line => line.reverse_order_line_id) }
+    };
+  }
+
   /**
    * Format our product to Lazada format
    */
   formatProductForMarketplace(product) {
-    return {
+    const packageInfo = {
+      package_weight: product.weight || 0.1,
+      package_length: product.dimensions?.length || 10,
+      package_width: product.dimensions?.width || 10,
+      package_height: product.dimensions?.height || 10
+    };
+
+    const lazadaProduct = {
       attributes: {
         name: product.name,
         description: product.description || '',
@@ -441,7 +990,8 @@ class LazadaIntegration extends BaseMarketplace {
         package_length: product.dimensions?.length || 10,
         package_width: product.dimensions?.width || 10,
         package_height: product.dimensions?.height || 10,
-        package_content: product.description || product.name
+        package_content: product.description || product.name,
+        ...product.attributes
       },
       category_id: product.categoryId,
       images: product.images?.map(url => ({ url })) || [],
@@ -450,13 +1000,32 @@ class LazadaIntegration extends BaseMarketplace {
           SellerSku: product.sku,
           quantity: product.stock || 0,
           price: product.price,
-          package_weight: product.weight || 0.1,
-          package_length: product.dimensions?.length || 10,
-          package_width: product.dimensions?.width || 10,
-          package_height: product.dimensions?.height || 10
+          ...packageInfo
         }
       ]
     };
+
+    // Each variant is its own SKU; variation declares the options they are sold by
+    if (product.variants?.length > 0) {
+      const { tiers, combinations } = this.getVariantTiers(product.variants);
+
+      lazadaProduct.variation = Object.fromEntries(tiers.map((tier, index) => [`Variation${index + 1}`, {
+        name: tier.name,
+        hasImage: false,
+        customize: true,
+        options: tier.values
+      }]));
+
+      lazadaProduct.skus = combinations.map(({ variant, options }) => ({
+        SellerSku: variant.sku,
+        quantity: this.getInventoryQuantity(product, variant.id),
+        price: Number(variant.price ?? product.price),
+        saleProp: options,
+        ...packageInfo
+      }));
+    }
+
+    return lazadaProduct;
   }
 }
 
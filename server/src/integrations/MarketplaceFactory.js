@@ -1,6 +1,14 @@
 const ShopeeIntegration = require('./ShopeeIntegration');
 const TokopediaIntegration = require('./TokopediaIntegration');
 const LazadaIntegration = require('./LazadaIntegration');
+const BlibliIntegration = require('./BlibliIntegration');
+const BukalapakIntegration = require('./BukalapakIntegration');
+const TikTokIntegration = require('./TikTokIntegration');
+const WooCommerceIntegration = require('./WooCommerceIntegration');
+const ShopifyIntegration = require('./ShopifyIntegration');
+const { prisma } = require('../utils/database');
+const { addNotificationJob } = require('../jobs/queueManager');
+const { emitToUser } = require('../utils/socket');
 const logger = require('../utils/logger');
 
 /**
@@ -11,15 +19,18 @@ class MarketplaceFactory {
     'SHOPEE': ShopeeIntegration,
     'TOKOPEDIA': TokopediaIntegration,
     'LAZADA': LazadaIntegration,
+    'BLIBLI': BlibliIntegration,
+    'BUKALAPAK': BukalapakIntegration,
     // Add more marketplaces here as they are implemented
-    'BLIBLI': null, // TODO: Implement BlibliIntegration
-    'BUKALAPAK': null, // TODO: Implement BukalapakIntegration
     'JDID': null, // TODO: Implement JDIDIntegration
-    'TIKTOK': null, // TODO: Implement TikTokIntegration
-    'WOOCOMMERCE': null, // TODO: Implement WooCommerceIntegration
-    'SHOPIFY': null // TODO: Implement ShopifyIntegration
+    'TIKTOK': TikTokIntegration,
+    'WOOCOMMERCE': WooCommerceIntegration,
+    'SHOPIFY': ShopifyIntegration
   };
 
+  // Manifests of integrations loaded as plugins, keyed by marketplace code
+  static plugins = {};
+
   /**
    * Create marketplace integration instance
    * @param {string} marketplaceCode - Marketplace code (e.g., 'SHOPEE', 'TOKOPEDIA')
@@ -57,7 +68,8 @@ class MarketplaceFactory {
     const config = {
       apiKey,
       apiSecret,
-      ...credentials // Spread any additional credentials from JSON field
+      ...credentials, // Spread any additional credentials from JSON field
+      accountId: marketplaceAccount.id
     };
 
     // Add marketplace-specific configuration
@@ -70,6 +82,7 @@ class MarketplaceFactory {
         
       case 'TOKOPEDIA':
         config.fsId = credentials?.fsId;
+        config.shopId = marketplaceAccount.shopId || credentials?.shopId;
         config.clientId = apiKey;
         config.clientSecret = apiSecret;
         config.accessToken = credentials?.accessToken;
@@ -80,15 +93,167 @@ class MarketplaceFactory {
         config.appSecret = apiSecret;
         config.accessToken = credentials?.accessToken;
         break;
+
+      case 'BLIBLI':
+        config.clientId = apiKey;
+        config.clientSecret = apiSecret;
+        config.sellerApiKey = credentials?.sellerApiKey;
+        config.businessPartnerCode = credentials?.businessPartnerCode;
+        config.storeCode = credentials?.storeCode || credentials?.businessPartnerCode;
+        break;
+
+      case 'BUKALAPAK':
+        config.clientId = apiKey;
+        config.clientSecret = apiSecret;
+        config.accessToken = credentials?.accessToken;
+        break;
+
+      case 'TIKTOK':
+        config.appKey = apiKey;
+        config.appSecret = apiSecret;
+        config.accessToken = credentials?.accessToken;
+        config.refreshToken = credentials?.refreshToken;
+        config.accessTokenExpiresAt = credentials?.accessTokenExpiresAt;
+        config.shopCipher = credentials?.shopCipher;
+        config.warehouseId = credentials?.warehouseId;
+        break;
+
+      case 'WOOCOMMERCE':
+        config.consumerKey = apiKey;
+        config.consumerSecret = apiSecret;
+        config.storeUrl = credentials?.storeUrl;
+        config.queryStringAuth = credentials?.queryStringAuth;
+        break;
+
+      case 'SHOPIFY':
+        config.storeUrl = credentials?.storeUrl || marketplaceAccount.shopId;
+        config.accessToken = credentials?.accessToken || apiSecret;
+        config.apiVersion = credentials?.apiVersion;
+        config.locationId = credentials?.locationId;
+        break;
         
       default:
         // For other marketplaces, use generic configuration
         break;
     }
 
+    // Rotated tokens are written back; a dead grant disconnects the account
+    config.onTokenRefresh = (tokens) => this.persistCredentials(marketplaceAccount, tokens);
+    config.loadCredentials = () => this.loadCredentials(marketplaceAccount);
+    config.onTokenRefreshFailed = (error) => this.handleTokenRefreshFailure(marketplaceAccount, error);
+    config.onCircuitStateChange = (transition) => this.handleCircuitStateChange(marketplaceAccount, transition);
+
     return this.create(marketplace.code, config);
   }
 
+  /**
+   * Merge refreshed credentials (e.g. rotated tokens) back into the account record
+   * @param {Object} marketplaceAccount - User marketplace account from database
+   * @param {Object} updates - Credential fields to merge into the credentials JSON
+   */
+  static async persistCredentials(marketplaceAccount, updates) {
+    const credentials = {
+      ...marketplaceAccount.credentials,
+      ...updates
+    };
+    const shopId = this.getShopId(credentials);
+
+    await prisma.userMarketplaceAccount.update({
+      where: { id: marketplaceAccount.id },
+      data: { credentials, shopId }
+    });
+
+    // Keep the in-memory account in step so later integrations see the new tokens
+    marketplaceAccount.credentials = credentials;
+    marketplaceAccount.shopId = shopId;
+  }
+
+  /**
+   * Read the account's stored credentials, which another worker may have updated
+   * @param {Object} marketplaceAccount - User marketplace account from database
+   * @returns {Object|null} Credentials JSON
+   */
+  static async loadCredentials(marketplaceAccount) {
+    const account = await prisma.userMarketplaceAccount.findUnique({
+      where: { id: marketplaceAccount.id },
+      select: { credentials: true }
+    });
+
+    if (account) {
+      marketplaceAccount.credentials = account.credentials;
+    }
+
+    return account?.credentials || null;
+  }
+
+  /**
+   * Shop identifier marketplaces put in their webhooks, stored in its own column for lookups
+   * Lazada identifies sellers by seller_id, the others by shop_id
+   * @param {Object} credentials - Account credentials JSON
+   * @returns {string|null} Shop identifier
+   */
+  static getShopId(credentials) {
+    const shopId = credentials?.shopId ?? credentials?.sellerId;
+    return shopId !== undefined && shopId !== null && shopId !== '' ? String(shopId) : null;
+  }
+
+  /**
+   * Mark an account disconnected after its token could not be refreshed and alert the owner
+   * @param {Object} marketplaceAccount - User marketplace account from database
+   * @param {Error} error - Refresh error
+   */
+  static async handleTokenRefreshFailure(marketplaceAccount, error) {
+    try {
+      const account = await prisma.userMarketplaceAccount.update({
+        where: { id: marketplaceAccount.id },
+        data: { isConnected: false },
+        include: {
+          user: {
+            select: { email: true, fullName: true }
+          },
+          marketplace: {
+            select: { name: true }
+          }
+        }
+      });
+
+      marketplaceAccount.isConnected = false;
+
+      logger.warn(`Marketplace account ${account.id} disconnected: token refresh failed - ${error.message}`);
+
+      await addNotificationJob('send-email', {
+        to: account.user.email,
+        subject: `Koneksi ${account.marketplace.name} terputus`,
+        template: 'marketplace-disconnected',
+        data: {
+          name: account.user.fullName,
+          marketplace: account.marketplace.name,
+          storeName: account.storeName,
+          reason: error.message
+        }
+      });
+    } catch (handlerError) {
+      logger.error(`Failed to handle token refresh failure for account ${marketplaceAccount.id}:`, handlerError);
+    }
+  }
+
+  /**
+   * Push circuit breaker transitions to the account owner's open sessions
+   * @param {Object} marketplaceAccount - User marketplace account from database
+   * @param {Object} transition - { from, to, failures, openedAt, retryAt }
+   */
+  static handleCircuitStateChange(marketplaceAccount, transition) {
+    emitToUser(marketplaceAccount.userId, 'marketplace-circuit-update', {
+      accountId: marketplaceAccount.id,
+      storeName: marketplaceAccount.storeName,
+      marketplace: marketplaceAccount.marketplace?.name,
+      state: transition.to,
+      previousState: transition.from,
+      failures: transition.failures,
+      retryAt: transition.retryAt ? new Date(transition.retryAt).toISOString() : null
+    });
+  }
+
   /**
    * Get list of supported marketplaces
    * @returns {Array} Array of supported marketplace codes
@@ -103,7 +268,7 @@ class MarketplaceFactory {
    * @returns {boolean} True if marketplace is supported
    */
   static isSupported(marketplaceCode) {
-    return this.integrations[marketplaceCode.toUpperCase()] !== null;
+    return Boolean(this.integrations[marketplaceCode.toUpperCase()]);
   }
 
   /**
@@ -116,6 +281,36 @@ class MarketplaceFactory {
     logger.info(`Registered marketplace integration: ${marketplaceCode}`);
   }
 
+  /**
+   * Register an integration loaded as a plugin
+   * @param {Object} manifest - Validated plugin manifest (see pluginLoader)
+   */
+  static registerPlugin(manifest) {
+    this.plugins[manifest.code] = manifest;
+    this.register(manifest.code, manifest.integration);
+  }
+
+  /**
+   * Public description of a plugin marketplace
+   * @param {string} marketplaceCode - Marketplace code
+   * @returns {Object|null} Name, version, capabilities and credential schema, or null for built-ins
+   */
+  static getPluginInfo(marketplaceCode) {
+    const plugin = this.plugins[marketplaceCode?.toUpperCase()];
+
+    if (!plugin) {
+      return null;
+    }
+
+    return {
+      name: plugin.name,
+      version: plugin.version,
+      description: plugin.description,
+      capabilities: plugin.capabilities,
+      credentialSchema: plugin.credentialSchema
+    };
+  }
+
   /**
    * Test connection for multiple marketplace accounts
    * @param {Array} marketplaceAccounts - Array of marketplace accounts
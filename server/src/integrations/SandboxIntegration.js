@@ -0,0 +1,528 @@
+const BaseMarketplace = require('./BaseMarketplace');
+const { getSimulator } = require('./SandboxSimulator');
+
+// Sandbox order status -> our OrderStatus enum
+const ORDER_STATUS_MAP = {
+  'UNPAID': 'PENDING',
+  'READY_TO_SHIP': 'CONFIRMED',
+  'PROCESSED': 'PROCESSING',
+  'SHIPPED': 'SHIPPED',
+  'COMPLETED': 'DELIVERED',
+  'CANCELLED': 'CANCELLED'
+};
+
+// The simulator is local, so quotas only need to be high enough to keep bursts realistic
+const RATE_LIMITS = {
+  default: { capacity: 50, refillPerSecond: 50 }
+};
+
+// Account credentials that tune the simulated store
+const SIMULATOR_OPTIONS = ['seed', 'productCount', 'orderCount', 'latency', 'errorRate', 'errorStatus', 'transitionInterval'];
+
+// Small enough to keep simulated uploads cheap
+const IMAGE_PROFILE = { size: 800, maxBytes: 1024 * 1024 };
+
+/**
+ * Sandbox marketplace integration
+ * Talks to an in-process simulator instead of a real marketplace, for local development and tests.
+ * Requests still go through the axios pipeline, so rate limits and the circuit breaker apply.
+ */
+class SandboxIntegration extends BaseMarketplace {
+  constructor(config) {
+    super({
+      ...config,
+      baseURL: config.baseURL || 'http://sandbox.local/api',
+      rateLimits: config.rateLimits || RATE_LIMITS,
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
+    });
+
+    this.storeId = config.storeId || config.accountId || 'default';
+
+    const options = {};
+    for (const key of SIMULATOR_OPTIONS) {
+      if (config[key] !== undefined) {
+        options[key] = config[key];
+      }
+    }
+
+    this.simulator = config.simulator || getSimulator(this.storeId, options);
+    this.client.defaults.adapter = (requestConfig) => this.simulator.dispatch(requestConfig);
+  }
+
+  /**
+   * Get authentication headers for the sandbox
+   */
+  getAuthHeaders(_config) {
+    return {
+      'X-Sandbox-Store': this.storeId
+    };
+  }
+
+  /**
+   * Get sandbox shop information
+   */
+  async getProfile() {
+    const response = await this.client.get('/shop');
+    return response.data.data;
+  }
+
+  /**
+   * Get products from the sandbox
+   */
+  async getProducts(params = {}) {
+    const { page = 1, limit = 50, search, status } = params;
+
+    const response = await this.client.get('/products', {
+      params: { page, limit, search, status }
+    });
+
+    return {
+      data: response.data.data.map(product => this.normalizeProduct(product)),
+      hasMore: response.data.has_more,
+      total: response.data.total
+    };
+  }
+
+  /**
+   * Get single product by ID
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/products/${productId}`);
+    return this.normalizeProduct(response.data.data);
+  }
+
+  /**
+   * Create product in the sandbox
+   */
+  async createProduct(product) {
+    const response = await this.client.post('/products', this.formatProductForMarketplace(product));
+
+    return {
+      marketplaceProductId: response.data.data.id,
+      data: response.data.data
+    };
+  }
+
+  /**
+   * Update product in the sandbox
+   */
+  async updateProduct(productId, product) {
+    const response = await this.client.put(`/products/${productId}`, this.formatProductForMarketplace(product));
+    return response.data.data;
+  }
+
+  /**
+   * Delete product from the sandbox
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.delete(`/products/${productId}`);
+    return response.data.data;
+  }
+
+  /**
+   * Update product stock in the sandbox
+   */
+  async updateStock(productId, stock, variantId = null) {
+    const response = await this.client.put(`/products/${productId}/stock`, {
+      stock,
+      variant_id: variantId
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Get orders from the sandbox
+   */
+  async getOrders(params = {}) {
+    const { page = 1, limit = 50, status, dateFrom, dateTo } = params;
+
+    const queryParams = { page, limit, status };
+
+    if (dateFrom) {
+      queryParams.created_from = new Date(dateFrom).toISOString();
+    }
+
+    if (dateTo) {
+      queryParams.created_to = new Date(dateTo).toISOString();
+    }
+
+    const response = await this.client.get('/orders', { params: queryParams });
+
+    return {
+      data: response.data.data.map(order => this.normalizeOrder(order)),
+      hasMore: response.data.has_more,
+      total: response.data.total
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get(`/orders/${orderId}`);
+    return this.normalizeOrder(response.data.data);
+  }
+
+  /**
+   * Update order status in the sandbox
+   */
+  async updateOrderStatus(orderId, status, options = {}) {
+    let payload;
+
+    switch (status) {
+      case 'CONFIRMED':
+        payload = { status: 'READY_TO_SHIP' };
+        break;
+      case 'PROCESSING':
+        payload = { status: 'PROCESSED' };
+        break;
+      case 'SHIPPED':
+        payload = { status: 'SHIPPED', tracking_number: options.trackingNumber };
+        break;
+      case 'DELIVERED':
+        payload = { status: 'COMPLETED' };
+        break;
+      case 'CANCELLED':
+        payload = { status: 'CANCELLED', reason: options.reason };
+        break;
+      default:
+        throw new Error(`Unsupported status: ${status}`);
+    }
+
+    const response = await this.client.post(`/orders/${orderId}/status`, payload);
+    return response.data.data;
+  }
+
+  /**
+   * The sandbox keeps a product's category when none is sent
+   */
+  requiresCategory() {
+    return false;
+  }
+
+  /**
+   * Get categories from the sandbox
+   */
+  async getCategories() {
+    const response = await this.client.get('/categories');
+    return response.data.data;
+  }
+
+  /**
+   * Upload images to the sandbox
+   */
+  async uploadImages(images) {
+    const uploadedImages = [];
+
+    for (const image of images) {
+      const response = await this.client.post('/images', { url: image.url, data: image.base64 });
+      uploadedImages.push({
+        url: response.data.data.url,
+        id: response.data.data.id
+      });
+    }
+
+    return uploadedImages;
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    const response = await this.client.get('/shipping-methods');
+    return response.data.data;
+  }
+
+  /**
+   * Get pickup addresses with time slots and drop-off branches for an order
+   */
+  async getShippingParameters(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/shipping-parameters`);
+    const { pickup, dropoff } = response.data.data;
+
+    return {
+      pickup: pickup ? {
+        addresses: pickup.address_list.map(address => ({
+          id: address.address_id,
+          address: address.address,
+          timeSlots: address.time_slot_list.map(slot => ({ id: slot.pickup_time_id, date: slot.date }))
+        }))
+      } : null,
+      dropoff: dropoff ? {
+        branches: dropoff.branch_list.map(branch => ({ id: branch.branch_id, name: branch.name, address: branch.address }))
+      } : null
+    };
+  }
+
+  /**
+   * Arrange pickup or drop-off of an order
+   */
+  async arrangeShipment(orderId, options) {
+    const response = await this.client.post(`/orders/${orderId}/ship`, {
+      method: options.method,
+      address_id: options.addressId,
+      pickup_time_id: options.pickupTimeId,
+      branch_id: options.branchId
+    });
+
+    return {
+      trackingNumber: response.data.data.tracking_number,
+      carrier: response.data.data.carrier
+    };
+  }
+
+  /**
+   * Get the tracking number of an arranged shipment
+   */
+  async getTrackingNumber(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/tracking-number`);
+
+    return {
+      trackingNumber: response.data.data.tracking_number,
+      carrier: response.data.data.carrier
+    };
+  }
+
+  /**
+   * Get courier checkpoints of an order's shipment
+   */
+  async getTrackingInfo(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/tracking`);
+    const { tracking_number: trackingNumber, carrier, checkpoints } = response.data.data;
+
+    return {
+      trackingNumber,
+      carrier,
+      events: checkpoints.map(checkpoint => ({
+        status: checkpoint.code,
+        description: checkpoint.description,
+        location: checkpoint.location,
+        occurredAt: new Date(checkpoint.time)
+      }))
+    };
+  }
+
+  /**
+   * Get the fees the sandbox deducts from an order and its payout
+   */
+  async getOrderFinance(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/finance`);
+    const finance = response.data.data;
+
+    return {
+      fees: [
+        { type: 'COMMISSION', amount: finance.commission_fee, description: 'Komisi' },
+        { type: 'SHIPPING_PROGRAM', amount: finance.shipping_program_fee, description: 'Program gratis ongkir' },
+        { type: 'PAYMENT', amount: finance.payment_fee, description: 'Biaya pembayaran' }
+      ],
+      netProceeds: finance.payout_amount
+    };
+  }
+
+  /**
+   * Get payouts released in a period
+   */
+  async getSettlements(params = {}) {
+    const settlements = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.client.get('/settlements', {
+        params: {
+          page,
+          limit: 100,
+          ...(params.startDate && { settled_from: new Date(params.startDate).toISOString() }),
+          ...(params.endDate && { settled_to: new Date(params.endDate).toISOString() })
+        }
+      });
+
+      settlements.push(...response.data.data.map(settlement => ({
+        marketplaceOrderId: settlement.order_id,
+        amount: settlement.amount,
+        settledAt: new Date(settlement.settled_at),
+        reference: settlement.settlement_id
+      })));
+      hasMore = response.data.has_more;
+      page++;
+    }
+
+    return settlements;
+  }
+
+  /**
+   * Get the reasons a seller may cancel an order for
+   */
+  async getCancelReasons(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/cancel-reasons`);
+    return response.data.data;
+  }
+
+  /**
+   * Cancel an order on behalf of the seller
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const response = await this.client.post(`/orders/${orderId}/cancel`, { reason_code: reasonCode });
+    return response.data.data;
+  }
+
+  /**
+   * Get buyer cancellation requests and return/refund requests
+   */
+  async getReturnRequests(params = {}) {
+    const requests = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.client.get('/returns', {
+        params: {
+          page,
+          limit: 100,
+          ...(params.since && { updated_from: new Date(params.since).toISOString() })
+        }
+      });
+
+      requests.push(...response.data.data.map(request => this.normalizeReturn(request)));
+      hasMore = response.data.has_more;
+      page++;
+    }
+
+    return requests;
+  }
+
+  /**
+   * Accept, reject or dispute a buyer cancellation or return
+   */
+  async respondToReturnRequest(request, action, options = {}) {
+    const response = await this.client.post(`/returns/${request.id}/respond`, {
+      action,
+      reason: options.reason
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Download the shipping label of an order
+   */
+  async getShippingLabel(orderId) {
+    const response = await this.client.get(`/orders/${orderId}/shipping-label`);
+    return Buffer.from(response.data.data.file, 'base64');
+  }
+
+  /**
+   * Get attributes for category
+   */
+  async getAttributes(categoryId) {
+    const response = await this.client.get(`/categories/${categoryId}/attributes`);
+    return response.data.data;
+  }
+
+  /**
+   * Map sandbox order status to our OrderStatus enum
+   */
+  mapOrderStatus(sandboxStatus) {
+    return ORDER_STATUS_MAP[sandboxStatus] ?? null;
+  }
+
+  /**
+   * Normalize sandbox product to our format
+   */
+  normalizeProduct(sandboxProduct) {
+    return {
+      marketplaceProductId: sandboxProduct.id,
+      name: sandboxProduct.name,
+      description: sandboxProduct.description,
+      price: sandboxProduct.price,
+      stock: sandboxProduct.stock,
+      sku: sandboxProduct.sku,
+      status: sandboxProduct.status,
+      images: sandboxProduct.images,
+      variants: sandboxProduct.variants.map(variant => ({
+        id: variant.id,
+        sku: variant.sku,
+        variantName: variant.name,
+        price: variant.price,
+        stock: variant.stock,
+        attributes: variant.attributes || {}
+      })),
+      categoryId: sandboxProduct.category_id,
+      weight: sandboxProduct.weight,
+      dimensions: {},
+      attributes: sandboxProduct.attributes,
+      createdAt: sandboxProduct.created_at,
+      updatedAt: sandboxProduct.updated_at
+    };
+  }
+
+  /**
+   * Normalize sandbox order to our format
+   */
+  normalizeOrder(sandboxOrder) {
+    return {
+      marketplaceOrderId: sandboxOrder.id,
+      status: this.mapOrderStatus(sandboxOrder.status),
+      marketplaceStatus: sandboxOrder.status,
+      totalAmount: sandboxOrder.total,
+      shippingCost: sandboxOrder.shipping_fee,
+      orderDate: sandboxOrder.created_at,
+      trackingNumber: sandboxOrder.tracking_number,
+      shipByDate: sandboxOrder.ship_by || null,
+      customerInfo: sandboxOrder.buyer,
+      shippingAddress: sandboxOrder.shipping_address,
+      items: sandboxOrder.items.map(item => ({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        sku: item.sku,
+        name: item.name,
+        quantity: item.quantity,
+        price: item.price,
+        totalPrice: item.price * item.quantity
+      }))
+    };
+  }
+
+  /**
+   * Normalize sandbox cancellation or return request to our format
+   * The simulator already uses our ReturnStatus values.
+   */
+  normalizeReturn(sandboxRequest) {
+    return {
+      id: sandboxRequest.id,
+      orderId: sandboxRequest.order_id,
+      type: sandboxRequest.type,
+      status: sandboxRequest.status,
+      reason: sandboxRequest.reason,
+      refundAmount: sandboxRequest.refund_amount,
+      requiresReturn: sandboxRequest.requires_return,
+      items: sandboxRequest.items,
+      requestedAt: new Date(sandboxRequest.created_at)
+    };
+  }
+
+  /**
+   * Format our product to sandbox format
+   */
+  formatProductForMarketplace(product) {
+    return {
+      name: product.name,
+      description: product.description || '',
+      sku: product.sku,
+      price: product.price,
+      stock: product.stock || 0,
+      category_id: product.categoryId,
+      weight: product.weight || 0,
+      images: product.images || [],
+      attributes: product.attributes || {},
+      variants: (product.variants || []).map(variant => ({
+        sku: variant.sku,
+        name: variant.variantName ?? variant.name,
+        price: Number(variant.price ?? product.price),
+        stock: variant.stock ?? this.getInventoryQuantity(product, variant.id),
+        attributes: variant.attributes || {}
+      }))
+    };
+  }
+}
+
+module.exports = SandboxIntegration;
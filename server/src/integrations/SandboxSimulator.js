@@ -0,0 +1,962 @@
+const { AxiosError } = require('axios');
+
+// Sandbox order lifecycle: status -> statuses a seller action may move it to
+const ORDER_TRANSITIONS = {
+  'UNPAID': ['READY_TO_SHIP', 'CANCELLED'],
+  'READY_TO_SHIP': ['PROCESSED', 'CANCELLED'],
+  'PROCESSED': ['SHIPPED', 'CANCELLED'],
+  'SHIPPED': ['COMPLETED'],
+  'COMPLETED': [],
+  'CANCELLED': []
+};
+
+// Path orders follow on their own when time-based transitions are enabled
+const ORDER_FLOW = ['UNPAID', 'READY_TO_SHIP', 'PROCESSED', 'SHIPPED', 'COMPLETED'];
+
+const CATEGORIES = [
+  { id: '100', name: 'Fashion Pria', parent_id: null },
+  { id: '101', name: 'Kaos', parent_id: '100' },
+  { id: '102', name: 'Kemeja', parent_id: '100' },
+  { id: '200', name: 'Rumah Tangga', parent_id: null },
+  { id: '201', name: 'Peralatan Dapur', parent_id: '200' }
+];
+
+const ATTRIBUTES = [
+  { id: 'brand', name: 'Merek', type: 'text', required: true },
+  { id: 'material', name: 'Bahan', type: 'enum', required: false, values: ['Katun', 'Polyester', 'Linen'] }
+];
+
+const PRODUCT_NAMES = ['Kaos Polos', 'Kemeja Flanel', 'Celana Chino', 'Topi Baseball', 'Panci Stainless', 'Wajan Anti Lengket', 'Botol Minum', 'Tas Ransel'];
+const BUYER_NAMES = ['Budi Santoso', 'Siti Rahayu', 'Agus Setiawan', 'Dewi Lestari', 'Rina Wijaya', 'Andi Pratama'];
+const CITIES = [['Jakarta Selatan', 'DKI Jakarta'], ['Bandung', 'Jawa Barat'], ['Surabaya', 'Jawa Timur'], ['Medan', 'Sumatera Utara']];
+
+// Small deterministic PRNG so every seed gives the same store
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const PICKUP_ADDRESS = { address_id: 'SBX-ADDR-1', address: 'Gudang Sandbox, Jl. Panjang No. 1, Jakarta Barat' };
+const DROPOFF_BRANCHES = [
+  { branch_id: 'SBX-BR-1', name: 'Agen Sandbox Kebon Jeruk', address: 'Jl. Kebon Jeruk Raya No. 10, Jakarta Barat' },
+  { branch_id: 'SBX-BR-2', name: 'Agen Sandbox Tebet', address: 'Jl. Tebet Raya No. 5, Jakarta Selatan' }
+];
+const CARRIER = 'Sandbox Express';
+
+// Courier checkpoint recorded when a shipped order reaches a status
+const TRACKING_CHECKPOINTS = {
+  'PROCESSED': { code: 'AWAITING_PICKUP', description: 'Menunggu paket diserahkan ke kurir' },
+  'SHIPPED': { code: 'IN_TRANSIT', description: 'Paket diterima kurir dan dalam perjalanan' },
+  'COMPLETED': { code: 'DELIVERED', description: 'Paket diterima pembeli' }
+};
+const ORIGIN_CITY = 'Jakarta Barat';
+
+// Reasons a seller may cancel a sandbox order for
+const CANCEL_REASONS = [
+  { code: 'OUT_OF_STOCK', label: 'Stok habis' },
+  { code: 'BUYER_REQUEST', label: 'Permintaan pembeli' },
+  { code: 'UNDELIVERABLE', label: 'Alamat di luar jangkauan kurir' }
+];
+
+// Fees the sandbox marketplace deducts: commission and free-shipping program on the item subtotal
+// (the program capped per item line), payment fee on what the buyer paid
+const FEE_RATES = { commission: 0.05, shippingProgram: 0.04, shippingProgramCap: 10000, payment: 0.015 };
+
+// Path an accepted return follows on its own: the buyer sends it back, then the refund is paid
+const RETURN_FLOW = ['ACCEPTED', 'RECEIVED', 'REFUNDED'];
+
+const pad = (value, length) => String(value).padStart(length, '0');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Text inside a PDF string literal
+const escapePdfText = (text) => String(text).replace(/[\\()]/g, char => `\\${char}`);
+
+/**
+ * One-page PDF with a line of text per entry, enough to stand in for a marketplace shipping label
+ */
+const buildLabelPdf = (lines) => {
+  const content = ['BT', '/F1 12 Tf', '20 400 Td']
+    .concat(lines.flatMap((line, index) => [index > 0 ? '0 -18 Td' : null, `(${escapePdfText(line)}) Tj`].filter(Boolean)))
+    .concat('ET')
+    .join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${pad(offset, 10)} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+};
+
+/**
+ * In-process marketplace simulator
+ * Serves a seeded store through an axios adapter so integrations run their full
+ * request pipeline (auth, rate limits, circuit breaker) without network access
+ */
+class SandboxSimulator {
+  constructor(options = {}) {
+    this.options = {
+      seed: 1,
+      productCount: 20,
+      orderCount: 30,
+      latency: 0, // ms, or { min, max }
+      errorRate: 0, // share of requests answered with errorStatus
+      errorStatus: 503,
+      transitionInterval: 0, // ms before an order moves to its next status; 0 disables
+      ...options
+    };
+
+    this.injectedErrors = [];
+    this.requests = [];
+    this.reset();
+  }
+
+  /**
+   * Throw away all changes and seed the store again
+   */
+  reset() {
+    this.random = createRandom(this.options.seed);
+    this.products = [];
+    this.orders = [];
+    this.returns = [];
+    this.nextProductNumber = 1;
+    this.nextImageNumber = 1;
+    this.nextReturnNumber = 1;
+
+    for (let i = 0; i < this.options.productCount; i++) {
+      this.products.push(this.seedProduct());
+    }
+
+    const now = Date.now();
+    for (let i = 0; i < this.options.orderCount; i++) {
+      this.orders.push(this.seedOrder(i + 1, now));
+    }
+
+    // One open buyer cancellation and one open return, so both flows can be tried right away
+    const toCancel = this.orders.find(order => order.status === 'READY_TO_SHIP');
+    const toReturn = this.orders.find(order => order.status === 'COMPLETED');
+
+    if (toCancel) {
+      this.requestReturn(toCancel, 'CANCELLATION', { reason: 'Ingin mengganti alamat pengiriman' });
+    }
+    if (toReturn) {
+      this.requestReturn(toReturn, 'RETURN', { reason: 'Barang rusak saat diterima', items: toReturn.items.slice(0, 1) });
+    }
+  }
+
+  /**
+   * Change latency, error rate or transition timing on the fly
+   */
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * Make the next matching requests fail
+   * @param {Object} error - { status, path, method, times, message, network }
+   *   network: true simulates a dropped connection instead of an HTTP error
+   */
+  injectError(error = {}) {
+    this.injectedErrors.push({
+      status: 500,
+      times: 1,
+      message: 'Injected sandbox error',
+      ...error
+    });
+  }
+
+  /**
+   * Move every open order one step along the normal flow
+   */
+  advanceOrders(steps = 1) {
+    const changed = [];
+
+    for (const order of this.orders) {
+      const next = this.nextFlowStatus(order.status, steps);
+      if (next !== order.status) {
+        this.transitionOrder(order, next);
+        changed.push(order.id);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Open a buyer cancellation or return request on an order
+   * @param {Object} options - { reason, items, requiresReturn }; items default to the whole order
+   */
+  requestReturn(order, type, options = {}) {
+    const items = options.items || order.items;
+    const now = Date.now();
+
+    const request = {
+      id: `SBX-R-${pad(this.nextReturnNumber++, 5)}`,
+      order_id: order.id,
+      type,
+      status: 'REQUESTED',
+      reason: options.reason || null,
+      refund_amount: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      requires_return: type === 'RETURN' && options.requiresReturn !== false,
+      items: items.map(item => ({ sku: item.sku, quantity: item.quantity })),
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+      status_changed_at: now
+    };
+
+    this.returns.push(request);
+    return request;
+  }
+
+  /**
+   * Move every accepted return one step towards its refund
+   */
+  advanceReturns(steps = 1) {
+    const changed = [];
+
+    for (const request of this.returns) {
+      const next = this.nextReturnStatus(request, steps);
+      if (next !== request.status) {
+        this.transitionReturn(request, next);
+        changed.push(request.id);
+      }
+    }
+
+    return changed;
+  }
+
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  seedProduct() {
+    const number = this.nextProductNumber++;
+    const name = `${this.pick(PRODUCT_NAMES)} ${number}`;
+    const price = (5 + Math.floor(this.random() * 30)) * 5000;
+    const hasVariants = this.random() < 0.3;
+    const sku = `SBX-${pad(number, 4)}`;
+    const createdAt = new Date(Date.now() - Math.floor(this.random() * 90) * 86400000).toISOString();
+
+    const variants = hasVariants
+      ? ['S', 'M', 'L'].map((size, index) => ({
+        id: `SBX-V-${pad(number, 4)}-${index + 1}`,
+        sku: `${sku}-${size}`,
+        name: size,
+        price,
+        stock: Math.floor(this.random() * 20)
+      }))
+      : [];
+
+    return {
+      id: `SBX-P-${pad(number, 4)}`,
+      name,
+      description: `${name} dari toko sandbox`,
+      sku,
+      price,
+      stock: hasVariants ? variants.reduce((sum, variant) => sum + variant.stock, 0) : Math.floor(this.random() * 50),
+      status: 'ACTIVE',
+      category_id: this.pick(CATEGORIES.filter(category => category.parent_id)).id,
+      weight: 100 + Math.floor(this.random() * 20) * 50,
+      images: [`https://sandbox.local/images/${sku}.jpg`],
+      attributes: {},
+      variants,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+  }
+
+  seedOrder(number, now) {
+    const createdAt = now - Math.floor(this.random() * 14 * 86400000);
+    const buyer = this.pick(BUYER_NAMES);
+    const [city, province] = this.pick(CITIES);
+    const itemCount = 1 + Math.floor(this.random() * 3);
+    const items = [];
+
+    for (let i = 0; i < itemCount && this.products.length > 0; i++) {
+      const product = this.pick(this.products);
+      const variant = product.variants.length > 0 ? this.pick(product.variants) : null;
+      const quantity = 1 + Math.floor(this.random() * 3);
+      const price = variant ? variant.price : product.price;
+
+      items.push({
+        product_id: product.id,
+        variant_id: variant?.id || null,
+        sku: variant?.sku || product.sku,
+        name: variant ? `${product.name} - ${variant.name}` : product.name,
+        quantity,
+        price
+      });
+    }
+
+    const shippingFee = 9000 + Math.floor(this.random() * 4) * 3000;
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    // Older orders are further along
+    const ageDays = (now - createdAt) / 86400000;
+    let status = ORDER_FLOW[Math.min(ORDER_FLOW.length - 1, Math.floor(ageDays / 3))];
+    if (this.random() < 0.08) {
+      status = 'CANCELLED';
+    }
+
+    return {
+      id: `SBX-O-${pad(number, 5)}`,
+      order_number: `INV/SBX/${pad(number, 5)}`,
+      status,
+      buyer: {
+        name: buyer,
+        phone: `08${pad(Math.floor(this.random() * 1e10), 10)}`,
+        email: `${buyer.split(' ')[0].toLowerCase()}@example.com`
+      },
+      shipping_address: {
+        name: buyer,
+        address: `Jl. Sandbox No. ${1 + Math.floor(this.random() * 200)}`,
+        city,
+        province,
+        postal_code: pad(10000 + Math.floor(this.random() * 89999), 5)
+      },
+      items,
+      shipping_fee: shippingFee,
+      total: subtotal + shippingFee,
+      tracking_number: ['SHIPPED', 'COMPLETED'].includes(status) ? `SBXTRK${pad(number, 6)}` : null,
+      // Parcels are due at the courier two days after the order
+      ship_by: new Date(createdAt + 2 * 86400000).toISOString(),
+      tracking_events: ['SHIPPED', 'COMPLETED'].includes(status) ? this.seedTrackingEvents(status, createdAt, city) : [],
+      cancel_reason: status === 'CANCELLED' ? 'Dibatalkan pembeli' : null,
+      created_at: new Date(createdAt).toISOString(),
+      updated_at: new Date(createdAt).toISOString(),
+      status_changed_at: createdAt
+    };
+  }
+
+  // Statuses are reached three days apart, matching how seeded orders age
+  seedTrackingEvents(status, createdAt, city) {
+    return ORDER_FLOW.slice(0, ORDER_FLOW.indexOf(status) + 1)
+      .map((flowStatus, index) => ({ flowStatus, time: createdAt + index * 3 * 86400000 }))
+      .filter(({ flowStatus }) => TRACKING_CHECKPOINTS[flowStatus])
+      .map(({ flowStatus, time }) => this.trackingCheckpoint(flowStatus, time, city));
+  }
+
+  trackingCheckpoint(status, time, city) {
+    return {
+      ...TRACKING_CHECKPOINTS[status],
+      location: status === 'COMPLETED' ? city : ORIGIN_CITY,
+      time: new Date(time).toISOString()
+    };
+  }
+
+  nextFlowStatus(status, steps = 1) {
+    const index = ORDER_FLOW.indexOf(status);
+    if (index === -1) {
+      return status;
+    }
+    return ORDER_FLOW[Math.min(ORDER_FLOW.length - 1, index + steps)];
+  }
+
+  transitionOrder(order, status, changes = {}) {
+    const now = Date.now();
+    Object.assign(order, changes, {
+      status,
+      updated_at: new Date(now).toISOString(),
+      status_changed_at: now
+    });
+
+    if (status === 'SHIPPED' && !order.tracking_number) {
+      order.tracking_number = `SBXTRK${order.id.replace(/\D/g, '')}`;
+    }
+
+    if (TRACKING_CHECKPOINTS[status] && order.tracking_number) {
+      order.tracking_events = [...(order.tracking_events || []), this.trackingCheckpoint(status, now, order.shipping_address.city)];
+    }
+  }
+
+  // Refund-only requests skip receiving, cancellations stop once accepted
+  nextReturnStatus(request, steps = 1) {
+    if (request.type !== 'RETURN') {
+      return request.status;
+    }
+
+    const flow = request.requires_return ? RETURN_FLOW : RETURN_FLOW.filter(status => status !== 'RECEIVED');
+    const index = flow.indexOf(request.status);
+    if (index === -1) {
+      return request.status;
+    }
+    return flow[Math.min(flow.length - 1, index + steps)];
+  }
+
+  transitionReturn(request, status, changes = {}) {
+    const now = Date.now();
+    Object.assign(request, changes, {
+      status,
+      updated_at: new Date(now).toISOString(),
+      status_changed_at: now
+    });
+  }
+
+  // Time-based progression, applied lazily whenever the store is touched
+  applyTimedTransitions() {
+    const interval = this.options.transitionInterval;
+    if (!interval) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const order of this.orders) {
+      const steps = Math.floor((now - order.status_changed_at) / interval);
+      if (steps > 0) {
+        const next = this.nextFlowStatus(order.status, steps);
+        if (next !== order.status) {
+          this.transitionOrder(order, next);
+        }
+      }
+    }
+
+    for (const request of this.returns) {
+      const steps = Math.floor((now - request.status_changed_at) / interval);
+      if (steps > 0) {
+        const next = this.nextReturnStatus(request, steps);
+        if (next !== request.status) {
+          this.transitionReturn(request, next);
+        }
+      }
+    }
+  }
+
+  getLatency() {
+    const { latency } = this.options;
+    if (typeof latency === 'number') {
+      return latency;
+    }
+    const { min = 0, max = min } = latency || {};
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  takeInjectedError(method, path) {
+    const index = this.injectedErrors.findIndex(error =>
+      (!error.path || path.startsWith(error.path)) &&
+      (!error.method || error.method.toUpperCase() === method)
+    );
+
+    if (index === -1) {
+      return null;
+    }
+
+    const error = this.injectedErrors[index];
+    error.times--;
+    if (error.times <= 0) {
+      this.injectedErrors.splice(index, 1);
+    }
+    return error;
+  }
+
+  /**
+   * axios adapter entry point
+   */
+  async dispatch(config) {
+    const url = new URL(config.url, 'http://sandbox.local');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    const method = (config.method || 'get').toUpperCase();
+    const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+    const body = typeof config.data === 'string' && config.data ? JSON.parse(config.data) : (config.data || {});
+
+    this.requests.push({ method, path, params, body });
+
+    const latency = this.getLatency();
+    if (config.timeout && latency >= config.timeout) {
+      await sleep(config.timeout);
+      throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config, {});
+    }
+    if (latency > 0) {
+      await sleep(latency);
+    }
+
+    const injected = this.takeInjectedError(method, path);
+    if (injected?.network) {
+      throw new AxiosError('socket hang up', 'ECONNRESET', config, {});
+    }
+
+    let result;
+    if (injected) {
+      result = { status: injected.status, data: { error: 'injected_error', message: injected.message } };
+    } else if (this.options.errorRate > 0 && this.random() < this.options.errorRate) {
+      result = { status: this.options.errorStatus, data: { error: 'sandbox_unavailable', message: 'Sandbox is temporarily unavailable' } };
+    } else {
+      this.applyTimedTransitions();
+      result = this.route(method, path, params, body);
+    }
+
+    const response = {
+      data: result.data,
+      status: result.status,
+      statusText: String(result.status),
+      headers: result.headers || {},
+      config,
+      request: {}
+    };
+
+    if (result.status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${result.status}`,
+        result.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        {},
+        response
+      );
+    }
+
+    return response;
+  }
+
+  route(method, path, params, body) {
+    const segments = path.split('/').filter(Boolean);
+    const [resource, id, action] = segments;
+
+    switch (`${method} ${resource}${id ? '/:id' : ''}${action ? `/${action}` : ''}`) {
+      case 'GET shop':
+        return this.ok({ id: this.options.seed, name: 'Toko Sandbox', status: 'NORMAL' });
+      case 'GET products':
+        return this.listProducts(params);
+      case 'GET products/:id':
+        return this.withProduct(id, product => this.ok(product));
+      case 'POST products':
+        return this.createProduct(body);
+      case 'PUT products/:id':
+        return this.withProduct(id, product => this.updateProduct(product, body));
+      case 'DELETE products/:id':
+        return this.withProduct(id, product => {
+          this.products = this.products.filter(p => p !== product);
+          return this.ok({ id: product.id, deleted: true });
+        });
+      case 'PUT products/:id/stock':
+        return this.withProduct(id, product => this.updateStock(product, body));
+      case 'GET orders':
+        return this.listOrders(params);
+      case 'GET orders/:id':
+        return this.withOrder(id, order => this.ok(order));
+      case 'POST orders/:id/status':
+        return this.withOrder(id, order => this.updateOrderStatus(order, body));
+      case 'GET orders/:id/shipping-parameters':
+        return this.withOrder(id, order => this.getShippingParameters(order));
+      case 'POST orders/:id/ship':
+        return this.withOrder(id, order => this.shipOrder(order, body));
+      case 'GET orders/:id/tracking-number':
+        return this.withOrder(id, order => this.ok({ tracking_number: order.tracking_number, carrier: order.tracking_number ? CARRIER : null }));
+      case 'GET orders/:id/tracking':
+        return this.withOrder(id, order => this.ok({
+          tracking_number: order.tracking_number,
+          carrier: order.tracking_number ? CARRIER : null,
+          checkpoints: order.tracking_events || []
+        }));
+      case 'GET orders/:id/finance':
+        return this.withOrder(id, order => this.getOrderFinance(order));
+      case 'GET orders/:id/shipping-label':
+        return this.withOrder(id, order => this.getShippingLabel(order));
+      case 'GET orders/:id/cancel-reasons':
+        return this.withOrder(id, () => this.ok(CANCEL_REASONS));
+      case 'POST orders/:id/cancel':
+        return this.withOrder(id, order => this.cancelOrder(order, body));
+      case 'GET settlements':
+        return this.listSettlements(params);
+      case 'GET returns':
+        return this.listReturns(params);
+      case 'POST returns/:id/respond':
+        return this.withReturn(id, request => this.respondToReturn(request, body));
+      case 'GET categories':
+        return this.ok(CATEGORIES);
+      case 'GET categories/:id/attributes':
+        return this.ok(ATTRIBUTES);
+      case 'POST images': {
+        const imageId = `SBX-IMG-${pad(this.nextImageNumber++, 5)}`;
+        return this.ok({ id: imageId, url: body.url || `https://sandbox.local/images/${imageId}.jpg` });
+      }
+      case 'GET shipping-methods':
+        return this.ok([{ id: 'SBX-REG', name: 'Sandbox Reguler' }, { id: 'SBX-EXP', name: 'Sandbox Express' }]);
+      default:
+        return this.fail(404, 'not_found', `No sandbox route for ${method} ${path}`);
+    }
+  }
+
+  ok(data, extra = {}) {
+    return { status: 200, data: { data, ...extra } };
+  }
+
+  fail(status, error, message) {
+    return { status, data: { error, message } };
+  }
+
+  paginate(items, params) {
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(params.limit) || 50));
+    const start = (page - 1) * limit;
+
+    return this.ok(items.slice(start, start + limit), {
+      page,
+      limit,
+      total: items.length,
+      has_more: start + limit < items.length
+    });
+  }
+
+  withProduct(id, handler) {
+    const product = this.products.find(p => p.id === id);
+    return product ? handler(product) : this.fail(404, 'product_not_found', `Product ${id} not found`);
+  }
+
+  withOrder(id, handler) {
+    const order = this.orders.find(o => o.id === id);
+    return order ? handler(order) : this.fail(404, 'order_not_found', `Order ${id} not found`);
+  }
+
+  withReturn(id, handler) {
+    const request = this.returns.find(r => r.id === id);
+    return request ? handler(request) : this.fail(404, 'return_not_found', `Return request ${id} not found`);
+  }
+
+  listProducts(params) {
+    let products = this.products;
+
+    if (params.search) {
+      const search = params.search.toLowerCase();
+      products = products.filter(p => p.name.toLowerCase().includes(search) || p.sku.toLowerCase().includes(search));
+    }
+
+    if (params.status) {
+      products = products.filter(p => p.status === params.status);
+    }
+
+    return this.paginate(products, params);
+  }
+
+  createProduct(body) {
+    if (!body.name || body.price === undefined) {
+      return this.fail(400, 'invalid_product', 'name and price are required');
+    }
+
+    const product = this.seedProduct();
+    const now = new Date().toISOString();
+    Object.assign(product, {
+      name: body.name,
+      description: body.description || '',
+      sku: body.sku || product.sku,
+      price: body.price,
+      stock: body.stock || 0,
+      category_id: body.category_id || product.category_id,
+      weight: body.weight || 0,
+      images: body.images || [],
+      attributes: body.attributes || {},
+      variants: [],
+      created_at: now,
+      updated_at: now
+    });
+
+    this.updateVariants(product, body);
+    this.products.push(product);
+    return this.ok(product);
+  }
+
+  updateProduct(product, body) {
+    const fields = ['name', 'description', 'sku', 'price', 'category_id', 'weight', 'images', 'attributes', 'status'];
+    for (const field of fields) {
+      if (body[field] !== undefined) {
+        product[field] = body[field];
+      }
+    }
+
+    this.updateVariants(product, body);
+    product.updated_at = new Date().toISOString();
+    return this.ok(product);
+  }
+
+  /**
+   * Variants are matched by SKU: known ones get the new name and price, unknown ones are added
+   */
+  updateVariants(product, body) {
+    for (const variant of body.variants || []) {
+      const existing = product.variants.find(v => v.sku === variant.sku);
+      if (existing) {
+        Object.assign(existing, {
+          name: variant.name ?? existing.name,
+          price: variant.price ?? existing.price,
+          attributes: variant.attributes ?? existing.attributes
+        });
+        continue;
+      }
+
+      product.variants.push({
+        id: `${product.id.replace('-P-', '-V-')}-${product.variants.length + 1}`,
+        sku: variant.sku,
+        name: variant.name,
+        price: variant.price ?? product.price,
+        stock: variant.stock || 0,
+        attributes: variant.attributes || {}
+      });
+    }
+
+    if (product.variants.length > 0) {
+      product.stock = product.variants.reduce((sum, v) => sum + v.stock, 0);
+    }
+  }
+
+  updateStock(product, body) {
+    const stock = parseInt(body.stock);
+    if (Number.isNaN(stock) || stock < 0) {
+      return this.fail(400, 'invalid_stock', 'stock must be a non-negative integer');
+    }
+
+    if (body.variant_id) {
+      const variant = product.variants.find(v => v.id === body.variant_id);
+      if (!variant) {
+        return this.fail(404, 'variant_not_found', `Variant ${body.variant_id} not found`);
+      }
+      variant.stock = stock;
+      product.stock = product.variants.reduce((sum, v) => sum + v.stock, 0);
+    } else if (product.variants.length > 0) {
+      return this.fail(400, 'variant_required', 'variant_id is required for products with variants');
+    } else {
+      product.stock = stock;
+    }
+
+    product.updated_at = new Date().toISOString();
+    return this.ok({ id: product.id, variant_id: body.variant_id || null, stock });
+  }
+
+  listOrders(params) {
+    let orders = [...this.orders].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    if (params.status) {
+      orders = orders.filter(o => o.status === params.status);
+    }
+
+    if (params.created_from) {
+      orders = orders.filter(o => o.created_at >= new Date(params.created_from).toISOString());
+    }
+
+    if (params.created_to) {
+      orders = orders.filter(o => o.created_at <= new Date(params.created_to).toISOString());
+    }
+
+    return this.paginate(orders, params);
+  }
+
+  updateOrderStatus(order, body) {
+    const allowed = ORDER_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(body.status)) {
+      return this.fail(409, 'invalid_transition', `Cannot move order from ${order.status} to ${body.status}`);
+    }
+
+    this.transitionOrder(order, body.status, {
+      tracking_number: body.tracking_number || order.tracking_number,
+      cancel_reason: body.status === 'CANCELLED' ? (body.reason || 'Dibatalkan penjual') : order.cancel_reason
+    });
+
+    return this.ok(order);
+  }
+
+  cancelOrder(order, body) {
+    const reason = CANCEL_REASONS.find(item => item.code === body.reason_code);
+    if (!reason) {
+      return this.fail(400, 'invalid_reason', `Unknown cancel reason ${body.reason_code}`);
+    }
+
+    if (!ORDER_TRANSITIONS[order.status].includes('CANCELLED')) {
+      return this.fail(409, 'invalid_transition', `Cannot cancel order in status ${order.status}`);
+    }
+
+    this.transitionOrder(order, 'CANCELLED', { cancel_reason: reason.label });
+    return this.ok(order);
+  }
+
+  // Fees are known from the start, the payout only once the order is completed
+  calculateFees(order) {
+    const lines = order.items.map(item => item.price * item.quantity);
+    const subtotal = lines.reduce((sum, line) => sum + line, 0);
+    const fees = {
+      commission_fee: Math.round(subtotal * FEE_RATES.commission),
+      shipping_program_fee: lines.reduce((sum, line) => sum + Math.min(Math.round(line * FEE_RATES.shippingProgram), FEE_RATES.shippingProgramCap), 0),
+      payment_fee: Math.round(order.total * FEE_RATES.payment)
+    };
+
+    return { fees, payout: subtotal - Object.values(fees).reduce((sum, fee) => sum + fee, 0) };
+  }
+
+  getOrderFinance(order) {
+    const { fees, payout } = this.calculateFees(order);
+
+    return this.ok({
+      ...fees,
+      payout_amount: order.status === 'COMPLETED' ? payout : null
+    });
+  }
+
+  // Completed orders are paid out when they complete, in a single line
+  listSettlements(params) {
+    let orders = this.orders.filter(order => order.status === 'COMPLETED');
+
+    if (params.settled_from) {
+      orders = orders.filter(order => order.status_changed_at >= new Date(params.settled_from).getTime());
+    }
+
+    if (params.settled_to) {
+      orders = orders.filter(order => order.status_changed_at <= new Date(params.settled_to).getTime());
+    }
+
+    const settlements = orders
+      .sort((a, b) => a.status_changed_at - b.status_changed_at)
+      .map(order => ({
+        settlement_id: `SBX-STL-${order.id.replace(/\D/g, '')}`,
+        order_id: order.id,
+        amount: this.calculateFees(order).payout,
+        settled_at: new Date(order.status_changed_at).toISOString()
+      }));
+
+    return this.paginate(settlements, params);
+  }
+
+  listReturns(params) {
+    let requests = [...this.returns].sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+
+    if (params.updated_from) {
+      requests = requests.filter(r => r.updated_at >= new Date(params.updated_from).toISOString());
+    }
+
+    return this.paginate(requests, params);
+  }
+
+  // Accepting a buyer cancellation cancels the order; only returns can be disputed
+  respondToReturn(request, body) {
+    const { action, reason } = body;
+
+    if (action === 'dispute') {
+      if (request.type !== 'RETURN' || !['REQUESTED', 'ACCEPTED', 'RECEIVED'].includes(request.status)) {
+        return this.fail(409, 'invalid_status', `Request ${request.id} cannot be disputed`);
+      }
+      this.transitionReturn(request, 'DISPUTED', { dispute_reason: reason || null });
+      return this.ok(request);
+    }
+
+    if (!['accept', 'reject'].includes(action)) {
+      return this.fail(400, 'invalid_action', 'action must be accept, reject or dispute');
+    }
+
+    if (request.status !== 'REQUESTED') {
+      return this.fail(409, 'invalid_status', `Request ${request.id} is already ${request.status}`);
+    }
+
+    if (action === 'accept' && request.type === 'CANCELLATION') {
+      const order = this.orders.find(o => o.id === request.order_id);
+      if (!ORDER_TRANSITIONS[order.status].includes('CANCELLED')) {
+        return this.fail(409, 'invalid_transition', `Cannot cancel order in status ${order.status}`);
+      }
+      this.transitionOrder(order, 'CANCELLED', { cancel_reason: request.reason || 'Dibatalkan pembeli' });
+    }
+
+    this.transitionReturn(request, action === 'accept' ? 'ACCEPTED' : 'REJECTED', { seller_note: reason || null });
+    return this.ok(request);
+  }
+
+  // Pickup slots for the next three days, from 09:00 local time
+  getShippingParameters(order) {
+    if (order.status !== 'READY_TO_SHIP') {
+      return this.fail(409, 'invalid_status', `Order ${order.id} is ${order.status} and cannot be shipped`);
+    }
+
+    const today = new Date();
+    today.setHours(9, 0, 0, 0);
+    const timeSlots = [1, 2, 3].map(days => {
+      const date = new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
+      return { pickup_time_id: `SBX-SLOT-${date.toISOString().slice(0, 10)}`, date: date.toISOString() };
+    });
+
+    return this.ok({
+      pickup: { address_list: [{ ...PICKUP_ADDRESS, time_slot_list: timeSlots }] },
+      dropoff: { branch_list: DROPOFF_BRANCHES }
+    });
+  }
+
+  shipOrder(order, body) {
+    if (order.status !== 'READY_TO_SHIP') {
+      return this.fail(409, 'invalid_status', `Order ${order.id} is ${order.status} and cannot be shipped`);
+    }
+
+    if (body.method === 'pickup') {
+      if (body.address_id !== PICKUP_ADDRESS.address_id || !String(body.pickup_time_id || '').startsWith('SBX-SLOT-')) {
+        return this.fail(400, 'invalid_pickup', 'address_id and pickup_time_id must come from the shipping parameters');
+      }
+    } else if (body.method === 'dropoff') {
+      if (body.branch_id && !DROPOFF_BRANCHES.some(branch => branch.branch_id === body.branch_id)) {
+        return this.fail(400, 'invalid_branch', `Unknown branch ${body.branch_id}`);
+      }
+    } else {
+      return this.fail(400, 'invalid_method', 'method must be pickup or dropoff');
+    }
+
+    this.transitionOrder(order, 'PROCESSED', {
+      tracking_number: `SBXTRK${order.id.replace(/\D/g, '')}`,
+      shipment: {
+        method: body.method,
+        address_id: body.address_id || null,
+        pickup_time_id: body.pickup_time_id || null,
+        branch_id: body.branch_id || null
+      }
+    });
+
+    return this.ok({ tracking_number: order.tracking_number, carrier: CARRIER });
+  }
+
+  getShippingLabel(order) {
+    if (!order.tracking_number) {
+      return this.fail(409, 'not_arranged', `Shipment of order ${order.id} has not been arranged`);
+    }
+
+    const pdf = buildLabelPdf([
+      CARRIER,
+      `AWB: ${order.tracking_number}`,
+      `Pesanan: ${order.order_number}`,
+      `Penerima: ${order.shipping_address.name}`,
+      `${order.shipping_address.address}, ${order.shipping_address.city}`
+    ]);
+
+    return this.ok({ file: pdf.toString('base64'), mime_type: 'application/pdf' });
+  }
+}
+
+// One simulator per sandbox store, shared by every integration instance in the process
+const simulators = new Map();
+
+const getSimulator = (storeId, options = {}) => {
+  if (!simulators.has(storeId)) {
+    simulators.set(storeId, new SandboxSimulator(options));
+  }
+  return simulators.get(storeId);
+};
+
+const resetSimulators = () => {
+  simulators.clear();
+};
+
+module.exports = {
+  SandboxSimulator,
+  getSimulator,
+  resetSimulators,
+  ORDER_TRANSITIONS
+};
@@ -1,5 +1,62 @@
+const axios = require('axios');
 const BaseMarketplace = require('./BaseMarketplace');
 const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Request quotas per API family, enforced per shop across all workers
+const RATE_LIMITS = {
+  media: { pattern: /^\/api\/v2\/media_space\//, capacity: 5, refillPerSecond: 2 },
+  product: { pattern: /^\/api\/v2\/product\//, capacity: 20, refillPerSecond: 10 },
+  order: { pattern: /^\/api\/v2\/(order|logistics)\//, capacity: 20, refillPerSecond: 10 },
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+// Shopee rejects photos over 2 MB and shows them square
+const IMAGE_PROFILE = { size: 1024, maxBytes: 2 * 1024 * 1024 };
+
+// Shipping documents are rendered asynchronously; poll this often, this many times
+const LABEL_POLL_INTERVAL = 1000;
+const LABEL_POLL_ATTEMPTS = 10;
+
+// Orders per create_shipping_document request
+const LABEL_BATCH_SIZE = 50;
+
+// Seller cancellation reasons accepted by cancel_order
+const CANCEL_REASONS = [
+  { code: 'OUT_OF_STOCK', label: 'Stok habis' },
+  { code: 'CUSTOMER_REQUEST', label: 'Permintaan pembeli' },
+  { code: 'UNDELIVERABLE_AREA', label: 'Alamat di luar jangkauan kurir' },
+  { code: 'COD_NOT_SUPPORTED', label: 'COD tidak tersedia' }
+];
+
+// Shopee order status -> our OrderStatus enum
+// IN_CANCEL and TO_RETURN are buyer requests handled as returns; the order keeps its status
+const ORDER_STATUS_MAP = {
+  'UNPAID': 'PENDING',
+  'INVOICE_PENDING': 'PENDING',
+  'READY_TO_SHIP': 'CONFIRMED',
+  'PROCESSED': 'PROCESSING',
+  'RETRY_SHIP': 'PROCESSING',
+  'SHIPPED': 'SHIPPED',
+  'TO_CONFIRM_RECEIVE': 'SHIPPED',
+  'COMPLETED': 'DELIVERED',
+  'CANCELLED': 'CANCELLED'
+};
+
+// Shopee return status -> our ReturnStatus enum
+const RETURN_STATUS_MAP = {
+  'REQUESTED': 'REQUESTED',
+  'ACCEPTED': 'ACCEPTED',
+  'PROCESSING': 'ACCEPTED',
+  'SELLER_DISPUTE': 'DISPUTED',
+  'JUDGING': 'DISPUTED',
+  'REFUND_PAID': 'REFUNDED',
+  'CANCELLED': 'CLOSED',
+  'CLOSED': 'CLOSED'
+};
+
+// Order, return and escrow lists only cover this many days per request
+const REQUEST_WINDOW_DAYS = 15;
 
 /**
  * Shopee marketplace integration
@@ -9,7 +66,9 @@ class ShopeeIntegration extends BaseMarketplace {
   constructor(config) {
     super({
       ...config,
-      baseURL: config.baseURL || 'https://partner.shopeemobile.com'
+      baseURL: config.baseURL || 'https://partner.shopeemobile.com',
+      rateLimits: config.rateLimits || RATE_LIMITS,
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
     });
     
     this.partnerId = config.partnerId;
@@ -41,6 +100,103 @@ class ShopeeIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Sign public (non shop-scoped) endpoints: partner_id + path + timestamp
+   */
+  signPublicRequest(path, timestamp) {
+    return crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(`${this.partnerId}${path}${timestamp}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the shop authorization URL for the connect flow
+   * Shopee does not echo a state param, so it rides along on the redirect URL
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const path = '/api/v2/shop/auth_partner';
+    const timestamp = this.getTimestamp();
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('state', state);
+
+    const query = new URLSearchParams({
+      partner_id: this.partnerId,
+      timestamp,
+      sign: this.signPublicRequest(path, timestamp),
+      redirect: redirect.toString()
+    });
+    return `${this.baseURL}${path}?${query.toString()}`;
+  }
+
+  /**
+   * Exchange the shop's authorization code for tokens
+   */
+  async exchangeAuthorizationCode(code, params = {}) {
+    const shopId = params.shop_id || params.shopId;
+
+    const tokens = await this.requestToken('/api/v2/auth/token/get', {
+      code,
+      shop_id: parseInt(shopId)
+    });
+
+    return {
+      ...tokens,
+      shopId: shopId?.toString()
+    };
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   */
+  async requestTokenRefresh() {
+    return await this.requestToken('/api/v2/auth/access_token/get', {
+      refresh_token: this.refreshToken,
+      shop_id: parseInt(this.shopId)
+    });
+  }
+
+  /**
+   * Call a token endpoint and map the response to our credential fields
+   * Token endpoints are signed without shop credentials, so they bypass this.client
+   */
+  async requestToken(path, body) {
+    const timestamp = this.getTimestamp();
+
+    const response = await axios.post(`${this.baseURL}${path}`, {
+      ...body,
+      partner_id: parseInt(this.partnerId)
+    }, {
+      params: {
+        partner_id: this.partnerId,
+        timestamp,
+        sign: this.signPublicRequest(path, timestamp)
+      },
+      timeout: this.timeout
+    });
+
+    const tokenData = response.data;
+    if (tokenData.error || !tokenData.access_token) {
+      throw new Error(tokenData.message || tokenData.error || 'Failed to get access token');
+    }
+
+    return {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      accessTokenExpiresAt: new Date(Date.now() + tokenData.expire_in * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Shopee reports rejected tokens as 403 with an error code
+   */
+  isAuthError(error) {
+    const code = error.response?.data?.error;
+    return super.isAuthError(error) ||
+      ['error_auth', 'invalid_access_token', 'invalid_acceess_token'].includes(code);
+  }
+
   /**
    * Get shop profile information
    */
@@ -122,7 +278,22 @@ class ShopeeIntegration extends BaseMarketplace {
       throw new Error('Product not found');
     }
 
-    return this.normalizeProduct(items[0]);
+    const variants = items[0].has_model ? await this.getProductVariants(productId) : [];
+    return this.normalizeProduct(items[0], variants);
+  }
+
+  /**
+   * Get the models (tier_variation combinations) of a Shopee item
+   */
+  async getProductVariants(productId) {
+    const response = await this.client.get('/api/v2/product/get_model_list', {
+      params: {
+        item_id: productId
+      }
+    });
+
+    const { tier_variation: tierVariation = [], model = [] } = response.data.response || {};
+    return model.map(shopeeModel => this.normalizeVariant(shopeeModel, tierVariation));
   }
 
   /**
@@ -137,8 +308,22 @@ class ShopeeIntegration extends BaseMarketplace {
       throw new Error(response.data.message || 'Failed to create product');
     }
 
+    const itemId = response.data.response?.item_id;
+
+    // Shopee adds variants to an existing item
+    if (product.variants?.length > 0) {
+      const tierResponse = await this.client.post('/api/v2/product/init_tier_variation', {
+        item_id: itemId,
+        ...this.formatVariantsForMarketplace(product)
+      });
+
+      if (tierResponse.data.error) {
+        throw new Error(tierResponse.data.message || 'Failed to create product variants');
+      }
+    }
+
     return {
-      marketplaceProductId: response.data.response?.item_id?.toString(),
+      marketplaceProductId: itemId?.toString(),
       data: response.data.response
     };
   }
@@ -156,9 +341,93 @@ class ShopeeIntegration extends BaseMarketplace {
       throw new Error(response.data.message || 'Failed to update product');
     }
 
+    if (product.variants?.length > 0) {
+      await this.updateModels(productId, product);
+    }
+
     return response.data.response;
   }
 
+  /**
+   * Bring Shopee models in line with our variants
+   * Options are replaced, models for new variants added and prices of existing ones updated.
+   * Variants find their model by the stored model ID first, so a renamed SKU keeps its model.
+   */
+  async updateModels(productId, product) {
+    const itemId = parseInt(productId);
+    const { tier_variation: tierVariation, model } = this.formatVariantsForMarketplace(product);
+    const { combinations } = this.getVariantTiers(product.variants);
+    const currentModels = await this.getProductVariants(productId);
+    const modelsById = new Map(currentModels.map(variant => [String(variant.id), variant]));
+    const modelsBySku = new Map(currentModels.map(variant => [variant.sku, variant]));
+
+    // Models are listed in the same order as our variants
+    const models = model.map((shopeeModel, index) => {
+      const { variant } = combinations[index];
+      return {
+        shopeeModel,
+        existing: modelsById.get(String(variant.marketplaceVariantId)) || modelsBySku.get(variant.sku)
+      };
+    });
+
+    const tierResponse = await this.client.post('/api/v2/product/update_tier_variation', {
+      item_id: itemId,
+      tier_variation: tierVariation
+    });
+
+    if (tierResponse.data.error) {
+      throw new Error(tierResponse.data.message || 'Failed to update product variants');
+    }
+
+    const newModels = models.filter(({ existing }) => !existing).map(({ shopeeModel }) => shopeeModel);
+    if (newModels.length > 0) {
+      const addResponse = await this.client.post('/api/v2/product/add_model', {
+        item_id: itemId,
+        model_list: newModels
+      });
+
+      if (addResponse.data.error) {
+        throw new Error(addResponse.data.message || 'Failed to add product variants');
+      }
+    }
+
+    const renamedModels = models
+      .filter(({ shopeeModel, existing }) => existing && existing.sku !== shopeeModel.model_sku)
+      .map(({ shopeeModel, existing }) => ({
+        model_id: parseInt(existing.id),
+        model_sku: shopeeModel.model_sku
+      }));
+
+    if (renamedModels.length > 0) {
+      const renameResponse = await this.client.post('/api/v2/product/update_model', {
+        item_id: itemId,
+        model_list: renamedModels
+      });
+
+      if (renameResponse.data.error) {
+        throw new Error(renameResponse.data.message || 'Failed to update variant SKUs');
+      }
+    }
+
+    const priceList = models
+      .filter(({ existing }) => existing)
+      .map(({ shopeeModel, existing }) => ({
+        model_id: parseInt(existing.id),
+        original_price: shopeeModel.original_price
+      }));
+
+    if (priceList.length > 0) {
+      const priceResponse = await this.client.post('/api/v2/product/update_price', {
+        item_id: itemId,
+        price_list: priceList
+      });
+
+      if (priceResponse.data.error) {
+        throw new Error(priceResponse.data.message || 'Failed to update variant prices');
+      }
+    }
+  }
+
   /**
    * Delete product from Shopee
    */
@@ -283,7 +552,7 @@ class ShopeeIntegration extends BaseMarketplace {
   /**
    * Update order status in Shopee
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, status, options = {}) {
     // Shopee uses different endpoints for different status updates
     let endpoint;
     let payload = { order_sn: orderId };
@@ -293,9 +562,7 @@ class ShopeeIntegration extends BaseMarketplace {
         endpoint = '/api/v2/logistics/ship_order';
         break;
       case 'CANCELLED':
-        endpoint = '/api/v2/order/cancel_order';
-        payload.cancel_reason = 'OUT_OF_STOCK'; // Default reason
-        break;
+        return this.cancelOrder(orderId, options.reasonCode || CANCEL_REASONS[0].code);
       default:
         throw new Error(`Unsupported status: ${status}`);
     }
@@ -339,6 +606,13 @@ class ShopeeIntegration extends BaseMarketplace {
     return uploadedImages;
   }
 
+  /**
+   * Shopee listings reference uploaded images by image_id
+   */
+  getImageReference(uploadedImage) {
+    return uploadedImage.id;
+  }
+
   /**
    * Get shipping methods
    */
@@ -347,6 +621,406 @@ class ShopeeIntegration extends BaseMarketplace {
     return response.data.response?.logistics || [];
   }
 
+  /**
+   * Get pickup addresses, time slots and drop-off branches for an order
+   */
+  async getShippingParameters(orderId) {
+    const response = await this.client.get('/api/v2/logistics/get_shipping_parameter', {
+      params: { order_sn: orderId }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to get shipping parameters');
+    }
+
+    const { pickup, dropoff } = response.data.response || {};
+
+    return {
+      pickup: pickup ? {
+        addresses: (pickup.address_list || []).map(address => ({
+          id: address.address_id,
+          address: [address.address, address.city, address.state].filter(Boolean).join(', '),
+          timeSlots: (address.time_slot_list || []).map(slot => ({
+            id: slot.pickup_time_id,
+            date: new Date(slot.date * 1000).toISOString()
+          }))
+        }))
+      } : null,
+      dropoff: dropoff ? {
+        branches: (dropoff.branch_list || []).map(branch => ({
+          id: branch.branch_id,
+          name: branch.address,
+          address: [branch.address, branch.city].filter(Boolean).join(', ')
+        }))
+      } : null
+    };
+  }
+
+  /**
+   * Arrange pickup or drop-off of an order
+   * Shopee assigns the tracking number asynchronously, so it may not be known yet.
+   */
+  async arrangeShipment(orderId, options) {
+    const payload = { order_sn: orderId };
+
+    if (options.method === 'pickup') {
+      payload.pickup = {
+        address_id: options.addressId,
+        pickup_time_id: options.pickupTimeId
+      };
+    } else {
+      payload.dropoff = options.branchId ? { branch_id: options.branchId } : {};
+    }
+
+    const response = await this.client.post('/api/v2/logistics/ship_order', payload);
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to arrange shipment');
+    }
+
+    // The shipment is arranged now; a missing tracking number is picked up with the label
+    try {
+      return await this.getTrackingNumber(orderId);
+    } catch (error) {
+      logger.warn(`Tracking number of Shopee order ${orderId} not available yet:`, error.message);
+      return { trackingNumber: null, carrier: null };
+    }
+  }
+
+  /**
+   * Get the tracking number of an arranged shipment
+   */
+  async getTrackingNumber(orderId) {
+    const response = await this.client.get('/api/v2/logistics/get_tracking_number', {
+      params: { order_sn: orderId }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to get tracking number');
+    }
+
+    return {
+      trackingNumber: response.data.response?.tracking_number || null,
+      carrier: null
+    };
+  }
+
+  /**
+   * Get courier checkpoints of an order's shipment
+   */
+  async getTrackingInfo(orderId) {
+    const response = await this.client.get('/api/v2/logistics/get_tracking_info', {
+      params: { order_sn: orderId }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to get tracking info');
+    }
+
+    const { tracking_number: trackingNumber, tracking_info: trackingInfo = [] } = response.data.response || {};
+
+    return {
+      trackingNumber: trackingNumber || null,
+      carrier: null,
+      events: trackingInfo.map(checkpoint => ({
+        status: checkpoint.logistics_status,
+        description: checkpoint.description,
+        location: null,
+        occurredAt: new Date(checkpoint.update_time * 1000)
+      }))
+    };
+  }
+
+  /**
+   * Get the fees Shopee deducts from an order and its escrow amount
+   * Shopee-funded vouchers are paid back to the seller, so they count as a subsidy.
+   */
+  async getOrderFinance(orderId) {
+    const response = await this.client.get('/api/v2/payment/get_escrow_detail', {
+      params: { order_sn: orderId }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to get escrow detail');
+    }
+
+    const income = response.data.response?.order_income || {};
+
+    return {
+      fees: [
+        { type: 'COMMISSION', amount: income.commission_fee, description: 'Biaya administrasi' },
+        { type: 'SHIPPING_PROGRAM', amount: income.service_fee, description: 'Biaya layanan Gratis Ongkir XTRA / Cashback XTRA' },
+        { type: 'PAYMENT', amount: income.seller_transaction_fee, description: 'Biaya transaksi' },
+        { type: 'VOUCHER_SUBSIDY', amount: -(income.voucher_from_shopee || 0), description: 'Voucher ditanggung Shopee' }
+      ].filter(fee => fee.amount),
+      netProceeds: income.escrow_amount ?? null
+    };
+  }
+
+  /**
+   * Get escrows released in a period, one line per order; longer periods are fetched window by window
+   */
+  async getSettlements(params = {}) {
+    const windowSeconds = REQUEST_WINDOW_DAYS * 24 * 60 * 60;
+    const endTime = Math.floor(new Date(params.endDate || Date.now()).getTime() / 1000);
+    let windowStart = params.startDate
+      ? Math.floor(new Date(params.startDate).getTime() / 1000)
+      : endTime - windowSeconds;
+    const settlements = [];
+
+    while (windowStart < endTime) {
+      const windowEnd = Math.min(endTime, windowStart + windowSeconds);
+      let pageNo = 1;
+      let more = true;
+
+      while (more) {
+        const response = await this.client.get('/api/v2/payment/get_escrow_list', {
+          params: {
+            release_time_from: windowStart,
+            release_time_to: windowEnd,
+            page_size: 100,
+            page_no: pageNo
+          }
+        });
+
+        if (response.data.error) {
+          throw new Error(response.data.message || 'Failed to get escrow list');
+        }
+
+        const escrows = response.data.response?.escrow_list || [];
+        settlements.push(...escrows.map(escrow => ({
+          marketplaceOrderId: escrow.order_sn,
+          amount: escrow.payout_amount,
+          settledAt: new Date(escrow.escrow_release_time * 1000),
+          reference: escrow.order_sn
+        })));
+
+        more = Boolean(response.data.response?.more);
+        pageNo++;
+      }
+
+      windowStart = windowEnd;
+    }
+
+    return settlements;
+  }
+
+  /**
+   * Get the reasons a seller may cancel an order for
+   */
+  async getCancelReasons() {
+    return CANCEL_REASONS;
+  }
+
+  /**
+   * Cancel an order on behalf of the seller
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const response = await this.client.post('/api/v2/order/cancel_order', {
+      order_sn: orderId,
+      cancel_reason: reasonCode
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to cancel order');
+    }
+
+    return response.data.response;
+  }
+
+  /**
+   * Get buyer cancellation requests and return/refund requests
+   * Buyer cancellations are orders waiting in IN_CANCEL; both lists are limited to a 15 day window.
+   */
+  async getReturnRequests(params = {}) {
+    const timeTo = Math.floor(Date.now() / 1000);
+    const windowStart = timeTo - REQUEST_WINDOW_DAYS * 24 * 60 * 60;
+    const timeFrom = params.since ? Math.max(windowStart, Math.floor(new Date(params.since).getTime() / 1000)) : windowStart;
+
+    const cancelResponse = await this.client.get('/api/v2/order/get_order_list', {
+      params: {
+        time_range_field: 'update_time',
+        time_from: timeFrom,
+        time_to: timeTo,
+        page_size: 100,
+        order_status: 'IN_CANCEL'
+      }
+    });
+
+    if (cancelResponse.data.error) {
+      throw new Error(cancelResponse.data.message || 'Failed to get buyer cancellations');
+    }
+
+    const cancelledSns = (cancelResponse.data.response?.order_list || []).map(order => order.order_sn);
+    let cancellations = [];
+
+    if (cancelledSns.length > 0) {
+      const detailResponse = await this.client.get('/api/v2/order/get_order_detail', {
+        params: {
+          order_sn_list: cancelledSns.join(','),
+          response_optional_fields: 'buyer_cancel_reason,item_list,total_amount'
+        }
+      });
+
+      cancellations = (detailResponse.data.response?.order_list || []).map(order => ({
+        id: order.order_sn,
+        orderId: order.order_sn,
+        type: 'CANCELLATION',
+        status: 'REQUESTED',
+        reason: order.buyer_cancel_reason || null,
+        refundAmount: order.total_amount ?? null,
+        requiresReturn: false,
+        items: (order.item_list || []).map(item => ({
+          sku: item.model_sku || item.item_sku,
+          quantity: item.model_quantity_purchased
+        })),
+        requestedAt: new Date(order.update_time * 1000)
+      }));
+    }
+
+    const returns = [];
+    let pageNo = 0;
+    let more = true;
+
+    while (more) {
+      const response = await this.client.get('/api/v2/returns/get_return_list', {
+        params: {
+          page_no: pageNo,
+          page_size: 100,
+          update_time_from: timeFrom,
+          update_time_to: timeTo
+        }
+      });
+
+      if (response.data.error) {
+        throw new Error(response.data.message || 'Failed to get returns');
+      }
+
+      returns.push(...(response.data.response?.return || []).map(item => this.normalizeReturn(item)));
+      more = Boolean(response.data.response?.more);
+      pageNo++;
+    }
+
+    return [...cancellations, ...returns];
+  }
+
+  /**
+   * Accept, reject or dispute a buyer cancellation or return
+   * Shopee has no outright rejection of returns; sellers raise a dispute instead.
+   */
+  async respondToReturnRequest(request, action, options = {}) {
+    let endpoint;
+    let payload;
+
+    if (request.type === 'CANCELLATION') {
+      if (action === 'dispute') {
+        const error = new Error('Shopee buyer cancellations cannot be disputed');
+        error.code = 'NOT_SUPPORTED';
+        throw error;
+      }
+      endpoint = '/api/v2/order/handle_buyer_cancellation';
+      payload = { order_sn: request.orderId, operation: action === 'accept' ? 'ACCEPT' : 'REJECT' };
+    } else {
+      switch (action) {
+        case 'accept':
+          endpoint = '/api/v2/returns/confirm';
+          payload = { return_sn: request.id };
+          break;
+        case 'dispute':
+          endpoint = '/api/v2/returns/dispute';
+          payload = { return_sn: request.id, dispute_text_reason: options.reason || '' };
+          break;
+        default: {
+          const error = new Error('Shopee returns can only be rejected by raising a dispute');
+          error.code = 'NOT_SUPPORTED';
+          throw error;
+        }
+      }
+    }
+
+    const response = await this.client.post(endpoint, payload);
+
+    if (response.data.error) {
+      throw new Error(response.data.message || 'Failed to respond to request');
+    }
+
+    return response.data.response;
+  }
+
+  /**
+   * Download the shipping label of an order
+   */
+  async getShippingLabel(orderId) {
+    const { documents, failed } = await this.getShippingLabels([orderId]);
+
+    if (failed[orderId]) {
+      throw new Error(failed[orderId]);
+    }
+
+    return documents[0];
+  }
+
+  /**
+   * Download the shipping labels of many orders
+   * Shopee renders labels in the background: create the documents of a batch, wait until they are ready,
+   * then download the ready ones as one PDF, so a batch waits once instead of once per order.
+   */
+  async getShippingLabels(orderIds) {
+    const documents = [];
+    const failed = {};
+
+    for (let start = 0; start < orderIds.length; start += LABEL_BATCH_SIZE) {
+      let pending = orderIds.slice(start, start + LABEL_BATCH_SIZE);
+      const ready = [];
+
+      const created = await this.client.post('/api/v2/logistics/create_shipping_document', {
+        order_list: pending.map(orderId => ({ order_sn: orderId }))
+      });
+      if (created.data.error) {
+        throw new Error(created.data.message || 'Failed to create shipping document');
+      }
+
+      for (const result of created.data.response?.result_list || []) {
+        if (result.fail_error) {
+          failed[result.order_sn] = result.fail_message || result.fail_error;
+        }
+      }
+      pending = pending.filter(orderId => !failed[orderId]);
+
+      for (let attempt = 1; pending.length > 0 && attempt <= LABEL_POLL_ATTEMPTS; attempt++) {
+        const response = await this.client.post('/api/v2/logistics/get_shipping_document_result', {
+          order_list: pending.map(orderId => ({ order_sn: orderId }))
+        });
+        const statuses = new Map((response.data.response?.result_list || []).map(result => [result.order_sn, result.status]));
+
+        for (const orderId of pending) {
+          const status = statuses.get(orderId);
+          if (status === 'READY') {
+            ready.push(orderId);
+          } else if (status === 'FAILED' || attempt === LABEL_POLL_ATTEMPTS) {
+            failed[orderId] = `Shipping label of order ${orderId} is not ready (${status || 'unknown'})`;
+          }
+        }
+        pending = pending.filter(orderId => !ready.includes(orderId) && !failed[orderId]);
+
+        if (pending.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, LABEL_POLL_INTERVAL));
+        }
+      }
+
+      if (ready.length > 0) {
+        const response = await this.client.post('/api/v2/logistics/download_shipping_document', {
+          shipping_document_type: 'THERMAL_AIR_WAYBILL',
+          order_list: ready.map(orderId => ({ order_sn: orderId }))
+        }, { responseType: 'arraybuffer' });
+
+        documents.push(Buffer.from(response.data));
+      }
+    }
+
+    return { documents, failed };
+  }
+
   /**
    * Get attributes for category
    */
@@ -362,7 +1036,7 @@ class ShopeeIntegration extends BaseMarketplace {
   /**
    * Normalize Shopee product to our format
    */
-  normalizeProduct(shopeeProduct) {
+  normalizeProduct(shopeeProduct, variants = []) {
     return {
       marketplaceProductId: shopeeProduct.item_id?.toString(),
       name: shopeeProduct.item_name,
@@ -372,7 +1046,7 @@ class ShopeeIntegration extends BaseMarketplace {
       sku: shopeeProduct.item_sku,
       status: shopeeProduct.item_status,
       images: shopeeProduct.image?.image_url_list || [],
-      variants: shopeeProduct.tier_variation || [],
+      variants,
       categoryId: shopeeProduct.category_id,
       weight: shopeeProduct.weight,
       dimensions: shopeeProduct.dimension,
@@ -382,16 +1056,49 @@ class ShopeeIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Normalize a Shopee model to our variant format
+   * tier_index points into tier_variation, e.g. [1, 0] -> Warna: Biru, Ukuran: S
+   */
+  normalizeVariant(shopeeModel, tierVariation = []) {
+    const attributes = {};
+    (shopeeModel.tier_index || []).forEach((optionIndex, tier) => {
+      const tierInfo = tierVariation[tier];
+      if (tierInfo) {
+        attributes[tierInfo.name] = tierInfo.option_list?.[optionIndex]?.option;
+      }
+    });
+
+    return {
+      id: shopeeModel.model_id?.toString(),
+      sku: shopeeModel.model_sku,
+      variantName: Object.values(attributes).join(' / ') || shopeeModel.model_sku,
+      price: shopeeModel.price_info?.[0]?.original_price || 0,
+      stock: shopeeModel.stock_info_v2?.summary_info?.total_available_stock ?? shopeeModel.stock_info?.[0]?.normal_stock ?? 0,
+      attributes
+    };
+  }
+
+  /**
+   * Map Shopee order status to our OrderStatus enum
+   * Statuses without a mapping return null so the order keeps its status
+   */
+  mapOrderStatus(shopeeStatus) {
+    return ORDER_STATUS_MAP[shopeeStatus] ?? null;
+  }
+
   /**
    * Normalize Shopee order to our format
    */
   normalizeOrder(shopeeOrder) {
     return {
       marketplaceOrderId: shopeeOrder.order_sn,
-      status: shopeeOrder.order_status,
+      status: this.mapOrderStatus(shopeeOrder.order_status),
+      marketplaceStatus: shopeeOrder.order_status,
       totalAmount: shopeeOrder.total_amount || 0,
       shippingCost: shopeeOrder.estimated_shipping_fee || 0,
       orderDate: new Date(shopeeOrder.create_time * 1000).toISOString(),
+      shipByDate: shopeeOrder.ship_by_date ? new Date(shopeeOrder.ship_by_date * 1000).toISOString() : null,
       customerInfo: {
         name: shopeeOrder.recipient_address?.name,
         phone: shopeeOrder.recipient_address?.phone,
@@ -410,6 +1117,86 @@ class ShopeeIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Normalize Shopee return to our format
+   * An accepted return whose parcel reached the seller counts as received.
+   */
+  normalizeReturn(shopeeReturn) {
+    let status = RETURN_STATUS_MAP[shopeeReturn.status] || 'REQUESTED';
+    if (status === 'ACCEPTED' && shopeeReturn.logistics_status === 'LOGISTICS_DELIVERY_DONE') {
+      status = 'RECEIVED';
+    }
+
+    return {
+      id: shopeeReturn.return_sn,
+      orderId: shopeeReturn.order_sn,
+      type: 'RETURN',
+      status,
+      reason: shopeeReturn.text_reason || shopeeReturn.reason || null,
+      refundAmount: shopeeReturn.refund_amount ?? null,
+      requiresReturn: shopeeReturn.needs_logistics !== false,
+      items: (shopeeReturn.item || []).map(item => ({
+        sku: item.variation_sku || item.item_sku,
+        quantity: item.amount
+      })),
+      requestedAt: new Date(shopeeReturn.create_time * 1000)
+    };
+  }
+
+  /**
+   * Normalize Shopee category to our format
+   */
+  normalizeCategory(shopeeCategory) {
+    return {
+      id: String(shopeeCategory.category_id),
+      name: shopeeCategory.display_category_name || shopeeCategory.original_category_name,
+      parentId: shopeeCategory.parent_category_id ? String(shopeeCategory.parent_category_id) : null,
+      isLeaf: !shopeeCategory.has_children
+    };
+  }
+
+  /**
+   * Normalize Shopee category attribute to our format
+   */
+  normalizeAttribute(shopeeAttribute) {
+    const inputType = shopeeAttribute.input_type || 'TEXT_FILED';
+    const isNumeric = ['INT_TYPE', 'FLOAT_TYPE'].includes(shopeeAttribute.input_validation_type);
+
+    let type = isNumeric ? 'number' : 'text';
+    if (inputType === 'DROP_DOWN' || inputType === 'COMBO_BOX') {
+      type = 'select';
+    } else if (inputType.startsWith('MULTIPLE_SELECT')) {
+      type = 'multi_select';
+    }
+
+    return {
+      id: String(shopeeAttribute.attribute_id),
+      name: shopeeAttribute.display_attribute_name || shopeeAttribute.original_attribute_name,
+      aliases: shopeeAttribute.original_attribute_name ? [shopeeAttribute.original_attribute_name] : [],
+      type,
+      required: Boolean(shopeeAttribute.is_mandatory),
+      allowCustom: inputType.endsWith('COMBO_BOX'),
+      options: (shopeeAttribute.attribute_value_list || []).map(value => ({
+        id: String(value.value_id),
+        name: value.display_value_name || value.original_value_name
+      }))
+    };
+  }
+
+  /**
+   * Format mapped attribute values as Shopee attribute_list
+   */
+  formatAttributes(mappedAttributes) {
+    return mappedAttributes.map(({ attribute, values }) => ({
+      attribute_id: parseInt(attribute.id),
+      attribute_value_list: values.map(value => (
+        value.id
+          ? { value_id: parseInt(value.id) }
+          : { value_id: 0, original_value_name: String(value.name) }
+      ))
+    }));
+  }
+
   /**
    * Format our product to Shopee format
    */
@@ -424,10 +1211,29 @@ class ShopeeIntegration extends BaseMarketplace {
       weight: product.weight || 0,
       dimension: product.dimensions || {},
       image: {
-        image_url_list: product.images || []
+        image_id_list: product.images || []
       },
-      attribute_list: product.attributes || [],
-      tier_variation: product.variants || []
+      attribute_list: product.attributes || []
+    };
+  }
+
+  /**
+   * Format our variants as Shopee tier_variation and models
+   */
+  formatVariantsForMarketplace(product) {
+    const { tiers, combinations } = this.getVariantTiers(product.variants);
+
+    return {
+      tier_variation: tiers.map(tier => ({
+        name: tier.name,
+        option_list: tier.values.map(option => ({ option }))
+      })),
+      model: combinations.map(({ variant, tierIndex }) => ({
+        tier_index: tierIndex,
+        model_sku: variant.sku,
+        original_price: Number(variant.price ?? product.price),
+        normal_stock: this.getInventoryQuantity(product, variant.id)
+      }))
     };
   }
 }
@@ -0,0 +1,633 @@
+const axios = require('axios');
+const BaseMarketplace = require('./BaseMarketplace');
+
+// Admin API scopes requested by the connect flow
+const OAUTH_SCOPES = 'read_products,write_products,read_inventory,write_inventory,read_locations,read_orders,write_orders,read_merchant_managed_fulfillment_orders,write_merchant_managed_fulfillment_orders';
+
+// Admin REST API leaky bucket: 40 requests, draining at 2 per second per store
+const RATE_LIMITS = {
+  default: { capacity: 40, refillPerSecond: 2 }
+};
+
+/**
+ * Shopify integration
+ * Documentation: https://shopify.dev/docs/api/admin-rest
+ */
+class ShopifyIntegration extends BaseMarketplace {
+  constructor(config) {
+    const storeUrl = (config.storeUrl || '')
+      .replace(/^https?:\/\//, '')
+      .replace(/\/+$/, '');
+    const apiVersion = config.apiVersion || '2024-01';
+
+    super({
+      ...config,
+      baseURL: config.baseURL || `https://${storeUrl}/admin/api/${apiVersion}`,
+      rateLimits: config.rateLimits || RATE_LIMITS
+    });
+
+    this.storeUrl = storeUrl;
+    this.apiVersion = apiVersion;
+    this.accessToken = config.accessToken;
+    this.locationId = config.locationId;
+  }
+
+  /**
+   * Get authentication headers for Shopify Admin API
+   */
+  getAuthHeaders(_config) {
+    return {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': this.accessToken
+    };
+  }
+
+  /**
+   * Build the app install/authorization URL for the connect flow
+   * Shopify offline tokens do not expire, so there is no refresh step
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const query = new URLSearchParams({
+      client_id: this.apiKey,
+      scope: OAUTH_SCOPES,
+      redirect_uri: redirectUri,
+      state
+    });
+    return `https://${this.storeUrl}/admin/oauth/authorize?${query.toString()}`;
+  }
+
+  /**
+   * Exchange the authorization code for an offline access token
+   */
+  async exchangeAuthorizationCode(code) {
+    const response = await axios.post(`https://${this.storeUrl}/admin/oauth/access_token`, {
+      client_id: this.apiKey,
+      client_secret: this.apiSecret,
+      code
+    }, {
+      timeout: this.timeout
+    });
+
+    return {
+      accessToken: response.data.access_token,
+      scope: response.data.scope
+    };
+  }
+
+  /**
+   * Extract the next page_info cursor from Shopify's Link header
+   */
+  getNextPageInfo(response) {
+    const link = response.headers?.link;
+    if (!link) {
+      return null;
+    }
+
+    const next = link.split(',').find(part => part.includes('rel="next"'));
+    const match = next?.match(/[?&]page_info=([^&>]+)/);
+
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Fetch one page of a cursor-paginated list endpoint
+   * Shopify only accepts limit alongside page_info, so filters apply to the first page only
+   */
+  async listPage(path, resourceKey, page, limit, filters) {
+    const cacheKey = `${path}:${limit}:${JSON.stringify(filters)}`;
+    const pageInfo = await this.getPageToken(cacheKey, page, (previous) =>
+      this.listPage(path, resourceKey, previous, limit, filters)
+    );
+
+    if (page > 1 && !pageInfo) {
+      return { items: [], nextPageInfo: null };
+    }
+
+    const response = await this.client.get(path, {
+      params: pageInfo ? { limit, page_info: pageInfo } : { limit, ...filters }
+    });
+
+    const nextPageInfo = this.getNextPageInfo(response);
+    this.storePageToken(cacheKey, page, nextPageInfo);
+
+    return {
+      items: response.data[resourceKey] || [],
+      nextPageInfo
+    };
+  }
+
+  /**
+   * Get shop profile information
+   */
+  async getProfile() {
+    const response = await this.client.get('/shop.json');
+    return response.data.shop;
+  }
+
+  /**
+   * Get products from Shopify
+   */
+  async getProducts(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'active',
+      search,
+      updateTimeFrom,
+      updateTimeTo
+    } = params;
+
+    const filters = { status };
+
+    if (search) {
+      filters.title = search;
+    }
+
+    if (updateTimeFrom) {
+      filters.updated_at_min = new Date(updateTimeFrom).toISOString();
+    }
+
+    if (updateTimeTo) {
+      filters.updated_at_max = new Date(updateTimeTo).toISOString();
+    }
+
+    const result = await this.listPage('/products.json', 'products', page, limit, filters);
+
+    return {
+      data: result.items.map(product => this.normalizeProduct(product)),
+      hasMore: Boolean(result.nextPageInfo),
+      total: result.items.length
+    };
+  }
+
+  /**
+   * Get single product by ID
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/products/${productId}.json`);
+
+    if (!response.data.product) {
+      throw new Error('Product not found');
+    }
+
+    return this.normalizeProduct(response.data.product);
+  }
+
+  /**
+   * Create product in Shopify
+   */
+  async createProduct(product) {
+    const shopifyProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.post('/products.json', {
+      product: shopifyProduct
+    });
+
+    const created = response.data.product;
+    await this.syncVariantInventory(product, created.variants || []);
+
+    return {
+      marketplaceProductId: created.id?.toString(),
+      data: created
+    };
+  }
+
+  /**
+   * Update product in Shopify
+   */
+  async updateProduct(productId, product) {
+    const shopifyProduct = this.formatProductForMarketplace(product);
+
+    // Keep existing variant IDs so Shopify updates variants instead of replacing them
+    const existing = await this.client.get(`/products/${productId}.json`);
+    const existingBySku = new Map(
+      (existing.data.product?.variants || []).map(variant => [variant.sku, variant])
+    );
+
+    shopifyProduct.id = parseInt(productId);
+    shopifyProduct.variants = shopifyProduct.variants.map(variant => {
+      const match = existingBySku.get(variant.sku);
+      return match ? { id: match.id, ...variant } : variant;
+    });
+
+    const response = await this.client.put(`/products/${productId}.json`, {
+      product: shopifyProduct
+    });
+
+    const updated = response.data.product;
+    await this.syncVariantInventory(product, updated.variants || []);
+
+    return updated;
+  }
+
+  /**
+   * Push our stock for each variant to the default location
+   */
+  async syncVariantInventory(product, shopifyVariants) {
+    const locationId = await this.getDefaultLocationId();
+
+    for (const shopifyVariant of shopifyVariants) {
+      const variant = product.variants?.find(v => v.sku === shopifyVariant.sku);
+      const quantity = this.getInventoryQuantity(product, variant?.id || null);
+
+      await this.setInventoryLevel(shopifyVariant.inventory_item_id, quantity, locationId);
+    }
+  }
+
+  /**
+   * Delete product from Shopify
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.delete(`/products/${productId}.json`);
+    return response.data;
+  }
+
+  /**
+   * Get active inventory locations
+   */
+  async getLocations() {
+    const response = await this.client.get('/locations.json');
+    return (response.data.locations || []).filter(location => location.active);
+  }
+
+  /**
+   * Location used for stock updates: configured one, else the first active location
+   */
+  async getDefaultLocationId() {
+    if (!this.locationId) {
+      const locations = await this.getLocations();
+
+      if (locations.length === 0) {
+        throw new Error('No active Shopify location found');
+      }
+
+      this.locationId = locations[0].id;
+    }
+
+    return this.locationId;
+  }
+
+  /**
+   * Get inventory levels for inventory items across all locations
+   */
+  async getInventoryLevels(inventoryItemIds) {
+    const response = await this.client.get('/inventory_levels.json', {
+      params: {
+        inventory_item_ids: inventoryItemIds.join(',')
+      }
+    });
+
+    return (response.data.inventory_levels || []).map(level => ({
+      inventoryItemId: level.inventory_item_id?.toString(),
+      locationId: level.location_id?.toString(),
+      available: level.available || 0
+    }));
+  }
+
+  /**
+   * Set available quantity of an inventory item at one location
+   */
+  async setInventoryLevel(inventoryItemId, available, locationId = null) {
+    const response = await this.client.post('/inventory_levels/set.json', {
+      location_id: parseInt(locationId || await this.getDefaultLocationId()),
+      inventory_item_id: parseInt(inventoryItemId),
+      available
+    });
+
+    return response.data.inventory_level;
+  }
+
+  /**
+   * Update product stock in Shopify
+   * Stock lives on the variant's inventory item, per location
+   */
+  async updateStock(productId, stock, variantId = null) {
+    let inventoryItemId;
+
+    if (variantId) {
+      const response = await this.client.get(`/variants/${variantId}.json`);
+      inventoryItemId = response.data.variant?.inventory_item_id;
+    } else {
+      // Products without options still have one default variant
+      const response = await this.client.get(`/products/${productId}.json`);
+      inventoryItemId = response.data.product?.variants?.[0]?.inventory_item_id;
+    }
+
+    if (!inventoryItemId) {
+      throw new Error('Product variant not found');
+    }
+
+    return await this.setInventoryLevel(inventoryItemId, stock);
+  }
+
+  /**
+   * Get orders from Shopify
+   */
+  async getOrders(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'any',
+      dateFrom,
+      dateTo
+    } = params;
+
+    const filters = { status };
+
+    if (dateFrom) {
+      filters.created_at_min = new Date(dateFrom).toISOString();
+    }
+
+    if (dateTo) {
+      filters.created_at_max = new Date(dateTo).toISOString();
+    }
+
+    const result = await this.listPage('/orders.json', 'orders', page, limit, filters);
+
+    return {
+      data: result.items.map(order => this.normalizeOrder(order)),
+      hasMore: Boolean(result.nextPageInfo),
+      total: result.items.length
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get(`/orders/${orderId}.json`);
+
+    if (!response.data.order) {
+      throw new Error('Order not found');
+    }
+
+    return this.normalizeOrder(response.data.order);
+  }
+
+  /**
+   * Update order status in Shopify
+   */
+  async updateOrderStatus(orderId, status, options = {}) {
+    switch (status) {
+      case 'SHIPPED':
+        return await this.fulfillOrder(orderId, options);
+      case 'CANCELLED': {
+        const response = await this.client.post(`/orders/${orderId}/cancel.json`, {
+          reason: options.reason || 'inventory',
+          restock: true
+        });
+        return response.data.order;
+      }
+      default:
+        throw new Error(`Unsupported status: ${status}`);
+    }
+  }
+
+  /**
+   * Fulfill all open fulfillment orders of an order
+   */
+  async fulfillOrder(orderId, options = {}) {
+    const fulfillmentOrdersResponse = await this.client.get(`/orders/${orderId}/fulfillment_orders.json`);
+    const openFulfillmentOrders = (fulfillmentOrdersResponse.data.fulfillment_orders || [])
+      .filter(fulfillmentOrder => ['open', 'in_progress'].includes(fulfillmentOrder.status));
+
+    if (openFulfillmentOrders.length === 0) {
+      throw new Error('Order has no open fulfillment orders');
+    }
+
+    const fulfillment = {
+      line_items_by_fulfillment_order: openFulfillmentOrders.map(fulfillmentOrder => ({
+        fulfillment_order_id: fulfillmentOrder.id
+      })),
+      notify_customer: options.notifyCustomer ?? true
+    };
+
+    if (options.trackingNumber) {
+      fulfillment.tracking_info = {
+        number: options.trackingNumber,
+        company: options.trackingCompany
+      };
+    }
+
+    const response = await this.client.post('/fulfillments.json', { fulfillment });
+    return response.data.fulfillment;
+  }
+
+  /**
+   * Collections are optional on Shopify products
+   */
+  requiresCategory() {
+    return false;
+  }
+
+  /**
+   * Get categories (custom collections) from Shopify
+   */
+  async getCategories() {
+    const response = await this.client.get('/custom_collections.json', {
+      params: {
+        limit: 250
+      }
+    });
+    return response.data.custom_collections || [];
+  }
+
+  /**
+   * Upload images to Shopify
+   * Shopify fetches images from src (or takes base64 attachments) when the product is saved
+   */
+  async uploadImages(images) {
+    return images.map(image => ({
+      url: image.url || null,
+      attachment: image.base64 || null,
+      id: null
+    }));
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    const response = await this.client.get('/shipping_zones.json');
+    return response.data.shipping_zones || [];
+  }
+
+  /**
+   * Get attributes for category
+   * Shopify has no per-category attribute schema; product options are free-form
+   */
+  async getAttributes(_categoryId = null) {
+    return [];
+  }
+
+  /**
+   * Map Shopify financial/fulfillment state to our OrderStatus enum
+   */
+  mapOrderStatus(shopifyOrder) {
+    if (shopifyOrder.cancelled_at) {
+      return 'CANCELLED';
+    }
+
+    if (['refunded', 'voided'].includes(shopifyOrder.financial_status)) {
+      return 'REFUNDED';
+    }
+
+    const shipmentStatuses = (shopifyOrder.fulfillments || []).map(f => f.shipment_status);
+    if (shipmentStatuses.length > 0 && shipmentStatuses.every(s => s === 'delivered')) {
+      return 'DELIVERED';
+    }
+
+    switch (shopifyOrder.fulfillment_status) {
+      case 'fulfilled':
+        return 'SHIPPED';
+      case 'partial':
+        return 'PROCESSING';
+      default:
+        break;
+    }
+
+    return ['paid', 'partially_refunded'].includes(shopifyOrder.financial_status) ? 'CONFIRMED' : 'PENDING';
+  }
+
+  /**
+   * Normalize Shopify product to our format
+   */
+  normalizeProduct(shopifyProduct) {
+    const optionNames = (shopifyProduct.options || []).map(option => option.name);
+    const shopifyVariants = shopifyProduct.variants || [];
+    const firstVariant = shopifyVariants[0];
+
+    return {
+      marketplaceProductId: shopifyProduct.id?.toString(),
+      name: shopifyProduct.title,
+      description: shopifyProduct.body_html,
+      price: parseFloat(firstVariant?.price) || 0,
+      stock: shopifyVariants.reduce((sum, variant) => sum + (variant.inventory_quantity || 0), 0),
+      sku: firstVariant?.sku,
+      status: shopifyProduct.status,
+      images: shopifyProduct.images?.map(img => img.src) || [],
+      variants: shopifyVariants.map(variant => {
+        const attributes = {};
+        [variant.option1, variant.option2, variant.option3].forEach((value, index) => {
+          if (value && optionNames[index]) {
+            attributes[optionNames[index]] = value;
+          }
+        });
+
+        return {
+          id: variant.id?.toString(),
+          inventoryItemId: variant.inventory_item_id?.toString(),
+          sku: variant.sku,
+          variantName: variant.title,
+          price: parseFloat(variant.price) || 0,
+          stock: variant.inventory_quantity || 0,
+          attributes
+        };
+      }),
+      categoryId: shopifyProduct.product_type,
+      weight: firstVariant?.grams || 0,
+      dimensions: {},
+      attributes: shopifyProduct.tags ? shopifyProduct.tags.split(',').map(tag => tag.trim()) : [],
+      createdAt: shopifyProduct.created_at,
+      updatedAt: shopifyProduct.updated_at
+    };
+  }
+
+  /**
+   * Normalize Shopify order to our format
+   */
+  normalizeOrder(shopifyOrder) {
+    const customer = shopifyOrder.customer || {};
+    const shipping = shopifyOrder.shipping_address || {};
+    const shippingCost = (shopifyOrder.shipping_lines || [])
+      .reduce((sum, line) => sum + (parseFloat(line.price) || 0), 0);
+
+    return {
+      marketplaceOrderId: shopifyOrder.id?.toString(),
+      status: this.mapOrderStatus(shopifyOrder),
+      marketplaceStatus: `${shopifyOrder.financial_status}/${shopifyOrder.fulfillment_status || 'unfulfilled'}`,
+      totalAmount: parseFloat(shopifyOrder.total_price) || 0,
+      shippingCost,
+      orderDate: shopifyOrder.created_at,
+      customerInfo: {
+        name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+        phone: customer.phone || shopifyOrder.phone,
+        email: shopifyOrder.email || customer.email || null
+      },
+      shippingAddress: {
+        name: shipping.name,
+        phone: shipping.phone,
+        address: [shipping.address1, shipping.address2].filter(Boolean).join(', '),
+        city: shipping.city,
+        province: shipping.province,
+        postal_code: shipping.zip,
+        country: shipping.country_code
+      },
+      items: shopifyOrder.line_items?.map(item => ({
+        productId: item.product_id?.toString(),
+        variantId: item.variant_id?.toString(),
+        sku: item.sku,
+        name: item.name,
+        quantity: item.quantity,
+        price: parseFloat(item.price) || 0,
+        totalPrice: (parseFloat(item.price) || 0) * item.quantity
+      })) || []
+    };
+  }
+
+  /**
+   * Format our product to Shopify format
+   */
+  formatProductForMarketplace(product) {
+    const variants = product.variants || [];
+
+    // Shopify supports up to three options; derive them from our variant attributes
+    const optionNames = [];
+    for (const variant of variants) {
+      for (const name of Object.keys(variant.attributes || {})) {
+        if (!optionNames.includes(name) && optionNames.length < 3) {
+          optionNames.push(name);
+        }
+      }
+    }
+
+    const shopifyVariants = variants.length > 0
+      ? variants.map(variant => {
+        const shopifyVariant = {
+          sku: variant.sku,
+          price: (variant.price ?? product.price)?.toString(),
+          grams: Math.round(product.weight || 0),
+          inventory_management: 'shopify'
+        };
+
+        optionNames.forEach((name, index) => {
+          shopifyVariant[`option${index + 1}`] = variant.attributes?.[name]?.toString() || 'Default';
+        });
+
+        return shopifyVariant;
+      })
+      : [{
+        sku: product.sku,
+        price: product.price?.toString(),
+        grams: Math.round(product.weight || 0),
+        inventory_management: 'shopify'
+      }];
+
+    const shopifyProduct = {
+      title: product.name,
+      body_html: product.description || '',
+      product_type: product.category?.name || '',
+      status: product.isActive === false ? 'draft' : 'active',
+      images: (product.images || []).map(src => ({ src })),
+      variants: shopifyVariants
+    };
+
+    if (optionNames.length > 0) {
+      shopifyProduct.options = optionNames.map(name => ({ name }));
+    }
+
+    return shopifyProduct;
+  }
+}
+
+module.exports = ShopifyIntegration;
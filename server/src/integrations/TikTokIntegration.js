@@ -0,0 +1,977 @@
+const axios = require('axios');
+const BaseMarketplace = require('./BaseMarketplace');
+const crypto = require('crypto');
+
+// TikTok Shop order status -> our OrderStatus enum
+const ORDER_STATUS_MAP = {
+  'UNPAID': 'PENDING',
+  'ON_HOLD': 'PENDING',
+  'AWAITING_SHIPMENT': 'CONFIRMED',
+  'PARTIALLY_SHIPPING': 'PROCESSING',
+  'AWAITING_COLLECTION': 'PROCESSING',
+  'IN_TRANSIT': 'SHIPPED',
+  'DELIVERED': 'DELIVERED',
+  'COMPLETED': 'DELIVERED',
+  'CANCELLED': 'CANCELLED'
+};
+
+// TikTok Shop cancellation and return status -> our ReturnStatus enum
+const RETURN_STATUS_MAP = {
+  'CANCELLATION_REQUEST_PENDING': 'REQUESTED',
+  'CANCELLATION_REQUEST_SUCCESS': 'ACCEPTED',
+  'CANCELLATION_REQUEST_CANCEL': 'CLOSED',
+  'CANCELLATION_REQUEST_COMPLETE': 'REFUNDED',
+  'RETURN_OR_REFUND_REQUEST_PENDING': 'REQUESTED',
+  'REFUND_OR_RETURN_REQUEST_REJECT': 'REJECTED',
+  'AWAITING_BUYER_SHIP': 'ACCEPTED',
+  'BUYER_SHIPPED_ITEM': 'ACCEPTED',
+  'REJECT_RECEIVE_PACKAGE': 'DISPUTED',
+  'RETURN_OR_REFUND_REQUEST_SUCCESS': 'RECEIVED',
+  'RETURN_OR_REFUND_REQUEST_CANCEL': 'CLOSED',
+  'RETURN_OR_REFUND_REQUEST_COMPLETE': 'REFUNDED'
+};
+
+// Seller cancellation reasons accepted by the cancellations endpoint
+const CANCEL_REASONS = [
+  { code: 'seller_cancel_reason_out_of_stock', label: 'Stok habis' },
+  { code: 'seller_cancel_reason_wrong_price', label: 'Harga salah' },
+  { code: 'seller_cancel_paid_reason_address_not_deliver', label: 'Alamat tidak dapat dijangkau' },
+  { code: 'seller_cancel_paid_reason_buyer_requested_cancellation', label: 'Permintaan pembeli' }
+];
+
+// Reason sent when the seller turns down a buyer's request
+const REJECT_REASON = 'seller_reject_apply_product_has_been_packed';
+
+// Fee breakdown fields of a statement transaction -> our OrderFeeType
+const FEE_FIELDS = [
+  { field: 'platform_commission_amount', type: 'COMMISSION', description: 'Komisi platform' },
+  { field: 'transaction_fee_amount', type: 'PAYMENT', description: 'Biaya transaksi' },
+  { field: 'sfp_service_fee_amount', type: 'SHIPPING_PROGRAM', description: 'Biaya layanan program gratis ongkir' },
+  { field: 'voucher_xtra_service_fee_amount', type: 'SERVICE', description: 'Biaya layanan Voucher Xtra' },
+  { field: 'affiliate_commission_amount', type: 'OTHER', description: 'Komisi afiliasi' }
+];
+
+// Request quotas per API family, enforced per shop across all workers
+const RATE_LIMITS = {
+  product: { pattern: /^\/product\//, capacity: 20, refillPerSecond: 10 },
+  order: { pattern: /^\/(order|fulfillment|return_refund)\//, capacity: 20, refillPerSecond: 10 },
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+// TikTok Shop recommends square photos of 1200px, at most 5 MB
+const IMAGE_PROFILE = { size: 1200, maxBytes: 5 * 1024 * 1024 };
+
+/**
+ * TikTok Shop marketplace integration
+ * Documentation: https://partner.tiktokshop.com/docv2
+ */
+class TikTokIntegration extends BaseMarketplace {
+  constructor(config) {
+    super({
+      ...config,
+      baseURL: config.baseURL || 'https://open-api.tiktokglobalshop.com',
+      rateLimits: config.rateLimits || RATE_LIMITS,
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
+    });
+
+    this.appKey = config.appKey;
+    this.appSecret = config.appSecret;
+    this.shopCipher = config.shopCipher;
+    this.warehouseId = config.warehouseId;
+    this.authURL = config.authURL || 'https://auth.tiktok-shops.com';
+  }
+
+  /**
+   * Get authentication headers for TikTok Shop API
+   */
+  getAuthHeaders(config) {
+    const path = config.url.replace(this.baseURL, '');
+
+    const params = {
+      app_key: this.appKey,
+      timestamp: this.getTimestamp(),
+      ...config.params
+    };
+
+    // Shop-scoped endpoints need the shop cipher; authorization endpoints do not
+    if (this.shopCipher && !path.startsWith('/authorization/')) {
+      params.shop_cipher = this.shopCipher;
+    }
+
+    params.sign = this.signRequest(path, params, config.data);
+    config.params = params;
+
+    return {
+      'Content-Type': 'application/json',
+      'x-tts-access-token': this.accessToken
+    };
+  }
+
+  /**
+   * Build TikTok Shop request signature
+   * secret + path + sorted key/value pairs + body + secret, HMAC-SHA256 with the app secret
+   */
+  signRequest(path, params, body) {
+    const paramString = Object.keys(params)
+      .filter(key => key !== 'sign' && key !== 'access_token')
+      .sort()
+      .map(key => `${key}${params[key]}`)
+      .join('');
+
+    const bodyString = body ? JSON.stringify(body) : '';
+
+    return crypto
+      .createHmac('sha256', this.appSecret)
+      .update(`${this.appSecret}${path}${paramString}${bodyString}${this.appSecret}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the seller authorization URL for the connect flow
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const query = new URLSearchParams({ app_key: this.appKey, state });
+    return `${this.authURL}/oauth/authorize?${query.toString()}`;
+  }
+
+  /**
+   * Exchange the seller's auth code for tokens
+   */
+  async exchangeAuthorizationCode(code) {
+    return await this.requestToken('/api/v2/token/get', {
+      auth_code: code,
+      grant_type: 'authorized_code'
+    });
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   */
+  async requestTokenRefresh() {
+    if (!this.refreshToken) {
+      throw new Error('TikTok Shop refresh token is not configured');
+    }
+
+    return await this.requestToken('/api/v2/token/refresh', {
+      refresh_token: this.refreshToken,
+      grant_type: 'refresh_token'
+    });
+  }
+
+  /**
+   * Call a token endpoint and map the response to our credential fields
+   * Token endpoints live on a separate host and are not signed
+   */
+  async requestToken(path, params) {
+    const response = await axios.get(`${this.authURL}${path}`, {
+      params: {
+        app_key: this.appKey,
+        app_secret: this.appSecret,
+        ...params
+      },
+      timeout: this.timeout
+    });
+
+    if (response.data.code !== 0) {
+      throw new Error(response.data.message || 'Failed to get access token');
+    }
+
+    const tokenData = response.data.data;
+
+    return {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token || this.refreshToken,
+      accessTokenExpiresAt: new Date(tokenData.access_token_expire_in * 1000).toISOString(),
+      refreshTokenExpiresAt: tokenData.refresh_token_expire_in
+        ? new Date(tokenData.refresh_token_expire_in * 1000).toISOString()
+        : undefined
+    };
+  }
+
+  /**
+   * Throw if TikTok Shop reports an unsuccessful response
+   */
+  assertSuccess(response, fallbackMessage) {
+    if (response.data.code !== 0) {
+      throw new Error(response.data.message || fallbackMessage);
+    }
+  }
+
+  /**
+   * Get shop profile information
+   */
+  async getProfile() {
+    const response = await this.client.get('/authorization/202309/shops');
+    this.assertSuccess(response, 'Failed to get shop profile');
+
+    const shops = response.data.data?.shops || [];
+    return shops.find(shop => shop.cipher === this.shopCipher) || shops[0];
+  }
+
+  /**
+   * Search one page of products
+   */
+  async searchProducts(page, limit, filters) {
+    const cacheKey = `products:${limit}:${JSON.stringify(filters)}`;
+    const pageToken = await this.getPageToken(cacheKey, page, (previous) =>
+      this.searchProducts(previous, limit, filters)
+    );
+
+    if (page > 1 && !pageToken) {
+      return { products: [], nextPageToken: null, total: 0 };
+    }
+
+    const response = await this.client.post('/product/202309/products/search', filters, {
+      params: {
+        page_size: limit,
+        ...(pageToken && { page_token: pageToken })
+      }
+    });
+    this.assertSuccess(response, 'Failed to get products');
+
+    const nextPageToken = response.data.data?.next_page_token;
+    this.storePageToken(cacheKey, page, nextPageToken);
+
+    return {
+      products: response.data.data?.products || [],
+      nextPageToken,
+      total: response.data.data?.total_count || 0
+    };
+  }
+
+  /**
+   * Get products from TikTok Shop
+   */
+  async getProducts(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'ACTIVATE',
+      search,
+      updateTimeFrom,
+      updateTimeTo
+    } = params;
+
+    const filters = { status };
+
+    if (search) {
+      filters.seller_skus = [search];
+    }
+
+    if (updateTimeFrom) {
+      filters.update_time_ge = Math.floor(new Date(updateTimeFrom).getTime() / 1000);
+    }
+
+    if (updateTimeTo) {
+      filters.update_time_le = Math.floor(new Date(updateTimeTo).getTime() / 1000);
+    }
+
+    const result = await this.searchProducts(page, limit, filters);
+
+    return {
+      data: result.products.map(product => this.normalizeProduct(product)),
+      hasMore: Boolean(result.nextPageToken),
+      total: result.total
+    };
+  }
+
+  /**
+   * Get single product by ID
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/product/202309/products/${productId}`);
+    this.assertSuccess(response, 'Failed to get product');
+
+    if (!response.data.data) {
+      throw new Error('Product not found');
+    }
+
+    return this.normalizeProduct(response.data.data);
+  }
+
+  /**
+   * Create product in TikTok Shop
+   */
+  async createProduct(product) {
+    const tiktokProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.post('/product/202309/products', tiktokProduct);
+    this.assertSuccess(response, 'Failed to create product');
+
+    return {
+      marketplaceProductId: response.data.data?.product_id?.toString(),
+      data: response.data.data
+    };
+  }
+
+  /**
+   * Update product in TikTok Shop
+   */
+  async updateProduct(productId, product) {
+    const tiktokProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.put(`/product/202309/products/${productId}`, tiktokProduct);
+    this.assertSuccess(response, 'Failed to update product');
+
+    return response.data.data;
+  }
+
+  /**
+   * Delete product from TikTok Shop
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.delete('/product/202309/products', {
+      data: {
+        product_ids: [productId.toString()]
+      }
+    });
+    this.assertSuccess(response, 'Failed to delete product');
+
+    return response.data.data;
+  }
+
+  /**
+   * Update product stock in TikTok Shop
+   */
+  async updateStock(productId, stock, variantId = null) {
+    let skuId = variantId;
+
+    // Products without variants still have exactly one SKU
+    if (!skuId) {
+      const productDetail = await this.getProduct(productId);
+      skuId = productDetail.variants?.[0]?.id;
+    }
+
+    if (!skuId) {
+      throw new Error('Product SKU not found');
+    }
+
+    const inventory = { quantity: stock };
+    if (this.warehouseId) {
+      inventory.warehouse_id = this.warehouseId;
+    }
+
+    const response = await this.client.post(`/product/202309/products/${productId}/inventory/update`, {
+      skus: [
+        {
+          id: skuId.toString(),
+          inventory: [inventory]
+        }
+      ]
+    });
+    this.assertSuccess(response, 'Failed to update stock');
+
+    return response.data.data;
+  }
+
+  /**
+   * Search one page of orders
+   */
+  async searchOrders(page, limit, filters) {
+    const cacheKey = `orders:${limit}:${JSON.stringify(filters)}`;
+    const pageToken = await this.getPageToken(cacheKey, page, (previous) =>
+      this.searchOrders(previous, limit, filters)
+    );
+
+    if (page > 1 && !pageToken) {
+      return { orders: [], nextPageToken: null, total: 0 };
+    }
+
+    const response = await this.client.post('/order/202309/orders/search', filters, {
+      params: {
+        page_size: limit,
+        ...(pageToken && { page_token: pageToken })
+      }
+    });
+    this.assertSuccess(response, 'Failed to get orders');
+
+    const nextPageToken = response.data.data?.next_page_token;
+    this.storePageToken(cacheKey, page, nextPageToken);
+
+    return {
+      orders: response.data.data?.orders || [],
+      nextPageToken,
+      total: response.data.data?.total_count || 0
+    };
+  }
+
+  /**
+   * Get orders from TikTok Shop
+   */
+  async getOrders(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      dateFrom,
+      dateTo
+    } = params;
+
+    const filters = {};
+
+    if (status) {
+      filters.order_status = status;
+    }
+
+    if (dateFrom) {
+      filters.create_time_ge = Math.floor(new Date(dateFrom).getTime() / 1000);
+    }
+
+    if (dateTo) {
+      filters.create_time_lt = Math.floor(new Date(dateTo).getTime() / 1000);
+    }
+
+    const result = await this.searchOrders(page, limit, filters);
+
+    return {
+      data: result.orders.map(order => this.normalizeOrder(order)),
+      hasMore: Boolean(result.nextPageToken),
+      total: result.total
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get('/order/202309/orders', {
+      params: {
+        ids: orderId
+      }
+    });
+    this.assertSuccess(response, 'Failed to get order');
+
+    const orders = response.data.data?.orders || [];
+    if (orders.length === 0) {
+      throw new Error('Order not found');
+    }
+
+    return this.normalizeOrder(orders[0]);
+  }
+
+  /**
+   * Update order status in TikTok Shop
+   */
+  async updateOrderStatus(orderId, status, options = {}) {
+    let response;
+
+    switch (status) {
+      case 'SHIPPED': {
+        const packageId = await this.getPackageId(orderId);
+
+        response = await this.client.post(`/fulfillment/202309/packages/${packageId}/ship`, {
+          handover_method: 'PICKUP'
+        });
+        break;
+      }
+      case 'CANCELLED':
+        return this.cancelOrder(orderId, options.reasonCode || CANCEL_REASONS[0].code);
+      default:
+        throw new Error(`Unsupported status: ${status}`);
+    }
+
+    this.assertSuccess(response, 'Failed to update order status');
+
+    return response.data.data;
+  }
+
+  /**
+   * Get categories from TikTok Shop
+   */
+  async getCategories() {
+    const response = await this.client.get('/product/202309/categories');
+    this.assertSuccess(response, 'Failed to get categories');
+    return response.data.data?.categories || [];
+  }
+
+  /**
+   * Upload images to TikTok Shop
+   */
+  async uploadImages(images) {
+    const uploadedImages = [];
+
+    for (const image of images) {
+      const response = await this.client.post('/product/202309/images/upload', {
+        data: image.base64 || image.url,
+        use_case: 'MAIN_IMAGE'
+      });
+
+      if (response.data.data?.uri) {
+        uploadedImages.push({
+          url: response.data.data.url,
+          id: response.data.data.uri
+        });
+      }
+    }
+
+    return uploadedImages;
+  }
+
+  /**
+   * TikTok Shop listings reference uploaded images by URI
+   */
+  getImageReference(uploadedImage) {
+    return uploadedImage.id;
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    if (!this.warehouseId) {
+      const response = await this.client.get('/logistics/202309/warehouses');
+      this.assertSuccess(response, 'Failed to get warehouses');
+      return response.data.data?.warehouses || [];
+    }
+
+    const response = await this.client.get(`/logistics/202309/warehouses/${this.warehouseId}/delivery_options`);
+    this.assertSuccess(response, 'Failed to get shipping methods');
+    return response.data.data?.delivery_options || [];
+  }
+
+  /**
+   * Shipping happens per package, so orders are shipped and labelled through their package
+   */
+  async getPackageId(orderId) {
+    const response = await this.client.get('/order/202309/orders', {
+      params: { ids: orderId }
+    });
+    this.assertSuccess(response, 'Failed to get order');
+
+    const packageId = response.data.data?.orders?.[0]?.packages?.[0]?.id;
+    if (!packageId) {
+      throw new Error('Order has no package to ship');
+    }
+
+    return packageId;
+  }
+
+  /**
+   * Get pickup slots of an order's package and whether it may be dropped off
+   * Slot IDs are "<start_time>-<end_time>" so arrangeShipment can book them back.
+   */
+  async getShippingParameters(orderId) {
+    const packageId = await this.getPackageId(orderId);
+    const response = await this.client.get(`/fulfillment/202309/packages/${packageId}/handover_time_slots`);
+    this.assertSuccess(response, 'Failed to get handover time slots');
+
+    const { can_pickup: canPickup, can_drop_off: canDropOff, pickup_slots: slots = [] } = response.data.data || {};
+
+    return {
+      pickup: canPickup ? {
+        addresses: [{
+          id: null,
+          address: null,
+          timeSlots: slots
+            .filter(slot => slot.avaliable !== false)
+            .map(slot => ({ id: `${slot.start_time}-${slot.end_time}`, date: new Date(slot.start_time * 1000).toISOString() }))
+        }]
+      } : null,
+      dropoff: canDropOff ? { branches: [] } : null
+    };
+  }
+
+  /**
+   * Ship an order's package by pickup or drop-off
+   */
+  async arrangeShipment(orderId, options) {
+    const packageId = await this.getPackageId(orderId);
+    const payload = { handover_method: options.method === 'pickup' ? 'PICKUP' : 'DROP_OFF' };
+
+    if (options.method === 'pickup' && options.pickupTimeId) {
+      const [startTime, endTime] = options.pickupTimeId.split('-').map(Number);
+      payload.pickup_slot = { start_time: startTime, end_time: endTime };
+    }
+
+    const response = await this.client.post(`/fulfillment/202309/packages/${packageId}/ship`, payload);
+    this.assertSuccess(response, 'Failed to arrange shipment');
+
+    return this.getTrackingNumber(orderId);
+  }
+
+  /**
+   * Get the tracking number of an order's package
+   */
+  async getTrackingNumber(orderId) {
+    const packageId = await this.getPackageId(orderId);
+    const response = await this.client.get(`/fulfillment/202309/packages/${packageId}`);
+    this.assertSuccess(response, 'Failed to get package');
+
+    return {
+      trackingNumber: response.data.data?.tracking_number || null,
+      carrier: response.data.data?.shipping_provider_name || null
+    };
+  }
+
+  /**
+   * Get courier checkpoints of an order's shipment
+   */
+  async getTrackingInfo(orderId) {
+    const [shipment, response] = await Promise.all([
+      this.getTrackingNumber(orderId),
+      this.client.get(`/fulfillment/202309/orders/${orderId}/tracking`)
+    ]);
+    this.assertSuccess(response, 'Failed to get tracking info');
+
+    return {
+      ...shipment,
+      events: (response.data.data?.tracking || []).map(checkpoint => ({
+        status: null,
+        description: checkpoint.description,
+        location: null,
+        occurredAt: new Date(Number(checkpoint.update_time_millis))
+      }))
+    };
+  }
+
+  /**
+   * Get the fees TikTok Shop deducts from an order and its settlement amount
+   * Statement transactions only exist once the order is settled, so until then there is no payout.
+   */
+  async getOrderFinance(orderId) {
+    const response = await this.client.get(`/finance/202309/orders/${orderId}/statement_transactions`);
+    this.assertSuccess(response, 'Failed to get order statement transactions');
+
+    const { settlement_amount: settlementAmount, statement_transactions: transactions = [] } = response.data.data || {};
+
+    return {
+      // Fees are reported as negative amounts, summed over the order's transactions
+      fees: FEE_FIELDS
+        .map(({ field, type, description }) => ({
+          type,
+          amount: -transactions.reduce((sum, transaction) => sum + Number(transaction.fee_tax_breakdown?.fee?.[field] || 0), 0),
+          description
+        }))
+        .filter(fee => fee.amount),
+      netProceeds: transactions.length > 0 && settlementAmount != null ? Number(settlementAmount) : null
+    };
+  }
+
+  /**
+   * Get the reasons a seller may cancel an order for
+   */
+  async getCancelReasons() {
+    return CANCEL_REASONS;
+  }
+
+  /**
+   * Cancel an order on behalf of the seller
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const response = await this.client.post('/return_refund/202309/cancellations', {
+      order_id: orderId.toString(),
+      cancel_reason: reasonCode
+    });
+    this.assertSuccess(response, 'Failed to cancel order');
+
+    return response.data.data;
+  }
+
+  /**
+   * Fetch every page of a cancellation or return search
+   */
+  async searchAll(path, listKey, filters) {
+    const results = [];
+    let pageToken;
+
+    do {
+      const response = await this.client.post(path, filters, {
+        params: {
+          page_size: 50,
+          ...(pageToken && { page_token: pageToken })
+        }
+      });
+      this.assertSuccess(response, 'Failed to search return requests');
+
+      results.push(...(response.data.data?.[listKey] || []));
+      pageToken = response.data.data?.next_page_token;
+    } while (pageToken);
+
+    return results;
+  }
+
+  /**
+   * Get buyer cancellation requests and return/refund requests
+   */
+  async getReturnRequests(params = {}) {
+    const filters = params.since ? { update_time_ge: Math.floor(new Date(params.since).getTime() / 1000) } : {};
+
+    const [cancellations, returns] = await Promise.all([
+      this.searchAll('/return_refund/202309/cancellations/search', 'cancellations', filters),
+      this.searchAll('/return_refund/202309/returns/search', 'return_orders', filters)
+    ]);
+
+    return [
+      ...cancellations.map(cancellation => this.normalizeReturn(cancellation, 'CANCELLATION')),
+      ...returns.map(returnOrder => this.normalizeReturn(returnOrder, 'RETURN'))
+    ];
+  }
+
+  /**
+   * Accept, reject or dispute a buyer cancellation or return
+   * Disputing a return refuses the returned package, which hands the case to TikTok Shop.
+   */
+  async respondToReturnRequest(request, action, options = {}) {
+    let response;
+
+    if (request.type === 'CANCELLATION') {
+      if (action === 'dispute') {
+        const error = new Error('TikTok Shop buyer cancellations cannot be disputed');
+        error.code = 'NOT_SUPPORTED';
+        throw error;
+      }
+
+      response = action === 'accept'
+        ? await this.client.post(`/return_refund/202309/cancellations/${request.id}/approve`, {})
+        : await this.client.post(`/return_refund/202309/cancellations/${request.id}/reject`, {
+          reject_reason: REJECT_REASON,
+          comment: options.reason || ''
+        });
+    } else if (action === 'accept') {
+      response = await this.client.post(`/return_refund/202309/returns/${request.id}/approve`, {
+        decision: request.requiresReturn ? 'APPROVE_RETURN' : 'APPROVE_REFUND'
+      });
+    } else {
+      const decision = action === 'dispute'
+        ? 'REJECT_RECEIVE_PACKAGE'
+        : (request.requiresReturn ? 'REJECT_RETURN' : 'REJECT_REFUND');
+
+      response = await this.client.post(`/return_refund/202309/returns/${request.id}/reject`, {
+        decision,
+        reject_reason: REJECT_REASON,
+        comment: options.reason || ''
+      });
+    }
+
+    this.assertSuccess(response, 'Failed to respond to request');
+
+    return response.data.data;
+  }
+
+  /**
+   * Download the shipping label of an order's package
+   */
+  async getShippingLabel(orderId) {
+    const packageId = await this.getPackageId(orderId);
+    const response = await this.client.get(`/fulfillment/202309/packages/${packageId}/shipping_documents`, {
+      params: { document_type: 'SHIPPING_LABEL' }
+    });
+    this.assertSuccess(response, 'Failed to get shipping label');
+
+    const url = response.data.data?.doc_url;
+    if (!url) {
+      throw new Error('TikTok Shop returned no shipping label');
+    }
+
+    // The document is served from TikTok's CDN, outside the signed API
+    const document = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(document.data);
+  }
+
+  /**
+   * Get attributes for category
+   */
+  async getAttributes(categoryId) {
+    const response = await this.client.get(`/product/202309/categories/${categoryId}/attributes`);
+    this.assertSuccess(response, 'Failed to get attributes');
+    return response.data.data?.attributes || [];
+  }
+
+  /**
+   * Map TikTok Shop order status to our OrderStatus enum
+   */
+  mapOrderStatus(tiktokStatus) {
+    return ORDER_STATUS_MAP[tiktokStatus] ?? null;
+  }
+
+  /**
+   * Normalize TikTok Shop cancellation or return to our format
+   * Line items are single units, so lines of the same SKU are counted together.
+   */
+  normalizeReturn(tiktokRequest, type) {
+    const isCancellation = type === 'CANCELLATION';
+    const lineItems = (isCancellation ? tiktokRequest.cancel_line_items : tiktokRequest.return_line_items) || [];
+    const quantities = new Map();
+
+    for (const item of lineItems) {
+      quantities.set(item.seller_sku, (quantities.get(item.seller_sku) || 0) + 1);
+    }
+
+    let status = RETURN_STATUS_MAP[isCancellation ? tiktokRequest.cancel_status : tiktokRequest.return_status] || 'REQUESTED';
+    if (tiktokRequest.arbitration_status === 'IN_PROGRESS') {
+      status = 'DISPUTED';
+    }
+
+    return {
+      id: isCancellation ? tiktokRequest.cancel_id : tiktokRequest.return_id,
+      orderId: tiktokRequest.order_id,
+      type,
+      status,
+      reason: (isCancellation ? tiktokRequest.cancel_reason_text : tiktokRequest.return_reason_text) || null,
+      refundAmount: tiktokRequest.refund_amount?.refund_total ? Number(tiktokRequest.refund_amount.refund_total) : null,
+      requiresReturn: !isCancellation && tiktokRequest.return_type !== 'REFUND',
+      items: [...quantities].map(([sku, quantity]) => ({ sku, quantity })),
+      requestedAt: new Date(tiktokRequest.create_time * 1000)
+    };
+  }
+
+  /**
+   * Normalize TikTok Shop product to our format
+   */
+  normalizeProduct(tiktokProduct) {
+    const firstSku = tiktokProduct.skus?.[0];
+
+    return {
+      marketplaceProductId: tiktokProduct.id?.toString(),
+      name: tiktokProduct.title,
+      description: tiktokProduct.description,
+      price: parseFloat(firstSku?.price?.sale_price) || 0,
+      stock: firstSku?.inventory?.reduce((sum, inv) => sum + (inv.quantity || 0), 0) || 0,
+      sku: firstSku?.seller_sku,
+      status: tiktokProduct.status,
+      images: tiktokProduct.main_images?.map(img => img.urls?.[0]).filter(Boolean) || [],
+      variants: tiktokProduct.skus || [],
+      categoryId: tiktokProduct.category_chains?.[tiktokProduct.category_chains.length - 1]?.id,
+      weight: tiktokProduct.package_weight?.value,
+      dimensions: tiktokProduct.package_dimensions,
+      attributes: tiktokProduct.product_attributes || [],
+      createdAt: tiktokProduct.create_time ? new Date(tiktokProduct.create_time * 1000).toISOString() : null,
+      updatedAt: tiktokProduct.update_time ? new Date(tiktokProduct.update_time * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Normalize TikTok Shop order to our format
+   */
+  normalizeOrder(tiktokOrder) {
+    // TikTok returns one line item per unit, so group them by SKU
+    const itemsBySku = new Map();
+
+    for (const lineItem of tiktokOrder.line_items || []) {
+      const key = lineItem.sku_id || lineItem.id;
+      const price = parseFloat(lineItem.sale_price) || 0;
+      const existing = itemsBySku.get(key);
+
+      if (existing) {
+        existing.quantity++;
+        existing.totalPrice += price;
+      } else {
+        itemsBySku.set(key, {
+          productId: lineItem.product_id?.toString(),
+          variantId: lineItem.sku_id?.toString(),
+          sku: lineItem.seller_sku,
+          name: lineItem.product_name,
+          quantity: 1,
+          price,
+          totalPrice: price
+        });
+      }
+    }
+
+    const recipient = tiktokOrder.recipient_address || {};
+    const district = (level) => recipient.district_info?.find(d => d.address_level === level)?.address_name;
+
+    return {
+      marketplaceOrderId: tiktokOrder.id?.toString(),
+      status: this.mapOrderStatus(tiktokOrder.status),
+      marketplaceStatus: tiktokOrder.status,
+      totalAmount: parseFloat(tiktokOrder.payment?.total_amount) || 0,
+      shippingCost: parseFloat(tiktokOrder.payment?.shipping_fee) || 0,
+      orderDate: new Date(tiktokOrder.create_time * 1000).toISOString(),
+      // Ready-to-ship deadline
+      shipByDate: tiktokOrder.rts_sla_time ? new Date(tiktokOrder.rts_sla_time * 1000).toISOString() : null,
+      customerInfo: {
+        name: recipient.name,
+        phone: recipient.phone_number,
+        email: tiktokOrder.buyer_email || null
+      },
+      shippingAddress: {
+        name: recipient.name,
+        phone: recipient.phone_number,
+        address: recipient.full_address || recipient.address_detail,
+        city: district('L2'),
+        province: district('L1'),
+        postal_code: recipient.postal_code
+      },
+      items: Array.from(itemsBySku.values())
+    };
+  }
+
+  /**
+   * Normalize TikTok Shop category to our format
+   */
+  normalizeCategory(tiktokCategory) {
+    return {
+      id: String(tiktokCategory.id),
+      name: tiktokCategory.local_name,
+      parentId: tiktokCategory.parent_id && tiktokCategory.parent_id !== '0' ? String(tiktokCategory.parent_id) : null,
+      isLeaf: Boolean(tiktokCategory.is_leaf)
+    };
+  }
+
+  /**
+   * Normalize TikTok Shop category attribute to our format
+   * Sales properties are variant axes, so they are never required at product level
+   */
+  normalizeAttribute(tiktokAttribute) {
+    return {
+      id: String(tiktokAttribute.id),
+      name: tiktokAttribute.name,
+      aliases: [],
+      type: tiktokAttribute.is_multiple_selection ? 'multi_select' : (tiktokAttribute.values?.length ? 'select' : 'text'),
+      required: Boolean(tiktokAttribute.is_requried ?? tiktokAttribute.is_required) && tiktokAttribute.type !== 'SALES_PROPERTY',
+      allowCustom: Boolean(tiktokAttribute.is_customizable),
+      options: (tiktokAttribute.values || []).map(value => ({ id: String(value.id), name: value.name }))
+    };
+  }
+
+  /**
+   * Format mapped attribute values as TikTok Shop product_attributes
+   */
+  formatAttributes(mappedAttributes) {
+    return mappedAttributes.map(({ attribute, values }) => ({
+      id: attribute.id,
+      values: values.map(value => (value.id ? { id: value.id } : { name: String(value.name) }))
+    }));
+  }
+
+  /**
+   * Format our product to TikTok Shop format
+   */
+  formatProductForMarketplace(product) {
+    const inventory = { quantity: product.stock || 0 };
+    if (this.warehouseId) {
+      inventory.warehouse_id = this.warehouseId;
+    }
+
+    return {
+      title: product.name,
+      description: product.description || '',
+      category_id: product.categoryId,
+      main_images: product.images?.map(uri => ({ uri })) || [],
+      package_weight: {
+        value: (product.weight || 0).toString(),
+        unit: 'GRAM'
+      },
+      package_dimensions: {
+        length: (product.dimensions?.length || 10).toString(),
+        width: (product.dimensions?.width || 10).toString(),
+        height: (product.dimensions?.height || 10).toString(),
+        unit: 'CENTIMETER'
+      },
+      product_attributes: product.attributes || [],
+      skus: [
+        {
+          seller_sku: product.sku,
+          price: {
+            amount: product.price?.toString(),
+            currency: 'IDR'
+          },
+          inventory: [inventory]
+        }
+      ]
+    };
+  }
+}
+
+module.exports = TikTokIntegration;
@@ -1,5 +1,54 @@
+const axios = require('axios');
 const BaseMarketplace = require('./BaseMarketplace');
 
+// Request quotas per API family, enforced per shop across all workers
+const RATE_LIMITS = {
+  product: { pattern: /^\/inventory\//, capacity: 10, refillPerSecond: 5 },
+  order: { pattern: /^\/v2\/(order|fs\/\d+\/order)/, capacity: 10, refillPerSecond: 5 },
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+// Tokopedia accepts up to 10 MB and crops thumbnails to a square
+const IMAGE_PROFILE = { size: 1200, maxBytes: 10 * 1024 * 1024 };
+
+// Tokopedia order status code -> our OrderStatus enum
+// Fraud reviews, invalid AWBs and disputes (5xx/6xx in between) keep the order's status
+const ORDER_STATUS_MAP = {
+  '0': 'CANCELLED',
+  '2': 'CANCELLED',
+  '3': 'CANCELLED',
+  '4': 'CANCELLED',
+  '5': 'CANCELLED',
+  '6': 'CANCELLED',
+  '10': 'CANCELLED',
+  '15': 'CANCELLED',
+  '100': 'PENDING',
+  '103': 'PENDING',
+  '220': 'PENDING',
+  '221': 'PENDING',
+  '400': 'CONFIRMED',
+  '450': 'PROCESSING',
+  '500': 'SHIPPED',
+  '501': 'SHIPPED',
+  '540': 'SHIPPED',
+  '600': 'DELIVERED',
+  '700': 'DELIVERED',
+  '701': 'DELIVERED'
+};
+
+// Saldo history entries of a sale mention its invoice number in the note
+const INVOICE_PATTERN = /INV\/[\w/]+/;
+
+// Reject reason codes of the order reject endpoint; shop closure needs dates and is left out
+const CANCEL_REASONS = [
+  { code: '1', label: 'Stok habis' },
+  { code: '2', label: 'Varian produk tidak tersedia' },
+  { code: '3', label: 'Harga atau berat salah' },
+  { code: '7', label: 'Kendala kurir' },
+  { code: '8', label: 'Permintaan pembeli' },
+  { code: '5', label: 'Lainnya' }
+];
+
 /**
  * Tokopedia marketplace integration
  * Documentation: https://developer.tokopedia.com/
@@ -8,13 +57,17 @@ class TokopediaIntegration extends BaseMarketplace {
   constructor(config) {
     super({
       ...config,
-      baseURL: config.baseURL || 'https://fs.tokopedia.net'
+      baseURL: config.baseURL || 'https://fs.tokopedia.net',
+      rateLimits: config.rateLimits || RATE_LIMITS,
+      imageProfile: { ...IMAGE_PROFILE, ...config.imageProfile }
     });
     
     this.fsId = config.fsId;
+    this.shopId = config.shopId;
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
     this.accessToken = config.accessToken;
+    this.authURL = config.authURL || 'https://accounts.tokopedia.com';
   }
 
   /**
@@ -28,6 +81,39 @@ class TokopediaIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Tokopedia uses the client credentials grant, so a token can always be requested
+   */
+  canRefreshToken() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  /**
+   * Request a new access token with the client credentials grant
+   */
+  async requestTokenRefresh() {
+    const basicAuth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    const response = await axios.post(`${this.authURL}/token`, null, {
+      params: {
+        grant_type: 'client_credentials'
+      },
+      headers: {
+        'Authorization': `Basic ${basicAuth}`
+      },
+      timeout: this.timeout
+    });
+
+    if (!response.data.access_token) {
+      throw new Error('Failed to get access token');
+    }
+
+    return {
+      accessToken: response.data.access_token,
+      accessTokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000).toISOString()
+    };
+  }
+
   /**
    * Get shop profile information
    */
@@ -77,7 +163,18 @@ class TokopediaIntegration extends BaseMarketplace {
       throw new Error('Product not found');
     }
 
-    return this.normalizeProduct(response.data.data);
+    const variants = response.data.data.variant?.isParent ? await this.getProductVariants(productId) : [];
+    return this.normalizeProduct(response.data.data, variants);
+  }
+
+  /**
+   * Get the variant children of a Tokopedia product; each child is a product of its own
+   */
+  async getProductVariants(productId) {
+    const response = await this.client.get(`/inventory/v1/fs/${this.fsId}/product/variant/${productId}`);
+
+    const { children = [], variant: variantTypes = [] } = response.data.data || {};
+    return children.map(child => this.normalizeVariant(child, variantTypes));
   }
 
   /**
@@ -130,19 +227,16 @@ class TokopediaIntegration extends BaseMarketplace {
    * Update product stock in Tokopedia
    */
   async updateStock(productId, stock, variantId = null) {
+    // Variant children carry their own product ID
     const stockData = {
       products: [
         {
-          product_id: parseInt(productId),
+          product_id: parseInt(variantId || productId),
           stock: stock
         }
       ]
     };
 
-    if (variantId) {
-      stockData.products[0].variant_id = parseInt(variantId);
-    }
-
     const response = await this.client.post(`/inventory/v1/fs/${this.fsId}/stock`, stockData);
     
     if (response.data.header?.error_code !== '0') {
@@ -212,7 +306,7 @@ class TokopediaIntegration extends BaseMarketplace {
   /**
    * Update order status in Tokopedia
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, status, options = {}) {
     let endpoint;
     let payload = { order_id: parseInt(orderId) };
 
@@ -225,10 +319,7 @@ class TokopediaIntegration extends BaseMarketplace {
         payload.shipping_ref_num = 'AUTO_GENERATED'; // You might want to pass actual tracking number
         break;
       case 'CANCELLED':
-        endpoint = `/v1/fs/${this.fsId}/order/reject`;
-        payload.reason_code = 1; // Out of stock
-        payload.reason = 'Out of stock';
-        break;
+        return this.cancelOrder(orderId, options.reasonCode || CANCEL_REASONS[0].code);
       default:
         throw new Error(`Unsupported status: ${status}`);
     }
@@ -285,6 +376,163 @@ class TokopediaIntegration extends BaseMarketplace {
     return response.data.data || [];
   }
 
+  /**
+   * Tokopedia ships by courier pickup only; the pickup address is the shop's
+   */
+  async getShippingParameters(_orderId) {
+    return {
+      pickup: { addresses: [] },
+      dropoff: null
+    };
+  }
+
+  /**
+   * Get an order as Tokopedia returns it; our marketplaceOrderId is its invoice number
+   */
+  async getRawOrder(invoiceNumber) {
+    const response = await this.client.get(`/v2/fs/${this.fsId}/order`, {
+      params: {
+        invoice_num: invoiceNumber
+      }
+    });
+
+    const [order] = response.data.data || [];
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Request courier pickup of an order
+   * Shipping labels are only served as HTML, so getShippingLabel is not implemented.
+   */
+  async arrangeShipment(orderId, options) {
+    if (options.method !== 'pickup') {
+      throw new Error('Tokopedia only supports courier pickup');
+    }
+
+    const order = await this.getRawOrder(orderId);
+    const response = await this.client.post(`/inventory/v1/fs/${this.fsId}/pick-up`, {
+      order_id: order.order_id,
+      shop_id: parseInt(this.shopId)
+    });
+
+    if (response.data.header?.error_code && response.data.header.error_code !== '0') {
+      throw new Error(response.data.header.reason || 'Failed to request pickup');
+    }
+
+    return this.getTrackingNumber(orderId);
+  }
+
+  /**
+   * Get the airway bill number of an order
+   */
+  async getTrackingNumber(orderId) {
+    const order = await this.getRawOrder(orderId);
+
+    return {
+      trackingNumber: order.order_info?.shipping_info?.awb || null,
+      carrier: order.order_info?.shipping_info?.logistic_name || null
+    };
+  }
+
+  /**
+   * Get courier checkpoints of an order's shipment
+   */
+  async getTrackingInfo(orderId) {
+    const order = await this.getRawOrder(orderId);
+    const response = await this.client.get(`/v1/order/${order.order_id}/fs/${this.fsId}/track`);
+
+    if (response.data.header?.error_code !== '0') {
+      throw new Error(response.data.header?.reason || 'Failed to get tracking info');
+    }
+
+    const { airway_bill: trackingNumber, tracking_data: checkpoints = [] } = response.data.data || {};
+
+    return {
+      trackingNumber: trackingNumber || order.order_info?.shipping_info?.awb || null,
+      carrier: order.order_info?.shipping_info?.logistic_name || null,
+      events: checkpoints.map(checkpoint => ({
+        status: checkpoint.status_code ? String(checkpoint.status_code) : null,
+        description: checkpoint.status,
+        location: checkpoint.city || null,
+        occurredAt: new Date(checkpoint.date_time)
+      }))
+    };
+  }
+
+  /**
+   * Get the reasons a seller may reject an order for
+   * Buyer cancellations and complaints are handled in Tokopedia's Resolution Center,
+   * so getReturnRequests is not implemented.
+   */
+  async getCancelReasons() {
+    return CANCEL_REASONS;
+  }
+
+  /**
+   * Reject an order on behalf of the seller
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const order = await this.getRawOrder(orderId);
+    const reason = CANCEL_REASONS.find(item => item.code === String(reasonCode));
+
+    const response = await this.client.post(`/v1/order/${order.order_id}/fs/${this.fsId}/nack`, {
+      reason_code: parseInt(reasonCode),
+      reason: reason?.label || 'Lainnya'
+    });
+
+    if (response.data.header?.error_code !== '0') {
+      throw new Error(response.data.header?.reason || 'Failed to cancel order');
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Get sale credits and deductions booked to the seller's saldo in a period, one line per saldo entry
+   * Entries that do not belong to an invoice (withdrawals, top-ups) are left out.
+   */
+  async getSettlements(params = {}) {
+    const endDate = new Date(params.endDate || Date.now());
+    const startDate = new Date(params.startDate || endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const perPage = 1000;
+    const settlements = [];
+    let page = 1;
+    let entries;
+
+    do {
+      const response = await this.client.get(`/v1/fs/${this.fsId}/shop/${this.shopId}/saldo-history`, {
+        params: {
+          from_date: startDate.toISOString().split('T')[0],
+          to_date: endDate.toISOString().split('T')[0],
+          page,
+          per_page: perPage
+        }
+      });
+
+      if (response.data.header?.error_code && response.data.header.error_code !== '0') {
+        throw new Error(response.data.header.reason || 'Failed to get saldo history');
+      }
+
+      entries = response.data.data?.saldo_history || [];
+      settlements.push(...entries
+        .filter(entry => INVOICE_PATTERN.test(entry.note || ''))
+        .map(entry => ({
+          marketplaceOrderId: entry.note.match(INVOICE_PATTERN)[0],
+          amount: entry.amount,
+          settledAt: new Date(entry.create_time),
+          reference: String(entry.deposit_id)
+        })));
+
+      page++;
+    } while (entries.length === perPage);
+
+    return settlements;
+  }
+
   /**
    * Get attributes for category
    */
@@ -300,7 +548,7 @@ class TokopediaIntegration extends BaseMarketplace {
   /**
    * Normalize Tokopedia product to our format
    */
-  normalizeProduct(tokopediaProduct) {
+  normalizeProduct(tokopediaProduct, variants = []) {
     return {
       marketplaceProductId: tokopediaProduct.basic?.productID?.toString(),
       name: tokopediaProduct.basic?.name,
@@ -310,7 +558,7 @@ class TokopediaIntegration extends BaseMarketplace {
       sku: tokopediaProduct.basic?.sku,
       status: tokopediaProduct.basic?.status,
       images: tokopediaProduct.pictures?.map(pic => pic.url_original) || [],
-      variants: tokopediaProduct.variant || [],
+      variants,
       categoryId: tokopediaProduct.basic?.category?.id,
       weight: tokopediaProduct.weight?.value || 0,
       dimensions: {
@@ -324,13 +572,45 @@ class TokopediaIntegration extends BaseMarketplace {
     };
   }
 
+  /**
+   * Normalize a Tokopedia variant child to our variant format
+   * combination points into the variant types, e.g. [1, 0] -> Warna: Biru, Ukuran: S
+   */
+  normalizeVariant(child, variantTypes = []) {
+    const attributes = {};
+    (child.combination || []).forEach((optionIndex, typeIndex) => {
+      const variantType = variantTypes[typeIndex];
+      if (variantType) {
+        attributes[variantType.name] = variantType.options?.[optionIndex]?.value;
+      }
+    });
+
+    return {
+      id: child.product_id?.toString(),
+      sku: child.sku,
+      variantName: Object.values(attributes).join(' / ') || child.name,
+      price: child.price || 0,
+      stock: child.stock || 0,
+      attributes
+    };
+  }
+
+  /**
+   * Map Tokopedia order status to our OrderStatus enum
+   * Statuses without a mapping return null so the order keeps its status
+   */
+  mapOrderStatus(tokopediaStatus) {
+    return ORDER_STATUS_MAP[String(tokopediaStatus)] ?? null;
+  }
+
   /**
    * Normalize Tokopedia order to our format
    */
   normalizeOrder(tokopediaOrder) {
     return {
       marketplaceOrderId: tokopediaOrder.invoice_number,
-      status: tokopediaOrder.order_status,
+      status: this.mapOrderStatus(tokopediaOrder.order_status),
+      marketplaceStatus: tokopediaOrder.order_status?.toString(),
       totalAmount: tokopediaOrder.amt?.total || 0,
       shippingCost: tokopediaOrder.amt?.shipping_cost || 0,
       orderDate: tokopediaOrder.create_time,
@@ -363,7 +643,7 @@ class TokopediaIntegration extends BaseMarketplace {
    * Format our product to Tokopedia format
    */
   formatProductForMarketplace(product) {
-    return {
+    const tokopediaProduct = {
       basic: {
         name: product.name,
         description: product.description || '',
@@ -384,9 +664,30 @@ class TokopediaIntegration extends BaseMarketplace {
         value: product.stock || 0
       },
       pictures: product.images?.map(url => ({ url_original: url })) || [],
-      variant: product.variants || [],
       attributes: product.attributes || []
     };
+
+    // Variants become children; combination picks one option of each selection
+    if (product.variants?.length > 0) {
+      const { tiers, combinations } = this.getVariantTiers(product.variants);
+
+      tokopediaProduct.variant = {
+        products: combinations.map(({ variant, tierIndex }, index) => ({
+          is_primary: index === 0,
+          status: 'LIMITED',
+          price: Number(variant.price ?? product.price),
+          stock: this.getInventoryQuantity(product, variant.id),
+          sku: variant.sku,
+          combination: tierIndex
+        })),
+        selection: tiers.map(tier => ({
+          name: tier.name,
+          options: tier.values.map(value => ({ value }))
+        }))
+      };
+    }
+
+    return tokopediaProduct;
   }
 }
 
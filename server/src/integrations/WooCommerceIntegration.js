@@ -0,0 +1,538 @@
+const BaseMarketplace = require('./BaseMarketplace');
+
+// WooCommerce order status -> our OrderStatus enum
+const ORDER_STATUS_MAP = {
+  'pending': 'PENDING',
+  'on-hold': 'PENDING',
+  'processing': 'PROCESSING',
+  'completed': 'DELIVERED',
+  'cancelled': 'CANCELLED',
+  'failed': 'CANCELLED',
+  'refunded': 'REFUNDED'
+};
+
+// Our OrderStatus enum -> WooCommerce order status
+const WOO_STATUS_MAP = {
+  'PENDING': 'pending',
+  'CONFIRMED': 'processing',
+  'PROCESSING': 'processing',
+  'SHIPPED': 'completed', // WooCommerce has no separate shipped status
+  'DELIVERED': 'completed',
+  'CANCELLED': 'cancelled',
+  'REFUNDED': 'refunded'
+};
+
+/**
+ * WooCommerce integration for our own web store
+ * Documentation: https://woocommerce.github.io/woocommerce-rest-api-docs/
+ */
+class WooCommerceIntegration extends BaseMarketplace {
+  constructor(config) {
+    const storeUrl = (config.storeUrl || '').replace(/\/+$/, '');
+
+    super({
+      ...config,
+      baseURL: config.baseURL || `${storeUrl}/wp-json/wc/v3`
+    });
+
+    this.storeUrl = storeUrl;
+    this.consumerKey = config.consumerKey;
+    this.consumerSecret = config.consumerSecret;
+    // Some hosts strip the Authorization header; WooCommerce then accepts keys in the query string
+    this.queryStringAuth = Boolean(config.queryStringAuth);
+  }
+
+  /**
+   * Get authentication headers for WooCommerce API
+   */
+  getAuthHeaders(config) {
+    if (this.queryStringAuth) {
+      config.params = {
+        ...config.params,
+        consumer_key: this.consumerKey,
+        consumer_secret: this.consumerSecret
+      };
+
+      return {
+        'Content-Type': 'application/json'
+      };
+    }
+
+    const basicAuth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+    return {
+      'Authorization': `Basic ${basicAuth}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Get store profile information
+   */
+  async getProfile() {
+    const response = await this.client.get('/system_status');
+    return {
+      storeUrl: this.storeUrl,
+      environment: response.data.environment,
+      settings: response.data.settings
+    };
+  }
+
+  /**
+   * Get all variations of a variable product
+   */
+  async getVariations(productId) {
+    const response = await this.client.get(`/products/${productId}/variations`, {
+      params: {
+        per_page: 100
+      }
+    });
+    return response.data || [];
+  }
+
+  /**
+   * Get products from WooCommerce
+   */
+  async getProducts(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'any',
+      search,
+      updateTimeFrom
+    } = params;
+
+    const queryParams = {
+      page,
+      per_page: limit,
+      status
+    };
+
+    if (search) {
+      queryParams.sku = search;
+    }
+
+    if (updateTimeFrom) {
+      queryParams.modified_after = new Date(updateTimeFrom).toISOString();
+    }
+
+    const response = await this.client.get('/products', {
+      params: queryParams
+    });
+
+    const products = response.data || [];
+
+    // Variable products carry only variation IDs, so fetch the variations themselves
+    for (const product of products) {
+      if (product.type === 'variable') {
+        product.variation_list = await this.getVariations(product.id);
+      }
+    }
+
+    const totalPages = parseInt(response.headers?.['x-wp-totalpages']) || 0;
+
+    return {
+      data: products.map(product => this.normalizeProduct(product)),
+      hasMore: page < totalPages,
+      total: parseInt(response.headers?.['x-wp-total']) || products.length
+    };
+  }
+
+  /**
+   * Get single product by ID
+   */
+  async getProduct(productId) {
+    const response = await this.client.get(`/products/${productId}`);
+
+    if (!response.data?.id) {
+      throw new Error('Product not found');
+    }
+
+    const product = response.data;
+    if (product.type === 'variable') {
+      product.variation_list = await this.getVariations(product.id);
+    }
+
+    return this.normalizeProduct(product);
+  }
+
+  /**
+   * Create product in WooCommerce
+   */
+  async createProduct(product) {
+    const wooProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.post('/products', wooProduct);
+    const created = response.data;
+
+    let variations = [];
+    if (wooProduct.type === 'variable') {
+      variations = await this.saveVariations(created.id, product, []);
+    }
+
+    return {
+      marketplaceProductId: created.id?.toString(),
+      data: {
+        ...created,
+        variation_list: variations
+      }
+    };
+  }
+
+  /**
+   * Update product in WooCommerce
+   */
+  async updateProduct(productId, product) {
+    const wooProduct = this.formatProductForMarketplace(product);
+
+    const response = await this.client.put(`/products/${productId}`, wooProduct);
+
+    let variations = [];
+    if (wooProduct.type === 'variable') {
+      const existingVariations = await this.getVariations(productId);
+      variations = await this.saveVariations(productId, product, existingVariations);
+    }
+
+    return {
+      ...response.data,
+      variation_list: variations
+    };
+  }
+
+  /**
+   * Create or update variations for our product variants, matched by SKU
+   */
+  async saveVariations(productId, product, existingVariations) {
+    const existingBySku = new Map(existingVariations.map(variation => [variation.sku, variation]));
+    const batch = { create: [], update: [] };
+
+    for (const variant of product.variants || []) {
+      const variation = this.formatVariation(product, variant);
+      const existing = existingBySku.get(variant.sku);
+
+      if (existing) {
+        batch.update.push({ id: existing.id, ...variation });
+      } else {
+        batch.create.push(variation);
+      }
+    }
+
+    if (batch.create.length === 0 && batch.update.length === 0) {
+      return [];
+    }
+
+    const response = await this.client.post(`/products/${productId}/variations/batch`, batch);
+
+    return [...(response.data.create || []), ...(response.data.update || [])].map(variation => ({
+      id: variation.id?.toString(),
+      sku: variation.sku
+    }));
+  }
+
+  /**
+   * Delete product from WooCommerce
+   */
+  async deleteProduct(productId) {
+    const response = await this.client.delete(`/products/${productId}`, {
+      params: {
+        force: true
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Update product stock in WooCommerce
+   */
+  async updateStock(productId, stock, variantId = null) {
+    const endpoint = variantId
+      ? `/products/${productId}/variations/${variantId}`
+      : `/products/${productId}`;
+
+    const response = await this.client.put(endpoint, {
+      manage_stock: true,
+      stock_quantity: stock
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get orders from WooCommerce
+   */
+  async getOrders(params = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      status = 'any',
+      dateFrom,
+      dateTo
+    } = params;
+
+    const queryParams = {
+      page,
+      per_page: limit,
+      status
+    };
+
+    if (dateFrom) {
+      queryParams.after = new Date(dateFrom).toISOString();
+    }
+
+    if (dateTo) {
+      queryParams.before = new Date(dateTo).toISOString();
+    }
+
+    const response = await this.client.get('/orders', {
+      params: queryParams
+    });
+
+    const orders = response.data || [];
+    const totalPages = parseInt(response.headers?.['x-wp-totalpages']) || 0;
+
+    return {
+      data: orders.map(order => this.normalizeOrder(order)),
+      hasMore: page < totalPages,
+      total: parseInt(response.headers?.['x-wp-total']) || orders.length
+    };
+  }
+
+  /**
+   * Get single order by ID
+   */
+  async getOrder(orderId) {
+    const response = await this.client.get(`/orders/${orderId}`);
+
+    if (!response.data?.id) {
+      throw new Error('Order not found');
+    }
+
+    return this.normalizeOrder(response.data);
+  }
+
+  /**
+   * Update order status in WooCommerce
+   */
+  async updateOrderStatus(orderId, status) {
+    const wooStatus = WOO_STATUS_MAP[status];
+
+    if (!wooStatus) {
+      throw new Error(`Unsupported status: ${status}`);
+    }
+
+    const response = await this.client.put(`/orders/${orderId}`, {
+      status: wooStatus
+    });
+
+    return response.data;
+  }
+
+  /**
+   * WooCommerce products may be uncategorized
+   */
+  requiresCategory() {
+    return false;
+  }
+
+  /**
+   * Get categories from WooCommerce
+   */
+  async getCategories() {
+    const response = await this.client.get('/products/categories', {
+      params: {
+        per_page: 100
+      }
+    });
+    return response.data || [];
+  }
+
+  /**
+   * Upload images to WooCommerce
+   * WooCommerce sideloads images from their src URL when the product is saved,
+   * so there is nothing to upload ahead of time
+   */
+  async uploadImages(images) {
+    return images
+      .filter(image => image.url)
+      .map(image => ({
+        url: image.url,
+        id: null
+      }));
+  }
+
+  /**
+   * Get shipping methods
+   */
+  async getShippingMethods() {
+    const response = await this.client.get('/shipping_methods');
+    return response.data || [];
+  }
+
+  /**
+   * Get product attributes
+   * WooCommerce attributes are global, not per category
+   */
+  async getAttributes(_categoryId = null) {
+    const response = await this.client.get('/products/attributes');
+    return response.data || [];
+  }
+
+  /**
+   * Map WooCommerce order status to our OrderStatus enum
+   */
+  mapOrderStatus(wooStatus) {
+    return ORDER_STATUS_MAP[wooStatus] ?? null;
+  }
+
+  /**
+   * Normalize WooCommerce variation to our ProductVariant shape
+   */
+  normalizeVariation(variation) {
+    const attributes = {};
+    for (const attribute of variation.attributes || []) {
+      attributes[attribute.name] = attribute.option;
+    }
+
+    return {
+      id: variation.id?.toString(),
+      sku: variation.sku,
+      variantName: Object.values(attributes).join(' / ') || variation.sku,
+      price: parseFloat(variation.price) || 0,
+      stock: variation.stock_quantity || 0,
+      attributes
+    };
+  }
+
+  /**
+   * Normalize WooCommerce product to our format
+   */
+  normalizeProduct(wooProduct) {
+    return {
+      marketplaceProductId: wooProduct.id?.toString(),
+      name: wooProduct.name,
+      description: wooProduct.description,
+      price: parseFloat(wooProduct.price) || 0,
+      stock: wooProduct.stock_quantity || 0,
+      sku: wooProduct.sku,
+      status: wooProduct.status,
+      images: wooProduct.images?.map(img => img.src) || [],
+      variants: (wooProduct.variation_list || []).map(variation => this.normalizeVariation(variation)),
+      categoryId: wooProduct.categories?.[0]?.id,
+      weight: parseFloat(wooProduct.weight) || 0,
+      dimensions: {
+        length: parseFloat(wooProduct.dimensions?.length) || 0,
+        width: parseFloat(wooProduct.dimensions?.width) || 0,
+        height: parseFloat(wooProduct.dimensions?.height) || 0
+      },
+      attributes: wooProduct.attributes || [],
+      createdAt: wooProduct.date_created_gmt ? new Date(`${wooProduct.date_created_gmt}Z`).toISOString() : null,
+      updatedAt: wooProduct.date_modified_gmt ? new Date(`${wooProduct.date_modified_gmt}Z`).toISOString() : null
+    };
+  }
+
+  /**
+   * Normalize WooCommerce order to our format
+   */
+  normalizeOrder(wooOrder) {
+    const billing = wooOrder.billing || {};
+    const shipping = wooOrder.shipping || {};
+
+    return {
+      marketplaceOrderId: wooOrder.id?.toString(),
+      status: this.mapOrderStatus(wooOrder.status),
+      marketplaceStatus: wooOrder.status,
+      totalAmount: parseFloat(wooOrder.total) || 0,
+      shippingCost: parseFloat(wooOrder.shipping_total) || 0,
+      orderDate: new Date(`${wooOrder.date_created_gmt}Z`).toISOString(),
+      customerInfo: {
+        name: `${billing.first_name || ''} ${billing.last_name || ''}`.trim(),
+        phone: billing.phone,
+        email: billing.email || null
+      },
+      shippingAddress: {
+        name: `${shipping.first_name || ''} ${shipping.last_name || ''}`.trim(),
+        phone: shipping.phone || billing.phone,
+        address: [shipping.address_1, shipping.address_2].filter(Boolean).join(', '),
+        city: shipping.city,
+        province: shipping.state,
+        postal_code: shipping.postcode,
+        country: shipping.country
+      },
+      items: wooOrder.line_items?.map(item => ({
+        productId: item.product_id?.toString(),
+        variantId: item.variation_id ? item.variation_id.toString() : null,
+        sku: item.sku,
+        name: item.name,
+        quantity: item.quantity,
+        price: parseFloat(item.price) || 0,
+        totalPrice: parseFloat(item.total) || 0
+      })) || []
+    };
+  }
+
+  /**
+   * Format one of our product variants as a WooCommerce variation
+   */
+  formatVariation(product, variant) {
+    return {
+      sku: variant.sku,
+      regular_price: (variant.price ?? product.price)?.toString(),
+      manage_stock: true,
+      stock_quantity: this.getInventoryQuantity(product, variant.id),
+      attributes: Object.entries(variant.attributes || {}).map(([name, option]) => ({
+        name,
+        option: option?.toString()
+      }))
+    };
+  }
+
+  /**
+   * Format our product to WooCommerce format
+   */
+  formatProductForMarketplace(product) {
+    const variants = product.variants || [];
+    const isVariable = variants.length > 0;
+
+    const wooProduct = {
+      name: product.name,
+      type: isVariable ? 'variable' : 'simple',
+      description: product.description || '',
+      sku: product.sku,
+      weight: product.weight ? product.weight.toString() : '',
+      dimensions: {
+        length: (product.dimensions?.length || '').toString(),
+        width: (product.dimensions?.width || '').toString(),
+        height: (product.dimensions?.height || '').toString()
+      },
+      images: (product.images || []).map(src => ({ src })),
+      categories: product.categoryId ? [{ id: parseInt(product.categoryId) || product.categoryId }] : []
+    };
+
+    if (isVariable) {
+      // Collect every attribute value used by the variants so WooCommerce can build variations
+      const options = {};
+      for (const variant of variants) {
+        for (const [name, value] of Object.entries(variant.attributes || {})) {
+          options[name] = options[name] || new Set();
+          options[name].add(value?.toString());
+        }
+      }
+
+      wooProduct.attributes = Object.entries(options).map(([name, values]) => ({
+        name,
+        visible: true,
+        variation: true,
+        options: Array.from(values)
+      }));
+    } else {
+      wooProduct.regular_price = product.price?.toString();
+      wooProduct.manage_stock = true;
+      wooProduct.stock_quantity = this.getInventoryQuantity(product);
+    }
+
+    return wooProduct;
+  }
+}
+
+module.exports = WooCommerceIntegration;
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const BaseMarketplace = require('./BaseMarketplace');
+const MarketplaceFactory = require('./MarketplaceFactory');
+const { prisma } = require('../utils/database');
+const { cache } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Methods every integration must implement
+const REQUIRED_METHODS = ['getAuthHeaders', 'getProfile'];
+
+// Capability a plugin may declare -> methods it must implement for it
+const CAPABILITIES = {
+  products: ['getProducts', 'getProduct', 'createProduct', 'updateProduct', 'deleteProduct', 'normalizeProduct', 'formatProductForMarketplace'],
+  orders: ['getOrders', 'getOrder', 'updateOrderStatus', 'normalizeOrder'],
+  inventory: ['updateStock'],
+  categories: ['getCategories', 'getAttributes'],
+  images: ['uploadImages'],
+  shipping: ['getShippingMethods'],
+  fulfillment: ['getShippingParameters', 'arrangeShipment', 'getTrackingNumber', 'getShippingLabel'],
+  tracking: ['getTrackingInfo'],
+  cancellations: ['getCancelReasons', 'cancelOrder'],
+  returns: ['getReturnRequests', 'respondToReturnRequest'],
+  finance: ['getOrderFinance'],
+  settlements: ['getSettlements'],
+  oauth: ['getAuthorizationUrl', 'exchangeAuthorizationCode']
+};
+
+const FIELD_TYPES = ['text', 'password', 'number', 'url', 'select'];
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,31}$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Check a plugin manifest against the BaseMarketplace contract
+ * @param {Object} plugin - Manifest exported by the plugin module
+ * @returns {Array} Problems found; empty when the plugin is valid
+ */
+function validatePlugin(plugin) {
+  const problems = [];
+
+  if (!plugin || typeof plugin !== 'object') {
+    return ['plugin must export a manifest object'];
+  }
+
+  const code = typeof plugin.code === 'string' ? plugin.code.toUpperCase() : null;
+  if (!code || !CODE_PATTERN.test(code)) {
+    problems.push('code must be 2-32 letters, digits or underscores, starting with a letter');
+  } else if (MarketplaceFactory.integrations[code] && !MarketplaceFactory.plugins[code]) {
+    problems.push(`code ${code} is already used by a built-in integration`);
+  } else if (MarketplaceFactory.plugins[code]) {
+    problems.push(`code ${code} is already registered by another plugin`);
+  }
+
+  if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+    problems.push('name is required');
+  }
+
+  const capabilities = plugin.capabilities || [];
+  if (!Array.isArray(capabilities)) {
+    problems.push('capabilities must be an array');
+  } else {
+    for (const capability of capabilities) {
+      if (!CAPABILITIES[capability]) {
+        problems.push(`unknown capability "${capability}"`);
+      }
+    }
+  }
+
+  const Integration = plugin.integration;
+  if (typeof Integration !== 'function' || !(Integration.prototype instanceof BaseMarketplace)) {
+    problems.push('integration must be a class extending BaseMarketplace');
+  } else if (Array.isArray(capabilities)) {
+    const methods = [...REQUIRED_METHODS, ...capabilities.flatMap(capability => CAPABILITIES[capability] || [])];
+
+    for (const method of methods) {
+      if (Integration.prototype[method] === BaseMarketplace.prototype[method]) {
+        problems.push(`integration must implement ${method}()`);
+      }
+    }
+  }
+
+  const schema = plugin.credentialSchema || [];
+  if (!Array.isArray(schema)) {
+    problems.push('credentialSchema must be an array');
+  } else {
+    const keys = new Set();
+
+    schema.forEach((field, index) => {
+      const label = `credentialSchema[${index}]`;
+
+      if (!field || !FIELD_KEY_PATTERN.test(field.key || '')) {
+        problems.push(`${label}.key must be an identifier`);
+        return;
+      }
+      if (keys.has(field.key)) {
+        problems.push(`${label}.key "${field.key}" is declared twice`);
+      }
+      keys.add(field.key);
+
+      if (typeof field.label !== 'string' || !field.label.trim()) {
+        problems.push(`${label}.label is required`);
+      }
+      if (field.type && !FIELD_TYPES.includes(field.type)) {
+        problems.push(`${label}.type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+        problems.push(`${label}.options are required for select fields`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check account credentials against a plugin's credential schema
+ * @param {Array} schema - Plugin credential schema
+ * @param {Object} credentials - Credentials submitted by the user
+ * @returns {Object} { errors, values } where values has numbers parsed
+ */
+function validateCredentials(schema, credentials = {}) {
+  const errors = [];
+  const values = { ...credentials };
+
+  for (const field of schema) {
+    const value = credentials[field.key];
+    const param = `credentials.${field.key}`;
+
+    if (value === undefined || value === null || value === '') {
+      if (field.required) {
+        errors.push({ param, msg: `${field.label} is required` });
+      }
+      delete values[field.key];
+      continue;
+    }
+
+    switch (field.type) {
+      case 'number':
+        if (Number.isNaN(Number(value))) {
+          errors.push({ param, msg: `${field.label} must be a number` });
+        } else {
+          values[field.key] = Number(value);
+        }
+        break;
+      case 'url':
+        try {
+          new URL(value);
+        } catch (error) {
+          errors.push({ param, msg: `${field.label} must be a valid URL` });
+        }
+        break;
+      case 'select':
+        if (!field.options.some(option => (option.value ?? option) === value)) {
+          errors.push({ param, msg: `${field.label} must be one of the listed options` });
+        }
+        break;
+      default:
+        if (typeof value !== 'string') {
+          errors.push({ param, msg: `${field.label} must be a string` });
+        }
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Validate a plugin, register its integration and make sure it has a marketplace row
+ * @param {Object} plugin - Plugin manifest
+ * @param {string} source - Where the plugin came from, for logs
+ */
+async function installPlugin(plugin, source) {
+  const problems = validatePlugin(plugin);
+  if (problems.length > 0) {
+    throw new Error(`Invalid marketplace plugin ${source}: ${problems.join('; ')}`);
+  }
+
+  const manifest = {
+    code: plugin.code.toUpperCase(),
+    name: plugin.name.trim(),
+    version: plugin.version || null,
+    description: plugin.description || null,
+    apiEndpoint: plugin.apiEndpoint || '',
+    integration: plugin.integration,
+    capabilities: plugin.capabilities || [],
+    credentialSchema: (plugin.credentialSchema || []).map(field => ({ type: 'text', required: false, ...field })),
+    source
+  };
+
+  await prisma.marketplace.upsert({
+    where: { code: manifest.code },
+    update: {
+      name: manifest.name,
+      apiEndpoint: manifest.apiEndpoint,
+      isActive: true
+    },
+    create: {
+      name: manifest.name,
+      code: manifest.code,
+      apiEndpoint: manifest.apiEndpoint,
+      config: { plugin: true },
+      isActive: true
+    }
+  });
+
+  MarketplaceFactory.registerPlugin(manifest);
+  return manifest;
+}
+
+/**
+ * Plugin modules from the configured directory and npm packages
+ * A directory entry is a .js file or a folder with an index.js / package.json main
+ */
+function discoverPlugins({ directory, packages }) {
+  const found = [];
+
+  if (directory) {
+    const root = path.resolve(directory);
+
+    if (!fs.existsSync(root)) {
+      logger.warn(`Marketplace plugin directory not found: ${root}`);
+    } else {
+      for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        if (entry.isDirectory() || entry.name.endsWith('.js')) {
+          found.push(path.join(root, entry.name));
+        }
+      }
+    }
+  }
+
+  for (const name of packages) {
+    found.push(name);
+  }
+
+  return found;
+}
+
+/**
+ * Load marketplace plugins at startup
+ * A broken plugin is logged and skipped so it cannot keep the server down
+ * @param {Object} options - { directory, packages }; defaults to MARKETPLACE_PLUGIN_DIR and MARKETPLACE_PLUGINS
+ * @returns {Object} { loaded, failed }
+ */
+async function loadPlugins(options = {}) {
+  const directory = options.directory ?? process.env.MARKETPLACE_PLUGIN_DIR;
+  const packages = options.packages ?? (process.env.MARKETPLACE_PLUGINS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const loaded = [];
+  const failed = [];
+
+  for (const source of discoverPlugins({ directory, packages })) {
+    try {
+      let plugin = require(source);
+      plugin = plugin?.default || plugin;
+
+      // Plugins installed as packages get the host's base class instead of bundling their own
+      if (typeof plugin === 'function') {
+        plugin = await plugin({ BaseMarketplace });
+      }
+
+      const manifest = await installPlugin(plugin, source);
+      loaded.push(manifest.code);
+      logger.info(`Loaded marketplace plugin ${manifest.code} from ${source}`);
+    } catch (error) {
+      failed.push({ source, error: error.message });
+      logger.error(`Failed to load marketplace plugin ${source}: ${error.message}`);
+    }
+  }
+
+  if (loaded.length > 0) {
+    await cache.del('marketplaces:all');
+  }
+
+  return { loaded, failed };
+}
+
+module.exports = {
+  CAPABILITIES,
+  validatePlugin,
+  validateCredentials,
+  installPlugin,
+  loadPlugins
+};
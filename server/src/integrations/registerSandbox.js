@@ -0,0 +1,33 @@
+const SandboxIntegration = require('./SandboxIntegration');
+const { installPlugin } = require('./pluginLoader');
+const { cache } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Shipped as a built-in plugin; the credential fields tune the simulated store
+const SANDBOX_PLUGIN = {
+  code: 'SANDBOX',
+  name: 'Sandbox',
+  description: 'Simulator marketplace lokal untuk pengembangan dan demo',
+  apiEndpoint: 'http://sandbox.local/api',
+  integration: SandboxIntegration,
+  capabilities: ['products', 'orders', 'inventory', 'categories', 'images', 'shipping', 'fulfillment', 'tracking', 'cancellations', 'returns', 'finance', 'settlements'],
+  credentialSchema: [
+    { key: 'seed', label: 'Seed data contoh', type: 'number' },
+    { key: 'productCount', label: 'Jumlah produk', type: 'number' },
+    { key: 'orderCount', label: 'Jumlah pesanan', type: 'number' },
+    { key: 'errorRate', label: 'Rasio error (0-1)', type: 'number' },
+    { key: 'transitionInterval', label: 'Interval perubahan status pesanan (ms)', type: 'number' }
+  ]
+};
+
+/**
+ * Register the SANDBOX integration and make sure it has a marketplace row,
+ * so sandbox accounts can be connected like any other marketplace
+ */
+async function registerSandbox() {
+  await installPlugin(SANDBOX_PLUGIN, 'built-in');
+  await cache.del('marketplaces:all');
+  logger.info('Sandbox marketplace enabled');
+}
+
+module.exports = registerSandbox;
@@ -1,7 +1,61 @@
 const { prisma, transaction } = require('../../utils/database');
 const MarketplaceFactory = require('../../integrations/MarketplaceFactory');
+const circuitBreaker = require('../../utils/circuitBreaker');
+const categoryMappingService = require('../../services/categoryMappingService');
+const imagePipelineService = require('../../services/imagePipelineService');
+const variantMappingService = require('../../services/variantMappingService');
+const productImportService = require('../../services/productImportService');
+const priceRuleService = require('../../services/priceRuleService');
+const feeService = require('../../services/feeService');
+const orderStatusService = require('../../services/orderStatusService');
 const logger = require('../../utils/logger');
 
+/**
+ * Close a sync log cut short by an open circuit; the job itself is re-queued
+ */
+async function closeDeferredSyncLog(syncLog, error, { results, successCount, failureCount }) {
+  await prisma.syncLog.update({
+    where: { id: syncLog.id },
+    data: {
+      status: successCount > 0 ? 'PARTIAL' : 'FAILED',
+      completedAt: new Date(),
+      errorMessage: error.message,
+      syncData: {
+        ...syncLog.syncData,
+        results,
+        successCount,
+        failureCount,
+        totalProcessed: results.length,
+        deferredUntil: new Date(error.retryAt).toISOString()
+      }
+    }
+  });
+}
+
+/**
+ * Product as this marketplace gets it: mapped category and attributes, priced by the
+ * account's price rule, with images processed and unchanged ones reusing their upload
+ */
+async function prepareProductPayload(integration, product, marketplaceAccount, existingMarketplaceProduct, priceRule) {
+  const productPayload = priceRuleService.applyRule(
+    priceRule,
+    await categoryMappingService.prepareProductForMarketplace(
+      product,
+      marketplaceAccount,
+      { isNew: !existingMarketplaceProduct }
+    )
+  );
+
+  const { images, imageUploads } = await imagePipelineService.prepareImages(
+    integration,
+    product.images || [],
+    existingMarketplaceProduct?.marketplaceData?.imageUploads
+  );
+  productPayload.images = images;
+
+  return { productPayload, imageUploads };
+}
+
 /**
  * Sync products to marketplace
  */
@@ -35,7 +89,13 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
       include: {
         category: true,
         variants: {
-          where: { isActive: true }
+          where: { isActive: true },
+          include: {
+            marketplaceProducts: {
+              where: { marketplaceAccountId },
+              select: { marketplaceVariantId: true }
+            }
+          }
         },
         inventory: true
       }
@@ -45,8 +105,17 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
       throw new Error('No products found to sync');
     }
 
+    // Integrations find the listing's existing variants by the IDs we stored for them
+    for (const product of products) {
+      product.variants = product.variants.map(({ marketplaceProducts, ...variant }) => ({
+        ...variant,
+        marketplaceVariantId: marketplaceProducts[0]?.marketplaceVariantId || null
+      }));
+    }
+
     // Create marketplace integration
     const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+    const priceRules = await priceRuleService.getAccountRules(marketplaceAccountId);
 
     // Create sync log
     const syncLog = await prisma.syncLog.create({
@@ -73,20 +142,31 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
         const existingMarketplaceProduct = await prisma.marketplaceProduct.findFirst({
           where: {
             productId: product.id,
+            variantId: null,
             marketplaceAccountId
           }
         });
 
         let result;
         let action;
+        let marketplaceProductId;
+
+        const { productPayload, imageUploads } = await prepareProductPayload(
+          integration,
+          product,
+          marketplaceAccount,
+          existingMarketplaceProduct,
+          priceRuleService.findRule(priceRules, product)
+        );
 
         if (existingMarketplaceProduct) {
           // Update existing product
           result = await integration.updateProduct(
             existingMarketplaceProduct.marketplaceProductId,
-            product
+            productPayload
           );
           action = 'updated';
+          marketplaceProductId = existingMarketplaceProduct.marketplaceProductId;
 
           // Update marketplace product record
           await prisma.marketplaceProduct.update({
@@ -94,13 +174,15 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
             data: {
               syncStatus: 'SUCCESS',
               lastSynced: new Date(),
-              marketplaceData: result
+              marketplacePrice: productPayload.price,
+              marketplaceData: { ...result, imageUploads }
             }
           });
         } else {
           // Create new product
-          result = await integration.createProduct(product);
+          result = await integration.createProduct(productPayload);
           action = 'created';
+          marketplaceProductId = result.marketplaceProductId;
 
           // Create marketplace product record
           await prisma.marketplaceProduct.create({
@@ -110,40 +192,22 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
               marketplaceProductId: result.marketplaceProductId,
               syncStatus: 'SUCCESS',
               lastSynced: new Date(),
-              marketplaceData: result.data
+              marketplacePrice: productPayload.price,
+              marketplaceData: { ...result.data, imageUploads }
             }
           });
         }
 
-        // Sync variants if any
+        // Give each variant its own listing row, keyed by the marketplace's variant ID
+        let variants;
         if (product.variants && product.variants.length > 0) {
-          for (const variant of product.variants) {
-            try {
-              const existingVariantProduct = await prisma.marketplaceProduct.findFirst({
-                where: {
-                  productId: product.id,
-                  variantId: variant.id,
-                  marketplaceAccountId
-                }
-              });
-
-              if (!existingVariantProduct && result.marketplaceProductId) {
-                await prisma.marketplaceProduct.create({
-                  data: {
-                    productId: product.id,
-                    variantId: variant.id,
-                    marketplaceAccountId,
-                    marketplaceProductId: result.marketplaceProductId,
-                    syncStatus: 'SUCCESS',
-                    lastSynced: new Date(),
-                    marketplaceData: result.data
-                  }
-                });
-              }
-            } catch (variantError) {
-              logger.warn(`Failed to sync variant ${variant.id}:`, variantError);
-            }
-          }
+          const marketplaceVariants = await integration.getProductVariants(marketplaceProductId);
+          variants = await variantMappingService.linkVariants(
+            product,
+            marketplaceAccountId,
+            marketplaceProductId,
+            marketplaceVariants
+          );
         }
 
         results.push({
@@ -152,17 +216,25 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
           name: product.name,
           action,
           success: true,
-          marketplaceProductId: result.marketplaceProductId
+          marketplaceProductId,
+          ...(variants && { variants })
         });
 
         successCount++;
         logger.info(`Successfully ${action} product ${product.sku} in ${marketplaceAccount.marketplace.name}`);
 
       } catch (error) {
+        // The marketplace is down; stop here and let the job be deferred
+        if (circuitBreaker.isCircuitOpenError(error)) {
+          await closeDeferredSyncLog(syncLog, error, { results, successCount, failureCount });
+          throw error;
+        }
+
         // Mark as failed in marketplace product record
         const existingMarketplaceProduct = await prisma.marketplaceProduct.findFirst({
           where: {
             productId: product.id,
+            variantId: null,
             marketplaceAccountId
           }
         });
@@ -183,7 +255,8 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
           name: product.name,
           action: 'failed',
           success: false,
-          error: error.message
+          error: error.message,
+          ...(error.details && { details: error.details })
         });
 
         failureCount++;
@@ -225,6 +298,108 @@ async function syncProducts(userId, marketplaceAccountId, productIds) {
   }
 }
 
+/**
+ * Push the listed prices of products already on a marketplace through updateProduct
+ */
+async function syncPrices(userId, marketplaceAccountId, productIds, reason) {
+  logger.info(`Starting price sync for user ${userId}, account ${marketplaceAccountId}`);
+
+  const marketplaceAccount = await getConnectedAccount(userId, marketplaceAccountId);
+
+  const products = await prisma.product.findMany({
+    where: {
+      id: { in: productIds },
+      userId,
+      isActive: true
+    },
+    include: {
+      category: true,
+      variants: {
+        where: { isActive: true }
+      },
+      inventory: true,
+      marketplaceProducts: {
+        where: { marketplaceAccountId }
+      }
+    }
+  });
+
+  const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+  const priceRules = await priceRuleService.getAccountRules(marketplaceAccountId);
+
+  const results = [];
+
+  for (const { marketplaceProducts, ...product } of products) {
+    const listing = marketplaceProducts.find(item => !item.variantId);
+    if (!listing) {
+      continue;
+    }
+
+    const rule = priceRuleService.findRule(priceRules, product);
+
+    try {
+      const { productPayload, imageUploads } = await prepareProductPayload(
+        integration,
+        product,
+        marketplaceAccount,
+        listing,
+        rule
+      );
+
+      const result = await integration.updateProduct(listing.marketplaceProductId, productPayload);
+
+      await prisma.marketplaceProduct.update({
+        where: { id: listing.id },
+        data: {
+          syncStatus: 'SUCCESS',
+          lastSynced: new Date(),
+          marketplacePrice: productPayload.price,
+          marketplaceData: { ...result, imageUploads }
+        }
+      });
+
+      // Variant listings keep their own price alongside the marketplace's variant ID
+      for (const variant of productPayload.variants || []) {
+        const variantListing = marketplaceProducts.find(item => item.variantId === variant.id);
+        if (variantListing) {
+          await prisma.marketplaceProduct.update({
+            where: { id: variantListing.id },
+            data: { marketplacePrice: variant.price, lastSynced: new Date() }
+          });
+        }
+      }
+
+      await priceRuleService.logPriceSync(userId, marketplaceAccountId, product, rule, { success: true, reason });
+
+      results.push({ productId: product.id, sku: product.sku, price: productPayload.price, success: true });
+
+    } catch (error) {
+      // The marketplace is down; the job is deferred and pushes these prices again
+      if (circuitBreaker.isCircuitOpenError(error)) {
+        throw error;
+      }
+
+      await priceRuleService.logPriceSync(userId, marketplaceAccountId, product, rule, {
+        success: false,
+        error: error.message,
+        reason
+      });
+
+      results.push({ productId: product.id, sku: product.sku, success: false, error: error.message });
+      logger.error(`Failed to sync price of product ${product.sku}:`, error);
+    }
+  }
+
+  const successCount = results.filter(result => result.success).length;
+  logger.info(`Price sync completed: ${successCount} success, ${results.length - successCount} failed`);
+
+  return {
+    successCount,
+    failureCount: results.length - successCount,
+    results
+  };
+}
+
 /**
  * Sync orders from marketplace
  */
@@ -285,135 +460,13 @@ async function syncOrders(userId, marketplaceAccountId, dateRange) {
 
         for (const marketplaceOrder of orders) {
           try {
-            // Check if order already exists
-            const existingOrder = await prisma.order.findFirst({
-              where: {
-                marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
-                marketplaceAccountId
-              }
-            });
+            const result = await upsertOrder(userId, marketplaceAccount, marketplaceOrder);
 
-            if (existingOrder) {
-              // Update existing order
-              await prisma.order.update({
-                where: { id: existingOrder.id },
-                data: {
-                  status: marketplaceOrder.status,
-                  totalAmount: marketplaceOrder.totalAmount,
-                  shippingCost: marketplaceOrder.shippingCost,
-                  customerInfo: marketplaceOrder.customerInfo,
-                  shippingAddress: marketplaceOrder.shippingAddress,
-                  updatedAt: new Date()
-                }
-              });
-
-              results.push({
-                orderId: existingOrder.id,
-                marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
-                action: 'updated',
-                success: true
-              });
-            } else {
-              // Create new order
-              const newOrder = await transaction(async (tx) => {
-                const order = await tx.order.create({
-                  data: {
-                    userId,
-                    marketplaceAccountId,
-                    orderNumber: `${marketplaceAccount.marketplace.code}-${marketplaceOrder.marketplaceOrderId}`,
-                    marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
-                    status: marketplaceOrder.status,
-                    totalAmount: marketplaceOrder.totalAmount,
-                    shippingCost: marketplaceOrder.shippingCost,
-                    customerInfo: marketplaceOrder.customerInfo,
-                    shippingAddress: marketplaceOrder.shippingAddress,
-                    orderDate: new Date(marketplaceOrder.orderDate)
-                  }
-                });
-
-                // Create order items
-                for (const item of marketplaceOrder.items) {
-                  // Try to find matching product by SKU
-                  const product = await tx.product.findFirst({
-                    where: {
-                      userId,
-                      sku: item.sku
-                    }
-                  });
-
-                  let variant = null;
-                  if (product && item.variantId) {
-                    variant = await tx.productVariant.findFirst({
-                      where: {
-                        productId: product.id,
-                        sku: item.sku
-                      }
-                    });
-                  }
-
-                  await tx.orderItem.create({
-                    data: {
-                      orderId: order.id,
-                      productId: product?.id,
-                      variantId: variant?.id,
-                      sku: item.sku,
-                      productName: item.name,
-                      quantity: item.quantity,
-                      unitPrice: item.price,
-                      totalPrice: item.totalPrice,
-                      productData: item
-                    }
-                  });
-
-                  // Update inventory if product found
-                  if (product) {
-                    const inventory = await tx.inventory.findFirst({
-                      where: {
-                        productId: product.id,
-                        variantId: variant?.id
-                      }
-                    });
-
-                    if (inventory) {
-                      const newStock = Math.max(0, inventory.stockQuantity - item.quantity);
-                      const newAvailable = Math.max(0, inventory.availableQuantity - item.quantity);
-
-                      await tx.inventory.update({
-                        where: { id: inventory.id },
-                        data: {
-                          stockQuantity: newStock,
-                          availableQuantity: newAvailable
-                        }
-                      });
-
-                      // Create stock movement
-                      await tx.stockMovement.create({
-                        data: {
-                          productId: product.id,
-                          variantId: variant?.id,
-                          orderId: order.id,
-                          userId,
-                          movementType: 'OUT',
-                          quantity: item.quantity,
-                          stockBefore: inventory.stockQuantity,
-                          stockAfter: newStock,
-                          reason: `Order ${order.orderNumber}`
-                        }
-                      });
-                    }
-                  }
-                }
-
-                return order;
-              });
-
-              results.push({
-                orderId: newOrder.id,
-                marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
-                action: 'created',
-                success: true
-              });
-            }
+            results.push({
+              ...result,
+              marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
+              success: true
+            });
 
             successCount++;
 
@@ -432,6 +485,11 @@ async function syncOrders(userId, marketplaceAccountId, dateRange) {
 
         page++;
       } catch (error) {
+        if (circuitBreaker.isCircuitOpenError(error)) {
+          await closeDeferredSyncLog(syncLog, error, { results, successCount, failureCount });
+          throw error;
+        }
+
         logger.error(`Failed to fetch orders page ${page}:`, error);
         break;
       }
@@ -471,6 +529,263 @@ async function syncOrders(userId, marketplaceAccountId, dateRange) {
   }
 }
 
+/**
+ * Create or update our order from a normalized marketplace order
+ * New orders also get their items and deduct inventory
+ */
+async function upsertOrder(userId, marketplaceAccount, marketplaceOrder) {
+  const marketplaceAccountId = marketplaceAccount.id;
+
+  // Check if order already exists
+  const existingOrder = await prisma.order.findFirst({
+    where: {
+      marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
+      marketplaceAccountId
+    }
+  });
+
+  if (existingOrder) {
+    // Update existing order; the status only moves along the state machine
+    await orderStatusService.changeStatus(existingOrder.id, marketplaceOrder.status, {
+      source: 'MARKETPLACE',
+      marketplaceStatus: marketplaceOrder.marketplaceStatus,
+      reason: 'Status updated from marketplace',
+      data: {
+        totalAmount: marketplaceOrder.totalAmount,
+        shippingCost: marketplaceOrder.shippingCost,
+        customerInfo: marketplaceOrder.customerInfo,
+        shippingAddress: marketplaceOrder.shippingAddress,
+        // Keep a tracking number we stored when the marketplace no longer reports it
+        ...(marketplaceOrder.trackingNumber && { trackingNumber: marketplaceOrder.trackingNumber }),
+        ...(marketplaceOrder.shipByDate && { shipByDate: new Date(marketplaceOrder.shipByDate) }),
+        updatedAt: new Date()
+      }
+    });
+
+    await estimateOrderFees(existingOrder.id);
+
+    return { orderId: existingOrder.id, action: 'updated' };
+  } else {
+    // Create new order
+    const newOrder = await transaction(async (tx) => {
+      const order = await tx.order.create({
+        data: {
+          userId,
+          marketplaceAccountId,
+          orderNumber: `${marketplaceAccount.marketplace.code}-${marketplaceOrder.marketplaceOrderId}`,
+          marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
+          status: marketplaceOrder.status || 'PENDING',
+          totalAmount: marketplaceOrder.totalAmount,
+          shippingCost: marketplaceOrder.shippingCost,
+          customerInfo: marketplaceOrder.customerInfo,
+          shippingAddress: marketplaceOrder.shippingAddress,
+          trackingNumber: marketplaceOrder.trackingNumber || null,
+          shipByDate: marketplaceOrder.shipByDate ? new Date(marketplaceOrder.shipByDate) : null,
+          orderDate: new Date(marketplaceOrder.orderDate)
+        }
+      });
+
+      await orderStatusService.recordInitialStatus(tx, order, {
+        source: 'MARKETPLACE',
+        marketplaceStatus: marketplaceOrder.marketplaceStatus,
+        reason: marketplaceOrder.status
+          ? 'Order imported from marketplace'
+          : `Order imported from marketplace with unmapped status ${marketplaceOrder.marketplaceStatus}`
+      });
+
+      // Create order items
+      for (const item of marketplaceOrder.items) {
+        // Match through the linked variant listing, falling back to SKU
+        const { product, variant } = await variantMappingService.resolveOrderItem(
+          tx,
+          userId,
+          marketplaceAccountId,
+          item
+        );
+
+        await tx.orderItem.create({
+          data: {
+            orderId: order.id,
+            productId: product?.id,
+            variantId: variant?.id,
+            sku: item.sku,
+            productName: item.name,
+            quantity: item.quantity,
+            unitPrice: item.price,
+            totalPrice: item.totalPrice,
+            productData: item
+          }
+        });
+
+        // Update inventory if product found
+        if (product) {
+          const inventory = await tx.inventory.findFirst({
+            where: {
+              productId: product.id,
+              variantId: variant?.id
+            }
+          });
+
+          if (inventory) {
+            const newStock = Math.max(0, inventory.stockQuantity - item.quantity);
+            const newAvailable = Math.max(0, inventory.availableQuantity - item.quantity);
+
+            await tx.inventory.update({
+              where: { id: inventory.id },
+              data: {
+                stockQuantity: newStock,
+                availableQuantity: newAvailable
+              }
+            });
+
+            // Create stock movement
+            await tx.stockMovement.create({
+              data: {
+                productId: product.id,
+                variantId: variant?.id,
+                orderId: order.id,
+                userId,
+                movementType: 'OUT',
+                quantity: item.quantity,
+                stockBefore: inventory.stockQuantity,
+                stockAfter: newStock,
+                reason: `Order ${order.orderNumber}`
+              }
+            });
+          }
+        }
+      }
+
+      return order;
+    });
+
+    await estimateOrderFees(newOrder.id);
+
+    return { orderId: newOrder.id, action: 'created' };
+  }
+}
+
+/**
+ * Estimate the fees of a synced order until its marketplace settles it
+ * A failed estimate leaves the order for the periodic fee import instead of failing its sync.
+ */
+async function estimateOrderFees(orderId) {
+  try {
+    await feeService.estimateOrderFees(orderId);
+  } catch (error) {
+    logger.warn(`Failed to estimate fees of order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Get a connected marketplace account owned by the user
+ */
+async function getConnectedAccount(userId, marketplaceAccountId) {
+  const marketplaceAccount = await prisma.userMarketplaceAccount.findUnique({
+    where: { id: marketplaceAccountId },
+    include: {
+      marketplace: true
+    }
+  });
+
+  if (!marketplaceAccount || marketplaceAccount.userId !== userId) {
+    throw new Error('Marketplace account not found or access denied');
+  }
+
+  if (!marketplaceAccount.isConnected) {
+    throw new Error('Marketplace account is not connected');
+  }
+
+  return marketplaceAccount;
+}
+
+/**
+ * Refresh a single order from marketplace (e.g. after a webhook)
+ */
+async function refreshOrder(userId, marketplaceAccountId, marketplaceOrderId) {
+  logger.info(`Refreshing order ${marketplaceOrderId} for account ${marketplaceAccountId}`);
+
+  try {
+    const marketplaceAccount = await getConnectedAccount(userId, marketplaceAccountId);
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+
+    const marketplaceOrder = await integration.getOrder(marketplaceOrderId);
+    const result = await upsertOrder(userId, marketplaceAccount, marketplaceOrder);
+
+    logger.info(`Order ${marketplaceOrderId} refreshed: ${result.action}`);
+
+    return {
+      ...result,
+      marketplaceOrderId
+    };
+
+  } catch (error) {
+    logger.error(`Order refresh failed for ${marketplaceOrderId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Refresh a single product's marketplace data (e.g. after a webhook)
+ */
+async function refreshProduct(userId, marketplaceAccountId, marketplaceProductId) {
+  logger.info(`Refreshing product ${marketplaceProductId} for account ${marketplaceAccountId}`);
+
+  try {
+    const marketplaceAccount = await getConnectedAccount(userId, marketplaceAccountId);
+
+    const marketplaceProducts = await prisma.marketplaceProduct.findMany({
+      where: {
+        marketplaceAccountId,
+        marketplaceProductId
+      }
+    });
+
+    // Products that were never linked to ours have nothing to refresh
+    if (marketplaceProducts.length === 0) {
+      logger.info(`Product ${marketplaceProductId} is not linked, skipping refresh`);
+      return { marketplaceProductId, action: 'skipped' };
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+    const product = await integration.getProduct(marketplaceProductId);
+
+    for (const marketplaceProduct of marketplaceProducts) {
+      let marketplaceData;
+      if (!marketplaceProduct.variantId) {
+        // Keep the listing's record of uploaded images so the next sync can reuse them
+        marketplaceData = { ...product, imageUploads: marketplaceProduct.marketplaceData?.imageUploads };
+      } else {
+        // Variant rows hold their own marketplace variant, when the listing returned it
+        marketplaceData = (product.variants || []).find(variant =>
+          String(variant.id) === marketplaceProduct.marketplaceVariantId
+        );
+      }
+
+      await prisma.marketplaceProduct.update({
+        where: { id: marketplaceProduct.id },
+        data: {
+          ...(marketplaceData && { marketplaceData }),
+          syncStatus: 'SUCCESS',
+          lastSynced: new Date()
+        }
+      });
+    }
+
+    logger.info(`Product ${marketplaceProductId} refreshed`);
+
+    return {
+      marketplaceProductId,
+      action: 'updated',
+      stock: product.stock
+    };
+
+  } catch (error) {
+    logger.error(`Product refresh failed for ${marketplaceProductId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Sync inventory to marketplace
  */
@@ -549,11 +864,15 @@ async function syncInventory(userId, marketplaceAccountId, productIds) {
           throw new Error('Product not found in marketplace');
         }
 
+        if (item.variantId && !marketplaceProduct.marketplaceVariantId) {
+          throw new Error('Variant is not linked to a marketplace variant; sync the product first');
+        }
+
         // Update stock in marketplace
         const result = await integration.updateStock(
           marketplaceProduct.marketplaceProductId,
           item.availableQuantity,
-          item.variantId
+          variantMappingService.getMarketplaceVariantId(marketplaceProduct)
         );
 
         // Update marketplace product record
@@ -577,6 +896,11 @@ async function syncInventory(userId, marketplaceAccountId, productIds) {
         successCount++;
 
       } catch (error) {
+        if (circuitBreaker.isCircuitOpenError(error)) {
+          await closeDeferredSyncLog(syncLog, error, { results, successCount, failureCount });
+          throw error;
+        }
+
         results.push({
           productId: item.productId,
           variantId: item.variantId,
@@ -624,8 +948,81 @@ async function syncInventory(userId, marketplaceAccountId, productIds) {
   }
 }
 
+/**
+ * Read all listings of a marketplace account and propose matches to our catalog
+ * Proposals are kept on the import's sync log until the user applies them.
+ */
+async function importProducts(userId, marketplaceAccountId, syncLogId) {
+  logger.info(`Starting product import for user ${userId}, account ${marketplaceAccountId}`);
+
+  const syncLog = await prisma.syncLog.update({
+    where: { id: syncLogId },
+    data: { status: 'IN_PROGRESS' }
+  });
+
+  try {
+    const marketplaceAccount = await getConnectedAccount(userId, marketplaceAccountId);
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+
+    const listings = await productImportService.scanListings(integration, userId, marketplaceAccountId);
+
+    const summary = listings.reduce((counts, proposal) => ({
+      ...counts,
+      [proposal.status]: (counts[proposal.status] || 0) + 1
+    }), { linked: 0, matched: 0, suggested: 0, new: 0 });
+
+    await prisma.syncLog.update({
+      where: { id: syncLogId },
+      data: {
+        status: 'SUCCESS',
+        completedAt: new Date(),
+        syncData: {
+          ...syncLog.syncData,
+          totalListings: listings.length,
+          summary,
+          listings
+        }
+      }
+    });
+
+    logger.info(`Product import scan completed: ${listings.length} listings, ${summary.matched} matched by SKU`);
+
+    return {
+      syncLogId,
+      totalListings: listings.length,
+      summary
+    };
+
+  } catch (error) {
+    // The job is re-queued and scans again from the first page
+    const deferred = circuitBreaker.isCircuitOpenError(error);
+
+    await prisma.syncLog.update({
+      where: { id: syncLogId },
+      data: {
+        status: deferred ? 'PENDING' : 'FAILED',
+        completedAt: deferred ? null : new Date(),
+        errorMessage: error.message,
+        ...(deferred && {
+          syncData: {
+            ...syncLog.syncData,
+            deferredUntil: new Date(error.retryAt).toISOString()
+          }
+        })
+      }
+    });
+
+    logger.error('Product import failed:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   syncProducts,
+  syncPrices,
   syncOrders,
-  syncInventory
+  syncInventory,
+  refreshOrder,
+  refreshProduct,
+  importProducts
 };
@@ -1,5 +1,6 @@
 const Queue = require('bull');
 const { getRedisClient } = require('../utils/redis');
+const circuitBreaker = require('../utils/circuitBreaker');
 const logger = require('../utils/logger');
 
 // Job queues
@@ -42,6 +43,21 @@ const initializeQueues = async () => {
   }
 };
 
+// Re-queue a job that hit an open circuit for when the breaker allows a trial call,
+// so an outage doesn't burn its attempts
+const deferIfCircuitOpen = async (queue, job, error) => {
+  if (!circuitBreaker.isCircuitOpenError(error)) {
+    return null;
+  }
+
+  const delay = Math.max(1000, error.retryAt - Date.now());
+  const { attempts, backoff, removeOnComplete, removeOnFail } = job.opts;
+  await queue.add(job.name, job.data, { attempts, backoff, removeOnComplete, removeOnFail, delay });
+
+  logger.warn(`Job ${job.id} (${job.name}) deferred for ${delay}ms: ${error.message}`);
+  return { deferred: true, retryAt: new Date(error.retryAt).toISOString() };
+};
+
 // Sync queue processor
 const setupSyncProcessor = () => {
   syncQueue.process('sync-products', 5, async (job) => {
@@ -57,11 +73,37 @@ const setupSyncProcessor = () => {
       
       return result;
     } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
       logger.error('Product sync job failed:', error);
       throw error;
     }
   });
 
+  syncQueue.process('sync-prices', 3, async (job) => {
+    const { userId, marketplaceAccountId, productIds, reason } = job.data;
+    logger.info(`Processing price sync job for user ${userId}`);
+
+    try {
+      const { syncPrices } = require('./processors/syncProcessor');
+      const result = await syncPrices(userId, marketplaceAccountId, productIds, reason);
+
+      job.progress(100);
+      return result;
+    } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
+      logger.error('Price sync job failed:', error);
+      throw error;
+    }
+  });
+
   syncQueue.process('sync-orders', 3, async (job) => {
     const { userId, marketplaceAccountId, dateRange } = job.data;
     logger.info(`Processing order sync job for user ${userId}`);
@@ -73,6 +115,11 @@ const setupSyncProcessor = () => {
       job.progress(100);
       return result;
     } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
       logger.error('Order sync job failed:', error);
       throw error;
     }
@@ -89,10 +136,78 @@ const setupSyncProcessor = () => {
       job.progress(100);
       return result;
     } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
       logger.error('Inventory sync job failed:', error);
       throw error;
     }
   });
+
+  syncQueue.process('refresh-order', 10, async (job) => {
+    const { userId, marketplaceAccountId, marketplaceOrderId } = job.data;
+    logger.info(`Processing order refresh job for order ${marketplaceOrderId}`);
+    
+    try {
+      const { refreshOrder } = require('./processors/syncProcessor');
+      const result = await refreshOrder(userId, marketplaceAccountId, marketplaceOrderId);
+      
+      job.progress(100);
+      return result;
+    } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
+      logger.error('Order refresh job failed:', error);
+      throw error;
+    }
+  });
+
+  syncQueue.process('refresh-product', 10, async (job) => {
+    const { userId, marketplaceAccountId, marketplaceProductId } = job.data;
+    logger.info(`Processing product refresh job for product ${marketplaceProductId}`);
+    
+    try {
+      const { refreshProduct } = require('./processors/syncProcessor');
+      const result = await refreshProduct(userId, marketplaceAccountId, marketplaceProductId);
+      
+      job.progress(100);
+      return result;
+    } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
+      logger.error('Product refresh job failed:', error);
+      throw error;
+    }
+  });
+
+  syncQueue.process('import-products', 1, async (job) => {
+    const { userId, marketplaceAccountId, syncLogId } = job.data;
+    logger.info(`Processing product import job for account ${marketplaceAccountId}`);
+
+    try {
+      const { importProducts } = require('./processors/syncProcessor');
+      const result = await importProducts(userId, marketplaceAccountId, syncLogId);
+
+      job.progress(100);
+      return result;
+    } catch (error) {
+      const deferred = await deferIfCircuitOpen(syncQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
+      logger.error('Product import job failed:', error);
+      throw error;
+    }
+  });
 };
 
 // Inventory queue processor
@@ -113,6 +228,22 @@ const setupInventoryProcessor = () => {
     }
   });
 
+  inventoryQueue.process('retry-stock-sync', 5, async (job) => {
+    const { ruleId, productId } = job.data;
+    logger.info(`Retrying deferred stock sync of rule ${ruleId} for product ${productId}`);
+
+    try {
+      const stockSyncService = require('../services/stockSyncService');
+      await stockSyncService.retryDeferredSync(job.data);
+
+      job.progress(100);
+      return { ruleId, productId };
+    } catch (error) {
+      logger.error('Deferred stock sync job failed:', error);
+      throw error;
+    }
+  });
+
   inventoryQueue.process('check-low-stock', 1, async (job) => {
     const { userId } = job.data;
     logger.info(`Checking low stock for user ${userId}`);
@@ -159,6 +290,11 @@ const setupOrderProcessor = () => {
       job.progress(100);
       return result;
     } catch (error) {
+      const deferred = await deferIfCircuitOpen(orderQueue, job, error);
+      if (deferred) {
+        return deferred;
+      }
+
       logger.error('Order status update job failed:', error);
       throw error;
     }
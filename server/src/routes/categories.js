@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { prisma } = require('../utils/database');
+const { verifyToken } = require('../middleware/auth');
+const categoryMappingService = require('../services/categoryMappingService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get categories with the current user's marketplace mappings
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      include: {
+        marketplaceMappings: {
+          where: { userId: req.user.id },
+          include: {
+            marketplace: {
+              select: { id: true, name: true, code: true }
+            }
+          }
+        },
+        _count: {
+          select: { products: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ categories });
+
+  } catch (error) {
+    logger.error('Get categories failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get categories'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/mappings:
+ *   get:
+ *     summary: Get the current user's category mappings
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: marketplaceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category mappings retrieved successfully
+ */
+router.get('/mappings', async (req, res) => {
+  try {
+    const { marketplaceId } = req.query;
+
+    const mappings = await prisma.categoryMapping.findMany({
+      where: {
+        userId: req.user.id,
+        ...(marketplaceId && { marketplaceId })
+      },
+      include: {
+        category: {
+          select: { id: true, name: true, parentId: true }
+        },
+        marketplace: {
+          select: { id: true, name: true, code: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ mappings });
+
+  } catch (error) {
+    logger.error('Get category mappings failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get category mappings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/mappings:
+ *   put:
+ *     summary: Map a category to a marketplace category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - marketplaceAccountId
+ *               - marketplaceCategoryId
+ *             properties:
+ *               marketplaceAccountId:
+ *                 type: string
+ *                 description: Account whose category tree the category is picked from
+ *               marketplaceCategoryId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Category mapping saved successfully
+ *       400:
+ *         description: Marketplace category not found in the category tree
+ *       404:
+ *         description: Category or marketplace account not found
+ */
+router.put('/:id/mappings', [
+  body('marketplaceAccountId')
+    .notEmpty()
+    .withMessage('Marketplace account ID is required'),
+  body('marketplaceCategoryId')
+    .notEmpty()
+    .withMessage('Marketplace category ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { marketplaceAccountId, marketplaceCategoryId } = req.body;
+
+    const category = await prisma.category.findUnique({
+      where: { id }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Category not found'
+      });
+    }
+
+    const account = await prisma.userMarketplaceAccount.findFirst({
+      where: {
+        id: marketplaceAccountId,
+        userId: req.user.id
+      },
+      include: {
+        marketplace: true
+      }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Marketplace account not found'
+      });
+    }
+
+    const marketplaceCategory = await categoryMappingService.findMarketplaceCategory(account, marketplaceCategoryId);
+
+    if (!marketplaceCategory) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{
+          param: 'marketplaceCategoryId',
+          msg: `Category not found in the ${account.marketplace.name} category tree`
+        }]
+      });
+    }
+
+    const mapping = await categoryMappingService.saveMapping(req.user.id, id, account, marketplaceCategory);
+
+    logger.info(`Category ${id} mapped to ${account.marketplace.code} category ${marketplaceCategory.id} by ${req.user.email}`);
+
+    res.json({
+      message: 'Category mapping saved successfully',
+      mapping,
+      // Marketplaces only accept listings in leaf categories
+      ...(!marketplaceCategory.isLeaf && {
+        warning: 'Marketplace category is not a leaf category; products may be rejected'
+      })
+    });
+
+  } catch (error) {
+    logger.error('Save category mapping failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save category mapping'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/mappings/{marketplaceId}/attributes:
+ *   put:
+ *     summary: Set how product attributes map to the mapped marketplace category's attributes
+ *     description: Attributes without an entry are matched by name; values by option name.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: marketplaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - attributeMap
+ *             properties:
+ *               attributeMap:
+ *                 type: object
+ *                 description: Marketplace attribute ID -> { key, values } where values maps our values to option IDs
+ *     responses:
+ *       200:
+ *         description: Attribute mapping saved successfully
+ *       404:
+ *         description: Category mapping not found
+ */
+router.put('/:id/mappings/:marketplaceId/attributes', [
+  body('attributeMap')
+    .isObject()
+    .withMessage('Attribute map must be an object')
+    .custom((attributeMap) => Object.values(attributeMap).every(rule => (
+      rule && typeof rule.key === 'string' && rule.key.trim() &&
+      (rule.values === undefined || (typeof rule.values === 'object' && !Array.isArray(rule.values)))
+    )))
+    .withMessage('Each attribute needs a product attribute key and an optional values object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, marketplaceId } = req.params;
+
+    const mapping = await prisma.categoryMapping.update({
+      where: {
+        userId_categoryId_marketplaceId: {
+          userId: req.user.id,
+          categoryId: id,
+          marketplaceId
+        }
+      },
+      data: {
+        attributeMap: req.body.attributeMap
+      }
+    });
+
+    res.json({
+      message: 'Attribute mapping saved successfully',
+      mapping
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Category mapping not found'
+      });
+    }
+
+    logger.error('Save attribute mapping failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save attribute mapping'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/mappings/{marketplaceId}:
+ *   delete:
+ *     summary: Remove the mapping of a category for a marketplace
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: marketplaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category mapping removed successfully
+ *       404:
+ *         description: Category mapping not found
+ */
+router.delete('/:id/mappings/:marketplaceId', async (req, res) => {
+  try {
+    const { id, marketplaceId } = req.params;
+
+    await prisma.categoryMapping.delete({
+      where: {
+        userId_categoryId_marketplaceId: {
+          userId: req.user.id,
+          categoryId: id,
+          marketplaceId
+        }
+      }
+    });
+
+    res.json({
+      message: 'Category mapping removed successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Category mapping not found'
+      });
+    }
+
+    logger.error('Delete category mapping failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove category mapping'
+    });
+  }
+});
+
+module.exports = router;
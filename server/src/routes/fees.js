@@ -0,0 +1,394 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { prisma } = require('../utils/database');
+const { verifyToken, requireOwnershipOrAdmin } = require('../middleware/auth');
+const feeService = require('../services/feeService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+const ruleInclude = {
+  marketplaceAccount: {
+    select: {
+      id: true,
+      storeName: true,
+      marketplace: {
+        select: { name: true, code: true }
+      }
+    }
+  },
+  category: {
+    select: { id: true, name: true }
+  }
+};
+
+const getRuleOwner = async (req) => {
+  const rule = await prisma.marketplaceFeeRule.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return rule?.userId;
+};
+
+const rateValidation = [
+  body('commissionRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Commission rate must be between 0 and 100'),
+  body('shippingProgramRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Shipping program rate must be between 0 and 100'),
+  body('shippingProgramCap')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Shipping program cap must be a non-negative number'),
+  body('paymentFeeRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Payment fee rate must be between 0 and 100'),
+  body('fixedFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fixed fee must be a non-negative number')
+];
+
+const RATE_FIELDS = [
+  'commissionRate',
+  'shippingProgramRate',
+  'shippingProgramCap',
+  'paymentFeeRate',
+  'fixedFee'
+];
+
+const pickRateFields = (data) => Object.fromEntries(
+  RATE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+/**
+ * @swagger
+ * /api/fees:
+ *   get:
+ *     summary: Get user's marketplace fee rules
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: marketplaceAccountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee rules retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { marketplaceAccountId } = req.query;
+
+    const rules = await prisma.marketplaceFeeRule.findMany({
+      where: {
+        userId: req.user.id,
+        ...(marketplaceAccountId && { marketplaceAccountId })
+      },
+      include: ruleInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ rules });
+
+  } catch (error) {
+    logger.error('Get fee rules failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get fee rules'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fees:
+ *   post:
+ *     summary: Create a fee rule for a marketplace account and re-estimate its orders
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - marketplaceAccountId
+ *             properties:
+ *               marketplaceAccountId:
+ *                 type: string
+ *               categoryId:
+ *                 type: string
+ *                 description: Leave out for the account's default rule
+ *               commissionRate:
+ *                 type: number
+ *                 description: Percentage of the item subtotal
+ *               shippingProgramRate:
+ *                 type: number
+ *                 description: Free-shipping program percentage of the item subtotal
+ *               shippingProgramCap:
+ *                 type: number
+ *                 description: Maximum free-shipping program fee per order item
+ *               paymentFeeRate:
+ *                 type: number
+ *                 description: Percentage of the order total; default rule only
+ *               fixedFee:
+ *                 type: number
+ *                 description: Amount per order; default rule only
+ *     responses:
+ *       201:
+ *         description: Fee rule created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The account already has a rule for this category
+ */
+router.post('/', [
+  body('marketplaceAccountId')
+    .notEmpty()
+    .withMessage('Marketplace account is required'),
+  body('categoryId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Category ID must be a string'),
+  ...rateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const categoryId = req.body.categoryId || null;
+
+    const account = await prisma.userMarketplaceAccount.findFirst({
+      where: { id: req.body.marketplaceAccountId, userId: req.user.id }
+    });
+
+    if (!account) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Marketplace account not found'
+      });
+    }
+
+    if (categoryId && !(await prisma.category.findUnique({ where: { id: categoryId } }))) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Category not found'
+      });
+    }
+
+    // Postgres lets the unique index through for several default rules, so check here
+    const existing = await prisma.marketplaceFeeRule.findFirst({
+      where: { marketplaceAccountId: account.id, categoryId }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: categoryId
+          ? 'This account already has a fee rule for the category'
+          : 'This account already has a default fee rule'
+      });
+    }
+
+    const rule = await prisma.marketplaceFeeRule.create({
+      data: {
+        ...pickRateFields(req.body),
+        userId: req.user.id,
+        marketplaceAccountId: account.id,
+        categoryId
+      },
+      include: ruleInclude
+    });
+
+    const reestimated = await feeService.reestimateAccount(account.id);
+
+    logger.info(`Fee rule created: ${rule.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Fee rule created successfully',
+      rule,
+      reestimated
+    });
+
+  } catch (error) {
+    logger.error('Create fee rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create fee rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fees/import:
+ *   post:
+ *     summary: Import fees and payouts of shipped and delivered orders from the marketplaces
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Orders imported from the marketplaces, estimated and failed
+ *       409:
+ *         description: An import is already running
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const result = await feeService.importSettledOrders(req.user.id);
+
+    if (!result) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A fee import is already running'
+      });
+    }
+
+    logger.info(`Fee import triggered by user ${req.user.email}`);
+
+    res.json({
+      message: `${result.imported} orders imported from the marketplaces`,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Import order fees failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import order fees'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fees/{id}:
+ *   put:
+ *     summary: Update a fee rule and re-estimate its account's orders
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee rule updated
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', requireOwnershipOrAdmin(getRuleOwner), rateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = await prisma.marketplaceFeeRule.update({
+      where: { id: req.params.id },
+      data: pickRateFields(req.body),
+      include: ruleInclude
+    });
+
+    const reestimated = await feeService.reestimateAccount(rule.marketplaceAccountId);
+
+    logger.info(`Fee rule updated: ${rule.id} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Fee rule updated successfully',
+      rule,
+      reestimated
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Fee rule not found'
+      });
+    }
+
+    logger.error('Update fee rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update fee rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fees/{id}:
+ *   delete:
+ *     summary: Delete a fee rule and re-estimate its account's orders
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/:id', requireOwnershipOrAdmin(getRuleOwner), async (req, res) => {
+  try {
+    const rule = await prisma.marketplaceFeeRule.delete({
+      where: { id: req.params.id }
+    });
+
+    const reestimated = await feeService.reestimateAccount(rule.marketplaceAccountId);
+
+    logger.info(`Fee rule deleted: ${rule.id} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Fee rule deleted successfully',
+      reestimated
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Fee rule not found'
+      });
+    }
+
+    logger.error('Delete fee rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete fee rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -290,12 +290,10 @@ router.patch('/orders/:id/status', requireOwnershipOrAdmin(async (req) => {
     const { status, reason, updateMarketplace = false } = req.body;
 
     // Update order status
-    const updatedOrder = await orderManagementService.updateOrderStatus(
-      id,
-      status,
-      req.user.email,
+    const updatedOrder = await orderManagementService.updateOrderStatus(id, status, 'USER', {
+      changedBy: req.user.email,
       reason
-    );
+    });
 
     // Update marketplace if requested
     if (updateMarketplace) {
@@ -315,6 +313,13 @@ router.patch('/orders/:id/status', requireOwnershipOrAdmin(async (req) => {
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
     if (error.message === 'Order not found') {
       return res.status(404).json({
         error: 'Not found',
@@ -388,9 +393,10 @@ router.patch('/orders/:id/assign', requireOwnershipOrAdmin(async (req) => {
       data: {
         orderId: id,
         status: updatedOrder.status,
+        previousStatus: updatedOrder.status,
+        source: 'USER',
         changedBy: req.user.email,
-        reason: reason || `Order assigned to ${updatedOrder.assignedUser?.fullName}`,
-        changedAt: new Date()
+        reason: reason || `Order assigned to ${updatedOrder.assignedUser?.fullName}`
       }
     });
 
@@ -3,7 +3,13 @@ const { body, validationResult } = require('express-validator');
 
 const { prisma, paginate, searchFilter, dateRangeFilter } = require('../utils/database');
 const { verifyToken, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { addOrderJob, addSyncJob } = require('../jobs/queueManager');
+const { addSyncJob } = require('../jobs/queueManager');
+const shipmentService = require('../services/shipmentService');
+const trackingService = require('../services/trackingService');
+const returnService = require('../services/returnService');
+const feeService = require('../services/feeService');
+const orderStatusService = require('../services/orderStatusService');
+const fulfillmentService = require('../services/fulfillmentService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -44,6 +50,16 @@ router.use(verifyToken);
  *         schema:
  *           type: string
  *       - in: query
+ *         name: shipmentStuck
+ *         description: Only shipments without a courier checkpoint for SHIPMENT_STUCK_DAYS days
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: statusConflict
+ *         description: Only orders whose marketplace reported a status they cannot move to
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -65,6 +81,8 @@ router.get('/', async (req, res) => {
       search, 
       status, 
       marketplaceAccountId,
+      shipmentStuck,
+      statusConflict,
       startDate,
       endDate 
     } = req.query;
@@ -75,6 +93,9 @@ router.get('/', async (req, res) => {
     const where = {
       userId: req.user.id,
       ...searchFilter(search, ['orderNumber', 'marketplaceOrderId']),
+      // The flag outlives delivery, so stuck shipments are limited to orders still in transit
+      ...(shipmentStuck === 'true' && { shipmentStuck: true, status: { in: ['PROCESSING', 'SHIPPED'] } }),
+      ...(statusConflict === 'true' && { statusConflict: true }),
       ...(status && { status }),
       ...(marketplaceAccountId && { marketplaceAccountId }),
       ...dateRangeFilter(startDate, endDate, 'orderDate')
@@ -202,6 +223,22 @@ router.get('/:id', requireOwnershipOrAdmin(async (req) => {
               select: { variantName: true, sku: true }
             }
           }
+        },
+        statusHistory: {
+          orderBy: { changedAt: 'desc' }
+        },
+        trackingEvents: {
+          orderBy: { occurredAt: 'desc' }
+        },
+        returnRequests: {
+          orderBy: { requestedAt: 'desc' }
+        },
+        orderFees: {
+          orderBy: { amount: 'desc' }
+        },
+        shipments: {
+          include: { items: true },
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -213,7 +250,12 @@ router.get('/:id', requireOwnershipOrAdmin(async (req) => {
       });
     }
 
-    res.json({ order });
+    res.json({
+      order: {
+        ...order,
+        nextStatuses: orderStatusService.getNextStatuses(order.status)
+      }
+    });
 
   } catch (error) {
     logger.error('Get order failed:', error);
@@ -226,9 +268,196 @@ router.get('/:id', requireOwnershipOrAdmin(async (req) => {
 
 /**
  * @swagger
- * /api/orders/{id}/status:
- *   patch:
- *     summary: Update order status
+ * /api/orders/{id}/tracking/refresh:
+ *   post:
+ *     summary: Pull the latest courier checkpoints of an order from the marketplace
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tracking events of the order, newest first
+ *       400:
+ *         description: Order not shipped or marketplace without tracking
+ *       404:
+ *         description: Order not found
+ */
+router.post('/:id/tracking/refresh', requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const result = await trackingService.refreshOrderTracking(req.params.id);
+
+    const events = await prisma.trackingEvent.findMany({
+      where: { orderId: req.params.id },
+      orderBy: { occurredAt: 'desc' }
+    });
+
+    res.json({
+      message: `${result.newEvents} new tracking events`,
+      ...result,
+      events
+    });
+
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
+      });
+    }
+
+    if (['NOT_SHIPPED', 'NOT_SUPPORTED'].includes(error.code)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Refresh order tracking failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to refresh order tracking'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/fees/refresh:
+ *   post:
+ *     summary: Import an order's fees and payout from its marketplace, or estimate them where it reports none
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee breakdown and net proceeds of the order
+ *       404:
+ *         description: Order not found
+ */
+router.post('/:id/fees/refresh', requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const result = await feeService.refreshOrderFees(req.params.id);
+
+    const fees = await prisma.orderFee.findMany({
+      where: { orderId: req.params.id },
+      orderBy: { amount: 'desc' }
+    });
+
+    res.json({
+      message: result.source === 'MARKETPLACE' ? 'Fees imported from the marketplace' : 'Fees estimated from fee rules',
+      ...result,
+      fees
+    });
+
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
+      });
+    }
+
+    if (error.code === 'NOT_SUPPORTED') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Refresh order fees failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to refresh order fees'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel-reasons:
+ *   get:
+ *     summary: Get the reasons the order's marketplace accepts for a seller cancellation
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancel reasons with marketplace codes
+ *       400:
+ *         description: Marketplace without order cancellation
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/cancel-reasons', requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const reasons = await returnService.getCancelReasons(req.params.id);
+
+    res.json({ reasons });
+
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
+      });
+    }
+
+    if (error.code === 'NOT_SUPPORTED') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Get cancel reasons failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get cancel reasons'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order on its marketplace and put its items back in stock
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -245,30 +474,23 @@ router.get('/:id', requireOwnershipOrAdmin(async (req) => {
  *           schema:
  *             type: object
  *             required:
- *               - status
+ *               - reasonCode
  *             properties:
- *               status:
- *                 type: string
- *                 enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
- *               notes:
+ *               reasonCode:
  *                 type: string
+ *                 description: Code from /api/orders/{id}/cancel-reasons
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Order cancelled
  *       400:
- *         description: Invalid status transition
+ *         description: Unknown reason, order no longer cancellable or marketplace without cancellation
  *       404:
  *         description: Order not found
  */
-router.patch('/:id/status', [
-  body('status')
-    .isIn(['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'])
-    .withMessage('Invalid order status'),
-  body('notes')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Notes must not exceed 500 characters')
+router.post('/:id/cancel', [
+  body('reasonCode')
+    .notEmpty()
+    .withMessage('Cancel reason is required')
 ], requireOwnershipOrAdmin(async (req) => {
   const order = await prisma.order.findUnique({
     where: { id: req.params.id },
@@ -285,111 +507,105 @@ router.patch('/:id/status', [
       });
     }
 
-    const { id } = req.params;
-    const { status, notes } = req.body;
+    const result = await returnService.cancelOrder(req.params.id, String(req.body.reasonCode));
 
-    const order = await prisma.order.findUnique({
-      where: { id }
+    logger.info(`Order ${req.params.id} cancelled by ${req.user.email}`);
+
+    res.json({
+      message: 'Order cancelled successfully',
+      ...result
     });
 
-    if (!order) {
+  } catch (error) {
+    if (error.message === 'Order not found') {
       return res.status(404).json({
         error: 'Not found',
         message: 'Order not found'
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'PENDING': ['CONFIRMED', 'CANCELLED'],
-      'CONFIRMED': ['PROCESSING', 'CANCELLED'],
-      'PROCESSING': ['SHIPPED', 'CANCELLED'],
-      'SHIPPED': ['DELIVERED'],
-      'DELIVERED': ['REFUNDED'],
-      'CANCELLED': [],
-      'REFUNDED': []
-    };
-
-    if (!validTransitions[order.status].includes(status)) {
+    if (['INVALID_STATUS', 'INVALID_REASON', 'NOT_SUPPORTED', 'MARKETPLACE_REJECTED'].includes(error.code)) {
       return res.status(400).json({
         error: 'Bad request',
-        message: `Cannot change status from ${order.status} to ${status}`
+        message: error.message
       });
     }
 
-    // Add status update job to queue
-    const job = await addOrderJob('update-order-status', {
-      orderId: id,
-      status,
-      notes,
-      userId: req.user.id
-    });
-
-    logger.info(`Order status update job created: ${job.id} for order ${id}`);
-
-    res.json({
-      message: 'Order status update started',
-      jobId: job.id
-    });
-
-  } catch (error) {
-    logger.error('Update order status failed:', error);
+    logger.error('Cancel order failed:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to update order status'
+      message: 'Failed to cancel order'
     });
   }
 });
 
 /**
  * @swagger
- * /api/orders/sync:
+ * /api/orders/{id}/shipments:
  *   post:
- *     summary: Sync orders from marketplaces
+ *     summary: Ship some of an order's items in a shipment of their own
+ *     description: Without items the shipment takes every unit not cancelled or shipped yet
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - marketplaceAccountIds
  *             properties:
- *               marketplaceAccountIds:
+ *               items:
  *                 type: array
  *                 items:
- *                   type: string
- *               dateRange:
- *                 type: object
- *                 properties:
- *                   startDate:
- *                     type: string
- *                     format: date
- *                   endDate:
- *                     type: string
- *                     format: date
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, SHIPPED]
  *     responses:
- *       200:
- *         description: Order sync started successfully
+ *       201:
+ *         description: Shipment created
  *       400:
- *         description: Validation error
+ *         description: Invalid items or order no longer shippable
+ *       404:
+ *         description: Order not found
  */
-router.post('/sync', [
-  body('marketplaceAccountIds')
-    .isArray({ min: 1 })
-    .withMessage('At least one marketplace account ID is required'),
-  body('dateRange.startDate')
+router.post('/:id/shipments', [
+  body('items')
     .optional()
-    .isISO8601()
-    .withMessage('Invalid start date format'),
-  body('dateRange.endDate')
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('items.*.orderItemId')
+    .notEmpty()
+    .withMessage('Order item is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('status')
     .optional()
-    .isISO8601()
-    .withMessage('Invalid end date format')
-], async (req, res) => {
+    .isIn(['PENDING', 'SHIPPED'])
+    .withMessage('Invalid shipment status')
+], requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -399,25 +615,416 @@ router.post('/sync', [
       });
     }
 
-    const { marketplaceAccountIds, dateRange } = req.body;
+    const { items, trackingNumber, carrier, status } = req.body;
+    const shipment = await fulfillmentService.createShipment(req.params.id, { items, trackingNumber, carrier, status });
 
-    // Verify user owns the marketplace accounts
-    const userAccounts = await prisma.userMarketplaceAccount.findMany({
-      where: {
-        id: { in: marketplaceAccountIds },
-        userId: req.user.id
-      }
+    logger.info(`Shipment ${shipment.id} of order ${req.params.id} created by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Shipment created successfully',
+      shipment
     });
 
-    if (userAccounts.length !== marketplaceAccountIds.length) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'One or more marketplace accounts do not belong to you'
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
       });
     }
 
-    // Add sync job to queue for each marketplace account
-    const jobs = [];
+    if (['INVALID_ITEMS', 'INVALID_STATUS'].includes(error.code)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Create shipment failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create shipment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments/{shipmentId}:
+ *   patch:
+ *     summary: Update a shipment's status or tracking number
+ *     description: The order's status follows from its shipments
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, SHIPPED, DELIVERED, CANCELLED]
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment updated
+ *       400:
+ *         description: Invalid shipment status transition
+ *       404:
+ *         description: Order or shipment not found
+ */
+router.patch('/:id/shipments/:shipmentId', [
+  body('status')
+    .optional()
+    .isIn(['PENDING', 'SHIPPED', 'DELIVERED', 'CANCELLED'])
+    .withMessage('Invalid shipment status')
+], requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, trackingNumber, carrier } = req.body;
+    const shipment = await fulfillmentService.updateShipment(req.params.id, req.params.shipmentId, { status, trackingNumber, carrier });
+
+    logger.info(`Shipment ${shipment.id} of order ${req.params.id} updated by ${req.user.email}`);
+
+    res.json({
+      message: 'Shipment updated successfully',
+      shipment
+    });
+
+  } catch (error) {
+    if (['Order not found', 'Shipment not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Update shipment failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update shipment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel-items:
+ *   post:
+ *     summary: Cancel single items of an order and put only those back in stock
+ *     description: Units already in a shipment cannot be cancelled
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Items cancelled
+ *       400:
+ *         description: Invalid items or order no longer cancellable
+ *       404:
+ *         description: Order not found
+ */
+router.post('/:id/cancel-items', [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  body('items.*.orderItemId')
+    .notEmpty()
+    .withMessage('Order item is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+], requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await fulfillmentService.cancelItems(req.params.id, req.body.items, req.body.reason);
+
+    logger.info(`Items of order ${req.params.id} cancelled by ${req.user.email}`);
+
+    res.json({
+      message: 'Items cancelled successfully',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
+      });
+    }
+
+    if (['INVALID_ITEMS', 'INVALID_STATUS'].includes(error.code)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Cancel items failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cancel items'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/status:
+ *   patch:
+ *     summary: Update order status
+ *     description: The order can only move to the statuses the state machine allows from its current one
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reason
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Order not found
+ */
+router.patch('/:id/status', [
+  body('status')
+    .isIn(['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'])
+    .withMessage('Invalid order status'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], requireOwnershipOrAdmin(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return order?.userId;
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    const { order } = await orderStatusService.changeStatus(id, status, {
+      source: 'USER',
+      changedBy: req.user.email,
+      reason
+    });
+
+    logger.info(`Order status updated: ${id} to ${status} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Order status updated successfully',
+      order
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Order not found'
+      });
+    }
+
+    logger.error('Update order status failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update order status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/sync:
+ *   post:
+ *     summary: Sync orders from marketplaces
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - marketplaceAccountIds
+ *             properties:
+ *               marketplaceAccountIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               dateRange:
+ *                 type: object
+ *                 properties:
+ *                   startDate:
+ *                     type: string
+ *                     format: date
+ *                   endDate:
+ *                     type: string
+ *                     format: date
+ *     responses:
+ *       200:
+ *         description: Order sync started successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/sync', [
+  body('marketplaceAccountIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one marketplace account ID is required'),
+  body('dateRange.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+  body('dateRange.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { marketplaceAccountIds, dateRange } = req.body;
+
+    // Verify user owns the marketplace accounts
+    const userAccounts = await prisma.userMarketplaceAccount.findMany({
+      where: {
+        id: { in: marketplaceAccountIds },
+        userId: req.user.id
+      }
+    });
+
+    if (userAccounts.length !== marketplaceAccountIds.length) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'One or more marketplace accounts do not belong to you'
+      });
+    }
+
+    // Add sync job to queue for each marketplace account
+    const jobs = [];
     for (const accountId of marketplaceAccountIds) {
       const job = await addSyncJob('sync-orders', {
         userId: req.user.id,
@@ -446,6 +1053,157 @@ router.post('/sync', [
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/shipments/arrange:
+ *   post:
+ *     summary: Arrange pickup or drop-off of orders with the marketplace carriers
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderIds
+ *               - method
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               method:
+ *                 type: string
+ *                 enum: [pickup, dropoff]
+ *               addressId:
+ *                 type: string
+ *               pickupTimeId:
+ *                 type: string
+ *               branchId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-order results with tracking numbers
+ *       400:
+ *         description: Validation error
+ */
+router.post('/shipments/arrange', [
+  body('orderIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 order IDs are required'),
+  body('method')
+    .isIn(['pickup', 'dropoff'])
+    .withMessage('Method must be pickup or dropoff'),
+  body(['addressId', 'pickupTimeId', 'branchId'])
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { orderIds, method, addressId, pickupTimeId, branchId } = req.body;
+    const result = await shipmentService.arrangeShipments(req.user.id, orderIds, {
+      method,
+      addressId,
+      pickupTimeId,
+      branchId
+    });
+
+    res.json({
+      message: `Shipment arranged for ${result.successCount} of ${orderIds.length} orders`,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Arrange shipments failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to arrange shipments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/shipments/labels:
+ *   post:
+ *     summary: Download the shipping labels of arranged orders as one PDF
+ *     description: Orders whose label is unavailable are listed in the X-Failed-Orders header.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderIds
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Merged shipping labels
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: No label is available for any of the orders
+ */
+router.post('/shipments/labels', [
+  body('orderIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 order IDs are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { pdf, failed } = await shipmentService.getLabels(req.user.id, req.body.orderIds);
+
+    if (!pdf) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'No shipping label is available for the selected orders',
+        failed
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="labels-${new Date().toISOString().split('T')[0]}.pdf"`);
+    res.setHeader('X-Failed-Orders', failed.map(item => item.orderId).join(','));
+    res.setHeader('Access-Control-Expose-Headers', 'X-Failed-Orders');
+    res.send(pdf);
+
+  } catch (error) {
+    logger.error('Get shipping labels failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get shipping labels'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/stats:
@@ -0,0 +1,320 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const { prisma, paginate } = require('../utils/database');
+const { verifyToken } = require('../middleware/auth');
+const pickingService = require('../services/pickingService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/picking-waves:
+ *   get:
+ *     summary: Get the picking waves created so far
+ *     tags: [Picking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Picking waves retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const where = { userId: req.user.id };
+
+    const [waves, total] = await Promise.all([
+      prisma.pickingWave.findMany({
+        where,
+        ...paginate(parseInt(page), parseInt(limit)),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.pickingWave.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      waves,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get picking waves failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get picking waves'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/picking-waves/carriers:
+ *   get:
+ *     summary: Get the couriers of the orders waiting to be picked
+ *     tags: [Picking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Couriers retrieved successfully
+ */
+router.get('/carriers', async (req, res) => {
+  try {
+    const carriers = await pickingService.getCarriers(req.user.id);
+
+    res.json({ carriers });
+
+  } catch (error) {
+    logger.error('Get picking carriers failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get couriers'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/picking-waves:
+ *   post:
+ *     summary: Put the orders waiting to be picked that match the criteria into a new picking wave
+ *     description: Orders already in a wave are left out; the most urgent ship-by deadlines come first
+ *     tags: [Picking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Limit the wave to these orders, e.g. those selected in the order list
+ *               marketplaceAccountIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               shipByBefore:
+ *                 type: string
+ *                 format: date-time
+ *               carriers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Picking wave created
+ *       400:
+ *         description: No order matches the criteria
+ */
+router.post('/', [
+  body('orderIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('At most 500 order IDs are allowed'),
+  body('marketplaceAccountIds')
+    .optional()
+    .isArray()
+    .withMessage('Marketplace accounts must be an array'),
+  body('shipByBefore')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Ship-by deadline must be a date'),
+  body('carriers')
+    .optional()
+    .isArray()
+    .withMessage('Couriers must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { orderIds, marketplaceAccountIds, shipByBefore, carriers } = req.body;
+    const wave = await pickingService.createWave(req.user.id, {
+      ...(orderIds?.length && { orderIds }),
+      ...(marketplaceAccountIds?.length && { marketplaceAccountIds }),
+      ...(shipByBefore && { shipByBefore }),
+      ...(carriers?.length && { carriers })
+    });
+
+    logger.info(`Picking wave ${wave.id} created by ${req.user.email}`);
+
+    res.status(201).json({
+      message: `Picking wave created with ${wave.orderCount} orders`,
+      wave
+    });
+
+  } catch (error) {
+    if (error.code === 'NO_ORDERS') {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message
+      });
+    }
+
+    logger.error('Create picking wave failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create picking wave'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/picking-waves/{id}/{document}:
+ *   get:
+ *     summary: Download a picking wave's pick list or packing slips
+ *     description: The pick list sums every unit by storage location and SKU; packing slips have a page per order
+ *     tags: [Picking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: document
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pick-list, packing-slips]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: PDF or CSV file
+ *       404:
+ *         description: Picking wave not found
+ */
+router.get('/:id/:document(pick-list|packing-slips)', [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'csv'])
+    .withMessage('Format must be pdf or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { fileName, contentType, content } = await pickingService.exportDocument(
+      req.user.id,
+      req.params.id,
+      req.params.document,
+      req.query.format || 'pdf'
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+
+  } catch (error) {
+    if (error.message === 'Picking wave not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Picking wave not found'
+      });
+    }
+
+    logger.error('Export picking document failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export picking document'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/picking-waves/{id}:
+ *   delete:
+ *     summary: Delete a picking wave and release its orders
+ *     description: Released orders that are still waiting to be picked can go into a new wave
+ *     tags: [Picking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Picking wave deleted
+ *       404:
+ *         description: Picking wave not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const releasedOrders = await pickingService.deleteWave(req.user.id, req.params.id);
+
+    logger.info(`Picking wave ${req.params.id} deleted by ${req.user.email}`);
+
+    res.json({
+      message: `Picking wave deleted, ${releasedOrders} orders released`,
+      releasedOrders
+    });
+
+  } catch (error) {
+    if (error.message === 'Picking wave not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Picking wave not found'
+      });
+    }
+
+    logger.error('Delete picking wave failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete picking wave'
+    });
+  }
+});
+
+module.exports = router;
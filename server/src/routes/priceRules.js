@@ -0,0 +1,648 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { prisma, paginate, dateRangeFilter } = require('../utils/database');
+const { verifyToken, requireOwnershipOrAdmin } = require('../middleware/auth');
+const priceRuleService = require('../services/priceRuleService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+const ruleInclude = {
+  marketplaceAccount: {
+    select: {
+      id: true,
+      storeName: true,
+      marketplace: {
+        select: { name: true, code: true }
+      }
+    }
+  }
+};
+
+const getRuleOwner = async (req) => {
+  const rule = await prisma.priceRule.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return rule?.userId;
+};
+
+const ruleValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Rule name is required')
+      .isLength({ max: 255 })
+      .withMessage('Rule name must not exceed 255 characters'),
+    field('scope')
+      .isIn(['ALL_PRODUCTS', 'SPECIFIC_PRODUCTS', 'CATEGORY'])
+      .withMessage('Invalid price rule scope'),
+    body('productIds')
+      .optional()
+      .isArray()
+      .withMessage('Product IDs must be an array'),
+    body('categoryIds')
+      .optional()
+      .isArray()
+      .withMessage('Category IDs must be an array'),
+    body('markupPercentage')
+      .optional()
+      .isFloat({ min: -100, max: 1000 })
+      .withMessage('Markup percentage must be between -100 and 1000'),
+    body('fixedOffset')
+      .optional()
+      .isFloat()
+      .withMessage('Fixed offset must be a number'),
+    body('feePercentage')
+      .optional()
+      .isFloat({ min: 0, max: 99 })
+      .withMessage('Fee percentage must be between 0 and 99'),
+    body('feeFixed')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Fixed fee must be a non-negative number'),
+    body('roundTo')
+      .optional({ nullable: true })
+      .isIn([100, 500, 1000])
+      .withMessage('Prices can be rounded to Rp 100, 500 or 1000')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const RULE_FIELDS = [
+  'name',
+  'scope',
+  'productIds',
+  'categoryIds',
+  'markupPercentage',
+  'fixedOffset',
+  'feePercentage',
+  'feeFixed',
+  'roundTo',
+  'isActive'
+];
+
+const pickRuleFields = (data) => Object.fromEntries(
+  RULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// Products and categories in a rule's scope must be there and belong to the user
+const validateScope = async (userId, { scope, productIds = [], categoryIds = [] }) => {
+  if (scope === 'SPECIFIC_PRODUCTS') {
+    if (productIds.length === 0) {
+      return 'Product IDs are required for SPECIFIC_PRODUCTS scope';
+    }
+    const count = await prisma.product.count({ where: { id: { in: productIds }, userId } });
+    if (count !== productIds.length) {
+      return 'One or more products do not belong to you';
+    }
+  }
+
+  if (scope === 'CATEGORY') {
+    if (categoryIds.length === 0) {
+      return 'Category IDs are required for CATEGORY scope';
+    }
+    const count = await prisma.category.count({ where: { id: { in: categoryIds } } });
+    if (count !== categoryIds.length) {
+      return 'One or more categories do not exist';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/price-rules:
+ *   get:
+ *     summary: Get user's price rules
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: marketplaceAccountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price rules retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { marketplaceAccountId } = req.query;
+
+    const rules = await prisma.priceRule.findMany({
+      where: {
+        userId: req.user.id,
+        ...(marketplaceAccountId && { marketplaceAccountId })
+      },
+      include: {
+        ...ruleInclude,
+        _count: {
+          select: { syncLogs: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ rules });
+
+  } catch (error) {
+    logger.error('Get price rules failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get price rules'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules:
+ *   post:
+ *     summary: Create a price rule for a marketplace account and push the new prices
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - marketplaceAccountId
+ *               - scope
+ *             properties:
+ *               name:
+ *                 type: string
+ *               marketplaceAccountId:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [ALL_PRODUCTS, SPECIFIC_PRODUCTS, CATEGORY]
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               markupPercentage:
+ *                 type: number
+ *               fixedOffset:
+ *                 type: number
+ *               feePercentage:
+ *                 type: number
+ *                 description: Marketplace commission the price is grossed up for
+ *               feeFixed:
+ *                 type: number
+ *                 description: Fixed marketplace fee per item the price is grossed up for
+ *               roundTo:
+ *                 type: integer
+ *                 enum: [100, 500, 1000]
+ *     responses:
+ *       201:
+ *         description: Price rule created and price sync queued
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  body('marketplaceAccountId')
+    .notEmpty()
+    .withMessage('Marketplace account is required'),
+  ...ruleValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const data = pickRuleFields(req.body);
+
+    const account = await prisma.userMarketplaceAccount.findFirst({
+      where: { id: req.body.marketplaceAccountId, userId: req.user.id }
+    });
+
+    if (!account) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Marketplace account not found'
+      });
+    }
+
+    const scopeError = await validateScope(req.user.id, data);
+    if (scopeError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: scopeError
+      });
+    }
+
+    const rule = await prisma.priceRule.create({
+      data: {
+        ...data,
+        userId: req.user.id,
+        marketplaceAccountId: account.id,
+        productIds: data.scope === 'SPECIFIC_PRODUCTS' ? data.productIds : [],
+        categoryIds: data.scope === 'CATEGORY' ? data.categoryIds : []
+      },
+      include: ruleInclude
+    });
+
+    const queued = await priceRuleService.onRuleChange(rule, null, `Price rule "${rule.name}" created`);
+
+    logger.info(`Price rule created: ${rule.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Price rule created successfully',
+      rule,
+      queued
+    });
+
+  } catch (error) {
+    logger.error('Create price rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create price rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules/preview/{productId}:
+ *   get:
+ *     summary: Listed price of a product on each connected marketplace account
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prices per marketplace account
+ *       404:
+ *         description: Product not found
+ */
+router.get('/preview/:productId', requireOwnershipOrAdmin(async (req) => {
+  const product = await prisma.product.findUnique({
+    where: { id: req.params.productId },
+    select: { userId: true }
+  });
+  return product?.userId;
+}), async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.productId },
+      include: {
+        variants: {
+          where: { isActive: true }
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Product not found'
+      });
+    }
+
+    const accounts = await prisma.userMarketplaceAccount.findMany({
+      where: { userId: product.userId, isConnected: true },
+      include: { marketplace: true }
+    });
+
+    const prices = await priceRuleService.previewPrices(product, accounts);
+
+    res.json({ prices });
+
+  } catch (error) {
+    logger.error('Preview prices failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to preview prices'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules/sync:
+ *   post:
+ *     summary: Push current listed prices to the marketplaces
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               marketplaceAccountIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Price sync queued
+ */
+router.post('/sync', [
+  body('productIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Product IDs must be a non-empty array'),
+  body('marketplaceAccountIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Marketplace account IDs must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { productIds, marketplaceAccountIds } = req.body;
+
+    // Listings are looked up within the user's own products and accounts
+    const queued = await priceRuleService.queuePriceSync(req.user.id, {
+      productIds,
+      marketplaceAccountIds,
+      reason: 'Manual price sync'
+    });
+
+    logger.info(`Manual price sync triggered by user ${req.user.email}`);
+
+    res.json({
+      message: `Price sync queued for ${queued.listings} listings`,
+      queued
+    });
+
+  } catch (error) {
+    logger.error('Trigger price sync failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to trigger price sync'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules/logs:
+ *   get:
+ *     summary: Get price sync logs
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: marketplaceAccountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price sync logs retrieved successfully
+ */
+router.get('/logs', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, marketplaceAccountId, productId, ruleId, startDate, endDate } = req.query;
+
+    const where = {
+      userId: req.user.id,
+      ...(marketplaceAccountId && { marketplaceAccountId }),
+      ...(productId && { productId }),
+      ...(ruleId && { ruleId }),
+      ...dateRangeFilter(startDate, endDate, 'syncedAt')
+    };
+
+    const [logs, total] = await Promise.all([
+      prisma.priceSyncLog.findMany({
+        where,
+        include: {
+          rule: {
+            select: { name: true }
+          },
+          product: {
+            select: { name: true, sku: true }
+          },
+          variant: {
+            select: { variantName: true, sku: true }
+          }
+        },
+        ...paginate(parseInt(page), parseInt(limit)),
+        orderBy: { syncedAt: 'desc' }
+      }),
+      prisma.priceSyncLog.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get price sync logs failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get price sync logs'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules/{id}:
+ *   put:
+ *     summary: Update a price rule and push the changed prices
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price rule updated and price sync queued
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', requireOwnershipOrAdmin(getRuleOwner), ruleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const previousRule = await prisma.priceRule.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!previousRule) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Price rule not found'
+      });
+    }
+
+    const data = pickRuleFields(req.body);
+    const scope = {
+      scope: data.scope || previousRule.scope,
+      productIds: data.productIds || previousRule.productIds,
+      categoryIds: data.categoryIds || previousRule.categoryIds
+    };
+
+    const scopeError = await validateScope(previousRule.userId, scope);
+    if (scopeError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: scopeError
+      });
+    }
+
+    const rule = await prisma.priceRule.update({
+      where: { id: req.params.id },
+      data: {
+        ...data,
+        productIds: scope.scope === 'SPECIFIC_PRODUCTS' ? scope.productIds : [],
+        categoryIds: scope.scope === 'CATEGORY' ? scope.categoryIds : []
+      },
+      include: ruleInclude
+    });
+
+    const queued = await priceRuleService.onRuleChange(rule, previousRule, `Price rule "${rule.name}" updated`);
+
+    logger.info(`Price rule updated: ${rule.id} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Price rule updated successfully',
+      rule,
+      queued
+    });
+
+  } catch (error) {
+    logger.error('Update price rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update price rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-rules/{id}:
+ *   delete:
+ *     summary: Delete a price rule and push the prices that apply without it
+ *     tags: [Price Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price rule deleted and price sync queued
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/:id', requireOwnershipOrAdmin(getRuleOwner), async (req, res) => {
+  try {
+    const rule = await prisma.priceRule.delete({
+      where: { id: req.params.id }
+    });
+
+    const queued = await priceRuleService.onRuleChange(rule, null, `Price rule "${rule.name}" deleted`);
+
+    logger.info(`Price rule deleted: ${rule.id} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Price rule deleted successfully',
+      queued
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Price rule not found'
+      });
+    }
+
+    logger.error('Delete price rule failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete price rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,29 @@ const path = require('path');
 const { prisma, paginate, searchFilter, transaction } = require('../utils/database');
 const { verifyToken, requireOwnershipOrAdmin } = require('../middleware/auth');
 const { addSyncJob } = require('../jobs/queueManager');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const categoryMappingService = require('../services/categoryMappingService');
+const priceRuleService = require('../services/priceRuleService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Connected marketplace accounts of a user a product can be published to
+const getTargetAccounts = async (userId, marketplaceAccountIds) => {
+  const accounts = await prisma.userMarketplaceAccount.findMany({
+    where: {
+      userId,
+      isConnected: true,
+      ...(marketplaceAccountIds && { id: { in: marketplaceAccountIds } })
+    },
+    include: {
+      marketplace: true
+    }
+  });
+
+  return accounts.filter(account => MarketplaceFactory.isSupported(account.marketplace.code));
+};
+
 // Apply authentication to all routes
 router.use(verifyToken);
 
@@ -456,6 +475,217 @@ router.post('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/price:
+ *   put:
+ *     summary: Set the price of a product and its variants and push it to the marketplaces
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Price updated and price sync queued for every listing
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:id/price', [
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Variants must be an array'),
+  body('variants.*.id')
+    .notEmpty()
+    .withMessage('Variant ID is required'),
+  body('variants.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number')
+], requireOwnershipOrAdmin(async (req) => {
+  const product = await prisma.product.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return product?.userId;
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { price, variants = [] } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: { variants: { select: { id: true } } }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Product not found'
+      });
+    }
+
+    const variantIds = new Set(product.variants.map(variant => variant.id));
+    if (variants.some(variant => !variantIds.has(variant.id))) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'One or more variants do not belong to this product'
+      });
+    }
+
+    const updated = await transaction(async (tx) => {
+      for (const variant of variants) {
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: { price: variant.price }
+        });
+      }
+
+      return await tx.product.update({
+        where: { id },
+        data: { price },
+        include: { variants: true }
+      });
+    });
+
+    // Listed prices follow through each account's price rule
+    const queued = await priceRuleService.queuePriceSync(product.userId, {
+      productIds: [id],
+      reason: 'Price changed'
+    });
+
+    logger.info(`Price of product ${product.sku} set to ${price} by ${req.user.email}`);
+
+    res.json({
+      message: 'Price updated successfully',
+      product: updated,
+      queued
+    });
+
+  } catch (error) {
+    logger.error('Update product price failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update product price'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/validate:
+ *   post:
+ *     summary: Check a product against the category and attribute requirements of marketplaces
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               marketplaceAccountIds:
+ *                 type: array
+ *                 description: Defaults to every connected marketplace account
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Validation result with field-level errors per marketplace
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/validate', [
+  body('marketplaceAccountIds')
+    .optional()
+    .isArray()
+    .withMessage('marketplaceAccountIds must be an array')
+], requireOwnershipOrAdmin(async (req) => {
+  const product = await prisma.product.findUnique({
+    where: { id: req.params.id },
+    select: { userId: true }
+  });
+  return product?.userId;
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      include: {
+        category: true
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Product not found'
+      });
+    }
+
+    const accounts = await getTargetAccounts(product.userId, req.body.marketplaceAccountIds);
+    const validation = await categoryMappingService.validateProduct(product, accounts);
+
+    res.json(validation);
+
+  } catch (error) {
+    logger.error('Product validation failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to validate product'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/products/{id}/sync:
@@ -508,7 +738,13 @@ router.post('/:id/sync', requireOwnershipOrAdmin(async (req) => {
     }
 
     const product = await prisma.product.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        category: true,
+        marketplaceProducts: {
+          select: { marketplaceAccountId: true }
+        }
+      }
     });
 
     if (!product) {
@@ -518,6 +754,23 @@ router.post('/:id/sync', requireOwnershipOrAdmin(async (req) => {
       });
     }
 
+    // New listings are checked up front; marketplaces reject them without the right category and attributes
+    const listedAccountIds = new Set(product.marketplaceProducts.map(item => item.marketplaceAccountId));
+    const newAccountIds = marketplaceAccountIds.filter(accountId => !listedAccountIds.has(accountId));
+
+    if (newAccountIds.length > 0) {
+      const accounts = await getTargetAccounts(product.userId, newAccountIds);
+      const validation = await categoryMappingService.validateProduct(product, accounts);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Product does not meet marketplace requirements',
+          details: validation.marketplaces.filter(result => !result.valid)
+        });
+      }
+    }
+
     // Add sync job to queue
     const job = await addSyncJob('sync-products', {
       userId: req.user.id,
@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
+
+const { prisma, paginate } = require('../utils/database');
+const { verifyToken } = require('../middleware/auth');
+const reconciliationService = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+// Settlement exports are parsed straight from memory and not kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_SETTLEMENT_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV and XLSX files are allowed'));
+    }
+  }
+});
+
+const getAccount = async (userId, marketplaceAccountId) => {
+  return await prisma.userMarketplaceAccount.findFirst({
+    where: { id: marketplaceAccountId, userId },
+    include: { marketplace: true }
+  });
+};
+
+const sendImportError = (res, error, fallbackMessage) => {
+  if (['NOT_SUPPORTED', 'INVALID_FILE'].includes(error.code)) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/reconciliation/report:
+ *   get:
+ *     summary: Reconcile a period's orders against the payouts imported for them
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: marketplaceAccountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of this month
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Totals per account, unpaid, short-paid and overpaid orders, and payouts matching no order
+ */
+router.get('/report', [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { marketplaceAccountId, startDate, endDate } = req.query;
+
+    const report = await reconciliationService.getReport(req.user.id, {
+      marketplaceAccountId,
+      startDate,
+      // A bare end date covers the whole day
+      endDate: endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate}T23:59:59.999Z` : endDate
+    });
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Get reconciliation report failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get reconciliation report'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/imports:
+ *   get:
+ *     summary: Get settlement imports of the current user
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: marketplaceAccountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ */
+router.get('/imports', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, marketplaceAccountId } = req.query;
+
+    const where = {
+      userId: req.user.id,
+      ...(marketplaceAccountId && { marketplaceAccountId })
+    };
+
+    const [imports, total] = await Promise.all([
+      prisma.settlementImport.findMany({
+        where,
+        include: {
+          marketplaceAccount: {
+            select: {
+              storeName: true,
+              marketplace: {
+                select: { name: true, code: true }
+              }
+            }
+          }
+        },
+        ...paginate(parseInt(page), parseInt(limit)),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.settlementImport.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get settlement imports failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get settlement imports'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/import:
+ *   post:
+ *     summary: Import a period's payouts from a marketplace account's settlement API
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - marketplaceAccountId
+ *             properties:
+ *               marketplaceAccountId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Payout lines imported, matched to orders and unknown
+ *       400:
+ *         description: The marketplace does not report settlements
+ */
+router.post('/import', [
+  body('marketplaceAccountId')
+    .notEmpty()
+    .withMessage('Marketplace account is required'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const account = await getAccount(req.user.id, req.body.marketplaceAccountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Marketplace account not found'
+      });
+    }
+
+    const result = await reconciliationService.importFromMarketplace(account, req.user.id, {
+      startDate: req.body.startDate,
+      endDate: req.body.endDate
+    });
+
+    logger.info(`Settlements imported for account ${account.id} by user ${req.user.email}`);
+
+    res.json({
+      message: `${result.lines} payout lines imported, ${result.unknown} without a matching order`,
+      ...result
+    });
+
+  } catch (error) {
+    sendImportError(res, error, 'Failed to import settlements');
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/upload:
+ *   post:
+ *     summary: Import payouts from an uploaded CSV or XLSX settlement export
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - marketplaceAccountId
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               marketplaceAccountId:
+ *                 type: string
+ *               columns:
+ *                 type: string
+ *                 description: >
+ *                   JSON object naming the header of marketplaceOrderId, amount, settledAt and reference
+ *                   for exports whose headers are not recognised
+ *     responses:
+ *       200:
+ *         description: Payout lines imported, matched to orders, unknown and skipped
+ *       400:
+ *         description: Unsupported or unreadable file
+ */
+router.post('/upload', upload.single('file'), [
+  body('marketplaceAccountId')
+    .notEmpty()
+    .withMessage('Marketplace account is required'),
+  body('columns')
+    .optional()
+    .isJSON()
+    .bail()
+    .custom((columns) => {
+      const parsed = JSON.parse(columns);
+      return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    })
+    .withMessage('Columns must be a JSON object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'A settlement file is required'
+      });
+    }
+
+    const account = await getAccount(req.user.id, req.body.marketplaceAccountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Marketplace account not found'
+      });
+    }
+
+    const columns = req.body.columns ? JSON.parse(req.body.columns) : {};
+    const result = await reconciliationService.importFile(account, req.user.id, req.file, columns);
+
+    logger.info(`Settlement file ${req.file.originalname} imported for account ${account.id} by user ${req.user.email}`);
+
+    res.json({
+      message: `${result.lines} payout lines imported, ${result.unknown} without a matching order`,
+      ...result
+    });
+
+  } catch (error) {
+    sendImportError(res, error, 'Failed to import settlement file');
+  }
+});
+
+module.exports = router;
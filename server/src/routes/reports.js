@@ -504,16 +504,18 @@ router.get('/financial', [
     const { timeRange = 'month' } = req.query;
     const dateRange = reportingService.getDateRange(timeRange);
 
+    const soldWhere = {
+      userId: req.user.id,
+      orderDate: { gte: dateRange.start, lte: dateRange.end },
+      status: { in: ['DELIVERED', 'SHIPPED'] }
+    };
+
     // Get financial metrics
-    const [revenue, orders, refunds, shipping] = await Promise.all([
-      // Total revenue
+    const [revenue, orders, refunds, shipping, feeBreakdown, costOfGoods, netProceeds] = await Promise.all([
+      // Total revenue and marketplace fees
       prisma.order.aggregate({
-        where: {
-          userId: req.user.id,
-          orderDate: { gte: dateRange.start, lte: dateRange.end },
-          status: { in: ['DELIVERED', 'SHIPPED'] }
-        },
-        _sum: { totalAmount: true },
+        where: soldWhere,
+        _sum: { totalAmount: true, feesTotal: true },
         _count: { id: true }
       }),
       
@@ -541,29 +543,46 @@ router.get('/financial', [
       
       // Shipping costs
       prisma.order.aggregate({
-        where: {
-          userId: req.user.id,
-          orderDate: { gte: dateRange.start, lte: dateRange.end },
-          status: { in: ['DELIVERED', 'SHIPPED'] }
-        },
+        where: soldWhere,
         _sum: { shippingCost: true }
-      })
+      }),
+
+      // Marketplace fees per type
+      reportingService.getFeeBreakdown(soldWhere),
+
+      reportingService.getCostOfGoods(soldWhere),
+
+      // What the marketplaces leave of it
+      reportingService.getNetProceeds(soldWhere)
     ]);
 
+    const revenueTotal = Number(revenue._sum.totalAmount) || 0;
+    const refundTotal = Number(refunds._sum.totalAmount) || 0;
+    const grossProfit = netProceeds - refundTotal - costOfGoods;
+
     const financialSummary = {
       revenue: {
-        total: revenue._sum.totalAmount || 0,
+        total: revenueTotal,
         orders: revenue._count.id || 0,
-        average: revenue._count.id > 0 ? (revenue._sum.totalAmount || 0) / revenue._count.id : 0
+        average: revenue._count.id > 0 ? revenueTotal / revenue._count.id : 0
       },
       refunds: {
-        total: refunds._sum.totalAmount || 0,
+        total: refundTotal,
         count: refunds._count.id || 0
       },
       shipping: {
         total: shipping._sum.shippingCost || 0
       },
-      netRevenue: (revenue._sum.totalAmount || 0) - (refunds._sum.totalAmount || 0),
+      fees: {
+        total: Number(revenue._sum.feesTotal) || 0,
+        breakdown: feeBreakdown
+      },
+      // Payouts after marketplace fees and the shipping fee passed on to couriers
+      netProceeds,
+      netRevenue: netProceeds - refundTotal,
+      costOfGoods,
+      grossProfit,
+      margin: reportingService.getMargin(grossProfit, revenueTotal),
       orderBreakdown: orders.map(order => ({
         status: order.status,
         count: order._count.id,
@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { prisma, paginate } = require('../utils/database');
+const { verifyToken, requireOwnershipOrAdmin } = require('../middleware/auth');
+const returnService = require('../services/returnService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyToken);
+
+const getRequestOwner = async (req) => {
+  const request = await prisma.returnRequest.findUnique({
+    where: { id: req.params.id },
+    select: { order: { select: { userId: true } } }
+  });
+  return request?.order.userId;
+};
+
+const sendRequestError = (res, error, fallbackMessage) => {
+  if (error.message === 'Return request not found') {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Return request not found'
+    });
+  }
+
+  if (['INVALID_STATUS', 'NOT_SUPPORTED', 'MARKETPLACE_REJECTED'].includes(error.code)) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Get buyer cancellation and return/refund requests of the current user's orders
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [CANCELLATION, RETURN]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, ACCEPTED, REJECTED, DISPUTED, RECEIVED, REFUNDED, CLOSED]
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, status } = req.query;
+
+    const where = {
+      order: { userId: req.user.id },
+      ...(type && { type }),
+      ...(status && { status })
+    };
+
+    const [requests, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        include: {
+          order: {
+            select: {
+              id: true,
+              orderNumber: true,
+              status: true,
+              totalAmount: true,
+              customerInfo: true,
+              marketplaceAccount: {
+                select: {
+                  storeName: true,
+                  marketplace: {
+                    select: { name: true, code: true }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ...paginate(parseInt(page), parseInt(limit)),
+        orderBy: { requestedAt: 'desc' }
+      }),
+      prisma.returnRequest.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      requests,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get return requests failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get return requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/sync:
+ *   post:
+ *     summary: Pull new buyer cancellation and return requests from the current user's marketplaces
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Requests synced
+ *       409:
+ *         description: A sync is already running
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const result = await returnService.syncAllReturnRequests(req.user.id);
+
+    if (!result) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Return request sync is already running'
+      });
+    }
+
+    res.json({
+      message: `${result.created} new requests`,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Sync return requests failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to sync return requests'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/respond:
+ *   post:
+ *     summary: Accept, reject or dispute a buyer cancellation or return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reject, dispute]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request answered on the marketplace
+ *       400:
+ *         description: Request already answered or action not offered by the marketplace
+ *       404:
+ *         description: Request not found
+ */
+router.post('/:id/respond', [
+  body('action')
+    .isIn(['accept', 'reject', 'dispute'])
+    .withMessage('Action must be accept, reject or dispute'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  body('reason')
+    .if(body('action').equals('dispute'))
+    .notEmpty()
+    .withMessage('A reason is required to dispute a request')
+], requireOwnershipOrAdmin(getRequestOwner), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { action, reason } = req.body;
+    const request = await returnService.respondToRequest(req.params.id, action, { reason });
+
+    logger.info(`Return request ${req.params.id} answered with ${action} by ${req.user.email}`);
+
+    res.json({
+      message: 'Request answered successfully',
+      request
+    });
+
+  } catch (error) {
+    sendRequestError(res, error, 'Failed to respond to return request');
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   post:
+ *     summary: Record that a returned parcel arrived and put its items back in stock
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return received and restocked
+ *       400:
+ *         description: Request is not an accepted return
+ *       404:
+ *         description: Request not found
+ */
+router.post('/:id/receive', requireOwnershipOrAdmin(getRequestOwner), async (req, res) => {
+  try {
+    const request = await returnService.markReturnReceived(req.params.id);
+
+    res.json({
+      message: 'Return received and restocked',
+      request
+    });
+
+  } catch (error) {
+    sendRequestError(res, error, 'Failed to mark return as received');
+  }
+});
+
+module.exports = router;
@@ -476,7 +476,7 @@ router.get('/status/:jobId', async (req, res) => {
  *         name: syncType
  *         schema:
  *           type: string
- *           enum: [PRODUCTS, ORDERS, INVENTORY, FULL_SYNC]
+ *           enum: [PRODUCTS, ORDERS, INVENTORY, FULL_SYNC, IMPORT]
  *       - in: query
  *         name: status
  *         schema:
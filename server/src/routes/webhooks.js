@@ -0,0 +1,107 @@
+const express = require('express');
+
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Webhooks are authenticated by platform signatures, not user tokens
+
+// Build the request handler for one marketplace's pushes
+const handleWebhook = (marketplaceCode) => async (req, res) => {
+  try {
+    // Shopee signs the full callback URL; behind a proxy set WEBHOOK_BASE_URL
+    const baseUrl = process.env.WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    const result = await webhookService.handleWebhook(marketplaceCode, {
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+      url: `${baseUrl}${req.originalUrl}`
+    });
+
+    if (result.status === 'invalid_signature') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.json({
+      received: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error(`${marketplaceCode} webhook failed:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/webhooks/shopee:
+ *   post:
+ *     summary: Receive Shopee push notifications
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of "<callback url>|<body>" with the partner key
+ *     responses:
+ *       200:
+ *         description: Push received (queued, duplicate or ignored)
+ *       401:
+ *         description: Invalid signature or shop not connected
+ */
+router.post('/shopee', handleWebhook('SHOPEE'));
+
+/**
+ * @swagger
+ * /api/webhooks/tokopedia:
+ *   post:
+ *     summary: Receive Tokopedia webhooks
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization-Hmac
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the body with the client secret
+ *     responses:
+ *       200:
+ *         description: Webhook received (queued, duplicate or ignored)
+ *       401:
+ *         description: Invalid signature or shop not connected
+ */
+router.post('/tokopedia', handleWebhook('TOKOPEDIA'));
+
+/**
+ * @swagger
+ * /api/webhooks/lazada:
+ *   post:
+ *     summary: Receive Lazada push messages
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of "<app key><body>" with the app secret
+ *     responses:
+ *       200:
+ *         description: Push received (queued, duplicate or ignored)
+ *       401:
+ *         description: Invalid signature or seller not connected
+ */
+router.post('/lazada', handleWebhook('LAZADA'));
+
+module.exports = router;
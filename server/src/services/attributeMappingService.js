@@ -0,0 +1,156 @@
+const { cache } = require('../utils/redis');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const logger = require('../utils/logger');
+
+const ATTRIBUTE_CACHE_TTL = 24 * 60 * 60;
+
+// Product fields that marketplaces often model as category attributes
+const PRODUCT_FIELDS = ['name', 'description', 'sku', 'weight'];
+
+const OPTIONS_IN_MESSAGE = 10;
+
+// "Bahan Utama", "bahan_utama" and "bahanUtama" all match the same attribute
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Attribute Mapping Service
+ * Maps Product.attributes to the attributes a marketplace category requires
+ */
+class AttributeMappingService {
+  /**
+   * Normalized attribute schema of a marketplace category, cached per account
+   */
+  async getAttributeSchema(marketplaceAccount, marketplaceCategoryId, { refresh = false } = {}) {
+    const cacheKey = `marketplace-attributes:${marketplaceAccount.id}:${marketplaceCategoryId}`;
+
+    if (!refresh) {
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+    const attributes = (await integration.getAttributes(marketplaceCategoryId))
+      .map(attribute => integration.normalizeAttribute(attribute));
+
+    await cache.set(cacheKey, attributes, ATTRIBUTE_CACHE_TTL);
+    logger.info(`Cached ${attributes.length} attributes for category ${marketplaceCategoryId} of marketplace account ${marketplaceAccount.id}`);
+
+    return attributes;
+  }
+
+  /**
+   * Map product attributes onto a normalized attribute schema
+   * Our attribute keys match marketplace attributes by name, alias or ID unless attributeMap says otherwise
+   * @param {Array} schema - Normalized attributes
+   * @param {Object} product - Product with its attributes JSON
+   * @param {Object} attributeMap - Marketplace attribute ID -> { key, values: { ourValue: optionId } }
+   * @returns {Object} { attributes: [{ attribute, values }], errors: [{ param, msg, attributeId }] }
+   */
+  mapAttributes(schema, product, attributeMap = {}) {
+    const source = { ...product.attributes };
+    for (const field of PRODUCT_FIELDS) {
+      if (!isBlank(product[field]) && source[field] === undefined) {
+        source[field] = product[field];
+      }
+    }
+
+    const keys = Object.keys(source);
+    const attributes = [];
+    const errors = [];
+
+    for (const attribute of schema) {
+      const rule = attributeMap?.[attribute.id] || {};
+      const names = [attribute.name, attribute.id, ...(attribute.aliases || [])].map(normalizeKey);
+      const key = rule.key || keys.find(candidate => names.includes(normalizeKey(candidate)));
+      const param = `attributes.${key || attribute.name}`;
+      const rawValues = [].concat(key === undefined ? [] : source[key]).filter(value => !isBlank(value));
+
+      if (rawValues.length === 0) {
+        if (attribute.required) {
+          errors.push({ param, attributeId: attribute.id, msg: `${attribute.name} is required` });
+        }
+        continue;
+      }
+
+      if (rawValues.length > 1 && attribute.type !== 'multi_select') {
+        errors.push({ param, attributeId: attribute.id, msg: `${attribute.name} accepts a single value` });
+        continue;
+      }
+
+      const values = [];
+      for (const rawValue of rawValues) {
+        const { value, error } = this.mapValue(attribute, rawValue, rule.values);
+        if (error) {
+          errors.push({ param, attributeId: attribute.id, msg: error });
+        } else {
+          values.push(value);
+        }
+      }
+
+      if (values.length === rawValues.length) {
+        attributes.push({ attribute, values });
+      }
+    }
+
+    return { attributes, errors };
+  }
+
+  /**
+   * Map one of our values to a marketplace value
+   * @returns {Object} { value } with value as { id, name }, or { error } when it is not accepted
+   */
+  mapValue(attribute, rawValue, valueMap = {}) {
+    if (attribute.type === 'number') {
+      return Number.isNaN(Number(rawValue))
+        ? { error: `${attribute.name} must be a number` }
+        : { value: { id: null, name: Number(rawValue) } };
+    }
+
+    if (attribute.type === 'text') {
+      return { value: { id: null, name: String(rawValue) } };
+    }
+
+    const mappedId = valueMap?.[rawValue];
+    const option = attribute.options.find(candidate => (
+      mappedId !== undefined
+        ? candidate.id === String(mappedId)
+        : candidate.id === String(rawValue) || normalizeKey(candidate.name) === normalizeKey(rawValue)
+    ));
+
+    if (option) {
+      return { value: option };
+    }
+
+    if (attribute.allowCustom) {
+      return { value: { id: null, name: String(rawValue) } };
+    }
+
+    const expected = attribute.options.slice(0, OPTIONS_IN_MESSAGE).map(candidate => candidate.name).join(', ');
+    const more = attribute.options.length > OPTIONS_IN_MESSAGE ? ', ...' : '';
+    return { error: `${attribute.name} does not accept "${rawValue}"; expected one of ${expected}${more}` };
+  }
+
+  /**
+   * Map a product's attributes for the marketplace category of a category mapping
+   * @returns {Object} { attributes, errors } where attributes is already in marketplace format
+   */
+  async mapProductAttributes(product, marketplaceAccount, categoryMapping) {
+    const schema = await this.getAttributeSchema(marketplaceAccount, categoryMapping.marketplaceCategoryId);
+    const { attributes, errors } = this.mapAttributes(schema, product, categoryMapping.attributeMap || {});
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+
+    return {
+      attributes: integration.formatAttributes(attributes),
+      errors
+    };
+  }
+}
+
+// Create singleton instance
+const attributeMappingService = new AttributeMappingService();
+
+module.exports = attributeMappingService;
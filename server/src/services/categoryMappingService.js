@@ -0,0 +1,230 @@
+const { prisma } = require('../utils/database');
+const { cache } = require('../utils/redis');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const attributeMappingService = require('./attributeMappingService');
+const logger = require('../utils/logger');
+
+// Marketplace category trees change rarely; keep them for a day
+const CATEGORY_CACHE_TTL = 24 * 60 * 60;
+
+/**
+ * Category Mapping Service
+ * Links our categories to each marketplace's category tree
+ */
+class CategoryMappingService {
+  /**
+   * Flattened category tree of a marketplace account, cached per account
+   * Each entry is { id, name, parentId, path, isLeaf }
+   */
+  async getMarketplaceCategories(marketplaceAccount, { refresh = false } = {}) {
+    const cacheKey = `marketplace-categories:${marketplaceAccount.id}`;
+
+    if (!refresh) {
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
+    const categories = integration.flattenCategories(await integration.getCategories());
+
+    await cache.set(cacheKey, categories, CATEGORY_CACHE_TTL);
+    logger.info(`Cached ${categories.length} categories for marketplace account ${marketplaceAccount.id}`);
+
+    return categories;
+  }
+
+  /**
+   * Search a marketplace category tree by name or path
+   * @param {Object} options - { search, parentId, leafOnly, limit }
+   */
+  async searchMarketplaceCategories(marketplaceAccount, options = {}) {
+    const { search, parentId, leafOnly = false, limit = 50 } = options;
+    let categories = await this.getMarketplaceCategories(marketplaceAccount);
+
+    if (parentId !== undefined) {
+      categories = categories.filter(category => category.parentId === (parentId || null));
+    }
+
+    if (leafOnly) {
+      categories = categories.filter(category => category.isLeaf);
+    }
+
+    if (search) {
+      const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+      categories = categories.filter(category => {
+        const path = category.path.join(' ').toLowerCase();
+        return terms.every(term => path.includes(term));
+      });
+    }
+
+    return {
+      categories: categories.slice(0, limit),
+      total: categories.length
+    };
+  }
+
+  /**
+   * Look up one category in a marketplace tree
+   */
+  async findMarketplaceCategory(marketplaceAccount, marketplaceCategoryId) {
+    const categories = await this.getMarketplaceCategories(marketplaceAccount);
+    return categories.find(category => category.id === String(marketplaceCategoryId)) || null;
+  }
+
+  /**
+   * Create or replace the mapping of one of our categories for the account's marketplace
+   */
+  async saveMapping(userId, categoryId, marketplaceAccount, marketplaceCategory) {
+    const data = {
+      marketplaceCategoryId: marketplaceCategory.id,
+      marketplaceCategoryName: marketplaceCategory.name,
+      marketplaceCategoryPath: marketplaceCategory.path.join(' > ')
+    };
+
+    return await prisma.categoryMapping.upsert({
+      where: {
+        userId_categoryId_marketplaceId: {
+          userId,
+          categoryId,
+          marketplaceId: marketplaceAccount.marketplaceId
+        }
+      },
+      update: data,
+      create: {
+        userId,
+        categoryId,
+        marketplaceId: marketplaceAccount.marketplaceId,
+        ...data
+      }
+    });
+  }
+
+  /**
+   * Marketplace category to publish a product of our category under
+   * Falls back to the nearest mapped parent category
+   * @returns {Object|null} Mapping used, or null when nothing in the hierarchy is mapped
+   */
+  async resolveMarketplaceCategory(userId, categoryId, marketplaceId) {
+    const seen = new Set();
+    let currentId = categoryId;
+
+    while (currentId && !seen.has(currentId)) {
+      seen.add(currentId);
+
+      const mapping = await prisma.categoryMapping.findUnique({
+        where: {
+          userId_categoryId_marketplaceId: { userId, categoryId: currentId, marketplaceId }
+        }
+      });
+
+      if (mapping) {
+        return mapping;
+      }
+
+      const category = await prisma.category.findUnique({
+        where: { id: currentId },
+        select: { parentId: true }
+      });
+      currentId = category?.parentId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a product against the category and attribute requirements of one marketplace account
+   * @returns {Object} { mapping, attributes, errors } with attributes in marketplace format
+   */
+  async checkProductForMarketplace(product, marketplaceAccount) {
+    const mapping = product.categoryId
+      ? await this.resolveMarketplaceCategory(product.userId, product.categoryId, marketplaceAccount.marketplaceId)
+      : null;
+
+    if (!mapping) {
+      if (!MarketplaceFactory.createFromAccount(marketplaceAccount).requiresCategory()) {
+        return { mapping: null, attributes: undefined, errors: [] };
+      }
+
+      const categoryName = product.category?.name || 'uncategorized';
+      return {
+        mapping: null,
+        attributes: undefined,
+        errors: [{
+          param: 'categoryId',
+          msg: `No ${marketplaceAccount.marketplace.name} category mapped for category "${categoryName}"`
+        }]
+      };
+    }
+
+    const { attributes, errors } = await attributeMappingService.mapProductAttributes(product, marketplaceAccount, mapping);
+    return { mapping, attributes, errors };
+  }
+
+  /**
+   * Validate a product against every target marketplace account before upload
+   * @returns {Object} { valid, marketplaces: [{ marketplaceAccountId, valid, errors, ... }] }
+   */
+  async validateProduct(product, marketplaceAccounts) {
+    const marketplaces = [];
+
+    for (const account of marketplaceAccounts) {
+      const result = {
+        marketplaceAccountId: account.id,
+        storeName: account.storeName,
+        marketplace: account.marketplace.name,
+        marketplaceCategoryId: null,
+        valid: false,
+        errors: []
+      };
+
+      try {
+        const { mapping, errors } = await this.checkProductForMarketplace(product, account);
+        result.marketplaceCategoryId = mapping?.marketplaceCategoryId || null;
+        result.errors = errors;
+        result.valid = errors.length === 0;
+      } catch (error) {
+        logger.warn(`Could not validate product ${product.id} for marketplace account ${account.id}: ${error.message}`);
+        result.errors = [{ param: 'marketplace', msg: `Could not load ${account.marketplace.name} requirements: ${error.message}` }];
+      }
+
+      marketplaces.push(result);
+    }
+
+    return {
+      valid: marketplaces.every(result => result.valid),
+      marketplaces
+    };
+  }
+
+  /**
+   * Product with categoryId and attributes replaced by what the marketplace expects
+   * New listings must pass validation; without a mapping, updates and marketplaces where
+   * categories are optional leave category and attributes untouched
+   */
+  async prepareProductForMarketplace(product, marketplaceAccount, { isNew }) {
+    const { mapping, attributes, errors } = await this.checkProductForMarketplace(product, marketplaceAccount);
+
+    if (!mapping && (!isNew || errors.length === 0)) {
+      return { ...product, categoryId: undefined, attributes: undefined };
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.map(item => item.msg).join('; '));
+      error.details = errors;
+      throw error;
+    }
+
+    return {
+      ...product,
+      categoryId: mapping.marketplaceCategoryId,
+      attributes
+    };
+  }
+}
+
+// Create singleton instance
+const categoryMappingService = new CategoryMappingService();
+
+module.exports = categoryMappingService;
@@ -0,0 +1,386 @@
+const { prisma, transaction } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const orderBatch = require('../utils/orderBatch');
+const logger = require('../utils/logger');
+
+// How often payouts are pulled, and how long an order rests between two attempts
+const CHECK_INTERVAL = 60 * 60 * 1000;
+const RECHECK_AFTER = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Orders the marketplaces settle, or are about to
+const SETTLED_STATUSES = ['SHIPPED', 'DELIVERED'];
+
+// Description of each estimated fee
+const ESTIMATE_DESCRIPTIONS = {
+  COMMISSION: 'Komisi marketplace (estimasi)',
+  SHIPPING_PROGRAM: 'Program gratis ongkir (estimasi)',
+  PAYMENT: 'Biaya pembayaran (estimasi)',
+  SERVICE: 'Biaya tetap per pesanan (estimasi)'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Fee Service
+ * Keeps a breakdown of what each marketplace takes from an order: estimated from the seller's fee rules
+ * when the order comes in, replaced by the marketplace's own figures once it settles the order
+ */
+class FeeService {
+  constructor() {
+    this.importInProgress = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic import of marketplace payouts
+   */
+  async initialize() {
+    this.timer = setInterval(() => {
+      this.importSettledOrders().catch(error => {
+        logger.error('Order fee import failed:', error);
+      });
+    }, CHECK_INTERVAL);
+
+    logger.info('Fee service initialized');
+  }
+
+  /**
+   * Fee rules of a marketplace account
+   */
+  async getAccountRules(marketplaceAccountId) {
+    return await prisma.marketplaceFeeRule.findMany({
+      where: { marketplaceAccountId }
+    });
+  }
+
+  /**
+   * Rule for items of a category: the category's own rule, else the account's default rule
+   */
+  findRule(rules, categoryId) {
+    return (categoryId && rules.find(rule => rule.categoryId === categoryId)) ||
+      rules.find(rule => !rule.categoryId) ||
+      null;
+  }
+
+  /**
+   * Fees an order is expected to pay under its account's rules
+   * @param {Object} order - Order with its orderItems and each item's product.categoryId
+   * @returns {Array} [{ type, amount, description }]
+   */
+  estimateFees(order, rules) {
+    const totals = { COMMISSION: 0, SHIPPING_PROGRAM: 0, PAYMENT: 0, SERVICE: 0 };
+    let cancelledTotal = 0;
+
+    for (const item of order.orderItems || []) {
+      // Units cancelled one by one were never sold, so they pay no fees
+      const lineTotal = item.quantity
+        ? Number(item.totalPrice) * (item.quantity - (item.cancelledQuantity || 0)) / item.quantity
+        : Number(item.totalPrice);
+      cancelledTotal += Number(item.totalPrice) - lineTotal;
+
+      const rule = this.findRule(rules, item.product?.categoryId);
+      if (!rule) {
+        continue;
+      }
+
+      const programFee = lineTotal * Number(rule.shippingProgramRate) / 100;
+
+      totals.COMMISSION += lineTotal * Number(rule.commissionRate) / 100;
+      totals.SHIPPING_PROGRAM += rule.shippingProgramCap != null
+        ? Math.min(programFee, Number(rule.shippingProgramCap))
+        : programFee;
+    }
+
+    // Payment and fixed fees are charged once per order
+    const defaultRule = this.findRule(rules, null);
+    if (defaultRule) {
+      totals.PAYMENT += (Number(order.totalAmount) - cancelledTotal) * Number(defaultRule.paymentFeeRate) / 100;
+      totals.SERVICE += Number(defaultRule.fixedFee);
+    }
+
+    return Object.entries(totals)
+      .map(([type, amount]) => ({ type, amount: round(amount), description: ESTIMATE_DESCRIPTIONS[type] }))
+      .filter(fee => fee.amount);
+  }
+
+  /**
+   * What is left of an order after the fees and the shipping fee passed on to the courier
+   */
+  calculateNetProceeds(order, fees) {
+    const feesTotal = fees.reduce((sum, fee) => sum + fee.amount, 0);
+    return round(Number(order.totalAmount) - Number(order.shippingCost || 0) - feesTotal);
+  }
+
+  /**
+   * Replace the stored fee breakdown of an order
+   * @returns {Object} { fees, feesTotal, netProceeds, source }
+   */
+  async saveOrderFees(order, fees, netProceeds, source) {
+    const feesTotal = round(fees.reduce((sum, fee) => sum + fee.amount, 0));
+
+    await transaction(async (tx) => {
+      await tx.orderFee.deleteMany({ where: { orderId: order.id } });
+
+      if (fees.length > 0) {
+        await tx.orderFee.createMany({
+          data: fees.map(fee => ({
+            orderId: order.id,
+            type: fee.type,
+            amount: fee.amount,
+            description: fee.description || null,
+            source
+          }))
+        });
+      }
+
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          feesTotal,
+          netProceeds,
+          feeSource: source,
+          feesUpdatedAt: new Date()
+        }
+      });
+    });
+
+    return { fees, feesTotal, netProceeds, source };
+  }
+
+  /**
+   * Load an order with what fee estimation and import need
+   */
+  async getOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: { categoryId: true }
+            }
+          }
+        },
+        marketplaceAccount: {
+          include: { marketplace: true }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Store the estimated fees of an order under the given rules
+   */
+  async applyEstimate(order, rules) {
+    const fees = this.estimateFees(order, rules);
+    return await this.saveOrderFees(order, fees, this.calculateNetProceeds(order, fees), 'ESTIMATED');
+  }
+
+  /**
+   * Estimate the fees of a new or changed order; fees the marketplace already reported are kept
+   * @returns {Object|null} Saved fees, null when the order has marketplace fees
+   */
+  async estimateOrderFees(orderId) {
+    const order = await this.getOrder(orderId);
+
+    if (order.feeSource === 'MARKETPLACE') {
+      return null;
+    }
+
+    return await this.applyEstimate(order, await this.getAccountRules(order.marketplaceAccountId));
+  }
+
+  /**
+   * Import an order's fees and payout from its marketplace
+   * Orders the marketplace has not settled yet keep (or get) an estimate.
+   * @returns {Object} Saved fees; source tells whether they came from the marketplace
+   */
+  async importOrderFees(order, integration) {
+    const finance = await integration.getOrderFinance(order.marketplaceOrderId);
+
+    if (finance.netProceeds == null) {
+      return await this.applyEstimate(order, await this.getAccountRules(order.marketplaceAccountId));
+    }
+
+    const fees = (finance.fees || [])
+      .map(fee => ({ type: fee.type, amount: round(Number(fee.amount)), description: fee.description || null }))
+      .filter(fee => fee.amount);
+
+    return await this.saveOrderFees(order, fees, round(Number(finance.netProceeds)), 'MARKETPLACE');
+  }
+
+  /**
+   * Integration of an account when its marketplace reports order fees, otherwise null
+   */
+  getFinanceIntegration(account) {
+    if (!MarketplaceFactory.isSupported(account.marketplace.code)) {
+      return null;
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(account);
+    return integration.supports('getOrderFinance') ? integration : null;
+  }
+
+  /**
+   * Codes of the marketplaces whose integration reports an order's fees
+   */
+  getFinanceMarketplaceCodes() {
+    return MarketplaceFactory.getSupportedMarketplaces()
+      .filter(code => MarketplaceFactory.integrations[code].prototype.supports('getOrderFinance'));
+  }
+
+  /**
+   * Refresh an order's fees on request: from the marketplace where it reports them, else estimated
+   */
+  async refreshOrderFees(orderId) {
+    const order = await this.getOrder(orderId);
+    const integration = this.getFinanceIntegration(order.marketplaceAccount);
+
+    if (integration) {
+      return await this.importOrderFees(order, integration);
+    }
+
+    if (order.feeSource === 'MARKETPLACE') {
+      const error = new Error(`${order.marketplaceAccount.marketplace.name} does not report order fees anymore`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    return await this.applyEstimate(order, await this.getAccountRules(order.marketplaceAccountId));
+  }
+
+  /**
+   * Re-estimate the orders of an account after its fee rules changed
+   * Orders with fees from the marketplace are left alone.
+   * @returns {number} Orders re-estimated
+   */
+  async reestimateAccount(marketplaceAccountId) {
+    const rules = await this.getAccountRules(marketplaceAccountId);
+    let cursor = null;
+    let count = 0;
+    let orders;
+
+    do {
+      orders = await prisma.order.findMany({
+        where: {
+          marketplaceAccountId,
+          OR: [
+            { feeSource: null },
+            { feeSource: 'ESTIMATED' }
+          ]
+        },
+        include: {
+          orderItems: {
+            include: {
+              product: {
+                select: { categoryId: true }
+              }
+            }
+          }
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const order of orders) {
+        await this.applyEstimate(order, rules);
+      }
+
+      count += orders.length;
+      cursor = orders[orders.length - 1]?.id;
+    } while (orders.length === BATCH_SIZE);
+
+    logger.info(`Re-estimated fees of ${count} orders on account ${marketplaceAccountId}`);
+    return count;
+  }
+
+  /**
+   * Pull payouts of shipped and delivered orders without marketplace fees, least recently checked first
+   * Orders of marketplaces that do not report fees get an estimate instead.
+   * @param {string} userId - Limit the import to one user's orders
+   */
+  async importSettledOrders(userId = null) {
+    if (this.importInProgress) {
+      return null;
+    }
+
+    this.importInProgress = true;
+    const totals = { imported: 0, estimated: 0, failed: 0 };
+
+    try {
+      const orders = await prisma.order.findMany({
+        where: {
+          status: { in: SETTLED_STATUSES },
+          ...(userId && { userId }),
+          AND: [
+            {
+              OR: [
+                { feeSource: null },
+                // Estimates of marketplaces that never report fees would only be rewritten with the same
+                {
+                  feeSource: 'ESTIMATED',
+                  marketplaceAccount: { marketplace: { code: { in: this.getFinanceMarketplaceCodes() } } }
+                }
+              ]
+            },
+            {
+              OR: [
+                { feesUpdatedAt: null },
+                { feesUpdatedAt: { lt: new Date(Date.now() - RECHECK_AFTER) } }
+              ]
+            }
+          ]
+        },
+        include: {
+          orderItems: {
+            include: {
+              product: {
+                select: { categoryId: true }
+              }
+            }
+          },
+          marketplaceAccount: {
+            include: { marketplace: true }
+          }
+        },
+        orderBy: { feesUpdatedAt: { sort: 'asc', nulls: 'first' } },
+        take: BATCH_SIZE
+      });
+
+      // Marketplaces that do not report fees get an estimate from the seller's rules
+      const { results, failed } = await orderBatch.process(orders, {
+        getIntegration: (account) => this.getFinanceIntegration(account),
+        handle: async (order, integration) => integration
+          ? await this.importOrderFees(order, integration)
+          : await this.applyEstimate(order, await this.getAccountRules(order.marketplaceAccountId)),
+        checkedField: 'feesUpdatedAt',
+        label: 'Fee import'
+      });
+
+      totals.imported = results.filter(result => result.source === 'MARKETPLACE').length;
+      totals.estimated = results.length - totals.imported;
+      totals.failed = failed;
+
+      if (orders.length > 0) {
+        logger.info(`Fee import completed: ${totals.imported} imported, ${totals.estimated} estimated, ${totals.failed} failed`);
+      }
+    } finally {
+      this.importInProgress = false;
+    }
+
+    return totals;
+  }
+}
+
+// Create singleton instance
+const feeService = new FeeService();
+
+module.exports = feeService;
@@ -0,0 +1,354 @@
+const { prisma, transaction } = require('../utils/database');
+const orderStatusService = require('./orderStatusService');
+const returnService = require('./returnService');
+const logger = require('../utils/logger');
+
+// Statuses a shipment may move to from each status
+const SHIPMENT_TRANSITIONS = {
+  'PENDING': ['SHIPPED', 'CANCELLED'],
+  'SHIPPED': ['DELIVERED'],
+  'DELIVERED': [],
+  'CANCELLED': []
+};
+
+// Orders that can no longer get new shipments
+const CLOSED_STATUSES = ['DELIVERED', 'CANCELLED', 'REFUNDED'];
+
+const fulfillmentError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fulfillment Service
+ * Splits orders into shipments of their own items and quantities, cancels single items
+ * and derives the order's status from what was shipped, delivered and cancelled
+ */
+class FulfillmentService {
+  /**
+   * Load an order with its items and shipments
+   */
+  async getOrder(orderId, client = prisma) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true,
+        shipments: {
+          include: { items: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Quantities of every order item by where its units are
+   * unassigned units are neither cancelled nor in a shipment that is not cancelled.
+   * @returns {Map} orderItemId -> { ordered, cancelled, pending, shipped, delivered, unassigned }
+   */
+  getItemQuantities(order) {
+    const quantities = new Map(order.orderItems.map(item => [item.id, {
+      ordered: item.quantity,
+      cancelled: item.cancelledQuantity || 0,
+      pending: 0,
+      shipped: 0,
+      delivered: 0
+    }]));
+
+    for (const shipment of order.shipments || []) {
+      if (shipment.status === 'CANCELLED') {
+        continue;
+      }
+
+      const key = shipment.status.toLowerCase();
+      for (const item of shipment.items) {
+        const quantity = quantities.get(item.orderItemId);
+        if (quantity) {
+          quantity[key] += item.quantity;
+        }
+      }
+    }
+
+    for (const quantity of quantities.values()) {
+      quantity.unassigned = quantity.ordered - quantity.cancelled - quantity.pending - quantity.shipped - quantity.delivered;
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Order status that follows from the order's shipments and cancelled items
+   * Null while nothing is cancelled or in a shipment, so the order keeps its status.
+   */
+  deriveOrderStatus(order) {
+    let active = 0;
+    let assigned = 0;
+    let cancelled = 0;
+    let inTransit = 0;
+    let delivered = 0;
+
+    for (const quantity of this.getItemQuantities(order).values()) {
+      active += quantity.ordered - quantity.cancelled;
+      cancelled += quantity.cancelled;
+      assigned += quantity.pending + quantity.shipped + quantity.delivered;
+      inTransit += quantity.shipped + quantity.delivered;
+      delivered += quantity.delivered;
+    }
+
+    if (active === 0) {
+      return cancelled > 0 ? 'CANCELLED' : null;
+    }
+
+    if (delivered === active) {
+      return 'DELIVERED';
+    }
+
+    if (inTransit === active) {
+      return 'SHIPPED';
+    }
+
+    return assigned > 0 ? 'PROCESSING' : null;
+  }
+
+  /**
+   * Move the order to the status its shipments and cancelled items add up to
+   * Steps back are not applied; the state machine only lets the order move forward.
+   */
+  async refreshOrderStatus(tx, orderId, reason) {
+    const order = await this.getOrder(orderId, tx);
+    const status = this.deriveOrderStatus(order);
+
+    if (!status || status === order.status || !orderStatusService.canTransition(order.status, status)) {
+      return order.status;
+    }
+
+    await orderStatusService.changeStatus(orderId, status, { tx, source: 'SYSTEM', reason });
+    return status;
+  }
+
+  /**
+   * Validate requested quantities against the units of each item not cancelled or in a shipment yet
+   * @param {Array} items - [{ orderItemId, quantity }]
+   * @returns {Array} [{ orderItemId, quantity }] with repeated items added up
+   */
+  checkItems(order, items) {
+    const quantities = this.getItemQuantities(order);
+    const requested = new Map();
+
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+
+      if (!quantities.has(item.orderItemId)) {
+        throw fulfillmentError(`Item ${item.orderItemId} is not part of order ${order.orderNumber}`, 'INVALID_ITEMS');
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw fulfillmentError('Quantities must be positive whole numbers', 'INVALID_ITEMS');
+      }
+
+      requested.set(item.orderItemId, (requested.get(item.orderItemId) || 0) + quantity);
+    }
+
+    for (const [orderItemId, quantity] of requested) {
+      const orderItem = order.orderItems.find(item => item.id === orderItemId);
+      const { unassigned } = quantities.get(orderItemId);
+
+      if (quantity > unassigned) {
+        throw fulfillmentError(`Only ${unassigned} of ${orderItem.productName} left, ${quantity} requested`, 'INVALID_ITEMS');
+      }
+    }
+
+    return [...requested].map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+  }
+
+  /**
+   * Ship some of an order's items in a shipment of their own
+   * Without items the shipment takes every unit not cancelled or shipped yet.
+   * @param {Object} options - { items: [{ orderItemId, quantity }], trackingNumber, carrier, status }
+   */
+  async createShipment(orderId, options = {}) {
+    const status = options.status || 'PENDING';
+    if (!['PENDING', 'SHIPPED'].includes(status)) {
+      throw fulfillmentError(`New shipments cannot be ${status}`, 'INVALID_STATUS');
+    }
+
+    const { order, shipment } = await transaction(async (tx) => {
+      await this.lockOrder(tx, orderId);
+      const order = await this.getOrder(orderId, tx);
+
+      if (CLOSED_STATUSES.includes(order.status)) {
+        throw fulfillmentError(`Order is ${order.status} and cannot be shipped`, 'INVALID_STATUS');
+      }
+
+      const items = options.items?.length
+        ? this.checkItems(order, options.items)
+        : this.getUnassignedItems(order);
+
+      if (items.length === 0) {
+        throw fulfillmentError('Every item of the order is already shipped or cancelled', 'INVALID_ITEMS');
+      }
+
+      const shipment = await this.addShipment(tx, order, items, { ...options, status }, 'Shipment created');
+      return { order, shipment };
+    });
+
+    logger.info(`Shipment ${shipment.id} of order ${order.orderNumber} created with ${shipment.items.length} items`);
+    return shipment;
+  }
+
+  /**
+   * Put every unit not cancelled or in a shipment yet into one shipment
+   * Used when the marketplace arranges the whole order at once; nothing happens when no unit is left.
+   * @param {Object} options - { trackingNumber, carrier }
+   */
+  async shipRemainingItems(tx, orderId, options, reason) {
+    await this.lockOrder(tx, orderId);
+    const order = await this.getOrder(orderId, tx);
+    const items = this.getUnassignedItems(order);
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    return await this.addShipment(tx, order, items, options, reason);
+  }
+
+  /**
+   * Hold the order's row until the transaction ends
+   * Shipments and cancellations check the order's units after taking it, so two requests cannot take the same units.
+   */
+  async lockOrder(tx, orderId) {
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+  }
+
+  /**
+   * Every unit of each item not cancelled or in a shipment yet
+   */
+  getUnassignedItems(order) {
+    return [...this.getItemQuantities(order)]
+      .filter(([, quantity]) => quantity.unassigned > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity: quantity.unassigned }));
+  }
+
+  /**
+   * Create a shipment of the given items and move the order along
+   */
+  async addShipment(tx, order, items, options, reason) {
+    const status = options.status || 'PENDING';
+
+    const shipment = await tx.shipment.create({
+      data: {
+        orderId: order.id,
+        status,
+        trackingNumber: options.trackingNumber || null,
+        shippingCarrier: options.carrier || null,
+        ...(status === 'SHIPPED' && { shippedAt: new Date() }),
+        items: {
+          create: items
+        }
+      },
+      include: { items: true }
+    });
+
+    await this.refreshOrderStatus(tx, order.id, reason);
+    return shipment;
+  }
+
+  /**
+   * Move a shipment along, or correct its tracking number
+   * @param {Object} changes - { status, trackingNumber, carrier }
+   */
+  async updateShipment(orderId, shipmentId, changes = {}) {
+    return await transaction(async (tx) => {
+      await this.lockOrder(tx, orderId);
+      const shipment = await tx.shipment.findFirst({
+        where: { id: shipmentId, orderId }
+      });
+
+      if (!shipment) {
+        throw new Error('Shipment not found');
+      }
+
+      const status = changes.status && changes.status !== shipment.status ? changes.status : null;
+      if (status && !(SHIPMENT_TRANSITIONS[shipment.status] || []).includes(status)) {
+        throw fulfillmentError(`Cannot change shipment from ${shipment.status} to ${status}`, 'INVALID_TRANSITION');
+      }
+
+      const updated = await tx.shipment.update({
+        where: { id: shipmentId },
+        data: {
+          ...(status && { status }),
+          ...(status === 'SHIPPED' && { shippedAt: new Date() }),
+          ...(status === 'DELIVERED' && { deliveredAt: new Date() }),
+          ...(changes.trackingNumber !== undefined && { trackingNumber: changes.trackingNumber || null }),
+          ...(changes.carrier !== undefined && { shippingCarrier: changes.carrier || null })
+        },
+        include: { items: true }
+      });
+
+      if (status) {
+        await this.refreshOrderStatus(tx, orderId, `Shipment ${status.toLowerCase()}`);
+      }
+
+      return updated;
+    });
+  }
+
+  /**
+   * Cancel single units of an order and put only those back in stock
+   * Units in a shipment that is not cancelled have left or are about to leave, so they are refused.
+   * @param {Array} items - [{ orderItemId, quantity }]
+   * @returns {Object} { status, cancelled, restocked }
+   */
+  async cancelItems(orderId, items, reason = '') {
+    const { order, cancelled, status, restocked } = await transaction(async (tx) => {
+      await this.lockOrder(tx, orderId);
+      const order = await this.getOrder(orderId, tx);
+
+      if (CLOSED_STATUSES.includes(order.status)) {
+        throw fulfillmentError(`Order is ${order.status} and its items cannot be cancelled`, 'INVALID_STATUS');
+      }
+
+      const cancelled = this.checkItems(order, items);
+      const restockable = [];
+
+      for (const item of cancelled) {
+        const orderItem = await tx.orderItem.update({
+          where: { id: item.orderItemId },
+          data: { cancelledQuantity: { increment: item.quantity } }
+        });
+
+        // Items that never matched one of our products were not taken from stock
+        if (orderItem.productId) {
+          restockable.push({ productId: orderItem.productId, variantId: orderItem.variantId, quantity: item.quantity });
+        }
+      }
+
+      const restocked = await returnService.restockItems(
+        tx,
+        order,
+        restockable,
+        `Items of order ${order.orderNumber} cancelled${reason ? `: ${reason}` : ''}`
+      );
+      const status = await this.refreshOrderStatus(tx, orderId, reason || 'Items cancelled');
+
+      return { order, cancelled, status, restocked };
+    });
+
+    await returnService.syncRestockedStock(order, restocked);
+    logger.info(`${cancelled.length} items of order ${order.orderNumber} cancelled`);
+
+    return { status, cancelled, restocked: restocked.length };
+  }
+}
+
+// Create singleton instance
+const fulfillmentService = new FulfillmentService();
+
+module.exports = fulfillmentService;
@@ -0,0 +1,220 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Defaults for anything an integration's image profile leaves out
+const DEFAULT_PROFILE = {
+  size: 1000,
+  square: true,
+  background: '#ffffff',
+  quality: 85,
+  minQuality: 50,
+  maxBytes: 2 * 1024 * 1024,
+  watermark: null
+};
+
+// Quality is lowered in these steps until the image fits maxBytes
+const QUALITY_STEP = 10;
+
+const DOWNLOAD_TIMEOUT = 30000;
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Image Pipeline Service
+ * Resizes, pads, compresses and watermarks product images per marketplace before upload,
+ * and remembers what was uploaded so unchanged images are never sent twice
+ */
+class ImagePipelineService {
+  /**
+   * Effective image profile of an integration, or null when it takes image URLs as-is
+   */
+  getProfile(integration) {
+    return integration.imageProfile ? { ...DEFAULT_PROFILE, ...integration.imageProfile } : null;
+  }
+
+  /**
+   * Read an image from a URL, a data URI or an { url, base64, buffer } object
+   */
+  async loadSource(source) {
+    if (Buffer.isBuffer(source?.buffer)) {
+      return source.buffer;
+    }
+
+    if (source?.base64) {
+      return Buffer.from(source.base64, 'base64');
+    }
+
+    const url = typeof source === 'string' ? source : source?.url;
+    if (!url) {
+      throw new Error('Image source must be a URL, data URI or base64 string');
+    }
+
+    const dataUri = url.match(/^data:[^;,]*;base64,(.*)$/);
+    if (dataUri) {
+      return Buffer.from(dataUri[1], 'base64');
+    }
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Identify a source image as processed under a profile
+   * Changing either the image or the profile (size, watermark, ...) yields a new fingerprint
+   */
+  fingerprint(buffer, profile) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(profile))
+      .update(buffer)
+      .digest('hex');
+  }
+
+  /**
+   * Resize, pad to square, watermark and compress one image
+   * @returns {Object} { buffer, base64, mimeType, filename, width, height }
+   */
+  async processImage(buffer, profile, name = 'image') {
+    // sharp is a native addon; only load it when an image actually needs processing
+    const sharp = require('sharp');
+
+    let image = await sharp(buffer)
+      .rotate()
+      .resize(profile.size, profile.size, {
+        fit: profile.square ? 'contain' : 'inside',
+        withoutEnlargement: !profile.square,
+        background: profile.background
+      })
+      .flatten({ background: profile.background })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    if (profile.watermark) {
+      const overlay = await this.renderWatermark(profile.watermark, image.info.width, image.info.height);
+      image = await sharp(image.data)
+        .composite([{ input: overlay, gravity: profile.watermark.position || 'southeast' }])
+        .png()
+        .toBuffer({ resolveWithObject: true });
+    }
+
+    let quality = profile.quality;
+    let output = await sharp(image.data).jpeg({ quality, mozjpeg: true }).toBuffer();
+
+    while (output.length > profile.maxBytes && quality - QUALITY_STEP >= profile.minQuality) {
+      quality -= QUALITY_STEP;
+      output = await sharp(image.data).jpeg({ quality, mozjpeg: true }).toBuffer();
+    }
+
+    if (output.length > profile.maxBytes) {
+      throw new Error(`Image ${name} is ${output.length} bytes after compression; the marketplace accepts at most ${profile.maxBytes}`);
+    }
+
+    return {
+      buffer: output,
+      base64: output.toString('base64'),
+      mimeType: 'image/jpeg',
+      filename: `${name}.jpg`,
+      width: image.info.width,
+      height: image.info.height
+    };
+  }
+
+  /**
+   * Build a watermark overlay from text or an image, scaled to the photo
+   * @param {Object} watermark - { text } or { image }, plus optional opacity (0-1) and scale (share of the width)
+   */
+  async renderWatermark(watermark, width, height) {
+    const sharp = require('sharp');
+    const opacity = watermark.opacity ?? 0.5;
+    const overlayWidth = Math.round(width * (watermark.scale ?? 0.3));
+
+    if (watermark.text) {
+      const fontSize = Math.max(12, Math.round(overlayWidth / Math.max(String(watermark.text).length, 1) * 1.6));
+      const overlayHeight = Math.min(height, Math.round(fontSize * 1.5));
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${overlayWidth}" height="${overlayHeight}">` +
+        '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" font-family="sans-serif" ' +
+        `font-size="${fontSize}" fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity / 2}">` +
+        `${escapeXml(watermark.text)}</text></svg>`;
+
+      return Buffer.from(svg);
+    }
+
+    if (watermark.image) {
+      const source = await this.loadSource(watermark.image);
+
+      return sharp(source)
+        .resize({ width: overlayWidth, height, fit: 'inside' })
+        .ensureAlpha()
+        .composite([{
+          input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: 'dest-in'
+        }])
+        .png()
+        .toBuffer();
+    }
+
+    throw new Error('Watermark needs either text or an image');
+  }
+
+  /**
+   * Process and upload product images for one marketplace listing
+   * Images whose fingerprint is already in imageUploads reuse the earlier upload.
+   * @param {Object} integration - Marketplace integration
+   * @param {Array} sources - Product images (URLs, data URIs or { url, base64, buffer })
+   * @param {Object} imageUploads - Fingerprint -> uploaded image, from MarketplaceProduct.marketplaceData
+   * @returns {Object} { images: references for the listing, imageUploads, uploaded, reused }
+   */
+  async prepareImages(integration, sources = [], imageUploads = {}) {
+    const profile = this.getProfile(integration);
+
+    if (!profile) {
+      return { images: sources, imageUploads: undefined, uploaded: 0, reused: 0 };
+    }
+
+    const images = [];
+    const nextUploads = {};
+    let uploaded = 0;
+    let reused = 0;
+
+    for (const [index, source] of sources.entries()) {
+      const buffer = await this.loadSource(source);
+      const fingerprint = this.fingerprint(buffer, profile);
+
+      let uploadedImage = nextUploads[fingerprint] || imageUploads?.[fingerprint];
+
+      if (uploadedImage) {
+        reused++;
+      } else {
+        const processed = await this.processImage(buffer, profile, `image-${index + 1}`);
+        [uploadedImage] = await integration.uploadImages([processed]);
+
+        if (!uploadedImage) {
+          throw new Error(`Marketplace did not accept image ${index + 1}`);
+        }
+        uploaded++;
+      }
+
+      // Only images still on the product stay cached
+      nextUploads[fingerprint] = uploadedImage;
+      images.push(integration.getImageReference(uploadedImage));
+    }
+
+    if (uploaded > 0) {
+      logger.info(`Uploaded ${uploaded} image(s) to marketplace account ${integration.accountId}, reused ${reused}`);
+    }
+
+    return { images, imageUploads: nextUploads, uploaded, reused };
+  }
+}
+
+// Create singleton instance
+const imagePipelineService = new ImagePipelineService();
+
+module.exports = imagePipelineService;
@@ -1,6 +1,8 @@
 const { prisma, transaction } = require('../utils/database');
 const MarketplaceFactory = require('../integrations/MarketplaceFactory');
 const { addOrderJob } = require('../jobs/queueManager');
+const circuitBreaker = require('../utils/circuitBreaker');
+const orderStatusService = require('./orderStatusService');
 const logger = require('../utils/logger');
 const { io } = require('../server');
 
@@ -258,11 +260,12 @@ class OrderManagementService {
           marketplaceAccountId: marketplaceAccount.id,
           orderNumber: this.generateOrderNumber(marketplaceAccount.marketplace.code, marketplaceOrder.marketplaceOrderId),
           marketplaceOrderId: marketplaceOrder.marketplaceOrderId,
-          status: this.normalizeOrderStatus(marketplaceOrder.status),
+          status: marketplaceOrder.status || 'PENDING',
           totalAmount: marketplaceOrder.totalAmount || 0,
           shippingCost: marketplaceOrder.shippingCost || 0,
           customerInfo: marketplaceOrder.customerInfo || {},
           shippingAddress: marketplaceOrder.shippingAddress || {},
+          shipByDate: marketplaceOrder.shipByDate ? new Date(marketplaceOrder.shipByDate) : null,
           orderDate: new Date(marketplaceOrder.orderDate),
           notes: marketplaceOrder.notes || ''
         }
@@ -300,7 +303,7 @@ class OrderManagementService {
                   {
                     marketplaceProducts: {
                       some: {
-                        marketplaceProductId: item.variantId,
+                        marketplaceVariantId: item.variantId,
                         marketplaceAccountId: marketplaceAccount.id
                       }
                     }
@@ -334,14 +337,10 @@ class OrderManagementService {
       }
 
       // Create order status history
-      await tx.orderStatusHistory.create({
-        data: {
-          orderId: order.id,
-          status: order.status,
-          changedBy: 'SYSTEM',
-          reason: 'Order imported from marketplace',
-          changedAt: new Date()
-        }
+      await orderStatusService.recordInitialStatus(tx, order, {
+        source: 'MARKETPLACE',
+        marketplaceStatus: marketplaceOrder.marketplaceStatus,
+        reason: 'Order imported from marketplace'
       });
 
       return order;
@@ -352,40 +351,22 @@ class OrderManagementService {
    * Update existing order
    */
   async updateExistingOrder(existingOrder, marketplaceOrder) {
-    return await transaction(async (tx) => {
-      const oldStatus = existingOrder.status;
-      const newStatus = this.normalizeOrderStatus(marketplaceOrder.status);
-
-      // Update order
-      const updatedOrder = await tx.order.update({
-        where: { id: existingOrder.id },
-        data: {
-          status: newStatus,
-          totalAmount: marketplaceOrder.totalAmount || existingOrder.totalAmount,
-          shippingCost: marketplaceOrder.shippingCost || existingOrder.shippingCost,
-          customerInfo: marketplaceOrder.customerInfo || existingOrder.customerInfo,
-          shippingAddress: marketplaceOrder.shippingAddress || existingOrder.shippingAddress,
-          notes: marketplaceOrder.notes || existingOrder.notes,
-          updatedAt: new Date()
-        }
-      });
-
-      // Create status history if status changed
-      if (oldStatus !== newStatus) {
-        await tx.orderStatusHistory.create({
-          data: {
-            orderId: existingOrder.id,
-            status: newStatus,
-            previousStatus: oldStatus,
-            changedBy: 'SYSTEM',
-            reason: 'Status updated from marketplace',
-            changedAt: new Date()
-          }
-        });
+    // The status only moves along the state machine; the history is recorded with it
+    const { order } = await orderStatusService.changeStatus(existingOrder.id, marketplaceOrder.status, {
+      source: 'MARKETPLACE',
+      marketplaceStatus: marketplaceOrder.marketplaceStatus,
+      reason: 'Status updated from marketplace',
+      data: {
+        totalAmount: marketplaceOrder.totalAmount || existingOrder.totalAmount,
+        shippingCost: marketplaceOrder.shippingCost || existingOrder.shippingCost,
+        customerInfo: marketplaceOrder.customerInfo || existingOrder.customerInfo,
+        shippingAddress: marketplaceOrder.shippingAddress || existingOrder.shippingAddress,
+        notes: marketplaceOrder.notes || existingOrder.notes,
+        updatedAt: new Date()
       }
-
-      return updatedOrder;
     });
+
+    return order;
   }
 
   /**
@@ -438,40 +419,6 @@ class OrderManagementService {
     return `${marketplaceCode}-${marketplaceOrderId}-${timestamp}`;
   }
 
-  /**
-   * Normalize order status across marketplaces
-   */
-  normalizeOrderStatus(marketplaceStatus) {
-    const statusMap = {
-      // Shopee
-      'UNPAID': 'PENDING',
-      'TO_SHIP': 'CONFIRMED',
-      'SHIPPED': 'SHIPPED',
-      'TO_CONFIRM_RECEIVE': 'SHIPPED',
-      'COMPLETED': 'DELIVERED',
-      'CANCELLED': 'CANCELLED',
-      'INVOICE_PENDING': 'PENDING',
-      
-      // Tokopedia
-      'new': 'PENDING',
-      'processed': 'PROCESSING',
-      'sent': 'SHIPPED',
-      'delivered': 'DELIVERED',
-      'cancelled': 'CANCELLED',
-      
-      // Lazada
-      'pending': 'PENDING',
-      'packed': 'PROCESSING',
-      'ready_to_ship': 'CONFIRMED',
-      'shipped': 'SHIPPED',
-      'delivered': 'DELIVERED',
-      'canceled': 'CANCELLED',
-      'returned': 'REFUNDED'
-    };
-
-    return statusMap[marketplaceStatus] || 'PENDING';
-  }
-
   /**
    * Apply automation rules to order
    */
@@ -569,7 +516,9 @@ class OrderManagementService {
 
     switch (actionType) {
       case 'update_status':
-        await this.updateOrderStatus(order.id, actionValue, 'AUTOMATION');
+        await this.updateOrderStatus(order.id, actionValue, 'AUTOMATION', {
+          reason: `Automation rule set status to ${actionValue}`
+        });
         break;
       case 'add_tag':
         await this.addOrderTag(order.id, actionValue);
@@ -608,10 +557,23 @@ class OrderManagementService {
         take: 100 // Limit batch size
       });
 
+      // Accounts whose circuit is open are left for the next run
+      const unavailableAccounts = new Set();
+
       for (const order of ordersToCheck) {
+        if (unavailableAccounts.has(order.marketplaceAccountId)) {
+          continue;
+        }
+
         try {
           await this.checkOrderStatusUpdate(order);
         } catch (error) {
+          if (circuitBreaker.isCircuitOpenError(error)) {
+            unavailableAccounts.add(order.marketplaceAccountId);
+            logger.info(`Skipping status checks for account ${order.marketplaceAccountId}: ${error.message}`);
+            continue;
+          }
+
           logger.error(`Failed to check status for order ${order.id}:`, error);
         }
       }
@@ -628,64 +590,46 @@ class OrderManagementService {
     try {
       const integration = MarketplaceFactory.createFromAccount(order.marketplaceAccount);
       const marketplaceOrder = await integration.getOrder(order.marketplaceOrderId);
-      
-      const currentStatus = this.normalizeOrderStatus(marketplaceOrder.status);
-      
-      if (currentStatus !== order.status) {
-        await this.updateOrderStatus(order.id, currentStatus, 'SYSTEM');
-        
+
+      const result = await orderStatusService.changeStatus(order.id, marketplaceOrder.status, {
+        source: 'MARKETPLACE',
+        marketplaceStatus: marketplaceOrder.marketplaceStatus,
+        reason: 'Status updated from marketplace'
+      });
+
+      if (result.changed) {
         // Emit real-time update
         this.emitOrderUpdate(order.userId, {
           type: 'order-status-changed',
           orderId: order.id,
-          oldStatus: order.status,
-          newStatus: currentStatus
+          oldStatus: result.previousStatus,
+          newStatus: result.order.status
         });
       }
 
     } catch (error) {
+      if (circuitBreaker.isCircuitOpenError(error)) {
+        throw error;
+      }
+
       logger.error(`Failed to check order status update:`, error);
     }
   }
 
   /**
    * Update order status
+   * Illegal transitions by users and automation throw INVALID_TRANSITION
+   * @param {string} source - MARKETPLACE, USER, AUTOMATION or SYSTEM
+   * @param {Object} options - { changedBy, reason }
    */
-  async updateOrderStatus(orderId, newStatus, changedBy, reason = '') {
-    return await transaction(async (tx) => {
-      const order = await tx.order.findUnique({
-        where: { id: orderId }
-      });
-
-      if (!order) {
-        throw new Error('Order not found');
-      }
-
-      const oldStatus = order.status;
-
-      // Update order
-      const updatedOrder = await tx.order.update({
-        where: { id: orderId },
-        data: {
-          status: newStatus,
-          updatedAt: new Date()
-        }
-      });
-
-      // Create status history
-      await tx.orderStatusHistory.create({
-        data: {
-          orderId,
-          status: newStatus,
-          previousStatus: oldStatus,
-          changedBy,
-          reason: reason || `Status changed from ${oldStatus} to ${newStatus}`,
-          changedAt: new Date()
-        }
-      });
-
-      return updatedOrder;
+  async updateOrderStatus(orderId, newStatus, source, options = {}) {
+    const { order } = await orderStatusService.changeStatus(orderId, newStatus, {
+      source,
+      changedBy: options.changedBy,
+      reason: options.reason
     });
+
+    return order;
   }
 
   /**
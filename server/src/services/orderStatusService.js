@@ -0,0 +1,222 @@
+const { transaction } = require('../utils/database');
+const { emitToUser } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+// Statuses an order may move to from each status. Marketplaces often skip steps between
+// two syncs, so forward jumps are allowed; nothing moves back to an earlier step.
+const ORDER_TRANSITIONS = {
+  'PENDING': ['CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
+  'CONFIRMED': ['PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
+  'PROCESSING': ['SHIPPED', 'DELIVERED', 'CANCELLED'],
+  'SHIPPED': ['DELIVERED', 'CANCELLED', 'REFUNDED'],
+  'DELIVERED': ['REFUNDED'],
+  'CANCELLED': ['REFUNDED'],
+  'REFUNDED': []
+};
+
+// Orders whose shipment the tracking service watches; a stuck flag is settled once the order leaves them
+const TRACKED_STATUSES = ['PROCESSING', 'SHIPPED'];
+
+const invalidTransition = (from, to) => {
+  const error = new Error(`Cannot change status from ${from} to ${to}`);
+  error.code = 'INVALID_TRANSITION';
+  return error;
+};
+
+/**
+ * Order Status Service
+ * Moves orders through the OrderStatus state machine and records every change with its source
+ */
+class OrderStatusService {
+  /**
+   * Whether an order may move from one status to another
+   */
+  canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Statuses an order in the given status may move to
+   */
+  getNextStatuses(status) {
+    return ORDER_TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Move an order to a new status and record the change
+   * Illegal changes by users and automation throw INVALID_TRANSITION. Illegal changes reported
+   * by the marketplace are not applied; they are recorded as rejected and flag the order instead.
+   * @param {string} orderId
+   * @param {string|null} status - Our OrderStatus; null when the marketplace status has no mapping
+   * @param {Object} options - { source, changedBy, reason, marketplaceStatus, data, tx }
+   *   data holds other order fields to write along with the status
+   * @returns {Object} { order, previousStatus, changed, rejected }
+   */
+  async changeStatus(orderId, status, options = {}) {
+    const { tx, ...change } = options;
+
+    if (tx) {
+      return await this.applyChange(tx, orderId, status, change);
+    }
+
+    return await transaction(async (client) => await this.applyChange(client, orderId, status, change));
+  }
+
+  async applyChange(tx, orderId, status, { source, changedBy = null, reason = null, marketplaceStatus = null, data = {} }) {
+    // Integrations map their statuses; a raw one here means an integration does not
+    if (status && !ORDER_TRANSITIONS[status]) {
+      throw new Error(`Unknown order status ${status}`);
+    }
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const previousStatus = order.status;
+
+    if (status && status !== previousStatus && !this.canTransition(previousStatus, status)) {
+      if (source !== 'MARKETPLACE') {
+        throw invalidTransition(previousStatus, status);
+      }
+
+      const updated = await this.flagConflict(tx, order, status, { changedBy, reason, marketplaceStatus, data });
+      return { order: updated, previousStatus, changed: false, rejected: true };
+    }
+
+    const changed = Boolean(status) && status !== previousStatus;
+    const update = {
+      ...data,
+      ...(changed && { status }),
+      // A legal status settles an earlier conflict
+      ...(status && order.statusConflict && { statusConflict: false }),
+      ...(changed && order.shipmentStuck && !TRACKED_STATUSES.includes(status) && { shipmentStuck: false })
+    };
+
+    const updated = Object.keys(update).length > 0
+      ? await tx.order.update({ where: { id: orderId }, data: update })
+      : order;
+
+    if (changed && source !== 'SYSTEM') {
+      await this.followShipments(tx, orderId, status);
+    }
+
+    if (changed) {
+      await tx.orderStatusHistory.create({
+        data: {
+          orderId,
+          status,
+          previousStatus,
+          source,
+          changedBy,
+          marketplaceStatus,
+          reason: reason || `Status changed from ${previousStatus} to ${status}`
+        }
+      });
+    }
+
+    return { order: updated, previousStatus, changed, rejected: false };
+  }
+
+  /**
+   * Move the order's shipments along with a status set on the whole order
+   * System changes are derived from the shipments themselves and are left out.
+   */
+  async followShipments(tx, orderId, status) {
+    if (status === 'CANCELLED') {
+      await tx.shipment.updateMany({
+        where: { orderId, status: 'PENDING' },
+        data: { status: 'CANCELLED' }
+      });
+    }
+
+    if (['SHIPPED', 'DELIVERED'].includes(status)) {
+      await tx.shipment.updateMany({
+        where: { orderId, status: 'PENDING' },
+        data: { status: 'SHIPPED', shippedAt: new Date() }
+      });
+    }
+
+    if (status === 'DELIVERED') {
+      await tx.shipment.updateMany({
+        where: { orderId, status: 'SHIPPED' },
+        data: { status: 'DELIVERED', deliveredAt: new Date() }
+      });
+    }
+  }
+
+  /**
+   * Keep the order's status, record the refused marketplace status and flag the order
+   * Syncs report the same status again and again; it is recorded once.
+   */
+  async flagConflict(tx, order, status, { changedBy, reason, marketplaceStatus, data }) {
+    const latest = await tx.orderStatusHistory.findFirst({
+      where: { orderId: order.id },
+      orderBy: { changedAt: 'desc' }
+    });
+
+    const alreadyRecorded = latest?.rejected &&
+      latest.status === status &&
+      latest.marketplaceStatus === marketplaceStatus;
+
+    if (!alreadyRecorded) {
+      await tx.orderStatusHistory.create({
+        data: {
+          orderId: order.id,
+          status,
+          previousStatus: order.status,
+          source: 'MARKETPLACE',
+          changedBy,
+          marketplaceStatus,
+          reason: reason || `Marketplace reported ${status} for an order that is ${order.status}`,
+          rejected: true
+        }
+      });
+    }
+
+    const updated = await tx.order.update({
+      where: { id: order.id },
+      data: { ...data, statusConflict: true }
+    });
+
+    if (!order.statusConflict) {
+      logger.warn(`Order ${order.orderNumber} cannot move from ${order.status} to ${status} reported by the marketplace`);
+      emitToUser(order.userId, 'order-update', {
+        type: 'status-conflict',
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        marketplaceStatus: status
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record the status a new order was created with
+   * @param {Object} tx - Transaction the order was created in
+   * @param {Object} order - The created order
+   * @param {Object} options - { source, changedBy, reason, marketplaceStatus }
+   */
+  async recordInitialStatus(tx, order, { source, changedBy = null, reason = null, marketplaceStatus = null }) {
+    return await tx.orderStatusHistory.create({
+      data: {
+        orderId: order.id,
+        status: order.status,
+        source,
+        changedBy,
+        marketplaceStatus,
+        reason
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const orderStatusService = new OrderStatusService();
+
+module.exports = orderStatusService;
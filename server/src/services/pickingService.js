@@ -0,0 +1,485 @@
+const { prisma, transaction } = require('../utils/database');
+const logger = require('../utils/logger');
+
+// Orders still waiting to be picked and packed
+const PICKABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
+// Upper bound for one wave; larger selections are split by narrowing the criteria
+const MAX_WAVE_ORDERS = 500;
+
+// A4 in points
+const PAGE_SIZE = [595.28, 841.89];
+const PAGE_MARGIN = 40;
+
+const DOCUMENT_TYPES = ['pick-list', 'packing-slips'];
+
+const pickingError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const formatDate = (date) => date
+  ? new Intl.DateTimeFormat('id-ID', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Jakarta' }).format(new Date(date))
+  : '-';
+
+// Marketplaces store addresses in their own shape; these are the keys they use between them
+const formatAddress = (address = {}) => [
+  address.address || address.full_address || address.address1,
+  address.district,
+  address.city,
+  address.province || address.state,
+  address.postal_code || address.zipcode || address.zip
+].filter(Boolean).join(', ');
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with a header row; columns are [{ key, label }]
+ */
+const toCsv = (columns, rows) => [
+  columns.map(column => csvCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Writes text and simple tables top to bottom, starting new pages as they fill up
+ * The standard fonts only cover WinAnsi, so other characters are replaced.
+ */
+class PdfWriter {
+  static async create() {
+    // pdf-lib is only needed when documents are actually downloaded
+    const { PDFDocument, StandardFonts } = require('pdf-lib');
+    const document = await PDFDocument.create();
+
+    return new PdfWriter(
+      document,
+      await document.embedFont(StandardFonts.Helvetica),
+      await document.embedFont(StandardFonts.HelveticaBold)
+    );
+  }
+
+  constructor(document, font, boldFont) {
+    this.document = document;
+    this.font = font;
+    this.boldFont = boldFont;
+    this.page = null;
+    this.y = 0;
+  }
+
+  addPage() {
+    this.page = this.document.addPage(PAGE_SIZE);
+    this.y = PAGE_SIZE[1] - PAGE_MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (!this.page || this.y - height < PAGE_MARGIN) {
+      this.addPage();
+    }
+  }
+
+  clean(text) {
+    return String(text ?? '')
+      .replace(/[\u2000-\u200B\u202F]/g, ' ')
+      .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  }
+
+  fit(text, font, size, width) {
+    let fitted = this.clean(text);
+    if (font.widthOfTextAtSize(fitted, size) <= width) {
+      return fitted;
+    }
+
+    while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, size) > width) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+  }
+
+  text(text, { size = 10, bold = false, gap = 4 } = {}) {
+    const font = bold ? this.boldFont : this.font;
+    this.ensureSpace(size + gap);
+    this.y -= size;
+    this.page.drawText(this.fit(text, font, size, PAGE_SIZE[0] - 2 * PAGE_MARGIN), {
+      x: PAGE_MARGIN,
+      y: this.y,
+      size,
+      font
+    });
+    this.y -= gap;
+  }
+
+  space(height = 8) {
+    this.y -= height;
+  }
+
+  /**
+   * One table row; widths are fractions of the printable width
+   */
+  row(cells, widths, { size = 9, bold = false } = {}) {
+    const font = bold ? this.boldFont : this.font;
+    const printable = PAGE_SIZE[0] - 2 * PAGE_MARGIN;
+    let x = PAGE_MARGIN;
+
+    this.ensureSpace(size + 6);
+    this.y -= size;
+    cells.forEach((cell, index) => {
+      const width = widths[index] * printable;
+      this.page.drawText(this.fit(cell, font, size, width - 4), { x, y: this.y, size, font });
+      x += width;
+    });
+    this.y -= 6;
+  }
+
+  async save() {
+    if (!this.page) {
+      this.addPage();
+    }
+    return Buffer.from(await this.document.save());
+  }
+}
+
+/**
+ * Picking Service
+ * Groups orders waiting to be packed into picking waves and produces their pick lists and packing slips
+ */
+class PickingService {
+  /**
+   * Orders a wave with these criteria would take: pickable and not in a wave yet
+   * @param {Object} filters - { orderIds, marketplaceAccountIds, shipByBefore, carriers }
+   */
+  buildWaveFilter(userId, filters = {}) {
+    const { orderIds, marketplaceAccountIds, shipByBefore, carriers } = filters;
+
+    return {
+      userId,
+      status: { in: PICKABLE_STATUSES },
+      pickingWaveId: null,
+      ...(orderIds?.length && { id: { in: orderIds } }),
+      ...(marketplaceAccountIds?.length && { marketplaceAccountId: { in: marketplaceAccountIds } }),
+      ...(shipByBefore && { shipByDate: { lte: new Date(shipByBefore) } }),
+      ...(carriers?.length && { shippingCarrier: { in: carriers } })
+    };
+  }
+
+  /**
+   * Couriers of the orders waiting to be picked, to choose a wave's courier from
+   */
+  async getCarriers(userId) {
+    const orders = await prisma.order.findMany({
+      where: { ...this.buildWaveFilter(userId), shippingCarrier: { not: null } },
+      select: { shippingCarrier: true },
+      distinct: ['shippingCarrier'],
+      orderBy: { shippingCarrier: 'asc' }
+    });
+
+    return orders.map(order => order.shippingCarrier);
+  }
+
+  /**
+   * Put the orders matching the criteria into a new wave, most urgent first
+   * @returns {Object} The wave with its orderCount
+   */
+  async createWave(userId, filters = {}) {
+    const orders = await prisma.order.findMany({
+      where: this.buildWaveFilter(userId, filters),
+      select: { id: true },
+      orderBy: [{ shipByDate: 'asc' }, { orderDate: 'asc' }],
+      take: MAX_WAVE_ORDERS
+    });
+
+    if (orders.length === 0) {
+      throw pickingError('No orders waiting to be picked match the criteria', 'NO_ORDERS');
+    }
+
+    const wave = await transaction(async (tx) => {
+      const created = await tx.pickingWave.create({
+        data: {
+          userId,
+          filters,
+          orderCount: orders.length
+        }
+      });
+
+      // A wave created at the same time may have taken some of the orders since they were read
+      const { count } = await tx.order.updateMany({
+        where: { id: { in: orders.map(order => order.id) }, pickingWaveId: null },
+        data: { pickingWaveId: created.id }
+      });
+
+      if (count === 0) {
+        throw pickingError('No orders waiting to be picked match the criteria', 'NO_ORDERS');
+      }
+
+      if (count === orders.length) {
+        return created;
+      }
+
+      return await tx.pickingWave.update({
+        where: { id: created.id },
+        data: { orderCount: count }
+      });
+    });
+
+    logger.info(`Picking wave ${wave.id} created with ${wave.orderCount} orders`);
+    return wave;
+  }
+
+  /**
+   * Load a wave of the user with its orders still to be packed, their items and where the items are stored
+   * Orders cancelled or shipped since the wave was created stay out of its documents.
+   */
+  async getWave(userId, waveId) {
+    const wave = await prisma.pickingWave.findFirst({
+      where: { id: waveId, userId },
+      include: {
+        orders: {
+          where: { status: { in: PICKABLE_STATUSES } },
+          include: {
+            orderItems: true,
+            marketplaceAccount: {
+              include: { marketplace: true }
+            }
+          },
+          orderBy: [{ shipByDate: 'asc' }, { orderDate: 'asc' }]
+        }
+      }
+    });
+
+    if (!wave) {
+      throw new Error('Picking wave not found');
+    }
+
+    // Items that never matched one of our products have no storage location
+    const productIds = [...new Set(wave.orders.flatMap(order => order.orderItems.map(item => item.productId)))]
+      .filter(Boolean);
+    const inventories = productIds.length > 0
+      ? await prisma.inventory.findMany({
+        where: { productId: { in: productIds } },
+        select: { productId: true, variantId: true, location: true }
+      })
+      : [];
+
+    wave.locations = new Map(inventories.map(inventory => [
+      `${inventory.productId}:${inventory.variantId || ''}`,
+      inventory.location
+    ]));
+
+    return wave;
+  }
+
+  /**
+   * Delete a wave of the user and release its orders, so they can go into another wave
+   * @returns {number} Number of orders released
+   */
+  async deleteWave(userId, waveId) {
+    const wave = await prisma.pickingWave.findFirst({
+      where: { id: waveId, userId }
+    });
+
+    if (!wave) {
+      throw new Error('Picking wave not found');
+    }
+
+    const released = await transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { pickingWaveId: waveId },
+        data: { pickingWaveId: null }
+      });
+
+      await tx.pickingWave.delete({
+        where: { id: waveId }
+      });
+
+      return count;
+    });
+
+    logger.info(`Picking wave ${waveId} deleted, ${released} orders released`);
+    return released;
+  }
+
+  /**
+   * Units of the order still to be packed; cancelled units are back in stock
+   */
+  getPackItems(wave, order) {
+    return order.orderItems
+      .map(item => ({
+        sku: item.sku,
+        productName: item.productName,
+        quantity: item.quantity - (item.cancelledQuantity || 0),
+        location: wave.locations.get(`${item.productId}:${item.variantId || ''}`) || null
+      }))
+      .filter(item => item.quantity > 0);
+  }
+
+  /**
+   * Every unit of the wave summed up by storage location and SKU, in walking order
+   * Items without a location come last.
+   * @returns {Array} [{ location, sku, productName, quantity, orderNumbers }]
+   */
+  buildPickList(wave) {
+    const lines = new Map();
+
+    for (const order of wave.orders) {
+      for (const item of this.getPackItems(wave, order)) {
+        const key = `${item.location || ''}\u0000${item.sku}`;
+        const line = lines.get(key) || {
+          location: item.location,
+          sku: item.sku,
+          productName: item.productName,
+          quantity: 0,
+          orderNumbers: []
+        };
+
+        line.quantity += item.quantity;
+        if (!line.orderNumbers.includes(order.orderNumber)) {
+          line.orderNumbers.push(order.orderNumber);
+        }
+        lines.set(key, line);
+      }
+    }
+
+    return [...lines.values()].sort((a, b) => {
+      if (!a.location !== !b.location) {
+        return a.location ? -1 : 1;
+      }
+      return (a.location || '').localeCompare(b.location || '', 'id', { numeric: true }) ||
+        a.sku.localeCompare(b.sku, 'id', { numeric: true });
+    });
+  }
+
+  /**
+   * What goes into each order's parcel and where it goes
+   * @returns {Array} [{ orderNumber, marketplace, storeName, recipient, phone, address, carrier, trackingNumber, shipByDate, items }]
+   */
+  buildPackingSlips(wave) {
+    return wave.orders.map(order => {
+      const address = order.shippingAddress || {};
+
+      return {
+        orderNumber: order.orderNumber,
+        marketplaceOrderId: order.marketplaceOrderId,
+        marketplace: order.marketplaceAccount?.marketplace?.name || null,
+        storeName: order.marketplaceAccount?.storeName || null,
+        recipient: address.name || order.customerInfo?.name || null,
+        phone: address.phone || order.customerInfo?.phone || null,
+        address: formatAddress(address),
+        carrier: order.shippingCarrier,
+        trackingNumber: order.trackingNumber,
+        shipByDate: order.shipByDate,
+        items: this.getPackItems(wave, order)
+      };
+    });
+  }
+
+  /**
+   * A wave's pick list or packing slips as a downloadable file
+   * @param {string} type - pick-list or packing-slips
+   * @param {string} format - pdf or csv
+   * @returns {Object} { fileName, contentType, content }
+   */
+  async exportDocument(userId, waveId, type, format) {
+    if (!DOCUMENT_TYPES.includes(type)) {
+      throw pickingError(`Unknown document ${type}`, 'INVALID_DOCUMENT');
+    }
+
+    const wave = await this.getWave(userId, waveId);
+    const fileName = `${type}-${wave.createdAt.toISOString().split('T')[0]}-${wave.id.slice(-6)}.${format}`;
+
+    if (format === 'csv') {
+      const content = type === 'pick-list' ? this.pickListCsv(wave) : this.packingSlipsCsv(wave);
+      return { fileName, contentType: 'text/csv; charset=utf-8', content: Buffer.from(`\uFEFF${content}`, 'utf8') };
+    }
+
+    const content = type === 'pick-list' ? await this.pickListPdf(wave) : await this.packingSlipsPdf(wave);
+    return { fileName, contentType: 'application/pdf', content };
+  }
+
+  pickListCsv(wave) {
+    return toCsv([
+      { key: 'location', label: 'Lokasi' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'productName', label: 'Produk' },
+      { key: 'quantity', label: 'Jumlah' },
+      { key: 'orders', label: 'Pesanan' }
+    ], this.buildPickList(wave).map(line => ({ ...line, orders: line.orderNumbers.join(' ') })));
+  }
+
+  packingSlipsCsv(wave) {
+    const rows = this.buildPackingSlips(wave).flatMap(slip => slip.items.map(item => ({
+      ...slip,
+      ...item,
+      shipByDate: slip.shipByDate ? new Date(slip.shipByDate).toISOString() : ''
+    })));
+
+    return toCsv([
+      { key: 'orderNumber', label: 'No. Pesanan' },
+      { key: 'marketplace', label: 'Marketplace' },
+      { key: 'storeName', label: 'Toko' },
+      { key: 'shipByDate', label: 'Batas Kirim' },
+      { key: 'carrier', label: 'Kurir' },
+      { key: 'trackingNumber', label: 'No. Resi' },
+      { key: 'recipient', label: 'Penerima' },
+      { key: 'phone', label: 'Telepon' },
+      { key: 'address', label: 'Alamat' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'productName', label: 'Produk' },
+      { key: 'quantity', label: 'Jumlah' }
+    ], rows);
+  }
+
+  async pickListPdf(wave) {
+    const pdf = await PdfWriter.create();
+    const lines = this.buildPickList(wave);
+    const widths = [0.06, 0.14, 0.18, 0.4, 0.08, 0.14];
+
+    pdf.text('Daftar Ambil Barang (Pick List)', { size: 16, bold: true });
+    pdf.text(`Gelombang ${wave.id} · dibuat ${formatDate(wave.createdAt)}`);
+    pdf.text(`${wave.orders.length} pesanan · ${lines.reduce((sum, line) => sum + line.quantity, 0)} unit`);
+    pdf.space();
+    pdf.row(['', 'Lokasi', 'SKU', 'Produk', 'Jumlah', 'Pesanan'], widths, { bold: true });
+
+    for (const line of lines) {
+      pdf.row(['[ ]', line.location || '-', line.sku, line.productName, line.quantity, line.orderNumbers.length], widths);
+    }
+
+    return await pdf.save();
+  }
+
+  async packingSlipsPdf(wave) {
+    const pdf = await PdfWriter.create();
+    const widths = [0.2, 0.25, 0.45, 0.1];
+
+    for (const slip of this.buildPackingSlips(wave)) {
+      pdf.addPage();
+      pdf.text('Slip Pengepakan', { size: 16, bold: true });
+      pdf.text(`Pesanan ${slip.orderNumber} (${slip.marketplaceOrderId})`, { bold: true });
+      pdf.text([slip.marketplace, slip.storeName].filter(Boolean).join(' · '));
+      pdf.text(`Batas kirim: ${formatDate(slip.shipByDate)}`);
+      pdf.text(`Kurir: ${slip.carrier || '-'}${slip.trackingNumber ? ` · Resi ${slip.trackingNumber}` : ''}`);
+      pdf.space();
+      pdf.text('Penerima', { bold: true });
+      pdf.text([slip.recipient, slip.phone].filter(Boolean).join(' · ') || '-');
+      pdf.text(slip.address || '-');
+      pdf.space();
+      pdf.row(['Lokasi', 'SKU', 'Produk', 'Jumlah'], widths, { bold: true });
+
+      for (const item of slip.items) {
+        pdf.row([item.location || '-', item.sku, item.productName, item.quantity], widths);
+      }
+
+      pdf.space();
+      pdf.text(`Total ${slip.items.reduce((sum, item) => sum + item.quantity, 0)} unit`, { bold: true });
+    }
+
+    return await pdf.save();
+  }
+}
+
+// Create singleton instance
+const pickingService = new PickingService();
+
+module.exports = pickingService;
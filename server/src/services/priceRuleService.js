@@ -0,0 +1,231 @@
+const { prisma } = require('../utils/database');
+const { addSyncJob } = require('../jobs/queueManager');
+const logger = require('../utils/logger');
+
+// When several rules of an account match a product, the most specific one prices it
+const SCOPE_PRIORITY = {
+  SPECIFIC_PRODUCTS: 0,
+  CATEGORY: 1,
+  ALL_PRODUCTS: 2
+};
+
+class PriceRuleService {
+  /**
+   * Listed price for a base price; without a rule the base price is listed as it is
+   */
+  calculatePrice(rule, basePrice) {
+    const base = Number(basePrice);
+
+    if (!rule) {
+      return base;
+    }
+
+    const markedUp = base * (1 + Number(rule.markupPercentage) / 100) + Number(rule.fixedOffset);
+
+    // Gross up so that what is left after the marketplace's cut is the marked-up price
+    const listed = (markedUp + Number(rule.feeFixed)) / (1 - Number(rule.feePercentage) / 100);
+
+    // Cents first, so floating point noise doesn't push a round price up a whole step
+    const price = Math.round(listed * 100) / 100;
+
+    return Math.max(0, rule.roundTo ? Math.ceil(price / rule.roundTo) * rule.roundTo : price);
+  }
+
+  /**
+   * Whether a rule's scope covers a product
+   */
+  matchesProduct(rule, product) {
+    switch (rule.scope) {
+      case 'SPECIFIC_PRODUCTS':
+        return rule.productIds.includes(product.id);
+      case 'CATEGORY':
+        return !!product.categoryId && rule.categoryIds.includes(product.categoryId);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Pick the rule pricing a product out of an account's active rules, newest first on a tie
+   */
+  findRule(rules, product) {
+    const matching = rules
+      .filter(rule => rule.isActive && this.matchesProduct(rule, product))
+      .sort((a, b) =>
+        SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope] ||
+        new Date(b.createdAt) - new Date(a.createdAt)
+      );
+
+    return matching[0] || null;
+  }
+
+  /**
+   * Active price rules of a marketplace account
+   */
+  async getAccountRules(marketplaceAccountId) {
+    return await prisma.priceRule.findMany({
+      where: { marketplaceAccountId, isActive: true },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Product (or marketplace payload) with its own and its variants' prices set by the rule
+   */
+  applyRule(rule, product) {
+    return {
+      ...product,
+      price: this.calculatePrice(rule, product.price),
+      ...(product.variants && {
+        variants: product.variants.map(variant => ({
+          ...variant,
+          price: this.calculatePrice(rule, variant.price ?? product.price)
+        }))
+      })
+    };
+  }
+
+  /**
+   * Listed price of a product and each of its variants on every given account
+   */
+  async previewPrices(product, marketplaceAccounts) {
+    return await Promise.all(marketplaceAccounts.map(async (account) => {
+      const rule = this.findRule(await this.getAccountRules(account.id), product);
+      const priced = this.applyRule(rule, product);
+
+      return {
+        marketplaceAccountId: account.id,
+        storeName: account.storeName,
+        marketplace: account.marketplace?.name,
+        rule: rule && { id: rule.id, name: rule.name },
+        basePrice: Number(product.price),
+        price: priced.price,
+        variants: (priced.variants || []).map(variant => ({
+          variantId: variant.id,
+          sku: variant.sku,
+          basePrice: Number(product.variants.find(item => item.id === variant.id).price),
+          price: variant.price
+        }))
+      };
+    }));
+  }
+
+  /**
+   * Record the prices pushed for a product, one row for the product and one per variant
+   */
+  async logPriceSync(userId, marketplaceAccountId, product, rule, { success, error, reason }) {
+    const priced = this.applyRule(rule, product);
+    const rows = [
+      { variantId: null, basePrice: product.price, price: priced.price },
+      ...(priced.variants || []).map((variant, index) => ({
+        variantId: variant.id,
+        basePrice: product.variants[index].price ?? product.price,
+        price: variant.price
+      }))
+    ];
+
+    try {
+      await prisma.priceSyncLog.createMany({
+        data: rows.map(row => ({
+          userId,
+          marketplaceAccountId,
+          productId: product.id,
+          ruleId: rule?.id || null,
+          status: success ? 'SUCCESS' : 'FAILED',
+          reason,
+          errorMessage: error || null,
+          ...row
+        }))
+      });
+    } catch (logError) {
+      logger.error('Error logging price sync:', logError);
+    }
+  }
+
+  /**
+   * Products whose listed price a rule decides; null when it covers every product
+   */
+  async getScopedProductIds(rule) {
+    switch (rule.scope) {
+      case 'SPECIFIC_PRODUCTS':
+        return rule.productIds;
+      case 'CATEGORY': {
+        const products = await prisma.product.findMany({
+          where: { userId: rule.userId, categoryId: { in: rule.categoryIds } },
+          select: { id: true }
+        });
+        return products.map(product => product.id);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Queue a price push for listed products, one job per marketplace account
+   * productIds and marketplaceAccountIds left null cover all of the user's listings
+   */
+  async queuePriceSync(userId, { productIds = null, marketplaceAccountIds = null, reason } = {}) {
+    const listings = await prisma.marketplaceProduct.findMany({
+      where: {
+        variantId: null,
+        product: {
+          userId,
+          isActive: true,
+          ...(productIds && { id: { in: productIds } })
+        },
+        marketplaceAccount: {
+          isConnected: true,
+          ...(marketplaceAccountIds && { id: { in: marketplaceAccountIds } })
+        }
+      },
+      select: { productId: true, marketplaceAccountId: true }
+    });
+
+    const productsByAccount = new Map();
+    for (const listing of listings) {
+      const accountProducts = productsByAccount.get(listing.marketplaceAccountId) || new Set();
+      accountProducts.add(listing.productId);
+      productsByAccount.set(listing.marketplaceAccountId, accountProducts);
+    }
+
+    for (const [marketplaceAccountId, accountProducts] of productsByAccount) {
+      await addSyncJob('sync-prices', {
+        userId,
+        marketplaceAccountId,
+        productIds: [...accountProducts],
+        reason
+      });
+    }
+
+    logger.info(`Queued price sync of ${listings.length} listings on ${productsByAccount.size} accounts: ${reason}`);
+
+    return {
+      accounts: productsByAccount.size,
+      listings: listings.length
+    };
+  }
+
+  /**
+   * Re-price what a created, changed or deleted rule covers (or covered) on its account
+   */
+  async onRuleChange(rule, previousRule = null, reason = 'Price rule changed') {
+    const scopes = await Promise.all([rule, previousRule].filter(Boolean).map(item => this.getScopedProductIds(item)));
+    const productIds = scopes.includes(null) ? null : [...new Set(scopes.flat())];
+
+    if (productIds && productIds.length === 0) {
+      return { accounts: 0, listings: 0 };
+    }
+
+    return await this.queuePriceSync(rule.userId, {
+      productIds,
+      marketplaceAccountIds: [rule.marketplaceAccountId],
+      reason
+    });
+  }
+}
+
+// Create singleton instance
+const priceRuleService = new PriceRuleService();
+
+module.exports = priceRuleService;
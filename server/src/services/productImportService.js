@@ -0,0 +1,438 @@
+const { prisma, transaction } = require('../utils/database');
+const circuitBreaker = require('../utils/circuitBreaker');
+const variantMappingService = require('./variantMappingService');
+const logger = require('../utils/logger');
+
+// Names at least this similar (0-1) are proposed as a match when no SKU matches
+const NAME_MATCH_THRESHOLD = 0.6;
+
+// Number of near-matching products offered for each unmatched listing
+const MAX_CANDIDATES = 3;
+
+const normalizeSku = (sku) => String(sku ?? '').trim().toLowerCase();
+
+// "Kaos Polos - MERAH!" and "kaos polos merah" compare equal
+const normalizeName = (name) => String(name ?? '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const bigrams = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Product Import Service
+ * Reads the listings of a connected marketplace account, proposes which of our products they are,
+ * and turns the user's decisions into new products or MarketplaceProduct mappings
+ */
+class ProductImportService {
+  /**
+   * Similarity of two product names (Dice coefficient over character pairs), 0-1
+   */
+  nameSimilarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+
+    if (!left || !right) {
+      return 0;
+    }
+    if (left === right) {
+      return 1;
+    }
+
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    if (leftPairs.length === 0 || rightPairs.length === 0) {
+      return 0;
+    }
+
+    const remaining = [...rightPairs];
+    let shared = 0;
+    for (const pair of leftPairs) {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        shared++;
+      }
+    }
+
+    return (2 * shared) / (leftPairs.length + rightPairs.length);
+  }
+
+  /**
+   * Propose what one listing is in our catalog
+   * A listing already mapped on this account stays linked; otherwise our product or variant with
+   * the same SKU wins, and the most similar product name is only a suggestion.
+   * @param {Object} listing - Normalized marketplace product
+   * @param {Array} catalog - Our products with their variants
+   * @param {Map} linkedListings - Marketplace product ID -> product ID of existing mappings
+   * @returns {Object} { listing, status: linked|matched|suggested|new, match, candidates }
+   */
+  proposeMatch(listing, catalog, linkedListings = new Map()) {
+    const linkedProductId = linkedListings.get(String(listing.id));
+    if (linkedProductId) {
+      const product = catalog.find(item => item.id === linkedProductId);
+      return {
+        listing,
+        status: 'linked',
+        match: { productId: linkedProductId, sku: product?.sku, name: product?.name, method: 'listing', score: 1 },
+        candidates: []
+      };
+    }
+
+    // A product has one listing per account, so products listed elsewhere on it are not offered
+    const linkedProductIds = new Set(linkedListings.values());
+    const available = catalog.filter(product => !linkedProductIds.has(product.id));
+
+    const listingSkus = [listing.sku, ...(listing.variants || []).map(variant => variant.sku)]
+      .map(normalizeSku)
+      .filter(Boolean);
+
+    for (const product of available) {
+      if (listing.sku && normalizeSku(product.sku) === normalizeSku(listing.sku)) {
+        return {
+          listing,
+          status: 'matched',
+          match: { productId: product.id, sku: product.sku, name: product.name, method: 'sku', score: 1 },
+          candidates: []
+        };
+      }
+
+      const variant = (product.variants || []).find(item => listingSkus.includes(normalizeSku(item.sku)));
+      if (variant) {
+        // A listing without variants of its own stands for just that variant
+        const isSingleVariant = !(listing.variants || []).length;
+        return {
+          listing,
+          status: 'matched',
+          match: {
+            productId: product.id,
+            variantId: isSingleVariant ? variant.id : null,
+            sku: isSingleVariant ? variant.sku : product.sku,
+            name: isSingleVariant ? `${product.name} - ${variant.variantName}` : product.name,
+            method: 'sku',
+            score: 1
+          },
+          candidates: []
+        };
+      }
+    }
+
+    const candidates = available
+      .map(product => ({
+        productId: product.id,
+        sku: product.sku,
+        name: product.name,
+        score: Math.round(this.nameSimilarity(listing.name, product.name) * 100) / 100
+      }))
+      .filter(candidate => candidate.score >= NAME_MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+
+    if (candidates.length > 0) {
+      return {
+        listing,
+        status: 'suggested',
+        match: { ...candidates[0], method: 'name' },
+        candidates
+      };
+    }
+
+    return { listing, status: 'new', match: null, candidates: [] };
+  }
+
+  /**
+   * Page through every listing of an account and propose a match for each
+   * @param {Object} integration - Marketplace integration of the account
+   * @returns {Array} Proposals, see proposeMatch
+   */
+  async scanListings(integration, userId, marketplaceAccountId) {
+    const catalog = await prisma.product.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        sku: true,
+        name: true,
+        variants: {
+          select: { id: true, sku: true, variantName: true }
+        }
+      }
+    });
+
+    const mappings = await prisma.marketplaceProduct.findMany({
+      where: { marketplaceAccountId },
+      select: { productId: true, marketplaceProductId: true }
+    });
+    const linkedListings = new Map(mappings.map(mapping => [String(mapping.marketplaceProductId), mapping.productId]));
+
+    const proposals = [];
+
+    for await (const product of integration.paginateAll(integration.getProducts)) {
+      const listing = {
+        id: String(product.marketplaceProductId),
+        sku: product.sku || null,
+        name: product.name,
+        description: product.description || null,
+        price: product.price,
+        stock: product.stock,
+        weight: product.weight || null,
+        images: product.images || [],
+        variants: await this.getListingVariants(integration, product)
+      };
+
+      proposals.push(this.proposeMatch(listing, catalog, linkedListings));
+    }
+
+    logger.info(`Scanned ${proposals.length} listings of marketplace account ${marketplaceAccountId} for import`);
+
+    return proposals;
+  }
+
+  /**
+   * Variants of a listing; product lists of some marketplaces leave them out
+   */
+  async getListingVariants(integration, product) {
+    if (product.variants?.length > 0) {
+      return product.variants;
+    }
+
+    try {
+      return await integration.getProductVariants(product.marketplaceProductId);
+    } catch (error) {
+      if (circuitBreaker.isCircuitOpenError(error)) {
+        throw error;
+      }
+
+      logger.warn(`Could not load variants of listing ${product.marketplaceProductId}, importing it without variants:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Carry out the user's decision for each listing of an import
+   * Listings are linked to existing products or created as new ones; every listing gets its
+   * product-level MarketplaceProduct row in one batch, and its variants their own rows afterwards.
+   * @param {Object} marketplaceAccount - Account with its marketplace
+   * @param {Array} proposals - Proposals stored by the import job
+   * @param {Array} decisions - [{ marketplaceProductId, action: create|link|skip, productId, variantId }]
+   * @returns {Object} { results, created, linked, skipped, failed }
+   */
+  async applyImport(userId, marketplaceAccount, proposals, decisions) {
+    const marketplaceAccountId = marketplaceAccount.id;
+    const proposalsById = new Map(proposals.map(proposal => [String(proposal.listing.id), proposal]));
+
+    const mappings = await prisma.marketplaceProduct.findMany({
+      where: { marketplaceAccountId },
+      select: { productId: true, marketplaceProductId: true }
+    });
+    const linkedProductIds = new Set(mappings.map(mapping => mapping.productId));
+    const linkedListingIds = new Set(mappings.map(mapping => String(mapping.marketplaceProductId)));
+
+    const results = [];
+    const rows = [];
+    const variantLinks = [];
+
+    for (const decision of decisions) {
+      const marketplaceProductId = String(decision.marketplaceProductId);
+      const proposal = proposalsById.get(marketplaceProductId);
+
+      if (!proposal) {
+        results.push({ marketplaceProductId, action: 'failed', error: 'Listing is not part of this import' });
+        continue;
+      }
+
+      const { listing } = proposal;
+
+      if (decision.action === 'skip') {
+        results.push({ marketplaceProductId, action: 'skipped' });
+        continue;
+      }
+
+      if (linkedListingIds.has(marketplaceProductId)) {
+        results.push({ marketplaceProductId, action: 'skipped', error: 'Listing is already linked' });
+        continue;
+      }
+
+      try {
+        let product;
+        let variantId = null;
+
+        if (decision.action === 'link') {
+          product = await prisma.product.findFirst({
+            where: { id: decision.productId, userId },
+            include: {
+              variants: { where: { isActive: true } }
+            }
+          });
+
+          if (!product) {
+            throw new Error('Product not found');
+          }
+
+          if (linkedProductIds.has(product.id)) {
+            throw new Error('Product is already linked to another listing of this account');
+          }
+
+          if (decision.variantId) {
+            if (!product.variants.some(variant => variant.id === decision.variantId)) {
+              throw new Error('Variant does not belong to the product');
+            }
+            if (listing.variants?.length > 0) {
+              throw new Error('A listing with variants is linked to a product, not to one of its variants');
+            }
+            variantId = decision.variantId;
+          }
+        } else if (decision.action === 'create') {
+          product = await this.createProductFromListing(userId, marketplaceAccount, listing);
+        } else {
+          throw new Error(`Unknown action ${decision.action}`);
+        }
+
+        rows.push({
+          productId: product.id,
+          variantId,
+          marketplaceAccountId,
+          marketplaceProductId,
+          // The listing itself stands for our variant
+          ...(variantId && { marketplaceVariantId: marketplaceProductId }),
+          marketplaceSku: listing.sku,
+          marketplacePrice: listing.price,
+          syncStatus: 'SUCCESS',
+          lastSynced: new Date(),
+          marketplaceData: listing
+        });
+
+        if (!variantId && product.variants?.length > 0 && listing.variants?.length > 0) {
+          variantLinks.push({ product, listing });
+        }
+
+        linkedProductIds.add(product.id);
+        linkedListingIds.add(marketplaceProductId);
+        results.push({
+          marketplaceProductId,
+          action: decision.action === 'create' ? 'created' : 'linked',
+          productId: product.id,
+          sku: product.sku
+        });
+
+      } catch (error) {
+        logger.warn(`Import of listing ${marketplaceProductId} failed:`, error.message);
+        results.push({ marketplaceProductId, action: 'failed', error: error.message });
+      }
+    }
+
+    if (rows.length > 0) {
+      await prisma.marketplaceProduct.createMany({
+        data: rows,
+        skipDuplicates: true
+      });
+    }
+
+    for (const { product, listing } of variantLinks) {
+      const variants = await variantMappingService.linkVariants(product, marketplaceAccountId, listing.id, listing.variants);
+      const result = results.find(item => item.marketplaceProductId === listing.id);
+      result.variants = variants;
+    }
+
+    const count = (action) => results.filter(result => result.action === action).length;
+    const summary = {
+      created: count('created'),
+      linked: count('linked'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    };
+
+    logger.info(`Import into marketplace account ${marketplaceAccountId}: ${summary.created} created, ${summary.linked} linked, ${summary.failed} failed`);
+
+    return { results, ...summary };
+  }
+
+  /**
+   * Create one of our products, with variants and inventory, from a listing
+   * Listings without a SKU get one derived from the marketplace code and listing ID.
+   */
+  async createProductFromListing(userId, marketplaceAccount, listing) {
+    const sku = listing.sku || `${marketplaceAccount.marketplace.code}-${listing.id}`.toUpperCase();
+    const variants = (listing.variants || []).map(variant => ({
+      ...variant,
+      sku: variant.sku || `${sku}-${variant.id}`
+    }));
+
+    const existingProduct = await prisma.product.findUnique({ where: { sku } });
+    if (existingProduct) {
+      throw new Error(`SKU ${sku} already exists`);
+    }
+
+    if (variants.length > 0) {
+      const existingVariants = await prisma.productVariant.findMany({
+        where: { sku: { in: variants.map(variant => variant.sku) } },
+        select: { sku: true }
+      });
+
+      if (existingVariants.length > 0) {
+        throw new Error(`Variant SKU ${existingVariants.map(variant => variant.sku).join(', ')} already exists`);
+      }
+    }
+
+    return transaction(async (tx) => {
+      const product = await tx.product.create({
+        data: {
+          userId,
+          sku,
+          name: listing.name,
+          description: listing.description,
+          price: listing.price || 0,
+          weight: listing.weight,
+          images: listing.images
+        }
+      });
+
+      // Stock of a product with variants is kept per variant
+      const stock = variants.length > 0 ? 0 : parseInt(listing.stock) || 0;
+      await tx.inventory.create({
+        data: {
+          productId: product.id,
+          stockQuantity: stock,
+          availableQuantity: stock
+        }
+      });
+
+      product.variants = [];
+      for (const variant of variants) {
+        const createdVariant = await tx.productVariant.create({
+          data: {
+            productId: product.id,
+            variantName: variant.variantName || variant.sku,
+            sku: variant.sku,
+            price: variant.price || listing.price || 0,
+            attributes: variant.attributes
+          }
+        });
+
+        const variantStock = parseInt(variant.stock) || 0;
+        await tx.inventory.create({
+          data: {
+            productId: product.id,
+            variantId: createdVariant.id,
+            stockQuantity: variantStock,
+            availableQuantity: variantStock
+          }
+        });
+
+        product.variants.push(createdVariant);
+      }
+
+      return product;
+    });
+  }
+}
+
+// Create singleton instance
+const productImportService = new ProductImportService();
+
+module.exports = productImportService;
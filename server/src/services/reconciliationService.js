@@ -0,0 +1,712 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { prisma } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const reportingService = require('./reportingService');
+const logger = require('../utils/logger');
+
+// Payouts within this many rupiah of the expected amount are rounding, not a shortfall
+const AMOUNT_TOLERANCE = 1;
+
+// Delivered orders are expected to be paid out within this many days of the order date
+const PAYOUT_GRACE_DAYS = 14;
+
+// Orders the marketplaces owe a payout for
+const PAYOUT_STATUSES = ['DELIVERED'];
+
+// Settlement exports put their header below a few title rows
+const HEADER_SEARCH_ROWS = 20;
+
+// Column headers of the marketplaces' settlement exports, lowercased
+const COLUMN_ALIASES = {
+  marketplaceOrderId: [
+    'order id', 'order no', 'order no.', 'order number', 'order sn', 'order_sn',
+    'no. pesanan', 'no pesanan', 'nomor pesanan', 'invoice', 'no. invoice', 'nomor invoice'
+  ],
+  amount: [
+    'payout amount', 'settlement amount', 'escrow amount', 'amount',
+    'total penghasilan', 'total dana dilepaskan', 'dana dilepaskan', 'penghasilan', 'nominal', 'jumlah'
+  ],
+  settledAt: [
+    'settled at', 'settlement date', 'release time', 'release date', 'payout date', 'transaction date',
+    'tanggal dana dilepaskan', 'waktu dana dilepaskan', 'tanggal transaksi', 'tanggal'
+  ],
+  reference: [
+    'transaction id', 'transaction number', 'transaction no.', 'settlement id', 'statement id', 'reference',
+    'no. transaksi', 'nomor transaksi'
+  ]
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const invalidFile = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE';
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells; quoted cells may hold delimiters, quotes ("") and line breaks
+ */
+const parseCsv = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, HEADER_SEARCH_ROWS).join('\n');
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: sample.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Plain value of an ExcelJS cell: formulas give their result, rich text and links their text
+const cellValue = (value) => {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (value.result !== undefined) {
+      return value.result;
+    }
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return value.text;
+    }
+  }
+  return value;
+};
+
+/**
+ * Reconciliation Service
+ * Imports what the marketplaces paid out, from their settlement APIs or from uploaded settlement exports,
+ * matches each payout line to an order by its marketplace order ID and reports orders that were not paid
+ * out, were paid less than expected, and payouts that match no order
+ */
+class ReconciliationService {
+  /**
+   * Parse an amount as exported: numbers, "Rp 1.250.000", "1,250,000.00", "-12.500,50" or "(12,500)"
+   * @returns {number|null}
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    let text = String(value ?? '').trim();
+    if (!text) {
+      return null;
+    }
+
+    const negative = /-|^\(.*\)$/.test(text);
+    text = text.replace(/[^\d.,]/g, '');
+
+    const separators = text.match(/[.,]/g) || [];
+    if (separators.length > 0) {
+      const last = text.lastIndexOf(separators[separators.length - 1]);
+      const decimals = text.length - last - 1;
+      const mixed = new Set(separators).size > 1;
+
+      // The last separator is the decimal one when both are used, or when it occurs once without three digits after it
+      if (mixed || (separators.length === 1 && decimals !== 3)) {
+        text = `${text.slice(0, last).replace(/[.,]/g, '')}.${text.slice(last + 1)}`;
+      } else {
+        text = text.replace(/[.,]/g, '');
+      }
+    }
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) {
+      return null;
+    }
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Parse a date as exported: Date cells, Excel serial numbers, "31/01/2024 13:45" (day first) or ISO text
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      return new Date(Math.round((value - 25569) * 86400000));
+    }
+
+    const text = String(value ?? '').trim();
+    if (!text) {
+      return null;
+    }
+
+    const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    const date = dayFirst
+      ? new Date(dayFirst[3], dayFirst[2] - 1, dayFirst[1], dayFirst[4] || 0, dayFirst[5] || 0, dayFirst[6] || 0)
+      : new Date(text);
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Rows of the first sheet of an uploaded CSV or XLSX file
+   * @param {Object} file - Multer file kept in memory
+   */
+  async readRows(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extension === '.csv') {
+      return parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    }
+
+    if (extension === '.xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(file.buffer);
+
+      const sheet = workbook.worksheets[0];
+      if (!sheet) {
+        throw invalidFile('The workbook has no sheets');
+      }
+
+      const rows = [];
+      sheet.eachRow({ includeEmpty: true }, (row) => {
+        // ExcelJS row values are 1-based
+        rows.push(row.values.slice(1).map(cellValue));
+      });
+      return rows;
+    }
+
+    throw invalidFile('Only CSV and XLSX files are supported');
+  }
+
+  /**
+   * Find the header row and the column of each settlement field
+   * @param {Object} columns - Header text per field, overriding the known export headers
+   * @returns {Object} { headerIndex, columns: { field: index } }
+   */
+  findColumns(rows, columns = {}) {
+    for (let headerIndex = 0; headerIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); headerIndex++) {
+      const headers = rows[headerIndex].map(normalizeHeader);
+      const found = {};
+
+      for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const names = columns[field] ? [normalizeHeader(columns[field])] : aliases;
+        const index = names.map(name => headers.indexOf(name)).find(position => position !== -1);
+
+        if (index !== undefined) {
+          found[field] = index;
+        }
+      }
+
+      if (found.marketplaceOrderId !== undefined && found.amount !== undefined) {
+        return { headerIndex, columns: found };
+      }
+    }
+
+    throw invalidFile('No order ID and amount columns found; name them in the column mapping');
+  }
+
+  /**
+   * Payout lines of an uploaded settlement export
+   * @returns {Object} { lines: [{ marketplaceOrderId, amount, settledAt, reference }], skipped }
+   */
+  async parseSettlementFile(file, columns = {}) {
+    const rows = await this.readRows(file);
+    const { headerIndex, columns: found } = this.findColumns(rows, columns);
+    const lines = [];
+    let skipped = 0;
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const cell = (field) => (found[field] !== undefined ? row[found[field]] : undefined);
+      const marketplaceOrderId = String(cell('marketplaceOrderId') ?? '').trim();
+      const amount = this.parseAmount(cell('amount'));
+
+      if (!marketplaceOrderId && row.every(value => value === undefined || value === null || value === '')) {
+        continue;
+      }
+
+      // Totals and note rows at the bottom of an export have no order ID or amount
+      if (!marketplaceOrderId || amount === null) {
+        skipped++;
+        continue;
+      }
+
+      lines.push({
+        marketplaceOrderId,
+        amount,
+        settledAt: this.parseDate(cell('settledAt')),
+        reference: String(cell('reference') ?? '').trim()
+      });
+    }
+
+    return { lines, skipped };
+  }
+
+  /**
+   * Store payout lines of an account and match them to its orders
+   * Lines with a reference are keyed by marketplace order ID and reference, so importing a report again
+   * overwrites them. Lines without one cannot be told apart from a later payout and belong to their import;
+   * an earlier import of the same period holding the same lines is replaced instead.
+   * @param {Object} options - { source, fileName, periodStart, periodEnd }
+   * @returns {Object} { settlementImport, lines, matched, unknown, replaced }
+   */
+  async saveSettlementLines(account, userId, lines, options = {}) {
+    const merged = new Map();
+
+    for (const line of lines) {
+      const reference = line.reference || '';
+      const key = `${line.marketplaceOrderId}\u0000${reference}`;
+      const existing = merged.get(key);
+
+      if (existing) {
+        existing.amount += Number(line.amount);
+        if (line.settledAt && (!existing.settledAt || line.settledAt > existing.settledAt)) {
+          existing.settledAt = line.settledAt;
+        }
+      } else {
+        merged.set(key, { ...line, reference, amount: Number(line.amount) });
+      }
+    }
+
+    const marketplaceOrderIds = [...new Set([...merged.values()].map(line => line.marketplaceOrderId))];
+    const orders = await prisma.order.findMany({
+      where: {
+        marketplaceAccountId: account.id,
+        marketplaceOrderId: { in: marketplaceOrderIds }
+      },
+      select: { id: true, marketplaceOrderId: true }
+    });
+    const orderIds = new Map(orders.map(order => [order.marketplaceOrderId, order.id]));
+
+    const settledDates = [...merged.values()].map(line => line.settledAt).filter(Boolean);
+    const periodStart = options.periodStart || (settledDates.length > 0 ? new Date(Math.min(...settledDates)) : null);
+    const periodEnd = options.periodEnd || (settledDates.length > 0 ? new Date(Math.max(...settledDates)) : null);
+    const repeatedImportIds = await this.findRepeatedImports(account, [...merged.values()], periodStart, periodEnd);
+
+    const settlementImport = await prisma.settlementImport.create({
+      data: {
+        userId,
+        marketplaceAccountId: account.id,
+        source: options.source,
+        fileName: options.fileName || null,
+        periodStart,
+        periodEnd
+      }
+    });
+
+    const referenced = [...merged.values()].filter(line => line.reference);
+    const storedLines = referenced.length > 0
+      ? await prisma.settlementLine.findMany({
+        where: {
+          marketplaceAccountId: account.id,
+          marketplaceOrderId: { in: [...new Set(referenced.map(line => line.marketplaceOrderId))] },
+          reference: { in: [...new Set(referenced.map(line => line.reference))] }
+        },
+        select: { id: true, marketplaceOrderId: true, reference: true }
+      })
+      : [];
+    const storedIds = new Map(storedLines.map(line => [`${line.marketplaceOrderId}\u0000${line.reference}`, line.id]));
+
+    let unknown = 0;
+
+    for (const [key, line] of merged) {
+      const orderId = orderIds.get(line.marketplaceOrderId) || null;
+      const data = {
+        importId: settlementImport.id,
+        orderId,
+        amount: round(line.amount),
+        settledAt: line.settledAt || null
+      };
+
+      if (!orderId) {
+        unknown++;
+      }
+
+      const storedId = storedIds.get(key);
+
+      if (storedId) {
+        await prisma.settlementLine.update({
+          where: { id: storedId },
+          data
+        });
+      } else {
+        await prisma.settlementLine.create({
+          data: {
+            ...data,
+            marketplaceAccountId: account.id,
+            marketplaceOrderId: line.marketplaceOrderId,
+            reference: line.reference
+          }
+        });
+      }
+    }
+
+    // Referenced lines of the earlier imports were moved to this one above; the rest go with their import
+    if (repeatedImportIds.length > 0) {
+      await prisma.settlementImport.deleteMany({
+        where: { id: { in: repeatedImportIds } }
+      });
+    }
+
+    const updatedImport = await prisma.settlementImport.update({
+      where: { id: settlementImport.id },
+      data: { lineCount: merged.size, unknownCount: unknown }
+    });
+
+    logger.info(`Settlement import ${settlementImport.id}: ${merged.size} lines for account ${account.id}, ${unknown} unknown, ${repeatedImportIds.length} earlier imports replaced`);
+
+    return {
+      settlementImport: updatedImport,
+      lines: merged.size,
+      matched: merged.size - unknown,
+      unknown,
+      replaced: repeatedImportIds.length
+    };
+  }
+
+  /**
+   * Earlier imports of an account that the given lines upload again
+   * They cover the same period and their lines without reference have the same order IDs, amounts and dates.
+   * @returns {Array} IDs of the repeated imports
+   */
+  async findRepeatedImports(account, lines, periodStart, periodEnd) {
+    const unreferenced = lines.filter(line => !line.reference);
+
+    if (unreferenced.length === 0) {
+      return [];
+    }
+
+    const lineKey = (line) => [
+      line.marketplaceOrderId,
+      round(Number(line.amount)),
+      line.settledAt ? new Date(line.settledAt).getTime() : ''
+    ].join('\u0000');
+    const uploaded = new Set(unreferenced.map(lineKey));
+
+    const imports = await prisma.settlementImport.findMany({
+      where: { marketplaceAccountId: account.id, periodStart, periodEnd, lineCount: lines.length },
+      select: {
+        id: true,
+        lines: {
+          where: { reference: '' },
+          select: { marketplaceOrderId: true, amount: true, settledAt: true }
+        }
+      }
+    });
+
+    return imports
+      .filter(item => item.lines.length === uploaded.size && item.lines.every(line => uploaded.has(lineKey(line))))
+      .map(item => item.id);
+  }
+
+  /**
+   * Integration of an account when its marketplace reports settlements, otherwise null
+   */
+  getSettlementIntegration(account) {
+    if (!MarketplaceFactory.isSupported(account.marketplace.code)) {
+      return null;
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(account);
+    return integration.supports('getSettlements') ? integration : null;
+  }
+
+  /**
+   * Pull the payouts of a period from an account's marketplace
+   * @param {Object} account - Marketplace account with its marketplace
+   * @param {Object} period - { startDate, endDate }
+   */
+  async importFromMarketplace(account, userId, period = {}) {
+    const integration = this.getSettlementIntegration(account);
+
+    if (!integration) {
+      const error = new Error(`${account.marketplace.name} does not report settlements; upload its settlement export instead`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    const lines = await integration.getSettlements(period);
+
+    return await this.saveSettlementLines(account, userId, lines, {
+      source: 'MARKETPLACE',
+      periodStart: period.startDate ? new Date(period.startDate) : null,
+      periodEnd: period.endDate ? new Date(period.endDate) : null
+    });
+  }
+
+  /**
+   * Import an uploaded settlement export of an account
+   * @param {Object} columns - Header text per field for exports the known headers do not cover
+   */
+  async importFile(account, userId, file, columns = {}) {
+    const { lines, skipped } = await this.parseSettlementFile(file, columns);
+
+    if (lines.length === 0) {
+      throw invalidFile('The file has no payout lines');
+    }
+
+    const result = await this.saveSettlementLines(account, userId, lines, {
+      source: 'FILE',
+      fileName: file.originalname
+    });
+
+    return { ...result, skipped };
+  }
+
+  /**
+   * Match payout lines imported before their order was synced
+   */
+  async matchUnknownLines(where) {
+    const lines = await prisma.settlementLine.findMany({
+      where: { ...where, orderId: null },
+      select: { id: true, marketplaceAccountId: true, marketplaceOrderId: true }
+    });
+
+    if (lines.length === 0) {
+      return 0;
+    }
+
+    const orders = await prisma.order.findMany({
+      where: {
+        OR: lines.map(line => ({
+          marketplaceAccountId: line.marketplaceAccountId,
+          marketplaceOrderId: line.marketplaceOrderId
+        }))
+      },
+      select: { id: true, marketplaceAccountId: true, marketplaceOrderId: true }
+    });
+
+    for (const order of orders) {
+      await prisma.settlementLine.updateMany({
+        where: {
+          orderId: null,
+          marketplaceAccountId: order.marketplaceAccountId,
+          marketplaceOrderId: order.marketplaceOrderId
+        },
+        data: { orderId: order.id }
+      });
+    }
+
+    return orders.length;
+  }
+
+  /**
+   * Payout status of an order from what it should and did get
+   * @returns {string} PAID, SHORT_PAID, OVERPAID, UNPAID, or AWAITING while still within the payout grace period
+   */
+  classifyOrder(order, expected, paid, hasLines, now = new Date()) {
+    if (!hasLines) {
+      const dueAt = new Date(order.orderDate).getTime() + PAYOUT_GRACE_DAYS * 24 * 60 * 60 * 1000;
+      return dueAt < now.getTime() ? 'UNPAID' : 'AWAITING';
+    }
+
+    if (paid < expected - AMOUNT_TOLERANCE) {
+      return 'SHORT_PAID';
+    }
+
+    if (paid > expected + AMOUNT_TOLERANCE) {
+      return 'OVERPAID';
+    }
+
+    return 'PAID';
+  }
+
+  /**
+   * Reconciliation of a period's orders against the payouts imported for them
+   * Orders are expected to pay out their net proceeds (see feeService), or their total less shipping
+   * when no fees are known.
+   * @param {Object} filters - { marketplaceAccountId, startDate, endDate }; defaults to this month
+   * @returns {Object} { period, summary, accounts, orders, unknownPayouts }; orders only lists flagged orders
+   */
+  async getReport(userId, filters = {}) {
+    const { marketplaceAccountId } = filters;
+    const start = filters.startDate ? new Date(filters.startDate) : reportingService.getDateRange('month').start;
+    const end = filters.endDate ? new Date(filters.endDate) : new Date();
+    const accountWhere = marketplaceAccountId ? { id: marketplaceAccountId, userId } : { userId };
+
+    await this.matchUnknownLines({ marketplaceAccount: accountWhere });
+
+    const [accounts, orders, unknownLines] = await Promise.all([
+      prisma.userMarketplaceAccount.findMany({
+        where: accountWhere,
+        include: {
+          marketplace: {
+            select: { name: true, code: true }
+          }
+        }
+      }),
+      prisma.order.findMany({
+        where: {
+          userId,
+          ...(marketplaceAccountId && { marketplaceAccountId }),
+          orderDate: { gte: start, lte: end },
+          OR: [
+            { status: { in: PAYOUT_STATUSES } },
+            { settlementLines: { some: {} } }
+          ]
+        },
+        select: {
+          id: true,
+          orderNumber: true,
+          marketplaceOrderId: true,
+          marketplaceAccountId: true,
+          status: true,
+          orderDate: true,
+          totalAmount: true,
+          shippingCost: true,
+          netProceeds: true,
+          feeSource: true,
+          settlementLines: {
+            select: { amount: true, settledAt: true }
+          }
+        },
+        orderBy: { orderDate: 'asc' }
+      }),
+      prisma.settlementLine.findMany({
+        where: {
+          orderId: null,
+          marketplaceAccount: accountWhere,
+          OR: [
+            { settledAt: { gte: start, lte: end } },
+            { settledAt: null, createdAt: { gte: start, lte: end } }
+          ]
+        },
+        orderBy: { settledAt: 'asc' }
+      })
+    ]);
+
+    const now = new Date();
+    const emptyTotals = () => ({
+      orders: 0,
+      expected: 0,
+      paid: 0,
+      difference: 0,
+      PAID: 0,
+      SHORT_PAID: 0,
+      OVERPAID: 0,
+      UNPAID: 0,
+      AWAITING: 0,
+      unknownPayouts: 0,
+      unknownAmount: 0
+    });
+    const summary = emptyTotals();
+    const accountTotals = new Map(accounts.map(account => [account.id, emptyTotals()]));
+    const flagged = [];
+
+    for (const order of orders) {
+      const expected = order.netProceeds != null
+        ? Number(order.netProceeds)
+        : Number(order.totalAmount) - Number(order.shippingCost || 0);
+      const paid = order.settlementLines.reduce((sum, line) => sum + Number(line.amount), 0);
+      const status = this.classifyOrder(order, expected, paid, order.settlementLines.length > 0, now);
+      const totals = accountTotals.get(order.marketplaceAccountId);
+
+      for (const target of [summary, totals].filter(Boolean)) {
+        target.orders++;
+        target.expected += expected;
+        target.paid += paid;
+        target[status]++;
+      }
+
+      if (!['PAID', 'AWAITING'].includes(status)) {
+        const settledDates = order.settlementLines.map(line => line.settledAt).filter(Boolean);
+
+        flagged.push({
+          id: order.id,
+          orderNumber: order.orderNumber,
+          marketplaceOrderId: order.marketplaceOrderId,
+          marketplaceAccountId: order.marketplaceAccountId,
+          status: order.status,
+          orderDate: order.orderDate,
+          expected: round(expected),
+          expectedSource: order.netProceeds != null ? order.feeSource : null,
+          paid: round(paid),
+          difference: round(paid - expected),
+          lastSettledAt: settledDates.length > 0 ? new Date(Math.max(...settledDates)) : null,
+          payoutStatus: status
+        });
+      }
+    }
+
+    for (const line of unknownLines) {
+      const totals = accountTotals.get(line.marketplaceAccountId);
+
+      for (const target of [summary, totals].filter(Boolean)) {
+        target.unknownPayouts++;
+        target.unknownAmount += Number(line.amount);
+      }
+    }
+
+    const finish = (totals) => ({
+      ...totals,
+      expected: round(totals.expected),
+      paid: round(totals.paid),
+      difference: round(totals.paid - totals.expected),
+      unknownAmount: round(totals.unknownAmount)
+    });
+
+    return {
+      period: { start, end },
+      summary: finish(summary),
+      accounts: accounts.map(account => ({
+        id: account.id,
+        storeName: account.storeName,
+        marketplace: account.marketplace,
+        ...finish(accountTotals.get(account.id))
+      })),
+      orders: flagged,
+      unknownPayouts: unknownLines.map(line => ({
+        id: line.id,
+        marketplaceAccountId: line.marketplaceAccountId,
+        marketplaceOrderId: line.marketplaceOrderId,
+        reference: line.reference || null,
+        amount: Number(line.amount),
+        settledAt: line.settledAt
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const reconciliationService = new ReconciliationService();
+
+module.exports = reconciliationService;
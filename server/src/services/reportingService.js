@@ -482,6 +482,7 @@ class ReportingService {
 
   /**
    * Get product performance data
+   * Order fees are shared out over an order's items by their share of its item subtotal.
    */
   async getProductPerformance(whereClause, productId = null) {
     let productWhere = {
@@ -506,21 +507,48 @@ class ReportingService {
       take: 20
     });
 
-    // Enrich with product names
+    // Enrich with product names, fees and costs
     const enrichedData = await Promise.all(
       productData.map(async (item) => {
-        const product = await prisma.product.findUnique({
-          where: { id: item.productId },
-          select: { name: true, sku: true }
-        });
+        const [product, items] = await Promise.all([
+          prisma.product.findUnique({
+            where: { id: item.productId },
+            select: { name: true, sku: true }
+          }),
+          prisma.orderItem.findMany({
+            where: { ...productWhere, productId: item.productId },
+            select: {
+              quantity: true,
+              totalPrice: true,
+              product: { select: { cost: true } },
+              variant: { select: { cost: true } },
+              order: {
+                select: {
+                  feesTotal: true,
+                  orderItems: { select: { totalPrice: true } }
+                }
+              }
+            }
+          })
+        ]);
+
+        const revenue = Number(item._sum.totalPrice) || 0;
+        const fees = items.reduce((sum, orderItem) => sum + this.getItemFees(orderItem), 0);
+        const cost = items.reduce((sum, orderItem) => sum + this.getItemCost(orderItem), 0);
+        const netProceeds = revenue - fees;
 
         return {
           productId: item.productId,
           productName: product?.name || 'Unknown',
           sku: product?.sku || 'Unknown',
           quantitySold: item._sum.quantity || 0,
-          revenue: item._sum.totalPrice || 0,
-          orderCount: item._count.id
+          revenue,
+          orderCount: item._count.id,
+          fees,
+          netProceeds,
+          cost,
+          profit: netProceeds - cost,
+          margin: this.getMargin(netProceeds - cost, revenue)
         };
       })
     );
@@ -535,25 +563,37 @@ class ReportingService {
     const marketplaceData = await prisma.order.groupBy({
       by: ['marketplaceAccountId'],
       where: whereClause,
-      _sum: { totalAmount: true },
+      _sum: { totalAmount: true, feesTotal: true },
       _count: { id: true },
       _avg: { totalAmount: true }
     });
 
-    // Enrich with marketplace names
+    // Enrich with marketplace names and costs
     const enrichedData = await Promise.all(
       marketplaceData.map(async (item) => {
-        const account = await prisma.userMarketplaceAccount.findUnique({
-          where: { id: item.marketplaceAccountId },
-          include: { marketplace: true }
-        });
+        const accountWhere = { ...whereClause, marketplaceAccountId: item.marketplaceAccountId };
+        const [account, cost, netProceeds] = await Promise.all([
+          prisma.userMarketplaceAccount.findUnique({
+            where: { id: item.marketplaceAccountId },
+            include: { marketplace: true }
+          }),
+          this.getCostOfGoods(accountWhere),
+          this.getNetProceeds(accountWhere)
+        ]);
+
+        const revenue = Number(item._sum.totalAmount) || 0;
 
         return {
           marketplaceId: item.marketplaceAccountId,
           marketplaceName: account?.marketplace?.name || 'Unknown',
-          revenue: item._sum.totalAmount || 0,
+          revenue,
           orders: item._count.id,
-          avgOrderValue: item._avg.totalAmount || 0
+          avgOrderValue: item._avg.totalAmount || 0,
+          fees: Number(item._sum.feesTotal) || 0,
+          netProceeds,
+          cost,
+          profit: netProceeds - cost,
+          margin: this.getMargin(netProceeds - cost, revenue)
         };
       })
     );
@@ -561,6 +601,81 @@ class ReportingService {
     return enrichedData;
   }
 
+  /**
+   * Marketplace fees of the matching orders per fee type
+   */
+  async getFeeBreakdown(whereClause) {
+    const feeData = await prisma.orderFee.groupBy({
+      by: ['type'],
+      where: { order: whereClause },
+      _sum: { amount: true }
+    });
+
+    return feeData.map(item => ({
+      type: item.type,
+      amount: Number(item._sum.amount) || 0
+    }));
+  }
+
+  /**
+   * What the marketplaces pay out for the matching orders
+   * Orders without fee data yet count at their total less shipping, as reconciliation expects them.
+   */
+  async getNetProceeds(whereClause) {
+    const [known, estimated] = await Promise.all([
+      prisma.order.aggregate({
+        where: { ...whereClause, netProceeds: { not: null } },
+        _sum: { netProceeds: true }
+      }),
+      prisma.order.aggregate({
+        where: { ...whereClause, netProceeds: null },
+        _sum: { totalAmount: true, shippingCost: true }
+      })
+    ]);
+
+    return (Number(known._sum.netProceeds) || 0) +
+      (Number(estimated._sum.totalAmount) || 0) -
+      (Number(estimated._sum.shippingCost) || 0);
+  }
+
+  /**
+   * Cost of the goods sold in the matching orders, at variant cost where a variant has one
+   */
+  async getCostOfGoods(whereClause) {
+    const items = await prisma.orderItem.findMany({
+      where: { order: whereClause },
+      select: {
+        quantity: true,
+        product: { select: { cost: true } },
+        variant: { select: { cost: true } }
+      }
+    });
+
+    return items.reduce((sum, item) => sum + this.getItemCost(item), 0);
+  }
+
+  /**
+   * Cost of an order item; items of products without a cost price count as free
+   */
+  getItemCost(item) {
+    return item.quantity * (Number(item.variant?.cost ?? item.product?.cost) || 0);
+  }
+
+  /**
+   * An order item's share of its order's fees
+   */
+  getItemFees(item) {
+    const subtotal = item.order.orderItems.reduce((sum, orderItem) => sum + Number(orderItem.totalPrice), 0);
+    return subtotal > 0 ? Number(item.order.feesTotal || 0) * Number(item.totalPrice) / subtotal : 0;
+  }
+
+  /**
+   * Profit as a percentage of revenue
+   */
+  getMargin(profit, revenue) {
+    return revenue > 0 ? Math.round(profit / revenue * 10000) / 100 : 0;
+  }
+
   /**
    * Get date range based on period
    */
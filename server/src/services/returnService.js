@@ -0,0 +1,563 @@
+const { prisma, transaction } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const { addInventoryJob } = require('../jobs/queueManager');
+const circuitBreaker = require('../utils/circuitBreaker');
+const { emitToUser } = require('../utils/socket');
+const orderStatusService = require('./orderStatusService');
+const logger = require('../utils/logger');
+
+const SYNC_INTERVAL = 30 * 60 * 1000;
+
+// Requests are fetched again from a bit before the previous sync, so nothing updated meanwhile is missed
+const SYNC_OVERLAP = 5 * 60 * 1000;
+
+// Orders the seller can still cancel
+const CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
+const RETURN_ACTIONS = ['accept', 'reject', 'dispute'];
+
+// Requests in these statuses may still be disputed
+const DISPUTABLE_STATUSES = ['REQUESTED', 'ACCEPTED', 'RECEIVED'];
+
+/**
+ * Return Service
+ * Cancels orders with marketplace reason codes, keeps buyer cancellation and return/refund requests
+ * in sync with the marketplaces and puts stock back when an order is cancelled or a return arrives
+ */
+class ReturnService {
+  constructor() {
+    this.timer = null;
+    this.syncInProgress = false;
+    this.lastSyncedAt = new Map(); // account id -> start of its last successful sync
+  }
+
+  /**
+   * Start the periodic sync of return requests
+   */
+  async initialize() {
+    this.timer = setInterval(() => {
+      this.syncAllReturnRequests().catch(error => {
+        logger.error('Return request sync failed:', error);
+      });
+    }, SYNC_INTERVAL);
+
+    logger.info('Return service initialized');
+  }
+
+  /**
+   * Integration of a marketplace account, failing with code NOT_SUPPORTED when it lacks the method
+   */
+  getIntegration(account, method) {
+    if (!MarketplaceFactory.isSupported(account.marketplace.code)) {
+      const error = new Error(`${account.marketplace.name} integration is not available`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(account);
+    if (!integration.supports(method)) {
+      const feature = ['getCancelReasons', 'cancelOrder'].includes(method) ? 'order cancellation' : 'return requests';
+      const error = new Error(`${account.marketplace.name} does not support ${feature}`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    return integration;
+  }
+
+  /**
+   * Run a marketplace call, flagging refusals (4xx answers) with code MARKETPLACE_REJECTED
+   * so the seller sees the marketplace's reason instead of a server error
+   */
+  async callMarketplace(request) {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500) {
+        const rejected = new Error(error.message || 'Marketplace rejected the request');
+        rejected.code = 'MARKETPLACE_REJECTED';
+        throw rejected;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load an order with its items, shipments and marketplace account
+   */
+  async getOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true,
+        shipments: true,
+        marketplaceAccount: {
+          include: {
+            marketplace: true
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Reasons the order's marketplace accepts for a seller cancellation
+   * @returns {Array} [{ code, label }]
+   */
+  async getCancelReasons(orderId) {
+    const order = await this.getOrder(orderId);
+    const integration = this.getIntegration(order.marketplaceAccount, 'getCancelReasons');
+
+    return await integration.getCancelReasons(order.marketplaceOrderId);
+  }
+
+  /**
+   * Cancel an order on its marketplace, then mark it cancelled and put its items back in stock
+   * @param {string} reasonCode - One of the codes from getCancelReasons
+   */
+  async cancelOrder(orderId, reasonCode) {
+    const order = await this.getOrder(orderId);
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      const error = new Error(`Order is ${order.status} and cannot be cancelled`);
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    if ((order.shipments || []).some(shipment => ['SHIPPED', 'DELIVERED'].includes(shipment.status))) {
+      const error = new Error('Part of the order has already been shipped; cancel the remaining items instead');
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    const integration = this.getIntegration(order.marketplaceAccount, 'cancelOrder');
+    const reasons = await integration.getCancelReasons(order.marketplaceOrderId);
+    const reason = reasons.find(item => String(item.code) === String(reasonCode));
+
+    if (!reason) {
+      const error = new Error(`Unknown cancel reason ${reasonCode}`);
+      error.code = 'INVALID_REASON';
+      throw error;
+    }
+
+    await this.callMarketplace(() => integration.cancelOrder(order.marketplaceOrderId, reason.code));
+
+    const restocked = await transaction(async (tx) => {
+      await orderStatusService.changeStatus(order.id, 'CANCELLED', {
+        tx,
+        source: 'USER',
+        reason: `Cancelled by seller: ${reason.label}`,
+        data: { cancelReason: reason.label }
+      });
+
+      // The stock is back now; a buyer's cancellation request for the same order must not add it again
+      await tx.returnRequest.updateMany({
+        where: { orderId: order.id, type: 'CANCELLATION', restockedAt: null },
+        data: { restockedAt: new Date() }
+      });
+
+      return await this.restockItems(tx, order, this.getActiveItems(order), `Order ${order.orderNumber} cancelled`);
+    });
+
+    await this.syncRestockedStock(order, restocked);
+    logger.info(`Order ${order.orderNumber} cancelled: ${reason.label}`);
+
+    return { status: 'CANCELLED', cancelReason: reason.label, restocked: restocked.length };
+  }
+
+  /**
+   * Put items back in stock with an IN movement per item
+   * Items without inventory were never taken out of stock and are skipped.
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @returns {Array} [{ productId, variantId, newStock }] for every restocked item
+   */
+  async restockItems(tx, order, items, reason) {
+    const restocked = [];
+
+    for (const item of items) {
+      // Items that never matched one of our products have no stock to restore
+      if (!item.productId || item.quantity <= 0) {
+        continue;
+      }
+
+      const inventory = await tx.inventory.findFirst({
+        where: {
+          productId: item.productId,
+          variantId: item.variantId || null
+        }
+      });
+
+      if (!inventory) {
+        continue;
+      }
+
+      const newStock = inventory.stockQuantity + item.quantity;
+
+      await tx.inventory.update({
+        where: { id: inventory.id },
+        data: {
+          stockQuantity: newStock,
+          availableQuantity: inventory.availableQuantity + item.quantity,
+          lastUpdated: new Date()
+        }
+      });
+
+      await tx.stockMovement.create({
+        data: {
+          productId: item.productId,
+          variantId: item.variantId || null,
+          orderId: order.id,
+          userId: order.userId,
+          movementType: 'IN',
+          quantity: item.quantity,
+          stockBefore: inventory.stockQuantity,
+          stockAfter: newStock,
+          reason
+        }
+      });
+
+      restocked.push({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        newStock
+      });
+    }
+
+    return restocked;
+  }
+
+  /**
+   * Queue pushing restored stock to the marketplaces
+   */
+  async syncRestockedStock(order, restocked) {
+    for (const item of restocked) {
+      await addInventoryJob('update-stock', {
+        ...item,
+        userId: order.userId,
+        reason: `Restock of order ${order.orderNumber}`
+      });
+    }
+  }
+
+  /**
+   * Order items with the units cancelled one by one taken off; those are back in stock already
+   */
+  getActiveItems(order) {
+    return order.orderItems
+      .map(item => ({ ...item, quantity: item.quantity - (item.cancelledQuantity || 0) }))
+      .filter(item => item.quantity > 0);
+  }
+
+  /**
+   * Order items a return request covers
+   * Cancellations cover the units not cancelled yet; returns are matched by SKU and never exceed those units either.
+   */
+  getRequestItems(request, order) {
+    const requested = request.items || [];
+    const activeItems = this.getActiveItems(order);
+
+    if (request.type === 'CANCELLATION' || requested.length === 0) {
+      return activeItems;
+    }
+
+    const remaining = new Map();
+    for (const item of requested) {
+      remaining.set(item.sku, (remaining.get(item.sku) || 0) + item.quantity);
+    }
+
+    return activeItems
+      .map(orderItem => {
+        const quantity = Math.min(remaining.get(orderItem.sku) || 0, orderItem.quantity);
+        remaining.set(orderItem.sku, (remaining.get(orderItem.sku) || 0) - quantity);
+
+        return { ...orderItem, quantity };
+      })
+      .filter(item => item.quantity > 0);
+  }
+
+  /**
+   * Whether a request's items should now go back into stock
+   * Accepted cancellations were never shipped; returns once the parcel is back, unless it was refund-only.
+   */
+  shouldRestock(request) {
+    if (request.restockedAt) {
+      return false;
+    }
+
+    if (request.type === 'CANCELLATION') {
+      return ['ACCEPTED', 'REFUNDED'].includes(request.status);
+    }
+
+    return request.requiresReturn && ['RECEIVED', 'REFUNDED'].includes(request.status);
+  }
+
+  /**
+   * Apply the consequences of a request's status to its order: cancel or refund it and restock once
+   */
+  async applyRequestStatus(request, order) {
+    const orderStatus = request.type === 'CANCELLATION'
+      ? (['ACCEPTED', 'REFUNDED'].includes(request.status) ? 'CANCELLED' : null)
+      : (request.status === 'REFUNDED' ? 'REFUNDED' : null);
+    const restock = this.shouldRestock(request);
+
+    if (!restock && (!orderStatus || order.status === orderStatus)) {
+      return request;
+    }
+
+    const { updated, restocked } = await transaction(async (tx) => {
+      if (orderStatus && order.status !== orderStatus) {
+        // The marketplace settled the request, so an illegal status is flagged rather than refused
+        await orderStatusService.changeStatus(order.id, orderStatus, {
+          tx,
+          source: 'MARKETPLACE',
+          reason: `${request.type === 'CANCELLATION' ? 'Cancellation' : 'Return'} request ${request.status.toLowerCase()}`,
+          data: orderStatus === 'CANCELLED' ? { cancelReason: request.reason || order.cancelReason } : {}
+        });
+      }
+
+      if (!restock) {
+        return { updated: request, restocked: [] };
+      }
+
+      // Claim the restock on the stored request, so a marketplace sync and a seller's action cannot both restock
+      const restockedAt = new Date();
+      const { count } = await tx.returnRequest.updateMany({
+        where: { id: request.id, restockedAt: null },
+        data: { restockedAt }
+      });
+
+      if (count !== 1) {
+        return { updated: request, restocked: [] };
+      }
+
+      const label = request.type === 'CANCELLATION' ? 'cancelled by buyer' : 'returned';
+      const restocked = await this.restockItems(tx, order, this.getRequestItems(request, order), `Order ${order.orderNumber} ${label}`);
+
+      return { updated: { ...request, restockedAt }, restocked };
+    });
+
+    await this.syncRestockedStock(order, restocked);
+    return updated;
+  }
+
+  /**
+   * Load a stored request with its order
+   */
+  async getRequest(requestId) {
+    const request = await prisma.returnRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        order: {
+          include: {
+            orderItems: true,
+            marketplaceAccount: {
+              include: {
+                marketplace: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!request) {
+      throw new Error('Return request not found');
+    }
+
+    return request;
+  }
+
+  /**
+   * Accept, reject or dispute a buyer cancellation or return on the marketplace
+   * @param {string} action - accept | reject | dispute
+   * @param {Object} options - { reason }
+   */
+  async respondToRequest(requestId, action, options = {}) {
+    const request = await this.getRequest(requestId);
+    const { order } = request;
+
+    if (!RETURN_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action ${action}`);
+    }
+
+    const allowed = action === 'dispute'
+      ? request.type === 'RETURN' && DISPUTABLE_STATUSES.includes(request.status)
+      : request.status === 'REQUESTED';
+
+    if (!allowed) {
+      const error = new Error(`Request is ${request.status} and cannot be ${action === 'dispute' ? 'disputed' : 'answered'}`);
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    const integration = this.getIntegration(order.marketplaceAccount, 'respondToReturnRequest');
+    await this.callMarketplace(() => integration.respondToReturnRequest({
+      id: request.marketplaceRequestId,
+      orderId: order.marketplaceOrderId,
+      type: request.type,
+      requiresReturn: request.requiresReturn,
+      marketplaceData: request.marketplaceData
+    }, action, options));
+
+    const status = { accept: 'ACCEPTED', reject: 'REJECTED', dispute: 'DISPUTED' }[action];
+    const updated = await prisma.returnRequest.update({
+      where: { id: request.id },
+      data: {
+        status,
+        respondedAt: new Date()
+      }
+    });
+
+    logger.info(`${request.type} request ${request.marketplaceRequestId} of order ${order.orderNumber}: ${action}`);
+
+    return await this.applyRequestStatus(updated, order);
+  }
+
+  /**
+   * Record that a returned parcel arrived, for marketplaces that do not report it themselves
+   */
+  async markReturnReceived(requestId) {
+    const request = await this.getRequest(requestId);
+
+    if (request.type !== 'RETURN' || request.status !== 'ACCEPTED') {
+      const error = new Error('Only accepted returns can be marked as received');
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: request.id },
+      data: { status: 'RECEIVED' }
+    });
+
+    return await this.applyRequestStatus(updated, request.order);
+  }
+
+  /**
+   * Store the requests of one account and apply their effects
+   * Requests of orders that were never imported are skipped.
+   * @returns {Object} { synced, created }
+   */
+  async syncAccountRequests(account) {
+    const integration = this.getIntegration(account, 'getReturnRequests');
+    const startedAt = new Date();
+    const lastSyncedAt = this.lastSyncedAt.get(account.id);
+    const since = lastSyncedAt ? new Date(lastSyncedAt.getTime() - SYNC_OVERLAP) : undefined;
+
+    const requests = await integration.getReturnRequests({ since });
+    let synced = 0;
+    let created = 0;
+
+    for (const item of requests) {
+      const order = await prisma.order.findFirst({
+        where: {
+          marketplaceAccountId: account.id,
+          marketplaceOrderId: String(item.orderId)
+        },
+        include: { orderItems: true }
+      });
+
+      if (!order) {
+        logger.debug(`Skipping return request ${item.id}: order ${item.orderId} is not imported`);
+        continue;
+      }
+
+      const key = { orderId: order.id, marketplaceRequestId: String(item.id) };
+      const existing = await prisma.returnRequest.findUnique({
+        where: { orderId_marketplaceRequestId: key }
+      });
+
+      const data = {
+        type: item.type,
+        status: item.status,
+        reason: item.reason || null,
+        refundAmount: item.refundAmount ?? null,
+        requiresReturn: item.requiresReturn !== false,
+        items: item.items || [],
+        marketplaceData: item.marketplaceData || undefined
+      };
+
+      const request = await prisma.returnRequest.upsert({
+        where: { orderId_marketplaceRequestId: key },
+        create: { ...key, ...data, requestedAt: item.requestedAt || new Date() },
+        update: data
+      });
+
+      await this.applyRequestStatus(request, order);
+      synced++;
+
+      if (!existing) {
+        created++;
+        emitToUser(order.userId, 'order-update', {
+          type: 'return-request',
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          requestType: request.type,
+          status: request.status
+        });
+      }
+    }
+
+    this.lastSyncedAt.set(account.id, startedAt);
+    return { synced, created };
+  }
+
+  /**
+   * Sync return requests of all active accounts whose marketplace supports them
+   * @param {string} userId - Limit the sync to one user's accounts
+   */
+  async syncAllReturnRequests(userId = null) {
+    if (this.syncInProgress) {
+      return null;
+    }
+
+    this.syncInProgress = true;
+    const totals = { accounts: 0, synced: 0, created: 0, failed: 0 };
+
+    try {
+      const accounts = await prisma.userMarketplaceAccount.findMany({
+        where: {
+          isConnected: true,
+          ...(userId && { userId })
+        },
+        include: { marketplace: true }
+      });
+
+      for (const account of accounts) {
+        try {
+          const { synced, created } = await this.syncAccountRequests(account);
+          totals.accounts++;
+          totals.synced += synced;
+          totals.created += created;
+        } catch (error) {
+          if (error.code === 'NOT_SUPPORTED') {
+            continue;
+          }
+
+          totals.failed++;
+          if (circuitBreaker.isCircuitOpenError(error)) {
+            logger.warn(`Skipping return requests of account ${account.id}: marketplace unavailable`);
+          } else {
+            logger.error(`Failed to sync return requests of account ${account.id}:`, error);
+          }
+        }
+      }
+
+      logger.info(`Return request sync completed: ${totals.synced} synced, ${totals.created} new, ${totals.failed} accounts failed`);
+      return totals;
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+}
+
+// Create singleton instance
+const returnService = new ReturnService();
+
+module.exports = returnService;
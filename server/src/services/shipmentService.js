@@ -0,0 +1,276 @@
+const { prisma, transaction } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const fulfillmentService = require('./fulfillmentService');
+const logger = require('../utils/logger');
+
+// Orders in these statuses can still be handed to the carrier
+const SHIPPABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
+const SHIPMENT_METHODS = ['pickup', 'dropoff'];
+
+/**
+ * Shipment Service
+ * Arranges carrier pickup or drop-off of marketplace orders, stores their tracking numbers
+ * and collects shipping labels into one printable PDF
+ */
+class ShipmentService {
+  /**
+   * Complete the user's shipment choice with the marketplace's parameters
+   * Without an explicit choice the first pickup address with its earliest slot, or the first branch, is used.
+   * @param {Object} parameters - Result of integration.getShippingParameters
+   * @param {Object} options - { method, addressId, pickupTimeId, branchId }
+   * @returns {Object} Options for integration.arrangeShipment
+   */
+  resolveShipmentOptions(parameters, options) {
+    const { method } = options;
+
+    if (!SHIPMENT_METHODS.includes(method)) {
+      throw new Error(`Unknown shipment method ${method}`);
+    }
+
+    if (method === 'pickup') {
+      if (!parameters?.pickup) {
+        throw new Error('Pickup is not available for this order');
+      }
+
+      const addresses = parameters.pickup.addresses || [];
+      const address = addresses.find(item => item.id === options.addressId) || addresses[0];
+      const timeSlots = [...(address?.timeSlots || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+      const timeSlot = timeSlots.find(slot => slot.id === options.pickupTimeId) || timeSlots[0];
+
+      if (addresses.length > 0 && address.timeSlots?.length > 0 && !timeSlot) {
+        throw new Error('No pickup time slot is available');
+      }
+
+      return {
+        method,
+        addressId: address?.id,
+        pickupTimeId: timeSlot?.id
+      };
+    }
+
+    if (!parameters?.dropoff) {
+      throw new Error('Drop-off is not available for this order');
+    }
+
+    const branches = parameters.dropoff.branches || [];
+    const branch = branches.find(item => item.id === options.branchId) || branches[0];
+
+    return {
+      method,
+      branchId: branch?.id
+    };
+  }
+
+  /**
+   * Load the user's orders with their marketplace accounts, in the requested order
+   */
+  async getOrders(userId, orderIds) {
+    const orders = await prisma.order.findMany({
+      where: {
+        id: { in: orderIds },
+        userId
+      },
+      include: {
+        marketplaceAccount: {
+          include: {
+            marketplace: true
+          }
+        }
+      }
+    });
+
+    return orderIds.map(orderId => orders.find(order => order.id === orderId) || { id: orderId, missing: true });
+  }
+
+  /**
+   * Integration of an order's account; one instance per account for a whole batch
+   */
+  getIntegration(integrations, order, method) {
+    const account = order.marketplaceAccount;
+
+    if (!integrations.has(account.id)) {
+      if (!MarketplaceFactory.isSupported(account.marketplace.code)) {
+        throw new Error(`${account.marketplace.name} integration is not available`);
+      }
+      integrations.set(account.id, MarketplaceFactory.createFromAccount(account));
+    }
+
+    const integration = integrations.get(account.id);
+    if (!integration.supports(method)) {
+      throw new Error(`${account.marketplace.name} does not support ${method === 'getShippingLabel' ? 'shipping labels' : 'arranging shipments'}`);
+    }
+
+    return integration;
+  }
+
+  /**
+   * Arrange shipment of one order, store its tracking number and put its remaining items in a shipment
+   * @returns {Object} { action: arranged|skipped, trackingNumber, carrier }
+   */
+  async arrangeShipment(order, integration, options) {
+    if (order.shipmentArrangedAt) {
+      return { action: 'skipped', trackingNumber: order.trackingNumber, carrier: order.shippingCarrier };
+    }
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw new Error(`Order is ${order.status} and cannot be shipped`);
+    }
+
+    const parameters = await integration.getShippingParameters(order.marketplaceOrderId);
+    const shipmentOptions = this.resolveShipmentOptions(parameters, options);
+    const { trackingNumber, carrier } = await integration.arrangeShipment(order.marketplaceOrderId, shipmentOptions);
+
+    await transaction(async (tx) => {
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          trackingNumber,
+          shippingCarrier: carrier,
+          shipmentArrangedAt: new Date()
+        }
+      });
+
+      // The marketplace ships whatever is left of the order in one parcel
+      await fulfillmentService.shipRemainingItems(tx, order.id, { trackingNumber, carrier }, 'Shipment arranged');
+    });
+
+    return { action: 'arranged', trackingNumber, carrier };
+  }
+
+  /**
+   * Arrange shipment of many orders with the same method
+   * Orders fail individually; the rest of the batch continues.
+   * @param {Object} options - { method: 'pickup' | 'dropoff', addressId, pickupTimeId, branchId }
+   * @returns {Object} { results, successCount, failureCount }
+   */
+  async arrangeShipments(userId, orderIds, options) {
+    const orders = await this.getOrders(userId, orderIds);
+    const integrations = new Map();
+    const results = [];
+
+    for (const order of orders) {
+      if (order.missing) {
+        results.push({ orderId: order.id, success: false, error: 'Order not found' });
+        continue;
+      }
+
+      try {
+        const integration = this.getIntegration(integrations, order, 'arrangeShipment');
+        const result = await this.arrangeShipment(order, integration, options);
+
+        results.push({ orderId: order.id, orderNumber: order.orderNumber, success: true, ...result });
+      } catch (error) {
+        logger.warn(`Arranging shipment of order ${order.orderNumber} failed:`, error.message);
+        results.push({ orderId: order.id, orderNumber: order.orderNumber, success: false, error: error.message });
+      }
+    }
+
+    const successCount = results.filter(result => result.success).length;
+    logger.info(`Arranged shipment of ${successCount} of ${orderIds.length} orders for user ${userId}`);
+
+    return {
+      results,
+      successCount,
+      failureCount: results.length - successCount
+    };
+  }
+
+  /**
+   * Collect the shipping labels of arranged orders into one PDF
+   * Tracking numbers the marketplace assigned after arranging are stored on the way.
+   * Labels are requested per account in one batch, so marketplaces that print in bulk wait once.
+   * @returns {Object} { pdf: Buffer | null, included: [orderId], failed: [{ orderId, orderNumber, error }] }
+   */
+  async getLabels(userId, orderIds) {
+    const orders = await this.getOrders(userId, orderIds);
+    const integrations = new Map();
+    const batches = new Map();
+    const labels = [];
+    const included = [];
+    const failed = [];
+
+    for (const order of orders) {
+      if (order.missing) {
+        failed.push({ orderId: order.id, error: 'Order not found' });
+        continue;
+      }
+
+      try {
+        if (!order.shipmentArrangedAt && !order.trackingNumber) {
+          throw new Error('Shipment has not been arranged');
+        }
+
+        const integration = this.getIntegration(integrations, order, 'getShippingLabel');
+
+        if (!order.trackingNumber) {
+          const { trackingNumber, carrier } = await integration.getTrackingNumber(order.marketplaceOrderId);
+          if (!trackingNumber) {
+            throw new Error('Marketplace has not assigned a tracking number yet');
+          }
+
+          await prisma.order.update({
+            where: { id: order.id },
+            data: { trackingNumber, shippingCarrier: carrier || order.shippingCarrier }
+          });
+        }
+
+        if (!batches.has(integration)) {
+          batches.set(integration, []);
+        }
+        batches.get(integration).push(order);
+      } catch (error) {
+        logger.warn(`Shipping label of order ${order.orderNumber} unavailable:`, error.message);
+        failed.push({ orderId: order.id, orderNumber: order.orderNumber, error: error.message });
+      }
+    }
+
+    for (const [integration, batch] of batches) {
+      let result;
+      try {
+        result = await integration.getShippingLabels(batch.map(order => order.marketplaceOrderId));
+      } catch (error) {
+        result = { documents: [], failed: Object.fromEntries(batch.map(order => [order.marketplaceOrderId, error.message])) };
+      }
+
+      labels.push(...result.documents);
+      for (const order of batch) {
+        const error = result.failed[order.marketplaceOrderId];
+        if (error) {
+          logger.warn(`Shipping label of order ${order.orderNumber} unavailable:`, error);
+          failed.push({ orderId: order.id, orderNumber: order.orderNumber, error });
+        } else {
+          included.push(order.id);
+        }
+      }
+    }
+
+    return {
+      pdf: labels.length > 0 ? await this.mergePdfs(labels) : null,
+      included,
+      failed
+    };
+  }
+
+  /**
+   * Concatenate PDF documents page by page
+   */
+  async mergePdfs(documents) {
+    // pdf-lib is only needed when labels are actually printed
+    const { PDFDocument } = require('pdf-lib');
+    const merged = await PDFDocument.create();
+
+    for (const document of documents) {
+      const source = await PDFDocument.load(document);
+      const pages = await merged.copyPages(source, source.getPageIndices());
+      pages.forEach(page => merged.addPage(page));
+    }
+
+    return Buffer.from(await merged.save());
+  }
+}
+
+// Create singleton instance
+const shipmentService = new ShipmentService();
+
+module.exports = shipmentService;
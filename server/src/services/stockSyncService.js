@@ -1,6 +1,8 @@
 const { prisma, transaction } = require('../utils/database');
 const MarketplaceFactory = require('../integrations/MarketplaceFactory');
 const { addInventoryJob } = require('../jobs/queueManager');
+const circuitBreaker = require('../utils/circuitBreaker');
+const variantMappingService = require('./variantMappingService');
 const logger = require('../utils/logger');
 const { io } = require('../server');
 
@@ -192,6 +194,7 @@ class StockSyncService {
 
       // Sync to target marketplaces
       const syncResults = [];
+      const deferredTargets = [];
       
       for (const target of rule.targetMarketplaceAccounts) {
         const marketplaceAccount = target.marketplaceAccount;
@@ -216,10 +219,15 @@ class StockSyncService {
             marketplaceAccountId: marketplaceAccount.id,
             marketplaceName: marketplaceAccount.marketplace.name,
             success: result.success,
+            deferred: result.deferred || false,
             newStock: targetStock,
             error: result.error
           });
 
+          if (result.deferred) {
+            deferredTargets.push({ marketplaceAccountId: marketplaceAccount.id, retryAt: result.retryAt });
+          }
+
         } catch (error) {
           logger.error(`Failed to sync to ${marketplaceAccount.marketplace.name}:`, error);
           syncResults.push({
@@ -231,6 +239,11 @@ class StockSyncService {
         }
       }
 
+      // Retry marketplaces whose circuit is open once they accept calls again
+      if (deferredTargets.length > 0) {
+        await this.deferSyncRule(rule, inventoryData, deferredTargets);
+      }
+
       // Log sync activity
       await this.logSyncActivity(rule, productId, variantId, syncResults);
 
@@ -337,6 +350,11 @@ class StockSyncService {
    */
   async syncToMarketplace(marketplaceAccount, marketplaceProduct, targetStock, reason) {
     try {
+      // Variant rows address the marketplace's own variant (model_id, SkuId, child product ID)
+      if (marketplaceProduct.variantId && !marketplaceProduct.marketplaceVariantId) {
+        throw new Error('Variant is not linked to a marketplace variant; sync the product first');
+      }
+
       // Create marketplace integration
       const integration = MarketplaceFactory.createFromAccount(marketplaceAccount);
 
@@ -344,7 +362,7 @@ class StockSyncService {
       const result = await integration.updateStock(
         marketplaceProduct.marketplaceProductId,
         targetStock,
-        marketplaceProduct.variantId
+        variantMappingService.getMarketplaceVariantId(marketplaceProduct)
       );
 
       // Update local record
@@ -362,6 +380,16 @@ class StockSyncService {
       };
 
     } catch (error) {
+      // Nothing was sent; leave the mapping as it was and try again later
+      if (circuitBreaker.isCircuitOpenError(error)) {
+        return {
+          success: false,
+          deferred: true,
+          retryAt: error.retryAt,
+          error: error.message
+        };
+      }
+
       // Update local record with error
       await prisma.marketplaceProduct.update({
         where: { id: marketplaceProduct.id },
@@ -378,6 +406,70 @@ class StockSyncService {
     }
   }
 
+  /**
+   * Queue a later sync of a rule for the marketplaces that were unavailable
+   */
+  async deferSyncRule(rule, inventoryData, deferredTargets) {
+    const retryAt = Math.max(...deferredTargets.map(target => target.retryAt));
+
+    await addInventoryJob('retry-stock-sync', {
+      ruleId: rule.id,
+      productId: inventoryData.productId,
+      variantId: inventoryData.variantId,
+      reason: inventoryData.reason,
+      marketplaceAccountIds: deferredTargets.map(target => target.marketplaceAccountId)
+    }, {
+      delay: Math.max(1000, retryAt - Date.now())
+    });
+
+    logger.warn(`Sync rule ${rule.id} deferred for ${deferredTargets.length} unavailable marketplace(s)`);
+  }
+
+  /**
+   * Run a deferred sync against the current stock
+   */
+  async retryDeferredSync({ ruleId, productId, variantId, reason, marketplaceAccountIds }) {
+    const rule = await prisma.stockSyncRule.findUnique({
+      where: { id: ruleId },
+      include: {
+        targetMarketplaceAccounts: {
+          include: {
+            marketplaceAccount: {
+              include: { marketplace: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!rule || !rule.isActive) {
+      logger.info(`Deferred sync skipped: rule ${ruleId} no longer active`);
+      return;
+    }
+
+    const inventory = await prisma.inventory.findFirst({
+      where: { productId, variantId: variantId || null }
+    });
+
+    if (!inventory) {
+      logger.info(`Deferred sync skipped: no inventory for product ${productId}`);
+      return;
+    }
+
+    // Stock may have changed while we waited; sync what it is now
+    await this.processSyncRule({
+      ...rule,
+      targetMarketplaceAccounts: rule.targetMarketplaceAccounts.filter(
+        target => marketplaceAccountIds.includes(target.marketplaceAccount.id)
+      )
+    }, {
+      productId,
+      variantId,
+      newStock: inventory.stockQuantity,
+      reason: reason || 'Deferred sync'
+    });
+  }
+
   /**
    * Log sync activity
    */
@@ -0,0 +1,102 @@
+const { prisma } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const logger = require('../utils/logger');
+
+// How often to look for expiring tokens, and how far ahead to refresh them
+const CHECK_INTERVAL = 10 * 60 * 1000;
+const REFRESH_AHEAD = 30 * 60 * 1000;
+
+/**
+ * Token Refresh Service
+ * Proactively renews marketplace access tokens before they expire
+ */
+class TokenRefreshService {
+  constructor() {
+    this.refreshInProgress = false;
+    this.timer = null;
+  }
+
+  /**
+   * Initialize token refresh service
+   */
+  async initialize() {
+    logger.info('Initializing Token Refresh Service...');
+
+    this.timer = setInterval(async () => {
+      await this.refreshExpiringTokens();
+    }, CHECK_INTERVAL);
+
+    // Catch tokens that expired while the server was down
+    await this.refreshExpiringTokens();
+
+    logger.info('Token Refresh Service initialized');
+  }
+
+  /**
+   * Whether an account's stored access token expires within the refresh window
+   */
+  isExpiring(account, now = Date.now()) {
+    const expiresAt = account.credentials?.accessTokenExpiresAt;
+    if (!expiresAt) {
+      return false;
+    }
+
+    return new Date(expiresAt).getTime() - REFRESH_AHEAD <= now;
+  }
+
+  /**
+   * Refresh tokens of all connected accounts that are about to expire
+   */
+  async refreshExpiringTokens() {
+    if (this.refreshInProgress) {
+      return { refreshed: 0, failed: 0 };
+    }
+
+    this.refreshInProgress = true;
+    let refreshed = 0;
+    let failed = 0;
+
+    try {
+      const accounts = await prisma.userMarketplaceAccount.findMany({
+        where: { isConnected: true },
+        include: {
+          marketplace: true
+        }
+      });
+
+      const expiringAccounts = accounts.filter(account => this.isExpiring(account));
+
+      for (const account of expiringAccounts) {
+        try {
+          const integration = MarketplaceFactory.createFromAccount(account);
+
+          if (!integration.canRefreshToken()) {
+            continue;
+          }
+
+          // Persisting new tokens and disconnecting on failure happen in the factory callbacks
+          await integration.refreshAccessToken();
+          refreshed++;
+        } catch (error) {
+          failed++;
+          logger.error(`Token refresh failed for account ${account.id}:`, error);
+        }
+      }
+
+      if (expiringAccounts.length > 0) {
+        logger.info(`Token refresh completed: ${refreshed} refreshed, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Token refresh check failed:', error);
+    } finally {
+      this.refreshInProgress = false;
+    }
+
+    return { refreshed, failed };
+  }
+}
+
+// Create singleton instance
+const tokenRefreshService = new TokenRefreshService();
+
+module.exports = tokenRefreshService;
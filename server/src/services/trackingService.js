@@ -0,0 +1,217 @@
+const { prisma } = require('../utils/database');
+const MarketplaceFactory = require('../integrations/MarketplaceFactory');
+const orderBatch = require('../utils/orderBatch');
+const { emitToUser } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+// How often to poll couriers, and how long an order rests between two polls
+const CHECK_INTERVAL = 30 * 60 * 1000;
+const RECHECK_AFTER = 2 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Days without a new checkpoint before a shipment counts as stuck
+const STUCK_AFTER_DAYS = parseInt(process.env.SHIPMENT_STUCK_DAYS, 10) || 3;
+
+// Orders that are with the courier, or about to be
+const TRACKED_STATUSES = ['PROCESSING', 'SHIPPED'];
+
+/**
+ * Tracking Service
+ * Pulls courier checkpoints of shipped orders from the marketplaces and flags stuck shipments
+ */
+class TrackingService {
+  constructor() {
+    this.refreshInProgress = false;
+    this.timer = null;
+  }
+
+  /**
+   * Initialize tracking service
+   */
+  async initialize() {
+    logger.info('Initializing Tracking Service...');
+
+    this.timer = setInterval(async () => {
+      await this.refreshTrackedOrders();
+    }, CHECK_INTERVAL);
+
+    logger.info('Tracking Service initialized');
+  }
+
+  /**
+   * Whether a shipment has gone without a checkpoint for too long
+   * Shipments without any checkpoint count from the moment they were arranged.
+   */
+  isStuck(order, lastCheckpointAt, now = Date.now()) {
+    if (!TRACKED_STATUSES.includes(order.status)) {
+      return false;
+    }
+
+    const since = lastCheckpointAt || order.shipmentArrangedAt;
+    if (!since) {
+      return false;
+    }
+
+    return now - new Date(since).getTime() > STUCK_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Store new checkpoints of one order and update its stuck flag
+   * @returns {Object} { newEvents, lastCheckpointAt, shipmentStuck }
+   */
+  async refreshOrder(order, integration) {
+    const info = await integration.getTrackingInfo(order.marketplaceOrderId);
+    const events = (info.events || []).filter(event => event.description && !isNaN(new Date(event.occurredAt)));
+
+    const { count: newEvents } = events.length > 0
+      ? await prisma.trackingEvent.createMany({
+        data: events.map(event => ({
+          orderId: order.id,
+          status: event.status || null,
+          description: event.description,
+          location: event.location || null,
+          occurredAt: new Date(event.occurredAt)
+        })),
+        skipDuplicates: true
+      })
+      : { count: 0 };
+
+    const lastCheckpointAt = events.reduce(
+      (latest, event) => (!latest || new Date(event.occurredAt) > latest ? new Date(event.occurredAt) : latest),
+      order.lastCheckpointAt ? new Date(order.lastCheckpointAt) : null
+    );
+    const shipmentStuck = this.isStuck(order, lastCheckpointAt);
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        lastCheckpointAt,
+        trackingCheckedAt: new Date(),
+        shipmentStuck,
+        // Keep the number from arranging the shipment unless the marketplace has one now
+        ...(info.trackingNumber && { trackingNumber: info.trackingNumber }),
+        ...(info.carrier && { shippingCarrier: info.carrier })
+      }
+    });
+
+    if (shipmentStuck && !order.shipmentStuck) {
+      logger.warn(`Shipment of order ${order.orderNumber} has had no checkpoint for ${STUCK_AFTER_DAYS} days`);
+      emitToUser(order.userId, 'order-update', {
+        type: 'shipment-stuck',
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        lastCheckpointAt
+      });
+    }
+
+    return { newEvents, lastCheckpointAt, shipmentStuck };
+  }
+
+  /**
+   * Refresh tracking of one order on request
+   */
+  async refreshOrderTracking(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        marketplaceAccount: {
+          include: { marketplace: true }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!order.trackingNumber && !order.shipmentArrangedAt) {
+      const error = new Error('Order has not been shipped yet');
+      error.code = 'NOT_SHIPPED';
+      throw error;
+    }
+
+    const integration = MarketplaceFactory.createFromAccount(order.marketplaceAccount);
+    if (!integration.supports('getTrackingInfo')) {
+      const error = new Error(`${order.marketplaceAccount.marketplace.name} does not provide tracking information`);
+      error.code = 'NOT_SUPPORTED';
+      throw error;
+    }
+
+    return this.refreshOrder(order, integration);
+  }
+
+  /**
+   * Poll checkpoints of shipped orders, least recently checked first
+   */
+  async refreshTrackedOrders() {
+    if (this.refreshInProgress) {
+      return { checked: 0, stuck: 0, failed: 0 };
+    }
+
+    this.refreshInProgress = true;
+    let checked = 0;
+    let stuck = 0;
+    let failed = 0;
+
+    try {
+      const orders = await prisma.order.findMany({
+        where: {
+          status: { in: TRACKED_STATUSES },
+          AND: [
+            {
+              OR: [
+                { trackingNumber: { not: null } },
+                { shipmentArrangedAt: { not: null } }
+              ]
+            },
+            {
+              OR: [
+                { trackingCheckedAt: null },
+                { trackingCheckedAt: { lt: new Date(Date.now() - RECHECK_AFTER) } }
+              ]
+            }
+          ]
+        },
+        include: {
+          marketplaceAccount: {
+            include: { marketplace: true }
+          }
+        },
+        orderBy: { trackingCheckedAt: { sort: 'asc', nulls: 'first' } },
+        take: BATCH_SIZE
+      });
+
+      const batch = await orderBatch.process(orders, {
+        getIntegration: (account) => {
+          const integration = MarketplaceFactory.isSupported(account.marketplace.code)
+            ? MarketplaceFactory.createFromAccount(account)
+            : null;
+          return integration?.supports('getTrackingInfo') ? integration : null;
+        },
+        // Untrackable orders are skipped, which pushes them to the back of the queue
+        handle: (order, integration) => integration ? this.refreshOrder(order, integration) : null,
+        checkedField: 'trackingCheckedAt',
+        label: 'Tracking refresh'
+      });
+
+      checked = batch.results.length;
+      stuck = batch.results.filter(result => result.shipmentStuck).length;
+      failed = batch.failed;
+
+      if (orders.length > 0) {
+        logger.info(`Tracking refresh completed: ${checked} checked, ${stuck} stuck, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Tracking refresh failed:', error);
+    } finally {
+      this.refreshInProgress = false;
+    }
+
+    return { checked, stuck, failed };
+  }
+}
+
+// Create singleton instance
+const trackingService = new TrackingService();
+
+module.exports = trackingService;
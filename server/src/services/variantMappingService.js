@@ -0,0 +1,182 @@
+const { prisma } = require('../utils/database');
+const logger = require('../utils/logger');
+
+// "Merah", " merah " and "MERAH" are the same option value
+const normalizeValue = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Option values of a variant as a comparable key, independent of option order and casing
+ */
+const optionKey = (attributes = {}) => Object.entries(attributes)
+  .map(([name, value]) => `${normalizeValue(name)}=${normalizeValue(value)}`)
+  .sort()
+  .join('|');
+
+/**
+ * Variant Mapping Service
+ * Links our ProductVariant rows to a marketplace's variants (Shopee models, Lazada SKUs, Tokopedia children)
+ * so that each variant has its own MarketplaceProduct row
+ */
+class VariantMappingService {
+  /**
+   * Pair our variants with marketplace variants, by SKU first and by option values otherwise
+   * @param {Array} variants - Our ProductVariant rows
+   * @param {Array} marketplaceVariants - Normalized [{ id, sku, variantName, price, stock, attributes }]
+   * @returns {Object} { matched: [{ variant, marketplaceVariant }], unmatched: [variant], unknown: [marketplaceVariant] }
+   */
+  matchVariants(variants = [], marketplaceVariants = []) {
+    const remaining = [...marketplaceVariants];
+    const matched = [];
+    const unmatched = [];
+
+    const take = (predicate) => {
+      const index = remaining.findIndex(predicate);
+      return index === -1 ? null : remaining.splice(index, 1)[0];
+    };
+
+    // SKUs win over option values, so pair every SKU before falling back
+    const bySku = variants.map(variant => ({
+      variant,
+      marketplaceVariant: take(candidate => candidate.sku && normalizeValue(candidate.sku) === normalizeValue(variant.sku))
+    }));
+
+    for (const { variant, marketplaceVariant } of bySku) {
+      const match = marketplaceVariant
+        || take(candidate => Object.keys(variant.attributes || {}).length > 0
+          && optionKey(candidate.attributes) === optionKey(variant.attributes))
+        || take(candidate => normalizeValue(candidate.variantName) === normalizeValue(variant.variantName));
+
+      if (match) {
+        matched.push({ variant, marketplaceVariant: match });
+      } else {
+        unmatched.push(variant);
+      }
+    }
+
+    return { matched, unmatched, unknown: remaining };
+  }
+
+  /**
+   * Record one MarketplaceProduct row per matched variant of a listing
+   * @param {Object} product - Our product with its variants
+   * @param {string} marketplaceAccountId - Account the listing belongs to
+   * @param {string} marketplaceProductId - Marketplace ID of the listing
+   * @param {Array} marketplaceVariants - Normalized variants of the listing
+   * @returns {Object} { linked, unmatched: [sku], unknown: [sku] }
+   */
+  async linkVariants(product, marketplaceAccountId, marketplaceProductId, marketplaceVariants) {
+    const { matched, unmatched, unknown } = this.matchVariants(product.variants, marketplaceVariants);
+
+    for (const { variant, marketplaceVariant } of matched) {
+      const data = {
+        marketplaceProductId,
+        marketplaceVariantId: marketplaceVariant.id,
+        marketplaceSku: marketplaceVariant.sku,
+        marketplacePrice: marketplaceVariant.price,
+        syncStatus: 'SUCCESS',
+        lastSynced: new Date(),
+        marketplaceData: marketplaceVariant
+      };
+
+      const existing = await prisma.marketplaceProduct.findFirst({
+        where: {
+          productId: product.id,
+          variantId: variant.id,
+          marketplaceAccountId
+        }
+      });
+
+      if (existing) {
+        await prisma.marketplaceProduct.update({
+          where: { id: existing.id },
+          data
+        });
+      } else {
+        await prisma.marketplaceProduct.create({
+          data: {
+            ...data,
+            productId: product.id,
+            variantId: variant.id,
+            marketplaceAccountId
+          }
+        });
+      }
+    }
+
+    if (unmatched.length > 0 || unknown.length > 0) {
+      logger.warn(`Variants of product ${product.sku} only partly match listing ${marketplaceProductId}: ${unmatched.length} of ours and ${unknown.length} of the marketplace's unmatched`);
+    }
+
+    return {
+      linked: matched.length,
+      unmatched: unmatched.map(variant => variant.sku),
+      unknown: unknown.map(marketplaceVariant => marketplaceVariant.sku || marketplaceVariant.id)
+    };
+  }
+
+  /**
+   * Marketplace variant a listing row addresses, or null for the listing as a whole
+   * Our variant linked to a listing without variants is stored with the listing's own ID.
+   */
+  getMarketplaceVariantId(marketplaceProduct) {
+    const { marketplaceProductId, marketplaceVariantId } = marketplaceProduct;
+    return marketplaceVariantId && marketplaceVariantId !== marketplaceProductId ? marketplaceVariantId : null;
+  }
+
+  /**
+   * Find our product and variant for a marketplace order item
+   * The listing's variant ID is tried first, then the SKU of our variants and products.
+   * @param {Object} tx - Prisma client or transaction
+   * @returns {Object} { product, variant }; either may be null
+   */
+  async resolveOrderItem(tx, userId, marketplaceAccountId, item) {
+    if (item.variantId) {
+      const listing = await tx.marketplaceProduct.findFirst({
+        where: {
+          marketplaceAccountId,
+          marketplaceVariantId: item.variantId,
+          variantId: { not: null }
+        },
+        include: {
+          product: true,
+          variant: true
+        }
+      });
+
+      if (listing) {
+        return { product: listing.product, variant: listing.variant };
+      }
+    }
+
+    if (!item.sku) {
+      return { product: null, variant: null };
+    }
+
+    const variant = await tx.productVariant.findFirst({
+      where: {
+        sku: item.sku,
+        product: { userId }
+      },
+      include: { product: true }
+    });
+
+    if (variant) {
+      const { product, ...variantFields } = variant;
+      return { product, variant: variantFields };
+    }
+
+    const product = await tx.product.findFirst({
+      where: {
+        userId,
+        sku: item.sku
+      }
+    });
+
+    return { product, variant: null };
+  }
+}
+
+// Create singleton instance
+const variantMappingService = new VariantMappingService();
+
+module.exports = variantMappingService;
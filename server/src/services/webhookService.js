@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { prisma } = require('../utils/database');
+const { cache } = require('../utils/redis');
+const { addSyncJob } = require('../jobs/queueManager');
+const logger = require('../utils/logger');
+
+// Keep processed event keys this long so platform retries are ignored
+const DEDUPE_TTL = 24 * 60 * 60;
+
+// Shopee push codes we act on
+const SHOPEE_ORDER_CODES = [3, 4]; // order status, tracking number
+const SHOPEE_PRODUCT_CODES = [8]; // reserved stock change
+
+/**
+ * Webhook Service
+ * Verifies inbound marketplace pushes and turns them into targeted refresh jobs
+ */
+class WebhookService {
+  /**
+   * Extract the shop identifier and refresh target from a platform payload
+   * Returns { shopId, type: 'order' | 'product' | null, targetId }
+   */
+  parseEvent(marketplaceCode, payload = {}) {
+    switch (marketplaceCode) {
+      case 'SHOPEE': {
+        const data = payload.data || {};
+        let type = null;
+        let targetId = null;
+
+        if (SHOPEE_ORDER_CODES.includes(payload.code) && data.ordersn) {
+          type = 'order';
+          targetId = data.ordersn;
+        } else if (SHOPEE_PRODUCT_CODES.includes(payload.code) && data.item_id) {
+          type = 'product';
+          targetId = data.item_id;
+        }
+
+        return { shopId: payload.shop_id, type, targetId };
+      }
+
+      case 'TOKOPEDIA':
+        if (payload.order_id) {
+          return { shopId: payload.shop_id, type: 'order', targetId: payload.order_id };
+        }
+        return {
+          shopId: payload.shop_id,
+          type: payload.product_id ? 'product' : null,
+          targetId: payload.product_id || null
+        };
+
+      case 'LAZADA': {
+        const data = payload.data || {};
+        if (data.trade_order_id) {
+          return { shopId: payload.seller_id, type: 'order', targetId: data.trade_order_id };
+        }
+        return {
+          shopId: payload.seller_id,
+          type: data.item_id ? 'product' : null,
+          targetId: data.item_id || null
+        };
+      }
+
+      default:
+        throw new Error(`Webhooks not supported for marketplace: ${marketplaceCode}`);
+    }
+  }
+
+  /**
+   * Find the connected account a push belongs to by its stored shop ID
+   * (Lazada's seller_id is kept in the same column)
+   */
+  async findAccount(marketplaceCode, shopId) {
+    if (!shopId) {
+      return null;
+    }
+
+    return await prisma.userMarketplaceAccount.findFirst({
+      where: {
+        shopId: String(shopId),
+        isConnected: true,
+        marketplace: { code: marketplaceCode }
+      },
+      include: {
+        marketplace: true
+      }
+    });
+  }
+
+  /**
+   * Verify a push against the account's app secret
+   * @param {string} marketplaceCode - SHOPEE, TOKOPEDIA or LAZADA
+   * @param {Object} account - Account the push claims to belong to
+   * @param {Object} request - { rawBody, headers, url }
+   */
+  verifySignature(marketplaceCode, account, { rawBody, headers, url }) {
+    const body = rawBody ? rawBody.toString('utf8') : '';
+    let expected;
+    let received;
+
+    switch (marketplaceCode) {
+      case 'SHOPEE':
+        // HMAC-SHA256 of "<callback url>|<body>" with the partner key
+        expected = this.hmac(account.apiSecret, `${url}|${body}`);
+        received = headers.authorization;
+        break;
+      case 'TOKOPEDIA':
+        // HMAC-SHA256 of the body with the client secret
+        expected = this.hmac(account.apiSecret, body);
+        received = headers['authorization-hmac'];
+        break;
+      case 'LAZADA':
+        // HMAC-SHA256 of "<app key><body>" with the app secret
+        expected = this.hmac(account.apiSecret, `${account.apiKey}${body}`);
+        received = headers.authorization;
+        break;
+      default:
+        return false;
+    }
+
+    return this.safeCompare(expected, received);
+  }
+
+  /**
+   * Hex HMAC-SHA256 digest
+   */
+  hmac(secret, data) {
+    return crypto
+      .createHmac('sha256', secret || '')
+      .update(data)
+      .digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of two hex signatures
+   */
+  safeCompare(expected, received) {
+    if (!expected || !received) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected.toLowerCase());
+    const receivedBuffer = Buffer.from(String(received).toLowerCase());
+
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Dedupe key of an event
+   * Platforms retry with identical bodies, so the body hash identifies the event
+   */
+  getEventKey(marketplaceCode, rawBody) {
+    const eventHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+    return `webhook:${marketplaceCode}:${eventHash}`;
+  }
+
+  /**
+   * Claim an event; returns false when it was already processed
+   */
+  async markProcessed(marketplaceCode, rawBody) {
+    return await cache.setIfNotExists(this.getEventKey(marketplaceCode, rawBody), Date.now(), DEDUPE_TTL);
+  }
+
+  /**
+   * Release a claimed event so the platform's retry is processed
+   */
+  async releaseEvent(marketplaceCode, rawBody) {
+    await cache.del(this.getEventKey(marketplaceCode, rawBody));
+  }
+
+  /**
+   * Enqueue a single-order or single-product refresh for the account
+   */
+  async enqueueRefresh(account, event) {
+    if (event.type === 'order') {
+      return await addSyncJob('refresh-order', {
+        userId: account.userId,
+        marketplaceAccountId: account.id,
+        marketplaceOrderId: String(event.targetId)
+      });
+    }
+
+    return await addSyncJob('refresh-product', {
+      userId: account.userId,
+      marketplaceAccountId: account.id,
+      marketplaceProductId: String(event.targetId)
+    });
+  }
+
+  /**
+   * Handle an inbound push end to end
+   * Pushes for unknown shops are answered like bad signatures so shop IDs cannot be probed
+   * @returns {Object} { status: 'queued' | 'duplicate' | 'ignored' | 'invalid_signature' }
+   */
+  async handleWebhook(marketplaceCode, request) {
+    const event = this.parseEvent(marketplaceCode, request.body);
+
+    const account = await this.findAccount(marketplaceCode, event.shopId);
+    if (!account) {
+      logger.warn(`${marketplaceCode} webhook for unknown shop ${event.shopId}`);
+      return { status: 'invalid_signature' };
+    }
+
+    if (!this.verifySignature(marketplaceCode, account, request)) {
+      logger.warn(`${marketplaceCode} webhook signature mismatch for account ${account.id}`);
+      return { status: 'invalid_signature' };
+    }
+
+    if (!event.type) {
+      return { status: 'ignored' };
+    }
+
+    const isNew = await this.markProcessed(marketplaceCode, request.rawBody);
+    if (!isNew) {
+      logger.info(`Duplicate ${marketplaceCode} webhook for ${event.type} ${event.targetId}`);
+      return { status: 'duplicate' };
+    }
+
+    let job;
+    try {
+      job = await this.enqueueRefresh(account, event);
+    } catch (error) {
+      await this.releaseEvent(marketplaceCode, request.rawBody);
+      throw error;
+    }
+    logger.info(`${marketplaceCode} webhook queued ${event.type} refresh ${event.targetId} (job ${job.id})`);
+
+    return {
+      status: 'queued',
+      type: event.type,
+      targetId: String(event.targetId)
+    };
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
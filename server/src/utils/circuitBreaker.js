@@ -0,0 +1,237 @@
+const { getRedisClient } = require('./redis');
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: 5, // consecutive failures that open the circuit
+  openDuration: 60 * 1000 // how long to short-circuit before a trial call
+};
+
+// Idle breakers are forgotten after a day
+const STATE_TTL = 24 * 60 * 60;
+
+// Per-process state used when Redis is not connected (scripts, tests)
+const localStates = new Map();
+const localProbes = new Map();
+
+const getClient = () => {
+  try {
+    return getRedisClient();
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseState = (raw) => ({
+  state: raw?.state || STATES.CLOSED,
+  failures: parseInt(raw?.failures) || 0,
+  openedAt: raw?.openedAt ? parseInt(raw.openedAt) : null,
+  retryAt: raw?.retryAt ? parseInt(raw.retryAt) : null
+});
+
+const store = {
+  async read(key) {
+    const client = getClient();
+    if (client) {
+      try {
+        return parseState(await client.hGetAll(`circuit:${key}`));
+      } catch (error) {
+        logger.error('Circuit breaker read error:', error);
+      }
+    }
+    return parseState(localStates.get(key));
+  },
+
+  async write(key, state) {
+    const fields = {
+      state: state.state,
+      failures: String(state.failures),
+      openedAt: state.openedAt ? String(state.openedAt) : '',
+      retryAt: state.retryAt ? String(state.retryAt) : ''
+    };
+
+    const client = getClient();
+    if (client) {
+      try {
+        await client.hSet(`circuit:${key}`, fields);
+        await client.expire(`circuit:${key}`, STATE_TTL);
+        return;
+      } catch (error) {
+        logger.error('Circuit breaker write error:', error);
+      }
+    }
+    localStates.set(key, fields);
+  },
+
+  async incrementFailures(key) {
+    const client = getClient();
+    if (client) {
+      try {
+        const failures = await client.hIncrBy(`circuit:${key}`, 'failures', 1);
+        await client.expire(`circuit:${key}`, STATE_TTL);
+        return failures;
+      } catch (error) {
+        logger.error('Circuit breaker write error:', error);
+      }
+    }
+    const state = localStates.get(key) || {};
+    const failures = (parseInt(state.failures) || 0) + 1;
+    localStates.set(key, { ...state, failures: String(failures) });
+    return failures;
+  },
+
+  // Only one worker may send the trial call of a half-open circuit
+  async acquireProbe(key, ttl) {
+    const client = getClient();
+    if (client) {
+      try {
+        const result = await client.set(`circuit:${key}:probe`, '1', { NX: true, PX: ttl });
+        return result === 'OK';
+      } catch (error) {
+        logger.error('Circuit breaker probe error:', error);
+      }
+    }
+    if ((localProbes.get(key) || 0) > Date.now()) {
+      return false;
+    }
+    localProbes.set(key, Date.now() + ttl);
+    return true;
+  },
+
+  async releaseProbe(key) {
+    const client = getClient();
+    if (client) {
+      try {
+        await client.del(`circuit:${key}:probe`);
+        return;
+      } catch (error) {
+        logger.error('Circuit breaker probe error:', error);
+      }
+    }
+    localProbes.delete(key);
+  }
+};
+
+const opened = (failures, now, options) => ({
+  state: STATES.OPEN,
+  failures,
+  openedAt: now,
+  retryAt: now + options.openDuration
+});
+
+// Circuit breaker per marketplace account, shared by every worker
+const circuitBreaker = {
+  STATES,
+  DEFAULT_OPTIONS,
+
+  /**
+   * Current breaker state of an account
+   */
+  async getState(key) {
+    return await store.read(key);
+  },
+
+  /**
+   * Decide whether a call may go out
+   * Returns { allowed, current, transition } where transition is set when the state changed
+   */
+  async allowRequest(key, options = DEFAULT_OPTIONS) {
+    const current = await store.read(key);
+    const now = Date.now();
+
+    if (current.state === STATES.CLOSED) {
+      return { allowed: true, current };
+    }
+
+    if (current.state === STATES.OPEN && current.retryAt > now) {
+      return { allowed: false, current };
+    }
+
+    // Cool-down is over (or the last trial call never reported back): let one call through
+    if (!await store.acquireProbe(key, options.openDuration)) {
+      return { allowed: false, current: { ...current, retryAt: Math.max(current.retryAt || 0, now + 1000) } };
+    }
+
+    const halfOpen = { ...current, state: STATES.HALF_OPEN };
+    await store.write(key, halfOpen);
+
+    return {
+      allowed: true,
+      current: halfOpen,
+      transition: current.state !== STATES.HALF_OPEN ? { from: current.state, to: STATES.HALF_OPEN, ...halfOpen } : null
+    };
+  },
+
+  /**
+   * Record a successful call; closes a half-open circuit
+   */
+  async recordSuccess(key, current) {
+    const known = current || await store.read(key);
+    if (known.state === STATES.CLOSED && known.failures === 0) {
+      return null;
+    }
+
+    const closed = { state: STATES.CLOSED, failures: 0, openedAt: null, retryAt: null };
+    await store.write(key, closed);
+    await store.releaseProbe(key);
+
+    return known.state !== STATES.CLOSED ? { from: known.state, to: STATES.CLOSED, ...closed } : null;
+  },
+
+  /**
+   * Record a failed call; opens the circuit past the threshold or when a trial call fails
+   */
+  async recordFailure(key, current, options = DEFAULT_OPTIONS) {
+    const known = current || await store.read(key);
+    const now = Date.now();
+
+    if (known.state === STATES.HALF_OPEN) {
+      const reopened = opened(known.failures + 1, now, options);
+      await store.write(key, reopened);
+      await store.releaseProbe(key);
+      return { from: STATES.HALF_OPEN, to: STATES.OPEN, ...reopened };
+    }
+
+    if (known.state === STATES.OPEN) {
+      return null;
+    }
+
+    const failures = await store.incrementFailures(key);
+    if (failures < options.failureThreshold) {
+      return null;
+    }
+
+    const open = opened(failures, now, options);
+    await store.write(key, open);
+    return { from: STATES.CLOSED, to: STATES.OPEN, ...open };
+  },
+
+  /**
+   * Close the circuit by hand, e.g. after fixing credentials
+   */
+  async reset(key) {
+    return await this.recordSuccess(key);
+  },
+
+  /**
+   * Whether an error came from a short-circuited call
+   */
+  isCircuitOpenError(error) {
+    return error?.code === 'CIRCUIT_OPEN';
+  },
+
+  /**
+   * Forget local state (used by tests)
+   */
+  resetLocal() {
+    localStates.clear();
+    localProbes.clear();
+  }
+};
+
+module.exports = circuitBreaker;
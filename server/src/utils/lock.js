@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('./redis');
+const logger = require('./logger');
+
+// Deletes the lock only while the caller still holds it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+const DEFAULT_OPTIONS = {
+  ttl: 30 * 1000, // a holder that dies releases the lock after this long
+  timeout: 40 * 1000, // how long to wait for another holder
+  retryDelay: 100
+};
+
+// Per-process locks used when Redis is not connected (scripts, tests)
+const localLocks = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getClient = () => {
+  try {
+    return getRedisClient();
+  } catch (error) {
+    return null;
+  }
+};
+
+const tryLocal = (key, owner, ttl) => {
+  const held = localLocks.get(key);
+  if (held && held.expiresAt > Date.now()) {
+    return false;
+  }
+
+  localLocks.set(key, { owner, expiresAt: Date.now() + ttl });
+  return true;
+};
+
+const releaseLocal = (key, owner) => {
+  if (localLocks.get(key)?.owner === owner) {
+    localLocks.delete(key);
+  }
+};
+
+// Mutual exclusion across every worker, e.g. one token refresh per account at a time
+const lock = {
+  /**
+   * Try to take the lock once; returns true when this owner got it
+   */
+  async tryAcquire(key, owner, ttl) {
+    const client = getClient();
+    if (!client) {
+      return tryLocal(key, owner, ttl);
+    }
+
+    try {
+      return await client.set(`lock:${key}`, owner, { NX: true, PX: ttl }) === 'OK';
+    } catch (error) {
+      logger.error('Lock acquire error:', error);
+      return tryLocal(key, owner, ttl);
+    }
+  },
+
+  async release(key, owner) {
+    const client = getClient();
+    if (!client) {
+      releaseLocal(key, owner);
+      return;
+    }
+
+    try {
+      await client.eval(RELEASE_SCRIPT, { keys: [`lock:${key}`], arguments: [owner] });
+    } catch (error) {
+      logger.error('Lock release error:', error);
+    }
+    releaseLocal(key, owner);
+  },
+
+  /**
+   * Run fn while holding the lock, waiting for other holders first
+   */
+  async withLock(key, fn, options = {}) {
+    const { ttl, timeout, retryDelay } = { ...DEFAULT_OPTIONS, ...options };
+    const owner = crypto.randomUUID();
+    const giveUpAt = Date.now() + timeout;
+
+    while (!(await this.tryAcquire(key, owner, ttl))) {
+      if (Date.now() >= giveUpAt) {
+        throw new Error(`Timed out waiting for lock ${key}`);
+      }
+      await sleep(retryDelay);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.release(key, owner);
+    }
+  },
+
+  /**
+   * Forget local locks (used by tests)
+   */
+  resetLocal() {
+    localLocks.clear();
+  }
+};
+
+module.exports = lock;
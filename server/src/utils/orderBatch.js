@@ -0,0 +1,65 @@
+const { prisma } = require('./database');
+const circuitBreaker = require('./circuitBreaker');
+const logger = require('./logger');
+
+// Background passes over orders of many accounts, e.g. fee import and tracking refresh
+const orderBatch = {
+  /**
+   * Handle a batch of orders with one integration per account
+   * Accounts whose circuit opens keep their remaining orders for the next run. Orders that fail, or that
+   * handle() skips by returning null, are pushed to the back of the queue by stamping checkedField.
+   * @param {Array} orders - Orders including their marketplaceAccount
+   * @param {Object} options
+   * @param {Function} options.getIntegration - (account) => integration for the account's orders, or null
+   * @param {Function} options.handle - async (order, integration) => result, or null to skip the order
+   * @param {string} options.checkedField - Order timestamp the queue is sorted by
+   * @param {string} options.label - What the batch does, for logs
+   * @returns {Object} { results: [result], failed }
+   */
+  async process(orders, { getIntegration, handle, checkedField, label }) {
+    const integrations = new Map();
+    const unavailableAccounts = new Set();
+    const results = [];
+    let failed = 0;
+
+    const pushBack = (order) => prisma.order.update({
+      where: { id: order.id },
+      data: { [checkedField]: new Date() }
+    });
+
+    for (const order of orders) {
+      const accountId = order.marketplaceAccountId;
+
+      if (unavailableAccounts.has(accountId)) {
+        continue;
+      }
+
+      try {
+        if (!integrations.has(accountId)) {
+          integrations.set(accountId, getIntegration(order.marketplaceAccount));
+        }
+
+        const result = await handle(order, integrations.get(accountId));
+        if (result) {
+          results.push(result);
+        } else {
+          await pushBack(order);
+        }
+      } catch (error) {
+        if (circuitBreaker.isCircuitOpenError(error)) {
+          unavailableAccounts.add(accountId);
+          logger.info(`Skipping ${label.toLowerCase()} for account ${accountId}: ${error.message}`);
+          continue;
+        }
+
+        failed++;
+        logger.error(`${label} failed for order ${order.id}:`, error);
+        await pushBack(order);
+      }
+    }
+
+    return { results, failed };
+  }
+};
+
+module.exports = orderBatch;
@@ -0,0 +1,144 @@
+const { getRedisClient } = require('./redis');
+const logger = require('./logger');
+
+// Refills the bucket from the time elapsed since the last call, then takes one token.
+// Returns 0 when a token was taken, otherwise how many ms to wait before trying again.
+// Uses the Redis clock so every worker agrees on elapsed time.
+const TAKE_TOKEN_SCRIPT = `
+local blocked = redis.call('PTTL', KEYS[2])
+if blocked > 0 then
+  return blocked
+end
+
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2]) / 1000
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) / refillPerMs)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs) + 1000)
+return wait
+`;
+
+// Per-process buckets used when Redis is not connected (scripts, tests)
+const localBuckets = new Map();
+const localBlocks = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const takeLocalToken = (key, { capacity, refillPerSecond }) => {
+  const now = Date.now();
+
+  const blockedUntil = localBlocks.get(key) || 0;
+  if (blockedUntil > now) {
+    return blockedUntil - now;
+  }
+
+  const refillPerMs = refillPerSecond / 1000;
+  const bucket = localBuckets.get(key) || { tokens: capacity, updatedAt: now };
+  let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs);
+
+  let wait = 0;
+  if (tokens >= 1) {
+    tokens -= 1;
+  } else {
+    wait = Math.ceil((1 - tokens) / refillPerMs);
+  }
+
+  localBuckets.set(key, { tokens, updatedAt: now });
+  return wait;
+};
+
+const getClient = () => {
+  try {
+    return getRedisClient();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Distributed token bucket shared by every worker talking to the same account
+const rateLimiter = {
+  /**
+   * Try to take one token; returns 0 on success or the ms to wait
+   */
+  async takeToken(key, quota) {
+    const client = getClient();
+    if (!client) {
+      return takeLocalToken(key, quota);
+    }
+
+    try {
+      const wait = await client.eval(TAKE_TOKEN_SCRIPT, {
+        keys: [key, `${key}:blocked`],
+        arguments: [String(quota.capacity), String(quota.refillPerSecond)]
+      });
+      return Number(wait) || 0;
+    } catch (error) {
+      logger.error('Rate limiter error:', error);
+      return takeLocalToken(key, quota);
+    }
+  },
+
+  /**
+   * Wait until a token is available and take it
+   */
+  async acquire(key, quota) {
+    let wait = await this.takeToken(key, quota);
+
+    while (wait > 0) {
+      await sleep(wait);
+      wait = await this.takeToken(key, quota);
+    }
+  },
+
+  /**
+   * Hold back every caller on this key, e.g. after a 429 with Retry-After
+   */
+  async block(key, ms) {
+    if (ms <= 0) {
+      return;
+    }
+
+    const client = getClient();
+    if (!client) {
+      localBlocks.set(key, Math.max(localBlocks.get(key) || 0, Date.now() + ms));
+      return;
+    }
+
+    try {
+      const blockedKey = `${key}:blocked`;
+      const remaining = await client.pTTL(blockedKey);
+
+      // Never shorten a longer block set by another worker
+      if (remaining < ms) {
+        await client.set(blockedKey, '1', { PX: ms });
+      }
+    } catch (error) {
+      logger.error('Rate limiter block error:', error);
+      localBlocks.set(key, Math.max(localBlocks.get(key) || 0, Date.now() + ms));
+    }
+  },
+
+  /**
+   * Forget local buckets (used by tests)
+   */
+  resetLocal() {
+    localBuckets.clear();
+    localBlocks.clear();
+  }
+};
+
+module.exports = rateLimiter;
@@ -80,6 +80,18 @@ const cache = {
     }
   },
 
+  // Returns true only for the caller that set the key; fails open on Redis errors
+  async setIfNotExists(key, value, ttl = 3600) {
+    try {
+      const client = getRedisClient();
+      const result = await client.set(key, JSON.stringify(value), { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Cache setIfNotExists error:', error);
+      return true;
+    }
+  },
+
   async del(key) {
     try {
       const client = getRedisClient();
@@ -0,0 +1,25 @@
+const logger = require('./logger');
+
+// Socket.io server, registered by index.js once it is created
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const getIO = () => io;
+
+// Send an event to every open session of a user
+const emitToUser = (userId, event, data) => {
+  if (!io) {
+    logger.debug(`Socket.io not initialized, dropping ${event} for user ${userId}`);
+    return;
+  }
+  io.to(`user-${userId}`).emit(event, data);
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  emitToUser
+};
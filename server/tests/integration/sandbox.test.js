@@ -0,0 +1,159 @@
+const MarketplaceFactory = require('../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../src/integrations/SandboxSimulator');
+const { syncOrders } = require('../../src/jobs/processors/syncProcessor');
+const stockSyncService = require('../../src/services/stockSyncService');
+const orderManagementService = require('../../src/services/orderManagementService');
+const circuitBreaker = require('../../src/utils/circuitBreaker');
+const {
+  prisma,
+  createTestUser,
+  createTestMarketplace,
+  createTestMarketplaceAccount,
+  createTestProduct,
+  createTestInventory
+} = require('../setup');
+
+// End-to-end flows against the in-process SANDBOX marketplace; no network access needed
+describe('Sandbox marketplace end-to-end', () => {
+  let testUser, testMarketplaceAccount, simulator;
+
+  const loadAccount = () => prisma.userMarketplaceAccount.findUnique({
+    where: { id: testMarketplaceAccount.id },
+    include: { marketplace: true }
+  });
+
+  beforeAll(() => {
+    MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+  });
+
+  beforeEach(async () => {
+    resetSimulators();
+    circuitBreaker.resetLocal();
+
+    testUser = await createTestUser();
+    const testMarketplace = await createTestMarketplace({
+      name: 'Sandbox',
+      code: 'SANDBOX'
+    });
+    testMarketplaceAccount = await createTestMarketplaceAccount(testUser.id, testMarketplace.id, {
+      credentials: { seed: 7, productCount: 10, orderCount: 60 }
+    });
+
+    simulator = getSimulator(testMarketplaceAccount.id, { seed: 7, productCount: 10, orderCount: 60 });
+  });
+
+  describe('syncProcessor.syncOrders', () => {
+    const dateRange = {
+      startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      endDate: new Date()
+    };
+
+    it('should import every page of sandbox orders and deduct stock', async () => {
+      const sandboxProduct = simulator.products.find(p => p.variants.length === 0);
+      const product = await createTestProduct(testUser.id, { sku: sandboxProduct.sku });
+      await createTestInventory(product.id, { stockQuantity: 1000, availableQuantity: 1000 });
+
+      const result = await syncOrders(testUser.id, testMarketplaceAccount.id, dateRange);
+
+      expect(result).toMatchObject({ status: 'SUCCESS', successCount: 60, failureCount: 0 });
+      expect(await prisma.order.count({ where: { marketplaceAccountId: testMarketplaceAccount.id } })).toBe(60);
+
+      const sold = simulator.orders
+        .flatMap(order => order.items)
+        .filter(item => item.sku === sandboxProduct.sku)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      const inventory = await prisma.inventory.findFirst({ where: { productId: product.id } });
+      expect(inventory.stockQuantity).toBe(1000 - sold);
+    });
+
+    it('should update orders that moved on since the last sync', async () => {
+      const sandboxOrder = simulator.orders[0];
+      sandboxOrder.status = 'PROCESSED';
+      await syncOrders(testUser.id, testMarketplaceAccount.id, dateRange);
+
+      simulator.advanceOrders();
+      const result = await syncOrders(testUser.id, testMarketplaceAccount.id, dateRange);
+
+      expect(result.results.every(r => r.action === 'updated')).toBe(true);
+      const order = await prisma.order.findFirst({ where: { marketplaceOrderId: sandboxOrder.id } });
+      expect(order.status).toBe('SHIPPED');
+    });
+
+    it('should defer the sync when the sandbox circuit opens', async () => {
+      simulator.configure({ errorRate: 1 });
+      for (let i = 0; i < circuitBreaker.DEFAULT_OPTIONS.failureThreshold; i++) {
+        await MarketplaceFactory.createFromAccount(await loadAccount()).getProfile().catch(() => {});
+      }
+
+      await expect(syncOrders(testUser.id, testMarketplaceAccount.id, dateRange))
+        .rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      const syncLog = await prisma.syncLog.findFirst({ where: { marketplaceAccountId: testMarketplaceAccount.id } });
+      expect(syncLog.status).toBe('FAILED');
+      expect(syncLog.syncData.deferredUntil).toBeDefined();
+    });
+  });
+
+  describe('stockSyncService', () => {
+    it('should push stock to the sandbox product', async () => {
+      const sandboxProduct = simulator.products.find(p => p.variants.length === 0);
+      const product = await createTestProduct(testUser.id, { sku: sandboxProduct.sku });
+      const marketplaceProduct = await prisma.marketplaceProduct.create({
+        data: {
+          productId: product.id,
+          marketplaceAccountId: testMarketplaceAccount.id,
+          marketplaceProductId: sandboxProduct.id,
+          syncStatus: 'SUCCESS'
+        }
+      });
+
+      const result = await stockSyncService.syncToMarketplace(await loadAccount(), marketplaceProduct, 17, 'test');
+
+      expect(result.success).toBe(true);
+      expect(sandboxProduct.stock).toBe(17);
+    });
+
+    it('should mark the mapping failed when the sandbox rejects the update', async () => {
+      const sandboxProduct = simulator.products.find(p => p.variants.length === 0);
+      const product = await createTestProduct(testUser.id, { sku: sandboxProduct.sku });
+      const marketplaceProduct = await prisma.marketplaceProduct.create({
+        data: {
+          productId: product.id,
+          marketplaceAccountId: testMarketplaceAccount.id,
+          marketplaceProductId: sandboxProduct.id,
+          syncStatus: 'SUCCESS'
+        }
+      });
+      simulator.injectError({ status: 400, path: `/products/${sandboxProduct.id}/stock` });
+
+      const result = await stockSyncService.syncToMarketplace(await loadAccount(), marketplaceProduct, 17, 'test');
+
+      expect(result.success).toBe(false);
+      const updated = await prisma.marketplaceProduct.findUnique({ where: { id: marketplaceProduct.id } });
+      expect(updated.syncStatus).toBe('FAILED');
+    });
+  });
+
+  describe('orderManagementService', () => {
+    it('should sync sandbox orders and pick up status changes', async () => {
+      const sandboxOrder = simulator.orders[0];
+      sandboxOrder.status = 'READY_TO_SHIP';
+
+      const result = await orderManagementService.syncMarketplaceOrders(await loadAccount());
+      expect(result).toMatchObject({ success: true, totalSynced: 60, totalErrors: 0 });
+
+      const order = await prisma.order.findFirst({
+        where: { marketplaceOrderId: sandboxOrder.id },
+        include: { marketplaceAccount: { include: { marketplace: true } } }
+      });
+      expect(order.status).toBe('CONFIRMED');
+
+      simulator.advanceOrders(2);
+      await orderManagementService.checkOrderStatusUpdate(order);
+
+      const updated = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updated.status).toBe('SHIPPED');
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const express = require('express');
+const BaseMarketplace = require('../../../src/integrations/BaseMarketplace');
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+const rateLimiter = require('../../../src/utils/rateLimiter');
+const circuitBreaker = require('../../../src/utils/circuitBreaker');
+const lock = require('../../../src/utils/lock');
+
+class TestMarketplace extends BaseMarketplace {
+  getAuthHeaders(_config) {
+    return {};
+  }
+
+  isRateLimited(response) {
+    return super.isRateLimited(response) || response?.data?.code === 'ApiCallLimit';
+  }
+}
+
+// Signs the serialized body like TikTok and Blibli do
+class SigningMarketplace extends BaseMarketplace {
+  getAuthHeaders(config) {
+    const body = config.data ? JSON.stringify(config.data) : '';
+    return { 'X-Signature': sign(body), Authorization: `Bearer ${this.accessToken}` };
+  }
+}
+
+const sign = (body) => crypto.createHmac('sha256', 'app-secret').update(body).digest('hex');
+
+// Answers with the queued responses first, then 200
+const createMockApi = () => {
+  const app = express();
+  const state = { requests: [], queued: [], healthy: true, healthRequests: 0 };
+
+  app.get('/health', (req, res) => {
+    state.healthRequests++;
+    if (!state.healthy) {
+      return res.status(503).json({ message: 'Service unavailable' });
+    }
+    res.json({ ok: true });
+  });
+
+  app.get('/items', (req, res) => {
+    state.requests.push({ at: Date.now(), query: req.query });
+
+    const next = state.queued.shift();
+    if (next) {
+      return res.status(next.status).set(next.headers || {}).json(next.body || {});
+    }
+    res.json({ code: '0', items: [] });
+  });
+
+  app.post('/orders', express.text({ type: '*/*' }), (req, res) => {
+    state.requests.push({ at: Date.now(), body: req.body, signature: req.headers['x-signature'] });
+
+    const next = state.queued.shift();
+    if (next) {
+      return res.status(next.status).set(next.headers || {}).json(next.body || {});
+    }
+    res.json({ signatureValid: req.headers['x-signature'] === sign(req.body), authorization: req.headers.authorization });
+  });
+
+  return { app, state };
+};
+
+describe('BaseMarketplace', () => {
+  let server, state, baseURL;
+
+  beforeAll(async () => {
+    const mock = createMockApi();
+    state = mock.state;
+    server = await new Promise(resolve => {
+      const listener = mock.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.queued = [];
+    rateLimiter.resetLocal();
+  });
+
+  it('should hold requests back once the bucket is empty', async () => {
+    const integration = new TestMarketplace({
+      baseURL,
+      accountId: 'acc-1',
+      rateLimits: { default: { capacity: 2, refillPerSecond: 10 } }
+    });
+
+    const startedAt = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => integration.client.get('/items')));
+
+    // Two requests ride the burst, the other two wait ~100ms each for a refill
+    expect(state.requests).toHaveLength(4);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(150);
+  });
+
+  it('should share one bucket between instances for the same account', async () => {
+    const rateLimits = { default: { capacity: 1, refillPerSecond: 10 } };
+    const first = new TestMarketplace({ baseURL, accountId: 'acc-2', rateLimits });
+    const second = new TestMarketplace({ baseURL, accountId: 'acc-2', rateLimits });
+
+    await Promise.all([first.client.get('/items'), second.client.get('/items')]);
+
+    expect(state.requests[1].at - state.requests[0].at).toBeGreaterThanOrEqual(80);
+  });
+
+  it('should wait for Retry-After and replay a 429 with the original params', async () => {
+    const integration = new TestMarketplace({ baseURL, accountId: 'acc-3' });
+    state.queued.push({ status: 429, headers: { 'Retry-After': '1' } });
+
+    const response = await integration.client.get('/items', { params: { page: 2 } });
+
+    expect(response.status).toBe(200);
+    expect(state.requests).toHaveLength(2);
+    expect(state.requests[1].query).toEqual({ page: '2' });
+    expect(state.requests[1].at - state.requests[0].at).toBeGreaterThanOrEqual(950);
+  });
+
+  it('should retry throttling reported in a 200 body', async () => {
+    const integration = new TestMarketplace({ baseURL, accountId: 'acc-4' });
+    state.queued.push({ status: 200, headers: { 'Retry-After': '0' }, body: { code: 'ApiCallLimit' } });
+
+    const response = await integration.client.get('/items');
+
+    expect(response.data.code).toBe('0');
+    expect(state.requests).toHaveLength(2);
+  });
+
+  it('should give up after repeated 429s', async () => {
+    const integration = new TestMarketplace({ baseURL, accountId: 'acc-5' });
+    for (let i = 0; i < 4; i++) {
+      state.queued.push({ status: 429, headers: { 'Retry-After': '0' } });
+    }
+
+    await expect(integration.client.get('/items')).rejects.toMatchObject({ status: 429 });
+    expect(state.requests).toHaveLength(4);
+  });
+
+  it('should re-sign the original body when replaying a throttled POST', async () => {
+    const integration = new SigningMarketplace({ baseURL, accountId: 'acc-signed', accessToken: 'token' });
+    state.queued.push({ status: 429, headers: { 'Retry-After': '0' } });
+
+    const response = await integration.client.post('/orders', { orderId: '123', status: 'SHIPPED' });
+
+    expect(state.requests).toHaveLength(2);
+    expect(state.requests[1].body).toBe(JSON.stringify({ orderId: '123', status: 'SHIPPED' }));
+    expect(response.data.signatureValid).toBe(true);
+  });
+
+  it('should re-sign the original body when replaying a POST with a fresh token', async () => {
+    const integration = new SigningMarketplace({ baseURL, accessToken: 'old-token', refreshToken: 'refresh' });
+    integration.requestTokenRefresh = jest.fn().mockResolvedValue({ accessToken: 'new-token' });
+    state.queued.push({ status: 401 });
+
+    const response = await integration.client.post('/orders', { orderId: '123', status: 'SHIPPED' });
+
+    expect(integration.requestTokenRefresh).toHaveBeenCalledTimes(1);
+    expect(state.requests).toHaveLength(2);
+    expect(state.requests[1].body).toBe(JSON.stringify({ orderId: '123', status: 'SHIPPED' }));
+    expect(response.data).toEqual({ signatureValid: true, authorization: 'Bearer new-token' });
+  });
+
+  describe('token refresh', () => {
+    // Stored account credentials shared by every worker; refresh tokens are single-use
+    const createAccount = () => ({ accessToken: 'token-1', refreshToken: 'refresh-1', accessTokenExpiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const createWorker = (stored, requestTokenRefresh) => {
+      const integration = new TestMarketplace({
+        baseURL,
+        accountId: 'acc-token',
+        ...stored,
+        loadCredentials: async () => ({ ...stored }),
+        onTokenRefresh: async (tokens) => Object.assign(stored, tokens),
+        onTokenRefreshFailed: jest.fn()
+      });
+      integration.requestTokenRefresh = requestTokenRefresh;
+      return integration;
+    };
+
+    beforeEach(() => {
+      lock.resetLocal();
+    });
+
+    it('should refresh once across workers and hand the stored tokens to the others', async () => {
+      const stored = createAccount();
+      const requestTokenRefresh = jest.fn(async function () {
+        if (this.refreshToken !== stored.refreshToken) {
+          throw Object.assign(new Error('Refresh token already used'), { response: { status: 400 } });
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return {
+          accessToken: 'token-2',
+          refreshToken: 'refresh-2',
+          accessTokenExpiresAt: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString()
+        };
+      });
+      const workers = [1, 2, 3].map(() => createWorker(stored, requestTokenRefresh));
+
+      await Promise.all(workers.map(worker => worker.refreshAccessToken()));
+
+      expect(requestTokenRefresh).toHaveBeenCalledTimes(1);
+      expect(stored).toMatchObject({ accessToken: 'token-2', refreshToken: 'refresh-2' });
+      for (const worker of workers) {
+        expect(worker.accessToken).toBe('token-2');
+        expect(worker.refreshToken).toBe('refresh-2');
+        expect(worker.onTokenRefreshFailed).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should refresh with the stored refresh token when the instance holds an older one', async () => {
+      const stored = createAccount();
+      const requestTokenRefresh = jest.fn(async function () {
+        return { accessToken: `token-after-${this.refreshToken}`, refreshToken: 'refresh-3' };
+      });
+      const worker = createWorker({ ...stored, refreshToken: 'refresh-0' }, requestTokenRefresh);
+      worker.loadCredentials = async () => ({ ...stored });
+
+      await worker.refreshAccessToken();
+
+      expect(worker.accessToken).toBe('token-after-refresh-1');
+    });
+  });
+
+  it('should key buckets by account and API family', () => {
+    const shopee = new ShopeeIntegration({ accountId: 'acc-6', partnerId: 1, shopId: 2 });
+
+    expect(shopee.getApiFamily({ url: '/api/v2/product/get_item_list' })).toBe('product');
+    expect(shopee.getApiFamily({ url: '/api/v2/logistics/get_shipping_parameter' })).toBe('order');
+    expect(shopee.getApiFamily({ url: '/api/v2/shop/get_shop_info' })).toBe('default');
+    expect(shopee.getRateLimitKey({ url: '/api/v2/order/get_order_list' }))
+      .toBe('ratelimit:ShopeeIntegration:acc-6:order');
+  });
+
+  describe('circuit breaker', () => {
+    const createIntegration = (extra = {}) => new TestMarketplace({
+      baseURL,
+      accountId: 'acc-circuit',
+      circuitBreaker: { failureThreshold: 2, openDuration: 200 },
+      ...extra
+    });
+
+    beforeEach(() => {
+      state.healthy = true;
+      state.healthRequests = 0;
+      circuitBreaker.resetLocal();
+    });
+
+    it('should open after consecutive failures and short-circuit further calls', async () => {
+      const onCircuitStateChange = jest.fn();
+      const integration = createIntegration({ onCircuitStateChange });
+      state.healthy = false;
+
+      await expect(integration.client.get('/health')).rejects.toMatchObject({ status: 503 });
+      await expect(integration.client.get('/health')).rejects.toMatchObject({ status: 503 });
+      await expect(integration.client.get('/health')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      expect(state.healthRequests).toBe(2);
+      expect(onCircuitStateChange).toHaveBeenCalledWith(expect.objectContaining({ from: 'CLOSED', to: 'OPEN' }));
+      expect((await integration.getCircuitState()).state).toBe('OPEN');
+    });
+
+    it('should let one trial call through after the cool-down and close on success', async () => {
+      const integration = createIntegration();
+      state.healthy = false;
+      await integration.client.get('/health').catch(() => {});
+      await integration.client.get('/health').catch(() => {});
+
+      state.healthy = true;
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await integration.client.get('/health');
+
+      expect(response.data.ok).toBe(true);
+      expect((await integration.getCircuitState())).toMatchObject({ state: 'CLOSED', failures: 0 });
+    });
+
+    it('should reopen when the trial call fails', async () => {
+      const integration = createIntegration();
+      state.healthy = false;
+      await integration.client.get('/health').catch(() => {});
+      await integration.client.get('/health').catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      await expect(integration.client.get('/health')).rejects.toMatchObject({ status: 503 });
+
+      expect((await integration.getCircuitState()).state).toBe('OPEN');
+      expect(state.healthRequests).toBe(3);
+    });
+
+    it('should not count client errors as failures', async () => {
+      const integration = createIntegration();
+      state.queued.push({ status: 400 }, { status: 404 }, { status: 422 });
+
+      for (let i = 0; i < 3; i++) {
+        await integration.client.get('/items').catch(() => {});
+      }
+
+      expect((await integration.getCircuitState()).state).toBe('CLOSED');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const BlibliIntegration = require('../../../src/integrations/BlibliIntegration');
+
+describe('BlibliIntegration', () => {
+  const baseURL = 'https://api.blibli.com/v2/proxy';
+  let integration;
+
+  beforeEach(() => {
+    integration = new BlibliIntegration({
+      clientId: 'test-client',
+      clientSecret: 'test-secret',
+      sellerApiKey: 'test-seller-key',
+      businessPartnerCode: 'BP-001',
+      storeCode: 'ST-001'
+    });
+  });
+
+  describe('getAuthHeaders', () => {
+    it('should sign method, body hash, timestamp and path with the seller key', () => {
+      const data = { orderNo: '12345', awbNo: 'JNE123' };
+      const config = { method: 'post', url: `${baseURL}/mta/api/businesspartner/v1/order/fulfillRegular`, data };
+
+      const headers = integration.getAuthHeaders(config);
+
+      const bodyHash = crypto.createHash('md5').update(JSON.stringify(data)).digest('hex');
+      const expected = crypto
+        .createHmac('sha256', 'test-seller-key')
+        .update(`POST\n${bodyHash}\napplication/json\n${headers['Signature-Time']}\n/mta/api/businesspartner/v1/order/fulfillRegular`)
+        .digest('base64');
+
+      expect(headers.Signature).toBe(expected);
+      expect(headers.Authorization).toBe(`Basic ${Buffer.from('test-client:test-secret').toString('base64')}`);
+      expect(headers['Api-Seller-Key']).toBe('test-seller-key');
+    });
+
+    it('should sign an empty body hash for reads and add the seller identity to query params', () => {
+      const config = { url: `${baseURL}/mta/api/businesspartner/v1/order/orderDetail`, params: { orderNo: '12345' } };
+
+      const headers = integration.getAuthHeaders(config);
+
+      const expected = crypto
+        .createHmac('sha256', 'test-seller-key')
+        .update(`GET\n\napplication/json\n${headers['Signature-Time']}\n/mta/api/businesspartner/v1/order/orderDetail`)
+        .digest('base64');
+
+      expect(headers.Signature).toBe(expected);
+      expect(config.params).toMatchObject({
+        orderNo: '12345',
+        businessPartnerCode: 'BP-001',
+        storeCode: 'ST-001',
+        channelId: 'MarketplaceIntegration'
+      });
+      expect(config.params.requestId).toMatch(/^MarketplaceIntegration-/);
+    });
+  });
+
+  describe('normalizeProduct', () => {
+    it('should map gdnSku, sale price, stock and images', () => {
+      const product = integration.normalizeProduct({
+        gdnSku: 'TOK-60001-00001',
+        productName: 'Kaos Polos',
+        merchantSku: 'KAOS-001',
+        prices: [{ price: 90000, salePrice: 75000 }],
+        stockAvailableLv2: 8,
+        buyable: true,
+        images: [{ locationPath: 'https://example.com/kaos.jpg' }],
+        categoryCode: 'KA-1000',
+        length: 30
+      });
+
+      expect(product).toMatchObject({
+        marketplaceProductId: 'TOK-60001-00001',
+        name: 'Kaos Polos',
+        sku: 'KAOS-001',
+        price: 75000,
+        stock: 8,
+        status: 'ACTIVE',
+        images: ['https://example.com/kaos.jpg'],
+        categoryId: 'KA-1000',
+        dimensions: { length: 30, width: 0, height: 0 }
+      });
+    });
+  });
+
+  describe('normalizeOrder', () => {
+    it('should map status, recipient and items of a multi-item order', () => {
+      const order = integration.normalizeOrder({
+        orderNo: '12345',
+        orderStatus: 'FP',
+        orderDate: 1700000000000,
+        totalOrderAmount: 170000,
+        shippingCost: 10000,
+        customerFullName: 'Budi',
+        recipientName: 'Budi',
+        recipientPhone: '0812',
+        shippingStreetAddress: 'Jl. Sudirman 1',
+        shippingCity: 'Jakarta',
+        shippingZipCode: '10110',
+        orderItems: [
+          { gdnSku: 'TOK-60001-00001', gdnItemSku: 'TOK-60001-00001-00001', merchantSku: 'KAOS-001-M', productName: 'Kaos Polos', qty: 2, productPrice: 80000 }
+        ]
+      });
+
+      expect(order).toMatchObject({
+        marketplaceOrderId: '12345',
+        status: 'CONFIRMED',
+        marketplaceStatus: 'FP',
+        totalAmount: 170000,
+        shippingCost: 10000,
+        orderDate: new Date(1700000000000).toISOString(),
+        shippingAddress: { name: 'Budi', city: 'Jakarta', postal_code: '10110' }
+      });
+      expect(order.items).toEqual([{
+        productId: 'TOK-60001-00001',
+        variantId: 'TOK-60001-00001-00001',
+        sku: 'KAOS-001-M',
+        name: 'Kaos Polos',
+        quantity: 2,
+        price: 80000,
+        totalPrice: 160000
+      }]);
+    });
+
+    it('should treat an order item row as a single-item order', () => {
+      const order = integration.normalizeOrder({
+        orderNo: '12346',
+        orderStatus: 'D',
+        orderDate: '2024-02-01T08:00:00.000Z',
+        gdnSku: 'TOK-60001-00002',
+        merchantSku: 'TOPI-001',
+        productName: 'Topi',
+        qty: 1,
+        productPrice: 50000
+      });
+
+      expect(order.status).toBe('DELIVERED');
+      expect(order.items).toHaveLength(1);
+      expect(order.items[0]).toMatchObject({ productId: 'TOK-60001-00002', variantId: null, quantity: 1 });
+    });
+  });
+
+  describe('mapOrderStatus', () => {
+    it('should map Blibli order item statuses and leave unknown ones unmapped', () => {
+      expect(integration.mapOrderStatus('PU')).toBe('PROCESSING');
+      expect(integration.mapOrderStatus('CX')).toBe('SHIPPED');
+      expect(integration.mapOrderStatus('X')).toBe('CANCELLED');
+      expect(integration.mapOrderStatus('SOMETHING_NEW')).toBeNull();
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    it('should fulfill a shipped order with its tracking number', async () => {
+      jest.spyOn(integration.client, 'post').mockResolvedValue({ data: { success: true, value: { orderNo: '12345' } } });
+
+      await integration.updateOrderStatus('12345', 'SHIPPED', { trackingNumber: 'JNE123' });
+
+      expect(integration.client.post).toHaveBeenCalledWith('/mta/api/businesspartner/v1/order/fulfillRegular', {
+        orderNo: '12345',
+        awbNo: 'JNE123'
+      });
+    });
+
+    it('should refuse to ship without a tracking number', async () => {
+      jest.spyOn(integration.client, 'post');
+
+      await expect(integration.updateOrderStatus('12345', 'SHIPPED'))
+        .rejects.toThrow('Tracking number is required to ship a Blibli order');
+      expect(integration.client.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const express = require('express');
+const BukalapakIntegration = require('../../../src/integrations/BukalapakIntegration');
+
+// Minimal Bukalapak API v4 stand-in, served on a random local port
+const createMockApi = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const state = {
+    requests: [],
+    tokenRequests: [],
+    products: [
+      {
+        id: 'abc123',
+        name: 'Kaos Polos',
+        price: 75000,
+        stock: 6,
+        sku_id: 991,
+        sku_name: 'KAOS-001',
+        active: true,
+        category: { id: 12 },
+        images: { large_urls: ['https://example.com/kaos.jpg'] },
+        skus: [
+          { id: 991, sku_name: 'KAOS-001-M', variant_name: 'M', price: 75000, stock: 4 },
+          { id: 992, sku_name: 'KAOS-001-L', variant_name: 'L', price: 80000, stock: 2 }
+        ]
+      }
+    ],
+    transactions: [
+      {
+        id: 4401,
+        state: 'paid',
+        created_at: '2024-02-01T08:00:00.000Z',
+        amount: { total: 95000, details: { delivery: 15000 } },
+        buyer: { name: 'Budi' },
+        delivery: { consignee: { name: 'Budi', phone: '0812', address: 'Jl. Sudirman 1', city: 'Jakarta', province: 'DKI Jakarta', post_code: '10110' } },
+        items: [{ product: { id: 'abc123', name: 'Kaos Polos' }, stuff: { id: 992, sku_name: 'KAOS-001-L' }, quantity: 1, price: 80000 }]
+      },
+      { id: 4402, state: 'remitted', created_at: '2024-02-02T08:00:00.000Z', amount: { total: 50000 }, items: [] }
+    ]
+  };
+
+  app.post('/oauth/token', (req, res) => {
+    state.tokenRequests.push(req.body);
+
+    if (req.body.refresh_token !== 'refresh_test') {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    res.json({ access_token: 'token_test', refresh_token: 'refresh_next', expires_in: 3600 });
+  });
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    if (req.headers.authorization !== 'Bearer token_test') {
+      return res.status(401).json({ errors: [{ code: 10000, message: 'Unauthorized' }] });
+    }
+    next();
+  });
+
+  app.get('/me', (req, res) => {
+    res.json({ data: { id: 1, username: 'toko_test' }, meta: { http_status: 200 } });
+  });
+
+  app.get('/stores/me/products', (req, res) => {
+    res.json({ data: state.products, meta: { total: 3, offset: parseInt(req.query.offset), limit: parseInt(req.query.limit) } });
+  });
+
+  app.get('/products/:id', (req, res) => {
+    res.json({ data: state.products.find(p => p.id === req.params.id) });
+  });
+
+  app.patch('/products/:id/skus/:skuId', (req, res) => {
+    res.json({ data: { id: parseInt(req.params.skuId), ...req.body } });
+  });
+
+  app.get('/transactions', (req, res) => {
+    res.json({ data: state.transactions, meta: { total: state.transactions.length } });
+  });
+
+  app.put('/transactions/:id/status', (req, res) => {
+    res.json({ data: { id: parseInt(req.params.id), ...req.body } });
+  });
+
+  return { app, state };
+};
+
+describe('BukalapakIntegration', () => {
+  let server, state, integration, baseURL;
+
+  beforeAll(async () => {
+    const mock = createMockApi();
+    state = mock.state;
+    server = await new Promise(resolve => {
+      const listener = mock.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.tokenRequests = [];
+    integration = new BukalapakIntegration({ accessToken: 'token_test', baseURL });
+  });
+
+  it('should test connection against the seller profile', async () => {
+    const result = await integration.testConnection();
+
+    expect(result.success).toBe(true);
+    expect(result.data.username).toBe('toko_test');
+  });
+
+  it('should page products by offset and map SKUs to variants', async () => {
+    const result = await integration.getProducts({ page: 2, limit: 1 });
+
+    expect(state.requests[0].query).toMatchObject({ offset: '1', limit: '1' });
+    expect(result.hasMore).toBe(true);
+    expect(result.data[0].variants[1]).toEqual({ id: '992', sku: 'KAOS-001-L', variantName: 'L', price: 80000, stock: 2 });
+  });
+
+  it('should update stock on the default SKU when no variant is given', async () => {
+    await integration.updateStock('abc123', 9);
+
+    const request = state.requests.find(r => r.method === 'PATCH');
+    expect(request.path).toBe('/products/abc123/skus/991');
+    expect(request.body).toEqual({ stock: 9 });
+  });
+
+  it('should normalize transaction states to our order status', async () => {
+    const result = await integration.getOrders();
+
+    expect(state.requests[0].query.context).toBe('seller');
+    expect(result.data[0]).toMatchObject({
+      marketplaceOrderId: '4401',
+      status: 'CONFIRMED',
+      marketplaceStatus: 'paid',
+      shippingCost: 15000
+    });
+    expect(result.data[0].items[0].variantId).toBe('992');
+    expect(result.data[1].status).toBe('DELIVERED');
+  });
+
+  it('should translate our status when updating a transaction', async () => {
+    await integration.updateOrderStatus('4401', 'SHIPPED', { trackingNumber: 'JNE123', trackingCompany: 'JNE' });
+
+    expect(state.requests[0].body).toEqual({
+      state: 'delivered',
+      state_options: { carrier: 'JNE', tracking_number: 'JNE123' }
+    });
+    await expect(integration.updateOrderStatus('4401', 'UNKNOWN')).rejects.toThrow('Unsupported status');
+  });
+
+  describe('token refresh', () => {
+    const createExpiredIntegration = (refreshToken, callbacks = {}) => new BukalapakIntegration({
+      clientId: 'client_test',
+      clientSecret: 'secret_test',
+      accessToken: 'token_expired',
+      refreshToken,
+      baseURL,
+      authURL: baseURL,
+      ...callbacks
+    });
+
+    it('should refresh once and retry a request rejected with 401', async () => {
+      const onTokenRefresh = jest.fn();
+      integration = createExpiredIntegration('refresh_test', { onTokenRefresh });
+
+      const [profile, products] = await Promise.all([
+        integration.getProfile(),
+        integration.getProducts()
+      ]);
+
+      expect(profile.username).toBe('toko_test');
+      expect(products.data).toHaveLength(1);
+      expect(state.tokenRequests).toHaveLength(1);
+      expect(state.tokenRequests[0]).toMatchObject({ grant_type: 'refresh_token', client_id: 'client_test' });
+      expect(onTokenRefresh).toHaveBeenCalledWith(expect.objectContaining({
+        accessToken: 'token_test',
+        refreshToken: 'refresh_next'
+      }));
+    });
+
+    it('should report a rejected refresh token so the account can be disconnected', async () => {
+      const onTokenRefreshFailed = jest.fn();
+      integration = createExpiredIntegration('refresh_revoked', { onTokenRefreshFailed });
+
+      await expect(integration.getProfile()).rejects.toMatchObject({ status: 401 });
+      expect(onTokenRefreshFailed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should build the seller authorization URL with the state', () => {
+      integration = createExpiredIntegration('refresh_test');
+
+      const url = new URL(integration.getAuthorizationUrl('https://app.example.com/callback', 'state123'));
+
+      expect(url.pathname).toBe('/oauth/authorize');
+      expect(url.searchParams.get('client_id')).toBe('client_test');
+      expect(url.searchParams.get('state')).toBe('state123');
+      expect(integration.supportsAuthorizationCode()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { SandboxSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const rateLimiter = require('../../../src/utils/rateLimiter');
+const circuitBreaker = require('../../../src/utils/circuitBreaker');
+
+describe('SandboxIntegration', () => {
+  let integration, simulator;
+
+  beforeEach(() => {
+    resetSimulators();
+    rateLimiter.resetLocal();
+    circuitBreaker.resetLocal();
+
+    integration = new SandboxIntegration({
+      accountId: 'sandbox-1',
+      seed: 42,
+      productCount: 12,
+      orderCount: 75
+    });
+    simulator = integration.simulator;
+  });
+
+  it('should seed the same store for the same seed', () => {
+    const other = new SandboxSimulator({ seed: 42, productCount: 12, orderCount: 75 });
+
+    expect(other.products.map(p => p.sku)).toEqual(simulator.products.map(p => p.sku));
+    expect(other.orders.map(o => o.total)).toEqual(simulator.orders.map(o => o.total));
+  });
+
+  it('should share one simulator between instances of the same account', () => {
+    const second = new SandboxIntegration({ accountId: 'sandbox-1' });
+    expect(second.simulator).toBe(simulator);
+  });
+
+  it('should page through every order', async () => {
+    const firstPage = await integration.getOrders({ page: 1, limit: 50 });
+
+    expect(firstPage.data).toHaveLength(50);
+    expect(firstPage).toMatchObject({ hasMore: true, total: 75 });
+
+    const orders = [];
+    for await (const order of integration.paginateAll(integration.getOrders, { limit: 20 })) {
+      orders.push(order);
+    }
+
+    expect(orders).toHaveLength(75);
+    expect(new Set(orders.map(o => o.marketplaceOrderId)).size).toBe(75);
+    expect(orders[0]).toMatchObject({
+      status: expect.any(String),
+      marketplaceStatus: expect.any(String),
+      items: expect.any(Array)
+    });
+  });
+
+  it('should filter products by search term', async () => {
+    const sku = simulator.products[3].sku;
+    const result = await integration.getProducts({ search: sku });
+
+    expect(result.data.map(p => p.sku)).toContain(sku);
+    expect(result.hasMore).toBe(false);
+  });
+
+  it('should update stock of a simple product', async () => {
+    const simple = simulator.products.find(p => p.variants.length === 0);
+
+    await integration.updateStock(simple.id, 7);
+
+    expect((await integration.getProduct(simple.id)).stock).toBe(7);
+  });
+
+  it('should update stock per variant and require a variant for variant products', async () => {
+    const { marketplaceProductId } = await integration.createProduct({
+      name: 'Kaos Varian',
+      price: 50000,
+      variants: [{ sku: 'KV-S', name: 'S', stock: 1 }, { sku: 'KV-M', name: 'M', stock: 2 }]
+    });
+    const [small] = (await integration.getProduct(marketplaceProductId)).variants;
+
+    await integration.updateStock(marketplaceProductId, 5, small.id);
+
+    expect(await integration.getProduct(marketplaceProductId)).toMatchObject({
+      stock: 7,
+      variants: [expect.objectContaining({ stock: 5 }), expect.objectContaining({ stock: 2 })]
+    });
+    await expect(integration.updateStock(marketplaceProductId, 3)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should create a product that can be read back', async () => {
+    const { marketplaceProductId } = await integration.createProduct({
+      name: 'Produk Baru',
+      sku: 'NEW-001',
+      price: 25000,
+      stock: 4
+    });
+
+    expect(await integration.getProduct(marketplaceProductId)).toMatchObject({
+      name: 'Produk Baru',
+      sku: 'NEW-001',
+      stock: 4
+    });
+  });
+
+  describe('order status transitions', () => {
+    it('should move an order along the seller flow', async () => {
+      const order = simulator.orders.find(o => o.status === 'READY_TO_SHIP') || simulator.orders[0];
+      order.status = 'READY_TO_SHIP';
+
+      await integration.updateOrderStatus(order.id, 'PROCESSING');
+      await integration.updateOrderStatus(order.id, 'SHIPPED', { trackingNumber: 'TRK-1' });
+
+      expect(await integration.getOrder(order.id)).toMatchObject({
+        status: 'SHIPPED',
+        marketplaceStatus: 'SHIPPED',
+        trackingNumber: 'TRK-1'
+      });
+    });
+
+    it('should reject an illegal transition', async () => {
+      const order = simulator.orders[0];
+      order.status = 'COMPLETED';
+
+      await expect(integration.updateOrderStatus(order.id, 'CANCELLED')).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should advance open orders on demand', () => {
+      const order = simulator.orders[0];
+      order.status = 'UNPAID';
+
+      const changed = simulator.advanceOrders();
+
+      expect(changed).toContain(order.id);
+      expect(order.status).toBe('READY_TO_SHIP');
+    });
+
+    it('should advance orders over time when a transition interval is set', async () => {
+      const order = simulator.orders[0];
+      order.status = 'UNPAID';
+      order.status_changed_at = Date.now() - 250;
+      simulator.configure({ transitionInterval: 100 });
+
+      expect((await integration.getOrder(order.id)).marketplaceStatus).toBe('PROCESSED');
+    });
+  });
+
+  describe('fault injection', () => {
+    it('should fail the next matching requests only', async () => {
+      simulator.injectError({ status: 500, path: '/products', times: 2 });
+
+      await expect(integration.getProducts()).rejects.toMatchObject({ status: 500 });
+      await expect(integration.getProducts()).rejects.toMatchObject({ status: 500 });
+      expect((await integration.getOrders()).data.length).toBeGreaterThan(0);
+      expect((await integration.getProducts()).data.length).toBeGreaterThan(0);
+    });
+
+    it('should open the circuit breaker when the sandbox keeps failing', async () => {
+      const failing = new SandboxIntegration({
+        accountId: 'sandbox-2',
+        errorRate: 1,
+        circuitBreaker: { failureThreshold: 2, openDuration: 1000 }
+      });
+
+      await expect(failing.getProfile()).rejects.toMatchObject({ status: 503 });
+      await expect(failing.getProfile()).rejects.toMatchObject({ status: 503 });
+      await expect(failing.getProfile()).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      expect(failing.simulator.requests).toHaveLength(2);
+    });
+
+    it('should count dropped connections as circuit failures', async () => {
+      simulator.injectError({ network: true, times: 5 });
+      const flaky = new SandboxIntegration({
+        accountId: 'sandbox-1',
+        circuitBreaker: { failureThreshold: 1, openDuration: 1000 }
+      });
+
+      await expect(flaky.getProfile()).rejects.toMatchObject({ code: 'ECONNRESET' });
+      expect((await flaky.getCircuitState()).state).toBe('OPEN');
+    });
+
+    it('should delay responses and time out past the client timeout', async () => {
+      simulator.configure({ latency: { min: 50, max: 60 } });
+
+      const startedAt = Date.now();
+      await integration.getProfile();
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+
+      const impatient = new SandboxIntegration({ accountId: 'sandbox-1', timeout: 20 });
+      await expect(impatient.getProfile()).rejects.toMatchObject({ code: 'ECONNABORTED' });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+
+describe('ShopeeIntegration', () => {
+  let integration;
+
+  beforeEach(() => {
+    integration = new ShopeeIntegration({
+      partnerId: 2001234,
+      apiSecret: 'partner-key',
+      shopId: 12345,
+      accessToken: 'test-access-token'
+    });
+  });
+
+  describe('updateModels', () => {
+    const product = {
+      price: 75000,
+      inventory: [],
+      variants: [
+        { id: 'var-m', sku: 'KAOS-001-M-NEW', price: 75000, attributes: { Ukuran: 'M' }, marketplaceVariantId: '900' },
+        { id: 'var-l', sku: 'KAOS-001-L', price: 80000, attributes: { Ukuran: 'L' }, marketplaceVariantId: null },
+        { id: 'var-xl', sku: 'KAOS-001-XL', price: 85000, attributes: { Ukuran: 'XL' }, marketplaceVariantId: null }
+      ]
+    };
+
+    beforeEach(() => {
+      jest.spyOn(integration, 'getProductVariants').mockResolvedValue([
+        { id: '900', sku: 'KAOS-001-M', attributes: { Ukuran: 'M' } },
+        { id: '901', sku: 'KAOS-001-L', attributes: { Ukuran: 'L' } }
+      ]);
+      jest.spyOn(integration.client, 'post').mockResolvedValue({ data: { response: {} } });
+    });
+
+    const callTo = (path) => integration.client.post.mock.calls.find(([url]) => url === path)?.[1];
+
+    it('should keep the model of a renamed SKU by its stored model ID', async () => {
+      await integration.updateModels('777', product);
+
+      expect(callTo('/api/v2/product/update_model')).toEqual({
+        item_id: 777,
+        model_list: [{ model_id: 900, model_sku: 'KAOS-001-M-NEW' }]
+      });
+      expect(callTo('/api/v2/product/update_price').price_list).toEqual([
+        { model_id: 900, original_price: 75000 },
+        { model_id: 901, original_price: 80000 }
+      ]);
+    });
+
+    it('should add models only for variants without one', async () => {
+      await integration.updateModels('777', product);
+
+      expect(callTo('/api/v2/product/add_model').model_list).toEqual([
+        expect.objectContaining({ model_sku: 'KAOS-001-XL', tier_index: [2] })
+      ]);
+    });
+  });
+
+  describe('arrangeShipment', () => {
+    it('should report an arranged shipment without tracking number when Shopee has not assigned one', async () => {
+      jest.spyOn(integration.client, 'post').mockResolvedValue({ data: { response: {} } });
+      jest.spyOn(integration.client, 'get').mockResolvedValue({ data: { error: 'logistics.tracking_number_not_ready', message: 'Not ready' } });
+
+      const result = await integration.arrangeShipment('240101ABC', { method: 'dropoff' });
+
+      expect(result).toEqual({ trackingNumber: null, carrier: null });
+      expect(integration.client.post).toHaveBeenCalledWith('/api/v2/logistics/ship_order', { order_sn: '240101ABC', dropoff: {} });
+    });
+  });
+
+  describe('getShippingLabels', () => {
+    it('should create, poll and download the labels of a batch together', async () => {
+      jest.spyOn(integration.client, 'post').mockImplementation((url) => {
+        if (url === '/api/v2/logistics/create_shipping_document') {
+          return Promise.resolve({ data: { response: { result_list: [{ order_sn: 'SN-3', fail_error: 'logistics.package_not_ready', fail_message: 'Package not ready' }] } } });
+        }
+        if (url === '/api/v2/logistics/get_shipping_document_result') {
+          return Promise.resolve({ data: { response: { result_list: [{ order_sn: 'SN-1', status: 'READY' }, { order_sn: 'SN-2', status: 'READY' }] } } });
+        }
+        return Promise.resolve({ data: Buffer.from('%PDF-labels') });
+      });
+
+      const result = await integration.getShippingLabels(['SN-1', 'SN-2', 'SN-3']);
+
+      expect(result).toEqual({ documents: [Buffer.from('%PDF-labels')], failed: { 'SN-3': 'Package not ready' } });
+      expect(integration.client.post).toHaveBeenCalledTimes(3);
+      expect(integration.client.post).toHaveBeenLastCalledWith('/api/v2/logistics/download_shipping_document', {
+        shipping_document_type: 'THERMAL_AIR_WAYBILL',
+        order_list: [{ order_sn: 'SN-1' }, { order_sn: 'SN-2' }]
+      }, { responseType: 'arraybuffer' });
+    });
+
+    it('should fail a single label the way Shopee reports it', async () => {
+      jest.spyOn(integration.client, 'post').mockImplementation((url) => Promise.resolve({
+        data: { response: { result_list: url.endsWith('get_shipping_document_result') ? [{ order_sn: 'SN-1', status: 'FAILED' }] : [] } }
+      }));
+
+      await expect(integration.getShippingLabel('SN-1')).rejects.toThrow('Shipping label of order SN-1 is not ready (FAILED)');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const express = require('express');
+const ShopifyIntegration = require('../../../src/integrations/ShopifyIntegration');
+
+// Minimal Shopify Admin REST API stand-in, served on a random local port
+const createMockStore = () => {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    requests: [],
+    products: [
+      {
+        id: 7001,
+        title: 'Kaos Polos',
+        body_html: '<p>Katun</p>',
+        status: 'active',
+        product_type: 'Pakaian',
+        options: [{ name: 'Size' }],
+        images: [{ src: 'https://example.com/kaos.jpg' }],
+        variants: [
+          { id: 71, sku: 'KAOS-M', title: 'M', price: '75000.00', option1: 'M', inventory_item_id: 8071, inventory_quantity: 4, grams: 200 },
+          { id: 72, sku: 'KAOS-L', title: 'L', price: '80000.00', option1: 'L', inventory_item_id: 8072, inventory_quantity: 2, grams: 200 }
+        ]
+      },
+      {
+        id: 7002,
+        title: 'Topi',
+        status: 'active',
+        options: [{ name: 'Title' }],
+        variants: [
+          { id: 73, sku: 'TOPI-001', title: 'Default Title', price: '50000.00', inventory_item_id: 8073, inventory_quantity: 7 }
+        ]
+      }
+    ],
+    orders: [
+      {
+        id: 9001,
+        financial_status: 'paid',
+        fulfillment_status: null,
+        total_price: '170000.00',
+        created_at: '2024-02-01T08:00:00+07:00',
+        email: 'siti@example.com',
+        customer: { first_name: 'Siti', last_name: 'Aminah' },
+        shipping_address: { name: 'Siti Aminah', address1: 'Jl. Merdeka 1', city: 'Bandung', province: 'Jawa Barat', zip: '40111', country_code: 'ID' },
+        shipping_lines: [{ price: '15000.00' }],
+        line_items: [
+          { product_id: 7001, variant_id: 72, sku: 'KAOS-L', name: 'Kaos Polos - L', quantity: 1, price: '80000.00' }
+        ]
+      },
+      {
+        id: 9002,
+        financial_status: 'paid',
+        fulfillment_status: 'fulfilled',
+        fulfillments: [{ shipment_status: 'delivered' }],
+        total_price: '50000.00',
+        created_at: '2024-02-02T08:00:00+07:00',
+        line_items: []
+      }
+    ]
+  };
+
+  const base = '/admin/api/2024-01';
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    if (req.headers['x-shopify-access-token'] !== 'shpat_test') {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+    }
+    next();
+  });
+
+  app.get(`${base}/shop.json`, (req, res) => {
+    res.json({ shop: { name: 'Toko Test', currency: 'IDR' } });
+  });
+
+  // One product per page, linked with opaque page_info cursors like Shopify
+  app.get(`${base}/products.json`, (req, res) => {
+    const index = req.query.page_info ? parseInt(Buffer.from(req.query.page_info, 'base64').toString()) : 0;
+
+    if (index + 1 < state.products.length) {
+      const cursor = Buffer.from(String(index + 1)).toString('base64');
+      res.set('Link', `<http://${req.headers.host}${base}/products.json?limit=1&page_info=${cursor}>; rel="next"`);
+    }
+
+    res.json({ products: [state.products[index]] });
+  });
+
+  app.get(`${base}/products/:id.json`, (req, res) => {
+    res.json({ product: state.products.find(p => p.id === parseInt(req.params.id)) });
+  });
+
+  app.put(`${base}/products/:id.json`, (req, res) => {
+    const variants = req.body.product.variants.map((variant, index) => ({
+      id: variant.id || 990 + index,
+      inventory_item_id: variant.id ? 8000 + variant.id : 9990 + index,
+      ...variant
+    }));
+    res.json({ product: { ...req.body.product, variants } });
+  });
+
+  app.get(`${base}/variants/:id.json`, (req, res) => {
+    const variant = state.products.flatMap(p => p.variants).find(v => v.id === parseInt(req.params.id));
+    res.json({ variant });
+  });
+
+  app.get(`${base}/locations.json`, (req, res) => {
+    res.json({ locations: [{ id: 301, active: false }, { id: 302, active: true }] });
+  });
+
+  app.post(`${base}/inventory_levels/set.json`, (req, res) => {
+    res.json({ inventory_level: req.body });
+  });
+
+  app.get(`${base}/orders.json`, (req, res) => {
+    res.json({ orders: state.orders });
+  });
+
+  app.get(`${base}/orders/:id/fulfillment_orders.json`, (req, res) => {
+    res.json({ fulfillment_orders: [{ id: 55, status: 'open' }, { id: 56, status: 'closed' }] });
+  });
+
+  app.post(`${base}/fulfillments.json`, (req, res) => {
+    res.status(201).json({ fulfillment: { id: 1, ...req.body.fulfillment } });
+  });
+
+  return { app, state };
+};
+
+describe('ShopifyIntegration', () => {
+  let server, state, integration, baseURL;
+
+  beforeAll(async () => {
+    const mock = createMockStore();
+    state = mock.state;
+    server = await new Promise(resolve => {
+      const listener = mock.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}/admin/api/2024-01`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    integration = new ShopifyIntegration({
+      storeUrl: 'toko-test.myshopify.com',
+      accessToken: 'shpat_test',
+      baseURL
+    });
+  });
+
+  it('should build the Admin API URL from the store domain', () => {
+    const shopify = new ShopifyIntegration({ storeUrl: 'https://toko-test.myshopify.com/', accessToken: 'x' });
+
+    expect(shopify.baseURL).toBe('https://toko-test.myshopify.com/admin/api/2024-01');
+  });
+
+  it('should authenticate with the access token', async () => {
+    const result = await integration.testConnection();
+
+    expect(result.success).toBe(true);
+    expect(result.data.currency).toBe('IDR');
+  });
+
+  it('should follow page_info cursors for later pages', async () => {
+    const first = await integration.getProducts({ page: 1, limit: 1 });
+    const second = await integration.getProducts({ page: 2, limit: 1 });
+
+    expect(first.hasMore).toBe(true);
+    expect(second.hasMore).toBe(false);
+    expect(second.data[0].marketplaceProductId).toBe('7002');
+
+    const secondRequest = state.requests[state.requests.length - 1];
+    expect(secondRequest.query).toEqual({ limit: '1', page_info: Buffer.from('1').toString('base64') });
+  });
+
+  it('should map Shopify variants with their option values', async () => {
+    const product = await integration.getProduct('7001');
+
+    expect(product.stock).toBe(6);
+    expect(product.variants[1]).toEqual({
+      id: '72',
+      inventoryItemId: '8072',
+      sku: 'KAOS-L',
+      variantName: 'L',
+      price: 80000,
+      stock: 2,
+      attributes: { Size: 'L' }
+    });
+  });
+
+  it('should set variant stock at the first active location', async () => {
+    await integration.updateStock('7001', 9, '72');
+
+    const request = state.requests.find(r => r.path.endsWith('/inventory_levels/set.json'));
+    expect(request.body).toEqual({ location_id: 302, inventory_item_id: 8072, available: 9 });
+  });
+
+  it('should keep variant IDs matched by SKU when updating a product', async () => {
+    integration.locationId = 302;
+
+    await integration.updateProduct('7001', {
+      name: 'Kaos Polos',
+      price: 75000,
+      variants: [
+        { id: 'var-l', sku: 'KAOS-L', price: 80000, attributes: { Size: 'L' } },
+        { id: 'var-xl', sku: 'KAOS-XL', price: 85000, attributes: { Size: 'XL' } }
+      ],
+      inventory: [
+        { variantId: 'var-l', availableQuantity: 3 },
+        { variantId: 'var-xl', availableQuantity: 5 }
+      ]
+    });
+
+    const update = state.requests.find(r => r.method === 'PUT');
+    expect(update.body.product.options).toEqual([{ name: 'Size' }]);
+    expect(update.body.product.variants[0]).toMatchObject({ id: 72, sku: 'KAOS-L', option1: 'L' });
+    expect(update.body.product.variants[1].id).toBeUndefined();
+
+    const levels = state.requests.filter(r => r.path.endsWith('/inventory_levels/set.json'));
+    expect(levels.map(r => r.body.available)).toEqual([3, 5]);
+  });
+
+  it('should import orders normalized to our order status', async () => {
+    const result = await integration.getOrders({ dateFrom: '2024-02-01' });
+
+    expect(state.requests[0].query.created_at_min).toBe('2024-02-01T00:00:00.000Z');
+    expect(result.data[0]).toMatchObject({
+      marketplaceOrderId: '9001',
+      status: 'CONFIRMED',
+      marketplaceStatus: 'paid/unfulfilled',
+      shippingCost: 15000
+    });
+    expect(result.data[0].items[0].variantId).toBe('72');
+    expect(result.data[1].status).toBe('DELIVERED');
+  });
+
+  it('should fulfill open fulfillment orders with tracking info', async () => {
+    await integration.updateOrderStatus('9001', 'SHIPPED', { trackingNumber: 'JNE123', trackingCompany: 'JNE' });
+
+    const request = state.requests.find(r => r.path.endsWith('/fulfillments.json'));
+    expect(request.body.fulfillment.line_items_by_fulfillment_order).toEqual([{ fulfillment_order_id: 55 }]);
+    expect(request.body.fulfillment.tracking_info).toEqual({ number: 'JNE123', company: 'JNE' });
+    await expect(integration.updateOrderStatus('9001', 'UNKNOWN')).rejects.toThrow('Unsupported status');
+  });
+});
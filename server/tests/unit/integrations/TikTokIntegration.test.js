@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const TikTokIntegration = require('../../../src/integrations/TikTokIntegration');
+
+describe('TikTokIntegration', () => {
+  let integration;
+
+  beforeEach(() => {
+    integration = new TikTokIntegration({
+      appKey: 'test-app-key',
+      appSecret: 'test-app-secret',
+      accessToken: 'test-access-token',
+      refreshToken: 'test-refresh-token',
+      accessTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      shopCipher: 'test-cipher'
+    });
+  });
+
+  describe('signRequest', () => {
+    it('should sign sorted params and body with the app secret', () => {
+      const params = { timestamp: 1700000000, app_key: 'test-app-key', shop_cipher: 'test-cipher' };
+      const body = { status: 'ACTIVATE' };
+
+      const expected = crypto
+        .createHmac('sha256', 'test-app-secret')
+        .update('test-app-secret/product/202309/products/searchapp_keytest-app-keyshop_ciphertest-ciphertimestamp1700000000{"status":"ACTIVATE"}test-app-secret')
+        .digest('hex');
+
+      expect(integration.signRequest('/product/202309/products/search', params, body)).toBe(expected);
+    });
+
+    it('should leave sign and access_token out of the signature', () => {
+      const params = { app_key: 'test-app-key', timestamp: 1700000000 };
+
+      expect(
+        integration.signRequest('/order/202309/orders', { ...params, sign: 'old', access_token: 'x' })
+      ).toBe(integration.signRequest('/order/202309/orders', params));
+    });
+  });
+
+  describe('getAuthHeaders', () => {
+    it('should add app key, shop cipher and signature to query params', () => {
+      const config = { url: '/order/202309/orders', params: { ids: '123' } };
+
+      const headers = integration.getAuthHeaders(config);
+
+      expect(headers['x-tts-access-token']).toBe('test-access-token');
+      expect(config.params.app_key).toBe('test-app-key');
+      expect(config.params.shop_cipher).toBe('test-cipher');
+      expect(config.params.ids).toBe('123');
+      expect(config.params.sign).toHaveLength(64);
+    });
+
+    it('should not send shop cipher to authorization endpoints', () => {
+      const config = { url: '/authorization/202309/shops' };
+
+      integration.getAuthHeaders(config);
+
+      expect(config.params.shop_cipher).toBeUndefined();
+    });
+  });
+
+  describe('ensureAccessToken', () => {
+    it('should refresh and persist an expiring token', async () => {
+      const onTokenRefresh = jest.fn();
+      integration.onTokenRefresh = onTokenRefresh;
+      integration.accessTokenExpiresAt = new Date(Date.now() + 60 * 1000);
+
+      jest.spyOn(axios, 'get').mockResolvedValue({
+        data: {
+          code: 0,
+          data: {
+            access_token: 'new-access-token',
+            access_token_expire_in: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60,
+            refresh_token: 'new-refresh-token',
+            refresh_token_expire_in: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60
+          }
+        }
+      });
+
+      await integration.ensureAccessToken();
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://auth.tiktok-shops.com/api/v2/token/refresh',
+        expect.objectContaining({
+          params: expect.objectContaining({
+            refresh_token: 'test-refresh-token',
+            grant_type: 'refresh_token'
+          })
+        })
+      );
+      expect(integration.accessToken).toBe('new-access-token');
+      expect(onTokenRefresh).toHaveBeenCalledWith(expect.objectContaining({
+        accessToken: 'new-access-token',
+        refreshToken: 'new-refresh-token'
+      }));
+    });
+
+    it('should not refresh a token that is still valid', async () => {
+      jest.spyOn(axios, 'get');
+
+      await integration.ensureAccessToken();
+
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('normalizeOrder', () => {
+    it('should map TikTok status and group per-unit line items by SKU', () => {
+      const order = integration.normalizeOrder({
+        id: '576461413038785752',
+        status: 'AWAITING_SHIPMENT',
+        create_time: 1700000000,
+        payment: { total_amount: '250000', shipping_fee: '10000' },
+        recipient_address: { name: 'Budi', phone_number: '0812', postal_code: '12345' },
+        line_items: [
+          { id: '1', product_id: '100', sku_id: '200', seller_sku: 'SKU-A', product_name: 'Kaos', sale_price: '80000' },
+          { id: '2', product_id: '100', sku_id: '200', seller_sku: 'SKU-A', product_name: 'Kaos', sale_price: '80000' },
+          { id: '3', product_id: '101', sku_id: '201', seller_sku: 'SKU-B', product_name: 'Topi', sale_price: '80000' }
+        ]
+      });
+
+      expect(order.status).toBe('CONFIRMED');
+      expect(order.marketplaceStatus).toBe('AWAITING_SHIPMENT');
+      expect(order.totalAmount).toBe(250000);
+      expect(order.items).toHaveLength(2);
+      expect(order.items[0]).toMatchObject({ sku: 'SKU-A', quantity: 2, totalPrice: 160000 });
+    });
+
+    it('should leave unknown statuses unmapped', () => {
+      expect(integration.mapOrderStatus('SOMETHING_NEW')).toBeNull();
+      expect(integration.mapOrderStatus('COMPLETED')).toBe('DELIVERED');
+    });
+  });
+});
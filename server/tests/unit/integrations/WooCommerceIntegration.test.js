@@ -0,0 +1,256 @@
+const express = require('express');
+const WooCommerceIntegration = require('../../../src/integrations/WooCommerceIntegration');
+
+// Minimal WooCommerce REST API v3 stand-in, served on a random local port
+const createMockStore = () => {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    requests: [],
+    products: [
+      {
+        id: 11,
+        name: 'Kaos Polos',
+        type: 'variable',
+        status: 'publish',
+        sku: 'KAOS-001',
+        price: '75000',
+        stock_quantity: null,
+        images: [{ src: 'https://example.com/kaos.jpg' }],
+        categories: [{ id: 5 }],
+        dimensions: { length: '20', width: '15', height: '2' },
+        date_created_gmt: '2024-01-01T00:00:00',
+        date_modified_gmt: '2024-01-02T00:00:00'
+      },
+      {
+        id: 12,
+        name: 'Topi',
+        type: 'simple',
+        status: 'publish',
+        sku: 'TOPI-001',
+        price: '50000',
+        stock_quantity: 7,
+        date_created_gmt: '2024-01-01T00:00:00',
+        date_modified_gmt: '2024-01-01T00:00:00'
+      }
+    ],
+    variations: {
+      11: [
+        { id: 111, sku: 'KAOS-001-M', price: '75000', stock_quantity: 4, attributes: [{ name: 'size', option: 'M' }] },
+        { id: 112, sku: 'KAOS-001-L', price: '80000', stock_quantity: 2, attributes: [{ name: 'size', option: 'L' }] }
+      ]
+    },
+    orders: [
+      {
+        id: 501,
+        status: 'processing',
+        total: '165000',
+        shipping_total: '15000',
+        date_created_gmt: '2024-02-01T08:00:00',
+        billing: { first_name: 'Siti', last_name: 'Aminah', email: 'siti@example.com', phone: '0812' },
+        shipping: { first_name: 'Siti', last_name: 'Aminah', address_1: 'Jl. Merdeka 1', city: 'Bandung', state: 'JB', postcode: '40111', country: 'ID' },
+        line_items: [
+          { product_id: 11, variation_id: 112, sku: 'KAOS-001-L', name: 'Kaos Polos - L', quantity: 1, price: 80000, total: '80000' },
+          { product_id: 12, variation_id: 0, sku: 'TOPI-001', name: 'Topi', quantity: 1, price: 50000, total: '50000' }
+        ]
+      }
+    ]
+  };
+
+  const base = '/wp-json/wc/v3';
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, headers: req.headers });
+
+    const expected = `Basic ${Buffer.from('ck_test:cs_test').toString('base64')}`;
+    const queryAuth = req.query.consumer_key === 'ck_test' && req.query.consumer_secret === 'cs_test';
+    if (req.headers.authorization !== expected && !queryAuth) {
+      return res.status(401).json({ code: 'woocommerce_rest_cannot_view', message: 'Sorry, you cannot list resources.' });
+    }
+    next();
+  });
+
+  app.get(`${base}/system_status`, (req, res) => {
+    res.json({ environment: { site_url: 'http://localhost' }, settings: { currency: 'IDR' } });
+  });
+
+  app.get(`${base}/products`, (req, res) => {
+    const perPage = parseInt(req.query.per_page);
+    const page = parseInt(req.query.page);
+    const products = state.products.slice((page - 1) * perPage, page * perPage);
+
+    res.set('X-WP-Total', state.products.length.toString());
+    res.set('X-WP-TotalPages', Math.ceil(state.products.length / perPage).toString());
+    res.json(products);
+  });
+
+  app.get(`${base}/products/:id/variations`, (req, res) => {
+    res.json(state.variations[req.params.id] || []);
+  });
+
+  app.post(`${base}/products`, (req, res) => {
+    res.status(201).json({ id: 99, ...req.body });
+  });
+
+  app.post(`${base}/products/:id/variations/batch`, (req, res) => {
+    res.json({
+      create: (req.body.create || []).map((variation, index) => ({ id: 900 + index, ...variation })),
+      update: req.body.update || []
+    });
+  });
+
+  app.put(`${base}/products/:id/variations/:variationId`, (req, res) => {
+    res.json({ id: parseInt(req.params.variationId), ...req.body });
+  });
+
+  app.put(`${base}/products/:id`, (req, res) => {
+    res.json({ id: parseInt(req.params.id), ...req.body });
+  });
+
+  app.get(`${base}/orders`, (req, res) => {
+    res.set('X-WP-Total', state.orders.length.toString());
+    res.set('X-WP-TotalPages', '1');
+    res.json(state.orders);
+  });
+
+  app.put(`${base}/orders/:id`, (req, res) => {
+    res.json({ id: parseInt(req.params.id), ...req.body });
+  });
+
+  return { app, state };
+};
+
+describe('WooCommerceIntegration', () => {
+  let server, state, integration, storeUrl;
+
+  beforeAll(async () => {
+    const mock = createMockStore();
+    state = mock.state;
+    server = await new Promise(resolve => {
+      const listener = mock.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    storeUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    integration = new WooCommerceIntegration({
+      storeUrl,
+      consumerKey: 'ck_test',
+      consumerSecret: 'cs_test'
+    });
+  });
+
+  it('should authenticate with consumer key and secret', async () => {
+    const result = await integration.testConnection();
+
+    expect(result.success).toBe(true);
+    expect(result.data.settings.currency).toBe('IDR');
+  });
+
+  it('should support query string authentication', async () => {
+    integration = new WooCommerceIntegration({
+      storeUrl: `${storeUrl}/`,
+      consumerKey: 'ck_test',
+      consumerSecret: 'cs_test',
+      queryStringAuth: true
+    });
+
+    const result = await integration.testConnection();
+
+    expect(result.success).toBe(true);
+    expect(state.requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should fail connection test with wrong credentials', async () => {
+    integration = new WooCommerceIntegration({
+      storeUrl,
+      consumerKey: 'ck_wrong',
+      consumerSecret: 'cs_wrong'
+    });
+
+    const result = await integration.testConnection();
+
+    expect(result.success).toBe(false);
+    expect(result.error.status).toBe(401);
+  });
+
+  it('should map variable product variations to variants', async () => {
+    const result = await integration.getProducts({ page: 1, limit: 1 });
+
+    expect(result.hasMore).toBe(true);
+    expect(result.total).toBe(2);
+    expect(result.data[0].marketplaceProductId).toBe('11');
+    expect(result.data[0].variants).toEqual([
+      { id: '111', sku: 'KAOS-001-M', variantName: 'M', price: 75000, stock: 4, attributes: { size: 'M' } },
+      { id: '112', sku: 'KAOS-001-L', variantName: 'L', price: 80000, stock: 2, attributes: { size: 'L' } }
+    ]);
+  });
+
+  it('should create variable product with one variation per variant', async () => {
+    const result = await integration.createProduct({
+      name: 'Kemeja',
+      sku: 'KMJ-001',
+      price: 120000,
+      variants: [
+        { id: 'var-s', sku: 'KMJ-001-S', price: 120000, attributes: { size: 'S' } },
+        { id: 'var-m', sku: 'KMJ-001-M', price: 125000, attributes: { size: 'M' } }
+      ],
+      inventory: [
+        { variantId: 'var-s', availableQuantity: 3 },
+        { variantId: 'var-m', availableQuantity: 9 }
+      ]
+    });
+
+    const productRequest = state.requests.find(r => r.method === 'POST' && r.path.endsWith('/products'));
+    expect(productRequest.body.type).toBe('variable');
+    expect(productRequest.body.attributes).toEqual([
+      { name: 'size', visible: true, variation: true, options: ['S', 'M'] }
+    ]);
+
+    const batchRequest = state.requests.find(r => r.path.endsWith('/variations/batch'));
+    expect(batchRequest.body.create).toHaveLength(2);
+    expect(batchRequest.body.create[1]).toMatchObject({ sku: 'KMJ-001-M', stock_quantity: 9 });
+
+    expect(result.marketplaceProductId).toBe('99');
+    expect(result.data.variation_list).toEqual([
+      { id: '900', sku: 'KMJ-001-S' },
+      { id: '901', sku: 'KMJ-001-M' }
+    ]);
+  });
+
+  it('should update stock of a single variation', async () => {
+    await integration.updateStock('11', 6, '112');
+
+    const request = state.requests[0];
+    expect(request.method).toBe('PUT');
+    expect(request.path).toBe('/wp-json/wc/v3/products/11/variations/112');
+    expect(request.body).toEqual({ manage_stock: true, stock_quantity: 6 });
+  });
+
+  it('should import orders normalized to our order status', async () => {
+    const result = await integration.getOrders({ page: 1, limit: 50, dateFrom: '2024-02-01' });
+
+    expect(result.hasMore).toBe(false);
+    expect(state.requests[0].query.after).toBe('2024-02-01T00:00:00.000Z');
+
+    const order = result.data[0];
+    expect(order.marketplaceOrderId).toBe('501');
+    expect(order.status).toBe('PROCESSING');
+    expect(order.customerInfo.email).toBe('siti@example.com');
+    expect(order.items[0].variantId).toBe('112');
+    expect(order.items[1].variantId).toBeNull();
+  });
+
+  it('should translate our status when updating an order', async () => {
+    await integration.updateOrderStatus('501', 'SHIPPED');
+
+    expect(state.requests[0].body).toEqual({ status: 'completed' });
+    await expect(integration.updateOrderStatus('501', 'UNKNOWN')).rejects.toThrow('Unsupported status');
+  });
+});
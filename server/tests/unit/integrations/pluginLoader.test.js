@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    marketplace: {
+      upsert: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  cache: {
+    del: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/jobs/queueManager', () => ({
+  addNotificationJob: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const BaseMarketplace = require('../../../src/integrations/BaseMarketplace');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const { validatePlugin, validateCredentials, loadPlugins } = require('../../../src/integrations/pluginLoader');
+
+class ZaloraIntegration extends BaseMarketplace {
+  getAuthHeaders() {
+    return {};
+  }
+
+  async getProfile() {
+    return {};
+  }
+
+  async getOrders() {
+    return { data: [], hasMore: false, total: 0 };
+  }
+
+  async getOrder() {
+    return null;
+  }
+
+  async updateOrderStatus() {
+    return null;
+  }
+
+  normalizeOrder(order) {
+    return order;
+  }
+}
+
+const validPlugin = (overrides = {}) => ({
+  code: 'zalora',
+  name: 'Zalora',
+  integration: ZaloraIntegration,
+  capabilities: ['orders'],
+  credentialSchema: [
+    { key: 'apiKey', label: 'API Key', required: true },
+    { key: 'region', label: 'Region', type: 'select', options: ['ID', 'MY'] }
+  ],
+  ...overrides
+});
+
+// Plugin file as a private integration would ship it: a factory receiving the host's base class
+const PLUGIN_SOURCE = `
+module.exports = ({ BaseMarketplace }) => {
+  class MatahariIntegration extends BaseMarketplace {
+    getAuthHeaders() { return {}; }
+    async getProfile() { return { ok: true }; }
+    async updateStock() { return {}; }
+  }
+
+  return {
+    code: 'MATAHARI',
+    name: 'Matahari',
+    version: '1.2.0',
+    integration: MatahariIntegration,
+    capabilities: ['inventory'],
+    credentialSchema: [{ key: 'token', label: 'Token', type: 'password', required: true }]
+  };
+};
+`;
+
+describe('pluginLoader', () => {
+  afterEach(() => {
+    for (const code of Object.keys(MarketplaceFactory.plugins)) {
+      delete MarketplaceFactory.plugins[code];
+      delete MarketplaceFactory.integrations[code];
+    }
+  });
+
+  describe('validatePlugin', () => {
+    it('should accept a plugin that implements its capabilities', () => {
+      expect(validatePlugin(validPlugin())).toEqual([]);
+    });
+
+    it('should reject missing methods for declared capabilities', () => {
+      const problems = validatePlugin(validPlugin({ capabilities: ['orders', 'inventory'] }));
+      expect(problems).toEqual(['integration must implement updateStock()']);
+    });
+
+    it('should require the normalizers and formatter the sync processors call', () => {
+      const problems = validatePlugin(validPlugin({ capabilities: ['products'] }));
+
+      expect(problems).toEqual([
+        'integration must implement getProducts()',
+        'integration must implement getProduct()',
+        'integration must implement createProduct()',
+        'integration must implement updateProduct()',
+        'integration must implement deleteProduct()',
+        'integration must implement normalizeProduct()',
+        'integration must implement formatProductForMarketplace()'
+      ]);
+    });
+
+    it('should reject integrations that do not extend BaseMarketplace', () => {
+      const problems = validatePlugin(validPlugin({ integration: class Standalone {} }));
+      expect(problems).toContain('integration must be a class extending BaseMarketplace');
+    });
+
+    it('should reject codes taken by built-in integrations and unknown capabilities', () => {
+      const problems = validatePlugin(validPlugin({ code: 'SHOPEE', capabilities: ['teleport'] }));
+
+      expect(problems).toContain('code SHOPEE is already used by a built-in integration');
+      expect(problems).toContain('unknown capability "teleport"');
+    });
+
+    it('should reject malformed credential schemas', () => {
+      const problems = validatePlugin(validPlugin({
+        credentialSchema: [
+          { key: 'apiKey', label: 'API Key' },
+          { key: 'apiKey', label: 'Again' },
+          { key: 'mode', label: 'Mode', type: 'select' },
+          { key: '1bad', label: 'Bad' }
+        ]
+      }));
+
+      expect(problems).toEqual([
+        'credentialSchema[1].key "apiKey" is declared twice',
+        'credentialSchema[2].options are required for select fields',
+        'credentialSchema[3].key must be an identifier'
+      ]);
+    });
+  });
+
+  describe('validateCredentials', () => {
+    const schema = [
+      { key: 'apiKey', label: 'API Key', type: 'text', required: true },
+      { key: 'timeout', label: 'Timeout', type: 'number' },
+      { key: 'region', label: 'Region', type: 'select', options: ['ID', 'MY'] }
+    ];
+
+    it('should report field-level errors', () => {
+      const { errors } = validateCredentials(schema, { timeout: 'soon', region: 'SG' });
+
+      expect(errors).toEqual([
+        { param: 'credentials.apiKey', msg: 'API Key is required' },
+        { param: 'credentials.timeout', msg: 'Timeout must be a number' },
+        { param: 'credentials.region', msg: 'Region must be one of the listed options' }
+      ]);
+    });
+
+    it('should parse numbers and drop empty optional fields', () => {
+      const { errors, values } = validateCredentials(schema, { apiKey: 'key', timeout: '30', region: '' });
+
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ apiKey: 'key', timeout: 30 });
+    });
+  });
+
+  describe('loadPlugins', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-plugins-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should register valid plugins from the directory and skip broken ones', async () => {
+      fs.writeFileSync(path.join(directory, 'matahari.js'), PLUGIN_SOURCE);
+      fs.writeFileSync(path.join(directory, 'broken.js'), 'module.exports = { code: "BROKEN", name: "Broken" };');
+
+      const result = await loadPlugins({ directory, packages: [] });
+
+      expect(result.loaded).toEqual(['MATAHARI']);
+      expect(result.failed).toEqual([
+        expect.objectContaining({ error: expect.stringContaining('integration must be a class extending BaseMarketplace') })
+      ]);
+
+      expect(prisma.marketplace.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { code: 'MATAHARI' },
+        create: expect.objectContaining({ name: 'Matahari', code: 'MATAHARI', isActive: true })
+      }));
+
+      expect(MarketplaceFactory.isSupported('MATAHARI')).toBe(true);
+      expect(MarketplaceFactory.getPluginInfo('matahari')).toEqual({
+        name: 'Matahari',
+        version: '1.2.0',
+        description: null,
+        capabilities: ['inventory'],
+        credentialSchema: [{ key: 'token', label: 'Token', type: 'password', required: true }]
+      });
+
+      const integration = MarketplaceFactory.createFromAccount({
+        id: 'acc-1',
+        marketplace: { code: 'MATAHARI' },
+        credentials: { token: 'secret' }
+      });
+      expect(await integration.getProfile()).toEqual({ ok: true });
+    });
+
+    it('should load plugins from npm packages', async () => {
+      const packageDir = path.join(directory, 'node_modules', 'marketplace-plugin-matahari');
+      fs.mkdirSync(packageDir, { recursive: true });
+      fs.writeFileSync(path.join(packageDir, 'index.js'), PLUGIN_SOURCE);
+
+      const result = await loadPlugins({ packages: [packageDir] });
+
+      expect(result.loaded).toEqual(['MATAHARI']);
+    });
+
+    it('should not register a plugin when its marketplace row cannot be saved', async () => {
+      fs.writeFileSync(path.join(directory, 'matahari.js'), PLUGIN_SOURCE);
+      prisma.marketplace.upsert.mockRejectedValueOnce(new Error('Unique constraint failed on name'));
+
+      const result = await loadPlugins({ directory, packages: [] });
+
+      expect(result.failed).toHaveLength(1);
+      expect(MarketplaceFactory.isSupported('MATAHARI')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    userMarketplaceAccount: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+// Stored OAuth states live in memory instead of Redis
+jest.mock('../../../src/utils/redis', () => {
+  const store = new Map();
+  return {
+    ...jest.requireActual('../../../src/utils/redis'),
+    cache: {
+      get: async (key) => store.get(key) || null,
+      set: async (key, value) => store.set(key, value),
+      del: async (key) => store.delete(key)
+    }
+  };
+});
+
+jest.mock('../../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: req.headers['x-user-id'] || 'user-1', email: 'seller@example.com', role: 'USER' };
+    next();
+  },
+  requireOwnershipOrAdmin: () => (req, res, next) => next()
+}));
+
+jest.mock('../../../src/jobs/queueManager', () => ({
+  addSyncJob: jest.fn(),
+  addNotificationJob: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+const marketplaceRoutes = require('../../../src/routes/marketplaces');
+
+describe('Marketplace OAuth routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/marketplaces', marketplaceRoutes);
+
+  const shopeeAccount = () => ({
+    id: 'acc-shopee',
+    userId: 'user-1',
+    storeName: 'Toko Shopee',
+    apiKey: '2001234',
+    apiSecret: 'partner-key',
+    credentials: { partnerId: 2001234 },
+    isConnected: false,
+    marketplace: { id: 'mp-shopee', name: 'Shopee', code: 'SHOPEE' }
+  });
+
+  const authorize = async () => {
+    const response = await request(app)
+      .post('/api/marketplaces/accounts/acc-shopee/authorize')
+      .send({ redirectUri: 'https://app.example.com/marketplaces/oauth/callback' });
+    return response.body.state;
+  };
+
+  beforeEach(() => {
+    prisma.userMarketplaceAccount.findUnique.mockResolvedValue(shopeeAccount());
+    prisma.userMarketplaceAccount.update.mockImplementation(({ data }) => Promise.resolve({ ...shopeeAccount(), ...data }));
+  });
+
+  describe('POST /accounts/:id/authorize', () => {
+    it('should return the Shopee consent URL carrying a new state', async () => {
+      const response = await request(app)
+        .post('/api/marketplaces/accounts/acc-shopee/authorize')
+        .send({ redirectUri: 'https://app.example.com/marketplaces/oauth/callback' })
+        .expect(200);
+
+      const url = new URL(response.body.authorizationUrl);
+      expect(url.pathname).toBe('/api/v2/shop/auth_partner');
+      expect(url.searchParams.get('partner_id')).toBe('2001234');
+      expect(new URL(url.searchParams.get('redirect')).searchParams.get('state')).toBe(response.body.state);
+    });
+
+    it('should refuse marketplaces without the authorization code flow', async () => {
+      prisma.userMarketplaceAccount.findUnique.mockResolvedValue({
+        ...shopeeAccount(),
+        marketplace: { id: 'mp-blibli', name: 'Blibli', code: 'BLIBLI' }
+      });
+
+      const response = await request(app)
+        .post('/api/marketplaces/accounts/acc-shopee/authorize')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Blibli does not support authorization through the marketplace');
+    });
+  });
+
+  describe('POST /oauth/callback', () => {
+    it('should store the exchanged tokens and shop ID and mark the account connected', async () => {
+      jest.spyOn(ShopeeIntegration.prototype, 'exchangeAuthorizationCode').mockResolvedValue({
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1',
+        shopId: '12345'
+      });
+      const state = await authorize();
+
+      const response = await request(app)
+        .post('/api/marketplaces/oauth/callback')
+        .send({ state, code: 'auth-code', params: { shop_id: '12345' } })
+        .expect(200);
+
+      expect(ShopeeIntegration.prototype.exchangeAuthorizationCode).toHaveBeenCalledWith('auth-code', {
+        shop_id: '12345',
+        redirectUri: 'https://app.example.com/marketplaces/oauth/callback'
+      });
+      expect(prisma.userMarketplaceAccount.update).toHaveBeenCalledWith({
+        where: { id: 'acc-shopee' },
+        data: {
+          credentials: { partnerId: 2001234, accessToken: 'access-1', refreshToken: 'refresh-1', shopId: '12345' },
+          shopId: '12345'
+        }
+      });
+      expect(response.body.account).toMatchObject({ isConnected: true, credentials: '***' });
+    });
+
+    it('should accept a state only once', async () => {
+      jest.spyOn(ShopeeIntegration.prototype, 'exchangeAuthorizationCode').mockResolvedValue({ accessToken: 'access-1' });
+      const state = await authorize();
+
+      await request(app).post('/api/marketplaces/oauth/callback').send({ state, code: 'auth-code' }).expect(200);
+      const response = await request(app)
+        .post('/api/marketplaces/oauth/callback')
+        .send({ state, code: 'auth-code' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Authorization request is invalid or has expired');
+    });
+
+    it('should reject a state started by another user', async () => {
+      const state = await authorize();
+
+      await request(app)
+        .post('/api/marketplaces/oauth/callback')
+        .set('x-user-id', 'user-2')
+        .send({ state, code: 'auth-code' })
+        .expect(400);
+      expect(prisma.userMarketplaceAccount.update).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed code exchange without connecting the account', async () => {
+      jest.spyOn(ShopeeIntegration.prototype, 'exchangeAuthorizationCode').mockRejectedValue(new Error('Invalid code'));
+      const state = await authorize();
+
+      const response = await request(app)
+        .post('/api/marketplaces/oauth/callback')
+        .send({ state, code: 'expired-code' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Authorization failed', message: 'Invalid code' });
+      expect(prisma.userMarketplaceAccount.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {}
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn()
+  }
+}));
+
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+const LazadaIntegration = require('../../../src/integrations/LazadaIntegration');
+const attributeMappingService = require('../../../src/services/attributeMappingService');
+
+// Shopee get_attributes payload for a clothing category
+const SHOPEE_ATTRIBUTES = [
+  {
+    attribute_id: 100037,
+    original_attribute_name: 'Brand',
+    display_attribute_name: 'Merek',
+    is_mandatory: true,
+    input_type: 'COMBO_BOX',
+    attribute_value_list: [{ value_id: 11, original_value_name: 'Acme' }]
+  },
+  {
+    attribute_id: 100134,
+    display_attribute_name: 'Bahan',
+    is_mandatory: true,
+    input_type: 'DROP_DOWN',
+    attribute_value_list: [
+      { value_id: 21, display_value_name: 'Katun' },
+      { value_id: 22, display_value_name: 'Polyester' }
+    ]
+  },
+  {
+    attribute_id: 100200,
+    display_attribute_name: 'Musim',
+    is_mandatory: false,
+    input_type: 'MULTIPLE_SELECT',
+    attribute_value_list: [
+      { value_id: 31, display_value_name: 'Kemarau' },
+      { value_id: 32, display_value_name: 'Hujan' }
+    ]
+  },
+  {
+    attribute_id: 100300,
+    display_attribute_name: 'Berat Kain',
+    is_mandatory: false,
+    input_type: 'TEXT_FILED',
+    input_validation_type: 'INT_TYPE'
+  }
+];
+
+describe('AttributeMappingService', () => {
+  const shopee = new ShopeeIntegration({ accountId: 'acc-shopee', partnerId: 1, shopId: 2 });
+  const schema = SHOPEE_ATTRIBUTES.map(attribute => shopee.normalizeAttribute(attribute));
+
+  it('should normalize Shopee attribute types', () => {
+    expect(schema.map(({ id, type, required, allowCustom }) => ({ id, type, required, allowCustom }))).toEqual([
+      { id: '100037', type: 'select', required: true, allowCustom: true },
+      { id: '100134', type: 'select', required: true, allowCustom: false },
+      { id: '100200', type: 'multi_select', required: false, allowCustom: false },
+      { id: '100300', type: 'number', required: false, allowCustom: false }
+    ]);
+  });
+
+  it('should map attributes by name and enum values by option name', () => {
+    const { attributes, errors } = attributeMappingService.mapAttributes(schema, {
+      attributes: { merek: 'Merek Lokal', bahan: 'katun', musim: ['Kemarau', 'Hujan'], 'berat kain': '180' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(shopee.formatAttributes(attributes)).toEqual([
+      { attribute_id: 100037, attribute_value_list: [{ value_id: 0, original_value_name: 'Merek Lokal' }] },
+      { attribute_id: 100134, attribute_value_list: [{ value_id: 21 }] },
+      { attribute_id: 100200, attribute_value_list: [{ value_id: 31 }, { value_id: 32 }] },
+      { attribute_id: 100300, attribute_value_list: [{ value_id: 0, original_value_name: '180' }] }
+    ]);
+  });
+
+  it('should follow the attribute map for keys and values', () => {
+    const { attributes, errors } = attributeMappingService.mapAttributes(schema, {
+      attributes: { brand: 'Acme', fabric: 'cotton' }
+    }, {
+      100134: { key: 'fabric', values: { cotton: '21' } }
+    });
+
+    expect(errors).toEqual([]);
+    expect(attributes.map(({ attribute, values }) => [attribute.id, values])).toEqual([
+      ['100037', [{ id: '11', name: 'Acme' }]],
+      ['100134', [{ id: '21', name: 'Katun' }]]
+    ]);
+  });
+
+  it('should return field-level errors', () => {
+    const { errors } = attributeMappingService.mapAttributes(schema, {
+      attributes: { bahan: 'Wol', musim: 'Salju', beratKain: 'tebal' }
+    });
+
+    expect(errors).toEqual([
+      { param: 'attributes.Merek', attributeId: '100037', msg: 'Merek is required' },
+      { param: 'attributes.bahan', attributeId: '100134', msg: 'Bahan does not accept "Wol"; expected one of Katun, Polyester' },
+      { param: 'attributes.musim', attributeId: '100200', msg: 'Musim does not accept "Salju"; expected one of Kemarau, Hujan' },
+      { param: 'attributes.beratKain', attributeId: '100300', msg: 'Berat Kain must be a number' }
+    ]);
+  });
+
+  it('should fill Lazada attributes from product fields', () => {
+    const lazada = new LazadaIntegration({ accountId: 'acc-lazada' });
+    const lazadaSchema = [
+      { name: 'name', label: 'Name', input_type: 'text', is_mandatory: 1 },
+      { name: 'brand', label: 'Brand', input_type: 'singleSelect', is_mandatory: 1, options: [{ name: 'No Brand' }] },
+      { name: 'color_family', label: 'Color Family', input_type: 'multiEnumInput', is_mandatory: 0, options: [{ name: 'Black' }] }
+    ].map(attribute => lazada.normalizeAttribute(attribute));
+
+    const { attributes, errors } = attributeMappingService.mapAttributes(lazadaSchema, {
+      name: 'Kaos Polos',
+      attributes: { brand: 'no brand', colorFamily: ['Black', 'Navy'] }
+    });
+
+    expect(errors).toEqual([]);
+    expect(lazada.formatAttributes(attributes)).toEqual({
+      name: 'Kaos Polos',
+      brand: 'No Brand',
+      color_family: 'Black,Navy'
+    });
+  });
+});
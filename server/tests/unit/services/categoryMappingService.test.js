@@ -0,0 +1,215 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    category: {
+      findUnique: jest.fn()
+    },
+    categoryMapping: {
+      findUnique: jest.fn(),
+      upsert: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn()
+  }
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const { cache } = require('../../../src/utils/redis');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const categoryMappingService = require('../../../src/services/categoryMappingService');
+
+describe('CategoryMappingService', () => {
+  const account = {
+    id: 'acc-sandbox',
+    userId: 'user-1',
+    marketplaceId: 'mp-sandbox',
+    marketplace: { code: 'SANDBOX', name: 'Sandbox' }
+  };
+
+  let integration;
+
+  beforeEach(() => {
+    resetSimulators();
+    integration = new SandboxIntegration({ accountId: account.id });
+    jest.spyOn(MarketplaceFactory, 'createFromAccount').mockReturnValue(integration);
+    cache.get.mockResolvedValue(null);
+  });
+
+  describe('flattenCategories', () => {
+    it('should flatten nested trees with paths and leaf flags', () => {
+      const flat = integration.flattenCategories([
+        {
+          category_id: 1,
+          name: 'Elektronik',
+          children: [
+            { category_id: 2, name: 'Audio', children: [{ category_id: 3, name: 'Headphone', leaf: true }] }
+          ]
+        }
+      ]);
+
+      expect(flat).toEqual([
+        { id: '1', name: 'Elektronik', parentId: null, isLeaf: false, path: ['Elektronik'] },
+        { id: '2', name: 'Audio', parentId: '1', isLeaf: false, path: ['Elektronik', 'Audio'] },
+        { id: '3', name: 'Headphone', parentId: '2', isLeaf: true, path: ['Elektronik', 'Audio', 'Headphone'] }
+      ]);
+    });
+  });
+
+  describe('getMarketplaceCategories', () => {
+    it('should fetch and cache the flattened tree', async () => {
+      const categories = await categoryMappingService.getMarketplaceCategories(account);
+
+      expect(categories).toContainEqual({
+        id: '101',
+        name: 'Kaos',
+        parentId: '100',
+        isLeaf: true,
+        path: ['Fashion Pria', 'Kaos']
+      });
+      expect(cache.set).toHaveBeenCalledWith('marketplace-categories:acc-sandbox', categories, 24 * 60 * 60);
+    });
+
+    it('should serve the cached tree without calling the marketplace', async () => {
+      cache.get.mockResolvedValue([{ id: '9', name: 'Cached', parentId: null, isLeaf: true, path: ['Cached'] }]);
+
+      const categories = await categoryMappingService.getMarketplaceCategories(account);
+
+      expect(categories).toHaveLength(1);
+      expect(integration.simulator.requests).toHaveLength(0);
+    });
+  });
+
+  describe('searchMarketplaceCategories', () => {
+    it('should match every search term against the category path', async () => {
+      const { categories, total } = await categoryMappingService.searchMarketplaceCategories(account, {
+        search: 'fashion kem'
+      });
+
+      expect(total).toBe(1);
+      expect(categories[0]).toMatchObject({ id: '102', name: 'Kemeja' });
+    });
+
+    it('should list top-level categories for an empty parent', async () => {
+      const { categories } = await categoryMappingService.searchMarketplaceCategories(account, { parentId: '' });
+
+      expect(categories.map(category => category.id)).toEqual(['100', '200']);
+    });
+  });
+
+  describe('resolveMarketplaceCategory', () => {
+    it('should fall back to the nearest mapped parent category', async () => {
+      const parentMapping = { categoryId: 'cat-fashion', marketplaceCategoryId: '101' };
+      prisma.categoryMapping.findUnique.mockImplementation(({ where }) => (
+        Promise.resolve(where.userId_categoryId_marketplaceId.categoryId === 'cat-fashion' ? parentMapping : null)
+      ));
+      prisma.category.findUnique.mockResolvedValue({ parentId: 'cat-fashion' });
+
+      const mapping = await categoryMappingService.resolveMarketplaceCategory('user-1', 'cat-kaos', 'mp-sandbox');
+
+      expect(mapping).toBe(parentMapping);
+    });
+
+    it('should return null when nothing in the hierarchy is mapped', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue(null);
+      prisma.category.findUnique.mockResolvedValue({ parentId: null });
+
+      expect(await categoryMappingService.resolveMarketplaceCategory('user-1', 'cat-kaos', 'mp-sandbox')).toBeNull();
+    });
+  });
+
+  describe('prepareProductForMarketplace', () => {
+    const product = {
+      id: 'prod-1',
+      userId: 'user-1',
+      name: 'Kaos Polos',
+      categoryId: 'cat-kaos',
+      category: { name: 'Kaos' },
+      attributes: { merek: 'Acme', bahan: 'katun' }
+    };
+
+    it('should swap in the mapped marketplace category and attributes', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue({ marketplaceCategoryId: '101' });
+
+      const payload = await categoryMappingService.prepareProductForMarketplace(product, account, { isNew: true });
+
+      expect(payload).toMatchObject({
+        id: 'prod-1',
+        categoryId: '101',
+        attributes: { brand: 'Acme', material: 'Katun' }
+      });
+    });
+
+    it('should refuse to create a listing without a mapping where the marketplace requires a category', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue(null);
+      prisma.category.findUnique.mockResolvedValue({ parentId: null });
+      jest.spyOn(integration, 'requiresCategory').mockReturnValue(true);
+
+      await expect(categoryMappingService.prepareProductForMarketplace(product, account, { isNew: true }))
+        .rejects.toThrow('No Sandbox category mapped for category "Kaos"');
+    });
+
+    it('should create a listing without a mapping where categories are optional', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue(null);
+      prisma.category.findUnique.mockResolvedValue({ parentId: null });
+
+      const payload = await categoryMappingService.prepareProductForMarketplace(product, account, { isNew: true });
+
+      expect(payload).toMatchObject({ id: 'prod-1', name: 'Kaos Polos' });
+      expect(payload.categoryId).toBeUndefined();
+      expect(payload.attributes).toBeUndefined();
+    });
+
+    it('should refuse to publish without required attributes', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue({ marketplaceCategoryId: '101' });
+
+      await expect(categoryMappingService.prepareProductForMarketplace(
+        { ...product, attributes: {} },
+        account,
+        { isNew: false }
+      )).rejects.toMatchObject({
+        details: [{ param: 'attributes.Merek', attributeId: 'brand', msg: 'Merek is required' }]
+      });
+    });
+
+    it('should leave category and attributes untouched on updates without a mapping', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue(null);
+      prisma.category.findUnique.mockResolvedValue({ parentId: null });
+
+      const payload = await categoryMappingService.prepareProductForMarketplace(product, account, { isNew: false });
+
+      expect(payload.categoryId).toBeUndefined();
+      expect(payload.attributes).toBeUndefined();
+    });
+  });
+
+  describe('validateProduct', () => {
+    it('should report field-level errors per marketplace account', async () => {
+      prisma.categoryMapping.findUnique.mockResolvedValue({ marketplaceCategoryId: '101' });
+
+      const result = await categoryMappingService.validateProduct(
+        { id: 'prod-1', userId: 'user-1', categoryId: 'cat-kaos', attributes: { brand: 'Acme', material: 'Wol' } },
+        [{ ...account, storeName: 'Toko Sandbox' }]
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.marketplaces).toEqual([{
+        marketplaceAccountId: 'acc-sandbox',
+        storeName: 'Toko Sandbox',
+        marketplace: 'Sandbox',
+        marketplaceCategoryId: '101',
+        valid: false,
+        errors: [{
+          param: 'attributes.material',
+          attributeId: 'material',
+          msg: 'Bahan does not accept "Wol"; expected one of Katun, Polyester, Linen'
+        }]
+      }]);
+    });
+  });
+});
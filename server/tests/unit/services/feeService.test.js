@@ -0,0 +1,225 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    order: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    marketplaceFeeRule: {
+      findMany: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+const { prisma, transaction } = require('../../../src/utils/database');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const feeService = require('../../../src/services/feeService');
+
+describe('FeeService', () => {
+  const account = { id: 'acc-sandbox', marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+
+  const defaultRule = {
+    id: 'rule-default',
+    categoryId: null,
+    commissionRate: '5',
+    shippingProgramRate: '4',
+    shippingProgramCap: '10000',
+    paymentFeeRate: '2',
+    fixedFee: '1000'
+  };
+  const fashionRule = {
+    id: 'rule-fashion',
+    categoryId: 'cat-fashion',
+    commissionRate: '10',
+    shippingProgramRate: '0',
+    shippingProgramCap: null,
+    paymentFeeRate: '50',
+    fixedFee: '99999'
+  };
+
+  const order = {
+    id: 'order-1',
+    marketplaceAccountId: account.id,
+    totalAmount: '320000',
+    shippingCost: '20000',
+    orderItems: [
+      { totalPrice: '100000', product: { categoryId: 'cat-fashion' } },
+      { totalPrice: '300000', product: { categoryId: 'cat-kitchen' } }
+    ]
+  };
+
+  let tx;
+
+  beforeAll(() => {
+    MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+  });
+
+  beforeEach(() => {
+    tx = {
+      orderFee: {
+        deleteMany: jest.fn(),
+        createMany: jest.fn()
+      },
+      order: {
+        update: jest.fn()
+      }
+    };
+    transaction.mockImplementation(callback => callback(tx));
+    prisma.marketplaceFeeRule.findMany.mockResolvedValue([defaultRule, fashionRule]);
+  });
+
+  describe('findRule', () => {
+    it('should prefer the category rule and fall back to the default rule', () => {
+      const rules = [defaultRule, fashionRule];
+
+      expect(feeService.findRule(rules, 'cat-fashion')).toBe(fashionRule);
+      expect(feeService.findRule(rules, 'cat-kitchen')).toBe(defaultRule);
+      expect(feeService.findRule(rules, null)).toBe(defaultRule);
+      expect(feeService.findRule([fashionRule], 'cat-kitchen')).toBeNull();
+    });
+  });
+
+  describe('estimateFees', () => {
+    it('should charge commission per item category and payment and fixed fees once per order', () => {
+      const fees = feeService.estimateFees(order, [defaultRule, fashionRule]);
+
+      expect(fees).toEqual([
+        // 10% of 100000 on the fashion item, 5% of 300000 on the other
+        expect.objectContaining({ type: 'COMMISSION', amount: 25000 }),
+        // 4% of 300000 capped at 10000; the fashion rule has no program fee
+        expect.objectContaining({ type: 'SHIPPING_PROGRAM', amount: 10000 }),
+        // Payment and fixed fee come from the default rule only
+        expect.objectContaining({ type: 'PAYMENT', amount: 6400 }),
+        expect.objectContaining({ type: 'SERVICE', amount: 1000 })
+      ]);
+    });
+
+    it('should leave units cancelled one by one out of the fees', () => {
+      const partlyCancelled = {
+        ...order,
+        orderItems: [
+          { ...order.orderItems[0], quantity: 2, cancelledQuantity: 1 },
+          { ...order.orderItems[1], quantity: 3, cancelledQuantity: 0 }
+        ]
+      };
+
+      const fees = feeService.estimateFees(partlyCancelled, [defaultRule, fashionRule]);
+
+      // 10% of the 50000 still sold on the fashion item; payment on 320000 less the cancelled 50000
+      expect(fees.find(fee => fee.type === 'COMMISSION').amount).toBe(20000);
+      expect(fees.find(fee => fee.type === 'PAYMENT').amount).toBe(5400);
+    });
+
+    it('should estimate no fees without rules', () => {
+      expect(feeService.estimateFees(order, [])).toEqual([]);
+    });
+  });
+
+  describe('calculateNetProceeds', () => {
+    it('should deduct the fees and the shipping fee passed on to the courier', () => {
+      const fees = [{ type: 'COMMISSION', amount: 25000 }, { type: 'VOUCHER_SUBSIDY', amount: -5000 }];
+
+      expect(feeService.calculateNetProceeds(order, fees)).toBe(280000);
+    });
+  });
+
+  describe('estimateOrderFees', () => {
+    it('should store the estimate with the order totals', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...order, feeSource: null });
+
+      const result = await feeService.estimateOrderFees('order-1');
+
+      expect(result).toMatchObject({ feesTotal: 42400, netProceeds: 257600, source: 'ESTIMATED' });
+      expect(tx.orderFee.deleteMany).toHaveBeenCalledWith({ where: { orderId: 'order-1' } });
+      expect(tx.orderFee.createMany.mock.calls[0][0].data).toHaveLength(4);
+      expect(tx.order.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ feesTotal: 42400, netProceeds: 257600, feeSource: 'ESTIMATED' })
+      }));
+    });
+
+    it('should keep fees the marketplace reported', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...order, feeSource: 'MARKETPLACE' });
+
+      expect(await feeService.estimateOrderFees('order-1')).toBeNull();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with the sandbox marketplace', () => {
+    let simulator;
+
+    const importedOrder = (simulatorOrder) => ({
+      id: `order-${simulatorOrder.id}`,
+      marketplaceOrderId: simulatorOrder.id,
+      marketplaceAccountId: account.id,
+      status: simulatorOrder.status === 'COMPLETED' ? 'DELIVERED' : 'SHIPPED',
+      totalAmount: simulatorOrder.total,
+      shippingCost: simulatorOrder.shipping_fee,
+      feeSource: null,
+      orderItems: simulatorOrder.items.map(item => ({ totalPrice: item.price * item.quantity, product: null })),
+      marketplaceAccount: account
+    });
+
+    beforeEach(() => {
+      resetSimulators();
+      simulator = getSimulator('acc-sandbox');
+    });
+
+    it('should import the fees and payout of a settled order', async () => {
+      const simulatorOrder = simulator.orders.find(item => item.status === 'COMPLETED');
+      const subtotal = simulatorOrder.total - simulatorOrder.shipping_fee;
+
+      const result = await feeService.importOrderFees(importedOrder(simulatorOrder), new SandboxIntegration({ accountId: account.id }));
+
+      expect(result.source).toBe('MARKETPLACE');
+      expect(result.fees.map(fee => fee.type)).toEqual(['COMMISSION', 'SHIPPING_PROGRAM', 'PAYMENT']);
+      expect(result.fees[0].amount).toBe(Math.round(subtotal * 0.05));
+      expect(result.netProceeds).toBe(subtotal - result.feesTotal);
+    });
+
+    it('should keep an estimate while the marketplace has not settled the order', async () => {
+      const simulatorOrder = simulator.orders.find(item => item.status === 'SHIPPED');
+
+      const result = await feeService.importOrderFees(importedOrder(simulatorOrder), new SandboxIntegration({ accountId: account.id }));
+
+      expect(result.source).toBe('ESTIMATED');
+      expect(tx.order.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ feeSource: 'ESTIMATED' })
+      }));
+    });
+
+    it('should import settled orders and estimate the rest', async () => {
+      const completed = simulator.orders.find(item => item.status === 'COMPLETED');
+      const shipped = simulator.orders.find(item => item.status === 'SHIPPED');
+      prisma.order.findMany.mockResolvedValue([importedOrder(completed), importedOrder(shipped)]);
+
+      const totals = await feeService.importSettledOrders();
+
+      expect(totals).toEqual({ imported: 1, estimated: 1, failed: 0 });
+    });
+
+    it('should estimate orders of marketplaces that do not report fees', async () => {
+      const shipped = simulator.orders.find(item => item.status === 'SHIPPED');
+      const unknownAccount = { id: 'acc-unknown', marketplace: { code: 'UNKNOWN', name: 'Unknown' } };
+      prisma.order.findMany.mockResolvedValue([{ ...importedOrder(shipped), marketplaceAccountId: unknownAccount.id, marketplaceAccount: unknownAccount }]);
+
+      const totals = await feeService.importSettledOrders();
+
+      expect(totals).toEqual({ imported: 0, estimated: 1, failed: 0 });
+    });
+
+    it('should only recheck estimates of marketplaces that report fees', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await feeService.importSettledOrders();
+
+      const [, estimated] = prisma.order.findMany.mock.calls[0][0].where.AND[0].OR;
+      const codes = estimated.marketplaceAccount.marketplace.code.in;
+      expect(codes).toEqual(expect.arrayContaining(['SHOPEE', 'SANDBOX']));
+      expect(codes).not.toContain('BLIBLI');
+    });
+  });
+});
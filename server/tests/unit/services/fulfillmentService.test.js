@@ -0,0 +1,254 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {},
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/returnService', () => ({
+  restockItems: jest.fn(),
+  syncRestockedStock: jest.fn()
+}));
+
+const { prisma, transaction } = require('../../../src/utils/database');
+const returnService = require('../../../src/services/returnService');
+const fulfillmentService = require('../../../src/services/fulfillmentService');
+
+describe('FulfillmentService', () => {
+  let order;
+  let history;
+
+  const shipmentWith = (id, status, items) => ({
+    id,
+    orderId: order.id,
+    status,
+    items: items.map(([orderItemId, quantity]) => ({ orderItemId, quantity }))
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+      id: 'order-1',
+      userId: 'user-1',
+      orderNumber: 'TOKOPEDIA-240101XYZ',
+      status: 'CONFIRMED',
+      statusConflict: false,
+      orderItems: [
+        { id: 'item-1', productId: 'product-1', variantId: null, productName: 'Kaos Polos', quantity: 3, cancelledQuantity: 0 },
+        { id: 'item-2', productId: 'product-2', variantId: 'variant-2', productName: 'Topi', quantity: 1, cancelledQuantity: 0 }
+      ],
+      shipments: []
+    };
+    history = [];
+
+    Object.assign(prisma, {
+      $queryRaw: jest.fn(() => Promise.resolve([{ id: order.id }])),
+      order: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(where.id === order.id ? order : null)),
+        update: jest.fn(({ data }) => {
+          Object.assign(order, data);
+          return Promise.resolve(order);
+        })
+      },
+      orderItem: {
+        update: jest.fn(({ where, data }) => {
+          const item = order.orderItems.find(orderItem => orderItem.id === where.id);
+          item.cancelledQuantity += data.cancelledQuantity.increment;
+          return Promise.resolve(item);
+        })
+      },
+      shipment: {
+        create: jest.fn(({ data }) => {
+          const shipment = { ...data, id: `shipment-${order.shipments.length + 1}`, items: data.items.create };
+          order.shipments.push(shipment);
+          return Promise.resolve(shipment);
+        }),
+        findFirst: jest.fn(({ where }) => Promise.resolve(order.shipments.find(shipment => shipment.id === where.id))),
+        update: jest.fn(({ where, data }) => {
+          const shipment = order.shipments.find(item => item.id === where.id);
+          Object.assign(shipment, data);
+          return Promise.resolve(shipment);
+        }),
+        updateMany: jest.fn()
+      },
+      orderStatusHistory: {
+        create: jest.fn(({ data }) => {
+          history.push(data);
+          return Promise.resolve(data);
+        })
+      }
+    });
+    transaction.mockImplementation(callback => callback(prisma));
+    returnService.restockItems.mockImplementation((tx, restockedOrder, items) => Promise.resolve(items));
+  });
+
+  describe('deriveOrderStatus', () => {
+    it('should follow the shipments of the units not cancelled', () => {
+      expect(fulfillmentService.deriveOrderStatus(order)).toBeNull();
+
+      order.shipments = [shipmentWith('shipment-1', 'SHIPPED', [['item-1', 2]])];
+      expect(fulfillmentService.deriveOrderStatus(order)).toBe('PROCESSING');
+
+      order.shipments.push(shipmentWith('shipment-2', 'DELIVERED', [['item-1', 1]]));
+      order.orderItems[1].cancelledQuantity = 1;
+      expect(fulfillmentService.deriveOrderStatus(order)).toBe('SHIPPED');
+
+      order.shipments[0].status = 'DELIVERED';
+      expect(fulfillmentService.deriveOrderStatus(order)).toBe('DELIVERED');
+    });
+
+    it('should leave cancelled shipments out and cancel orders without units left', () => {
+      order.shipments = [shipmentWith('shipment-1', 'CANCELLED', [['item-1', 3], ['item-2', 1]])];
+      expect(fulfillmentService.deriveOrderStatus(order)).toBeNull();
+
+      order.orderItems.forEach(item => { item.cancelledQuantity = item.quantity; });
+      expect(fulfillmentService.deriveOrderStatus(order)).toBe('CANCELLED');
+    });
+  });
+
+  describe('createShipment', () => {
+    it('should split an order into shipments and ship the rest without items', async () => {
+      const first = await fulfillmentService.createShipment(order.id, {
+        items: [{ orderItemId: 'item-1', quantity: 1 }, { orderItemId: 'item-1', quantity: 1 }],
+        trackingNumber: 'JNE001',
+        carrier: 'JNE',
+        status: 'SHIPPED'
+      });
+
+      expect(first).toMatchObject({ status: 'SHIPPED', trackingNumber: 'JNE001', shippingCarrier: 'JNE' });
+      expect(first.items).toEqual([{ orderItemId: 'item-1', quantity: 2 }]);
+      expect(order.status).toBe('PROCESSING');
+
+      const second = await fulfillmentService.createShipment(order.id, { status: 'SHIPPED' });
+
+      expect(second.items).toEqual([
+        { orderItemId: 'item-1', quantity: 1 },
+        { orderItemId: 'item-2', quantity: 1 }
+      ]);
+      expect(order.status).toBe('SHIPPED');
+      expect(history.map(change => change.source)).toEqual(['SYSTEM', 'SYSTEM']);
+      expect(prisma.shipment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more units than are left to ship', async () => {
+      order.shipments = [shipmentWith('shipment-1', 'PENDING', [['item-1', 2]])];
+
+      await expect(fulfillmentService.createShipment(order.id, { items: [{ orderItemId: 'item-1', quantity: 2 }] }))
+        .rejects.toMatchObject({ code: 'INVALID_ITEMS', message: 'Only 1 of Kaos Polos left, 2 requested' });
+      expect(prisma.shipment.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse closed orders', async () => {
+      order.status = 'CANCELLED';
+
+      await expect(fulfillmentService.createShipment(order.id))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+    });
+
+    it('should check quantities against the order locked inside the transaction', async () => {
+      transaction.mockImplementation(callback => {
+        // Another shipment took the units while this request was waiting for the lock
+        order.shipments = [shipmentWith('shipment-1', 'PENDING', [['item-1', 3]])];
+        return callback(prisma);
+      });
+
+      await expect(fulfillmentService.createShipment(order.id, { items: [{ orderItemId: 'item-1', quantity: 1 }] }))
+        .rejects.toMatchObject({ code: 'INVALID_ITEMS' });
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(prisma.shipment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateShipment', () => {
+    it('should move the order along with its shipments', async () => {
+      order.status = 'PROCESSING';
+      order.shipments = [shipmentWith('shipment-1', 'SHIPPED', [['item-1', 3], ['item-2', 1]])];
+
+      const shipment = await fulfillmentService.updateShipment(order.id, 'shipment-1', { status: 'DELIVERED' });
+
+      expect(shipment.deliveredAt).toBeInstanceOf(Date);
+      expect(order.status).toBe('DELIVERED');
+    });
+
+    it('should refuse shipments going back', async () => {
+      order.shipments = [shipmentWith('shipment-1', 'DELIVERED', [['item-1', 3]])];
+
+      await expect(fulfillmentService.updateShipment(order.id, 'shipment-1', { status: 'PENDING' }))
+        .rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+      await expect(fulfillmentService.updateShipment(order.id, 'shipment-9', { status: 'SHIPPED' }))
+        .rejects.toThrow('Shipment not found');
+    });
+
+    it('should check the transition against the shipment read under the lock', async () => {
+      order.shipments = [shipmentWith('shipment-1', 'PENDING', [['item-1', 3]])];
+      transaction.mockImplementation(callback => {
+        // The shipment was cancelled while this request was waiting for the lock
+        order.shipments[0].status = 'CANCELLED';
+        return callback(prisma);
+      });
+
+      await expect(fulfillmentService.updateShipment(order.id, 'shipment-1', { status: 'SHIPPED' }))
+        .rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(prisma.shipment.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelItems', () => {
+    it('should put only the cancelled units back in stock', async () => {
+      const result = await fulfillmentService.cancelItems(order.id, [{ orderItemId: 'item-1', quantity: 2 }], 'Stok habis');
+
+      expect(order.orderItems[0].cancelledQuantity).toBe(2);
+      expect(returnService.restockItems).toHaveBeenCalledWith(
+        prisma,
+        order,
+        [{ productId: 'product-1', variantId: null, quantity: 2 }],
+        'Items of order TOKOPEDIA-240101XYZ cancelled: Stok habis'
+      );
+      expect(result).toMatchObject({ status: 'CONFIRMED', restocked: 1 });
+    });
+
+    it('should check quantities against the order locked inside the transaction', async () => {
+      transaction.mockImplementation(callback => {
+        // Another cancellation committed while this request was waiting for the lock
+        order.orderItems[0].cancelledQuantity = 2;
+        return callback(prisma);
+      });
+
+      await expect(fulfillmentService.cancelItems(order.id, [{ orderItemId: 'item-1', quantity: 2 }]))
+        .rejects.toMatchObject({ code: 'INVALID_ITEMS' });
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(prisma.orderItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should cancel units of items without a matched product without restocking them', async () => {
+      order.orderItems[1].productId = null;
+
+      const result = await fulfillmentService.cancelItems(order.id, [
+        { orderItemId: 'item-1', quantity: 1 },
+        { orderItemId: 'item-2', quantity: 1 }
+      ]);
+
+      expect(order.orderItems[1].cancelledQuantity).toBe(1);
+      expect(returnService.restockItems.mock.calls[0][2]).toEqual([
+        { productId: 'product-1', variantId: null, quantity: 1 }
+      ]);
+      expect(result.restocked).toBe(1);
+    });
+
+    it('should refuse units already in a shipment and cancel the order once nothing is left', async () => {
+      order.shipments = [shipmentWith('shipment-1', 'PENDING', [['item-1', 3]])];
+
+      await expect(fulfillmentService.cancelItems(order.id, [{ orderItemId: 'item-1', quantity: 1 }]))
+        .rejects.toMatchObject({ code: 'INVALID_ITEMS' });
+
+      order.shipments[0].status = 'CANCELLED';
+      const result = await fulfillmentService.cancelItems(order.id, [
+        { orderItemId: 'item-1', quantity: 3 },
+        { orderItemId: 'item-2', quantity: 1 }
+      ]);
+
+      expect(result.status).toBe('CANCELLED');
+      expect(order.status).toBe('CANCELLED');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {}
+}));
+
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const WooCommerceIntegration = require('../../../src/integrations/WooCommerceIntegration');
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+const { resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const imagePipelineService = require('../../../src/services/imagePipelineService');
+
+const dataUri = (content) => `data:image/png;base64,${Buffer.from(content).toString('base64')}`;
+
+describe('ImagePipelineService', () => {
+  const front = dataUri('front');
+  const back = dataUri('back');
+
+  let integration;
+
+  const uploadRequests = () => integration.simulator.requests.filter(request => request.path === '/images');
+
+  beforeEach(() => {
+    resetSimulators();
+    integration = new SandboxIntegration({ accountId: 'acc-sandbox' });
+    jest.spyOn(imagePipelineService, 'processImage').mockImplementation(async (buffer, profile, name) => ({
+      buffer,
+      base64: buffer.toString('base64'),
+      mimeType: 'image/jpeg',
+      filename: `${name}.jpg`
+    }));
+  });
+
+  it('should merge integration profiles over the defaults', () => {
+    expect(imagePipelineService.getProfile(integration)).toMatchObject({ size: 800, square: true, maxBytes: 1024 * 1024 });
+    expect(imagePipelineService.getProfile(new ShopeeIntegration({ imageProfile: { watermark: { text: 'Toko' } } })))
+      .toMatchObject({ size: 1024, watermark: { text: 'Toko' } });
+  });
+
+  it('should process and upload new images', async () => {
+    const result = await imagePipelineService.prepareImages(integration, [front, back]);
+
+    expect(result.uploaded).toBe(2);
+    expect(result.images).toEqual([
+      'https://sandbox.local/images/SBX-IMG-00001.jpg',
+      'https://sandbox.local/images/SBX-IMG-00002.jpg'
+    ]);
+    expect(Object.values(result.imageUploads).map(image => image.id)).toEqual(['SBX-IMG-00001', 'SBX-IMG-00002']);
+    expect(uploadRequests()).toHaveLength(2);
+  });
+
+  it('should reuse earlier uploads of unchanged images', async () => {
+    const first = await imagePipelineService.prepareImages(integration, [front, back]);
+    const second = await imagePipelineService.prepareImages(integration, [back, dataUri('side')], first.imageUploads);
+
+    expect(second).toMatchObject({ uploaded: 1, reused: 1 });
+    expect(second.images[0]).toBe(first.images[1]);
+    expect(uploadRequests()).toHaveLength(3);
+
+    // The dropped front image is no longer cached
+    expect(Object.keys(second.imageUploads)).toHaveLength(2);
+    expect(second.imageUploads).not.toHaveProperty(imagePipelineService.fingerprint(Buffer.from('front'), imagePipelineService.getProfile(integration)));
+  });
+
+  it('should upload again when the profile changes', async () => {
+    const first = await imagePipelineService.prepareImages(integration, [front]);
+
+    integration.imageProfile = { ...integration.imageProfile, watermark: { text: 'Toko Sandbox' } };
+    const second = await imagePipelineService.prepareImages(integration, [front], first.imageUploads);
+
+    expect(second.uploaded).toBe(1);
+    expect(second.images).not.toEqual(first.images);
+  });
+
+  it('should pass images through for marketplaces that fetch URLs themselves', async () => {
+    const woo = new WooCommerceIntegration({ storeUrl: 'https://toko.example' });
+
+    const result = await imagePipelineService.prepareImages(woo, ['https://cdn.example/front.jpg']);
+
+    expect(result.images).toEqual(['https://cdn.example/front.jpg']);
+    expect(imagePipelineService.processImage).not.toHaveBeenCalled();
+  });
+
+  it('should reference Shopee images by image ID', () => {
+    const shopee = new ShopeeIntegration({});
+
+    expect(shopee.getImageReference({ id: 'sg-11134201-abc', url: 'https://cf.shopee.co.id/file/abc' })).toBe('sg-11134201-abc');
+  });
+});
@@ -32,7 +32,8 @@ describe('OrderManagementService', () => {
     it('should create new order from marketplace data', async () => {
       const marketplaceOrder = {
         marketplaceOrderId: 'SHOPEE-12345',
-        status: 'TO_SHIP',
+        status: 'CONFIRMED',
+        marketplaceStatus: 'READY_TO_SHIP',
         totalAmount: 150000,
         shippingCost: 15000,
         customerInfo: {
@@ -77,7 +78,7 @@ describe('OrderManagementService', () => {
 
       expect(createdOrder).toBeDefined();
       expect(createdOrder.marketplaceOrderId).toBe('SHOPEE-12345');
-      expect(createdOrder.status).toBe('CONFIRMED'); // Normalized from TO_SHIP
+      expect(createdOrder.status).toBe('CONFIRMED');
       expect(createdOrder.totalAmount).toBe(150000);
       expect(createdOrder.orderItems).toHaveLength(1);
       expect(createdOrder.orderItems[0].quantity).toBe(2);
@@ -129,7 +130,8 @@ describe('OrderManagementService', () => {
 
       const marketplaceOrder = {
         marketplaceOrderId: 'SHOPEE-12345',
-        status: 'TO_SHIP',
+        status: 'CONFIRMED',
+        marketplaceStatus: 'READY_TO_SHIP',
         totalAmount: 150000,
         orderDate: new Date().toISOString(),
         items: [
@@ -170,38 +172,6 @@ describe('OrderManagementService', () => {
     });
   });
 
-  describe('normalizeOrderStatus', () => {
-    it('should normalize Shopee statuses correctly', () => {
-      expect(orderManagementService.normalizeOrderStatus('UNPAID')).toBe('PENDING');
-      expect(orderManagementService.normalizeOrderStatus('TO_SHIP')).toBe('CONFIRMED');
-      expect(orderManagementService.normalizeOrderStatus('SHIPPED')).toBe('SHIPPED');
-      expect(orderManagementService.normalizeOrderStatus('COMPLETED')).toBe('DELIVERED');
-      expect(orderManagementService.normalizeOrderStatus('CANCELLED')).toBe('CANCELLED');
-    });
-
-    it('should normalize Tokopedia statuses correctly', () => {
-      expect(orderManagementService.normalizeOrderStatus('new')).toBe('PENDING');
-      expect(orderManagementService.normalizeOrderStatus('processed')).toBe('PROCESSING');
-      expect(orderManagementService.normalizeOrderStatus('sent')).toBe('SHIPPED');
-      expect(orderManagementService.normalizeOrderStatus('delivered')).toBe('DELIVERED');
-      expect(orderManagementService.normalizeOrderStatus('cancelled')).toBe('CANCELLED');
-    });
-
-    it('should normalize Lazada statuses correctly', () => {
-      expect(orderManagementService.normalizeOrderStatus('pending')).toBe('PENDING');
-      expect(orderManagementService.normalizeOrderStatus('packed')).toBe('PROCESSING');
-      expect(orderManagementService.normalizeOrderStatus('ready_to_ship')).toBe('CONFIRMED');
-      expect(orderManagementService.normalizeOrderStatus('shipped')).toBe('SHIPPED');
-      expect(orderManagementService.normalizeOrderStatus('delivered')).toBe('DELIVERED');
-      expect(orderManagementService.normalizeOrderStatus('canceled')).toBe('CANCELLED');
-      expect(orderManagementService.normalizeOrderStatus('returned')).toBe('REFUNDED');
-    });
-
-    it('should return PENDING for unknown statuses', () => {
-      expect(orderManagementService.normalizeOrderStatus('unknown_status')).toBe('PENDING');
-    });
-  });
-
   describe('updateOrderStatus', () => {
     it('should update order status and create history', async () => {
       const order = await createTestOrder(
@@ -213,8 +183,8 @@ describe('OrderManagementService', () => {
       const updatedOrder = await orderManagementService.updateOrderStatus(
         order.id,
         'CONFIRMED',
-        'SYSTEM',
-        'Order confirmed by system'
+        'USER',
+        { changedBy: testUser.email, reason: 'Order confirmed by admin' }
       );
 
       expect(updatedOrder.status).toBe('CONFIRMED');
@@ -229,8 +199,21 @@ describe('OrderManagementService', () => {
 
       expect(statusHistory).toBeDefined();
       expect(statusHistory.previousStatus).toBe('PENDING');
-      expect(statusHistory.changedBy).toBe('SYSTEM');
-      expect(statusHistory.reason).toBe('Order confirmed by system');
+      expect(statusHistory.source).toBe('USER');
+      expect(statusHistory.changedBy).toBe(testUser.email);
+      expect(statusHistory.reason).toBe('Order confirmed by admin');
+    });
+
+    it('should refuse to move a delivered order back to pending', async () => {
+      const order = await createTestOrder(
+        testUser.id,
+        testMarketplaceAccount.id,
+        { status: 'DELIVERED' }
+      );
+
+      await expect(
+        orderManagementService.updateOrderStatus(order.id, 'PENDING', 'USER')
+      ).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
     });
 
     it('should throw error for non-existent order', async () => {
@@ -251,7 +234,8 @@ describe('OrderManagementService', () => {
         data: [
           {
             marketplaceOrderId: 'SHOPEE-001',
-            status: 'TO_SHIP',
+            status: 'CONFIRMED',
+            marketplaceStatus: 'READY_TO_SHIP',
             totalAmount: 100000,
             shippingCost: 10000,
             customerInfo: {
@@ -452,7 +436,7 @@ describe('OrderManagementService', () => {
 
       const marketplaceOrder = {
         marketplaceOrderId: 'SHOPEE-ERROR',
-        status: 'TO_SHIP',
+        status: 'CONFIRMED',
         totalAmount: 100000,
         orderDate: new Date().toISOString(),
         items: []
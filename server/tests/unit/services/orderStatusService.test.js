@@ -0,0 +1,176 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {},
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/utils/socket', () => ({
+  emitToUser: jest.fn()
+}));
+
+const { transaction } = require('../../../src/utils/database');
+const { emitToUser } = require('../../../src/utils/socket');
+const orderStatusService = require('../../../src/services/orderStatusService');
+
+describe('OrderStatusService', () => {
+  let order;
+  let history;
+  let tx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+      id: 'order-1',
+      userId: 'user-1',
+      orderNumber: 'SHOPEE-240101ABC',
+      status: 'DELIVERED',
+      statusConflict: false
+    };
+    history = [];
+
+    tx = {
+      order: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(where.id === order.id ? { ...order } : null)),
+        update: jest.fn(({ data }) => {
+          Object.assign(order, data);
+          return Promise.resolve({ ...order });
+        })
+      },
+      shipment: {
+        updateMany: jest.fn()
+      },
+      orderStatusHistory: {
+        findFirst: jest.fn(() => Promise.resolve(history[history.length - 1] || null)),
+        create: jest.fn(({ data }) => {
+          history.push({ rejected: false, ...data });
+          return Promise.resolve(data);
+        })
+      }
+    };
+    transaction.mockImplementation(callback => callback(tx));
+  });
+
+  describe('canTransition', () => {
+    it('should allow forward jumps and refunds but nothing back', () => {
+      expect(orderStatusService.canTransition('PENDING', 'SHIPPED')).toBe(true);
+      expect(orderStatusService.canTransition('DELIVERED', 'REFUNDED')).toBe(true);
+      expect(orderStatusService.canTransition('DELIVERED', 'PENDING')).toBe(false);
+      expect(orderStatusService.canTransition('CANCELLED', 'PROCESSING')).toBe(false);
+      expect(orderStatusService.canTransition('REFUNDED', 'DELIVERED')).toBe(false);
+    });
+  });
+
+  describe('changeStatus', () => {
+    it('should apply a legal change and record who made it', async () => {
+      const result = await orderStatusService.changeStatus(order.id, 'REFUNDED', {
+        source: 'USER',
+        changedBy: 'admin@example.com',
+        reason: 'Refund atas permintaan pelanggan'
+      });
+
+      expect(result).toMatchObject({ previousStatus: 'DELIVERED', changed: true, rejected: false });
+      expect(order.status).toBe('REFUNDED');
+      expect(history).toEqual([expect.objectContaining({
+        status: 'REFUNDED',
+        previousStatus: 'DELIVERED',
+        source: 'USER',
+        changedBy: 'admin@example.com',
+        reason: 'Refund atas permintaan pelanggan'
+      })]);
+    });
+
+    it('should refuse illegal changes by users and automation', async () => {
+      for (const source of ['USER', 'AUTOMATION']) {
+        await expect(orderStatusService.changeStatus(order.id, 'PENDING', { source }))
+          .rejects.toMatchObject({ code: 'INVALID_TRANSITION', message: 'Cannot change status from DELIVERED to PENDING' });
+      }
+
+      expect(tx.order.update).not.toHaveBeenCalled();
+      expect(history).toHaveLength(0);
+    });
+
+    it('should keep the status and flag the order once when the marketplace reports an illegal one', async () => {
+      const change = {
+        source: 'MARKETPLACE',
+        marketplaceStatus: 'UNPAID',
+        data: { totalAmount: 125000 }
+      };
+
+      const first = await orderStatusService.changeStatus(order.id, 'PENDING', change);
+      const second = await orderStatusService.changeStatus(order.id, 'PENDING', change);
+
+      expect(first).toMatchObject({ changed: false, rejected: true });
+      expect(second).toMatchObject({ changed: false, rejected: true });
+      expect(order).toMatchObject({ status: 'DELIVERED', statusConflict: true, totalAmount: 125000 });
+      expect(history).toEqual([expect.objectContaining({
+        status: 'PENDING',
+        previousStatus: 'DELIVERED',
+        source: 'MARKETPLACE',
+        marketplaceStatus: 'UNPAID',
+        rejected: true
+      })]);
+      expect(emitToUser).toHaveBeenCalledTimes(1);
+      expect(emitToUser).toHaveBeenCalledWith('user-1', 'order-update', expect.objectContaining({
+        type: 'status-conflict',
+        status: 'DELIVERED',
+        marketplaceStatus: 'PENDING'
+      }));
+    });
+
+    it('should clear the flag once the marketplace reports a legal status again', async () => {
+      order.statusConflict = true;
+
+      const result = await orderStatusService.changeStatus(order.id, 'DELIVERED', { source: 'MARKETPLACE' });
+
+      expect(result.changed).toBe(false);
+      expect(order.statusConflict).toBe(false);
+      expect(history).toHaveLength(0);
+    });
+
+    it('should settle a stuck shipment once the order is no longer with the courier', async () => {
+      Object.assign(order, { status: 'SHIPPED', shipmentStuck: true });
+
+      await orderStatusService.changeStatus(order.id, 'DELIVERED', { source: 'MARKETPLACE' });
+
+      expect(order).toMatchObject({ status: 'DELIVERED', shipmentStuck: false });
+    });
+
+    it('should keep a stuck shipment flagged while the order is still with the courier', async () => {
+      Object.assign(order, { status: 'PROCESSING', shipmentStuck: true });
+
+      await orderStatusService.changeStatus(order.id, 'SHIPPED', { source: 'SYSTEM' });
+
+      expect(order).toMatchObject({ status: 'SHIPPED', shipmentStuck: true });
+    });
+
+    it('should keep the status of unmapped marketplace statuses but write the other fields', async () => {
+      const result = await orderStatusService.changeStatus(order.id, null, {
+        source: 'MARKETPLACE',
+        marketplaceStatus: 'TO_RETURN',
+        data: { trackingNumber: 'JNE123' }
+      });
+
+      expect(result.changed).toBe(false);
+      expect(order).toMatchObject({ status: 'DELIVERED', trackingNumber: 'JNE123' });
+      expect(history).toHaveLength(0);
+    });
+
+    it('should reject raw marketplace statuses', async () => {
+      await expect(orderStatusService.changeStatus(order.id, 'COMPLETED', { source: 'MARKETPLACE' }))
+        .rejects.toThrow('Unknown order status COMPLETED');
+    });
+
+    it('should use the caller\'s transaction', async () => {
+      order.status = 'PENDING';
+
+      await orderStatusService.changeStatus(order.id, 'CANCELLED', { tx, source: 'USER' });
+
+      expect(transaction).not.toHaveBeenCalled();
+      expect(order.status).toBe('CANCELLED');
+      expect(tx.shipment.updateMany).toHaveBeenCalledWith({
+        where: { orderId: order.id, status: 'PENDING' },
+        data: { status: 'CANCELLED' }
+      });
+    });
+  });
+});
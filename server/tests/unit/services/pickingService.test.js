@@ -0,0 +1,229 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    order: {
+      findMany: jest.fn(),
+      updateMany: jest.fn()
+    },
+    pickingWave: {
+      create: jest.fn(),
+      update: jest.fn(),
+      findFirst: jest.fn(),
+      delete: jest.fn()
+    },
+    inventory: {
+      findMany: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+const { PDFDocument } = require('pdf-lib');
+const { prisma, transaction } = require('../../../src/utils/database');
+const pickingService = require('../../../src/services/pickingService');
+
+describe('PickingService', () => {
+  const marketplaceAccount = { storeName: 'Toko Sandbox', marketplace: { name: 'Shopee' } };
+
+  const wave = () => ({
+    id: 'wave-abc123',
+    userId: 'user-1',
+    createdAt: new Date('2026-10-19T02:00:00.000Z'),
+    orders: [
+      {
+        orderNumber: 'SHOPEE-001',
+        marketplaceOrderId: '001',
+        shippingCarrier: 'JNE',
+        trackingNumber: null,
+        shipByDate: new Date('2026-10-20T10:00:00.000Z'),
+        shippingAddress: { name: 'Budi', phone: '0812', address: 'Jl. Merdeka 1', city: 'Bandung', postal_code: '40111' },
+        customerInfo: {},
+        marketplaceAccount,
+        orderItems: [
+          { productId: 'p-1', variantId: 'v-1', sku: 'KAOS-M', productName: 'Kaos, "Polos" M', quantity: 2, cancelledQuantity: 0 },
+          { productId: 'p-2', variantId: null, sku: 'TOPI', productName: 'Topi', quantity: 1, cancelledQuantity: 1 }
+        ]
+      },
+      {
+        orderNumber: 'SHOPEE-002',
+        marketplaceOrderId: '002',
+        shippingCarrier: 'JNE',
+        trackingNumber: 'JNE123',
+        shipByDate: null,
+        shippingAddress: { name: 'Siti', full_address: 'Jl. Sudirman 5', state: 'DKI Jakarta' },
+        customerInfo: {},
+        marketplaceAccount,
+        orderItems: [
+          { productId: 'p-1', variantId: 'v-1', sku: 'KAOS-M', productName: 'Kaos, "Polos" M', quantity: 1, cancelledQuantity: 0 },
+          { productId: 'p-3', variantId: null, sku: 'TAS', productName: 'Tas', quantity: 1, cancelledQuantity: 0 },
+          { productId: 'p-4', variantId: null, sku: 'GELAS', productName: 'Gelas', quantity: 3, cancelledQuantity: 0 }
+        ]
+      }
+    ]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    transaction.mockImplementation(callback => callback(prisma));
+    prisma.pickingWave.findFirst.mockResolvedValue(wave());
+    prisma.inventory.findMany.mockResolvedValue([
+      { productId: 'p-1', variantId: 'v-1', location: 'A-10' },
+      { productId: 'p-2', variantId: null, location: 'A-2' },
+      { productId: 'p-3', variantId: null, location: null },
+      { productId: 'p-4', variantId: null, location: 'A-2' }
+    ]);
+  });
+
+  describe('createWave', () => {
+    it('should take pickable orders not in a wave yet matching the criteria', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1' }, { id: 'order-2' }]);
+      prisma.order.updateMany.mockResolvedValue({ count: 2 });
+      prisma.pickingWave.create.mockImplementation(({ data }) => Promise.resolve({ id: 'wave-1', ...data }));
+
+      const filters = { marketplaceAccountIds: ['acc-1'], shipByBefore: '2026-10-20T12:00:00.000Z', carriers: ['JNE'] };
+      const created = await pickingService.createWave('user-1', filters);
+
+      expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          userId: 'user-1',
+          status: { in: ['PENDING', 'CONFIRMED', 'PROCESSING'] },
+          pickingWaveId: null,
+          marketplaceAccountId: { in: ['acc-1'] },
+          shipByDate: { lte: new Date('2026-10-20T12:00:00.000Z') },
+          shippingCarrier: { in: ['JNE'] }
+        },
+        orderBy: [{ shipByDate: 'asc' }, { orderDate: 'asc' }]
+      }));
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['order-1', 'order-2'] }, pickingWaveId: null },
+        data: { pickingWaveId: 'wave-1' }
+      });
+      expect(created).toMatchObject({ id: 'wave-1', orderCount: 2, filters });
+      expect(prisma.pickingWave.update).not.toHaveBeenCalled();
+    });
+
+    it('should count only the orders a wave created at the same time did not take', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1' }, { id: 'order-2' }]);
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.pickingWave.create.mockImplementation(({ data }) => Promise.resolve({ id: 'wave-1', ...data }));
+      prisma.pickingWave.update.mockImplementation(({ data }) => Promise.resolve({ id: 'wave-1', ...data }));
+
+      const created = await pickingService.createWave('user-1');
+
+      expect(prisma.pickingWave.update).toHaveBeenCalledWith({ where: { id: 'wave-1' }, data: { orderCount: 1 } });
+      expect(created.orderCount).toBe(1);
+    });
+
+    it('should refuse the wave when every order was taken by another one', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1' }]);
+      prisma.order.updateMany.mockResolvedValue({ count: 0 });
+      prisma.pickingWave.create.mockResolvedValue({ id: 'wave-1' });
+
+      await expect(pickingService.createWave('user-1'))
+        .rejects.toMatchObject({ code: 'NO_ORDERS' });
+    });
+
+    it('should refuse an empty wave', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await expect(pickingService.createWave('user-1', { carriers: ['SiCepat'] }))
+        .rejects.toMatchObject({ code: 'NO_ORDERS' });
+      expect(prisma.pickingWave.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getWave', () => {
+    it('should load only orders still to be packed and look up locations of matched products', async () => {
+      const unmatched = wave();
+      unmatched.orders[1].orderItems[2].productId = null;
+      prisma.pickingWave.findFirst.mockResolvedValue(unmatched);
+
+      await pickingService.getWave('user-1', 'wave-abc123');
+
+      expect(prisma.pickingWave.findFirst.mock.calls[0][0].include.orders.where).toEqual({
+        status: { in: ['PENDING', 'CONFIRMED', 'PROCESSING'] }
+      });
+      expect(prisma.inventory.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { productId: { in: ['p-1', 'p-2', 'p-3'] } }
+      }));
+    });
+  });
+
+  describe('deleteWave', () => {
+    it('should release the wave\'s orders and delete it', async () => {
+      prisma.order.updateMany.mockResolvedValue({ count: 2 });
+
+      const released = await pickingService.deleteWave('user-1', 'wave-abc123');
+
+      expect(released).toBe(2);
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({
+        where: { pickingWaveId: 'wave-abc123' },
+        data: { pickingWaveId: null }
+      });
+      expect(prisma.pickingWave.delete).toHaveBeenCalledWith({ where: { id: 'wave-abc123' } });
+    });
+
+    it('should not delete waves of other users', async () => {
+      prisma.pickingWave.findFirst.mockResolvedValue(null);
+
+      await expect(pickingService.deleteWave('user-2', 'wave-abc123')).rejects.toThrow('Picking wave not found');
+      expect(prisma.pickingWave.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildPickList', () => {
+    it('should sum units by location and SKU in walking order, leaving cancelled units out', async () => {
+      const loaded = await pickingService.getWave('user-1', 'wave-abc123');
+
+      expect(pickingService.buildPickList(loaded)).toEqual([
+        { location: 'A-2', sku: 'GELAS', productName: 'Gelas', quantity: 3, orderNumbers: ['SHOPEE-002'] },
+        { location: 'A-10', sku: 'KAOS-M', productName: 'Kaos, "Polos" M', quantity: 3, orderNumbers: ['SHOPEE-001', 'SHOPEE-002'] },
+        { location: null, sku: 'TAS', productName: 'Tas', quantity: 1, orderNumbers: ['SHOPEE-002'] }
+      ]);
+    });
+  });
+
+  describe('exportDocument', () => {
+    it('should export the pick list as CSV', async () => {
+      const { fileName, contentType, content } = await pickingService.exportDocument('user-1', 'wave-abc123', 'pick-list', 'csv');
+      const lines = content.toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+
+      expect(fileName).toBe('pick-list-2026-10-19-abc123.csv');
+      expect(contentType).toBe('text/csv; charset=utf-8');
+      expect(lines).toEqual([
+        'Lokasi,SKU,Produk,Jumlah,Pesanan',
+        'A-2,GELAS,Gelas,3,SHOPEE-002',
+        'A-10,KAOS-M,"Kaos, ""Polos"" M",3,SHOPEE-001 SHOPEE-002',
+        ',TAS,Tas,1,SHOPEE-002'
+      ]);
+    });
+
+    it('should export a packing slip row per item with the order\'s address', async () => {
+      const { content } = await pickingService.exportDocument('user-1', 'wave-abc123', 'packing-slips', 'csv');
+      const lines = content.toString('utf8').trim().split('\r\n');
+
+      expect(lines).toHaveLength(5);
+      expect(lines[1]).toBe('SHOPEE-001,Shopee,Toko Sandbox,2026-10-20T10:00:00.000Z,JNE,,Budi,0812,' +
+        '"Jl. Merdeka 1, Bandung, 40111",KAOS-M,"Kaos, ""Polos"" M",2');
+      expect(lines[2]).toContain('Jl. Sudirman 5, DKI Jakarta');
+    });
+
+    it('should render a packing slip page per order', async () => {
+      const { contentType, content } = await pickingService.exportDocument('user-1', 'wave-abc123', 'packing-slips', 'pdf');
+      const document = await PDFDocument.load(content);
+
+      expect(contentType).toBe('application/pdf');
+      expect(document.getPageCount()).toBe(2);
+    });
+
+    it('should report waves of other users as missing', async () => {
+      prisma.pickingWave.findFirst.mockResolvedValue(null);
+
+      await expect(pickingService.exportDocument('user-2', 'wave-abc123', 'pick-list', 'pdf'))
+        .rejects.toThrow('Picking wave not found');
+      expect(prisma.pickingWave.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'wave-abc123', userId: 'user-2' }
+      }));
+    });
+  });
+});
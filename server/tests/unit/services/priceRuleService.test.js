@@ -0,0 +1,252 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    priceRule: {
+      findMany: jest.fn()
+    },
+    priceSyncLog: {
+      createMany: jest.fn()
+    },
+    product: {
+      findMany: jest.fn()
+    },
+    marketplaceProduct: {
+      findMany: jest.fn(),
+      update: jest.fn()
+    },
+    userMarketplaceAccount: {
+      findUnique: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/jobs/queueManager', () => ({
+  addSyncJob: jest.fn()
+}));
+
+jest.mock('../../../src/services/categoryMappingService', () => ({
+  prepareProductForMarketplace: jest.fn()
+}));
+
+jest.mock('../../../src/services/imagePipelineService', () => ({
+  prepareImages: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const { addSyncJob } = require('../../../src/jobs/queueManager');
+const categoryMappingService = require('../../../src/services/categoryMappingService');
+const imagePipelineService = require('../../../src/services/imagePipelineService');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const { syncPrices } = require('../../../src/jobs/processors/syncProcessor');
+const priceRuleService = require('../../../src/services/priceRuleService');
+
+describe('PriceRuleService', () => {
+  const rule = (overrides = {}) => ({
+    id: 'rule-1',
+    userId: 'user-1',
+    marketplaceAccountId: 'acc-sandbox',
+    name: 'Shopee',
+    scope: 'ALL_PRODUCTS',
+    productIds: [],
+    categoryIds: [],
+    markupPercentage: 0,
+    fixedOffset: 0,
+    feePercentage: 0,
+    feeFixed: 0,
+    roundTo: null,
+    isActive: true,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  });
+
+  describe('calculatePrice', () => {
+    it('should list the base price when no rule applies', () => {
+      expect(priceRuleService.calculatePrice(null, '125000.00')).toBe(125000);
+    });
+
+    it('should apply markup and a fixed offset', () => {
+      expect(priceRuleService.calculatePrice(rule({ markupPercentage: 10, fixedOffset: -2500 }), 100000)).toBe(107500);
+    });
+
+    it('should gross the price up for the marketplace fee', () => {
+      const price = priceRuleService.calculatePrice(rule({ feePercentage: 5, feeFixed: 1000 }), 94000);
+
+      expect(price).toBe(100000);
+      expect(price * 0.95 - 1000).toBe(94000);
+    });
+
+    it('should round up to the rounding step', () => {
+      expect(priceRuleService.calculatePrice(rule({ markupPercentage: 10, feePercentage: 5, roundTo: 500 }), 100000)).toBe(116000);
+      expect(priceRuleService.calculatePrice(rule({ roundTo: 1000 }), 99001)).toBe(100000);
+      expect(priceRuleService.calculatePrice(rule({ roundTo: 100 }), 12345)).toBe(12400);
+    });
+
+    it('should not push round prices up a step on floating point noise', () => {
+      expect(priceRuleService.calculatePrice(rule({ markupPercentage: 10, roundTo: 100 }), 10000)).toBe(11000);
+    });
+  });
+
+  describe('findRule', () => {
+    const product = { id: 'prod-1', categoryId: 'cat-1' };
+
+    it('should prefer product rules over category rules over account-wide rules', () => {
+      const allProducts = rule({ id: 'all', createdAt: '2026-03-01T00:00:00.000Z' });
+      const category = rule({ id: 'category', scope: 'CATEGORY', categoryIds: ['cat-1'] });
+      const specific = rule({ id: 'specific', scope: 'SPECIFIC_PRODUCTS', productIds: ['prod-1'] });
+
+      expect(priceRuleService.findRule([allProducts, category, specific], product).id).toBe('specific');
+      expect(priceRuleService.findRule([allProducts, category], product).id).toBe('category');
+      expect(priceRuleService.findRule([allProducts], product).id).toBe('all');
+    });
+
+    it('should skip rules outside the product scope or inactive and take the newest on a tie', () => {
+      const rules = [
+        rule({ id: 'other-category', scope: 'CATEGORY', categoryIds: ['cat-2'] }),
+        rule({ id: 'inactive', scope: 'SPECIFIC_PRODUCTS', productIds: ['prod-1'], isActive: false }),
+        rule({ id: 'older', createdAt: '2026-01-01T00:00:00.000Z' }),
+        rule({ id: 'newer', createdAt: '2026-02-01T00:00:00.000Z' })
+      ];
+
+      expect(priceRuleService.findRule(rules, product).id).toBe('newer');
+      expect(priceRuleService.findRule(rules.slice(0, 2), product)).toBeNull();
+    });
+  });
+
+  describe('queuePriceSync', () => {
+    it('should queue one job per account with its listed products', async () => {
+      prisma.marketplaceProduct.findMany.mockResolvedValue([
+        { productId: 'prod-1', marketplaceAccountId: 'acc-1' },
+        { productId: 'prod-2', marketplaceAccountId: 'acc-1' },
+        { productId: 'prod-1', marketplaceAccountId: 'acc-2' }
+      ]);
+
+      const result = await priceRuleService.queuePriceSync('user-1', { productIds: ['prod-1', 'prod-2'], reason: 'Price changed' });
+
+      expect(result).toEqual({ accounts: 2, listings: 3 });
+      expect(prisma.marketplaceProduct.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          variantId: null,
+          product: { userId: 'user-1', isActive: true, id: { in: ['prod-1', 'prod-2'] } },
+          marketplaceAccount: { isConnected: true }
+        }
+      }));
+      expect(addSyncJob).toHaveBeenCalledWith('sync-prices', {
+        userId: 'user-1',
+        marketplaceAccountId: 'acc-1',
+        productIds: ['prod-1', 'prod-2'],
+        reason: 'Price changed'
+      });
+      expect(addSyncJob).toHaveBeenCalledWith('sync-prices', expect.objectContaining({
+        marketplaceAccountId: 'acc-2',
+        productIds: ['prod-1']
+      }));
+    });
+
+    it('should re-price what a rule covered before and after a change', async () => {
+      prisma.product.findMany.mockResolvedValue([{ id: 'prod-2' }, { id: 'prod-3' }]);
+      prisma.marketplaceProduct.findMany.mockResolvedValue([]);
+
+      await priceRuleService.onRuleChange(
+        rule({ scope: 'CATEGORY', categoryIds: ['cat-1'] }),
+        rule({ scope: 'SPECIFIC_PRODUCTS', productIds: ['prod-1', 'prod-2'] })
+      );
+
+      expect(prisma.marketplaceProduct.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          product: expect.objectContaining({ id: { in: ['prod-2', 'prod-3', 'prod-1'] } }),
+          marketplaceAccount: { isConnected: true, id: { in: ['acc-sandbox'] } }
+        })
+      }));
+    });
+  });
+
+  describe('price push', () => {
+    const account = { id: 'acc-sandbox', userId: 'user-1', isConnected: true, marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+
+    let listed;
+    let product;
+
+    beforeAll(() => {
+      MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+    });
+
+    beforeEach(() => {
+      resetSimulators();
+      listed = getSimulator('acc-sandbox').products.find(item => item.variants.length > 0);
+
+      product = {
+        id: 'prod-1',
+        sku: listed.sku,
+        name: listed.name,
+        price: 100000,
+        categoryId: 'cat-1',
+        images: [],
+        inventory: [],
+        variants: listed.variants.map((variant, index) => ({
+          id: `var-${index}`,
+          sku: variant.sku,
+          variantName: variant.name,
+          price: 100000 + index * 10000,
+          attributes: {}
+        })),
+        marketplaceProducts: [
+          { id: 'mp-1', variantId: null, marketplaceProductId: listed.id, marketplaceData: {} },
+          { id: 'mp-2', variantId: 'var-0', marketplaceProductId: listed.id, marketplaceVariantId: listed.variants[0].id }
+        ]
+      };
+
+      prisma.userMarketplaceAccount.findUnique.mockResolvedValue(account);
+      prisma.product.findMany.mockImplementation(() => Promise.resolve([product]));
+      prisma.priceRule.findMany.mockResolvedValue([rule({ markupPercentage: 10, feePercentage: 5, roundTo: 500 })]);
+      categoryMappingService.prepareProductForMarketplace.mockImplementation(item => Promise.resolve({ ...item }));
+      imagePipelineService.prepareImages.mockResolvedValue({ images: [], imageUploads: {} });
+    });
+
+    it('should push rule prices through updateProduct and log them', async () => {
+      const result = await syncPrices('user-1', 'acc-sandbox', ['prod-1'], 'Price changed');
+
+      expect(result).toMatchObject({ successCount: 1, failureCount: 0 });
+      expect(listed.price).toBe(116000);
+      expect(listed.variants[1].price).toBe(127500);
+
+      expect(prisma.marketplaceProduct.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'mp-1' },
+        data: expect.objectContaining({ syncStatus: 'SUCCESS', marketplacePrice: 116000 })
+      }));
+      expect(prisma.marketplaceProduct.update).toHaveBeenCalledWith({
+        where: { id: 'mp-2' },
+        data: { marketplacePrice: 116000, lastSynced: expect.any(Date) }
+      });
+
+      const { data } = prisma.priceSyncLog.createMany.mock.calls[0][0];
+      expect(data).toHaveLength(product.variants.length + 1);
+      expect(data[0]).toEqual(expect.objectContaining({
+        userId: 'user-1',
+        marketplaceAccountId: 'acc-sandbox',
+        productId: 'prod-1',
+        variantId: null,
+        ruleId: 'rule-1',
+        basePrice: 100000,
+        price: 116000,
+        status: 'SUCCESS',
+        reason: 'Price changed'
+      }));
+      expect(data[2]).toEqual(expect.objectContaining({ variantId: 'var-1', basePrice: 110000, price: 127500 }));
+    });
+
+    it('should log a failed push and carry on', async () => {
+      product.marketplaceProducts[0].marketplaceProductId = 'SBX-P-MISSING';
+
+      const result = await syncPrices('user-1', 'acc-sandbox', ['prod-1'], 'Price changed');
+
+      expect(result).toMatchObject({ successCount: 0, failureCount: 1 });
+      expect(prisma.marketplaceProduct.update).not.toHaveBeenCalled();
+      expect(prisma.priceSyncLog.createMany.mock.calls[0][0].data[0]).toEqual(expect.objectContaining({
+        status: 'FAILED',
+        errorMessage: expect.any(String)
+      }));
+    });
+  });
+});
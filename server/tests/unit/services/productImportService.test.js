@@ -0,0 +1,233 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    product: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn()
+    },
+    productVariant: {
+      findMany: jest.fn(),
+      create: jest.fn()
+    },
+    inventory: {
+      create: jest.fn()
+    },
+    marketplaceProduct: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      createMany: jest.fn(),
+      update: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+const { prisma, transaction } = require('../../../src/utils/database');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const productImportService = require('../../../src/services/productImportService');
+
+describe('ProductImportService', () => {
+  const catalog = [
+    { id: 'prod-1', sku: 'KAOS-POLOS', name: 'Kaos Polos Katun', variants: [] },
+    {
+      id: 'prod-2',
+      sku: 'JAKET',
+      name: 'Jaket Hoodie Fleece',
+      variants: [
+        { id: 'var-1', sku: 'JAKET-HITAM-L', variantName: 'Hitam L' },
+        { id: 'var-2', sku: 'JAKET-ABU-L', variantName: 'Abu L' }
+      ]
+    },
+    { id: 'prod-3', sku: 'TOPI', name: 'Topi Baseball', variants: [] }
+  ];
+
+  const account = { id: 'acc-sandbox', marketplace: { code: 'sandbox' } };
+
+  describe('nameSimilarity', () => {
+    it('should ignore casing and punctuation', () => {
+      expect(productImportService.nameSimilarity('Kaos Polos - KATUN!', 'kaos polos katun')).toBe(1);
+    });
+
+    it('should score similar names above unrelated ones', () => {
+      const similar = productImportService.nameSimilarity('Kaos Polos Katun Premium', 'Kaos Polos Katun');
+      const unrelated = productImportService.nameSimilarity('Kaos Polos Katun Premium', 'Topi Baseball');
+
+      expect(similar).toBeGreaterThan(0.7);
+      expect(unrelated).toBeLessThan(0.2);
+    });
+  });
+
+  describe('proposeMatch', () => {
+    it('should match by product SKU regardless of casing', () => {
+      const proposal = productImportService.proposeMatch({ id: '1', sku: 'kaos-polos', name: 'Kaos' }, catalog);
+
+      expect(proposal).toMatchObject({ status: 'matched', match: { productId: 'prod-1', method: 'sku' } });
+    });
+
+    it('should link a listing without variants to the variant with its SKU', () => {
+      const proposal = productImportService.proposeMatch({ id: '2', sku: 'JAKET-ABU-L', name: 'Jaket Abu' }, catalog);
+
+      expect(proposal.match).toMatchObject({ productId: 'prod-2', variantId: 'var-2', sku: 'JAKET-ABU-L' });
+    });
+
+    it('should match a listing to a product through its variant SKUs', () => {
+      const proposal = productImportService.proposeMatch({
+        id: '3',
+        sku: null,
+        name: 'Hoodie',
+        variants: [{ id: 'm-1', sku: 'JAKET-HITAM-L' }]
+      }, catalog);
+
+      expect(proposal.match).toMatchObject({ productId: 'prod-2', variantId: null, method: 'sku' });
+    });
+
+    it('should only suggest products with similar names when no SKU matches', () => {
+      const proposal = productImportService.proposeMatch({ id: '4', sku: 'LAIN', name: 'Kaos Polos Katun Premium' }, catalog);
+
+      expect(proposal.status).toBe('suggested');
+      expect(proposal.match).toMatchObject({ productId: 'prod-1', method: 'name' });
+      expect(proposal.candidates.map(candidate => candidate.productId)).toEqual(['prod-1']);
+    });
+
+    it('should propose a new product when nothing matches', () => {
+      const proposal = productImportService.proposeMatch({ id: '5', sku: 'SEPATU', name: 'Sepatu Lari' }, catalog);
+
+      expect(proposal).toMatchObject({ status: 'new', match: null });
+    });
+
+    it('should keep linked listings and not offer products listed elsewhere on the account', () => {
+      const linkedListings = new Map([['6', 'prod-1']]);
+
+      expect(productImportService.proposeMatch({ id: '6', sku: 'X', name: 'X' }, catalog, linkedListings))
+        .toMatchObject({ status: 'linked', match: { productId: 'prod-1' } });
+      expect(productImportService.proposeMatch({ id: '7', sku: 'KAOS-POLOS', name: 'Kaos Polos Katun' }, catalog, linkedListings).status)
+        .toBe('new');
+    });
+  });
+
+  describe('scanListings', () => {
+    beforeEach(() => {
+      resetSimulators();
+    });
+
+    it('should page through every listing of the account', async () => {
+      const sandbox = new SandboxIntegration({ accountId: 'acc-sandbox' });
+      const { total: seeded } = await sandbox.getProducts({ limit: 1 });
+      for (let i = 1; i <= 40; i++) {
+        await sandbox.createProduct({ sku: `SKU-${i}`, name: `Produk ${i}`, price: 10000, inventory: [] });
+      }
+      const { marketplaceProductId } = await sandbox.createProduct({ sku: 'KAOS-POLOS', name: 'Kaos Polos', price: 50000, inventory: [] });
+
+      prisma.product.findMany.mockResolvedValue(catalog);
+      prisma.marketplaceProduct.findMany.mockResolvedValue([]);
+
+      const proposals = await productImportService.scanListings(sandbox, 'user-1', 'acc-sandbox');
+
+      // More than one page of listings
+      expect(proposals).toHaveLength(seeded + 41);
+      expect(proposals.find(proposal => proposal.listing.id === String(marketplaceProductId)))
+        .toMatchObject({ status: 'matched', match: { productId: 'prod-1' } });
+    });
+  });
+
+  describe('applyImport', () => {
+    const proposals = [
+      { listing: { id: '101', sku: 'KAOS-POLOS', name: 'Kaos Polos', price: 50000, stock: 3, variants: [] } },
+      { listing: { id: '102', sku: null, name: 'Sepatu Lari', price: 250000, stock: 8, images: ['https://cdn.example/sepatu.jpg'], variants: [] } },
+      { listing: { id: '103', sku: 'TOPI', name: 'Topi', price: 30000, stock: 1, variants: [] } }
+    ];
+
+    beforeEach(() => {
+      prisma.marketplaceProduct.findMany.mockResolvedValue([{ productId: 'prod-3', marketplaceProductId: '999' }]);
+      prisma.product.findFirst.mockImplementation(({ where }) => (
+        Promise.resolve(catalog.find(product => product.id === where.id) || null)
+      ));
+      prisma.product.findUnique.mockResolvedValue(null);
+      prisma.product.create.mockImplementation(({ data }) => Promise.resolve({ id: 'prod-new', ...data }));
+      transaction.mockImplementation(fn => fn(prisma));
+    });
+
+    it('should link, create and skip listings, creating mappings in one batch', async () => {
+      const result = await productImportService.applyImport('user-1', account, proposals, [
+        { marketplaceProductId: '101', action: 'link', productId: 'prod-1' },
+        { marketplaceProductId: '102', action: 'create' },
+        { marketplaceProductId: '103', action: 'skip' }
+      ]);
+
+      expect(result).toMatchObject({ created: 1, linked: 1, skipped: 1, failed: 0 });
+      expect(prisma.product.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 'user-1', sku: 'SANDBOX-102', name: 'Sepatu Lari', images: ['https://cdn.example/sepatu.jpg'] })
+      });
+      expect(prisma.inventory.create).toHaveBeenCalledWith({
+        data: { productId: 'prod-new', stockQuantity: 8, availableQuantity: 8 }
+      });
+
+      expect(prisma.marketplaceProduct.createMany).toHaveBeenCalledTimes(1);
+      const { data } = prisma.marketplaceProduct.createMany.mock.calls[0][0];
+      expect(data.map(row => [row.productId, row.marketplaceProductId])).toEqual([
+        ['prod-1', '101'],
+        ['prod-new', '102']
+      ]);
+    });
+
+    it('should link a listing without variants to one of our variants by the listing ID', async () => {
+      const jacket = { listing: { id: '104', sku: 'JAKET-ABU-L', name: 'Jaket Abu L', price: 150000, stock: 2, variants: [] } };
+      prisma.product.findFirst.mockResolvedValue(catalog[1]);
+
+      const result = await productImportService.applyImport('user-1', account, [jacket], [
+        { marketplaceProductId: '104', action: 'link', productId: 'prod-2', variantId: 'var-2' }
+      ]);
+
+      expect(result.linked).toBe(1);
+      expect(prisma.marketplaceProduct.createMany.mock.calls[0][0].data[0]).toMatchObject({
+        productId: 'prod-2',
+        variantId: 'var-2',
+        marketplaceProductId: '104',
+        marketplaceVariantId: '104'
+      });
+    });
+
+    it('should not link a listing with variants to a single variant', async () => {
+      const jacket = { listing: { id: '105', sku: 'JAKET', name: 'Jaket', price: 150000, variants: [{ id: '5001', sku: 'JAKET-ABU-L' }] } };
+      prisma.product.findFirst.mockResolvedValue(catalog[1]);
+
+      const result = await productImportService.applyImport('user-1', account, [jacket], [
+        { marketplaceProductId: '105', action: 'link', productId: 'prod-2', variantId: 'var-2' }
+      ]);
+
+      expect(result.results[0]).toMatchObject({
+        action: 'failed',
+        error: 'A listing with variants is linked to a product, not to one of its variants'
+      });
+      expect(prisma.marketplaceProduct.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse products already listed on the account and unknown listings', async () => {
+      const result = await productImportService.applyImport('user-1', account, proposals, [
+        { marketplaceProductId: '103', action: 'link', productId: 'prod-3' },
+        { marketplaceProductId: '404', action: 'create' }
+      ]);
+
+      expect(result.failed).toBe(2);
+      expect(result.results.map(item => item.error)).toEqual([
+        'Product is already linked to another listing of this account',
+        'Listing is not part of this import'
+      ]);
+      expect(prisma.marketplaceProduct.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should not create a product whose SKU already exists', async () => {
+      prisma.product.findUnique.mockResolvedValue({ id: 'prod-1' });
+
+      const result = await productImportService.applyImport('user-1', account, proposals, [
+        { marketplaceProductId: '101', action: 'create' }
+      ]);
+
+      expect(result.results[0]).toMatchObject({ action: 'failed', error: 'SKU KAOS-POLOS already exists' });
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+  });
+});
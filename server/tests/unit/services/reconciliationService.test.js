@@ -0,0 +1,301 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    order: {
+      findMany: jest.fn()
+    },
+    userMarketplaceAccount: {
+      findMany: jest.fn()
+    },
+    settlementImport: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    settlementLine: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    }
+  }
+}));
+
+const ExcelJS = require('exceljs');
+const { prisma } = require('../../../src/utils/database');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const reconciliationService = require('../../../src/services/reconciliationService');
+
+describe('ReconciliationService', () => {
+  const account = { id: 'acc-sandbox', storeName: 'Toko Sandbox', marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+
+  beforeAll(() => {
+    MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.settlementImport.findMany.mockResolvedValue([]);
+    prisma.settlementImport.create.mockResolvedValue({ id: 'import-1' });
+    prisma.settlementImport.update.mockImplementation(({ data }) => Promise.resolve({ id: 'import-1', ...data }));
+    prisma.settlementLine.findMany.mockResolvedValue([]);
+  });
+
+  describe('parseAmount', () => {
+    it('should read rupiah, thousands separators and decimals of either convention', () => {
+      expect(reconciliationService.parseAmount(125000)).toBe(125000);
+      expect(reconciliationService.parseAmount('Rp 1.250.000')).toBe(1250000);
+      expect(reconciliationService.parseAmount('1,250,000.50')).toBe(1250000.5);
+      expect(reconciliationService.parseAmount('-12.500,50')).toBe(-12500.5);
+      expect(reconciliationService.parseAmount('(12,500)')).toBe(-12500);
+      expect(reconciliationService.parseAmount('99.5')).toBe(99.5);
+      expect(reconciliationService.parseAmount('Total')).toBeNull();
+      expect(reconciliationService.parseAmount('')).toBeNull();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read day-first dates and Excel serial numbers', () => {
+      expect(reconciliationService.parseDate('31/01/2024 13:45')).toEqual(new Date(2024, 0, 31, 13, 45));
+      expect(reconciliationService.parseDate(45322).toISOString()).toBe('2024-01-31T00:00:00.000Z');
+      expect(reconciliationService.parseDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('parseSettlementFile', () => {
+    it('should find the header below title rows of a CSV export and skip the totals row', async () => {
+      const csv = [
+        'Laporan Penghasilan;;',
+        'Periode: 01/01/2024 - 31/01/2024;;',
+        '',
+        'No. Pesanan;Tanggal Dana Dilepaskan;Total Penghasilan',
+        '240101ABC;05/01/2024 10:00;"Rp 95.000"',
+        '240102DEF;06/01/2024;120.500',
+        ';;Total 215.500'
+      ].join('\r\n');
+
+      const result = await reconciliationService.parseSettlementFile({
+        originalname: 'income.csv',
+        buffer: Buffer.from(`\uFEFF${csv}`)
+      });
+
+      expect(result.lines).toEqual([
+        { marketplaceOrderId: '240101ABC', amount: 95000, settledAt: new Date(2024, 0, 5, 10, 0), reference: '' },
+        { marketplaceOrderId: '240102DEF', amount: 120500, settledAt: new Date(2024, 0, 6), reference: '' }
+      ]);
+      expect(result.skipped).toBe(1);
+    });
+
+    it('should read XLSX exports with one line per transaction', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Transactions');
+      sheet.addRow(['Transaction Date', 'Transaction Number', 'Order No.', 'Fee Name', 'Amount']);
+      sheet.addRow([new Date('2024-01-05T00:00:00Z'), 'T-1', 'LZ-1', 'Item Price Credit', 100000]);
+      sheet.addRow([new Date('2024-01-05T00:00:00Z'), 'T-2', 'LZ-1', 'Commission', { formula: '-5000', result: -5000 }]);
+
+      const result = await reconciliationService.parseSettlementFile({
+        originalname: 'transactions.XLSX',
+        buffer: await workbook.xlsx.writeBuffer()
+      });
+
+      expect(result.lines).toEqual([
+        expect.objectContaining({ marketplaceOrderId: 'LZ-1', amount: 100000, reference: 'T-1' }),
+        expect.objectContaining({ marketplaceOrderId: 'LZ-1', amount: -5000, reference: 'T-2' })
+      ]);
+    });
+
+    it('should use the column mapping for unknown headers', async () => {
+      const file = { originalname: 'payout.csv', buffer: Buffer.from('Pesanan,Dibayar\nA-1,5000\n') };
+
+      await expect(reconciliationService.parseSettlementFile(file)).rejects.toMatchObject({ code: 'INVALID_FILE' });
+
+      const result = await reconciliationService.parseSettlementFile(file, { marketplaceOrderId: 'Pesanan', amount: 'Dibayar' });
+      expect(result.lines).toEqual([expect.objectContaining({ marketplaceOrderId: 'A-1', amount: 5000 })]);
+    });
+
+    it('should reject other file types', async () => {
+      await expect(reconciliationService.parseSettlementFile({ originalname: 'payout.pdf', buffer: Buffer.from('') }))
+        .rejects.toMatchObject({ code: 'INVALID_FILE' });
+    });
+  });
+
+  describe('saveSettlementLines', () => {
+    it('should merge repeated lines and match them to orders of the account', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1', marketplaceOrderId: 'A-1' }]);
+
+      const result = await reconciliationService.saveSettlementLines(account, 'user-1', [
+        { marketplaceOrderId: 'A-1', amount: 100000, settledAt: new Date('2024-01-05') },
+        { marketplaceOrderId: 'A-1', amount: -5000, settledAt: new Date('2024-01-06') },
+        { marketplaceOrderId: 'B-9', amount: 7000, reference: 'T-9' }
+      ], { source: 'FILE', fileName: 'payout.csv' });
+
+      expect(result).toMatchObject({ lines: 2, matched: 1, unknown: 1 });
+      expect(prisma.settlementImport.create.mock.calls[0][0].data).toMatchObject({
+        source: 'FILE',
+        periodStart: new Date('2024-01-06'),
+        periodEnd: new Date('2024-01-06')
+      });
+      expect(prisma.settlementLine.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ importId: 'import-1', orderId: 'order-1', marketplaceOrderId: 'A-1', reference: '', amount: 95000 })
+      });
+      expect(prisma.settlementLine.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ orderId: null, marketplaceOrderId: 'B-9', reference: 'T-9' })
+      });
+    });
+
+    it('should overwrite referenced lines imported before and keep lines without reference per import', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1', marketplaceOrderId: 'A-1' }]);
+      prisma.settlementLine.findMany.mockResolvedValue([{ id: 'line-1', marketplaceOrderId: 'A-1', reference: 'T-1' }]);
+
+      await reconciliationService.saveSettlementLines(account, 'user-1', [
+        { marketplaceOrderId: 'A-1', amount: 100000, reference: 'T-1' },
+        { marketplaceOrderId: 'A-1', amount: -2500 }
+      ], { source: 'FILE' });
+
+      expect(prisma.settlementLine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { marketplaceAccountId: account.id, marketplaceOrderId: { in: ['A-1'] }, reference: { in: ['T-1'] } }
+      }));
+      expect(prisma.settlementLine.update).toHaveBeenCalledWith({
+        where: { id: 'line-1' },
+        data: expect.objectContaining({ importId: 'import-1', amount: 100000 })
+      });
+      expect(prisma.settlementLine.create).toHaveBeenCalledTimes(1);
+      expect(prisma.settlementLine.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ importId: 'import-1', marketplaceOrderId: 'A-1', reference: '', amount: -2500 })
+      });
+    });
+
+    it('should replace an earlier import when the same export is uploaded again', async () => {
+      const lines = [
+        { marketplaceOrderId: 'A-1', amount: 95000, settledAt: new Date('2024-01-05') },
+        { marketplaceOrderId: 'A-2', amount: 40000, settledAt: new Date('2024-01-06') }
+      ];
+      prisma.order.findMany.mockResolvedValue([]);
+
+      const first = await reconciliationService.saveSettlementLines(account, 'user-1', lines, { source: 'FILE' });
+      expect(first.replaced).toBe(0);
+      expect(prisma.settlementImport.deleteMany).not.toHaveBeenCalled();
+
+      // Stored amounts come back as decimals
+      const stored = prisma.settlementLine.create.mock.calls.map(([{ data }]) => ({ ...data, amount: data.amount.toFixed(2) }));
+      prisma.settlementImport.findMany.mockResolvedValue([{ id: 'import-1', lines: stored }]);
+      prisma.settlementImport.create.mockResolvedValue({ id: 'import-2' });
+
+      const second = await reconciliationService.saveSettlementLines(account, 'user-1', lines, { source: 'FILE' });
+
+      expect(prisma.settlementImport.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: {
+          marketplaceAccountId: account.id,
+          periodStart: new Date('2024-01-05'),
+          periodEnd: new Date('2024-01-06'),
+          lineCount: 2
+        }
+      }));
+      expect(prisma.settlementImport.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['import-1'] } } });
+      expect(second.replaced).toBe(1);
+    });
+
+    it('should keep an earlier import of the same period with other payouts', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+      prisma.settlementImport.findMany.mockResolvedValue([{
+        id: 'import-1',
+        lines: [{ marketplaceOrderId: 'A-1', amount: '90000.00', settledAt: new Date('2024-01-05') }]
+      }]);
+
+      const result = await reconciliationService.saveSettlementLines(account, 'user-1', [
+        { marketplaceOrderId: 'A-1', amount: 5000, settledAt: new Date('2024-01-05') }
+      ], { source: 'FILE' });
+
+      expect(result.replaced).toBe(0);
+      expect(prisma.settlementImport.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReport', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const order = (id, changes) => ({
+      id,
+      orderNumber: `ORD-${id}`,
+      marketplaceOrderId: `MP-${id}`,
+      marketplaceAccountId: account.id,
+      status: 'DELIVERED',
+      orderDate: daysAgo(20),
+      totalAmount: '110000',
+      shippingCost: '10000',
+      netProceeds: '90000',
+      feeSource: 'ESTIMATED',
+      settlementLines: [],
+      ...changes
+    });
+
+    beforeEach(() => {
+      prisma.userMarketplaceAccount.findMany.mockResolvedValue([account]);
+      prisma.settlementLine.findMany
+        // Lines still without an order before the report
+        .mockResolvedValueOnce([])
+        // Unknown payouts of the period
+        .mockResolvedValueOnce([{ id: 'line-9', marketplaceAccountId: account.id, marketplaceOrderId: 'MP-X', reference: '', amount: '7000', settledAt: daysAgo(3) }]);
+      prisma.order.findMany.mockResolvedValue([
+        order('paid', { settlementLines: [{ amount: '90000.40', settledAt: daysAgo(5) }] }),
+        order('short', { settlementLines: [{ amount: '85000', settledAt: daysAgo(5) }] }),
+        order('unpaid'),
+        order('awaiting', { orderDate: daysAgo(2) }),
+        order('no-fees', { netProceeds: null, feeSource: null, settlementLines: [{ amount: '100000', settledAt: daysAgo(5) }] })
+      ]);
+    });
+
+    it('should flag unpaid and short-paid orders and payouts matching no order', async () => {
+      const report = await reconciliationService.getReport('user-1', { marketplaceAccountId: account.id });
+
+      expect(report.orders.map(item => [item.id, item.payoutStatus])).toEqual([
+        ['short', 'SHORT_PAID'],
+        ['unpaid', 'UNPAID']
+      ]);
+      expect(report.orders[0]).toMatchObject({ expected: 90000, paid: 85000, difference: -5000 });
+      expect(report.unknownPayouts).toEqual([expect.objectContaining({ marketplaceOrderId: 'MP-X', amount: 7000 })]);
+      expect(report.summary).toMatchObject({
+        orders: 5,
+        PAID: 2,
+        SHORT_PAID: 1,
+        UNPAID: 1,
+        AWAITING: 1,
+        expected: 460000,
+        paid: 275000.4,
+        unknownPayouts: 1,
+        unknownAmount: 7000
+      });
+      expect(report.accounts[0]).toMatchObject({ id: account.id, storeName: 'Toko Sandbox', orders: 5 });
+    });
+  });
+
+  describe('with the sandbox marketplace', () => {
+    let simulator;
+
+    beforeEach(() => {
+      resetSimulators();
+      simulator = getSimulator('acc-sandbox');
+    });
+
+    it('should import the payouts of completed orders', async () => {
+      const completed = simulator.orders.filter(item => item.status === 'COMPLETED');
+      prisma.order.findMany.mockResolvedValue([{ id: 'order-1', marketplaceOrderId: completed[0].id }]);
+
+      const result = await reconciliationService.importFromMarketplace(account, 'user-1');
+
+      expect(result).toMatchObject({ lines: completed.length, matched: 1, unknown: completed.length - 1 });
+      const finance = await new SandboxIntegration({ accountId: account.id }).getOrderFinance(completed[0].id);
+      expect(prisma.settlementLine.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ orderId: 'order-1', amount: finance.netProceeds })
+      });
+    });
+
+    it('should refuse marketplaces that do not report settlements', async () => {
+      const unknownAccount = { id: 'acc-unknown', marketplace: { code: 'UNKNOWN', name: 'Unknown' } };
+
+      await expect(reconciliationService.importFromMarketplace(unknownAccount, 'user-1'))
+        .rejects.toMatchObject({ code: 'NOT_SUPPORTED' });
+    });
+  });
+});
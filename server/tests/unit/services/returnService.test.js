@@ -0,0 +1,334 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    order: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn()
+    },
+    returnRequest: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn()
+    },
+    userMarketplaceAccount: {
+      findMany: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/jobs/queueManager', () => ({
+  addInventoryJob: jest.fn()
+}));
+
+jest.mock('../../../src/utils/socket', () => ({
+  emitToUser: jest.fn()
+}));
+
+const { prisma, transaction } = require('../../../src/utils/database');
+const { addInventoryJob } = require('../../../src/jobs/queueManager');
+const { emitToUser } = require('../../../src/utils/socket');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const returnService = require('../../../src/services/returnService');
+
+describe('ReturnService', () => {
+  const account = { id: 'acc-sandbox', userId: 'user-1', marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+
+  let simulator;
+  let orders;
+  let requests;
+  let tx;
+
+  // Local copy of a simulator order, as order sync would have imported it
+  const importOrder = (simulatorOrder) => ({
+    id: `order-${simulatorOrder.id}`,
+    userId: 'user-1',
+    orderNumber: simulatorOrder.order_number,
+    marketplaceOrderId: simulatorOrder.id,
+    marketplaceAccountId: account.id,
+    status: SandboxIntegration.prototype.mapOrderStatus(simulatorOrder.status),
+    cancelReason: null,
+    orderItems: simulatorOrder.items.map(item => ({
+      productId: `prod-${item.sku}`,
+      variantId: null,
+      sku: item.sku,
+      quantity: item.quantity
+    })),
+    marketplaceAccount: account
+  });
+
+  const seededRequest = (type) => simulator.returns.find(request => request.type === type);
+
+  const movements = () => tx.stockMovement.create.mock.calls.map(([{ data }]) => data);
+
+  beforeAll(() => {
+    MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+  });
+
+  beforeEach(() => {
+    resetSimulators();
+    simulator = getSimulator('acc-sandbox');
+    orders = new Map(simulator.orders.map(order => [`order-${order.id}`, importOrder(order)]));
+    requests = new Map();
+
+    prisma.order.findUnique.mockImplementation(({ where }) => Promise.resolve(orders.get(where.id) || null));
+    prisma.order.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      [...orders.values()].find(order => order.marketplaceOrderId === where.marketplaceOrderId) || null
+    ));
+
+    prisma.returnRequest.findUnique.mockImplementation(({ where, include }) => {
+      const request = where.id
+        ? requests.get(where.id)
+        : [...requests.values()].find(item =>
+          item.orderId === where.orderId_marketplaceRequestId.orderId &&
+          item.marketplaceRequestId === where.orderId_marketplaceRequestId.marketplaceRequestId);
+
+      if (!request) {
+        return Promise.resolve(null);
+      }
+      return Promise.resolve(include ? { ...request, order: orders.get(request.orderId) } : request);
+    });
+    prisma.returnRequest.upsert.mockImplementation(async ({ where, create, update }) => {
+      const existing = await prisma.returnRequest.findUnique({ where });
+      const request = existing
+        ? { ...existing, ...update }
+        : { id: `request-${requests.size + 1}`, restockedAt: null, ...create };
+      requests.set(request.id, request);
+      return request;
+    });
+    prisma.returnRequest.update.mockImplementation(({ where, data }) => {
+      const request = { ...requests.get(where.id), ...data };
+      requests.set(request.id, request);
+      return Promise.resolve(request);
+    });
+    prisma.userMarketplaceAccount.findMany.mockResolvedValue([account]);
+
+    tx = {
+      order: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(orders.get(where.id) || null)),
+        update: jest.fn(({ where, data }) => {
+          Object.assign(orders.get(where.id), data);
+          return Promise.resolve(orders.get(where.id));
+        })
+      },
+      inventory: {
+        findFirst: jest.fn(({ where }) => Promise.resolve({ id: `inv-${where.productId}`, stockQuantity: 10, availableQuantity: 8 })),
+        update: jest.fn()
+      },
+      stockMovement: {
+        create: jest.fn()
+      },
+      orderStatusHistory: {
+        findFirst: jest.fn(),
+        create: jest.fn()
+      },
+      shipment: {
+        updateMany: jest.fn()
+      },
+      returnRequest: {
+        update: jest.fn(params => prisma.returnRequest.update(params)),
+        updateMany: jest.fn(({ where, data }) => {
+          const matched = [...requests.values()].filter(request =>
+            Object.entries(where).every(([field, value]) => request[field] === value));
+          matched.forEach(request => requests.set(request.id, { ...request, ...data }));
+          return Promise.resolve({ count: matched.length });
+        })
+      }
+    };
+    transaction.mockImplementation(callback => callback(tx));
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel on the marketplace with its reason code and restock every item', async () => {
+      const simulatorOrder = simulator.orders.filter(order => order.status === 'READY_TO_SHIP')[1];
+      const orderId = `order-${simulatorOrder.id}`;
+
+      const result = await returnService.cancelOrder(orderId, 'OUT_OF_STOCK');
+
+      expect(result).toEqual({ status: 'CANCELLED', cancelReason: 'Stok habis', restocked: simulatorOrder.items.length });
+      expect(simulatorOrder).toMatchObject({ status: 'CANCELLED', cancel_reason: 'Stok habis' });
+      expect(orders.get(orderId)).toMatchObject({ status: 'CANCELLED', cancelReason: 'Stok habis' });
+      expect(tx.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ status: 'CANCELLED', previousStatus: 'CONFIRMED', source: 'USER' })
+      });
+
+      expect(movements()).toEqual(simulatorOrder.items.map(item => expect.objectContaining({
+        productId: `prod-${item.sku}`,
+        orderId,
+        movementType: 'IN',
+        quantity: item.quantity,
+        stockBefore: 10,
+        stockAfter: 10 + item.quantity
+      })));
+      expect(addInventoryJob).toHaveBeenCalledWith('update-stock', expect.objectContaining({
+        productId: `prod-${simulatorOrder.items[0].sku}`,
+        newStock: 10 + simulatorOrder.items[0].quantity
+      }));
+    });
+
+    it('should skip items that never matched one of our products', async () => {
+      const simulatorOrder = simulator.orders.filter(order => order.status === 'READY_TO_SHIP')[1];
+      const orderId = `order-${simulatorOrder.id}`;
+      orders.get(orderId).orderItems[0].productId = null;
+
+      const result = await returnService.cancelOrder(orderId, 'OUT_OF_STOCK');
+
+      expect(result.restocked).toBe(simulatorOrder.items.length - 1);
+      expect(tx.inventory.findFirst).not.toHaveBeenCalledWith({ where: expect.objectContaining({ productId: null }) });
+      expect(movements().map(movement => movement.productId)).not.toContain(null);
+    });
+
+    it('should reject reasons the marketplace does not know', async () => {
+      const simulatorOrder = simulator.orders.find(order => order.status === 'READY_TO_SHIP');
+
+      await expect(returnService.cancelOrder(`order-${simulatorOrder.id}`, 'CHANGED_MIND'))
+        .rejects.toMatchObject({ code: 'INVALID_REASON' });
+      expect(simulatorOrder.status).toBe('READY_TO_SHIP');
+    });
+
+    it('should refuse orders that already left the warehouse', async () => {
+      const simulatorOrder = simulator.orders.find(order => order.status === 'SHIPPED');
+
+      await expect(returnService.cancelOrder(`order-${simulatorOrder.id}`, 'OUT_OF_STOCK'))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('return requests', () => {
+    it('should store new requests and announce them once', async () => {
+      const first = await returnService.syncAccountRequests(account);
+      const second = await returnService.syncAccountRequests(account);
+
+      expect(first).toEqual({ synced: 2, created: 2 });
+      expect(second).toEqual({ synced: 2, created: 0 });
+      expect([...requests.values()].map(request => request.type).sort()).toEqual(['CANCELLATION', 'RETURN']);
+      expect(emitToUser).toHaveBeenCalledTimes(2);
+      expect(emitToUser).toHaveBeenCalledWith('user-1', 'order-update', expect.objectContaining({
+        type: 'return-request',
+        requestType: 'RETURN',
+        status: 'REQUESTED'
+      }));
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the order and restock it when a buyer cancellation is accepted', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'CANCELLATION');
+      const order = orders.get(request.orderId);
+
+      const updated = await returnService.respondToRequest(request.id, 'accept');
+
+      expect(seededRequest('CANCELLATION').status).toBe('ACCEPTED');
+      expect(simulator.orders.find(item => item.id === order.marketplaceOrderId).status).toBe('CANCELLED');
+      expect(updated).toMatchObject({ status: 'ACCEPTED', restockedAt: expect.any(Date) });
+      expect(order.status).toBe('CANCELLED');
+      expect(movements()).toHaveLength(order.orderItems.length);
+    });
+
+    it('should restock only the returned items once the parcel is received', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'RETURN');
+      const returned = seededRequest('RETURN').items[0];
+
+      const accepted = await returnService.respondToRequest(request.id, 'accept');
+      expect(accepted).toMatchObject({ status: 'ACCEPTED', restockedAt: null });
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+
+      simulator.advanceReturns();
+      await returnService.syncAccountRequests(account);
+
+      expect(requests.get(request.id)).toMatchObject({ status: 'RECEIVED', restockedAt: expect.any(Date) });
+      expect(movements()).toEqual([expect.objectContaining({
+        productId: `prod-${returned.sku}`,
+        movementType: 'IN',
+        quantity: returned.quantity
+      })]);
+
+      // Refunding later changes the order but must not restock twice
+      simulator.advanceReturns();
+      await returnService.syncAccountRequests(account);
+
+      expect(requests.get(request.id).status).toBe('REFUNDED');
+      expect(orders.get(request.orderId).status).toBe('REFUNDED');
+      expect(movements()).toHaveLength(1);
+    });
+
+    it('should let a return be marked received by hand', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'RETURN');
+      await returnService.respondToRequest(request.id, 'accept');
+
+      const received = await returnService.markReturnReceived(request.id);
+
+      expect(received).toMatchObject({ status: 'RECEIVED', restockedAt: expect.any(Date) });
+      expect(movements()).toHaveLength(1);
+      await expect(returnService.markReturnReceived(request.id)).rejects.toMatchObject({ code: 'INVALID_STATUS' });
+    });
+
+    it('should restock a request only once when a sync and a seller action apply it together', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'RETURN');
+      await returnService.respondToRequest(request.id, 'accept');
+      const stale = { ...requests.get(request.id), status: 'RECEIVED' };
+
+      await returnService.markReturnReceived(request.id);
+      await returnService.applyRequestStatus(stale, orders.get(request.orderId));
+
+      expect(movements()).toHaveLength(1);
+    });
+
+    it('should not return units that were cancelled one by one', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'RETURN');
+      const returned = seededRequest('RETURN').items[0];
+      const orderItem = orders.get(request.orderId).orderItems.find(item => item.sku === returned.sku);
+      Object.assign(orderItem, { quantity: 3, cancelledQuantity: 2 });
+
+      const items = returnService.getRequestItems({ ...request, items: [{ sku: returned.sku, quantity: 3 }] }, orders.get(request.orderId));
+
+      expect(items.find(item => item.sku === returned.sku).quantity).toBe(1);
+    });
+
+    it('should only dispute returns and only answer open requests', async () => {
+      await returnService.syncAccountRequests(account);
+      const cancellation = [...requests.values()].find(item => item.type === 'CANCELLATION');
+      const returnRequest = [...requests.values()].find(item => item.type === 'RETURN');
+
+      await expect(returnService.respondToRequest(cancellation.id, 'dispute', { reason: 'Sudah dikemas' }))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+
+      const disputed = await returnService.respondToRequest(returnRequest.id, 'dispute', { reason: 'Barang tidak sesuai' });
+      expect(disputed.status).toBe('DISPUTED');
+      expect(seededRequest('RETURN')).toMatchObject({ status: 'DISPUTED', dispute_reason: 'Barang tidak sesuai' });
+
+      await expect(returnService.respondToRequest(returnRequest.id, 'reject'))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+    });
+
+    it('should pass on the marketplace refusing an answer', async () => {
+      await returnService.syncAccountRequests(account);
+      const request = [...requests.values()].find(item => item.type === 'CANCELLATION');
+      simulator.orders.find(order => order.id === orders.get(request.orderId).marketplaceOrderId).status = 'SHIPPED';
+
+      await expect(returnService.respondToRequest(request.id, 'accept'))
+        .rejects.toMatchObject({ code: 'MARKETPLACE_REJECTED', message: expect.stringContaining('Cannot cancel') });
+      expect(requests.get(request.id).status).toBe('REQUESTED');
+    });
+
+    it('should skip accounts whose marketplace has no return requests', async () => {
+      prisma.userMarketplaceAccount.findMany.mockResolvedValue([
+        { id: 'acc-shopify', marketplace: { code: 'SHOPIFY', name: 'Shopify' } },
+        account
+      ]);
+
+      const result = await returnService.syncAllReturnRequests('user-1');
+
+      expect(result).toEqual({ accounts: 1, synced: 2, created: 2, failed: 0 });
+      expect(prisma.userMarketplaceAccount.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { isConnected: true, userId: 'user-1' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    order: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    shipment: {
+      create: jest.fn()
+    },
+    orderStatusHistory: {
+      create: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+const { prisma, transaction } = require('../../../src/utils/database');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const shipmentService = require('../../../src/services/shipmentService');
+
+describe('ShipmentService', () => {
+  const parameters = {
+    pickup: {
+      addresses: [
+        {
+          id: 'addr-1',
+          address: 'Gudang',
+          timeSlots: [
+            { id: 'slot-late', date: '2026-03-03T09:00:00.000Z' },
+            { id: 'slot-early', date: '2026-03-02T09:00:00.000Z' }
+          ]
+        }
+      ]
+    },
+    dropoff: {
+      branches: [
+        { id: 'br-1', name: 'Agen 1' },
+        { id: 'br-2', name: 'Agen 2' }
+      ]
+    }
+  };
+
+  describe('resolveShipmentOptions', () => {
+    it('should default to the first address and its earliest pickup slot', () => {
+      expect(shipmentService.resolveShipmentOptions(parameters, { method: 'pickup' })).toEqual({
+        method: 'pickup',
+        addressId: 'addr-1',
+        pickupTimeId: 'slot-early'
+      });
+    });
+
+    it('should keep an explicit drop-off branch', () => {
+      expect(shipmentService.resolveShipmentOptions(parameters, { method: 'dropoff', branchId: 'br-2' }))
+        .toEqual({ method: 'dropoff', branchId: 'br-2' });
+    });
+
+    it('should reject methods the marketplace does not offer', () => {
+      expect(() => shipmentService.resolveShipmentOptions({ ...parameters, dropoff: null }, { method: 'dropoff' }))
+        .toThrow('Drop-off is not available for this order');
+    });
+  });
+
+  describe('with the sandbox marketplace', () => {
+    const account = { id: 'acc-sandbox', marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+    let readyOrders;
+    let orders;
+
+    beforeAll(() => {
+      MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+    });
+
+    beforeEach(() => {
+      resetSimulators();
+      readyOrders = getSimulator('acc-sandbox').orders.filter(order => order.status === 'READY_TO_SHIP').slice(0, 2);
+
+      orders = [
+        ...readyOrders.map((order, index) => ({
+          id: `order-${index + 1}`,
+          orderNumber: order.order_number,
+          marketplaceOrderId: order.id,
+          status: 'CONFIRMED',
+          trackingNumber: null,
+          shipmentArrangedAt: null,
+          orderItems: order.items.map((item, itemIndex) => ({ id: `item-${index + 1}-${itemIndex}`, quantity: item.quantity, cancelledQuantity: 0 })),
+          shipments: [],
+          marketplaceAccount: account
+        })),
+        {
+          id: 'order-shipped',
+          orderNumber: 'SHIPPED-1',
+          marketplaceOrderId: 'x',
+          status: 'SHIPPED',
+          trackingNumber: null,
+          shipmentArrangedAt: null,
+          marketplaceAccount: account
+        }
+      ];
+
+      prisma.order.findMany.mockImplementation(() => Promise.resolve(orders));
+      prisma.order.findUnique.mockImplementation(({ where }) => Promise.resolve(orders.find(item => item.id === where.id) || null));
+      prisma.order.update.mockImplementation(({ where, data }) => {
+        const order = orders.find(item => item.id === where.id);
+        Object.assign(order, data);
+        return Promise.resolve(order);
+      });
+      prisma.shipment.create.mockImplementation(({ data }) => {
+        const shipment = { id: `shipment-${data.orderId}`, ...data, items: data.items.create };
+        orders.find(item => item.id === data.orderId).shipments.push(shipment);
+        return Promise.resolve(shipment);
+      });
+      transaction.mockImplementation(callback => callback(prisma));
+    });
+
+    it('should arrange pickup and store tracking numbers per order', async () => {
+      const result = await shipmentService.arrangeShipments('user-1', ['order-1', 'order-2', 'order-shipped', 'order-404'], { method: 'pickup' });
+
+      expect(result).toMatchObject({ successCount: 2, failureCount: 2 });
+      expect(result.results.map(item => item.error)).toEqual([
+        undefined,
+        undefined,
+        'Order is SHIPPED and cannot be shipped',
+        'Order not found'
+      ]);
+
+      expect(orders[0]).toMatchObject({
+        status: 'PROCESSING',
+        trackingNumber: expect.stringMatching(/^SBXTRK/),
+        shippingCarrier: 'Sandbox Express',
+        shipmentArrangedAt: expect.any(Date)
+      });
+      expect(orders[0].shipments).toEqual([expect.objectContaining({
+        status: 'PENDING',
+        trackingNumber: orders[0].trackingNumber,
+        items: orders[0].orderItems.map(item => ({ orderItemId: item.id, quantity: item.quantity }))
+      })]);
+      expect(readyOrders[0].status).toBe('PROCESSED');
+      expect(readyOrders[0].shipment).toMatchObject({ method: 'pickup', address_id: 'SBX-ADDR-1' });
+    });
+
+    it('should not arrange an order twice', async () => {
+      await shipmentService.arrangeShipments('user-1', ['order-1'], { method: 'dropoff' });
+      const result = await shipmentService.arrangeShipments('user-1', ['order-1'], { method: 'dropoff' });
+
+      expect(result.results[0]).toMatchObject({ success: true, action: 'skipped', trackingNumber: orders[0].trackingNumber });
+    });
+
+    it('should merge the labels of arranged orders and report the others', async () => {
+      await shipmentService.arrangeShipments('user-1', ['order-1'], { method: 'pickup' });
+      const mergePdfs = jest.spyOn(shipmentService, 'mergePdfs').mockResolvedValue(Buffer.from('%PDF-merged'));
+
+      const result = await shipmentService.getLabels('user-1', ['order-1', 'order-2']);
+
+      expect(result).toMatchObject({
+        pdf: Buffer.from('%PDF-merged'),
+        included: ['order-1'],
+        failed: [{ orderId: 'order-2', error: 'Shipment has not been arranged' }]
+      });
+
+      const [labels] = mergePdfs.mock.calls[0];
+      expect(labels).toHaveLength(1);
+      expect(labels[0].toString()).toContain(`AWB: ${orders[0].trackingNumber}`);
+
+      mergePdfs.mockRestore();
+    });
+  });
+});
@@ -421,6 +421,43 @@ describe('StockSyncService', () => {
 
       expect(updatedProduct.syncStatus).toBe('FAILED');
     });
+
+    it('should address variant listings by the marketplace variant ID', async () => {
+      const variant = await prisma.productVariant.create({
+        data: {
+          productId: testProduct.id,
+          variantName: 'Merah',
+          sku: `${testProduct.sku}-MERAH`,
+          price: 10000
+        }
+      });
+      const variantListing = await prisma.marketplaceProduct.create({
+        data: {
+          productId: testProduct.id,
+          variantId: variant.id,
+          marketplaceAccountId: testMarketplaceAccount.id,
+          marketplaceProductId: 'SHOPEE-PROD-123',
+          marketplaceVariantId: 'SHOPEE-MODEL-9',
+          syncStatus: 'SUCCESS'
+        }
+      });
+
+      mockShopeeAPI.updateStock.mockResolvedValue({ success: true });
+      const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+      jest.spyOn(MarketplaceFactory, 'createFromAccount').mockReturnValue({
+        updateStock: mockShopeeAPI.updateStock
+      });
+
+      const result = await stockSyncService.syncToMarketplace(
+        testMarketplaceAccount,
+        variantListing,
+        5,
+        'Test sync'
+      );
+
+      expect(result.success).toBe(true);
+      expect(mockShopeeAPI.updateStock).toHaveBeenCalledWith('SHOPEE-PROD-123', 5, 'SHOPEE-MODEL-9');
+    });
   });
 
   describe('triggerManualSync', () => {
@@ -0,0 +1,97 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    userMarketplaceAccount: {
+      findMany: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../src/integrations/MarketplaceFactory', () => ({
+  createFromAccount: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const tokenRefreshService = require('../../../src/services/tokenRefreshService');
+
+describe('TokenRefreshService', () => {
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  const account = (id, accessTokenExpiresAt) => ({
+    id,
+    isConnected: true,
+    marketplace: { code: 'SHOPEE' },
+    credentials: { accessToken: `token-${id}`, refreshToken: `refresh-${id}`, accessTokenExpiresAt }
+  });
+
+  let integrations;
+
+  beforeEach(() => {
+    integrations = {};
+    MarketplaceFactory.createFromAccount.mockImplementation(({ id }) => {
+      integrations[id] = {
+        canRefreshToken: jest.fn().mockReturnValue(id !== 'acc-static'),
+        refreshAccessToken: jest.fn().mockResolvedValue({})
+      };
+      return integrations[id];
+    });
+  });
+
+  describe('isExpiring', () => {
+    it('should flag tokens expiring within the refresh window', () => {
+      expect(tokenRefreshService.isExpiring(account('acc-1', inMinutes(10)))).toBe(true);
+      expect(tokenRefreshService.isExpiring(account('acc-1', inMinutes(120)))).toBe(false);
+      expect(tokenRefreshService.isExpiring(account('acc-1', undefined))).toBe(false);
+    });
+  });
+
+  describe('refreshExpiringTokens', () => {
+    it('should refresh connected accounts whose tokens expire soon', async () => {
+      prisma.userMarketplaceAccount.findMany.mockResolvedValue([
+        account('acc-expiring', inMinutes(10)),
+        account('acc-valid', inMinutes(120)),
+        account('acc-static', inMinutes(-5))
+      ]);
+
+      const result = await tokenRefreshService.refreshExpiringTokens();
+
+      expect(prisma.userMarketplaceAccount.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { isConnected: true }
+      }));
+      expect(result).toEqual({ refreshed: 1, failed: 0 });
+      expect(integrations['acc-expiring'].refreshAccessToken).toHaveBeenCalledTimes(1);
+      expect(integrations['acc-valid']).toBeUndefined();
+      expect(integrations['acc-static'].refreshAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should count failed refreshes and carry on with the other accounts', async () => {
+      prisma.userMarketplaceAccount.findMany.mockResolvedValue([
+        account('acc-revoked', inMinutes(1)),
+        account('acc-expiring', inMinutes(1))
+      ]);
+      MarketplaceFactory.createFromAccount.mockImplementationOnce(() => ({
+        canRefreshToken: () => true,
+        refreshAccessToken: jest.fn().mockRejectedValue(new Error('invalid_grant'))
+      }));
+
+      const result = await tokenRefreshService.refreshExpiringTokens();
+
+      expect(result).toEqual({ refreshed: 1, failed: 1 });
+    });
+
+    it('should skip a run while the previous one is in progress', async () => {
+      let finishQuery;
+      prisma.userMarketplaceAccount.findMany.mockReturnValue(new Promise(resolve => {
+        finishQuery = resolve;
+      }));
+
+      const first = tokenRefreshService.refreshExpiringTokens();
+      const second = await tokenRefreshService.refreshExpiringTokens();
+      finishQuery([]);
+      await first;
+
+      expect(second).toEqual({ refreshed: 0, failed: 0 });
+      expect(prisma.userMarketplaceAccount.findMany).toHaveBeenCalledTimes(1);
+    });
+  });
+});
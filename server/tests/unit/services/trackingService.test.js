@@ -0,0 +1,147 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    order: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    trackingEvent: {
+      createMany: jest.fn()
+    }
+  },
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/utils/socket', () => ({
+  emitToUser: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const { emitToUser } = require('../../../src/utils/socket');
+const MarketplaceFactory = require('../../../src/integrations/MarketplaceFactory');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { getSimulator, resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const trackingService = require('../../../src/services/trackingService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TrackingService', () => {
+  const account = { id: 'acc-sandbox', marketplace: { code: 'SANDBOX', name: 'Sandbox' } };
+
+  beforeAll(() => {
+    MarketplaceFactory.register('SANDBOX', SandboxIntegration);
+  });
+
+  describe('isStuck', () => {
+    const now = Date.now();
+
+    it('should flag shipments without a checkpoint for more than three days', () => {
+      const order = { status: 'SHIPPED' };
+
+      expect(trackingService.isStuck(order, new Date(now - 4 * DAY), now)).toBe(true);
+      expect(trackingService.isStuck(order, new Date(now - 2 * DAY), now)).toBe(false);
+    });
+
+    it('should count from arranging when the courier has not reported yet', () => {
+      expect(trackingService.isStuck({ status: 'PROCESSING', shipmentArrangedAt: new Date(now - 5 * DAY) }, null, now)).toBe(true);
+      expect(trackingService.isStuck({ status: 'PROCESSING', shipmentArrangedAt: null }, null, now)).toBe(false);
+    });
+
+    it('should never flag delivered orders', () => {
+      expect(trackingService.isStuck({ status: 'DELIVERED' }, new Date(now - 30 * DAY), now)).toBe(false);
+    });
+  });
+
+  describe('with the sandbox marketplace', () => {
+    let simulatorOrder;
+    let order;
+
+    beforeEach(() => {
+      resetSimulators();
+      simulatorOrder = getSimulator('acc-sandbox').orders.find(item => item.status === 'SHIPPED');
+
+      order = {
+        id: 'order-1',
+        userId: 'user-1',
+        orderNumber: simulatorOrder.order_number,
+        marketplaceOrderId: simulatorOrder.id,
+        marketplaceAccountId: account.id,
+        status: 'SHIPPED',
+        trackingNumber: simulatorOrder.tracking_number,
+        shipmentArrangedAt: null,
+        lastCheckpointAt: null,
+        shipmentStuck: false,
+        marketplaceAccount: account
+      };
+
+      prisma.trackingEvent.createMany.mockImplementation(({ data }) => Promise.resolve({ count: data.length }));
+      prisma.order.update.mockImplementation(({ data }) => Promise.resolve({ ...order, ...data }));
+      prisma.order.findMany.mockResolvedValue([order]);
+    });
+
+    it('should store courier checkpoints and keep recent shipments unflagged', async () => {
+      simulatorOrder.tracking_events[simulatorOrder.tracking_events.length - 1].time = new Date(Date.now() - DAY).toISOString();
+      const integration = new SandboxIntegration({ accountId: 'acc-sandbox' });
+
+      const result = await trackingService.refreshOrder(order, integration);
+
+      expect(result).toMatchObject({ newEvents: 2, shipmentStuck: false });
+      const { data, skipDuplicates } = prisma.trackingEvent.createMany.mock.calls[0][0];
+      expect(skipDuplicates).toBe(true);
+      expect(data.map(event => event.status)).toEqual(['AWAITING_PICKUP', 'IN_TRANSIT']);
+      expect(data[1]).toMatchObject({ orderId: 'order-1', location: 'Jakarta Barat', occurredAt: expect.any(Date) });
+
+      expect(prisma.order.update).toHaveBeenCalledWith({
+        where: { id: 'order-1' },
+        data: expect.objectContaining({
+          lastCheckpointAt: data[1].occurredAt,
+          trackingCheckedAt: expect.any(Date),
+          shipmentStuck: false,
+          trackingNumber: simulatorOrder.tracking_number,
+          shippingCarrier: 'Sandbox Express'
+        })
+      });
+      expect(emitToUser).not.toHaveBeenCalled();
+    });
+
+    it('should flag and announce a shipment once it stops moving', async () => {
+      simulatorOrder.tracking_events.forEach((event, index) => {
+        event.time = new Date(Date.now() - (10 - index) * DAY).toISOString();
+      });
+
+      const result = await trackingService.refreshTrackedOrders();
+
+      expect(result).toEqual({ checked: 1, stuck: 1, failed: 0 });
+      expect(emitToUser).toHaveBeenCalledWith('user-1', 'order-update', expect.objectContaining({
+        type: 'shipment-stuck',
+        orderId: 'order-1'
+      }));
+    });
+
+    it('should move orders of marketplaces without tracking to the back of the queue', async () => {
+      prisma.order.findMany.mockResolvedValue([
+        { ...order, marketplaceAccountId: 'acc-shopify', marketplaceAccount: { id: 'acc-shopify', marketplace: { code: 'SHOPIFY', name: 'Shopify' } } }
+      ]);
+
+      const result = await trackingService.refreshTrackedOrders();
+
+      expect(result).toEqual({ checked: 0, stuck: 0, failed: 0 });
+      expect(prisma.order.update).toHaveBeenCalledWith({
+        where: { id: 'order-1' },
+        data: { trackingCheckedAt: expect.any(Date) }
+      });
+    });
+
+    it('should leave the rest of an account for the next run once its circuit opens', async () => {
+      prisma.order.findMany.mockResolvedValue([order, { ...order, id: 'order-2' }]);
+      const getTrackingInfo = jest.spyOn(SandboxIntegration.prototype, 'getTrackingInfo')
+        .mockRejectedValue(Object.assign(new Error('Circuit open'), { code: 'CIRCUIT_OPEN' }));
+
+      const result = await trackingService.refreshTrackedOrders();
+
+      expect(result).toEqual({ checked: 0, stuck: 0, failed: 0 });
+      expect(getTrackingInfo).toHaveBeenCalledTimes(1);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    marketplaceProduct: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const ShopeeIntegration = require('../../../src/integrations/ShopeeIntegration');
+const LazadaIntegration = require('../../../src/integrations/LazadaIntegration');
+const TokopediaIntegration = require('../../../src/integrations/TokopediaIntegration');
+const SandboxIntegration = require('../../../src/integrations/SandboxIntegration');
+const { resetSimulators } = require('../../../src/integrations/SandboxSimulator');
+const variantMappingService = require('../../../src/services/variantMappingService');
+
+describe('VariantMappingService', () => {
+  const product = {
+    id: 'prod-1',
+    sku: 'KAOS',
+    name: 'Kaos Polos',
+    price: 75000,
+    variants: [
+      { id: 'var-1', sku: 'KAOS-MERAH-S', variantName: 'Merah S', price: 75000, attributes: { Warna: 'Merah', Ukuran: 'S' } },
+      { id: 'var-2', sku: 'KAOS-MERAH-M', variantName: 'Merah M', price: 80000, attributes: { Warna: 'Merah', Ukuran: 'M' } },
+      { id: 'var-3', sku: 'KAOS-BIRU-S', variantName: 'Biru S', price: 75000, attributes: { Warna: 'Biru', Ukuran: 'S' } }
+    ],
+    inventory: [
+      { variantId: null, availableQuantity: 0 },
+      { variantId: 'var-1', availableQuantity: 4 },
+      { variantId: 'var-2', availableQuantity: 7 },
+      { variantId: 'var-3', availableQuantity: 0 }
+    ]
+  };
+
+  describe('integration formats', () => {
+    it('should lay variants out as Shopee tiers and models', () => {
+      const shopee = new ShopeeIntegration({});
+
+      expect(shopee.formatVariantsForMarketplace(product)).toEqual({
+        tier_variation: [
+          { name: 'Warna', option_list: [{ option: 'Merah' }, { option: 'Biru' }] },
+          { name: 'Ukuran', option_list: [{ option: 'S' }, { option: 'M' }] }
+        ],
+        model: [
+          { tier_index: [0, 0], model_sku: 'KAOS-MERAH-S', original_price: 75000, normal_stock: 4 },
+          { tier_index: [0, 1], model_sku: 'KAOS-MERAH-M', original_price: 80000, normal_stock: 7 },
+          { tier_index: [1, 0], model_sku: 'KAOS-BIRU-S', original_price: 75000, normal_stock: 0 }
+        ]
+      });
+    });
+
+    it('should read Shopee models back as variants', () => {
+      const shopee = new ShopeeIntegration({});
+      const { tier_variation: tierVariation } = shopee.formatVariantsForMarketplace(product);
+
+      expect(shopee.normalizeVariant({
+        model_id: 9001,
+        model_sku: 'KAOS-BIRU-S',
+        tier_index: [1, 0],
+        price_info: [{ original_price: 75000 }],
+        stock_info_v2: { summary_info: { total_available_stock: 3 } }
+      }, tierVariation)).toEqual({
+        id: '9001',
+        sku: 'KAOS-BIRU-S',
+        variantName: 'Biru / S',
+        price: 75000,
+        stock: 3,
+        attributes: { Warna: 'Biru', Ukuran: 'S' }
+      });
+    });
+
+    it('should send each variant as a Lazada SKU with its sale properties', () => {
+      const lazada = new LazadaIntegration({});
+      const lazadaProduct = lazada.formatProductForMarketplace(product);
+
+      expect(lazadaProduct.variation.Variation2).toEqual({ name: 'Ukuran', hasImage: false, customize: true, options: ['S', 'M'] });
+      expect(lazadaProduct.skus[1]).toMatchObject({
+        SellerSku: 'KAOS-MERAH-M',
+        quantity: 7,
+        price: 80000,
+        saleProp: { Warna: 'Merah', Ukuran: 'M' }
+      });
+      expect(lazada.normalizeVariant({ SkuId: 555, SellerSku: 'KAOS-MERAH-M', price: 80000, quantity: 7, saleProp: { Warna: 'Merah', Ukuran: 'M' } }))
+        .toMatchObject({ id: '555', sku: 'KAOS-MERAH-M', variantName: 'Merah / M' });
+    });
+
+    it('should send Tokopedia variant children with combinations', () => {
+      const tokopedia = new TokopediaIntegration({});
+      const { variant } = tokopedia.formatProductForMarketplace(product);
+
+      expect(variant.selection[0]).toEqual({ name: 'Warna', options: [{ value: 'Merah' }, { value: 'Biru' }] });
+      expect(variant.products[2]).toMatchObject({ sku: 'KAOS-BIRU-S', combination: [1, 0], is_primary: false });
+      expect(tokopedia.normalizeVariant({ product_id: 777, sku: 'KAOS-BIRU-S', combination: [1, 0] }, variant.selection))
+        .toMatchObject({ id: '777', attributes: { Warna: 'Biru', Ukuran: 'S' } });
+    });
+
+    it('should use variant names as the only tier when variants have no attributes', () => {
+      const shopee = new ShopeeIntegration({});
+      const { tiers, combinations } = shopee.getVariantTiers([
+        { sku: 'A-S', variantName: 'S' },
+        { sku: 'A-M', variantName: 'M' }
+      ]);
+
+      expect(tiers).toEqual([{ name: 'Variasi', values: ['S', 'M'] }]);
+      expect(combinations.map(combination => combination.tierIndex)).toEqual([[0], [1]]);
+    });
+  });
+
+  describe('matchVariants', () => {
+    it('should match by SKU first, then by option values', () => {
+      const { matched, unmatched, unknown } = variantMappingService.matchVariants(product.variants, [
+        { id: 'm-3', sku: 'kaos-biru-s', attributes: { Warna: 'Biru', Ukuran: 'S' } },
+        { id: 'm-2', sku: null, attributes: { ukuran: 'm', warna: 'merah' } },
+        { id: 'm-9', sku: 'KAOS-HIJAU-L', attributes: { Warna: 'Hijau', Ukuran: 'L' } }
+      ]);
+
+      expect(matched.map(({ variant, marketplaceVariant }) => [variant.id, marketplaceVariant.id])).toEqual([
+        ['var-2', 'm-2'],
+        ['var-3', 'm-3']
+      ]);
+      expect(unmatched.map(variant => variant.id)).toEqual(['var-1']);
+      expect(unknown.map(variant => variant.id)).toEqual(['m-9']);
+    });
+  });
+
+  describe('linkVariants', () => {
+    beforeEach(() => {
+      resetSimulators();
+    });
+
+    it('should create one listing row per variant with the marketplace variant ID', async () => {
+      const sandbox = new SandboxIntegration({ accountId: 'acc-sandbox' });
+      const { marketplaceProductId } = await sandbox.createProduct(product);
+      const marketplaceVariants = await sandbox.getProductVariants(marketplaceProductId);
+
+      prisma.marketplaceProduct.findFirst.mockImplementation(({ where }) => (
+        Promise.resolve(where.variantId === 'var-1' ? { id: 'mp-existing' } : null)
+      ));
+
+      const result = await variantMappingService.linkVariants(product, 'acc-sandbox', marketplaceProductId, marketplaceVariants);
+
+      expect(result).toEqual({ linked: 3, unmatched: [], unknown: [] });
+      expect(prisma.marketplaceProduct.update).toHaveBeenCalledWith({
+        where: { id: 'mp-existing' },
+        data: expect.objectContaining({
+          marketplaceProductId,
+          marketplaceVariantId: marketplaceVariants[0].id,
+          marketplaceSku: 'KAOS-MERAH-S'
+        })
+      });
+      expect(prisma.marketplaceProduct.create).toHaveBeenCalledTimes(2);
+      expect(prisma.marketplaceProduct.create.mock.calls[0][0].data).toMatchObject({
+        productId: 'prod-1',
+        variantId: 'var-2',
+        marketplaceAccountId: 'acc-sandbox',
+        marketplaceVariantId: marketplaceVariants[1].id,
+        marketplacePrice: 80000
+      });
+    });
+
+    it('should update stock of a single variant on the marketplace', async () => {
+      const sandbox = new SandboxIntegration({ accountId: 'acc-sandbox' });
+      const { marketplaceProductId } = await sandbox.createProduct(product);
+      const [, mediumVariant] = await sandbox.getProductVariants(marketplaceProductId);
+
+      await sandbox.updateStock(marketplaceProductId, 12, mediumVariant.id);
+
+      const variants = await sandbox.getProductVariants(marketplaceProductId);
+      expect(variants.map(variant => variant.stock)).toEqual([4, 12, 0]);
+    });
+  });
+
+  describe('getMarketplaceVariantId', () => {
+    it('should address the listing as a whole when it stands for our variant', () => {
+      expect(variantMappingService.getMarketplaceVariantId({ marketplaceProductId: '104', marketplaceVariantId: '104' })).toBeNull();
+      expect(variantMappingService.getMarketplaceVariantId({ marketplaceProductId: '104', marketplaceVariantId: '' })).toBeNull();
+      expect(variantMappingService.getMarketplaceVariantId({ marketplaceProductId: '104', marketplaceVariantId: '5001' })).toBe('5001');
+    });
+  });
+});
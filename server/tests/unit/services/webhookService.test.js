@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+jest.mock('../../../src/utils/database', () => ({
+  prisma: {
+    userMarketplaceAccount: {
+      findFirst: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  cache: {
+    setIfNotExists: jest.fn(),
+    del: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/jobs/queueManager', () => ({
+  addSyncJob: jest.fn()
+}));
+
+const { prisma } = require('../../../src/utils/database');
+const { cache } = require('../../../src/utils/redis');
+const { addSyncJob } = require('../../../src/jobs/queueManager');
+const webhookService = require('../../../src/services/webhookService');
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+describe('WebhookService', () => {
+  const shopeeAccount = {
+    id: 'acc-shopee',
+    userId: 'user-1',
+    apiKey: 'partner-id',
+    apiSecret: 'partner-key',
+    shopId: '12345',
+    credentials: { shopId: 12345 }
+  };
+
+  const lazadaAccount = {
+    id: 'acc-lazada',
+    userId: 'user-1',
+    apiKey: 'app-key',
+    apiSecret: 'app-secret',
+    shopId: '9001',
+    credentials: { sellerId: '9001' }
+  };
+
+  beforeEach(() => {
+    cache.setIfNotExists.mockResolvedValue(true);
+    addSyncJob.mockResolvedValue({ id: 'job-1' });
+  });
+
+  describe('handleWebhook', () => {
+    const url = 'https://app.example.com/api/webhooks/shopee';
+    const body = { shop_id: 12345, code: 3, timestamp: 1700000000, data: { ordersn: '2401ABC', status: 'READY_TO_SHIP' } };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    beforeEach(() => {
+      prisma.userMarketplaceAccount.findFirst.mockResolvedValue(shopeeAccount);
+    });
+
+    it('should queue an order refresh for a verified Shopee push', async () => {
+      const result = await webhookService.handleWebhook('SHOPEE', {
+        body,
+        rawBody,
+        url,
+        headers: { authorization: sign('partner-key', `${url}|${rawBody}`) }
+      });
+
+      expect(result).toEqual({ status: 'queued', type: 'order', targetId: '2401ABC' });
+      expect(prisma.userMarketplaceAccount.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shopId: '12345', isConnected: true, marketplace: { code: 'SHOPEE' } }
+      }));
+      expect(addSyncJob).toHaveBeenCalledWith('refresh-order', {
+        userId: 'user-1',
+        marketplaceAccountId: 'acc-shopee',
+        marketplaceOrderId: '2401ABC'
+      });
+    });
+
+    it('should reject a push with a wrong signature', async () => {
+      const result = await webhookService.handleWebhook('SHOPEE', {
+        body,
+        rawBody,
+        url,
+        headers: { authorization: sign('other-key', `${url}|${rawBody}`) }
+      });
+
+      expect(result.status).toBe('invalid_signature');
+      expect(addSyncJob).not.toHaveBeenCalled();
+    });
+
+    it('should not queue the same event twice', async () => {
+      cache.setIfNotExists.mockResolvedValue(false);
+
+      const result = await webhookService.handleWebhook('SHOPEE', {
+        body,
+        rawBody,
+        url,
+        headers: { authorization: sign('partner-key', `${url}|${rawBody}`) }
+      });
+
+      expect(result.status).toBe('duplicate');
+      expect(addSyncJob).not.toHaveBeenCalled();
+    });
+
+    it('should answer pushes for shops that are not connected like a wrong signature', async () => {
+      prisma.userMarketplaceAccount.findFirst.mockResolvedValue(null);
+
+      const result = await webhookService.handleWebhook('SHOPEE', { body, rawBody, url, headers: {} });
+
+      expect(result.status).toBe('invalid_signature');
+      expect(cache.setIfNotExists).not.toHaveBeenCalled();
+    });
+
+    it('should release the event when the refresh cannot be queued so the retry is processed', async () => {
+      addSyncJob.mockRejectedValue(new Error('Redis connection lost'));
+      const request = {
+        body,
+        rawBody,
+        url,
+        headers: { authorization: sign('partner-key', `${url}|${rawBody}`) }
+      };
+
+      await expect(webhookService.handleWebhook('SHOPEE', request)).rejects.toThrow('Redis connection lost');
+
+      const eventKey = cache.setIfNotExists.mock.calls[0][0];
+      expect(cache.del).toHaveBeenCalledWith(eventKey);
+    });
+
+    it('should queue a product refresh for a verified Lazada push', async () => {
+      prisma.userMarketplaceAccount.findFirst.mockResolvedValue(lazadaAccount);
+      const lazadaBody = { seller_id: '9001', message_type: 3, data: { item_id: 778899 } };
+      const lazadaRaw = Buffer.from(JSON.stringify(lazadaBody));
+
+      const result = await webhookService.handleWebhook('LAZADA', {
+        body: lazadaBody,
+        rawBody: lazadaRaw,
+        headers: { authorization: sign('app-secret', `app-key${lazadaRaw}`) }
+      });
+
+      expect(result).toEqual({ status: 'queued', type: 'product', targetId: '778899' });
+      expect(addSyncJob).toHaveBeenCalledWith('refresh-product', expect.objectContaining({
+        marketplaceProductId: '778899'
+      }));
+    });
+  });
+
+  describe('parseEvent', () => {
+    it('should read Tokopedia order notifications', () => {
+      expect(webhookService.parseEvent('TOKOPEDIA', { fs_id: 1, shop_id: 55, order_id: 321, order_status: 220 }))
+        .toEqual({ shopId: 55, type: 'order', targetId: 321 });
+    });
+
+    it('should ignore Shopee codes without a refresh target', () => {
+      expect(webhookService.parseEvent('SHOPEE', { shop_id: 1, code: 1, data: {} }).type).toBeNull();
+    });
+  });
+});